@@ -0,0 +1,229 @@
+/**
+ * REST API for dashboards and the HR system.
+ * JSON endpoints under /api on the health-check Express server, answered by the same
+ * services the bot uses. Every request needs "Authorization: Bearer <token>" with one of
+ * the API_TOKENS; the token name is recorded as the author of corrections.
+ *
+ *   GET  /api/employees                  - Roster
+ *   GET  /api/attendance/:date           - Attendance of a day (while its daily sheet exists)
+ *   GET  /api/reports/:yearMonth         - Monthly aggregates from Report_YYYY-MM
+ *   GET  /api/payroll/:yearMonth         - Payroll of a month (?format=csv or xlsx for a file)
+ *   POST /api/corrections                - Correct a day like /correct
+ *   POST /api/operations/createsheet     - Same as /createsheet
+ *   POST /api/operations/endday          - Same as /endday (needs { "confirm": true } in production)
+ *   POST /api/operations/updatereport    - Same as /updatereport
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const moment = require('moment-timezone');
+const sheetsService = require('../services/sheets.service');
+const scheduleService = require('../services/schedule.service');
+const correctionService = require('../services/correction.service');
+const payrollService = require('../services/payroll.service');
+const Config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Hash a token so tokens of any length compare in constant time
+ * @param {string} token - Token
+ * @returns {Buffer}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest();
+}
+
+/**
+ * Find the API client of a bearer token
+ * @param {string} header - Authorization header
+ * @returns {Object|null} { name, token } from API_TOKENS
+ */
+function findClient(header) {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+  if (!match) return null;
+
+  const hash = hashToken(match[1]);
+  return Config.API_TOKENS.find(client => crypto.timingSafeEqual(hashToken(client.token), hash)) || null;
+}
+
+/**
+ * Wrap an async route so errors become a JSON 500
+ * @param {Function} handler - async (req, res)
+ * @returns {Function} Express handler
+ */
+function route(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      logger.error(`API ${req.method} ${req.originalUrl} failed: ${error.message}`);
+      res.status(500).json({ error: 'Internal error' });
+    }
+  };
+}
+
+/**
+ * Setup the REST API (disabled when API_TOKENS is empty)
+ * @param {Object} app - Express app
+ * @param {Telegraf} bot - Bot instance (notifies employees about corrections)
+ */
+function setupApiRoutes(app, bot) {
+  const router = express.Router();
+  router.use(express.json());
+
+  // Token auth
+  router.use((req, res, next) => {
+    if (Config.API_TOKENS.length === 0) {
+      res.status(503).json({ error: 'API is disabled - set API_TOKENS' });
+      return;
+    }
+
+    const client = findClient(req.get('Authorization'));
+    if (!client) {
+      res.status(401).json({ error: 'Invalid or missing API token' });
+      return;
+    }
+
+    req.apiClient = client;
+    next();
+  });
+
+  router.get('/employees', route(async (req, res) => {
+    const rows = await sheetsService._getCachedRoster();
+    const employees = rows
+      .filter(row => (row.get('Name full') || '').trim())
+      .map(row => ({
+        ...scheduleService.employeeFromRosterRow(row),
+        username: (row.get('Telegram user name') || '').toString().trim()
+      }));
+
+    res.json({ employees });
+  }));
+
+  router.get('/attendance/:date', route(async (req, res) => {
+    const { date } = req.params;
+    if (!moment(date, 'YYYY-MM-DD', true).isValid()) {
+      res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+      return;
+    }
+
+    const records = await sheetsService.getDailyAttendance(date);
+    if (!records) {
+      res.status(404).json({ error: `No daily sheet for ${date} - not created yet or already archived to the monthly report` });
+      return;
+    }
+
+    res.json({ date, records });
+  }));
+
+  router.get('/reports/:yearMonth', route(async (req, res) => {
+    const { yearMonth } = req.params;
+    if (!moment(yearMonth, 'YYYY-MM', true).isValid()) {
+      res.status(400).json({ error: 'Month must be YYYY-MM' });
+      return;
+    }
+
+    const employees = await sheetsService.getMonthlyReport(yearMonth);
+    if (!employees) {
+      res.status(404).json({ error: `No monthly report for ${yearMonth}` });
+      return;
+    }
+
+    res.json({ yearMonth, employees });
+  }));
+
+  router.get('/payroll/:yearMonth', route(async (req, res) => {
+    const { yearMonth } = req.params;
+    if (!moment(yearMonth, 'YYYY-MM', true).isValid()) {
+      res.status(400).json({ error: 'Month must be YYYY-MM' });
+      return;
+    }
+
+    const payroll = await payrollService.getPayroll(yearMonth);
+    if (!payroll) {
+      res.status(404).json({ error: `No monthly report for ${yearMonth}` });
+      return;
+    }
+
+    if (req.query.format === 'csv') {
+      res.type('text/csv; charset=utf-8').attachment(`payroll_${yearMonth}.csv`).send(payrollService.buildCsv(payroll));
+    } else if (req.query.format === 'xlsx') {
+      res.type('xlsx').attachment(`payroll_${yearMonth}.xlsx`).send(payrollService.buildXlsx(payroll));
+    } else {
+      res.json(payroll);
+    }
+  }));
+
+  // { date, telegramId, action, time, reason } - action as in /correct (set_arrival, excuse_lateness, ...)
+  router.post('/corrections', route(async (req, res) => {
+    const { date, telegramId, action, time, reason } = req.body || {};
+    if (!date || !telegramId || !action) {
+      res.status(400).json({ error: 'date, telegramId and action are required' });
+      return;
+    }
+
+    let result;
+    try {
+      result = await correctionService.applyCorrection({
+        date,
+        telegramId: telegramId.toString(),
+        action,
+        time,
+        reason,
+        changedBy: `api:${req.apiClient.name}`,
+        changedById: ''
+      });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+
+    if (result.changes.length > 0) {
+      await bot.telegram.sendMessage(
+        telegramId,
+        `✏️ Администратор исправил Вашу запись за ${moment(date, 'YYYY-MM-DD').format('DD.MM.YYYY')}\n\n` +
+        `${correctionService.describeRow(result.row)}\n\n` +
+        `💬 Причина: ${reason}`
+      ).catch(err => logger.error(`Failed to notify ${telegramId} about correction: ${err.message}`));
+    }
+
+    logger.info(`API client ${req.apiClient.name} corrected ${action} for ${telegramId} on ${date}`);
+    res.json({ name: result.name, changes: result.changes });
+  }));
+
+  router.post('/operations/createsheet', route(async (req, res) => {
+    const date = moment.tz(Config.TIMEZONE).format('YYYY-MM-DD');
+    await sheetsService.initializeDailySheet(date);
+
+    logger.info(`API client ${req.apiClient.name} created sheet for ${date}`);
+    res.json({ date });
+  }));
+
+  router.post('/operations/endday', route(async (req, res) => {
+    // Archives the day and deletes its sheet - the bot asks for /endday_confirm in production too
+    if (Config.NODE_ENV === 'production' && !(req.body && req.body.confirm === true)) {
+      res.status(400).json({ error: 'This archives the day and deletes its sheet - send { "confirm": true }' });
+      return;
+    }
+
+    const date = moment.tz(Config.TIMEZONE).format('YYYY-MM-DD');
+    const schedulerService = require('../services/scheduler.service');
+    await schedulerService.handleEndOfDay(date, true);
+
+    logger.info(`API client ${req.apiClient.name} triggered end-of-day for ${date}`);
+    res.json({ date });
+  }));
+
+  router.post('/operations/updatereport', route(async (req, res) => {
+    const result = await sheetsService.rebuildMonthlyReport();
+
+    logger.info(`API client ${req.apiClient.name} updated monthly report with ${result.processedDays} days of data`);
+    res.json(result);
+  }));
+
+  app.use('/api', router);
+}
+
+module.exports = {
+  setupApiRoutes
+};
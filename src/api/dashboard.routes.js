@@ -0,0 +1,117 @@
+/**
+ * Web dashboard for admins on the health-check Express server.
+ *
+ *   GET /dashboard/login   - Signed login link from /dashboard (or Telegram Login Widget data)
+ *   GET /dashboard         - Who is in the office, late, absent or out, fraud flags, monthly ratings
+ *   GET /dashboard/data    - Same data as JSON
+ *   GET /dashboard/logout  - End the session
+ *
+ * Only staff with the reports permission get in, and they see the employees of their scope.
+ */
+
+const dashboardService = require('../services/dashboard.service');
+const roleService = require('../services/role.service');
+const Config = require('../config');
+const logger = require('../utils/logger');
+
+const COOKIE = 'dashboard_session';
+
+/**
+ * Read a cookie of a request
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string} Value, empty if missing
+ */
+function getCookie(req, name) {
+  for (const part of (req.get('Cookie') || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator > 0 && part.slice(0, separator).trim() === name) {
+      return decodeURIComponent(part.slice(separator + 1).trim());
+    }
+  }
+  return '';
+}
+
+/**
+ * Set-Cookie header of the session
+ * @param {string} value - Session value, empty to clear it
+ * @returns {string}
+ */
+function sessionCookie(value) {
+  const maxAge = value ? Config.DASHBOARD_SESSION_HOURS * 3600 : 0;
+  const secure = Config.PUBLIC_URL.startsWith('https://') ? '; Secure' : '';
+  return `${COOKIE}=${encodeURIComponent(value)}; Path=/dashboard; Max-Age=${maxAge}; HttpOnly; SameSite=Lax${secure}`;
+}
+
+/**
+ * Setup the dashboard routes
+ * @param {Object} app - Express app
+ */
+function setupDashboardRoutes(app) {
+  app.get('/dashboard/login', async (req, res) => {
+    try {
+      const user = dashboardService.verifyLogin(req.query);
+      if (!user) {
+        res.status(401).send(dashboardService.buildLoginPage('Ссылка недействительна или устарела'));
+        return;
+      }
+      if (!(await roleService.can(user.id, 'reports'))) {
+        res.status(403).send(dashboardService.buildLoginPage('Нет доступа к панели'));
+        return;
+      }
+
+      logger.info(`Dashboard login: ${user.name} (${user.id})`);
+      res.set('Set-Cookie', sessionCookie(dashboardService.createSession(user)));
+      res.redirect('/dashboard');
+    } catch (error) {
+      logger.error(`Dashboard login failed: ${error.message}`);
+      res.status(500).send('Error');
+    }
+  });
+
+  app.get('/dashboard/logout', (req, res) => {
+    res.set('Set-Cookie', sessionCookie(''));
+    res.send(dashboardService.buildLoginPage('Вы вышли'));
+  });
+
+  // Session check for the pages below
+  const auth = async (req, res, next) => {
+    try {
+      const user = dashboardService.readSession(getCookie(req, COOKIE));
+      if (!user || !(await roleService.can(user.id, 'reports'))) {
+        res.status(401).send(dashboardService.buildLoginPage(user ? 'Нет доступа к панели' : 'Войдите через бота'));
+        return;
+      }
+      req.dashboardUser = user;
+      next();
+    } catch (error) {
+      logger.error(`Dashboard auth failed: ${error.message}`);
+      res.status(500).send('Error');
+    }
+  };
+
+  app.get('/dashboard', auth, async (req, res) => {
+    try {
+      const snapshot = await dashboardService.getSnapshot(req.dashboardUser.id);
+      res.set('Cache-Control', 'no-store');
+      res.send(dashboardService.buildPage(snapshot, req.dashboardUser));
+    } catch (error) {
+      logger.error(`Error showing dashboard: ${error.message}`);
+      res.status(500).send('Error');
+    }
+  });
+
+  app.get('/dashboard/data', auth, async (req, res) => {
+    try {
+      res.set('Cache-Control', 'no-store');
+      res.json(await dashboardService.getSnapshot(req.dashboardUser.id));
+    } catch (error) {
+      logger.error(`Error loading dashboard data: ${error.message}`);
+      res.status(500).json({ error: 'Internal error' });
+    }
+  });
+}
+
+module.exports = {
+  setupDashboardRoutes
+};
@@ -0,0 +1,67 @@
+/**
+ * Analytics handler.
+ * /analytics shows admins the analytics digest (the same as the Monday digest, up to today),
+ * /analytics <ID|@username> the rating trend, patterns and risk of one employee.
+ */
+
+const sheetsService = require('../../services/sheets.service');
+const roleService = require('../../services/role.service');
+const analyticsService = require('../../services/analytics.service');
+const logger = require('../../utils/logger');
+
+/**
+ * Setup analytics handlers
+ * @param {Telegraf} bot - Bot instance
+ */
+function setupAnalyticsHandlers(bot) {
+  // Admin command: Analytics digest, or one employee
+  // Usage: /analytics  or  /analytics 123456789  or  /analytics @username
+  bot.command('analytics', async (ctx) => {
+    if (!(await roleService.can(ctx.from.id, 'reports'))) {
+      await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
+      return;
+    }
+
+    const query = ctx.message.text.split(/\s+/)[1];
+
+    try {
+      const ids = await roleService.getScopedTelegramIds(await roleService.getScope(ctx.from.id));
+
+      if (!query) {
+        const analysis = await analyticsService.analyze({ ids });
+        if (analysis.employees.length === 0) {
+          await ctx.reply('📭 Нет данных для аналитики.');
+          return;
+        }
+        await ctx.reply(analyticsService.formatDigest(analysis));
+        return;
+      }
+
+      const employee = /^\d+$/.test(query)
+        ? await sheetsService.findEmployeeByTelegramId(query)
+        : await sheetsService.findEmployeeByUsername(query);
+      if (!employee || (ids && !ids.has(employee.telegramId.toString()))) {
+        await ctx.reply(`❌ Сотрудник ${query} не найден.`);
+        return;
+      }
+
+      const telegramId = employee.telegramId.toString();
+      const analysis = await analyticsService.analyze({ ids: new Set([telegramId]) });
+      const result = analysis.employees.find(e => e.telegramId === telegramId);
+      if (!result) {
+        await ctx.reply(`📭 Нет данных о посещаемости ${employee.nameFull}.`);
+        return;
+      }
+
+      await ctx.reply(analyticsService.formatEmployee(result));
+      logger.info(`Analytics of ${employee.nameFull} sent to ${ctx.from.id}`);
+    } catch (error) {
+      await ctx.reply(`❌ Ошибка при расчёте аналитики: ${error.message}`);
+      logger.error(`Error in /analytics command: ${error.message}`);
+    }
+  });
+}
+
+module.exports = {
+  setupAnalyticsHandlers
+};
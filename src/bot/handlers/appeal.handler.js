@@ -0,0 +1,266 @@
+/**
+ * Penalty appeal handler.
+ * Employees dispute a day's penalty from the "⚖️ Оспорить" button with a reason and an
+ * optional photo or document; admins approve or reject it with inline buttons.
+ */
+
+const moment = require('moment-timezone');
+const { Markup } = require('telegraf');
+const appealService = require('../../services/appeal.service');
+const correctionService = require('../../services/correction.service');
+const roleService = require('../../services/role.service');
+const Keyboards = require('../keyboards/buttons');
+const Config = require('../../config');
+const logger = require('../../utils/logger');
+const { getUserOrPromptRegistration } = require('./attendance.handler');
+
+const { PENALTY_KINDS, STATUS_LABELS } = appealService;
+
+/**
+ * Check if the user may decide appeals (super-admins and HR)
+ */
+async function isAdmin(ctx) {
+  return roleService.can(ctx.from.id, 'corrections');
+}
+
+/**
+ * Clear appeal state from the session
+ */
+function clearAppealSession(ctx) {
+  if (!ctx.session) return;
+  delete ctx.session.appeal;
+}
+
+/**
+ * Create the appeal and send it to the staff who decide appeals
+ * @param {Object} ctx - Telegraf context
+ * @param {Object} attachment - Optional { fileId, type }
+ */
+async function submitAppeal(ctx, attachment = null) {
+  const state = ctx.session?.appeal;
+  clearAppealSession(ctx);
+  if (!state || !state.reason) return;
+
+  const user = await getUserOrPromptRegistration(ctx);
+  if (!user) return;
+
+  let appeal;
+  try {
+    appeal = await appealService.createAppeal(user, state.date, state.reason, attachment);
+  } catch (error) {
+    await ctx.reply(`❌ ${error.message}`, Keyboards.getMainMenu(ctx.from.id));
+    return;
+  }
+
+  await ctx.reply(
+    '📨 Апелляция отправлена администратору!\n\n' +
+    `${appealService.describe(appeal)}\n` +
+    `💬 ${appeal.reason}\n` +
+    (appeal.attachment ? '📎 Файл приложен\n' : '') +
+    '\nМы сообщим, когда она будет рассмотрена.',
+    Keyboards.getMainMenu(ctx.from.id)
+  );
+
+  const adminText =
+    `⚖️ НОВАЯ АПЕЛЛЯЦИЯ #${appeal.id}\n\n` +
+    `👤 ${appeal.name}\n` +
+    `${appealService.describe(appeal)}\n` +
+    `💬 ${appeal.reason}`;
+
+  for (const adminId of await roleService.getRecipients('corrections', user)) {
+    try {
+      await ctx.telegram.sendMessage(adminId, adminText, Keyboards.getAppealDecisionKeyboard(appeal.id));
+      if (appeal.attachmentType === 'photo') {
+        await ctx.telegram.sendPhoto(adminId, appeal.attachment, { caption: `📎 Апелляция #${appeal.id}` });
+      } else if (appeal.attachmentType === 'document') {
+        await ctx.telegram.sendDocument(adminId, appeal.attachment, { caption: `📎 Апелляция #${appeal.id}` });
+      }
+    } catch (err) {
+      logger.error(`Failed to send appeal #${appeal.id} to ${adminId}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Setup penalty appeal handlers
+ * @param {Telegraf} bot - Bot instance
+ */
+function setupAppealHandlers(bot) {
+  // "⚖️ Оспорить" under a penalty message or the status
+  bot.action(/^appeal:(\d{4}-\d{2}-\d{2})$/, async (ctx) => {
+    await ctx.answerCbQuery();
+
+    const user = await getUserOrPromptRegistration(ctx);
+    if (!user) return;
+
+    const date = ctx.match[1];
+    const record = await correctionService.getDayRecord(date, user.telegramId);
+    if (!record || record.archived) {
+      await ctx.reply('❌ День уже закрыт - обратитесь к руководителю.');
+      return;
+    }
+
+    const penalty = appealService.getPenalty(record.row);
+    if (!penalty) {
+      await ctx.reply('✅ Штрафа за этот день нет.');
+      return;
+    }
+
+    ctx.session.appeal = { date, step: 'reason' };
+
+    await ctx.reply(
+      `⚖️ ОСПОРИТЬ ШТРАФ ЗА ${moment.tz(date, 'YYYY-MM-DD', Config.TIMEZONE).format('DD.MM.YYYY')}\n\n` +
+      `${penalty.kinds.map(kind => PENALTY_KINDS[kind]).join(', ')}\n` +
+      `📊 Баллы: ${penalty.point}\n\n` +
+      '💬 Напишите, почему штраф неверный:\n\n' +
+      '/cancel - отмена'
+    );
+  });
+
+  // Send without a photo or document
+  bot.action('appeal_skip', async (ctx) => {
+    await ctx.answerCbQuery();
+    await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+    await submitAppeal(ctx);
+  });
+
+  // Admin approves or rejects
+  bot.action(/^appeal_(approve|reject):(\d+)$/, async (ctx) => {
+    if (!(await isAdmin(ctx))) {
+      await ctx.answerCbQuery('❌ У вас нет прав для этой апелляции', { show_alert: true });
+      return;
+    }
+
+    const approved = ctx.match[1] === 'approve';
+    const decidedBy = ctx.from.username ? `@${ctx.from.username}` : ctx.from.id.toString();
+
+    let result;
+    try {
+      result = await appealService.decide(ctx.match[2], approved, decidedBy, ctx.from.id);
+    } catch (error) {
+      await ctx.answerCbQuery(error.message, { show_alert: true });
+      await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+      return;
+    }
+
+    await ctx.answerCbQuery(approved ? 'Одобрено' : 'Отклонено');
+
+    const { appeal, reversal } = result;
+    let adminText = `${approved ? '✅ ОДОБРЕНО' : '❌ ОТКЛОНЕНО'} (${appeal.decidedBy})\n\n` +
+      `👤 ${appeal.name}\n` +
+      `${appealService.describe(appeal)}\n` +
+      `💬 ${appeal.reason}`;
+    if (reversal) {
+      adminText += `\n\n♻️ Возвращено баллов: +${reversal.restoredPoints}` +
+        (reversal.target === 'monthly' ? ' (в месячном отчёте)' : '');
+    }
+    await ctx.editMessageText(adminText).catch(() => {});
+
+    try {
+      await ctx.telegram.sendMessage(
+        appeal.telegramId,
+        approved
+          ? `✅ Ваша апелляция одобрена!\n\n${appealService.describe(appeal)}\n\n` +
+            `Штраф снят, возвращено баллов: +${reversal.restoredPoints} 😊`
+          : `❌ Ваша апелляция отклонена.\n\n${appealService.describe(appeal)}\n\n` +
+            'Если остались вопросы, обратитесь к руководителю.'
+      );
+    } catch (err) {
+      logger.error(`Failed to notify ${appeal.telegramId} about appeal #${appeal.id}: ${err.message}`);
+    }
+  });
+
+  // Admin command: Pending appeals
+  bot.command('appeals', async (ctx) => {
+    // Check if user is admin
+    if (!(await isAdmin(ctx))) {
+      await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
+      return;
+    }
+
+    try {
+      const pending = await appealService.getPendingAppeals();
+
+      if (pending.length === 0) {
+        await ctx.reply('📭 Нет апелляций на рассмотрении.');
+        return;
+      }
+
+      for (const appeal of pending) {
+        await ctx.reply(
+          `⚖️ АПЕЛЛЯЦИЯ #${appeal.id} (${STATUS_LABELS[appeal.status]})\n\n` +
+          `👤 ${appeal.name}\n` +
+          `${appealService.describe(appeal)}\n` +
+          `💬 ${appeal.reason}\n` +
+          (appeal.attachment ? '📎 Файл приложен\n' : '') +
+          `🕐 Подана: ${appeal.submittedAt}`,
+          Keyboards.getAppealDecisionKeyboard(appeal.id)
+        );
+      }
+    } catch (error) {
+      await ctx.reply(`❌ Ошибка при загрузке апелляций: ${error.message}`);
+      logger.error(`Error in /appeals command: ${error.message}`);
+    }
+  });
+
+  // Photo or document proof (a caption on the first step is the reason)
+  bot.on(['photo', 'document'], async (ctx, next) => {
+    const state = ctx.session?.appeal;
+    if (!state) {
+      return next();
+    }
+
+    if (state.step === 'reason') {
+      const caption = (ctx.message.caption || '').trim();
+      if (!caption) {
+        await ctx.reply('💬 Сначала напишите, почему штраф неверный.\n\n/cancel - отмена');
+        return;
+      }
+      state.reason = caption;
+    }
+
+    const attachment = ctx.message.photo
+      ? { fileId: ctx.message.photo[ctx.message.photo.length - 1].file_id, type: 'photo' }
+      : { fileId: ctx.message.document.file_id, type: 'document' };
+    await submitAppeal(ctx, attachment);
+  });
+
+  // Reason input
+  bot.on('text', async (ctx, next) => {
+    const state = ctx.session?.appeal;
+    if (!state) {
+      return next();
+    }
+
+    const text = ctx.message.text.trim();
+
+    if (text === '/cancel') {
+      clearAppealSession(ctx);
+      await ctx.reply('❌ Апелляция отменена.', Keyboards.getMainMenu(ctx.from.id));
+      return;
+    }
+
+    // Menu buttons and other commands leave the flow
+    if (text.startsWith('/') || Keyboards.getMenuButtonTexts().has(text)) {
+      clearAppealSession(ctx);
+      return next();
+    }
+
+    if (state.step === 'reason') {
+      state.reason = text;
+      state.step = 'attachment';
+      await ctx.reply(
+        '📎 Прикрепите фото или документ (например, справку) или отправьте без файла.\n\n' +
+        '/cancel - отмена',
+        Markup.inlineKeyboard([[Markup.button.callback('📨 Отправить без файла', 'appeal_skip')]])
+      );
+      return;
+    }
+
+    await ctx.reply('📎 Отправьте фото или документ либо нажмите «Отправить без файла».\n\n/cancel - отмена');
+  });
+}
+
+module.exports = {
+  setupAppealHandlers
+};
@@ -0,0 +1,297 @@
+/**
+ * Arrival photo handler.
+ * At sites with "Photo" = yes a location check-in also needs a photo from the workplace,
+ * sent within ARRIVAL_PHOTO_TIMEOUT_MINUTES. The photo (Telegram file id) and its time are
+ * stored in the daily row. /review shows staff today's arrivals with photo and location side by
+ * side; approving or flagging sets the arrival verification status like a finished location check.
+ */
+
+const moment = require('moment-timezone');
+const sheetsService = require('../../services/sheets.service');
+const trackingStoreService = require('../../services/trackingStore.service');
+const roleService = require('../../services/role.service');
+const Keyboards = require('../keyboards/buttons');
+const Config = require('../../config');
+const logger = require('../../utils/logger');
+
+// Employees who must send an arrival photo
+// Map<userId, { requestTime, user, site }>
+const awaitingPhoto = new Map();
+
+// "Arrival Photo Review" of an arrival whose photo never came
+const NO_PHOTO = 'NO PHOTO';
+
+/**
+ * Time the employee has to send the photo
+ * @returns {number} Milliseconds
+ */
+function photoTimeout() {
+  return Config.ARRIVAL_PHOTO_TIMEOUT_MINUTES * 60 * 1000;
+}
+
+/**
+ * Wait for the arrival photo; the request is saved to the Tracking sheet so it survives a restart
+ * @param {string} userId - Employee's Telegram ID
+ * @param {Object} state - Request state
+ * @param {number} timeout - Milliseconds until the photo counts as missing
+ */
+function awaitArrivalPhoto(userId, state, timeout = photoTimeout()) {
+  const key = userId.toString();
+  awaitingPhoto.set(key, state);
+  trackingStoreService.savePendingRequest('photo', key, state);
+
+  setTimeout(() => {
+    if (awaitingPhoto.get(key) === state) {
+      markPhotoMissing(key, state)
+        .catch(err => logger.error(`Failed to record missing arrival photo of ${key}: ${err.message}`));
+    }
+  }, timeout);
+}
+
+/**
+ * Stop waiting for the arrival photo
+ * @param {string} userId - Employee's Telegram ID
+ * @param {string} status - DONE or EXPIRED
+ */
+function stopAwaitingPhoto(userId, status = 'DONE') {
+  if (awaitingPhoto.delete(userId.toString())) {
+    trackingStoreService.finishPendingRequest('photo', userId.toString(), status);
+  }
+}
+
+/**
+ * No photo in time: the arrival goes to the review queue without one
+ * @param {string} userId - Employee's Telegram ID
+ * @param {Object} state - Request state
+ */
+async function markPhotoMissing(userId, state) {
+  stopAwaitingPhoto(userId, 'EXPIRED');
+
+  // The arrival may have been cancelled meanwhile
+  const status = await sheetsService.getUserStatusToday(userId);
+  if (!status.hasArrived) return;
+
+  await sheetsService.updateArrivalPhoto(userId, { 'Arrival Photo Review': NO_PHOTO });
+  await sheetsService.logVerification(userId, `Фото прихода не отправлено за ${Config.ARRIVAL_PHOTO_TIMEOUT_MINUTES} мин. (${state.site})`);
+  logger.warn(`📸 No arrival photo from user ${userId} at ${state.site}`);
+}
+
+/**
+ * Ask for an arrival photo after a location check-in at a Photo site
+ * @param {Object} telegram - Telegram API
+ * @param {Object} user - Employee
+ * @param {Object} site - Site of the check-in
+ */
+async function requestArrivalPhoto(telegram, user, site) {
+  awaitArrivalPhoto(user.telegramId, { requestTime: Date.now(), user, site: site.name });
+
+  await telegram.sendMessage(
+    user.telegramId,
+    `📸 На месте «${site.name}» для подтверждения прихода нужно фото.\n\n` +
+    `Пожалуйста, отправьте фото с рабочего места (например, селфи на фоне объекта) ` +
+    `в течение ${Config.ARRIVAL_PHOTO_TIMEOUT_MINUTES} минут.`
+  ).catch(err => logger.error(`Failed to ask ${user.telegramId} for an arrival photo: ${err.message}`));
+
+  logger.info(`📸 Arrival photo requested from ${user.nameFull} (${user.telegramId}) at ${site.name}`);
+}
+
+/**
+ * Resume photo requests that were pending when the bot stopped
+ * @param {Telegraf} bot - Bot instance
+ * @returns {Object} { resumed, expired } counts
+ */
+async function restorePendingPhotoRequests(bot) {
+  let resumed = 0;
+  let expired = 0;
+
+  for (const { telegramId, state } of await trackingStoreService.getPendingRequests(['photo'])) {
+    const remaining = state.requestTime + photoTimeout() - Date.now();
+    if (remaining > 0) {
+      awaitArrivalPhoto(telegramId, state, remaining);
+      resumed++;
+    } else {
+      awaitingPhoto.set(telegramId, state);
+      await markPhotoMissing(telegramId, state);
+      expired++;
+    }
+  }
+
+  if (resumed > 0 || expired > 0) {
+    logger.info(`📸 Arrival photo requests after restart: ${resumed} resumed, ${expired} expired`);
+  }
+  return { resumed, expired };
+}
+
+/**
+ * Whether an arrival still waits for a staff decision
+ * @param {Object} entry - Entry from sheetsService.getArrivalPhotos
+ * @returns {boolean}
+ */
+function isPending(entry) {
+  return !entry.review || entry.review === NO_PHOTO;
+}
+
+/**
+ * Review card of an arrival: photo time, site, location and verification result
+ * @param {Object} entry - Entry from sheetsService.getArrivalPhotos
+ * @returns {string}
+ */
+function formatEntry(entry) {
+  let text = `👤 ${entry.name}\n` +
+    `🕐 Приход: ${entry.arrivalTime}\n` +
+    (entry.photo ? `📸 Фото: ${entry.photoTime}\n` : `📸 Фото не отправлено\n`);
+
+  if (entry.site) {
+    text += `🏢 Место: ${entry.site}\n`;
+  }
+  if (entry.location) {
+    const [lat, lng] = entry.location.split(',');
+    text += `📍 ${entry.location} (точность ${entry.accuracy || '?'})\n` +
+      `https://www.openstreetmap.org/?mlat=${lat}&mlon=${lng}#map=18/${lat}/${lng}\n`;
+  }
+  text += `🛰 Проверка местоположения: ${entry.status || '—'}${entry.anomalies ? ` (${entry.anomalies})` : ''}`;
+  if (!isPending(entry)) {
+    text += `\n⚖️ ${entry.review}`;
+  }
+
+  return text;
+}
+
+/**
+ * Setup arrival photo handlers (before the attendance handlers)
+ * @param {Telegraf} bot - Bot instance
+ */
+function setupArrivalPhotoHandlers(bot) {
+  // Arrival photo from the employee
+  bot.on('photo', async (ctx, next) => {
+    const userId = ctx.from.id.toString();
+    const state = awaitingPhoto.get(userId);
+    if (!state) {
+      return next();
+    }
+
+    try {
+      stopAwaitingPhoto(userId);
+
+      const fileId = ctx.message.photo[ctx.message.photo.length - 1].file_id;
+      await sheetsService.updateArrivalPhoto(userId, {
+        'Arrival Photo': fileId,
+        'Arrival Photo Time': moment.tz(Config.TIMEZONE).format('HH:mm:ss'),
+        'Arrival Photo Review': ''
+      });
+      await sheetsService.logVerification(userId, `Фото прихода получено (${state.site})`);
+
+      await ctx.reply('📸 Фото получено! Спасибо, руководитель проверит его.');
+      logger.info(`📸 Arrival photo received from user ${userId}`);
+    } catch (error) {
+      logger.error(`Error saving arrival photo: ${error.message}`);
+      await ctx.reply('❌ Ошибка при сохранении фото. Пожалуйста, попробуйте снова.');
+    }
+  });
+
+  // /review [all] - today's arrivals with photo waiting for a decision (all = with decided ones)
+  bot.command('review', async (ctx) => {
+    if (!(await roleService.can(ctx.from.id, 'alerts'))) {
+      await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
+      return;
+    }
+
+    const showAll = /\ball\b/i.test(ctx.message.text);
+    const date = moment.tz(Config.TIMEZONE).format('YYYY-MM-DD');
+    const scopedIds = await roleService.getScopedTelegramIds(await roleService.getScope(ctx.from.id));
+
+    const entries = (await sheetsService.getArrivalPhotos(date))
+      .filter(entry => !scopedIds || scopedIds.has(entry.telegramId))
+      .filter(entry => showAll || isPending(entry));
+
+    if (entries.length === 0) {
+      await ctx.reply(`📸 Нет фото прихода для проверки за ${date}.`);
+      return;
+    }
+
+    await ctx.reply(`📸 Фото прихода за ${date}: ${entries.length}`);
+
+    for (const entry of entries) {
+      const sessions = await trackingStoreService.getSessions(entry.telegramId, date);
+      const arrival = sessions.filter(session => session.purpose !== 'departure').pop();
+      const keyboard = Keyboards.getPhotoReviewKeyboard(entry.telegramId, date, arrival ? arrival.id : null);
+
+      try {
+        if (entry.photo) {
+          await ctx.replyWithPhoto(entry.photo, { caption: formatEntry(entry), ...keyboard });
+        } else {
+          await ctx.reply(formatEntry(entry), keyboard);
+        }
+      } catch (error) {
+        logger.error(`Failed to show arrival photo of ${entry.telegramId}: ${error.message}`);
+      }
+    }
+  });
+
+  // Staff approve or flag an arrival
+  bot.action(/^photo_(ok|flag):(\d{4}-\d{2}-\d{2}):(\d+)$/, async (ctx) => {
+    if (!(await roleService.can(ctx.from.id, 'alerts'))) {
+      await ctx.answerCbQuery('❌ У вас нет прав для этого решения', { show_alert: true });
+      return;
+    }
+
+    const approved = ctx.match[1] === 'ok';
+    const date = ctx.match[2];
+    const telegramId = ctx.match[3];
+
+    // Verification status can only be changed on the open day
+    if (date !== await sheetsService.getShiftDate(telegramId)) {
+      await ctx.answerCbQuery('День уже закрыт - используйте /correct', { show_alert: true });
+      return;
+    }
+
+    const entry = (await sheetsService.getArrivalPhotos(date)).find(e => e.telegramId === telegramId);
+    if (!entry) {
+      await ctx.answerCbQuery('Приход не найден - возможно, он отменён', { show_alert: true });
+      return;
+    }
+    if (!isPending(entry)) {
+      await ctx.answerCbQuery(`Решение уже принято: ${entry.review}`, { show_alert: true });
+      await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+      return;
+    }
+
+    const decidedBy = ctx.from.username ? `@${ctx.from.username}` : ctx.from.id.toString();
+    const review = `${approved ? 'APPROVED' : 'FLAGGED'} ${decidedBy}`;
+
+    if (approved) {
+      await sheetsService.updateLocationVerification(telegramId, 'OK', []);
+    } else {
+      const anomalies = entry.anomalies.split(',').map(type => type.trim()).filter(Boolean)
+        .filter(type => type !== 'PHOTO_FLAGGED')
+        .map(type => ({ type }));
+      await sheetsService.updateLocationVerification(telegramId, 'FLAGGED', [...anomalies, { type: 'PHOTO_FLAGGED' }]);
+    }
+    await sheetsService.updateArrivalPhoto(telegramId, { 'Arrival Photo Review': review });
+    await sheetsService.logVerification(telegramId, `${entry.photo ? 'Фото прихода' : 'Приход без фото'} ${approved ? 'подтверждён' : 'отмечен как сомнительный'} ${decidedBy}`);
+
+    if (!approved) {
+      await ctx.telegram.sendMessage(
+        telegramId,
+        `🚩 Руководитель отметил Ваш приход как сомнительный (проверка фото).\n\n` +
+        `Если это ошибка, обратитесь к руководителю.`
+      ).catch(err => logger.error(`Failed to notify ${telegramId} about flagged arrival: ${err.message}`));
+    }
+
+    await ctx.answerCbQuery(approved ? 'Подтверждено' : 'Отмечено');
+    const text = `${approved ? '✅ ПОДТВЕРЖДЕНО' : '🚩 ОТМЕЧЕНО'} (${decidedBy})\n\n${formatEntry(entry)}`;
+    if (entry.photo) {
+      await ctx.editMessageCaption(text).catch(() => {});
+    } else {
+      await ctx.editMessageText(text).catch(() => {});
+    }
+
+    logger.info(`📸 Arrival of ${telegramId} on ${date} ${approved ? 'approved' : 'flagged'} by ${decidedBy}`);
+  });
+}
+
+module.exports = {
+  setupArrivalPhotoHandlers,
+  requestArrivalPhoto,
+  restorePendingPhotoRequests
+};
@@ -7,12 +7,21 @@ const moment = require('moment-timezone');
 const { Markup } = require('telegraf');
 const sheetsService = require('../../services/sheets.service');
 const CalculatorService = require('../../services/calculator.service');
+const scheduleService = require('../../services/schedule.service');
+const holidayService = require('../../services/holiday.service');
 const locationTrackerService = require('../../services/locationTracker.service');
+const trackingStoreService = require('../../services/trackingStore.service');
+const geofenceService = require('../../services/geofence.service');
 const anomalyDetectorService = require('../../services/anomalyDetector.service');
+const anomalyRulesService = require('../../services/anomalyRules.service');
+const roleService = require('../../services/role.service');
+const teamService = require('../../services/team.service');
+const pdfReportService = require('../../services/pdfReport.service');
 const Keyboards = require('../keyboards/buttons');
 const Config = require('../../config');
 const logger = require('../../utils/logger');
 const { sendBusyNotification } = require('../../utils/messageHelper');
+const { requestArrivalPhoto } = require('./arrivalPhoto.handler');
 
 // Temporary state: users awaiting location for check-in
 // Map<userId, { requestTime, user, checkInData }>
@@ -22,6 +31,86 @@ const awaitingLocationForCheckIn = new Map();
 // Map<userId, { requestTime, user, checkoutTime, departureType, workTimeData }>
 const awaitingLocationForCheckout = new Map();
 
+// How long a location request waits for the user's location
+const LOCATION_REQUEST_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Wait for the user's location for check-in or checkout.
+ * The request is saved to the Tracking sheet so it survives a restart.
+ * @param {string} type - checkin or checkout
+ * @param {string|number} userId - User's Telegram ID
+ * @param {Object} state - Request state
+ * @param {number} timeout - Milliseconds until the request expires
+ */
+function awaitLocation(type, userId, state, timeout = LOCATION_REQUEST_TIMEOUT_MS) {
+  const requests = type === 'checkin' ? awaitingLocationForCheckIn : awaitingLocationForCheckout;
+  const key = userId.toString();
+
+  requests.set(key, state);
+  trackingStoreService.savePendingRequest(type, key, state);
+
+  // Clean up if user doesn't send location
+  setTimeout(() => {
+    if (requests.get(key) === state) {
+      stopAwaitingLocation(type, key, 'EXPIRED');
+      logger.warn(`${type === 'checkin' ? 'Location' : 'Checkout location'} request timeout for user ${key}`);
+    }
+  }, timeout);
+}
+
+/**
+ * Stop waiting for the user's location
+ * @param {string} type - checkin or checkout
+ * @param {string|number} userId - User's Telegram ID
+ * @param {string} status - DONE or EXPIRED
+ */
+function stopAwaitingLocation(type, userId, status = 'DONE') {
+  const requests = type === 'checkin' ? awaitingLocationForCheckIn : awaitingLocationForCheckout;
+  if (requests.delete(userId.toString())) {
+    trackingStoreService.finishPendingRequest(type, userId.toString(), status);
+  }
+}
+
+/**
+ * Resume location requests that were pending when the bot stopped.
+ * Requests within their 5 minutes wait again; expired ones are closed and the user
+ * is asked to press the button again.
+ * @param {Telegraf} bot - Bot instance
+ * @returns {Object} { resumed, expired } counts
+ */
+async function restorePendingLocationRequests(bot) {
+  let resumed = 0;
+  let expired = 0;
+
+  for (const { type, telegramId, state } of await trackingStoreService.getPendingRequests(['checkin', 'checkout'])) {
+    const remaining = state.requestTime + LOCATION_REQUEST_TIMEOUT_MS - Date.now();
+
+    if (remaining > 0) {
+      state.user = await sheetsService.findEmployeeByTelegramId(telegramId) || state.user;
+      awaitLocation(type, telegramId, state, remaining);
+      resumed++;
+      continue;
+    }
+
+    trackingStoreService.finishPendingRequest(type, telegramId, 'EXPIRED');
+    expired++;
+
+    const button = type === 'checkin' ? '✅ Пришёл' : '🚪 Ухожу';
+    await bot.telegram.sendMessage(
+      telegramId,
+      `⚠️ Бот был перезапущен, и запрос местоположения истёк.\n\n` +
+      `Пожалуйста, нажмите "${button}" ещё раз.`,
+      Keyboards.getMainMenu(telegramId)
+    ).catch(err => logger.error(`Failed to notify user ${telegramId}: ${err.message}`));
+  }
+
+  if (resumed > 0 || expired > 0) {
+    logger.info(`📍 Location requests after restart: ${resumed} resumed, ${expired} expired`);
+  }
+
+  return { resumed, expired };
+}
+
 /**
  * Get user data or prompt for registration
  */
@@ -52,6 +141,20 @@ async function getUserOrPromptRegistration(ctx) {
   }
 }
 
+/**
+ * Offer to dispute the day's penalty when the points are negative
+ * @param {Object} ctx - Telegram context
+ * @param {Object} status - Status from getUserStatusToday
+ */
+async function offerAppeal(ctx, status) {
+  if (!(status.todayPoint < 0) || !status.shiftDate) return;
+
+  await ctx.reply(
+    '⚖️ Не согласны со штрафом? Вы можете оспорить его.',
+    Keyboards.getAppealKeyboard(status.shiftDate)
+  );
+}
+
 /**
  * Get main menu with dynamic buttons based on user status
  */
@@ -65,6 +168,195 @@ async function getMainMenuKeyboard(userId) {
   }
 }
 
+/**
+ * Check that the user may check in now (not arrived, departed, absent or out, within work time)
+ * @param {Object} ctx - Telegraf context
+ * @param {Object} user - User object
+ * @returns {Promise<Object|null>} { status, now, workTime }, or null after telling the user why not
+ */
+async function checkCanArrive(ctx, user) {
+  // Check if already arrived today
+  const status = await sheetsService.getUserStatusToday(user.telegramId);
+
+  // Check if currently out temporarily
+  if (status.currentlyOut) {
+    await ctx.reply(
+      `❌ Вы временно вышли из офиса.\n` +
+      `Пожалуйста, сначала отметьте возвращение кнопкой "↩️ Вернулся".`,
+      await getMainMenuKeyboard(ctx.from.id)
+    );
+    return null;
+  }
+
+  // Check if already departed today
+  if (status.hasDeparted) {
+    await ctx.reply(
+      `ℹ️ Вы уже ушли с работы сегодня в ${status.departureTime}\n` +
+      `До завтра! 👋`,
+      await getMainMenuKeyboard(ctx.from.id)
+    );
+    return null;
+  }
+
+  if (status.hasArrived) {
+    await ctx.reply(
+      `ℹ️ Вы уже отметили приход сегодня в ${status.arrivalTime}`,
+      await getMainMenuKeyboard(ctx.from.id)
+    );
+    return null;
+  }
+
+  // Check if already marked as absent today
+  if (status.isAbsent) {
+    await ctx.reply(
+      `ℹ️ Вы уже отметили отсутствие на сегодня. К сожалению, отметить приход в офис сегодня уже невозможно. Спасибо за понимание! 🙏`,
+      await getMainMenuKeyboard(ctx.from.id)
+    );
+    return null;
+  }
+
+  // Get current time
+  const now = moment.tz(Config.TIMEZONE);
+
+  // Parse work schedule
+  const workTime = await scheduleService.getWorkTime(user);
+  if (!workTime) {
+    await ctx.reply(
+      '❌ К сожалению, в Вашем расписании обнаружена ошибка. Пожалуйста, обратитесь к администратору.',
+      Keyboards.getMainMenu(ctx.from.id)
+    );
+    return null;
+  }
+
+  // Check if arriving after work end time
+  if (now.isAfter(workTime.end)) {
+    await ctx.reply(
+      `⚠️ Ваше рабочее время уже закончилось!\n\n` +
+      `Ваш график работы: ${user.workTime}\n` +
+      `Время окончания работы: ${workTime.end.format('HH:mm')}\n` +
+      `Текущее время: ${now.format('HH:mm')}\n\n` +
+      `🌙 Увидимся завтра! Хорошего вечера!`,
+      Keyboards.getMainMenu(ctx.from.id)
+    );
+    return null;
+  }
+
+  return { status, now, workTime };
+}
+
+/**
+ * Log a verified arrival: lateness, day-off bonus, points and the reply to the user
+ * @param {Object} ctx - Telegraf context
+ * @param {Object} user - User object
+ * @param {moment} now - Arrival time
+ * @param {Function} saveVerification - Stores how the arrival was verified (location or QR site)
+ * @returns {Promise<boolean>} True if the arrival was logged
+ */
+async function completeArrival(ctx, user, now, saveVerification) {
+  // Parse work schedule
+  const workTime = await scheduleService.getWorkTime(user);
+  if (!workTime) {
+    await ctx.reply(
+      '❌ К сожалению, в Вашем расписании обнаружена ошибка. Пожалуйста, обратитесь к администратору.',
+      Keyboards.getMainMenu(ctx.from.id)
+    );
+    return false;
+  }
+
+  // Check if arrived today
+  const status = await sheetsService.getUserStatusToday(user.telegramId);
+
+  // Check if the shift day is a day off by the employee's schedule - encourage work
+  // (a late arrival after midnight still belongs to yesterday's night shift)
+  const shiftDay = status.shiftDate ? moment.tz(status.shiftDate, Config.TIMEZONE) : now;
+  const isSunday = shiftDay.day() === 0;
+  const isSaturday = shiftDay.day() === 6;
+  const isDayOff = await scheduleService.isDayOff(user, shiftDay);
+
+  // Calculate lateness
+  const { latenessMinutes, status: latenessStatus } = CalculatorService.calculateLateness(
+    workTime.start,
+    now
+  );
+
+  let responseText = `✅ **Приход отмечен! Добро пожаловать на работу.**\n\n`;
+  let eventType = 'ARRIVAL';
+  let details = 'on_time';
+  let ratingImpact = 0.0;
+
+  if (isDayOff) {
+    const dayName = await scheduleService.getDayOffName(user, shiftDay, true);
+    responseText += `🌟 Отличная работа! Вы работаете в ${dayName}!\n`;
+    responseText += `💪 Такое усердие заслуживает уважения!\n`;
+    details = isSunday ? 'sunday_work' : (isSaturday ? 'saturday_work' : 'day_off_work');
+    ratingImpact = 1.0; // Bonus point for working on day off
+  } else if (latenessStatus === 'ON_TIME') {
+    responseText += `🎉 Вы пришли вовремя!`;
+    details = 'on_time';
+  } else if (latenessStatus === 'LATE' || latenessStatus === 'SOFT_LATE') {
+    if (status.lateNotified) {
+      responseText += `⚠️ Опоздание: ${CalculatorService.formatTimeDiff(latenessMinutes)} (Вы предупредили)\n`;
+      details = `late_notified, ${latenessMinutes}min`;
+      ratingImpact = CalculatorService.calculateRatingImpact('LATE_NOTIFIED');
+    } else {
+      responseText += `⚠️ Опоздание: ${CalculatorService.formatTimeDiff(latenessMinutes)} (без предупреждения)\n`;
+      details = `late_silent, ${latenessMinutes}min`;
+      ratingImpact = CalculatorService.calculateRatingImpact('LATE_SILENT');
+    }
+
+    const penaltyMinutes = CalculatorService.calculatePenaltyTime(latenessMinutes);
+    const requiredEnd = CalculatorService.calculateRequiredEndTime(workTime.end, penaltyMinutes);
+    responseText += `⏳ Необходимо отработать дополнительно: ${CalculatorService.formatTimeDiff(penaltyMinutes)}\n`;
+    responseText += `⏰ Уход не раньше: ${requiredEnd.format('HH:mm')}`;
+
+    if (!status.lateNotified) {
+      await sheetsService.logEvent(
+        user.telegramId,
+        user.nameFull,
+        'LATE_SILENT',
+        `${latenessMinutes} min, penalty=${penaltyMinutes} min`,
+        ratingImpact
+      );
+      ratingImpact = 0.0;
+    }
+  }
+
+  // Log arrival event
+  await sheetsService.logEvent(
+    user.telegramId,
+    user.nameFull,
+    eventType,
+    details,
+    ratingImpact
+  );
+
+  // Store how the arrival was verified
+  await saveVerification();
+
+  // Get today's points
+  const updatedStatus = await sheetsService.getUserStatusToday(user.telegramId);
+  const todayPoint = updatedStatus.todayPoint || 0;
+  let pointEmoji = '🟢';
+  if (todayPoint < 0) {
+    pointEmoji = '🔴';
+  } else if (todayPoint === 0) {
+    pointEmoji = '🟡';
+  }
+
+  responseText += `\n\n📊 Баллы за сегодня: ${todayPoint} ${pointEmoji}`;
+
+  // Don't mention tracking here - already mentioned in previous message
+  // responseText += `\n\n📍 Location tracking active for ${Config.TRACKING_DURATION_MINUTES} minutes...`;
+
+  await ctx.reply(responseText, {
+    ...Keyboards.getMainMenu(ctx.from.id),
+    parse_mode: 'Markdown'
+  });
+  await offerAppeal(ctx, updatedStatus);
+  logger.info(`Arrival logged for ${user.nameFull}: ${details}`);
+  return true;
+}
+
 /**
  * Process arrival check-in with location
  * @param {Object} ctx - Telegraf context
@@ -76,6 +368,17 @@ async function processArrivalWithLocation(ctx, user, location) {
   try {
     const now = moment.tz(Config.TIMEZONE);
 
+    // Sites that accept live location (the others need their QR code)
+    const allowedSites = geofenceService.filterByMethod(await geofenceService.getAllowedSites(user), 'gps');
+    if (allowedSites.length === 0) {
+      await ctx.reply(
+        '📷 Для отметки прихода отсканируйте QR-код на экране рабочего места камерой телефона.',
+        Keyboards.getMainMenu(ctx.from.id)
+      );
+      return;
+    }
+    await anomalyRulesService.getRules(); // Refresh the rules the detectors use
+
     // Start tracking session
     const trackingResult = locationTrackerService.startTracking(
       user.telegramId,
@@ -84,7 +387,8 @@ async function processArrivalWithLocation(ctx, user, location) {
         longitude: location.longitude,
         accuracy: location.horizontal_accuracy || location.accuracy || null
       },
-      user.nameFull
+      user.nameFull,
+      allowedSites
     );
 
     if (!trackingResult.success) {
@@ -97,11 +401,17 @@ async function processArrivalWithLocation(ctx, user, location) {
       const anomaly = trackingResult.initialAnomaly;
       logger.warn(`Initial location anomaly for ${user.nameFull}: ${anomaly.type}`);
 
-      // If CRITICAL (wrong location), reject check-in
-      if (anomaly.severity === 'CRITICAL') {
+      // Reject check-in if the anomaly rules say cancel (CRITICAL wrong location by default);
+      // otherwise the check-in goes through and tracking decides
+      const decision = anomalyRulesService.decide([anomaly]);
+      if (decision.dryRun) {
+        logger.warn(`🧪 DRY RUN: anomaly rules would reject the check-in of ${user.nameFull} - not applied`);
+      }
+      if (decision.action === 'cancel') {
         await ctx.reply(
           `❌ К сожалению, отметка прихода не выполнена: ${anomaly.description}\n\n` +
-          `Пожалуйста, убедитесь, что Вы находитесь в офисе перед отметкой прихода.`,
+          `Пожалуйста, убедитесь, что Вы находитесь на рабочем месте перед отметкой прихода.\n` +
+          `📍 Разрешённые места: ${geofenceService.formatSiteNames(allowedSites)}`,
           Keyboards.getMainMenu(ctx.from.id)
         );
         // Stop tracking
@@ -110,111 +420,61 @@ async function processArrivalWithLocation(ctx, user, location) {
       }
     }
 
-    // Parse work schedule
-    const workTime = CalculatorService.parseWorkTime(user.workTime);
-    if (!workTime) {
-      await ctx.reply(
-        '❌ К сожалению, в Вашем расписании обнаружена ошибка. Пожалуйста, обратитесь к администратору.',
-        Keyboards.getMainMenu(ctx.from.id)
-      );
-      return;
-    }
-
-    // Check if arrived today
-    const status = await sheetsService.getUserStatusToday(user.telegramId);
-
-    // Check if Sunday OR (Saturday AND user doesn't work on Saturday) - encourage work
-    const isSunday = now.day() === 0;
-    const isSaturday = now.day() === 6;
-    const isDayOff = isSunday || (isSaturday && user.doNotWorkSaturday);
-
-    // Calculate lateness
-    const { latenessMinutes, status: latenessStatus } = CalculatorService.calculateLateness(
-      workTime.start,
-      now
-    );
-
-    let responseText = `✅ **Приход отмечен! Добро пожаловать на работу.**\n\n`;
-    let eventType = 'ARRIVAL';
-    let details = 'on_time';
-    let ratingImpact = 0.0;
-
-    if (isDayOff) {
-      const dayName = isSunday ? 'воскресенье' : 'субботу';
-      responseText += `🌟 Отличная работа! Вы работаете в ${dayName}!\n`;
-      responseText += `💪 Такое усердие заслуживает уважения!\n`;
-      details = isSunday ? 'sunday_work' : 'saturday_work';
-      ratingImpact = 1.0; // Bonus point for working on day off
-    } else if (latenessStatus === 'ON_TIME') {
-      responseText += `🎉 Вы пришли вовремя!`;
-      details = 'on_time';
-    } else if (latenessStatus === 'LATE' || latenessStatus === 'SOFT_LATE') {
-      if (status.lateNotified) {
-        responseText += `⚠️ Опоздание: ${CalculatorService.formatTimeDiff(latenessMinutes)} (Вы предупредили)\n`;
-        details = `late_notified, ${latenessMinutes}min`;
-        ratingImpact = CalculatorService.calculateRatingImpact('LATE_NOTIFIED');
-      } else {
-        responseText += `⚠️ Опоздание: ${CalculatorService.formatTimeDiff(latenessMinutes)} (без предупреждения)\n`;
-        details = `late_silent, ${latenessMinutes}min`;
-        ratingImpact = CalculatorService.calculateRatingImpact('LATE_SILENT');
-      }
-
-      const penaltyMinutes = CalculatorService.calculatePenaltyTime(latenessMinutes);
-      const requiredEnd = CalculatorService.calculateRequiredEndTime(workTime.end, penaltyMinutes);
-      responseText += `⏳ Необходимо отработать дополнительно: ${CalculatorService.formatTimeDiff(penaltyMinutes)}\n`;
-      responseText += `⏰ Уход не раньше: ${requiredEnd.format('HH:mm')}`;
-
-      if (!status.lateNotified) {
-        await sheetsService.logEvent(
-          user.telegramId,
-          user.nameFull,
-          'LATE_SILENT',
-          `${latenessMinutes} min, penalty=${penaltyMinutes} min`,
-          ratingImpact
-        );
-        ratingImpact = 0.0;
-      }
-    }
-
-    // Log arrival event
-    await sheetsService.logEvent(
+    // Store location data with the site the employee checked in at. A warn rule or a dry run
+    // lets a check-in outside every site through - it gets no site (the nearest is only a guess)
+    const arrivalPoint = { latitude: location.latitude, longitude: location.longitude };
+    const { isInside, site } = geofenceService.checkOfficeGeofence(arrivalPoint, allowedSites);
+    const logged = await completeArrival(ctx, user, now, () => sheetsService.updateArrivalLocation(
       user.telegramId,
-      user.nameFull,
-      eventType,
-      details,
-      ratingImpact
-    );
+      arrivalPoint,
+      location.horizontal_accuracy || location.accuracy || null,
+      isInside ? site.name : ''
+    ));
 
-    // Store location data
-    await sheetsService.updateArrivalLocation(
-      user.telegramId,
-      { latitude: location.latitude, longitude: location.longitude },
-      location.horizontal_accuracy || location.accuracy || null
+    // Sites with "Photo" = yes also need a photo from the workplace
+    if (logged && isInside && site.photo) {
+      await requestArrivalPhoto(ctx.telegram, user, site);
+    }
+  } catch (error) {
+    logger.error(`Error processing arrival with location: ${error.message}`);
+    await ctx.reply(
+      '❌ К сожалению, произошла ошибка при отметке прихода. Пожалуйста, попробуйте снова или обратитесь к администратору.',
+      Keyboards.getMainMenu(ctx.from.id)
     );
+  }
+}
 
-    // Get today's points
-    const updatedStatus = await sheetsService.getUserStatusToday(user.telegramId);
-    const todayPoint = updatedStatus.todayPoint || 0;
-    let pointEmoji = '🟢';
-    if (todayPoint < 0) {
-      pointEmoji = '🔴';
-    } else if (todayPoint === 0) {
-      pointEmoji = '🟡';
+/**
+ * Process arrival check-in by the QR code of a site
+ * @param {Object} ctx - Telegraf context
+ * @param {Object} user - User object
+ * @param {Object} site - Site whose QR code was scanned
+ * @returns {Promise<void>}
+ */
+async function processArrivalWithQr(ctx, user, site) {
+  try {
+    const allowedSites = geofenceService.filterByMethod(await geofenceService.getAllowedSites(user), 'qr');
+    if (!allowedSites.some(allowed => allowed.name === site.name)) {
+      await ctx.reply(
+        `❌ QR-код места «${site.name}» не подходит для Вашей отметки прихода.\n\n` +
+        (allowedSites.length > 0
+          ? `📷 Места с QR-кодом для Вас: ${geofenceService.formatSiteNames(allowedSites)}`
+          : `📍 Отметьте приход кнопкой "✅ Пришёл" с онлайн-местоположением.`),
+        Keyboards.getMainMenu(ctx.from.id)
+      );
+      return;
     }
 
-    responseText += `\n\n📊 Баллы за сегодня: ${todayPoint} ${pointEmoji}`;
-
-    // Don't mention tracking here - already mentioned in previous message
-    // responseText += `\n\n📍 Location tracking active for ${Config.TRACKING_DURATION_MINUTES} minutes...`;
+    const arrival = await checkCanArrive(ctx, user);
+    if (!arrival) return;
 
-    await ctx.reply(responseText, {
-      ...Keyboards.getMainMenu(ctx.from.id),
-      parse_mode: 'Markdown'
-    });
-    logger.info(`Arrival with location logged for ${user.nameFull}: ${details}`);
+    // The QR code replaces a location the bot may still be waiting for
+    stopAwaitingLocation('checkin', user.telegramId);
+    logger.info(`📷 QR check-in of ${user.nameFull} (${user.telegramId}) at ${site.name}`);
 
+    await completeArrival(ctx, user, arrival.now, () => sheetsService.updateArrivalQr(user.telegramId, site.name));
   } catch (error) {
-    logger.error(`Error processing arrival with location: ${error.message}`);
+    logger.error(`Error processing arrival with QR code: ${error.message}`);
     await ctx.reply(
       '❌ К сожалению, произошла ошибка при отметке прихода. Пожалуйста, попробуйте снова или обратитесь к администратору.',
       Keyboards.getMainMenu(ctx.from.id)
@@ -231,77 +491,27 @@ function setupAttendanceHandlers(bot) {
     const user = await getUserOrPromptRegistration(ctx);
     if (!user) return;
 
-    // Check if already arrived today
-    const status = await sheetsService.getUserStatusToday(user.telegramId);
+    const arrival = await checkCanArrive(ctx, user);
+    if (!arrival) return;
+    const { status, now, workTime } = arrival;
 
-    // Check if currently out temporarily
-    if (status.currentlyOut) {
+    // Sites where presence is proven with a QR code only - no location needed
+    const allowedSites = await geofenceService.getAllowedSites(user);
+    const qrSites = geofenceService.filterByMethod(allowedSites, 'qr');
+    if (geofenceService.filterByMethod(allowedSites, 'gps').length === 0) {
       await ctx.reply(
-        `❌ Вы временно вышли из офиса.\n` +
-        `Пожалуйста, сначала отметьте возвращение кнопкой "↩️ Вернулся".`,
+        `📷 Для отметки прихода отсканируйте QR-код на экране рабочего места камерой телефона.\n\n` +
+        `📍 Места: ${geofenceService.formatSiteNames(qrSites)}`,
         await getMainMenuKeyboard(ctx.from.id)
       );
       return;
     }
 
-    // Check if already departed today
-    if (status.hasDeparted) {
-      await ctx.reply(
-        `ℹ️ Вы уже ушли с работы сегодня в ${status.departureTime}\n` +
-        `До завтра! 👋`,
-        await getMainMenuKeyboard(ctx.from.id)
-      );
-      return;
-    }
-
-    if (status.hasArrived) {
-      await ctx.reply(
-        `ℹ️ Вы уже отметили приход сегодня в ${status.arrivalTime}`,
-        await getMainMenuKeyboard(ctx.from.id)
-      );
-      return;
-    }
-
-    // Check if already marked as absent today
-    if (status.isAbsent) {
-      await ctx.reply(
-        `ℹ️ Вы уже отметили отсутствие на сегодня. К сожалению, отметить приход в офис сегодня уже невозможно. Спасибо за понимание! 🙏`,
-        await getMainMenuKeyboard(ctx.from.id)
-      );
-      return;
-    }
-
-    // Get current time
-    const now = moment.tz(Config.TIMEZONE);
-
-    // Parse work schedule
-    const workTime = CalculatorService.parseWorkTime(user.workTime);
-    if (!workTime) {
-      await ctx.reply(
-        '❌ К сожалению, в Вашем расписании обнаружена ошибка. Пожалуйста, обратитесь к администратору.',
-        Keyboards.getMainMenu(ctx.from.id)
-      );
-      return;
-    }
-
-    // Check if arriving after work end time
-    if (now.isAfter(workTime.end)) {
-      await ctx.reply(
-        `⚠️ Ваше рабочее время уже закончилось!\n\n` +
-        `Ваш график работы: ${user.workTime}\n` +
-        `Время окончания работы: ${workTime.end.format('HH:mm')}\n` +
-        `Текущее время: ${now.format('HH:mm')}\n\n` +
-        `🌙 Увидимся завтра! Хорошего вечера!`,
-        Keyboards.getMainMenu(ctx.from.id)
-      );
-      return;
-    }
-
     // === LOCATION TRACKING INTEGRATION ===
     // If location tracking is enabled, request live location
     if (Config.ENABLE_LOCATION_TRACKING) {
       // Store check-in state for this user
-      awaitingLocationForCheckIn.set(user.telegramId, {
+      awaitLocation('checkin', user.telegramId, {
         requestTime: Date.now(),
         user: user,
         checkInTime: now
@@ -322,28 +532,23 @@ function setupAttendanceHandlers(bot) {
         `🔹 Как это сделать:\n` +
         `Нажмите кнопку ниже и выберите опцию "Поделиться моим местоположением онлайн"\n` +
         `Рекомендуем установить время на 15 минут или дольше.\n\n` +
-        `💡 Совет: Пожалуйста, используйте именно онлайн-местоположение, а не статическое, чтобы система могла корректно отследить ваше присутствие.`,
+        `💡 Совет: Пожалуйста, используйте именно онлайн-местоположение, а не статическое, чтобы система могла корректно отследить ваше присутствие.` +
+        (qrSites.length > 0 ? `\n\n📷 Или отсканируйте QR-код на экране (${geofenceService.formatSiteNames(qrSites)}).` : ''),
         keyboard
       );
 
-      // Set timeout to clean up if user doesn't send location
-      setTimeout(() => {
-        if (awaitingLocationForCheckIn.has(user.telegramId)) {
-          awaitingLocationForCheckIn.delete(user.telegramId);
-          logger.warn(`Location request timeout for user ${user.telegramId}`);
-        }
-      }, 5 * 60 * 1000); // 5 minutes timeout
-
       return; // Exit here, will resume when location is received
     }
 
     // === FALLBACK: LOCATION TRACKING DISABLED ===
     // Continue with normal check-in (without location)
 
-    // Check if Sunday OR (Saturday AND user doesn't work on Saturday) - encourage work
-    const isSunday = now.day() === 0;
-    const isSaturday = now.day() === 6;
-    const isDayOff = isSunday || (isSaturday && user.doNotWorkSaturday);
+    // Check if the shift day is a day off by the employee's schedule - encourage work
+    // (a late arrival after midnight still belongs to yesterday's night shift)
+    const shiftDay = status.shiftDate ? moment.tz(status.shiftDate, Config.TIMEZONE) : now;
+    const isSunday = shiftDay.day() === 0;
+    const isSaturday = shiftDay.day() === 6;
+    const isDayOff = await scheduleService.isDayOff(user, shiftDay);
 
     // Calculate lateness
     const { latenessMinutes, status: latenessStatus } = CalculatorService.calculateLateness(
@@ -357,10 +562,10 @@ function setupAttendanceHandlers(bot) {
     let ratingImpact = 0.0;
 
     if (isDayOff) {
-      const dayName = isSunday ? 'воскресенье' : 'субботу';
+      const dayName = await scheduleService.getDayOffName(user, shiftDay, true);
       responseText += `🌟 Отличная работа! Вы работаете в ${dayName}!\n`;
       responseText += `💪 Такое усердие заслуживает уважения!`;
-      details = isSunday ? 'sunday_work' : 'saturday_work';
+      details = isSunday ? 'sunday_work' : (isSaturday ? 'saturday_work' : 'day_off_work');
       ratingImpact = 1.0; // Bonus point for working on day off
     } else if (latenessStatus === 'ON_TIME') {
       responseText += `🎉 Вы пришли вовремя!`;
@@ -423,6 +628,7 @@ function setupAttendanceHandlers(bot) {
     responseText += `\n\n📊 Баллы сегодня: ${todayPoint} ${pointEmoji}`;
 
     await ctx.reply(responseText, Keyboards.getMainMenu(ctx.from.id));
+    await offerAppeal(ctx, updatedStatus);
     logger.info(`Arrival logged for ${user.nameFull}: ${details}`);
   });
 
@@ -464,7 +670,7 @@ function setupAttendanceHandlers(bot) {
     const now = moment.tz(Config.TIMEZONE);
 
     // Parse work schedule
-    const workTime = CalculatorService.parseWorkTime(user.workTime);
+    const workTime = await scheduleService.getWorkTime(user);
     if (!workTime) {
       await ctx.reply(
         '❌ К сожалению, в Вашем расписании обнаружена ошибка. Пожалуйста, обратитесь к администратору.',
@@ -477,7 +683,7 @@ function setupAttendanceHandlers(bot) {
     // If location tracking is enabled, request live location
     if (Config.ENABLE_LOCATION_TRACKING) {
       // Store checkout state for this user
-      awaitingLocationForCheckout.set(user.telegramId.toString(), {
+      awaitLocation('checkout', user.telegramId, {
         requestTime: Date.now(),
         user: user,
         checkoutTime: now,
@@ -510,14 +716,6 @@ function setupAttendanceHandlers(bot) {
         { parse_mode: 'Markdown' }
       );
 
-      // Set timeout to clean up if user doesn't send location
-      setTimeout(() => {
-        if (awaitingLocationForCheckout.has(user.telegramId.toString())) {
-          awaitingLocationForCheckout.delete(user.telegramId.toString());
-          logger.warn(`Checkout location request timeout for user ${user.telegramId}`);
-        }
-      }, 5 * 60 * 1000); // 5 minutes timeout
-
       return; // Exit here - wait for location
     }
 
@@ -532,12 +730,7 @@ function setupAttendanceHandlers(bot) {
     // Check if leaving early (only if not using extend)
     if (!status.extendNotified && status.arrivalTime) {
       try {
-        const [arrivalHour, arrivalMin, arrivalSec] = status.arrivalTime.split(':').map(Number);
-        const arrivalDt = now.clone().set({
-          hour: arrivalHour,
-          minute: arrivalMin,
-          second: arrivalSec
-        });
+        const arrivalDt = CalculatorService.parseShiftTime(status.arrivalTime, status.shiftDate || now, workTime);
 
         // Recalculate lateness and penalty
         const { latenessMinutes } = CalculatorService.calculateLateness(workTime.start, arrivalDt);
@@ -584,12 +777,7 @@ function setupAttendanceHandlers(bot) {
     if (status.arrivalTime) {
       try {
         // Parse arrival time
-        const [arrivalHour, arrivalMin, arrivalSec] = status.arrivalTime.split(':').map(Number);
-        const arrivalDt = now.clone().set({
-          hour: arrivalHour,
-          minute: arrivalMin,
-          second: arrivalSec
-        });
+        const arrivalDt = CalculatorService.parseShiftTime(status.arrivalTime, status.shiftDate || now, workTime);
 
         // Calculate lateness and penalty
         const { latenessMinutes } = CalculatorService.calculateLateness(workTime.start, arrivalDt);
@@ -642,6 +830,7 @@ function setupAttendanceHandlers(bot) {
     responseText += `\n\n📊 Баллы сегодня: ${todayPoint} ${pointEmoji}`;
 
     await ctx.reply(responseText, Keyboards.getMainMenu(ctx.from.id));
+    await offerAppeal(ctx, updatedStatus);
     logger.info(`Departure logged for ${user.nameFull}: ${departureMessage}`);
   });
 
@@ -694,7 +883,7 @@ function setupAttendanceHandlers(bot) {
 
     // Check if leaving early or on time
     const now = moment.tz(Config.TIMEZONE);
-    const workTime = CalculatorService.parseWorkTime(user.workTime);
+    const workTime = await scheduleService.getWorkTime(user);
 
     // FIX: Allow departure even after work time ends (removed blocking check)
     // Users should always be able to log their departure for proper tracking
@@ -733,12 +922,7 @@ function setupAttendanceHandlers(bot) {
 
     if (status.arrivalTime) {
       try {
-        const [arriveHour, arriveMinute, arriveSecond] = status.arrivalTime.split(':').map(Number);
-        arrivalTime = now.clone().set({
-          hour: arriveHour,
-          minute: arriveMinute,
-          second: arriveSecond || 0
-        });
+        arrivalTime = CalculatorService.parseShiftTime(status.arrivalTime, status.shiftDate || now, workTime);
         actualWorkedMinutes = now.diff(arrivalTime, 'minutes');
       } catch (err) {
         logger.error(`Error parsing arrival time: ${err.message}`);
@@ -748,7 +932,7 @@ function setupAttendanceHandlers(bot) {
     const actualWorkedHours = (actualWorkedMinutes / 60).toFixed(2);
 
     // Get the required end time from the daily sheet (if person came late, this will be later than normal end time)
-    const sheetName = now.format('YYYY-MM-DD');
+    const sheetName = status.shiftDate || now.format('YYYY-MM-DD');
     const worksheet = await sheetsService.getWorksheet(sheetName);
     await worksheet.loadHeaderRow();
     const rows = await worksheet.getRows();
@@ -758,8 +942,7 @@ function setupAttendanceHandlers(bot) {
       if (row.get('TelegramId')?.toString().trim() === user.telegramId.toString()) {
         const requiredEndStr = row.get('Required end time') || '';
         if (requiredEndStr.trim()) {
-          const [reqHour, reqMinute] = requiredEndStr.split(':').map(num => parseInt(num));
-          requiredEndTime = moment.tz(Config.TIMEZONE).set({ hour: reqHour, minute: reqMinute, second: 0 });
+          requiredEndTime = CalculatorService.parseShiftTime(requiredEndStr, sheetName, workTime);
         }
         break;
       }
@@ -789,7 +972,7 @@ function setupAttendanceHandlers(bot) {
       // Leaving on time or later - REQUEST LOCATION if enabled
       if (Config.ENABLE_LOCATION_TRACKING) {
         // Store checkout state
-        awaitingLocationForCheckout.set(user.telegramId.toString(), {
+        awaitLocation('checkout', user.telegramId, {
           requestTime: Date.now(),
           user: user,
           checkoutTime: now,
@@ -818,14 +1001,6 @@ function setupAttendanceHandlers(bot) {
           { parse_mode: 'Markdown' }
         );
 
-        // Set timeout - 5 minutes
-        setTimeout(() => {
-          if (awaitingLocationForCheckout.has(user.telegramId.toString())) {
-            awaitingLocationForCheckout.delete(user.telegramId.toString());
-            logger.warn(`Checkout location request timeout for user ${user.telegramId}`);
-          }
-        }, 5 * 60 * 1000);
-
         return; // Exit here - wait for location
       }
 
@@ -855,6 +1030,7 @@ function setupAttendanceHandlers(bot) {
         `📊 Баллы сегодня: ${todayPoint} ${pointEmoji}`,
         Keyboards.getMainMenu(ctx.from.id)
       );
+      await offerAppeal(ctx, updatedStatus);
 
       logger.info(`On-time departure logged for ${user.nameFull}`);
     }
@@ -865,16 +1041,14 @@ function setupAttendanceHandlers(bot) {
     const user = await getUserOrPromptRegistration(ctx);
     if (!user) return;
 
-    // Check if Sunday OR (Saturday AND user doesn't work on Saturday) - encourage rest
+    // Check if today is a day off by the employee's schedule - encourage rest
     const now = moment.tz(Config.TIMEZONE);
-    const isSunday = now.day() === 0;
-    const isSaturday = now.day() === 6;
-    const isDayOff = isSunday || (isSaturday && user.doNotWorkSaturday);
+    const isDayOff = await scheduleService.isDayOff(user, now);
 
     if (isDayOff) {
-      const dayName = isSunday ? 'воскресенье' : 'суббота';
+      const dayName = await scheduleService.getDayOffName(user, now);
       await ctx.reply(
-        `🌞 Сегодня ${dayName}, отдыхайте!\n\n` +
+        `🌞 Сегодня ${dayName}, у вас выходной - отдыхайте!\n\n` +
         'Не нужно отмечать опоздания в выходной день.\n' +
         'Хорошего отдыха! 😊',
         Keyboards.getMainMenu(ctx.from.id)
@@ -882,7 +1056,7 @@ function setupAttendanceHandlers(bot) {
       return;
     }
 
-    const workTime = CalculatorService.parseWorkTime(user.workTime);
+    const workTime = await scheduleService.getWorkTime(user);
 
     if (!workTime) {
       await ctx.reply(
@@ -1006,7 +1180,7 @@ function setupAttendanceHandlers(bot) {
     const durationMinutes = parseInt(durationCode);
 
     // Get work time to calculate arrival time
-    const workTime = CalculatorService.parseWorkTime(user.workTime);
+    const workTime = await scheduleService.getWorkTime(user);
     if (!workTime) {
       await ctx.editMessageText('❌ Ошибка в вашем расписании. Обратитесь к администратору.');
       return;
@@ -1099,7 +1273,7 @@ function setupAttendanceHandlers(bot) {
         }
 
         // Get work time to calculate arrival time
-        const workTime = CalculatorService.parseWorkTime(user.workTime);
+        const workTime = await scheduleService.getWorkTime(user);
         if (!workTime) {
           await ctx.reply(
             '❌ К сожалению, в Вашем расписании обнаружена ошибка. Пожалуйста, обратитесь к администратору.',
@@ -1190,7 +1364,7 @@ function setupAttendanceHandlers(bot) {
       const now = moment.tz(Config.TIMEZONE);
 
       // Parse work schedule
-      const workTime = CalculatorService.parseWorkTime(user.workTime);
+      const workTime = await scheduleService.getWorkTime(user);
       if (!workTime) {
         await ctx.reply(
           '❌ К сожалению, в Вашем расписании обнаружена ошибка. Пожалуйста, обратитесь к администратору.',
@@ -1211,12 +1385,7 @@ function setupAttendanceHandlers(bot) {
       // Check if leaving early
       if (!status.extendNotified && status.arrivalTime) {
         try {
-          const [arrivalHour, arrivalMin, arrivalSec] = status.arrivalTime.split(':').map(Number);
-          const arrivalDt = now.clone().set({
-            hour: arrivalHour,
-            minute: arrivalMin,
-            second: arrivalSec
-          });
+          const arrivalDt = CalculatorService.parseShiftTime(status.arrivalTime, status.shiftDate || now, workTime);
 
           // Recalculate lateness and penalty
           const { latenessMinutes } = CalculatorService.calculateLateness(workTime.start, arrivalDt);
@@ -1274,6 +1443,7 @@ function setupAttendanceHandlers(bot) {
       responseText += `\n\n📊 Баллы сегодня: ${todayPoint} ${pointEmoji}`;
 
       await ctx.reply(responseText, Keyboards.getMainMenu(ctx.from.id));
+      await offerAppeal(ctx, updatedStatus);
       logger.info(`Departure logged for ${user.nameFull}: ${departureMessage}`);
 
       delete ctx.session.awaitingDepartureMessage;
@@ -1358,12 +1528,12 @@ function setupAttendanceHandlers(bot) {
 
       const reason = ctx.message.text.trim();
       const now = moment.tz(Config.TIMEZONE);
-      const workTime = CalculatorService.parseWorkTime(user.workTime);
+      const workTime = await scheduleService.getWorkTime(user);
 
       // REQUEST LOCATION FOR EARLY DEPARTURE if location tracking enabled
       if (Config.ENABLE_LOCATION_TRACKING && workTime) {
         // Store checkout state with early departure reason
-        awaitingLocationForCheckout.set(user.telegramId.toString(), {
+        awaitLocation('checkout', user.telegramId, {
           requestTime: Date.now(),
           user: user,
           checkoutTime: now,
@@ -1394,14 +1564,6 @@ function setupAttendanceHandlers(bot) {
           { parse_mode: 'Markdown' }
         );
 
-        // Set timeout to clean up if user doesn't send location
-        setTimeout(() => {
-          if (awaitingLocationForCheckout.has(user.telegramId.toString())) {
-            awaitingLocationForCheckout.delete(user.telegramId.toString());
-            logger.warn(`Checkout location request timeout for user ${user.telegramId}`);
-          }
-        }, 5 * 60 * 1000); // 5 minutes timeout
-
         delete ctx.session.awaitingEarlyDepartureReason;
         return; // Exit here - wait for location
       }
@@ -1435,6 +1597,7 @@ function setupAttendanceHandlers(bot) {
         `📊 Баллы сегодня: ${todayPoint} ${pointEmoji}`,
         Keyboards.getMainMenu(ctx.from.id)
       );
+      await offerAppeal(ctx, updatedStatus);
 
       delete ctx.session.awaitingEarlyDepartureReason;
       logger.info(`Early departure logged for ${user.nameFull}: ${reason}`);
@@ -1449,16 +1612,14 @@ function setupAttendanceHandlers(bot) {
     const user = await getUserOrPromptRegistration(ctx);
     if (!user) return;
 
-    // Check if Sunday OR (Saturday AND user doesn't work on Saturday) - encourage rest
+    // Check if today is a day off by the employee's schedule - encourage rest
     const now = moment.tz(Config.TIMEZONE);
-    const isSunday = now.day() === 0;
-    const isSaturday = now.day() === 6;
-    const isDayOff = isSunday || (isSaturday && user.doNotWorkSaturday);
+    const isDayOff = await scheduleService.isDayOff(user, now);
 
     if (isDayOff) {
-      const dayName = isSunday ? 'воскресенье' : 'суббота';
+      const dayName = await scheduleService.getDayOffName(user, now);
       await ctx.reply(
-        `🌞 Сегодня ${dayName}, отдыхайте!\n\n` +
+        `🌞 Сегодня ${dayName}, у вас выходной - отдыхайте!\n\n` +
         'Не нужно отмечать отсутствие в выходной день.\n' +
         'Хорошего отдыха! 😊',
         Keyboards.getMainMenu(ctx.from.id)
@@ -1466,7 +1627,7 @@ function setupAttendanceHandlers(bot) {
       return;
     }
 
-    const workTime = CalculatorService.parseWorkTime(user.workTime);
+    const workTime = await scheduleService.getWorkTime(user);
 
     if (!workTime) {
       await ctx.reply(
@@ -1638,12 +1799,12 @@ function setupAttendanceHandlers(bot) {
 
     const reasonText = reasons[reasonCode] || 'Не указана';
     const now = moment.tz(Config.TIMEZONE);
-    const workTime = CalculatorService.parseWorkTime(user.workTime);
+    const workTime = await scheduleService.getWorkTime(user);
 
     // REQUEST LOCATION FOR EARLY DEPARTURE if location tracking enabled
     if (Config.ENABLE_LOCATION_TRACKING && workTime) {
       // Store checkout state with early departure reason
-      awaitingLocationForCheckout.set(user.telegramId.toString(), {
+      awaitLocation('checkout', user.telegramId, {
         requestTime: Date.now(),
         user: user,
         checkoutTime: now,
@@ -1679,14 +1840,6 @@ function setupAttendanceHandlers(bot) {
         { parse_mode: 'Markdown' }
       );
 
-      // Set timeout to clean up if user doesn't send location
-      setTimeout(() => {
-        if (awaitingLocationForCheckout.has(user.telegramId.toString())) {
-          awaitingLocationForCheckout.delete(user.telegramId.toString());
-          logger.warn(`Checkout location request timeout for user ${user.telegramId}`);
-        }
-      }, 5 * 60 * 1000); // 5 minutes timeout
-
       return; // Exit here - wait for location
     }
 
@@ -1720,6 +1873,7 @@ function setupAttendanceHandlers(bot) {
     );
 
     await ctx.reply('🏠 Главное меню:', Keyboards.getMainMenu(ctx.from.id));
+    await offerAppeal(ctx, updatedStatus);
 
     logger.info(`Early departure logged for ${user.nameFull}: ${reasonText}`);
   });
@@ -1731,7 +1885,7 @@ function setupAttendanceHandlers(bot) {
 
     // Check if after work end time
     const now = moment.tz(Config.TIMEZONE);
-    const workTime = CalculatorService.parseWorkTime(user.workTime);
+    const workTime = await scheduleService.getWorkTime(user);
 
     if (!workTime) {
       await ctx.reply(
@@ -1832,7 +1986,7 @@ function setupAttendanceHandlers(bot) {
     const durationMinutes = parseInt(durationCode);
 
     // Calculate new end time
-    const workTime = CalculatorService.parseWorkTime(user.workTime);
+    const workTime = await scheduleService.getWorkTime(user);
     if (!workTime) {
       await ctx.editMessageText('❌ Ошибка в вашем расписании. Обратитесь к администратору.');
       return;
@@ -1843,7 +1997,7 @@ function setupAttendanceHandlers(bot) {
 
     // FIX: Update work_extension_minutes in the Google Sheet using cached method
     const now = moment.tz(Config.TIMEZONE);
-    const today = now.format('YYYY-MM-DD');
+    const today = await sheetsService.getShiftDate(user.telegramId, now);
 
     try {
       // Use cached method - reduces API calls from 4 to 1
@@ -1926,7 +2080,7 @@ function setupAttendanceHandlers(bot) {
         }
 
         // Calculate new end time
-        const workTime = CalculatorService.parseWorkTime(user.workTime);
+        const workTime = await scheduleService.getWorkTime(user);
         if (!workTime) {
           await ctx.reply(
             '❌ К сожалению, в Вашем расписании обнаружена ошибка. Пожалуйста, обратитесь к администратору.',
@@ -1942,7 +2096,7 @@ function setupAttendanceHandlers(bot) {
 
         // FIX: Update work_extension_minutes in the Google Sheet using cached method
         const now = moment.tz(Config.TIMEZONE);
-        const today = now.format('YYYY-MM-DD');
+        const today = await sheetsService.getShiftDate(user.telegramId, now);
 
         try {
           // Use cached method - reduces API calls from 4 to 1
@@ -2068,7 +2222,7 @@ function setupAttendanceHandlers(bot) {
   // Admin command: Create today's sheet manually
   bot.command('createsheet', async (ctx) => {
     // Check if user is admin
-    if (!Config.ADMIN_TELEGRAM_IDS.includes(ctx.from.id)) {
+    if (!(await roleService.can(ctx.from.id, 'system'))) {
       await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
       return;
     }
@@ -2096,10 +2250,131 @@ function setupAttendanceHandlers(bot) {
     }
   });
 
+  // Admin command: List upcoming holidays
+  bot.command('holidays', async (ctx) => {
+    // Check if user is admin
+    if (!(await roleService.can(ctx.from.id, 'holidays'))) {
+      await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
+      return;
+    }
+
+    try {
+      const holidays = await holidayService.getUpcoming();
+
+      if (holidays.length === 0) {
+        await ctx.reply(
+          '📅 Предстоящих праздников нет.\n\n' +
+          'Добавить: /addholiday ГГГГ-ММ-ДД Название\n' +
+          'Для одной компании: /addholiday ГГГГ-ММ-ДД Название | Компания'
+        );
+        return;
+      }
+
+      let text = '📅 ПРЕДСТОЯЩИЕ ПРАЗДНИКИ\n\n';
+      for (const holiday of holidays) {
+        const date = moment.tz(holiday.date, 'YYYY-MM-DD', Config.TIMEZONE);
+        text += `• ${holiday.date} (${scheduleService.getDayName(date)}) - ${holiday.name || 'Выходной'}`;
+        text += holiday.company ? ` [${holiday.company}]\n` : '\n';
+      }
+      text += '\nУдалить: /removeholiday ГГГГ-ММ-ДД [Компания]';
+
+      await ctx.reply(text);
+    } catch (error) {
+      await ctx.reply(`❌ Ошибка при загрузке праздников: ${error.message}`);
+      logger.error(`Error in /holidays command: ${error.message}`);
+    }
+  });
+
+  // Admin command: Add a holiday (optionally only for one company)
+  // Usage: /addholiday 2025-03-21 Навруз | Company
+  bot.command('addholiday', async (ctx) => {
+    // Check if user is admin
+    if (!(await roleService.can(ctx.from.id, 'holidays'))) {
+      await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
+      return;
+    }
+
+    const args = ctx.message.text.replace(/^\/addholiday(@\S+)?\s*/, '');
+    const match = args.match(/^(\d{4}-\d{2}-\d{2})\s+([^|]+?)\s*(?:\|\s*(.+))?$/);
+
+    if (!match) {
+      await ctx.reply(
+        '❌ Неверный формат.\n\n' +
+        'Использование: /addholiday ГГГГ-ММ-ДД Название [| Компания]\n' +
+        'Пример: /addholiday 2025-03-21 Навруз'
+      );
+      return;
+    }
+
+    const [, dateStr, name, company = ''] = match;
+
+    try {
+      const addedBy = ctx.from.username ? `@${ctx.from.username}` : ctx.from.id.toString();
+      const holiday = await holidayService.addHoliday(dateStr, name, company, addedBy);
+      const date = moment.tz(holiday.date, 'YYYY-MM-DD', Config.TIMEZONE);
+
+      // The month's report may already exist - keep its required days/hours in sync
+      await sheetsService.refreshMonthlyRequirements(date.format('YYYY-MM'));
+
+      await ctx.reply(
+        `✅ Праздник добавлен!\n\n` +
+        `📅 Дата: ${holiday.date} (${scheduleService.getDayName(date)})\n` +
+        `🎉 Название: ${holiday.name}\n` +
+        `🏢 Для: ${holiday.company || 'всех сотрудников'}\n\n` +
+        'В этот день не будет напоминаний и отметок о неявке.'
+      );
+
+      logger.info(`Admin ${ctx.from.id} added holiday ${holiday.date} (${holiday.name})${holiday.company ? ` for ${holiday.company}` : ''}`);
+    } catch (error) {
+      await ctx.reply(`❌ Ошибка при добавлении праздника: ${error.message}`);
+      logger.error(`Error in /addholiday command: ${error.message}`);
+    }
+  });
+
+  // Admin command: Remove a holiday
+  // Usage: /removeholiday 2025-03-21 [Company]
+  bot.command('removeholiday', async (ctx) => {
+    // Check if user is admin
+    if (!(await roleService.can(ctx.from.id, 'holidays'))) {
+      await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
+      return;
+    }
+
+    const args = ctx.message.text.replace(/^\/removeholiday(@\S+)?\s*/, '');
+    const match = args.match(/^(\d{4}-\d{2}-\d{2})(?:\s+(.+))?$/);
+
+    if (!match) {
+      await ctx.reply(
+        '❌ Неверный формат.\n\n' +
+        'Использование: /removeholiday ГГГГ-ММ-ДД [Компания]'
+      );
+      return;
+    }
+
+    const [, dateStr, company = null] = match;
+
+    try {
+      const removed = await holidayService.removeHoliday(dateStr, company);
+
+      if (removed === 0) {
+        await ctx.reply(`📭 Праздник на ${dateStr}${company ? ` для ${company}` : ''} не найден.`);
+        return;
+      }
+
+      await sheetsService.refreshMonthlyRequirements(dateStr.substring(0, 7));
+
+      await ctx.reply(`✅ Удалено праздников на ${dateStr}: ${removed}`);
+      logger.info(`Admin ${ctx.from.id} removed ${removed} holiday(s) on ${dateStr}${company ? ` for ${company}` : ''}`);
+    } catch (error) {
+      await ctx.reply(`❌ Ошибка при удалении праздника: ${error.message}`);
+      logger.error(`Error in /removeholiday command: ${error.message}`);
+    }
+  });
+
   // Admin command: Manually trigger end-of-day process (for testing)
   bot.command('endday', async (ctx) => {
     // Check if user is admin
-    if (!Config.ADMIN_TELEGRAM_IDS.includes(ctx.from.id)) {
+    if (!(await roleService.can(ctx.from.id, 'system'))) {
       await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
       return;
     }
@@ -2142,7 +2417,7 @@ function setupAttendanceHandlers(bot) {
   // Admin command: Confirm end-of-day in production
   bot.command('endday_confirm', async (ctx) => {
     // Check if user is admin
-    if (!Config.ADMIN_TELEGRAM_IDS.includes(ctx.from.id)) {
+    if (!(await roleService.can(ctx.from.id, 'system'))) {
       await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
       return;
     }
@@ -2301,7 +2576,7 @@ function setupAttendanceHandlers(bot) {
   // Admin command: Update monthly report manually
   bot.command('updatereport', async (ctx) => {
     // Check if user is admin
-    if (!Config.ADMIN_TELEGRAM_IDS.includes(ctx.from.id)) {
+    if (!(await roleService.can(ctx.from.id, 'system'))) {
       await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
       return;
     }
@@ -2309,66 +2584,30 @@ function setupAttendanceHandlers(bot) {
     try {
       const now = moment.tz(Config.TIMEZONE);
       const yearMonth = now.format('YYYY-MM');
-      const reportSheetName = `Report_${yearMonth}`;
+      const currentDay = now.date();
 
       await ctx.reply(`🔄 Проверяю месячный отчёт ${yearMonth}...`);
 
-      // Check if monthly report exists
-      const reportExists = sheetsService.doc.sheetsByTitle[reportSheetName];
-
-      if (!reportExists) {
-        await ctx.reply(`📝 Создаю новый месячный отчёт ${reportSheetName}...`);
-        await sheetsService.initializeMonthlyReport(yearMonth);
-        logger.info(`Created new monthly report ${reportSheetName}`);
-      }
-
-      // Update with all daily sheets from this month
-      const startOfMonth = moment.tz(Config.TIMEZONE).startOf('month');
-      const currentDay = now.date();
-      let processedDays = 0;
-      let skippedDays = 0;
-
       // Send progress message
       const progressMsg = await ctx.reply(
         `🔄 Обновляю отчёт данными всех дней месяца...\n\n` +
         `📅 Обрабатываю дни: 0/${currentDay}`
       );
 
-      for (let day = 1; day <= currentDay; day++) {
-        const dateStr = moment.tz(Config.TIMEZONE).set('date', day).format('YYYY-MM-DD');
-
-        // Check if daily sheet exists
-        const dailySheet = sheetsService.doc.sheetsByTitle[dateStr];
-        if (dailySheet) {
-          await sheetsService.updateMonthlyReport(dateStr);
-          processedDays++;
-          logger.info(`Updated monthly report with data from ${dateStr}`);
-
-          // Update progress every 5 days or on last day
-          if (day % 5 === 0 || day === currentDay) {
-            try {
-              await ctx.telegram.editMessageText(
-                ctx.chat.id,
-                progressMsg.message_id,
-                null,
-                `🔄 Обновляю отчёт данными всех дней месяца...\n\n` +
-                `📅 Обработано: ${processedDays}/${currentDay} дней\n` +
-                `⏳ Идёт обработка...`
-              );
-            } catch (err) {
-              // Ignore edit errors
-            }
-          }
-
-          // Add delay to avoid API rate limit (1.5 seconds between each day)
-          if (day < currentDay) {
-            await new Promise(resolve => setTimeout(resolve, 1500));
-          }
-        } else {
-          skippedDays++;
-          logger.debug(`Daily sheet ${dateStr} doesn't exist, skipping`);
+      const { processedDays, skippedDays } = await sheetsService.rebuildMonthlyReport(async (processed, total) => {
+        try {
+          await ctx.telegram.editMessageText(
+            ctx.chat.id,
+            progressMsg.message_id,
+            null,
+            `🔄 Обновляю отчёт данными всех дней месяца...\n\n` +
+            `📅 Обработано: ${processed}/${total} дней\n` +
+            `⏳ Идёт обработка...`
+          );
+        } catch (err) {
+          // Ignore edit errors
         }
-      }
+      });
 
       await ctx.reply(
         `✅ Месячный отчёт обновлён успешно!\n\n` +
@@ -2387,29 +2626,43 @@ function setupAttendanceHandlers(bot) {
   });
 
   // Admin command: Send daily report
+  // Usage: /reportdaily  or  /reportdaily pdf  or  /reportdaily html (REPORT_FORMAT by default)
   bot.command('reportdaily', async (ctx) => {
-    // Check if user is admin
-    if (!Config.ADMIN_TELEGRAM_IDS.includes(ctx.from.id)) {
+    // Check if user has access to reports
+    if (!(await roleService.can(ctx.from.id, 'reports'))) {
       await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
       return;
     }
 
+    const format = pdfReportService.resolveFormat(ctx.message.text.split(/\s+/)[1]);
+    if (!format) {
+      await ctx.reply('❌ Формат: /reportdaily [pdf|html]');
+      return;
+    }
+
     try {
       const now = moment.tz(Config.TIMEZONE);
       const today = now.format('YYYY-MM-DD');
 
       await ctx.reply(`📊 Формирую дневной отчёт за ${today}...`);
 
-      // Get today's worksheet
+      // Get today's worksheet (only employees in the user's scope)
       const worksheet = await sheetsService.getWorksheet(today);
       await worksheet.loadHeaderRow();
-      const rows = await worksheet.getRows();
+      const scope = await roleService.getScope(ctx.from.id);
+      const rows = await roleService.filterRows(await worksheet.getRows(), scope, 'TelegramId');
 
       if (rows.length === 0) {
         await ctx.reply('📭 Нет данных за сегодня.');
         return;
       }
 
+      if (format === 'pdf') {
+        await sendDailyPdfReport(ctx, today, now, rows);
+        logger.info(`Admin ${ctx.from.id} requested daily PDF report for ${today}`);
+        return;
+      }
+
       let presentCount = 0;
       let lateCount = 0;
       let absentCount = 0;
@@ -2480,6 +2733,9 @@ function setupAttendanceHandlers(bot) {
         `;
       }
 
+      // Per-team breakdown (empty when nobody is in a team)
+      const teamBreakdown = await teamService.buildBreakdownHtml(rows, 'daily');
+
       // Build HTML report
       const html = `
 <!DOCTYPE html>
@@ -2670,6 +2926,7 @@ function setupAttendanceHandlers(bot) {
       </table>
     </div>
 
+    ${teamBreakdown}
     <div class="footer">
       Сгенерировано системой учёта посещаемости • ${now.format('DD.MM.YYYY HH:mm:ss')}
     </div>
@@ -2706,30 +2963,44 @@ function setupAttendanceHandlers(bot) {
   });
 
   // Admin command: Send monthly report
+  // Usage: /reportmonthly  or  /reportmonthly pdf  or  /reportmonthly html (REPORT_FORMAT by default)
   bot.command('reportmonthly', async (ctx) => {
-    // Check if user is admin
-    if (!Config.ADMIN_TELEGRAM_IDS.includes(ctx.from.id)) {
+    // Check if user has access to reports
+    if (!(await roleService.can(ctx.from.id, 'reports'))) {
       await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
       return;
     }
 
+    const format = pdfReportService.resolveFormat(ctx.message.text.split(/\s+/)[1]);
+    if (!format) {
+      await ctx.reply('❌ Формат: /reportmonthly [pdf|html]');
+      return;
+    }
+
     try {
       const now = moment.tz(Config.TIMEZONE);
       const yearMonth = now.format('YYYY-MM');
 
       await ctx.reply(`📊 Формирую месячный отчёт за ${yearMonth}...`);
 
-      // Get monthly report worksheet
+      // Get monthly report worksheet (only employees in the user's scope)
       const sheetName = `Report_${yearMonth}`;
       const worksheet = await sheetsService.getWorksheet(sheetName);
       await worksheet.loadHeaderRow();
-      const rows = await worksheet.getRows();
+      const scope = await roleService.getScope(ctx.from.id);
+      const rows = await roleService.filterRows(await worksheet.getRows(), scope, 'Telegram ID');
 
       if (rows.length === 0) {
         await ctx.reply('📭 Нет данных за этот месяц.');
         return;
       }
 
+      if (format === 'pdf') {
+        await sendMonthlyPdfReport(ctx, yearMonth, now, rows);
+        logger.info(`Admin ${ctx.from.id} requested monthly PDF report for ${yearMonth}`);
+        return;
+      }
+
       // Sort by total hours worked (descending) - most hours = rank #1
       const sortedRows = rows.sort((a, b) => {
         const hoursA = parseFloat(a.get('Total Hours Worked') || '0');
@@ -2785,6 +3056,9 @@ function setupAttendanceHandlers(bot) {
         rank++;
       }
 
+      // Per-team breakdown (empty when nobody is in a team)
+      const teamBreakdown = await teamService.buildBreakdownHtml(rows, 'monthly');
+
       // Build HTML report
       const html = `
 <!DOCTYPE html>
@@ -3009,6 +3283,7 @@ function setupAttendanceHandlers(bot) {
       </table>
     </div>
 
+    ${teamBreakdown}
     <div class="footer">
       Сгенерировано системой учёта посещаемости • ${now.format('DD.MM.YYYY HH:mm:ss')}
     </div>
@@ -3055,8 +3330,8 @@ function setupAttendanceHandlers(bot) {
 
   // Admin button: Daily report
   bot.hears('📊 Отчёт за день', async (ctx) => {
-    // Check if user is admin
-    if (!Config.ADMIN_TELEGRAM_IDS.includes(ctx.from.id)) {
+    // Check if user has access to reports
+    if (!(await roleService.can(ctx.from.id, 'reports'))) {
       return;
     }
 
@@ -3073,7 +3348,8 @@ function setupAttendanceHandlers(bot) {
 
       const worksheet = await sheetsService.getWorksheet(today);
       await worksheet.loadHeaderRow();
-      const rows = await worksheet.getRows();
+      const scope = await roleService.getScope(ctx.from.id);
+      const rows = await roleService.filterRows(await worksheet.getRows(), scope, 'TelegramId');
 
       if (rows.length === 0) {
         await ctx.reply('📭 Нет данных за сегодня.', Keyboards.getMainMenu(ctx.from.id));
@@ -3091,8 +3367,8 @@ function setupAttendanceHandlers(bot) {
 
   // Admin button: Monthly report
   bot.hears('📈 Отчёт за месяц', async (ctx) => {
-    // Check if user is admin
-    if (!Config.ADMIN_TELEGRAM_IDS.includes(ctx.from.id)) {
+    // Check if user has access to reports
+    if (!(await roleService.can(ctx.from.id, 'reports'))) {
       return;
     }
 
@@ -3122,9 +3398,10 @@ function setupAttendanceHandlers(bot) {
         logger.info(`Monthly report sheet ${sheetName} created successfully`);
       }
 
-      // Load sheet data
+      // Load sheet data (only employees in the user's scope)
       await worksheet.loadHeaderRow();
-      const rows = await worksheet.getRows();
+      const scope = await roleService.getScope(ctx.from.id);
+      const rows = await roleService.filterRows(await worksheet.getRows(), scope, 'Telegram ID');
 
       logger.info(`Monthly report sheet ${sheetName} has ${rows.length} rows`);
 
@@ -3162,8 +3439,25 @@ function setupAttendanceHandlers(bot) {
 
   // Admin button: Broadcast message
   bot.hears('📢 Отправить всем сообщение', async (ctx) => {
-    // Check if user is admin
-    if (!Config.ADMIN_TELEGRAM_IDS.includes(ctx.from.id)) {
+    // Check if user can broadcast
+    if (!(await roleService.can(ctx.from.id, 'broadcast'))) {
+      return;
+    }
+
+    ctx.session = ctx.session || {};
+    ctx.session.broadcastTeam = null;
+
+    // Teams with members the sender may write to
+    const scope = await roleService.getScope(ctx.from.id);
+    const scopedIds = await roleService.getScopedTelegramIds(scope);
+    const memberTeams = await teamService.getMemberTeams();
+    const teams = [...new Set([...memberTeams.entries()]
+      .filter(([telegramId, team]) => team && (!scopedIds || scopedIds.has(telegramId)))
+      .map(([, team]) => team))].sort();
+
+    if (teams.length > 0) {
+      ctx.session.broadcastTeams = teams;
+      await ctx.reply('📢 Кому отправить сообщение?', Keyboards.getBroadcastTargetKeyboard(teams));
       return;
     }
 
@@ -3173,8 +3467,39 @@ function setupAttendanceHandlers(bot) {
       Keyboards.getTextInput('Ваше сообщение...')
     );
 
+    ctx.session.awaitingBroadcastMessage = true;
+  });
+
+  // Broadcast target: everyone or a single team
+  bot.action(/^broadcast_team:(all|cancel|\d+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    if (!(await roleService.can(ctx.from.id, 'broadcast'))) return;
+
     ctx.session = ctx.session || {};
+    const target = ctx.match[1];
+    const teams = ctx.session.broadcastTeams || [];
+    delete ctx.session.broadcastTeams;
+
+    if (target === 'cancel') {
+      await ctx.editMessageText('❌ Отправка отменена.').catch(() => {});
+      return;
+    }
+
+    const team = target === 'all' ? null : teams[parseInt(target)];
+    if (target !== 'all' && !team) {
+      await ctx.editMessageText('❌ Команда не найдена, начните заново.').catch(() => {});
+      return;
+    }
+
+    ctx.session.broadcastTeam = team;
     ctx.session.awaitingBroadcastMessage = true;
+
+    await ctx.editMessageText(team ? `📢 Получатели: команда ${team}` : '📢 Получатели: все сотрудники').catch(() => {});
+    await ctx.reply(
+      `📢 Введите сообщение, которое хотите отправить ${team ? `команде ${team}` : 'всем сотрудникам'}:\n\n` +
+      'Или отправьте /cancel для отмены.',
+      Keyboards.getTextInput('Ваше сообщение...')
+    );
   });
 
   // Handle broadcast message input
@@ -3182,19 +3507,24 @@ function setupAttendanceHandlers(bot) {
     if (ctx.session?.awaitingBroadcastMessage) {
       const message = ctx.message.text;
 
+      const team = ctx.session.broadcastTeam;
+
       if (message === '/cancel') {
         ctx.session.awaitingBroadcastMessage = false;
+        ctx.session.broadcastTeam = null;
         await ctx.reply('❌ Отправка отменена.', Keyboards.getMainMenu(ctx.from.id));
         return;
       }
 
       try {
-        await ctx.reply('📤 Отправляю сообщение всем сотрудникам...');
+        await ctx.reply(team ? `📤 Отправляю сообщение команде ${team}...` : '📤 Отправляю сообщение всем сотрудникам...');
 
-        // Get all employees from roster
+        // Get employees in the sender's scope from roster (only the chosen team if any)
         const rosterWorksheet = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
         await rosterWorksheet.loadHeaderRow();
-        const employees = await rosterWorksheet.getRows();
+        const scope = await roleService.getScope(ctx.from.id);
+        const employees = (await roleService.filterRows(await rosterWorksheet.getRows(), scope, 'Telegram Id'))
+          .filter(employee => !team || (employee.get('Team') || '').toString().trim().toLowerCase() === team.toLowerCase());
 
         let successCount = 0;
         let failCount = 0;
@@ -3225,12 +3555,14 @@ function setupAttendanceHandlers(bot) {
         );
 
         ctx.session.awaitingBroadcastMessage = false;
-        logger.info(`Admin ${ctx.from.id} sent broadcast message to ${successCount} employees`);
+        ctx.session.broadcastTeam = null;
+        logger.info(`Admin ${ctx.from.id} sent broadcast message to ${successCount} employees${team ? ` of team ${team}` : ''}`);
 
       } catch (error) {
         await ctx.reply(`❌ Ошибка: ${error.message}`, Keyboards.getMainMenu(ctx.from.id));
         logger.error(`Error in broadcast: ${error.message}`);
         ctx.session.awaitingBroadcastMessage = false;
+        ctx.session.broadcastTeam = null;
       }
 
       return;
@@ -3430,7 +3762,7 @@ function setupAttendanceHandlers(bot) {
       }
 
       const now = moment.tz(Config.TIMEZONE);
-      const worksheet = await sheetsService.getWorksheet(now.format('YYYY-MM-DD'));
+      const worksheet = await sheetsService.getWorksheet(status.shiftDate || now.format('YYYY-MM-DD'));
       await worksheet.loadHeaderRow();
       const rows = await worksheet.getRows();
 
@@ -3496,7 +3828,8 @@ function setupAttendanceHandlers(bot) {
 
     try {
       const now = moment.tz(Config.TIMEZONE);
-      const today = now.format('YYYY-MM-DD');
+      // Daily sheet of the current shift (yesterday's during a night shift)
+      const today = await sheetsService.getShiftDate(user.telegramId, now);
 
       // Check if user has already departed
       const status = await sheetsService.getUserStatusToday(user.telegramId);
@@ -3525,7 +3858,7 @@ function setupAttendanceHandlers(bot) {
       employeeRow.set('Leave time', departureTime);
 
       // Calculate hours worked
-      const arrivalTime = moment.tz(`${today} ${whenCome}`, 'YYYY-MM-DD HH:mm', Config.TIMEZONE);
+      const arrivalTime = CalculatorService.parseShiftTime(whenCome, today, await scheduleService.getWorkTime(user, today));
       const minutesWorked = now.diff(arrivalTime, 'minutes');
       const hoursWorked = minutesWorked / 60;
       employeeRow.set('Hours worked', hoursWorked.toFixed(2));
@@ -3568,7 +3901,8 @@ function setupAttendanceHandlers(bot) {
 
     try {
       const now = moment.tz(Config.TIMEZONE);
-      const today = now.format('YYYY-MM-DD');
+      // Daily sheet of the current shift (yesterday's during a night shift)
+      const today = await sheetsService.getShiftDate(user.telegramId, now);
 
       // Check if user has already departed
       const status = await sheetsService.getUserStatusToday(user.telegramId);
@@ -3797,7 +4131,7 @@ function setupAttendanceHandlers(bot) {
     const now = moment.tz(Config.TIMEZONE);
 
     // Parse work schedule
-    const workTime = CalculatorService.parseWorkTime(user.workTime);
+    const workTime = await scheduleService.getWorkTime(user);
     if (!workTime) {
       await ctx.reply(
         '❌ К сожалению, в Вашем расписании обнаружена ошибка. Пожалуйста, обратитесь к администратору.',
@@ -3810,19 +4144,9 @@ function setupAttendanceHandlers(bot) {
 
     try {
       // Parse arrival and departure times
-      const [arrivalHour, arrivalMin, arrivalSec] = status.arrivalTime.split(':').map(Number);
-      const arrivalDt = now.clone().set({
-        hour: arrivalHour,
-        minute: arrivalMin,
-        second: arrivalSec
-      });
+      const arrivalDt = CalculatorService.parseShiftTime(status.arrivalTime, status.shiftDate || now, workTime);
 
-      const [departureHour, departureMin, departureSec] = status.departureTime.split(':').map(Number);
-      const departureDt = now.clone().set({
-        hour: departureHour,
-        minute: departureMin,
-        second: departureSec
-      });
+      const departureDt = CalculatorService.parseShiftTime(status.departureTime, status.shiftDate || now, workTime);
 
       // Calculate total hours worked
       const hoursWorked = CalculatorService.calculateHoursWorked(arrivalDt, departureDt);
@@ -3892,6 +4216,8 @@ function setupAttendanceHandlers(bot) {
     try {
       const now = moment.tz(Config.TIMEZONE);
 
+      await anomalyRulesService.getRules(); // Refresh the rules the detectors use
+
       // Start tracking session for departure
       const trackingResult = locationTrackerService.startTracking(
         user.telegramId,
@@ -3900,7 +4226,9 @@ function setupAttendanceHandlers(bot) {
           longitude: location.longitude,
           accuracy: location.horizontal_accuracy || location.accuracy || null
         },
-        user.nameFull
+        user.nameFull,
+        await geofenceService.getAllowedSites(user),
+        'departure'
       );
 
       if (!trackingResult.success) {
@@ -3916,8 +4244,12 @@ function setupAttendanceHandlers(bot) {
         const anomaly = trackingResult.initialAnomaly;
         logger.warn(`Initial departure location anomaly for ${user.nameFull}: ${anomaly.type}`);
 
-        // If CRITICAL (wrong location - outside geofence), flag as fraud
-        if (anomaly.severity === 'CRITICAL' && anomaly.type === 'WRONG_LOCATION') {
+        // If the anomaly rules say cancel (wrong location - outside geofence), flag as fraud
+        const decision = anomalyRulesService.decide([anomaly]);
+        if (decision.dryRun) {
+          logger.warn(`🧪 DRY RUN: anomaly rules would reject the checkout of ${user.nameFull} - not applied`);
+        }
+        if (decision.action === 'cancel' && anomaly.type === 'WRONG_LOCATION') {
           isFraudulent = true;
           fraudReason = anomaly.description;
 
@@ -3933,8 +4265,8 @@ function setupAttendanceHandlers(bot) {
             -2.0 // Heavy penalty for fraud attempt
           );
 
-          // Notify admins about fraudulent checkout attempt
-          const adminIds = Config.ADMIN_TELEGRAM_IDS;
+          // Notify staff responsible for this employee about fraudulent checkout attempt
+          const adminIds = await roleService.getRecipients('alerts', user);
           const alertMessage =
             `🚨 **FRAUD ALERT: Suspicious Checkout**\n\n` +
             `👤 User: ${user.nameFull}\n` +
@@ -3943,9 +4275,10 @@ function setupAttendanceHandlers(bot) {
             `📍 Location: ${location.latitude.toFixed(6)}, ${location.longitude.toFixed(6)}\n` +
             `🕐 Time: ${now.format('HH:mm:ss')}`;
 
+          const mapButton = trackingResult.session ? Keyboards.getTrailMapKeyboard(trackingResult.session.id) : {};
           for (const adminId of adminIds) {
             try {
-              await ctx.telegram.sendMessage(adminId, alertMessage, { parse_mode: 'Markdown' });
+              await ctx.telegram.sendMessage(adminId, alertMessage, { parse_mode: 'Markdown', ...mapButton });
             } catch (error) {
               logger.error(`Failed to notify admin ${adminId}: ${error.message}`);
             }
@@ -4049,6 +4382,7 @@ function setupAttendanceHandlers(bot) {
         ...Keyboards.getMainMenu(ctx.from.id),
         parse_mode: 'Markdown'
       });
+      await offerAppeal(ctx, updatedStatus);
 
       logger.info(`Departure with location logged for ${user.nameFull}: ${details}`);
 
@@ -4084,7 +4418,7 @@ function setupAttendanceHandlers(bot) {
         logger.warn(`❌ User ${user.nameFull} sent STATIC location for checkout - REJECTED`);
 
         // Clean up the awaiting state
-        awaitingLocationForCheckout.delete(userId);
+        stopAwaitingLocation('checkout', userId);
 
         await ctx.reply(
           `❌ **К СОЖАЛЕНИЮ, ЭТО НЕ ОНЛАЙН МЕСТОПОЛОЖЕНИЕ**\n\n` +
@@ -4118,7 +4452,7 @@ function setupAttendanceHandlers(bot) {
       );
 
       // Clean up the awaiting state
-      awaitingLocationForCheckout.delete(userId);
+      stopAwaitingLocation('checkout', userId);
 
       // Process departure with location
       await processDepartureWithLocation(ctx, user, location, checkoutState);
@@ -4176,7 +4510,7 @@ function setupAttendanceHandlers(bot) {
         logger.warn(`❌ User ${user.nameFull} sent STATIC location - REJECTED`);
 
         // Clean up the awaiting state
-        awaitingLocationForCheckIn.delete(userId);
+        stopAwaitingLocation('checkin', userId);
 
         await ctx.reply(
           `❌ **К СОЖАЛЕНИЮ, ЭТО НЕ ОНЛАЙН МЕСТОПОЛОЖЕНИЕ**\n\n` +
@@ -4210,7 +4544,7 @@ function setupAttendanceHandlers(bot) {
       );
 
       // Clean up the awaiting state
-      awaitingLocationForCheckIn.delete(userId);
+      stopAwaitingLocation('checkin', userId);
 
       // Process arrival with location
       await processArrivalWithLocation(ctx, user, location);
@@ -4225,8 +4559,13 @@ function setupAttendanceHandlers(bot) {
   });
 }
 
-// Helper function to generate and send daily report
+// Helper function to generate and send daily report (as PDF when REPORT_FORMAT=pdf)
 async function generateAndSendDailyReport(ctx, today, now, rows) {
+  if (pdfReportService.resolveFormat() === 'pdf') {
+    await sendDailyPdfReport(ctx, today, now, rows);
+    return;
+  }
+
   const fs = require('fs');
   const path = require('path');
 
@@ -4324,6 +4663,9 @@ async function generateAndSendDailyReport(ctx, today, now, rows) {
     `;
   }
 
+  // Per-team breakdown (empty when nobody is in a team)
+  const teamBreakdown = await teamService.buildBreakdownHtml(rows, 'daily');
+
   const html = `
 <!DOCTYPE html>
 <html lang="ru">
@@ -4454,6 +4796,7 @@ async function generateAndSendDailyReport(ctx, today, now, rows) {
         <tbody>${employeeRows}</tbody>
       </table>
     </div>
+    ${teamBreakdown}
     <div class="footer">Сгенерировано системой учёта посещаемости • ${now.format('DD.MM.YYYY HH:mm:ss')}</div>
   </div>
 </body>
@@ -4476,8 +4819,13 @@ async function generateAndSendDailyReport(ctx, today, now, rows) {
   fs.unlinkSync(filepath);
 }
 
-// Helper function to generate and send monthly report
+// Helper function to generate and send monthly report (as PDF when REPORT_FORMAT=pdf)
 async function generateAndSendMonthlyReport(ctx, yearMonth, now, rows) {
+  if (pdfReportService.resolveFormat() === 'pdf') {
+    await sendMonthlyPdfReport(ctx, yearMonth, now, rows);
+    return;
+  }
+
   const fs = require('fs');
   const path = require('path');
 
@@ -4536,6 +4884,9 @@ async function generateAndSendMonthlyReport(ctx, yearMonth, now, rows) {
     rank++;
   }
 
+  // Per-team breakdown (empty when nobody is in a team)
+  const teamBreakdown = await teamService.buildBreakdownHtml(rows, 'monthly');
+
   // Build HTML report
   const html = `
 <!DOCTYPE html>
@@ -4693,6 +5044,7 @@ async function generateAndSendMonthlyReport(ctx, yearMonth, now, rows) {
       </table>
     </div>
 
+    ${teamBreakdown}
     <div class="footer">
       Сгенерировано системой учёта посещаемости • ${now.format('DD.MM.YYYY HH:mm:ss')}
     </div>
@@ -4728,6 +5080,24 @@ async function generateAndSendMonthlyReport(ctx, yearMonth, now, rows) {
   fs.unlinkSync(filepath);
 }
 
+// Helper function to send the daily report as PDF
+async function sendDailyPdfReport(ctx, today, now, rows) {
+  const summary = pdfReportService.summarizeDaily(rows);
+  await ctx.replyWithDocument(
+    { source: await pdfReportService.buildDaily(rows, today, now), filename: `daily_report_${today}.pdf` },
+    { caption: `📊 Дневной отчёт за ${today}\n\n✅ Присутствуют: ${summary.present}\n🕒 Опоздали: ${summary.late}\n❌ Отсутствуют: ${summary.absent}` }
+  );
+}
+
+// Helper function to send the monthly report as PDF
+async function sendMonthlyPdfReport(ctx, yearMonth, now, rows) {
+  const zones = pdfReportService.summarizeMonthly(rows);
+  await ctx.replyWithDocument(
+    { source: await pdfReportService.buildMonthly(rows, yearMonth, now), filename: `monthly_report_${yearMonth}.pdf` },
+    { caption: `📊 Месячный отчёт за ${yearMonth}\n\n🟢 Зелёная зона: ${zones.green}\n🟡 Жёлтая зона: ${zones.yellow}\n🔴 Красная зона: ${zones.red}` }
+  );
+}
+
 async function handleStatus(ctx) {
   const user = await getUserOrPromptRegistration(ctx);
   if (!user) return;
@@ -4776,7 +5146,15 @@ async function handleStatus(ctx) {
 
   let response = `📊 ВАШ СТАТУС\n\n`;
 
-  response += `⏰ График работы: ${user.workTime}\n\n`;
+  const todaySchedule = await scheduleService.getDaySchedule(user, now);
+  response += `⏰ График работы: ${user.workTime}\n`;
+  if (!todaySchedule.isWorkDay) {
+    response += `📅 Сегодня: выходной\n\n`;
+  } else if (todaySchedule.workTime !== user.workTime) {
+    response += `📅 Сегодня: ${todaySchedule.workTime}\n\n`;
+  } else {
+    response += `\n`;
+  }
 
   // Check if user is absent today
   if (status.isAbsent) {
@@ -4784,20 +5162,18 @@ async function handleStatus(ctx) {
     response += `Вы отметили отсутствие\n\n`;
     response += `📊 Баллы сегодня: ${todayPoint} ${pointEmoji}\n`;
   } else {
-    // Parse work schedule to calculate required hours
-    const workTime = CalculatorService.parseWorkTime(user.workTime);
-    let requiredMinutes = 0;
+    // Required hours come from the employee's schedule (0 on a day off);
+    // during a night shift that started yesterday they are yesterday's hours
+    const shiftDay = moment.tz(status.shiftDate || now.format('YYYY-MM-DD'), Config.TIMEZONE);
+    const requiredMinutes = await scheduleService.getRequiredMinutes(user, shiftDay);
+    const shiftWorkTime = await scheduleService.getWorkTime(user, shiftDay);
     let workedMinutes = 0;
 
-    if (workTime) {
-      requiredMinutes = workTime.end.diff(workTime.start, 'minutes');
-    }
-
     // Calculate worked minutes if arrived
     if (status.hasArrived && status.arrivalTime) {
-      const arrivalMoment = moment.tz(status.arrivalTime, 'HH:mm:ss', Config.TIMEZONE);
+      const arrivalMoment = CalculatorService.parseShiftTime(status.arrivalTime, shiftDay, shiftWorkTime);
       if (status.hasDeparted && status.departureTime) {
-        const departureMoment = moment.tz(status.departureTime, 'HH:mm:ss', Config.TIMEZONE);
+        const departureMoment = CalculatorService.parseShiftTime(status.departureTime, shiftDay, shiftWorkTime);
         workedMinutes = departureMoment.diff(arrivalMoment, 'minutes');
       } else {
         // Still working - calculate current worked time
@@ -4805,7 +5181,7 @@ async function handleStatus(ctx) {
       }
     }
 
-    response += `📅 Сегодня (${now.format('DD.MM.YYYY')}):\n`;
+    response += `📅 Сегодня (${shiftDay.format('DD.MM.YYYY')}):\n`;
     response += `Отработано: ${CalculatorService.formatTimeDiff(workedMinutes)} / ${CalculatorService.formatTimeDiff(requiredMinutes)}\n\n`;
     response += `📊 Баллы сегодня: ${todayPoint} ${pointEmoji}\n`;
   }
@@ -4834,8 +5210,13 @@ async function handleStatus(ctx) {
   }
 
   await ctx.reply(response, Keyboards.getMainMenu(ctx.from.id));
+  await offerAppeal(ctx, status);
 }
 
 module.exports = {
-  setupAttendanceHandlers
+  setupAttendanceHandlers,
+  processArrivalWithLocation,
+  processArrivalWithQr,
+  getUserOrPromptRegistration,
+  restorePendingLocationRequests
 };
@@ -0,0 +1,329 @@
+/**
+ * Attendance correction handler.
+ * Admins pick a day and an employee, then set or clear arrival/departure times,
+ * excuse a lateness or restore an arrival cancelled as fraud. Days already moved to
+ * the monthly report are corrected through their History row. Every change needs
+ * a reason and ends up in the Audit sheet.
+ */
+
+const moment = require('moment-timezone');
+const { Markup } = require('telegraf');
+const correctionService = require('../../services/correction.service');
+const auditService = require('../../services/audit.service');
+const roleService = require('../../services/role.service');
+const Keyboards = require('../keyboards/buttons');
+const Config = require('../../config');
+const logger = require('../../utils/logger');
+
+const { CORRECTION_ACTIONS } = correctionService;
+
+/**
+ * Check if the user may correct attendance (super-admins and HR)
+ */
+async function isAdmin(ctx) {
+  return roleService.can(ctx.from.id, 'corrections');
+}
+
+/**
+ * Clear correction state from the session
+ */
+function clearCorrectionSession(ctx) {
+  if (!ctx.session) return;
+  delete ctx.session.correction;
+}
+
+/**
+ * Format a date for messages
+ * @param {string} date - Date YYYY-MM-DD
+ * @returns {string} DD.MM.YYYY
+ */
+function formatDate(date) {
+  return moment.tz(date, 'YYYY-MM-DD', Config.TIMEZONE).format('DD.MM.YYYY');
+}
+
+/**
+ * Show an employee's record with the correction actions
+ * @param {Object} ctx - Telegraf context
+ * @param {string} date - Date YYYY-MM-DD
+ * @param {string} telegramId - Employee Telegram ID
+ * @param {boolean} edit - Edit the callback message instead of replying
+ */
+async function showRecord(ctx, date, telegramId, edit = false) {
+  const record = await correctionService.getDayRecord(date, telegramId);
+  if (!record) {
+    clearCorrectionSession(ctx);
+    await ctx.reply(`❌ Запись за ${formatDate(date)} не найдена.`);
+    return;
+  }
+
+  ctx.session.correction = { date, telegramId, step: 'action' };
+
+  const text =
+    `✏️ ИСПРАВЛЕНИЕ ЗА ${formatDate(date)}\n\n` +
+    `${correctionService.describeRow(record.row)}\n\n` +
+    (record.archived ? '🗄 День уже в месячном отчёте - он будет пересчитан.\n\n' : '') +
+    'Что изменить?';
+  const keyboard = Keyboards.getCorrectionActionsKeyboard(correctionService.isCancelledArrival(record.row));
+
+  if (edit) {
+    await ctx.editMessageText(text, keyboard);
+  } else {
+    await ctx.reply(text, keyboard);
+  }
+}
+
+/**
+ * Apply the collected correction and report the result
+ * @param {Object} ctx - Telegraf context
+ * @param {string} reason - Reason typed by the admin
+ */
+async function submitCorrection(ctx, reason) {
+  const state = ctx.session.correction;
+  clearCorrectionSession(ctx);
+
+  let result;
+  try {
+    result = await correctionService.applyCorrection({
+      date: state.date,
+      telegramId: state.telegramId,
+      action: state.action,
+      time: state.time,
+      reason,
+      changedBy: ctx.from.username ? `@${ctx.from.username}` : ctx.from.id.toString(),
+      changedById: ctx.from.id
+    });
+  } catch (error) {
+    await ctx.reply(`❌ ${error.message}`, Keyboards.getMainMenu(ctx.from.id));
+    return;
+  }
+
+  if (result.changes.length === 0) {
+    await ctx.reply('ℹ️ Запись не изменилась.', Keyboards.getMainMenu(ctx.from.id));
+    return;
+  }
+
+  let text = `✅ Запись за ${formatDate(state.date)} исправлена\n\n`;
+  text += `${correctionService.describeRow(result.row)}\n\n`;
+  text += '📝 Изменения:\n';
+  for (const change of result.changes) {
+    text += `• ${change.field}: ${change.oldValue || '-'} → ${change.newValue || '-'}\n`;
+  }
+  text += `\n💬 ${reason}`;
+
+  await ctx.reply(text, Keyboards.getMainMenu(ctx.from.id));
+
+  try {
+    await ctx.telegram.sendMessage(
+      state.telegramId,
+      `✏️ Администратор исправил Вашу запись за ${formatDate(state.date)}\n\n` +
+      `${correctionService.describeRow(result.row)}\n\n` +
+      `💬 Причина: ${reason}`
+    );
+  } catch (err) {
+    logger.error(`Failed to notify ${state.telegramId} about correction: ${err.message}`);
+  }
+}
+
+/**
+ * Setup attendance correction handlers
+ * @param {Telegraf} bot - Bot instance
+ */
+function setupCorrectionHandlers(bot) {
+  // Admin command: Correct an attendance record
+  bot.command('correct', async (ctx) => {
+    // Check if user is admin
+    if (!(await isAdmin(ctx))) {
+      await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
+      return;
+    }
+
+    clearCorrectionSession(ctx);
+
+    // An older day can be given directly: /correct YYYY-MM-DD
+    const date = ctx.message.text.split(' ').slice(1).join(' ').trim();
+    if (date) {
+      if (!moment(date, 'YYYY-MM-DD', true).isValid() || date > moment.tz(Config.TIMEZONE).format('YYYY-MM-DD')) {
+        await ctx.reply('❌ Формат: /correct [YYYY-MM-DD] (не позже сегодняшнего дня)');
+        return;
+      }
+      ctx.session.correction = { date, step: 'employee' };
+      await ctx.reply(
+        `📅 ${formatDate(date)}\n\n` +
+        '👤 Введите имя, @username или Telegram ID сотрудника:\n\n' +
+        '/cancel - отмена'
+      );
+      return;
+    }
+
+    const dates = correctionService.getCorrectableDates().slice(0, 7);
+    await ctx.reply(
+      '✏️ ИСПРАВЛЕНИЕ ОТМЕТОК\n\n' +
+      'Выберите день (более ранний: /correct YYYY-MM-DD):',
+      Keyboards.getCorrectionDatesKeyboard(dates)
+    );
+  });
+
+  bot.action(/^corr_date:(\d{4}-\d{2}-\d{2})$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    if (!(await isAdmin(ctx))) return;
+
+    ctx.session.correction = { date: ctx.match[1], step: 'employee' };
+    await ctx.editMessageText(
+      `📅 ${formatDate(ctx.match[1])}\n\n` +
+      '👤 Введите имя, @username или Telegram ID сотрудника:\n\n' +
+      '/cancel - отмена'
+    );
+  });
+
+  bot.action(/^corr_emp:(\d+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const state = ctx.session?.correction;
+    if (!(await isAdmin(ctx)) || !state) return;
+
+    await showRecord(ctx, state.date, ctx.match[1], true);
+  });
+
+  bot.action(/^corr_act:(.+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const state = ctx.session?.correction;
+    const action = ctx.match[1];
+    if (!(await isAdmin(ctx)) || !state || !state.telegramId || !CORRECTION_ACTIONS[action]) return;
+
+    state.action = action;
+    const { emoji, label } = CORRECTION_ACTIONS[action];
+
+    // A cancelled arrival is restored with its original time when it is known
+    let needsTime = CORRECTION_ACTIONS[action].needsTime;
+    if (action === 'restore_arrival') {
+      const knownTime = await correctionService.getCancelledArrivalTime(state.date, state.telegramId);
+      if (knownTime) {
+        state.time = knownTime;
+        needsTime = false;
+      }
+    }
+
+    if (needsTime) {
+      state.step = 'time';
+      await ctx.editMessageText(`${emoji} ${label}\n\n🕐 Введите время (например 09:05):\n\n/cancel - отмена`);
+      return;
+    }
+
+    state.step = 'reason';
+    await ctx.editMessageText(
+      `${emoji} ${label}` + (state.time ? ` (${state.time})` : '') + '\n\n' +
+      '💬 Укажите причину исправления:\n\n/cancel - отмена'
+    );
+  });
+
+  bot.action('corr_cancel', async (ctx) => {
+    await ctx.answerCbQuery();
+    clearCorrectionSession(ctx);
+    await ctx.editMessageText('❌ Отменено.');
+  });
+
+  // Admin command: Recent audit entries
+  bot.command('audit', async (ctx) => {
+    // Check if user is admin
+    if (!(await isAdmin(ctx))) {
+      await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
+      return;
+    }
+
+    const date = ctx.message.text.split(' ').slice(1).join(' ').trim();
+    if (date && !moment(date, 'YYYY-MM-DD', true).isValid()) {
+      await ctx.reply('❌ Формат: /audit [YYYY-MM-DD]');
+      return;
+    }
+
+    try {
+      const entries = (await auditService.getEntries(date ? { date } : {})).slice(0, 20);
+      if (entries.length === 0) {
+        await ctx.reply('📭 Изменений не найдено.');
+        return;
+      }
+
+      let text = `📜 ЖУРНАЛ ИЗМЕНЕНИЙ${date ? ` ЗА ${formatDate(date)}` : ''}\n\n`;
+      for (const entry of entries) {
+        text += `🕐 ${entry.timestamp} - ${entry.changedBy}\n`;
+        text += `👤 ${entry.name} (${entry.date}), ${entry.action}\n`;
+        text += `   ${entry.field}: ${entry.oldValue || '-'} → ${entry.newValue || '-'}\n`;
+        if (entry.reason) {
+          text += `   💬 ${entry.reason}\n`;
+        }
+        text += '\n';
+      }
+
+      await ctx.reply(text);
+    } catch (error) {
+      await ctx.reply(`❌ Ошибка при загрузке журнала: ${error.message}`);
+      logger.error(`Error in /audit command: ${error.message}`);
+    }
+  });
+
+  // Employee search, time and reason input
+  bot.on('text', async (ctx, next) => {
+    const state = ctx.session?.correction;
+    if (!state || !(await isAdmin(ctx))) {
+      return next();
+    }
+
+    const text = ctx.message.text.trim();
+
+    if (text === '/cancel') {
+      clearCorrectionSession(ctx);
+      await ctx.reply('❌ Исправление отменено.', Keyboards.getMainMenu(ctx.from.id));
+      return;
+    }
+
+    // Menu buttons and other commands leave the flow
+    if (text.startsWith('/') || Keyboards.getMenuButtonTexts().has(text)) {
+      clearCorrectionSession(ctx);
+      return next();
+    }
+
+    if (state.step === 'employee') {
+      const matches = await correctionService.findEmployees(state.date, text);
+
+      if (matches.length === 0) {
+        await ctx.reply('❌ Сотрудник не найден. Попробуйте ещё раз или /cancel');
+        return;
+      }
+
+      if (matches.length === 1) {
+        await showRecord(ctx, state.date, matches[0].telegramId);
+        return;
+      }
+
+      const buttons = matches.slice(0, 10).map(match =>
+        [Markup.button.callback(`👤 ${match.name}`, `corr_emp:${match.telegramId}`)]
+      );
+      buttons.push([Markup.button.callback('❌ Отмена', 'corr_cancel')]);
+      await ctx.reply(`Найдено: ${matches.length}. Выберите сотрудника:`, Markup.inlineKeyboard(buttons));
+      return;
+    }
+
+    if (state.step === 'time') {
+      const time = correctionService.parseTime(text);
+      if (!time) {
+        await ctx.reply('❌ Неверный формат времени. Пример: 09:05\n\n/cancel - отмена');
+        return;
+      }
+
+      state.time = time;
+      state.step = 'reason';
+      await ctx.reply('💬 Укажите причину исправления:\n\n/cancel - отмена');
+      return;
+    }
+
+    if (state.step === 'reason') {
+      await submitCorrection(ctx, text);
+      return;
+    }
+
+    return next();
+  });
+}
+
+module.exports = {
+  setupCorrectionHandlers
+};
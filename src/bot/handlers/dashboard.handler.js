@@ -0,0 +1,40 @@
+/**
+ * Dashboard handler.
+ * /dashboard sends staff with the reports permission a one-time login link to the web dashboard.
+ */
+
+const dashboardService = require('../../services/dashboard.service');
+const roleService = require('../../services/role.service');
+const Config = require('../../config');
+const logger = require('../../utils/logger');
+
+/**
+ * Setup dashboard handlers
+ * @param {Telegraf} bot - Bot instance
+ */
+function setupDashboardHandlers(bot) {
+  // /dashboard - login link to the web dashboard
+  bot.command('dashboard', async (ctx) => {
+    if (!(await roleService.can(ctx.from.id, 'reports'))) {
+      await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
+      return;
+    }
+
+    const link = dashboardService.createLoginLink(ctx.from);
+    if (!link) {
+      await ctx.reply('⚠️ Для панели укажите PUBLIC_URL - адрес этого сервера.');
+      return;
+    }
+
+    await ctx.reply(
+      '🖥 Панель посещаемости\n\n' +
+      `Ссылка для входа (одноразовая, действует ${Config.DASHBOARD_LINK_MINUTES} мин., никому не пересылайте):\n${link}`,
+      { link_preview_options: { is_disabled: true } }
+    );
+    logger.info(`Dashboard link issued to ${ctx.from.id}`);
+  });
+}
+
+module.exports = {
+  setupDashboardHandlers
+};
@@ -0,0 +1,113 @@
+/**
+ * History handler.
+ * /history sends admins the day-by-day attendance of any date range - for everyone,
+ * a company or a single employee - as an HTML report and an XLSX timeline.
+ */
+
+const moment = require('moment-timezone');
+const sheetsService = require('../../services/sheets.service');
+const roleService = require('../../services/role.service');
+const historyService = require('../../services/history.service');
+const logger = require('../../utils/logger');
+
+const MAX_DAYS = 366; // Longest range of one report
+
+/**
+ * Setup history handlers
+ * @param {Telegraf} bot - Bot instance
+ */
+function setupHistoryHandlers(bot) {
+  // Admin command: Attendance history of a date range
+  // Usage: /history 2025-03-01 2025-03-31 [company | 123456789 | @username]
+  bot.command('history', async (ctx) => {
+    if (!(await roleService.can(ctx.from.id, 'reports'))) {
+      await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
+      return;
+    }
+
+    const args = ctx.message.text.split(/\s+/).slice(1);
+    const dates = [];
+    while (dates.length < 2 && /^\d{4}-\d{2}-\d{2}$/.test(args[0] || '')) {
+      dates.push(args.shift());
+    }
+    const target = args.join(' ').trim();
+
+    if (dates.length === 0) {
+      await ctx.reply(
+        '🗂 История посещаемости\n\n' +
+        'Использование: /history <с ГГГГ-ММ-ДД> [по ГГГГ-ММ-ДД] [компания | Telegram ID | @username]\n\n' +
+        'Примеры:\n' +
+        '/history 2025-03-01 2025-03-31\n' +
+        '/history 2025-03-01 2025-03-31 ACME\n' +
+        '/history 2025-03-10 @username'
+      );
+      return;
+    }
+
+    const [from, to = from] = dates;
+    if (!moment(from, 'YYYY-MM-DD', true).isValid() || !moment(to, 'YYYY-MM-DD', true).isValid()) {
+      await ctx.reply('❌ Неверная дата. Используйте формат ГГГГ-ММ-ДД.');
+      return;
+    }
+    if (to < from) {
+      await ctx.reply('❌ Дата окончания раньше даты начала.');
+      return;
+    }
+    if (moment(to).diff(moment(from), 'days') >= MAX_DAYS) {
+      await ctx.reply(`❌ Слишком длинный период - не больше ${MAX_DAYS} дней.`);
+      return;
+    }
+
+    try {
+      const ids = await roleService.getScopedTelegramIds(await roleService.getScope(ctx.from.id));
+      const query = { from, to, ids };
+      let title = '';
+
+      if (/^\d+$/.test(target) || /^@\w+$/.test(target)) {
+        const employee = /^\d+$/.test(target)
+          ? await sheetsService.findEmployeeByTelegramId(target)
+          : await sheetsService.findEmployeeByUsername(target);
+        if (!employee || (ids && !ids.has(employee.telegramId.toString()))) {
+          await ctx.reply(`❌ Сотрудник ${target} не найден.`);
+          return;
+        }
+        query.telegramId = employee.telegramId.toString();
+        title = employee.nameFull;
+      } else if (target) {
+        query.company = target;
+        title = target;
+      }
+
+      const history = await historyService.getHistory(query);
+      if (history.entries.length === 0) {
+        await ctx.reply(`📭 Нет данных о посещаемости за ${from === to ? from : `${from} — ${to}`}${title ? ` (${title})` : ''}.`);
+        return;
+      }
+
+      const count = field => history.employees.reduce((total, s) => total + s[field], 0);
+      const name = `history_${from}_${to}${query.telegramId ? `_${query.telegramId}` : ''}`;
+      await ctx.replyWithDocument(
+        { source: Buffer.from(historyService.buildHtml(history, title), 'utf8'), filename: `${name}.html` },
+        {
+          caption: `🗂 История посещаемости\n\n` +
+            `📅 ${from === to ? from : `${from} — ${to}`}\n` +
+            (title ? `👤 ${title}\n` : '') +
+            `👥 Сотрудников: ${history.employees.length}\n` +
+            `🕒 Опозданий: ${count('late')}\n` +
+            `❌ Отсутствий: ${count('absent')}\n` +
+            `🚪 Ранних уходов: ${count('leftEarly')}`
+        }
+      );
+      await ctx.replyWithDocument({ source: historyService.buildXlsx(history), filename: `${name}.xlsx` });
+
+      logger.info(`History ${from}..${to}${title ? ` of ${title}` : ''} sent to ${ctx.from.id}`);
+    } catch (error) {
+      await ctx.reply(`❌ Ошибка при создании отчёта: ${error.message}`);
+      logger.error(`Error in /history command: ${error.message}`);
+    }
+  });
+}
+
+module.exports = {
+  setupHistoryHandlers
+};
@@ -0,0 +1,331 @@
+/**
+ * Leave request handler.
+ * Employees request vacation, sick leave, unpaid leave, business trips and days off
+ * for a date range; managers approve or reject the request with inline buttons.
+ */
+
+const moment = require('moment-timezone');
+const { Markup } = require('telegraf');
+const sheetsService = require('../../services/sheets.service');
+const leaveService = require('../../services/leave.service');
+const roleService = require('../../services/role.service');
+const Keyboards = require('../keyboards/buttons');
+const Config = require('../../config');
+const logger = require('../../utils/logger');
+const { getUserOrPromptRegistration } = require('./attendance.handler');
+
+const { LEAVE_TYPES, STATUS_LABELS } = leaveService;
+
+/**
+ * Clear leave request state from the session
+ */
+function clearLeaveSession(ctx) {
+  if (!ctx.session) return;
+  delete ctx.session.awaitingLeaveDates;
+  delete ctx.session.awaitingLeaveReason;
+}
+
+/**
+ * Show leave balance and the request type menu
+ */
+async function showLeaveMenu(ctx) {
+  const user = await getUserOrPromptRegistration(ctx);
+  if (!user) return;
+
+  clearLeaveSession(ctx);
+
+  const year = moment.tz(Config.TIMEZONE).year();
+  const balance = await leaveService.getBalance(user, year);
+
+  let text = '🗓 ЗАЯВКА НА ОТСУТСТВИЕ\n\n';
+  text += `🏖 Отпуск на ${year} год: осталось ${Math.max(balance.remaining, 0)} из ${balance.allowance} раб. дн.\n`;
+  if (balance.pending > 0) {
+    text += `⏳ На рассмотрении: ${balance.pending} раб. дн.\n`;
+  }
+  text += '\nВыберите тип заявки:';
+
+  await ctx.reply(text, Keyboards.getLeaveTypeKeyboard());
+}
+
+/**
+ * Create the request and send it to the approvers
+ * @param {Object} ctx - Telegraf context
+ * @param {string} reason - Employee comment
+ */
+async function submitLeaveRequest(ctx, reason) {
+  const pending = ctx.session?.awaitingLeaveReason;
+  clearLeaveSession(ctx);
+  if (!pending) return;
+
+  const user = await getUserOrPromptRegistration(ctx);
+  if (!user) return;
+
+  let request;
+  try {
+    request = await leaveService.createRequest(user, pending.type, pending.from, pending.to, reason);
+  } catch (error) {
+    await ctx.reply(`❌ ${error.message}`, Keyboards.getMainMenu(ctx.from.id));
+    return;
+  }
+
+  await ctx.reply(
+    `📨 Заявка отправлена руководителю!\n\n` +
+    `${leaveService.describe(request)}\n` +
+    (request.reason ? `💬 ${request.reason}\n` : '') +
+    '\nМы сообщим, когда заявка будет рассмотрена.',
+    Keyboards.getMainMenu(ctx.from.id)
+  );
+
+  const balance = await leaveService.getBalance(user, parseInt(request.from.substring(0, 4)));
+  let managerText = `🗓 НОВАЯ ЗАЯВКА #${request.id}\n\n`;
+  managerText += `👤 ${request.name}\n`;
+  managerText += `${leaveService.describe(request)}\n`;
+  if (request.reason) {
+    managerText += `💬 ${request.reason}\n`;
+  }
+  if (LEAVE_TYPES[request.type].countsAgainstBalance) {
+    managerText += `\n🏖 Остаток отпуска после одобрения: ${Math.max(balance.remaining, 0)} из ${balance.allowance} раб. дн.`;
+  }
+
+  for (const approverId of await leaveService.getApprovers(user)) {
+    try {
+      await ctx.telegram.sendMessage(approverId, managerText, Keyboards.getLeaveDecisionKeyboard(request.id));
+    } catch (err) {
+      logger.error(`Failed to send leave request #${request.id} to ${approverId}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Setup leave request handlers
+ * @param {Telegraf} bot - Bot instance
+ */
+function setupLeaveHandlers(bot) {
+  bot.command('leave', async (ctx) => await showLeaveMenu(ctx));
+  bot.hears('🗓 Отпуск', async (ctx) => await showLeaveMenu(ctx));
+
+  // Leave type selected - ask for dates
+  bot.action(/^leave_type:(.+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+
+    const type = ctx.match[1];
+    if (type === 'cancel' || !LEAVE_TYPES[type]) {
+      clearLeaveSession(ctx);
+      await ctx.editMessageText('❌ Отменено.');
+      return;
+    }
+
+    ctx.session.awaitingLeaveDates = { type };
+
+    await ctx.editMessageText(
+      `${LEAVE_TYPES[type].emoji} ${LEAVE_TYPES[type].label}\n\n` +
+      '📅 Введите дату или период:\n' +
+      '• один день: 25.03\n' +
+      '• период: 25.03 - 29.03\n' +
+      '• с годом: 28.12.2025 - 03.01.2026\n\n' +
+      '/cancel - отмена'
+    );
+  });
+
+  // Skip the comment and submit
+  bot.action('leave_reason_skip', async (ctx) => {
+    await ctx.answerCbQuery();
+    await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+    await submitLeaveRequest(ctx, '');
+  });
+
+  // Own requests with cancel buttons
+  bot.action('leave_list', async (ctx) => {
+    await ctx.answerCbQuery();
+    clearLeaveSession(ctx);
+
+    const requests = (await leaveService.getEmployeeRequests(ctx.from.id)).slice(0, 10);
+    if (requests.length === 0) {
+      await ctx.editMessageText('📭 У вас пока нет заявок.');
+      return;
+    }
+
+    const today = moment.tz(Config.TIMEZONE).format('YYYY-MM-DD');
+    let text = '📋 МОИ ЗАЯВКИ\n\n';
+    const buttons = [];
+
+    for (const request of requests) {
+      text += `${leaveService.describe(request)}\n   ${STATUS_LABELS[request.status] || request.status}\n`;
+      if (request.status === 'pending' || (request.status === 'approved' && request.from > today)) {
+        buttons.push([Markup.button.callback(`🚫 Отменить #${request.id}`, `leave_cancel:${request.id}`)]);
+      }
+    }
+
+    await ctx.editMessageText(text, buttons.length > 0 ? Markup.inlineKeyboard(buttons) : undefined);
+  });
+
+  // Employee cancels own request
+  bot.action(/^leave_cancel:(\d+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+
+    try {
+      const request = await leaveService.cancel(ctx.match[1], ctx.from.id);
+      await ctx.editMessageText(`🚫 Заявка отменена.\n\n${leaveService.describe(request)}`);
+
+      // Approvers got the request - let them know it is off
+      const employee = await sheetsService.findEmployeeByTelegramId(ctx.from.id);
+      for (const approverId of await leaveService.getApprovers(employee)) {
+        await ctx.telegram.sendMessage(
+          approverId,
+          `🚫 ${request.name} отменил(а) заявку\n\n${leaveService.describe(request)}`
+        ).catch(err => logger.error(`Failed to notify ${approverId} about cancelled leave: ${err.message}`));
+      }
+    } catch (error) {
+      await ctx.editMessageText(`❌ ${error.message}`);
+    }
+  });
+
+  // Manager approves or rejects
+  bot.action(/^leave_(approve|reject):(\d+)$/, async (ctx) => {
+    const approved = ctx.match[1] === 'approve';
+    const request = await leaveService.getRequest(ctx.match[2]);
+
+    if (!request) {
+      await ctx.answerCbQuery('Заявка не найдена');
+      return;
+    }
+
+    if (!(await leaveService.canDecide(request, ctx.from.id))) {
+      await ctx.answerCbQuery('❌ У вас нет прав для этой заявки', { show_alert: true });
+      return;
+    }
+
+    let decided;
+    try {
+      const decidedBy = ctx.from.username ? `@${ctx.from.username}` : ctx.from.id.toString();
+      decided = await leaveService.decide(request.id, approved, decidedBy);
+    } catch (error) {
+      await ctx.answerCbQuery(error.message, { show_alert: true });
+      await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+      return;
+    }
+
+    await ctx.answerCbQuery(approved ? 'Одобрено' : 'Отклонено');
+
+    if (approved) {
+      // Today's sheet (or any other already created) should show the leave right away
+      await sheetsService.applyApprovedLeave(decided);
+    }
+
+    await ctx.editMessageText(
+      `${approved ? '✅ ОДОБРЕНО' : '❌ ОТКЛОНЕНО'} (${decided.decidedBy})\n\n` +
+      `👤 ${decided.name}\n` +
+      `${leaveService.describe(decided)}` +
+      (decided.reason ? `\n💬 ${decided.reason}` : '')
+    ).catch(() => {});
+
+    try {
+      await ctx.telegram.sendMessage(
+        decided.telegramId,
+        approved
+          ? `✅ Ваша заявка одобрена!\n\n${leaveService.describe(decided)}\n\n` +
+            'В эти дни не нужно отмечаться - хорошего отдыха! 😊'
+          : `❌ Ваша заявка отклонена.\n\n${leaveService.describe(decided)}\n\n` +
+            'Пожалуйста, обсудите даты с руководителем.'
+      );
+    } catch (err) {
+      logger.error(`Failed to notify ${decided.telegramId} about leave #${decided.id}: ${err.message}`);
+    }
+
+    logger.info(`Leave request #${decided.id} ${decided.status} by ${ctx.from.id}`);
+  });
+
+  // Admin command: Pending leave requests
+  bot.command('leaves', async (ctx) => {
+    // Check if user can manage leave
+    if (!(await roleService.can(ctx.from.id, 'leaves'))) {
+      await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
+      return;
+    }
+
+    try {
+      const pending = await leaveService.getPendingRequests();
+
+      if (pending.length === 0) {
+        await ctx.reply('📭 Нет заявок на рассмотрении.');
+        return;
+      }
+
+      for (const request of pending) {
+        await ctx.reply(
+          `🗓 ЗАЯВКА #${request.id}\n\n` +
+          `👤 ${request.name}\n` +
+          `${leaveService.describe(request)}\n` +
+          (request.reason ? `💬 ${request.reason}\n` : '') +
+          `🕐 Подана: ${request.requestedAt}`,
+          Keyboards.getLeaveDecisionKeyboard(request.id)
+        );
+      }
+    } catch (error) {
+      await ctx.reply(`❌ Ошибка при загрузке заявок: ${error.message}`);
+      logger.error(`Error in /leaves command: ${error.message}`);
+    }
+  });
+
+  // Dates and comment input
+  bot.on('text', async (ctx, next) => {
+    const text = ctx.message.text.trim();
+
+    if (ctx.session?.awaitingLeaveDates) {
+      if (text === '/cancel') {
+        clearLeaveSession(ctx);
+        await ctx.reply('❌ Заявка отменена.', Keyboards.getMainMenu(ctx.from.id));
+        return;
+      }
+
+      // Menu buttons and commands leave the flow
+      if (text.startsWith('/') || !/\d/.test(text) || Keyboards.getMenuButtonTexts().has(text)) {
+        clearLeaveSession(ctx);
+        return next();
+      }
+
+      const range = leaveService.parseDateRange(text);
+      if (!range) {
+        await ctx.reply(
+          '❌ Не удалось распознать даты.\n\n' +
+          'Пример: 25.03 или 25.03 - 29.03\n' +
+          '/cancel - отмена'
+        );
+        return;
+      }
+
+      ctx.session.awaitingLeaveReason = { type: ctx.session.awaitingLeaveDates.type, ...range };
+      delete ctx.session.awaitingLeaveDates;
+
+      const period = range.from === range.to ? range.from : `${range.from} - ${range.to}`;
+      await ctx.reply(
+        `📅 Период: ${period}\n\n` +
+        '💬 Напишите комментарий для руководителя или нажмите «Пропустить».',
+        Markup.inlineKeyboard([[Markup.button.callback('⏭ Пропустить', 'leave_reason_skip')]])
+      );
+      return;
+    }
+
+    if (ctx.session?.awaitingLeaveReason) {
+      if (text === '/cancel') {
+        clearLeaveSession(ctx);
+        await ctx.reply('❌ Заявка отменена.', Keyboards.getMainMenu(ctx.from.id));
+        return;
+      }
+
+      if (text.startsWith('/') || Keyboards.getMenuButtonTexts().has(text)) {
+        clearLeaveSession(ctx);
+        return next();
+      }
+
+      await submitLeaveRequest(ctx, text);
+      return;
+    }
+
+    return next();
+  });
+}
+
+module.exports = {
+  setupLeaveHandlers
+};
@@ -0,0 +1,80 @@
+/**
+ * Monthly export handler.
+ * /exportmonthly sends admins the month as a formatted XLSX workbook: a summary sheet with charts
+ * and one sheet per company with the monthly totals and the per-day attendance grid.
+ */
+
+const moment = require('moment-timezone');
+const Config = require('../../config');
+const roleService = require('../../services/role.service');
+const monthlyExportService = require('../../services/monthlyExport.service');
+const logger = require('../../utils/logger');
+
+/**
+ * Month of a command argument
+ * @param {string} value - YYYY-MM or empty for the current month
+ * @returns {string|null} YYYY-MM or null if invalid
+ */
+function parseMonth(value) {
+  if (!value) return moment.tz(Config.TIMEZONE).format('YYYY-MM');
+  return moment(value, 'YYYY-MM', true).isValid() ? value : null;
+}
+
+/**
+ * Setup monthly export handlers
+ * @param {Telegraf} bot - Bot instance
+ */
+function setupMonthlyExportHandlers(bot) {
+  // Admin command: Monthly XLSX workbook
+  // Usage: /exportmonthly  or  /exportmonthly 2025-03
+  bot.command('exportmonthly', async (ctx) => {
+    if (!(await roleService.can(ctx.from.id, 'reports'))) {
+      await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
+      return;
+    }
+
+    const yearMonth = parseMonth(ctx.message.text.split(/\s+/)[1]);
+    if (!yearMonth) {
+      await ctx.reply('❌ Формат: /exportmonthly [ГГГГ-ММ]');
+      return;
+    }
+
+    try {
+      await ctx.reply(`📊 Формирую XLSX за ${yearMonth}...`);
+
+      const ids = await roleService.getScopedTelegramIds(await roleService.getScope(ctx.from.id));
+      const data = await monthlyExportService.getMonthData(yearMonth, ids);
+      if (!data) {
+        await ctx.reply(`📭 Месячного отчёта за ${yearMonth} нет.`);
+        return;
+      }
+      if (data.companies.length === 0) {
+        await ctx.reply(`📭 Нет данных за ${yearMonth}.`);
+        return;
+      }
+
+      const employees = data.companies.flatMap(c => c.employees);
+      const zone = name => employees.filter(e => e.ratingZone === name).length;
+      await ctx.replyWithDocument(
+        { source: await monthlyExportService.buildXlsx(data), filename: `monthly_report_${yearMonth}.xlsx` },
+        {
+          caption: `📊 Месячный отчёт за ${yearMonth}\n\n` +
+            `🏢 Компаний: ${data.companies.length}\n` +
+            `👥 Сотрудников: ${employees.length}\n` +
+            `🟢 Зелёная зона: ${zone('Green')}\n` +
+            `🟡 Жёлтая зона: ${zone('Yellow')}\n` +
+            `🔴 Красная зона: ${zone('Red')}`
+        }
+      );
+
+      logger.info(`Monthly XLSX ${yearMonth} sent to ${ctx.from.id}`);
+    } catch (error) {
+      await ctx.reply(`❌ Ошибка при создании отчёта: ${error.message}`);
+      logger.error(`Error in /exportmonthly command: ${error.message}`);
+    }
+  });
+}
+
+module.exports = {
+  setupMonthlyExportHandlers
+};
@@ -0,0 +1,128 @@
+/**
+ * Payroll handler.
+ * /payroll sends HR the month's payroll as XLSX and CSV for the accountant,
+ * /payslip shows an employee their payslip (HR can see anyone's).
+ */
+
+const moment = require('moment-timezone');
+const Config = require('../../config');
+const sheetsService = require('../../services/sheets.service');
+const payrollService = require('../../services/payroll.service');
+const { formatMoney } = require('../../services/payroll.service');
+const roleService = require('../../services/role.service');
+const logger = require('../../utils/logger');
+
+/**
+ * Month of a command argument
+ * @param {string} value - YYYY-MM or empty for the current month
+ * @returns {string|null} YYYY-MM or null if invalid
+ */
+function parseMonth(value) {
+  if (!value) return moment.tz(Config.TIMEZONE).format('YYYY-MM');
+  return moment(value, 'YYYY-MM', true).isValid() ? value : null;
+}
+
+/**
+ * Setup payroll handlers
+ * @param {Telegraf} bot - Bot instance
+ */
+function setupPayrollHandlers(bot) {
+  // /payroll [YYYY-MM] - payroll export of a month
+  bot.command('payroll', async (ctx) => {
+    if (!(await roleService.can(ctx.from.id, 'payroll'))) {
+      await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
+      return;
+    }
+
+    const yearMonth = parseMonth(ctx.message.text.split(/\s+/)[1]);
+    if (!yearMonth) {
+      await ctx.reply('❌ Формат: /payroll [ГГГГ-ММ]');
+      return;
+    }
+
+    try {
+      const payroll = await payrollService.getPayroll(yearMonth);
+      if (!payroll) {
+        await ctx.reply(`📭 Месячного отчёта за ${yearMonth} нет.`);
+        return;
+      }
+      if (payroll.payslips.length === 0) {
+        await ctx.reply(`📭 Нет ставок для расчёта - заполните лист «${Config.SHEET_PAY_RATES}».`);
+        return;
+      }
+
+      const currency = Config.PAYROLL_CURRENCY;
+      const sum = field => formatMoney(payroll.payslips.reduce((total, p) => total + p[field], 0));
+      let caption = `💰 Зарплата за ${yearMonth}\n\n` +
+        `👥 Сотрудников: ${payroll.payslips.length}\n` +
+        `➕ Переработка: ${sum('overtimePay')} ${currency}\n` +
+        `➖ Прогулы: ${sum('absenceDeduction')} ${currency}\n` +
+        `➖ Недоработка: ${sum('deficitDeduction')} ${currency}\n` +
+        `💵 К выплате: ${formatMoney(payroll.total)} ${currency}`;
+      if (payroll.missing.length > 0) {
+        caption += `\n\n⚠️ Без ставки (${payroll.missing.length}): ${payroll.missing.map(e => e.name).join(', ')}`;
+      }
+      if (caption.length > 1024) {
+        caption = caption.slice(0, 1020) + '...';
+      }
+
+      await ctx.replyWithDocument(
+        { source: payrollService.buildXlsx(payroll), filename: `payroll_${yearMonth}.xlsx` },
+        { caption }
+      );
+      await ctx.replyWithDocument({ source: Buffer.from(payrollService.buildCsv(payroll)), filename: `payroll_${yearMonth}.csv` });
+
+      logger.info(`Payroll for ${yearMonth} exported by ${ctx.from.id}`);
+    } catch (error) {
+      await ctx.reply(`❌ Ошибка при расчёте зарплаты: ${error.message}`);
+      logger.error(`Error in /payroll command: ${error.message}`);
+    }
+  });
+
+  // /payslip [ID|@username] [YYYY-MM] - own payslip, or an employee's for HR
+  bot.command('payslip', async (ctx) => {
+    const args = ctx.message.text.split(/\s+/).slice(1);
+    const monthArg = args.find(arg => /^\d{4}-\d{2}$/.test(arg));
+    const who = args.find(arg => arg !== monthArg);
+
+    const yearMonth = parseMonth(monthArg);
+    if (!yearMonth) {
+      await ctx.reply('❌ Формат: /payslip [ГГГГ-ММ]');
+      return;
+    }
+
+    let telegramId = ctx.from.id.toString();
+    if (who) {
+      if (!(await roleService.can(ctx.from.id, 'payroll'))) {
+        await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
+        return;
+      }
+      const employee = /^\d+$/.test(who)
+        ? await sheetsService.findEmployeeByTelegramId(who)
+        : await sheetsService.findEmployeeByUsername(who);
+      if (!employee) {
+        await ctx.reply(`❌ Сотрудник ${who} не найден`);
+        return;
+      }
+      telegramId = employee.telegramId.toString();
+    }
+
+    try {
+      const payroll = await payrollService.getPayroll(yearMonth);
+      const payslip = payroll && payroll.payslips.find(p => p.telegramId === telegramId);
+      if (!payslip) {
+        await ctx.reply(`📭 Расчётного листа за ${yearMonth} нет.`);
+        return;
+      }
+
+      await ctx.reply(payrollService.formatPayslip(payslip, yearMonth));
+    } catch (error) {
+      await ctx.reply(`❌ Ошибка при расчёте зарплаты: ${error.message}`);
+      logger.error(`Error in /payslip command: ${error.message}`);
+    }
+  });
+}
+
+module.exports = {
+  setupPayrollHandlers
+};
@@ -0,0 +1,90 @@
+/**
+ * QR check-in handler.
+ * A scanned site QR code opens the bot with /start <token>; a valid token checks the
+ * employee in at that site without live location. /qr gives admins the current code
+ * and the link of the screen page that shows the rotating code.
+ */
+
+const geofenceService = require('../../services/geofence.service');
+const qrCheckinService = require('../../services/qrCheckin.service');
+const roleService = require('../../services/role.service');
+const { processArrivalWithQr, getUserOrPromptRegistration } = require('./attendance.handler');
+const Keyboards = require('../keyboards/buttons');
+const Config = require('../../config');
+const logger = require('../../utils/logger');
+
+const TOKEN_ERRORS = {
+  invalid: '❌ QR-код не распознан. Отсканируйте код на экране рабочего места ещё раз.',
+  expired: '⏰ QR-код устарел. Отсканируйте код на экране ещё раз - он обновляется каждые несколько секунд.',
+  unknown_site: '❌ Место этого QR-кода не найдено. Обратитесь к администратору.',
+  not_qr: '❌ На этом месте отметка по QR-коду отключена. Отметьте приход кнопкой "✅ Пришёл".'
+};
+
+/**
+ * Setup QR check-in handlers (before the registration /start handler)
+ * @param {Telegraf} bot - Bot instance
+ */
+function setupQrHandlers(bot) {
+  // /start qr_... from a scanned site QR code
+  bot.command('start', async (ctx, next) => {
+    const payload = (ctx.payload || '').trim();
+    if (!qrCheckinService.isToken(payload)) {
+      return next();
+    }
+
+    const user = await getUserOrPromptRegistration(ctx);
+    if (!user) return;
+
+    const result = qrCheckinService.verifyToken(payload, await geofenceService.getSites());
+    if (!result.valid) {
+      logger.warn(`QR check-in of ${user.nameFull} (${user.telegramId}) rejected: ${result.reason}`);
+      await ctx.reply(TOKEN_ERRORS[result.reason], Keyboards.getMainMenu(ctx.from.id));
+      return;
+    }
+
+    await processArrivalWithQr(ctx, user, result.site);
+  });
+
+  // /qr [site] - current QR code and screen link of the QR sites
+  bot.command('qr', async (ctx) => {
+    if (!(await roleService.can(ctx.from.id, 'system'))) {
+      await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
+      return;
+    }
+
+    const name = ctx.message.text.split(/\s+/).slice(1).join(' ');
+    let sites = geofenceService.filterByMethod(await geofenceService.getSites(), 'qr');
+    if (name) {
+      sites = sites.filter(site => site.name.toLowerCase() === name.toLowerCase());
+    }
+
+    if (sites.length === 0) {
+      await ctx.reply(
+        (name ? `❌ Место «${name}» с отметкой по QR-коду не найдено.\n\n` : '❌ Нет мест с отметкой по QR-коду.\n\n') +
+        'Укажите "qr" или "both" в столбце Methods листа Sites.'
+      );
+      return;
+    }
+
+    for (const site of sites) {
+      const screenUrl = qrCheckinService.getDisplayUrl(site);
+      const caption = `📷 QR-код места «${site.name}»\n\n` +
+        `Код меняется каждые ${Config.QR_TOKEN_SECONDS} сек., этот скоро перестанет действовать.\n\n` +
+        (screenUrl
+          ? `🖥 Откройте на экране у входа (не публикуйте ссылку):\n${screenUrl}`
+          : '⚠️ Для экрана с кодом укажите PUBLIC_URL - адрес этого сервера.');
+
+      try {
+        const png = await qrCheckinService.renderPng(qrCheckinService.getDeepLink(ctx.botInfo.username, site));
+        await ctx.replyWithPhoto({ source: png }, { caption });
+      } catch (error) {
+        logger.error(`Failed to send QR code of ${site.name}: ${error.message}`);
+        await ctx.reply(caption);
+      }
+    }
+  });
+}
+
+module.exports = {
+  setupQrHandlers
+};
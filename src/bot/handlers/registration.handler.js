@@ -6,6 +6,7 @@
 const { Scenes } = require('telegraf');
 const sheetsService = require('../../services/sheets.service');
 const CalculatorService = require('../../services/calculator.service');
+const roleService = require('../../services/role.service');
 const Keyboards = require('../keyboards/buttons');
 const Config = require('../../config');
 const logger = require('../../utils/logger');
@@ -160,7 +161,7 @@ async function notifyAdminsAboutUnknownUser(ctx) {
     `• Имя: ${ctx.from.first_name || ''} ${ctx.from.last_name || ''}\n\n` +
     `Пожалуйста, добавьте пользователя в Google Sheets (лист 'Roster')`;
 
-  for (const adminId of Config.ADMIN_TELEGRAM_IDS) {
+  for (const adminId of await roleService.getRecipients('roles')) {
     try {
       await ctx.telegram.sendMessage(adminId, notification);
     } catch (error) {
@@ -185,9 +186,9 @@ function setupRegistrationHandlers(bot) {
       // Step 1: Check if already registered
       const employee = await sheetsService.findEmployeeByTelegramId(telegramId);
     if (employee) {
-      // Check if admin
-      const Config = require('../../config');
-      const isAdmin = Config.ADMIN_TELEGRAM_IDS.includes(telegramId);
+      // Check if staff (admin, HR, manager, team lead)
+      const role = await roleService.getRole(telegramId);
+      const isAdmin = roleService.roleCan(role, 'reports');
       const greeting = isAdmin ?
         `✅ Добро пожаловать, администратор!\n\n` :
         `✅ Вы уже зарегистрированы!\n\n`;
@@ -197,7 +198,7 @@ function setupRegistrationHandlers(bot) {
         `👤 Имя: ${employee.nameFull}\n` +
         `🏢 Компания: ${employee.company}\n` +
         `⏰ График работы: ${employee.workTime}` +
-        (isAdmin ? `\n\n🔑 У вас есть доступ к админ-панели` : ''),
+        (isAdmin ? `\n\n🔑 У вас есть доступ к админ-панели (${roleService.describe(role)})` : ''),
         Keyboards.getMainMenu(telegramId)
       );
       return;
@@ -223,8 +224,10 @@ function setupRegistrationHandlers(bot) {
         const success = await sheetsService.registerEmployee(employeeByName.rowNumber, telegramId);
 
         if (success) {
-          const Config = require('../../config');
-          const isAdmin = Config.ADMIN_TELEGRAM_IDS.includes(telegramId);
+          // The roster row got its Telegram Id - re-read roles
+          roleService.invalidate();
+          const role = await roleService.getRole(telegramId);
+          const isAdmin = roleService.roleCan(role, 'reports');
 
           await ctx.reply(
             `✅ Поздравляем! Успешно подключено!\n\n` +
@@ -235,7 +238,7 @@ function setupRegistrationHandlers(bot) {
             `• '+' - отметить приход\n` +
             `• '- сообщение' - отметить уход\n` +
             `• /status - проверить статус` +
-            (isAdmin ? `\n\n🔑 У Вас есть доступ к админ-панели` : ''),
+            (isAdmin ? `\n\n🔑 У Вас есть доступ к админ-панели (${roleService.describe(role)})` : ''),
             Keyboards.getMainMenu(telegramId)
           );
 
@@ -383,6 +386,7 @@ function setupRegistrationHandlers(bot) {
       '🔹 ДРУГИЕ ФУНКЦИИ:\n' +
       '• \'⏰ Работаю дольше\' - если остаётесь после графика\n' +
       '• \'🚫 Отсутствую\' - отметить отсутствие\n' +
+      '• \'🗓 Отпуск\' - заявка на отпуск, больничный, отгул (/leave)\n' +
       '• \'🧹 Я дежурный\' - меню дежурного\n\n' +
       '🔹 РЕЙТИНГ:\n' +
       `• Начальный балл: 10.0\n` +
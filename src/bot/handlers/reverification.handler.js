@@ -0,0 +1,403 @@
+/**
+ * Re-verification handler.
+ * When the anomaly rules ask for re-verification (by default a CRITICAL anomaly during
+ * live tracking), the arrival is not cancelled right away: the employee has
+ * REVERIFY_TIMEOUT_MINUTES to resend live location (checked by a fresh tracking session)
+ * or a selfie (decided by staff). The arrival is cancelled only if that second check fails
+ * too or there is no answer. Every step is logged to the daily row ("Arrival Verification Log").
+ */
+
+const sheetsService = require('../../services/sheets.service');
+const locationTrackerService = require('../../services/locationTracker.service');
+const trackingStoreService = require('../../services/trackingStore.service');
+const geofenceService = require('../../services/geofence.service');
+const anomalyDetectorService = require('../../services/anomalyDetector.service');
+const anomalyRulesService = require('../../services/anomalyRules.service');
+const roleService = require('../../services/role.service');
+const Keyboards = require('../keyboards/buttons');
+const Config = require('../../config');
+const logger = require('../../utils/logger');
+
+// Employees who must answer a re-verification
+// Map<userId, { requestTime, user, sessionId, summary, anomalies, step: waiting | review }>
+const challenges = new Map();
+
+/**
+ * Time the employee has to answer
+ * @returns {number} Milliseconds
+ */
+function challengeTimeout() {
+  return Config.REVERIFY_TIMEOUT_MINUTES * 60 * 1000;
+}
+
+/**
+ * Wait for the employee's answer; the challenge is saved to the Tracking sheet
+ * so it survives a restart. Without an answer in time the second check fails.
+ * @param {Object} telegram - Telegram API (bot.telegram / ctx.telegram)
+ * @param {string} userId - Employee's Telegram ID
+ * @param {Object} state - Challenge state
+ * @param {number|null} timeout - Milliseconds until it fails (null = no limit, selfie under review)
+ */
+function awaitChallenge(telegram, userId, state, timeout = challengeTimeout()) {
+  const key = userId.toString();
+  challenges.set(key, state);
+  trackingStoreService.savePendingRequest('reverify', key, state);
+
+  if (timeout === null) return;
+  setTimeout(() => {
+    if (challenges.get(key) === state) {
+      failReverification(telegram, key, `нет ответа за ${Config.REVERIFY_TIMEOUT_MINUTES} мин.`, state.anomalies, state.sessionId)
+        .catch(err => logger.error(`Failed to close re-verification of ${key}: ${err.message}`));
+    }
+  }, timeout);
+}
+
+/**
+ * Close a challenge
+ * @param {string} userId - Employee's Telegram ID
+ * @param {string} status - DONE or EXPIRED
+ */
+function stopChallenge(userId, status = 'DONE') {
+  if (challenges.delete(userId.toString())) {
+    trackingStoreService.finishPendingRequest('reverify', userId.toString(), status);
+  }
+}
+
+/**
+ * Send a message to the staff responsible for an employee
+ * @param {Object} telegram - Telegram API
+ * @param {Object} user - Employee
+ * @param {string} message - Alert text
+ * @param {string} sessionId - Tracking session for the trail map button (optional)
+ */
+async function alertStaff(telegram, user, message, sessionId = null) {
+  const extra = sessionId ? Keyboards.getTrailMapKeyboard(sessionId) : {};
+  for (const adminId of await roleService.getRecipients('alerts', user)) {
+    try {
+      await telegram.sendMessage(adminId, message, extra);
+    } catch (err) {
+      logger.error(`Failed to send re-verification alert to ${adminId}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Ask the employee to verify again after a failed check
+ * @param {Object} telegram - Telegram API
+ * @param {string} userId - Employee's Telegram ID
+ * @param {Object} session - Stopped tracking session
+ * @param {Object} analysis - Its analysis
+ */
+async function startReverification(telegram, userId, session, analysis) {
+  const user = await sheetsService.findEmployeeByTelegramId(userId);
+  const userName = user ? user.nameFull : `User ${userId}`;
+  const types = [...new Set(analysis.anomalies.map(a => a.type))].join(', ');
+
+  awaitChallenge(telegram, userId, {
+    requestTime: Date.now(),
+    user,
+    sessionId: session.id,
+    summary: analysis.summary,
+    anomalies: analysis.anomalies.map(a => ({ type: a.type })),
+    step: 'waiting'
+  });
+
+  await sheetsService.updateLocationVerification(userId, 'REVERIFY', analysis.anomalies);
+  await sheetsService.logVerification(userId, `Проверка не пройдена (${types}) - запрошена повторная проверка`);
+
+  await telegram.sendMessage(
+    userId,
+    anomalyDetectorService.formatAnomalyMessage(analysis) +
+    `\n\n🔄 ТРЕБУЕТСЯ ПОВТОРНАЯ ПРОВЕРКА\n\n` +
+    `Ваша отметка прихода пока сохранена. В течение ${Config.REVERIFY_TIMEOUT_MINUTES} минут:\n` +
+    `📍 поделитесь местоположением онлайн ещё раз (📎 → Местоположение → "Поделиться онлайн"),\n` +
+    `или 🤳 отправьте селфи на рабочем месте.\n\n` +
+    `⚠️ Если проверка не будет пройдена, приход будет отменён.`
+  ).catch(err => logger.error(`Failed to ask ${userId} for re-verification: ${err.message}`));
+
+  await alertStaff(
+    telegram,
+    user,
+    `🔄 ПОВТОРНАЯ ПРОВЕРКА МЕСТОПОЛОЖЕНИЯ\n\n` +
+    `Сотрудник: ${userName}\n` +
+    `User ID: ${userId}\n` +
+    `Аномалии: ${analysis.anomalyCount}\n` +
+    `Серьезность: ${analysis.severity}\n\n` +
+    `${analysis.summary}\n\n` +
+    `У сотрудника ${Config.REVERIFY_TIMEOUT_MINUTES} мин. на повторную проверку, приход пока сохранён.`,
+    session.id
+  );
+
+  logger.warn(`🔄 Re-verification requested from user ${userId} (${userName})`);
+}
+
+/**
+ * The second check failed: cancel the arrival
+ * @param {Object} telegram - Telegram API
+ * @param {string} userId - Employee's Telegram ID
+ * @param {string} reason - Why it failed
+ * @param {Array} anomalies - Anomalies for the daily row
+ * @param {string} sessionId - Tracking session for the trail map button (optional)
+ */
+async function failReverification(telegram, userId, reason, anomalies = [], sessionId = null) {
+  stopChallenge(userId, 'EXPIRED');
+
+  const user = await sheetsService.findEmployeeByTelegramId(userId);
+  const userName = user ? user.nameFull : `User ${userId}`;
+
+  await sheetsService.cancelFraudulentArrival(userId, userName, anomalies);
+  await sheetsService.updateLocationVerification(userId, 'FLAGGED', anomalies);
+  await sheetsService.logVerification(userId, `Повторная проверка не пройдена: ${reason} - приход отменён`);
+
+  await telegram.sendMessage(
+    userId,
+    `🚨 ОТМЕТКА ПРИХОДА ОТКЛОНЕНА - ПОВТОРНАЯ ПРОВЕРКА НЕ ПРОЙДЕНА\n\n` +
+    `Причина: ${reason}\n\n` +
+    `⛔ Ваша отметка прихода была ОТМЕНЕНА, и Вы отмечены как ОТСУТСТВУЮЩИЙ.\n` +
+    `Штраф: -2.0 балла\n\n` +
+    `Пожалуйста, срочно обратитесь к руководителю или оспорьте отмену.`,
+    Keyboards.getAppealKeyboard(await sheetsService.getShiftDate(userId))
+  ).catch(err => logger.error(`Failed to notify ${userId} about failed re-verification: ${err.message}`));
+
+  await alertStaff(
+    telegram,
+    user,
+    `🚨 ПОВТОРНАЯ ПРОВЕРКА НЕ ПРОЙДЕНА - ОТМЕТКА ПРИХОДА ОТМЕНЕНА\n\n` +
+    `Сотрудник: ${userName}\n` +
+    `User ID: ${userId}\n` +
+    `Причина: ${reason}\n\n` +
+    `⚠️ Приход УДАЛЕН из листа посещаемости.`,
+    sessionId
+  );
+
+  logger.warn(`🚨 Re-verification failed for user ${userId} (${userName}): ${reason}`);
+}
+
+/**
+ * The second check passed: keep the arrival
+ * @param {Object} telegram - Telegram API
+ * @param {string} userId - Employee's Telegram ID
+ * @param {string} status - Verification status to set (OK, FLAGGED, INTERRUPTED)
+ * @param {string} how - What passed, for the log
+ * @param {Array} anomalies - Remaining (minor) anomalies
+ */
+async function passReverification(telegram, userId, status, how, anomalies = []) {
+  stopChallenge(userId);
+
+  await sheetsService.updateLocationVerification(userId, status, anomalies);
+  await sheetsService.logVerification(userId, `Повторная проверка пройдена: ${how}`);
+
+  await telegram.sendMessage(
+    userId,
+    `✅ Повторная проверка пройдена!\n\nВаша отметка прихода подтверждена. Спасибо! 🎉`
+  ).catch(err => logger.error(`Failed to notify ${userId} about passed re-verification: ${err.message}`));
+
+  logger.info(`✅ Re-verification passed for user ${userId}: ${how}`);
+}
+
+/**
+ * Judge a finished re-verification tracking session
+ * @param {Object} telegram - Telegram API
+ * @param {string} userId - Employee's Telegram ID
+ * @param {string} sessionId - The re-verification session
+ * @param {Object} analysis - Its analysis
+ * @param {Object} options - { hasEnoughData, interrupted } for sessions that stopped early
+ */
+async function completeReverification(telegram, userId, sessionId, analysis, options = {}) {
+  const { hasEnoughData = true, interrupted = false } = options;
+
+  if (analysis.dryRun) {
+    logger.warn(`🧪 DRY RUN: anomaly rules would ${analysis.plannedAction} for user ${userId} - not applied`);
+  }
+
+  if (analysis.action === 'reverify' || analysis.action === 'cancel') {
+    await failReverification(telegram, userId, analysis.summary, analysis.anomalies, sessionId);
+  } else if (!hasEnoughData && !interrupted) {
+    await failReverification(telegram, userId, 'обновления местоположения прекратились слишком рано', analysis.anomalies, sessionId);
+  } else if (!hasEnoughData) {
+    // Cut short by a restart of the bot - not the employee's fault
+    await passReverification(telegram, userId, 'INTERRUPTED', 'прервана перезапуском бота', analysis.anomalies);
+  } else {
+    await passReverification(telegram, userId, analysis.hasAnomaly ? 'FLAGGED' : 'OK', 'онлайн-местоположение', analysis.anomalies);
+  }
+}
+
+/**
+ * Resume re-verifications that were waiting when the bot stopped.
+ * Selfies keep waiting for staff; employees whose time ran out during the restart
+ * get a new window instead of losing the arrival.
+ * @param {Telegraf} bot - Bot instance
+ * @returns {number} Number of resumed challenges
+ */
+async function restorePendingReverifications(bot) {
+  let resumed = 0;
+
+  for (const { telegramId, state } of await trackingStoreService.getPendingRequests(['reverify'])) {
+    state.user = await sheetsService.findEmployeeByTelegramId(telegramId) || state.user;
+    resumed++;
+
+    if (state.step === 'review') {
+      awaitChallenge(bot.telegram, telegramId, state, null);
+      continue;
+    }
+
+    const remaining = state.requestTime + challengeTimeout() - Date.now();
+    if (remaining > 0) {
+      awaitChallenge(bot.telegram, telegramId, state, remaining);
+      continue;
+    }
+
+    state.requestTime = Date.now();
+    awaitChallenge(bot.telegram, telegramId, state);
+    await bot.telegram.sendMessage(
+      telegramId,
+      `⚠️ Бот был перезапущен во время повторной проверки.\n\n` +
+      `У Вас ещё ${Config.REVERIFY_TIMEOUT_MINUTES} минут: поделитесь местоположением онлайн или отправьте селфи.`
+    ).catch(err => logger.error(`Failed to notify user ${telegramId}: ${err.message}`));
+  }
+
+  if (resumed > 0) {
+    logger.info(`🔄 Re-verifications after restart: ${resumed} resumed`);
+  }
+  return resumed;
+}
+
+/**
+ * Setup re-verification handlers (before the attendance location handler)
+ * @param {Telegraf} bot - Bot instance
+ */
+function setupReverificationHandlers(bot) {
+  // Live location for the second check
+  bot.on('location', async (ctx, next) => {
+    const userId = ctx.from.id.toString();
+    const state = challenges.get(userId);
+    if (!state || state.step !== 'waiting') {
+      return next();
+    }
+
+    const location = ctx.message.location;
+    if (location.live_period === undefined) {
+      await ctx.reply(
+        '❌ Это не онлайн местоположение.\n\n' +
+        'Нажмите "📎" → "Местоположение" → "Поделиться моим местоположением онлайн" ' +
+        'или отправьте селфи на рабочем месте.'
+      );
+      return;
+    }
+
+    try {
+      stopChallenge(userId);
+      await sheetsService.logVerification(userId, 'Отправлено онлайн-местоположение для повторной проверки');
+
+      const user = state.user || await sheetsService.findEmployeeByTelegramId(userId);
+      await anomalyRulesService.getRules(); // Refresh the rules the detectors use
+      const trackingResult = locationTrackerService.startTracking(
+        userId,
+        {
+          latitude: location.latitude,
+          longitude: location.longitude,
+          accuracy: location.horizontal_accuracy || null
+        },
+        user ? user.nameFull : '',
+        await geofenceService.getAllowedSites(user),
+        'reverify'
+      );
+
+      if (!trackingResult.success) {
+        logger.error(`Failed to start re-verification tracking for ${userId}: ${trackingResult.error}`);
+        await failReverification(ctx.telegram, userId, 'не удалось начать проверку местоположения', state.anomalies, state.sessionId);
+        return;
+      }
+
+      if (trackingResult.hasInitialAnomaly && anomalyRulesService.decide([trackingResult.initialAnomaly]).action === 'cancel') {
+        const anomaly = trackingResult.initialAnomaly;
+        locationTrackerService.forceStopTracking(userId);
+        await failReverification(ctx.telegram, userId, anomaly.description, [anomaly], trackingResult.session.id);
+        return;
+      }
+
+      const trackingMinutes = Config.TRACKING_DURATION_MINUTES;
+      await ctx.reply(
+        `✅ Онлайн местоположение получено!\n\n` +
+        `📍 Идет повторная проверка (около ${trackingMinutes < 1 ? `${Math.round(trackingMinutes * 60)} секунд` : `${Math.round(trackingMinutes)} минут`}).\n` +
+        `Не выключайте трансляцию местоположения.`
+      );
+    } catch (error) {
+      logger.error(`Error in re-verification location handler: ${error.message}`);
+      await ctx.reply('❌ Ошибка при обработке местоположения. Пожалуйста, попробуйте снова.');
+    }
+  });
+
+  // Selfie for the second check - staff decide
+  bot.on('photo', async (ctx, next) => {
+    const userId = ctx.from.id.toString();
+    const state = challenges.get(userId);
+    if (!state || state.step !== 'waiting') {
+      return next();
+    }
+
+    try {
+      const review = { ...state, step: 'review', photoTime: Date.now() };
+      awaitChallenge(ctx.telegram, userId, review, null);
+
+      await sheetsService.updateLocationVerification(userId, 'REVIEW', state.anomalies);
+      await sheetsService.logVerification(userId, 'Отправлено селфи для повторной проверки - ждёт решения');
+
+      const user = state.user || await sheetsService.findEmployeeByTelegramId(userId);
+      const fileId = ctx.message.photo[ctx.message.photo.length - 1].file_id;
+      const caption = `🤳 СЕЛФИ ДЛЯ ПОВТОРНОЙ ПРОВЕРКИ\n\n` +
+        `Сотрудник: ${user ? user.nameFull : userId}\n` +
+        `User ID: ${userId}\n\n` +
+        `Первая проверка: ${state.summary}`;
+
+      for (const adminId of await roleService.getRecipients('alerts', user)) {
+        try {
+          await ctx.telegram.sendPhoto(adminId, fileId, { caption, ...Keyboards.getReverifyDecisionKeyboard(userId) });
+        } catch (err) {
+          logger.error(`Failed to send re-verification selfie to ${adminId}: ${err.message}`);
+        }
+      }
+
+      await ctx.reply('📨 Селфи отправлено руководителю. Мы сообщим о решении.');
+    } catch (error) {
+      logger.error(`Error in re-verification photo handler: ${error.message}`);
+      await ctx.reply('❌ Ошибка при обработке фото. Пожалуйста, попробуйте снова.');
+    }
+  });
+
+  // Staff decide on a selfie
+  bot.action(/^reverify_(ok|fail):(\d+)$/, async (ctx) => {
+    if (!(await roleService.can(ctx.from.id, 'alerts'))) {
+      await ctx.answerCbQuery('❌ У вас нет прав для этого решения', { show_alert: true });
+      return;
+    }
+
+    const approved = ctx.match[1] === 'ok';
+    const userId = ctx.match[2];
+    const state = challenges.get(userId);
+    if (!state || state.step !== 'review') {
+      await ctx.answerCbQuery('Решение уже принято', { show_alert: true });
+      await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+      return;
+    }
+
+    const decidedBy = ctx.from.username ? `@${ctx.from.username}` : ctx.from.id.toString();
+    await ctx.answerCbQuery(approved ? 'Подтверждено' : 'Приход отменён');
+    await ctx.editMessageCaption(
+      `${approved ? '✅ ПОДТВЕРЖДЕНО' : '❌ ОТКЛОНЕНО'} (${decidedBy})\n\n${ctx.callbackQuery.message.caption || ''}`
+    ).catch(() => {});
+
+    if (approved) {
+      await passReverification(ctx.telegram, userId, 'OK', `селфи подтверждено ${decidedBy}`);
+    } else {
+      await failReverification(ctx.telegram, userId, `селфи отклонено ${decidedBy}`, state.anomalies, state.sessionId);
+    }
+  });
+}
+
+module.exports = {
+  setupReverificationHandlers,
+  startReverification,
+  completeReverification,
+  restorePendingReverifications
+};
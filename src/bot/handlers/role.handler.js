@@ -0,0 +1,151 @@
+/**
+ * Role handler.
+ * Super-admins list staff roles and assign HR, company manager and team lead roles
+ * to employees from the bot; the roles are stored in the roster "Role" column.
+ */
+
+const sheetsService = require('../../services/sheets.service');
+const roleService = require('../../services/role.service');
+const Keyboards = require('../keyboards/buttons');
+const logger = require('../../utils/logger');
+
+const { ROLES, normalizeRole } = roleService;
+
+/**
+ * Name of the user for the audit trail
+ */
+function changedBy(ctx) {
+  return {
+    name: ctx.from.username ? `@${ctx.from.username}` : ctx.from.id.toString(),
+    telegramId: ctx.from.id
+  };
+}
+
+/**
+ * Find an employee by Telegram ID or @username
+ * @param {string} query - Telegram ID or @username
+ * @returns {Object|null} Employee
+ */
+async function findEmployee(query) {
+  if (/^\d+$/.test(query)) {
+    return sheetsService.findEmployeeByTelegramId(query);
+  }
+  return sheetsService.findEmployeeByUsername(query);
+}
+
+/**
+ * Scope of a staff member for messages
+ * @param {Object} entry - Staff entry from roleService.getStaff
+ * @returns {string}
+ */
+function describeScope(entry) {
+  const scope = ROLES[entry.role].scope;
+  if (scope === 'company') return entry.company ? `компания ${entry.company}` : 'компания не указана';
+  if (scope === 'team') return entry.teams.length > 0 ? `команды ${entry.teams.join(', ')}` : 'команда не указана';
+  return 'все сотрудники';
+}
+
+/**
+ * Setup role handlers
+ * @param {Telegraf} bot - Bot instance
+ */
+function setupRoleHandlers(bot) {
+  // Admin command: Staff with roles
+  bot.command('roles', async (ctx) => {
+    // Check if user can manage roles
+    if (!(await roleService.can(ctx.from.id, 'roles'))) {
+      await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
+      return;
+    }
+
+    try {
+      const staff = [...(await roleService.getStaff()).values()]
+        .sort((a, b) => Object.keys(ROLES).indexOf(a.role) - Object.keys(ROLES).indexOf(b.role));
+
+      let text = '🔑 РОЛИ СОТРУДНИКОВ\n\n';
+      for (const entry of staff) {
+        text += `${roleService.describe(entry.role)} - ${entry.name || entry.telegramId}\n`;
+        text += `   👁 ${describeScope(entry)}\n`;
+      }
+      text += '\n/setrole <Telegram ID или @username> [hr | manager | team_lead | none] - назначить роль';
+
+      await ctx.reply(text);
+    } catch (error) {
+      await ctx.reply(`❌ Ошибка при загрузке ролей: ${error.message}`);
+      logger.error(`Error in /roles command: ${error.message}`);
+    }
+  });
+
+  // Admin command: Assign a role
+  // Usage: /setrole 123456789 team_lead  or  /setrole @username (shows role buttons)
+  bot.command('setrole', async (ctx) => {
+    // Check if user can manage roles
+    if (!(await roleService.can(ctx.from.id, 'roles'))) {
+      await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
+      return;
+    }
+
+    const [query, roleArg] = ctx.message.text.split(/\s+/).slice(1);
+    if (!query) {
+      await ctx.reply(
+        '❌ Формат: /setrole <Telegram ID или @username> [роль]\n\n' +
+        'Роли: super_admin, hr, manager, team_lead, none'
+      );
+      return;
+    }
+
+    const employee = await findEmployee(query);
+    if (!employee || !employee.telegramId) {
+      await ctx.reply('❌ Сотрудник не найден или не зарегистрирован в боте.');
+      return;
+    }
+
+    if (!roleArg) {
+      const current = await roleService.getRole(employee.telegramId);
+      await ctx.reply(
+        `👤 ${employee.nameFull}\n` +
+        `🔑 Текущая роль: ${roleService.describe(current)}\n\n` +
+        'Выберите роль:',
+        Keyboards.getRoleKeyboard(employee.telegramId)
+      );
+      return;
+    }
+
+    const role = roleArg.toLowerCase() === 'none' ? null : normalizeRole(roleArg);
+    if (roleArg.toLowerCase() !== 'none' && !role) {
+      await ctx.reply('❌ Неизвестная роль. Роли: super_admin, hr, manager, team_lead, none');
+      return;
+    }
+
+    try {
+      const result = await roleService.setRole(employee.telegramId, role, changedBy(ctx));
+      await ctx.reply(`✅ ${result.name}: ${roleService.describe(result.oldRole)} → ${roleService.describe(result.role)}`);
+    } catch (error) {
+      await ctx.reply(`❌ ${error.message}`);
+    }
+  });
+
+  bot.action(/^role_set:(\d+):(\w+)$/, async (ctx) => {
+    if (!(await roleService.can(ctx.from.id, 'roles'))) {
+      await ctx.answerCbQuery('❌ У вас нет прав для назначения ролей', { show_alert: true });
+      return;
+    }
+
+    const role = ctx.match[2] === 'none' ? null : ctx.match[2];
+
+    try {
+      const result = await roleService.setRole(ctx.match[1], role, changedBy(ctx));
+      await ctx.answerCbQuery('Роль назначена');
+      await ctx.editMessageText(
+        `👤 ${result.name}\n` +
+        `🔑 ${roleService.describe(result.oldRole)} → ${roleService.describe(result.role)}`
+      ).catch(() => {});
+    } catch (error) {
+      await ctx.answerCbQuery(error.message, { show_alert: true });
+    }
+  });
+}
+
+module.exports = {
+  setupRoleHandlers
+};
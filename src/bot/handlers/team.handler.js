@@ -0,0 +1,72 @@
+/**
+ * Team handler.
+ * Lists teams from the Teams sheet with their lead, members, default schedule and sites.
+ */
+
+const sheetsService = require('../../services/sheets.service');
+const roleService = require('../../services/role.service');
+const teamService = require('../../services/team.service');
+const logger = require('../../utils/logger');
+
+const WEEKDAY_SHORT_RU = ['вс', 'пн', 'вт', 'ср', 'чт', 'пт', 'сб'];
+
+/**
+ * Setup team handlers
+ * @param {Telegraf} bot - Bot instance
+ */
+function setupTeamHandlers(bot) {
+  // Admin command: Teams in the user's scope
+  bot.command('teams', async (ctx) => {
+    // Check if user has access to reports
+    if (!(await roleService.can(ctx.from.id, 'reports'))) {
+      await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
+      return;
+    }
+
+    try {
+      const teams = await teamService.getTeams();
+      if (teams.length === 0) {
+        await ctx.reply(
+          '📭 Команды не настроены.\n\n' +
+          'Добавьте их в лист Teams (Name, Lead Telegram Id, Work time, Days off, Sites, Chat Id) ' +
+          'и укажите команду сотрудника в колонке Team листа Roster.'
+        );
+        return;
+      }
+
+      const scopedIds = await roleService.getScopedTelegramIds(await roleService.getScope(ctx.from.id));
+
+      let text = '👥 КОМАНДЫ\n\n';
+      for (const team of teams) {
+        const members = (await teamService.getMembers(team.name))
+          .filter(row => !scopedIds || scopedIds.has((row.get('Telegram Id') || '').toString().trim()));
+        if (scopedIds && members.length === 0) continue;
+
+        const leads = [];
+        for (const leadId of team.leadIds) {
+          const lead = await sheetsService.findEmployeeByTelegramId(leadId);
+          leads.push(lead ? lead.nameFull : leadId);
+        }
+
+        text += `👥 ${team.name} - ${members.length} чел.\n`;
+        if (leads.length > 0) text += `   👤 Лид: ${leads.join(', ')}\n`;
+        if (team.workTime) {
+          const daysOff = team.daysOff.length > 0 ? team.daysOff.map(d => WEEKDAY_SHORT_RU[d]).join(', ') : 'по ростеру';
+          text += `   ⏰ ${team.workTime} (выходные: ${daysOff})\n`;
+        }
+        if (team.sites.length > 0) text += `   📍 ${team.sites.join(', ')}\n`;
+        if (team.chatId) text += '   💬 Отчёт в чат команды\n';
+        text += '\n';
+      }
+
+      await ctx.reply(text);
+    } catch (error) {
+      await ctx.reply(`❌ Ошибка при загрузке команд: ${error.message}`);
+      logger.error(`Error in /teams command: ${error.message}`);
+    }
+  });
+}
+
+module.exports = {
+  setupTeamHandlers
+};
@@ -0,0 +1,140 @@
+/**
+ * Trail handler.
+ * Sends admins the HTML trail map of an employee's location verifications:
+ * the trail, the allowed sites and where each anomaly happened.
+ */
+
+const moment = require('moment-timezone');
+const Config = require('../../config');
+const sheetsService = require('../../services/sheets.service');
+const roleService = require('../../services/role.service');
+const trackingStoreService = require('../../services/trackingStore.service');
+const trailMapService = require('../../services/trailMap.service');
+const logger = require('../../utils/logger');
+
+/**
+ * Find an employee by Telegram ID or @username
+ * @param {string} query - Telegram ID or @username
+ * @returns {Object|null} Employee
+ */
+async function findEmployee(query) {
+  if (/^\d+$/.test(query)) {
+    return sheetsService.findEmployeeByTelegramId(query);
+  }
+  return sheetsService.findEmployeeByUsername(query);
+}
+
+/**
+ * Whether the staff member may see an employee
+ * @param {number} staffId - Staff Telegram ID
+ * @param {string} telegramId - Employee Telegram ID
+ * @returns {boolean}
+ */
+async function canSee(staffId, telegramId) {
+  const scopedIds = await roleService.getScopedTelegramIds(await roleService.getScope(staffId));
+  return !scopedIds || scopedIds.has(telegramId.toString());
+}
+
+/**
+ * Send the trail map as an HTML document
+ * @param {Object} ctx - Telegraf context
+ * @param {Array} sessions - Saved sessions
+ * @param {string} employeeName - Employee name
+ * @param {string} date - Date YYYY-MM-DD
+ */
+async function sendMap(ctx, sessions, employeeName, date) {
+  const html = trailMapService.buildMapHtml(sessions, { employeeName, date });
+  const anomalyCount = sessions.reduce((sum, s) => sum + trailMapService._getAnomalies(s).length, 0);
+
+  await ctx.replyWithDocument(
+    { source: Buffer.from(html, 'utf8'), filename: `trail_${sessions[0].userId}_${date}.html` },
+    {
+      caption: `🗺 Карта проверки местоположения\n\n` +
+        `👤 ${employeeName}\n` +
+        `📅 ${date}\n` +
+        `📍 Проверок: ${sessions.length}\n` +
+        `🚨 Аномалий: ${anomalyCount}\n\n` +
+        `Откройте файл в браузере.`
+    }
+  );
+}
+
+/**
+ * Setup trail handlers
+ * @param {Telegraf} bot - Bot instance
+ */
+function setupTrailHandlers(bot) {
+  // Admin command: Trail map of an employee's verifications on a day
+  // Usage: /trail 123456789 [2025-03-12]  or  /trail @username
+  bot.command('trail', async (ctx) => {
+    // Check if user has access to reports
+    if (!(await roleService.can(ctx.from.id, 'reports'))) {
+      await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
+      return;
+    }
+
+    const [query, dateArg] = ctx.message.text.split(/\s+/).slice(1);
+    if (!query) {
+      await ctx.reply(
+        '🗺 Карта проверки местоположения\n\n' +
+        'Использование: /trail <Telegram ID или @username> [ГГГГ-ММ-ДД]\n' +
+        'По умолчанию - за сегодня.'
+      );
+      return;
+    }
+
+    const date = dateArg || moment.tz(Config.TIMEZONE).format('YYYY-MM-DD');
+    if (!moment(date, 'YYYY-MM-DD', true).isValid()) {
+      await ctx.reply('❌ Неверная дата. Используйте формат ГГГГ-ММ-ДД.');
+      return;
+    }
+
+    try {
+      const employee = await findEmployee(query);
+      if (!employee || !(await canSee(ctx.from.id, employee.telegramId))) {
+        await ctx.reply(`❌ Сотрудник ${query} не найден.`);
+        return;
+      }
+
+      const sessions = await trackingStoreService.getSessions(employee.telegramId, date);
+      if (sessions.length === 0) {
+        await ctx.reply(`📭 Нет проверок местоположения ${employee.nameFull} за ${date}.`);
+        return;
+      }
+
+      await sendMap(ctx, sessions, employee.nameFull, date);
+      logger.info(`Trail map of ${employee.nameFull} for ${date} sent to ${ctx.from.id}`);
+    } catch (error) {
+      await ctx.reply(`❌ Ошибка при создании карты: ${error.message}`);
+      logger.error(`Error in /trail command: ${error.message}`);
+    }
+  });
+
+  // Map button under anomaly alerts
+  bot.action(/^trail_map:(.+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+
+    if (!(await roleService.can(ctx.from.id, 'reports'))) {
+      await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
+      return;
+    }
+
+    try {
+      const session = await trackingStoreService.getSession(ctx.match[1]);
+      if (!session || !(await canSee(ctx.from.id, session.userId))) {
+        await ctx.reply('❌ Проверка не найдена (возможно, она уже удалена из истории).');
+        return;
+      }
+
+      const date = moment.tz(session.startTime, Config.TIMEZONE).format('YYYY-MM-DD');
+      await sendMap(ctx, [session], session.userName || session.userId, date);
+    } catch (error) {
+      await ctx.reply(`❌ Ошибка при создании карты: ${error.message}`);
+      logger.error(`Error sending trail map: ${error.message}`);
+    }
+  });
+}
+
+module.exports = {
+  setupTrailHandlers
+};
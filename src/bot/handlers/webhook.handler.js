@@ -0,0 +1,154 @@
+/**
+ * Webhook handler.
+ * Lets admins register outgoing webhooks for attendance events, list them with the
+ * latest deliveries, send a test event and remove them.
+ */
+
+const webhookService = require('../../services/webhook.service');
+const { EVENTS, parseEvents } = require('../../services/webhook.service');
+const roleService = require('../../services/role.service');
+const logger = require('../../utils/logger');
+
+const STATUS_EMOJI = { DELIVERED: '✅', PENDING: '⏳', FAILED: '❌' };
+
+/**
+ * Reply with the denial if the user may not manage webhooks
+ * @param {Object} ctx - Telegraf context
+ * @returns {boolean} True if allowed
+ */
+async function checkAccess(ctx) {
+  if (await roleService.can(ctx.from.id, 'system')) return true;
+  await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
+  return false;
+}
+
+/**
+ * Setup webhook handlers
+ * @param {Telegraf} bot - Bot instance
+ */
+function setupWebhookHandlers(bot) {
+  // /webhooks - registered webhooks and the latest deliveries
+  bot.command('webhooks', async (ctx) => {
+    if (!(await checkAccess(ctx))) return;
+
+    try {
+      const webhooks = await webhookService.getWebhooks();
+      if (webhooks.length === 0) {
+        await ctx.reply(
+          '🔗 Вебхуков нет.\n\n' +
+          'Добавьте: /addwebhook <имя> <url> [события]\n' +
+          `События: ${EVENTS.join(', ')} (без списка - все)`
+        );
+        return;
+      }
+
+      let text = '🔗 ВЕБХУКИ\n\n';
+      for (const webhook of webhooks) {
+        text += `${webhook.active ? '🟢' : '⏸'} ${webhook.name}\n`;
+        text += `   ${webhook.url}\n`;
+        text += `   События: ${webhook.events.length > 0 ? webhook.events.join(', ') : 'все'}\n`;
+      }
+
+      const deliveries = await webhookService.getRecentDeliveries(10);
+      if (deliveries.length > 0) {
+        text += '\n📬 Последние отправки:\n';
+        for (const delivery of deliveries) {
+          text += `${STATUS_EMOJI[delivery.status] || '•'} ${delivery.time} ${delivery.event} → ${delivery.webhook}` +
+            ` (${delivery.attempts} попыт., ${delivery.response || '-'})\n`;
+        }
+      }
+
+      await ctx.reply(text, { link_preview_options: { is_disabled: true } });
+    } catch (error) {
+      await ctx.reply(`❌ Ошибка при загрузке вебхуков: ${error.message}`);
+      logger.error(`Error in /webhooks command: ${error.message}`);
+    }
+  });
+
+  // /addwebhook <name> <url> [EVENT,EVENT...]
+  bot.command('addwebhook', async (ctx) => {
+    if (!(await checkAccess(ctx))) return;
+
+    const [name, url, ...eventParts] = ctx.message.text.split(/\s+/).slice(1);
+    if (!name || !url) {
+      await ctx.reply(
+        '❌ Формат: /addwebhook <имя> <url> [события]\n\n' +
+        'Пример: /addwebhook payroll https://hr.example.com/hooks/attendance ARRIVAL,DEPARTURE\n\n' +
+        `События: ${EVENTS.join(', ')} (без списка - все)`
+      );
+      return;
+    }
+
+    try {
+      const eventsText = eventParts.join(',');
+      const events = parseEvents(eventsText);
+      const unknown = eventsText.split(',').map(e => e.trim().toUpperCase())
+        .filter(e => e && e !== 'ALL' && e !== '*' && !EVENTS.includes(e));
+      if (unknown.length > 0) {
+        await ctx.reply(`❌ Неизвестные события: ${unknown.join(', ')}\n\nДоступны: ${EVENTS.join(', ')}`);
+        return;
+      }
+
+      const createdBy = ctx.from.username ? `@${ctx.from.username}` : ctx.from.id.toString();
+      const webhook = await webhookService.addWebhook({ name, url, events, createdBy });
+
+      await ctx.reply(
+        `✅ Вебхук «${webhook.name}» добавлен\n\n` +
+        `🔗 ${webhook.url}\n` +
+        `📨 События: ${events.length > 0 ? events.join(', ') : 'все'}\n\n` +
+        `🔑 Секрет для проверки подписи (X-Webhook-Signature):\n${webhook.secret}\n\n` +
+        `Проверить: /testwebhook ${webhook.name}`,
+        { link_preview_options: { is_disabled: true } }
+      );
+    } catch (error) {
+      await ctx.reply(`❌ ${error.message}`);
+    }
+  });
+
+  // /removewebhook <name>
+  bot.command('removewebhook', async (ctx) => {
+    if (!(await checkAccess(ctx))) return;
+
+    const name = ctx.message.text.split(/\s+/).slice(1).join(' ');
+    if (!name) {
+      await ctx.reply('❌ Формат: /removewebhook <имя>');
+      return;
+    }
+
+    try {
+      const removed = await webhookService.removeWebhook(name);
+      await ctx.reply(removed ? `🗑 Вебхук «${name}» удалён` : `❌ Вебхук «${name}» не найден`);
+      if (removed) {
+        logger.info(`Admin ${ctx.from.id} removed webhook '${name}'`);
+      }
+    } catch (error) {
+      await ctx.reply(`❌ Ошибка при удалении вебхука: ${error.message}`);
+      logger.error(`Error in /removewebhook command: ${error.message}`);
+    }
+  });
+
+  // /testwebhook <name> - send a PING event and report the result
+  bot.command('testwebhook', async (ctx) => {
+    if (!(await checkAccess(ctx))) return;
+
+    const name = ctx.message.text.split(/\s+/).slice(1).join(' ');
+    const webhook = await webhookService.findWebhook(name);
+    if (!webhook) {
+      await ctx.reply(`❌ Вебхук «${name}» не найден`);
+      return;
+    }
+
+    await ctx.reply(`🔄 Отправляю тестовое событие на «${webhook.name}»...`);
+    // One attempt - the answer is shown right away, see the Webhook Log for details
+    const result = await webhookService.deliver(webhook, 'PING', { message: 'Test event from the attendance bot' }, 1);
+    await ctx.reply(
+      result.status === 'DELIVERED'
+        ? `✅ Доставлено (${result.response})`
+        : `❌ Не доставлено: ${result.response}`
+    );
+  });
+}
+
+module.exports = {
+  setupWebhookHandlers
+};
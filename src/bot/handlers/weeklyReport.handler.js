@@ -0,0 +1,52 @@
+/**
+ * Weekly report handler.
+ * /weekly shows admins the weekly company report on demand (the Monday report is sent automatically).
+ */
+
+const moment = require('moment-timezone');
+const Config = require('../../config');
+const roleService = require('../../services/role.service');
+const weeklyReportService = require('../../services/weeklyReport.service');
+const logger = require('../../utils/logger');
+
+/**
+ * Setup weekly report handlers
+ * @param {Telegraf} bot - Bot instance
+ */
+function setupWeeklyReportHandlers(bot) {
+  // Admin command: Weekly report of the week of a date (last week by default)
+  // Usage: /weekly  or  /weekly 2025-03-12
+  bot.command('weekly', async (ctx) => {
+    if (!(await roleService.can(ctx.from.id, 'reports'))) {
+      await ctx.reply('❌ У вас нет прав для выполнения этой команды.');
+      return;
+    }
+
+    const dateArg = ctx.message.text.split(/\s+/)[1];
+    if (dateArg && !moment(dateArg, 'YYYY-MM-DD', true).isValid()) {
+      await ctx.reply('❌ Формат: /weekly [ГГГГ-ММ-ДД] - отчёт за неделю этой даты (по умолчанию - прошлая неделя)');
+      return;
+    }
+
+    try {
+      const week = weeklyReportService.getWeek(dateArg || moment.tz(Config.TIMEZONE).subtract(1, 'week'));
+      const ids = await roleService.getScopedTelegramIds(await roleService.getScope(ctx.from.id));
+      const report = await weeklyReportService.getReport(week, ids);
+
+      if (report.stats.size === 0) {
+        await ctx.reply(`📭 Нет данных за неделю ${week.from} — ${week.to}.`);
+        return;
+      }
+
+      await ctx.reply(weeklyReportService.formatReport(report));
+      logger.info(`Weekly report ${week.from}..${week.to} sent to ${ctx.from.id}`);
+    } catch (error) {
+      await ctx.reply(`❌ Ошибка при создании отчёта: ${error.message}`);
+      logger.error(`Error in /weekly command: ${error.message}`);
+    }
+  });
+}
+
+module.exports = {
+  setupWeeklyReportHandlers
+};
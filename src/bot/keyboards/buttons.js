@@ -7,14 +7,14 @@ const { Markup } = require('telegraf');
 class Keyboards {
   /**
    * Get the main menu keyboard with attendance buttons
-   * @param {number} userId - Telegram user ID to check if admin
+   * @param {number} userId - Telegram user ID to check if admin (or another role with reports)
    * @param {boolean} currentlyOut - Whether user is currently out temporarily
    * @returns {Object} Keyboard markup
    */
   static getMainMenu(userId = null, currentlyOut = false) {
-    // Check if user is admin
-    const Config = require('../../config');
-    const isAdmin = userId && Config.ADMIN_TELEGRAM_IDS.includes(userId);
+    // Check if user has a staff role with access to reports
+    const roleService = require('../../services/role.service');
+    const isAdmin = userId && roleService.roleCan(roleService.getRoleSync(userId), 'reports');
 
     if (isAdmin) {
       return this.getAdminMenu(currentlyOut);
@@ -27,7 +27,7 @@ class Keyboards {
 
     return Markup.keyboard([
       ['✅ Пришёл', '🕒 Опоздаю', '🚫 Отсутствую'],
-      ['🚪 Ухожу', '⏰ Работаю дольше'],
+      ['🚪 Ухожу', '⏰ Работаю дольше', '🗓 Отпуск'],
       thirdRow
     ]).resize();
   }
@@ -40,8 +40,8 @@ class Keyboards {
   static getAdminMenu(currentlyOut = false) {
     // Build temp exit row based on currently out status
     const tempExitRow = currentlyOut
-      ? ['↩️ Вернулся']
-      : ['🚶 Выхожу временно'];
+      ? ['↩️ Вернулся', '🗓 Отпуск']
+      : ['🚶 Выхожу временно', '🗓 Отпуск'];
 
     return Markup.keyboard([
       ['✅ Пришёл', '🕒 Опоздаю', '🚫 Отсутствую'],
@@ -52,6 +52,23 @@ class Keyboards {
     ]).resize();
   }
 
+  /**
+   * Texts of all reply-keyboard menu buttons (to tell button presses from typed input)
+   * @returns {Set<string>} Button texts
+   */
+  static getMenuButtonTexts() {
+    const menus = [this.getAdminMenu(false), this.getAdminMenu(true)];
+    const texts = new Set();
+    for (const menu of menus) {
+      for (const row of menu.reply_markup.keyboard) {
+        row.forEach(button => texts.add(typeof button === 'string' ? button : button.text));
+      }
+    }
+    // Regular users see a subset of the admin menu plus these
+    ['🚶 Выхожу временно', '↩️ Вернулся', '📋 Мой статус'].forEach(text => texts.add(text));
+    return texts;
+  }
+
   /**
    * Get keyboard for selecting how long person will be late
    * @returns {Object} Inline keyboard markup
@@ -104,6 +121,176 @@ class Keyboards {
     ]);
   }
 
+  /**
+   * Get keyboard for selecting leave request type
+   * @returns {Object} Inline keyboard markup
+   */
+  static getLeaveTypeKeyboard() {
+    return Markup.inlineKeyboard([
+      [
+        Markup.button.callback('🏖 Отпуск', 'leave_type:vacation'),
+        Markup.button.callback('🌤 Отгул', 'leave_type:day_off')
+      ],
+      [
+        Markup.button.callback('🤒 Больничный', 'leave_type:sick'),
+        Markup.button.callback('✈️ Командировка', 'leave_type:business_trip')
+      ],
+      [Markup.button.callback('📝 За свой счёт', 'leave_type:unpaid')],
+      [Markup.button.callback('📋 Мои заявки', 'leave_list')],
+      [Markup.button.callback('❌ Отмена', 'leave_type:cancel')]
+    ]);
+  }
+
+  /**
+   * Get keyboard for a manager to decide on a leave request
+   * @param {number} requestId - Leave request id
+   * @returns {Object} Inline keyboard markup
+   */
+  static getLeaveDecisionKeyboard(requestId) {
+    return Markup.inlineKeyboard([
+      [
+        Markup.button.callback('✅ Одобрить', `leave_approve:${requestId}`),
+        Markup.button.callback('❌ Отклонить', `leave_reject:${requestId}`)
+      ]
+    ]);
+  }
+
+  /**
+   * Get keyboard for picking the day to correct
+   * @param {Array<string>} dates - Dates YYYY-MM-DD, newest first
+   * @returns {Object} Inline keyboard markup
+   */
+  static getCorrectionDatesKeyboard(dates) {
+    const buttons = dates.map(date => [Markup.button.callback(`📅 ${date}`, `corr_date:${date}`)]);
+    buttons.push([Markup.button.callback('❌ Отмена', 'corr_cancel')]);
+    return Markup.inlineKeyboard(buttons);
+  }
+
+  /**
+   * Get keyboard with correction actions for a daily record
+   * @param {boolean} canRestore - Arrival was cancelled as fraud
+   * @returns {Object} Inline keyboard markup
+   */
+  static getCorrectionActionsKeyboard(canRestore = false) {
+    const buttons = [
+      [
+        Markup.button.callback('✅ Время прихода', 'corr_act:set_arrival'),
+        Markup.button.callback('🚪 Время ухода', 'corr_act:set_departure')
+      ],
+      [
+        Markup.button.callback('🧹 Удалить приход', 'corr_act:clear_arrival'),
+        Markup.button.callback('🧹 Удалить уход', 'corr_act:clear_departure')
+      ],
+      [
+        Markup.button.callback('🙏 Простить опоздание', 'corr_act:excuse_lateness'),
+        Markup.button.callback('🧾 Снять штраф', 'corr_act:waive_penalty')
+      ]
+    ];
+    if (canRestore) {
+      buttons.push([Markup.button.callback('♻️ Восстановить приход', 'corr_act:restore_arrival')]);
+    }
+    buttons.push([Markup.button.callback('❌ Отмена', 'corr_cancel')]);
+    return Markup.inlineKeyboard(buttons);
+  }
+
+  /**
+   * Get keyboard for disputing a day's penalty
+   * @param {string} date - Date of the daily sheet YYYY-MM-DD
+   * @returns {Object} Inline keyboard markup
+   */
+  static getAppealKeyboard(date) {
+    return Markup.inlineKeyboard([
+      [Markup.button.callback('⚖️ Оспорить', `appeal:${date}`)]
+    ]);
+  }
+
+  /**
+   * Get keyboard for an admin to decide on a penalty appeal
+   * @param {number} appealId - Appeal id
+   * @returns {Object} Inline keyboard markup
+   */
+  static getAppealDecisionKeyboard(appealId) {
+    return Markup.inlineKeyboard([
+      [
+        Markup.button.callback('✅ Одобрить', `appeal_approve:${appealId}`),
+        Markup.button.callback('❌ Отклонить', `appeal_reject:${appealId}`)
+      ]
+    ]);
+  }
+
+  /**
+   * Get keyboard for opening the trail map of a location verification
+   * @param {string} sessionId - Tracking session id
+   * @returns {Object} Inline keyboard markup
+   */
+  static getTrailMapKeyboard(sessionId) {
+    return Markup.inlineKeyboard([
+      [Markup.button.callback('🗺 Карта маршрута', `trail_map:${sessionId}`)]
+    ]);
+  }
+
+  /**
+   * Get keyboard for staff to decide on a re-verification selfie
+   * @param {string} telegramId - Employee's Telegram ID
+   * @returns {Object} Inline keyboard markup
+   */
+  static getReverifyDecisionKeyboard(telegramId) {
+    return Markup.inlineKeyboard([
+      [
+        Markup.button.callback('✅ Подтвердить', `reverify_ok:${telegramId}`),
+        Markup.button.callback('❌ Отменить приход', `reverify_fail:${telegramId}`)
+      ]
+    ]);
+  }
+
+  /**
+   * Get keyboard for staff to review an arrival photo
+   * @param {string} telegramId - Employee's Telegram ID
+   * @param {string} date - Day of the arrival YYYY-MM-DD
+   * @param {string} sessionId - Tracking session of the arrival for the trail map (optional)
+   * @returns {Object} Inline keyboard markup
+   */
+  static getPhotoReviewKeyboard(telegramId, date, sessionId = null) {
+    const rows = [[
+      Markup.button.callback('✅ Подтвердить', `photo_ok:${date}:${telegramId}`),
+      Markup.button.callback('🚩 Отметить', `photo_flag:${date}:${telegramId}`)
+    ]];
+    if (sessionId) {
+      rows.push([Markup.button.callback('🗺 Карта маршрута', `trail_map:${sessionId}`)]);
+    }
+    return Markup.inlineKeyboard(rows);
+  }
+
+  /**
+   * Get keyboard for choosing who receives a broadcast
+   * @param {Array<string>} teams - Team names the sender may write to
+   * @returns {Object} Inline keyboard markup
+   */
+  static getBroadcastTargetKeyboard(teams) {
+    const buttons = [[Markup.button.callback('📢 Всем сотрудникам', 'broadcast_team:all')]];
+    teams.forEach((team, index) => {
+      buttons.push([Markup.button.callback(`👥 ${team}`, `broadcast_team:${index}`)]);
+    });
+    buttons.push([Markup.button.callback('❌ Отмена', 'broadcast_team:cancel')]);
+
+    return Markup.inlineKeyboard(buttons);
+  }
+
+  /**
+   * Get keyboard for assigning a staff role to an employee
+   * @param {string} telegramId - Employee Telegram ID
+   * @returns {Object} Inline keyboard markup
+   */
+  static getRoleKeyboard(telegramId) {
+    const { ROLES } = require('../../services/role.service');
+    const buttons = Object.entries(ROLES)
+      .map(([role, { label, emoji }]) => [Markup.button.callback(`${emoji} ${label}`, `role_set:${telegramId}:${role}`)]);
+
+    buttons.push([Markup.button.callback('🚫 Без роли', `role_set:${telegramId}:none`)]);
+
+    return Markup.inlineKeyboard(buttons);
+  }
+
   /**
    * Get keyboard for selecting how long person will work extra
    * @returns {Object} Inline keyboard markup
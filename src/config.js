@@ -18,6 +18,15 @@ class Config {
   static GOOGLE_SERVICE_ACCOUNT_EMAIL = process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL || '';
   static GOOGLE_PRIVATE_KEY = (process.env.GOOGLE_PRIVATE_KEY || '').replace(/\\n/g, '\n');
 
+  // Storage Configuration
+  // 'sheets' - read/write Google Sheets directly, 'sqlite' - local database file
+  static STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'sheets').toLowerCase();
+  static SQLITE_PATH = process.env.SQLITE_PATH || './data/attendance.db';
+  // Copy local data to Google Sheets periodically (sqlite backend only)
+  static STORAGE_MIRROR_TO_SHEETS = process.env.STORAGE_MIRROR_TO_SHEETS === 'true';
+  static STORAGE_MIRROR_INTERVAL_SECONDS = parseInt(process.env.STORAGE_MIRROR_INTERVAL_SECONDS || '300');
+  static SHUTDOWN_TIMEOUT_SECONDS = parseInt(process.env.SHUTDOWN_TIMEOUT_SECONDS || '20'); // Time to save data before exiting on stop
+
   // Timezone
   static TIMEZONE = process.env.TIMEZONE || 'Asia/Tashkent';
 
@@ -48,11 +57,28 @@ class Config {
   static OFFICE_LATITUDE = parseFloat(process.env.OFFICE_LATITUDE || '41.302799');
   static OFFICE_LONGITUDE = parseFloat(process.env.OFFICE_LONGITUDE || '69.314780');
   static GEOFENCE_RADIUS_METERS = parseInt(process.env.GEOFENCE_RADIUS_METERS || '200');
+  static OFFICE_NAME = process.env.OFFICE_NAME || 'Офис'; // Used when the Sites sheet is empty
   static MAX_ACCURACY_METERS = parseInt(process.env.MAX_ACCURACY_METERS || '50');
   static MAX_JUMP_DISTANCE_METERS = parseInt(process.env.MAX_JUMP_DISTANCE_METERS || '500');
   static MAX_SPEED_KMH = parseInt(process.env.MAX_SPEED_KMH || '100');
   static UPDATE_TIMEOUT_SECONDS = parseInt(process.env.UPDATE_TIMEOUT_SECONDS || '60');
   static ENABLE_LOCATION_TRACKING = process.env.ENABLE_LOCATION_TRACKING === 'true';
+  static TRACKING_PERSIST_SECONDS = parseInt(process.env.TRACKING_PERSIST_SECONDS || '15'); // How often live updates are saved
+  static TRACKING_HISTORY_DAYS = parseInt(process.env.TRACKING_HISTORY_DAYS || '30'); // Finished sessions kept in the Tracking sheet
+  static REVERIFY_TIMEOUT_MINUTES = parseInt(process.env.REVERIFY_TIMEOUT_MINUTES || '10'); // Time to answer a re-verification
+  static ARRIVAL_PHOTO_TIMEOUT_MINUTES = parseInt(process.env.ARRIVAL_PHOTO_TIMEOUT_MINUTES || '10'); // Time to send the arrival photo at Photo sites
+  static ANOMALY_RULES_DRY_RUN = process.env.ANOMALY_RULES_DRY_RUN === 'true'; // Only log re-verifications and cancellations
+
+  // QR Check-in Configuration
+  static QR_TOKEN_SECONDS = parseInt(process.env.QR_TOKEN_SECONDS || '30'); // How often the QR code on a site screen changes
+  static QR_SECRET = process.env.QR_SECRET || ''; // Signs QR tokens (BOT_TOKEN is used when empty)
+
+  // Outgoing Webhooks Configuration (endpoints are in the Webhooks sheet)
+  static WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5'); // Attempts per delivery
+  static WEBHOOK_RETRY_SECONDS = parseFloat(process.env.WEBHOOK_RETRY_SECONDS || '30'); // First retry delay, doubled after every attempt
+  static WEBHOOK_TIMEOUT_SECONDS = parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS || '10'); // Time the receiver has to answer
+  static WEBHOOK_LOG_DAYS = parseInt(process.env.WEBHOOK_LOG_DAYS || '30'); // Deliveries kept in the Webhook Log sheet
+  static WEBHOOK_LOG_MAX_ROWS = parseInt(process.env.WEBHOOK_LOG_MAX_ROWS || '5000'); // Newest deliveries kept when the log is bigger
 
   // Feature Flags
   static REQUIRE_DEPARTURE_MESSAGE = process.env.REQUIRE_DEPARTURE_MESSAGE !== 'false';
@@ -74,12 +100,49 @@ class Config {
   static NOTIFICATION_DEPARTURE_0 = process.env.NOTIFICATION_DEPARTURE_0 !== 'false';
   static NOTIFICATION_DEPARTURE_PLUS_10 = process.env.NOTIFICATION_DEPARTURE_PLUS_10 !== 'false';
 
+  // Leave Configuration
+  // Yearly allowance in work days (vacation and day-off requests); roster "Leave days per year" overrides it
+  static ANNUAL_LEAVE_DAYS = parseInt(process.env.ANNUAL_LEAVE_DAYS || '15');
+  static LEAVE_MAX_DAYS_PER_REQUEST = parseInt(process.env.LEAVE_MAX_DAYS_PER_REQUEST || '60');
+
+  // Payroll: rates are in the Pay Rates sheet, these are the defaults of its empty rule cells
+  static PAYROLL_CURRENCY = process.env.PAYROLL_CURRENCY || 'UZS';
+  static PAYROLL_OVERTIME_RATE = parseFloat(process.env.PAYROLL_OVERTIME_RATE || '1.5'); // Overtime hour = hourly rate × this
+  static PAYROLL_ABSENCE_DEDUCTION_DAYS = parseFloat(process.env.PAYROLL_ABSENCE_DEDUCTION_DAYS || '1'); // Days of salary per unexcused absence
+  static PAYROLL_DEFICIT_RATE = parseFloat(process.env.PAYROLL_DEFICIT_RATE || '1'); // Deficit hour of a salary = hourly rate × this
+
+  // Analytics (/analytics and the weekly digest, Monday 09:00): patterns from the History sheet, trends from monthly reports
+  static ANALYTICS_WEEKLY_DIGEST = process.env.ANALYTICS_WEEKLY_DIGEST !== 'false';
+  static ANALYTICS_WEEKS = parseInt(process.env.ANALYTICS_WEEKS || '8'); // Weeks of history searched for patterns
+  static ANALYTICS_MONTHS = parseInt(process.env.ANALYTICS_MONTHS || '3'); // Months of rating trend
+  static ANALYTICS_PATTERN_MIN_DAYS = parseInt(process.env.ANALYTICS_PATTERN_MIN_DAYS || '3'); // A pattern needs this many days...
+  static ANALYTICS_PATTERN_RATE = parseFloat(process.env.ANALYTICS_PATTERN_RATE || '0.5'); // ...and this share of the days
+  static ANALYTICS_LUNCH_END = process.env.ANALYTICS_LUNCH_END || '14:00'; // Temp exits from this time are "after lunch"
+
+  // Weekly report (Monday 09:30): company report with week-over-week comparison to admins, recap to each employee
+  static WEEKLY_REPORT_ENABLED = process.env.WEEKLY_REPORT_ENABLED !== 'false';
+  static WEEKLY_RECAP_ENABLED = process.env.WEEKLY_RECAP_ENABLED !== 'false';
+
+  // Report files: 'html' or 'pdf' for /reportdaily, /reportmonthly, the report buttons and the scheduled daily report
+  static REPORT_FORMAT = (process.env.REPORT_FORMAT || 'html').trim().toLowerCase();
+
   // Weekend Notifications
   static SEND_NOTIFICATIONS_SATURDAY = process.env.SEND_NOTIFICATIONS_SATURDAY !== 'false';
   static SEND_NOTIFICATIONS_SUNDAY = process.env.SEND_NOTIFICATIONS_SUNDAY === 'true';
 
   // Server Configuration
   static PORT = parseInt(process.env.PORT || '3000');
+  static PUBLIC_URL = (process.env.PUBLIC_URL || process.env.RENDER_EXTERNAL_URL || '').replace(/\/+$/, ''); // Base URL of the QR screens
+  // REST API tokens: "name:token" pairs separated by commas (name shows in the audit trail); empty = API off
+  static API_TOKENS = (process.env.API_TOKENS || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf(':');
+    return separator > 0
+      ? { name: entry.slice(0, separator).trim(), token: entry.slice(separator + 1).trim() }
+      : { name: 'api', token: entry };
+  });
+  // Web dashboard at <PUBLIC_URL>/dashboard: login links from /dashboard work once, within DASHBOARD_LINK_MINUTES
+  static DASHBOARD_LINK_MINUTES = parseInt(process.env.DASHBOARD_LINK_MINUTES || '10');
+  static DASHBOARD_SESSION_HOURS = parseInt(process.env.DASHBOARD_SESSION_HOURS || '12'); // How long a login lasts
   static NODE_ENV = process.env.NODE_ENV || 'development';
   static LOG_LEVEL = process.env.LOG_LEVEL || 'info';
 
@@ -87,9 +150,28 @@ class Config {
   static SHEET_ROSTER = 'Worker info';
   static SHEET_TEAMS = 'Teams';
   static SHEET_SCHEDULE = 'Schedule';
+  static SHEET_HOLIDAYS = 'Holidays';
+  static SHEET_LEAVES = 'Leaves';
+  static SHEET_SITES = 'Sites';
+  static SHEET_AUDIT = 'Audit';
+  static SHEET_APPEALS = 'Appeals';
+  static SHEET_TRACKING = 'Tracking';
+  static SHEET_ANOMALY_RULES = 'Anomaly Rules';
+  static SHEET_WEBHOOKS = 'Webhooks';
+  static SHEET_WEBHOOK_LOG = 'Webhook Log';
+  static SHEET_PAY_RATES = 'Pay Rates';
+  static SHEET_HISTORY = 'History';
   static SHEET_DUTY = 'Duty';
   static SHEET_DUTY_CHECKLIST = 'DutyChecklist';
 
+  /**
+   * Check whether Google service account credentials are configured
+   * @returns {boolean}
+   */
+  static hasGoogleCredentials() {
+    return !!(this.GOOGLE_SHEETS_ID && this.GOOGLE_SERVICE_ACCOUNT_EMAIL && this.GOOGLE_PRIVATE_KEY);
+  }
+
   /**
    * Validate that required configuration is present
    * @returns {boolean} True if valid, throws error otherwise
@@ -98,6 +180,13 @@ class Config {
     if (!this.BOT_TOKEN) {
       throw new Error('BOT_TOKEN is required in .env file');
     }
+    if (!['sheets', 'sqlite'].includes(this.STORAGE_BACKEND)) {
+      throw new Error(`STORAGE_BACKEND must be 'sheets' or 'sqlite' (got '${this.STORAGE_BACKEND}')`);
+    }
+    // Google credentials are optional when data is stored locally and not mirrored
+    if (this.STORAGE_BACKEND === 'sqlite' && !this.STORAGE_MIRROR_TO_SHEETS) {
+      return true;
+    }
     if (!this.GOOGLE_SHEETS_ID) {
       throw new Error('GOOGLE_SHEETS_ID is required in .env file');
     }
@@ -11,8 +11,36 @@ const sheetsService = require('./services/sheets.service');
 const schedulerService = require('./services/scheduler.service');
 const locationTrackerService = require('./services/locationTracker.service');
 const anomalyDetectorService = require('./services/anomalyDetector.service');
+const anomalyRulesService = require('./services/anomalyRules.service');
+const roleService = require('./services/role.service');
+const trackingStoreService = require('./services/trackingStore.service');
+const qrCheckinService = require('./services/qrCheckin.service');
 const { registrationWizard, setupRegistrationHandlers } = require('./bot/handlers/registration.handler');
-const { setupAttendanceHandlers } = require('./bot/handlers/attendance.handler');
+const { setupAttendanceHandlers, restorePendingLocationRequests } = require('./bot/handlers/attendance.handler');
+const { setupLeaveHandlers } = require('./bot/handlers/leave.handler');
+const { setupCorrectionHandlers } = require('./bot/handlers/correction.handler');
+const { setupAppealHandlers } = require('./bot/handlers/appeal.handler');
+const { setupRoleHandlers } = require('./bot/handlers/role.handler');
+const { setupTeamHandlers } = require('./bot/handlers/team.handler');
+const { setupTrailHandlers } = require('./bot/handlers/trail.handler');
+const { setupQrHandlers } = require('./bot/handlers/qr.handler');
+const { setupWebhookHandlers } = require('./bot/handlers/webhook.handler');
+const { setupDashboardHandlers } = require('./bot/handlers/dashboard.handler');
+const { setupPayrollHandlers } = require('./bot/handlers/payroll.handler');
+const { setupHistoryHandlers } = require('./bot/handlers/history.handler');
+const { setupAnalyticsHandlers } = require('./bot/handlers/analytics.handler');
+const { setupWeeklyReportHandlers } = require('./bot/handlers/weeklyReport.handler');
+const { setupMonthlyExportHandlers } = require('./bot/handlers/monthlyExport.handler');
+const {
+  setupReverificationHandlers,
+  startReverification,
+  completeReverification,
+  restorePendingReverifications
+} = require('./bot/handlers/reverification.handler');
+const { setupArrivalPhotoHandlers, restorePendingPhotoRequests } = require('./bot/handlers/arrivalPhoto.handler');
+const { setupApiRoutes } = require('./api/api.routes');
+const { setupDashboardRoutes } = require('./api/dashboard.routes');
+const Keyboards = require('./bot/keyboards/buttons');
 const { sendBusyNotification } = require('./utils/messageHelper');
 
 // Initialize bot
@@ -34,6 +62,27 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Rotating QR code for the screen at a site (link from /qr)
+app.get('/qr/:key', async (req, res) => {
+  try {
+    const site = await qrCheckinService.findSiteByDisplayKey(req.params.key);
+    if (!site || !bot.botInfo) {
+      res.status(404).send('Not found');
+      return;
+    }
+    res.send(await qrCheckinService.buildDisplayPage(site, bot.botInfo.username));
+  } catch (error) {
+    logger.error(`Error showing QR screen: ${error.message}`);
+    res.status(500).send('Error');
+  }
+});
+
+// REST API for dashboards and the HR system (token auth, see API_TOKENS)
+setupApiRoutes(app, bot);
+
+// Web dashboard for admins (login link from /dashboard)
+setupDashboardRoutes(app);
+
 // Create stage and register scenes
 const stage = new Scenes.Stage([registrationWizard]);
 bot.use(stage.middleware());
@@ -48,7 +97,26 @@ bot.catch((err, ctx) => {
 });
 
 // Setup handlers
+// Before registration handlers: /start with a QR token is a check-in
+setupQrHandlers(bot);
 setupRegistrationHandlers(bot);
+// Before attendance handlers: leave comments, correction and appeal input must not be taken for "- message" departures
+setupLeaveHandlers(bot);
+setupCorrectionHandlers(bot);
+setupAppealHandlers(bot);
+// Before attendance handlers: locations and selfies of a re-verification and arrival photos are not check-ins
+setupReverificationHandlers(bot);
+setupArrivalPhotoHandlers(bot);
+setupRoleHandlers(bot);
+setupTeamHandlers(bot);
+setupTrailHandlers(bot);
+setupWebhookHandlers(bot);
+setupDashboardHandlers(bot);
+setupPayrollHandlers(bot);
+setupHistoryHandlers(bot);
+setupAnalyticsHandlers(bot);
+setupWeeklyReportHandlers(bot);
+setupMonthlyExportHandlers(bot);
 setupAttendanceHandlers(bot);
 
 // Admin command to test busy gif
@@ -56,7 +124,7 @@ bot.command('testgif', async (ctx) => {
   const telegramId = ctx.from.id;
 
   // Check if user is admin
-  if (!Config.ADMIN_TELEGRAM_IDS.includes(telegramId)) {
+  if (!(await roleService.can(telegramId, 'system'))) {
     await ctx.reply('❌ Эта команда доступна только администраторам.');
     return;
   }
@@ -65,6 +133,17 @@ bot.command('testgif', async (ctx) => {
   await sendBusyNotification(ctx, 'Тестовое сообщение с гифкой от администратора 🎬');
 });
 
+/**
+ * Note for staff when the anomaly rules ran in dry run
+ * @param {Object} decision - { plannedAction, dryRun } from the anomaly rules
+ * @returns {string}
+ */
+function dryRunNote(decision) {
+  return decision.dryRun
+    ? `\n\n🧪 Тестовый режим правил: действие «${anomalyRulesService.describeAction(decision.plannedAction)}» не выполнено.`
+    : '';
+}
+
 // Live Location Handler - processes location updates during tracking
 const handleLocationUpdate = async (ctx) => {
   try {
@@ -107,10 +186,28 @@ const handleLocationUpdate = async (ctx) => {
     if (result.hasAnomalies && result.newAnomalies.length > 0) {
       logger.warn(`⚠️ New anomalies detected for user ${userId}: ${result.newAnomalies.map(a => a.type).join(', ')}`);
 
-      // Stop tracking immediately if CRITICAL anomalies only (not HIGH - too sensitive)
-      const hasCritical = result.newAnomalies.some(a => a.severity === 'CRITICAL');
+      // Cancel or re-verify right away when the anomaly rules say so;
+      // warnings wait for the end of tracking
+      const decision = result.decision;
+      if (decision.dryRun) {
+        logger.warn(`🧪 DRY RUN: anomaly rules would ${decision.plannedAction} for user ${userId} - not applied`);
+      }
 
-      if (hasCritical) {
+      const reverifying = session && session.purpose === 'reverify';
+      if (reverifying && (decision.action === 'reverify' || decision.action === 'cancel')) {
+        // The second check failed too
+        const stopResult = locationTrackerService.stopTracking(userId, 'ANOMALY');
+        if (stopResult.success) {
+          await completeReverification(ctx.telegram, userId, stopResult.session.id, stopResult.analysis);
+        }
+        return;
+      } else if (decision.action === 'reverify') {
+        const stopResult = locationTrackerService.stopTracking(userId, 'ANOMALY');
+        if (stopResult.success) {
+          await startReverification(ctx.telegram, userId, stopResult.session, stopResult.analysis);
+        }
+        return;
+      } else if (decision.action === 'cancel') {
         // Stop tracking and finalize
         const stopResult = locationTrackerService.stopTracking(userId, 'ANOMALY');
 
@@ -136,16 +233,17 @@ const handleLocationUpdate = async (ctx) => {
             analysis.anomalies
           );
 
-          // Send alert to user
+          // Send alert to user (with a button to dispute the cancellation)
           const alertMessage = `🚨 ОТМЕТКА ПРИХОДА ОТКЛОНЕНА - ОБНАРУЖЕНО НАРУШЕНИЕ\n\n` +
             anomalyDetectorService.formatAnomalyMessage(analysis) +
             `\n\n⛔ Ваша отметка прихода была ОТМЕНЕНА, и Вы отмечены как ОТСУТСТВУЮЩИЙ.\n` +
             `Штраф: -2.0 балла\n\n` +
-            `Пожалуйста, срочно обратитесь к руководителю.`;
-          await ctx.reply(alertMessage);
+            `Пожалуйста, срочно обратитесь к руководителю или оспорьте отмену.`;
+          await ctx.reply(alertMessage, Keyboards.getAppealKeyboard(await sheetsService.getShiftDate(userId)));
 
-          // Notify admins
-          if (Config.ADMIN_TELEGRAM_IDS && Config.ADMIN_TELEGRAM_IDS.length > 0) {
+          // Notify staff responsible for this employee
+          const alertRecipients = await roleService.getRecipients('alerts', user);
+          if (alertRecipients.length > 0) {
             const adminMessage = `🚨 ПРЕДУПРЕЖДЕНИЕ О НАРУШЕНИИ - ОТМЕТКА ПРИХОДА ОТМЕНЕНА\n\n` +
               `Сотрудник: ${userName}\n` +
               `User ID: ${userId}\n` +
@@ -155,9 +253,9 @@ const handleLocationUpdate = async (ctx) => {
               `⚠️ Приход УДАЛЕН из листа посещаемости.\n` +
               `Отмечен как ОТСУТСТВУЮЩИЙ с попыткой нарушения.`;
 
-            for (const adminId of Config.ADMIN_TELEGRAM_IDS) {
+            for (const adminId of alertRecipients) {
               try {
-                await bot.telegram.sendMessage(adminId, adminMessage);
+                await bot.telegram.sendMessage(adminId, adminMessage, Keyboards.getTrailMapKeyboard(session.id));
               } catch (err) {
                 logger.error(`Failed to send admin alert to ${adminId}: ${err.message}`);
               }
@@ -174,16 +272,24 @@ const handleLocationUpdate = async (ctx) => {
       // Stop tracking and finalize
       const stopResult = locationTrackerService.stopTracking(userId, 'COMPLETED');
 
-      if (stopResult.success) {
+      if (stopResult.success && stopResult.session.purpose === 'reverify') {
+        await completeReverification(ctx.telegram, userId, stopResult.session.id, stopResult.analysis);
+      } else if (stopResult.success) {
         const session = stopResult.session;
         const analysis = stopResult.analysis;
 
-        // Update Google Sheets with final verification status
-        await sheetsService.updateLocationVerification(
-          userId,
-          analysis.hasAnomaly ? 'FLAGGED' : 'OK',
-          analysis.anomalies
-        );
+        if (analysis.dryRun) {
+          logger.warn(`🧪 DRY RUN: anomaly rules would ${analysis.plannedAction} for user ${userId} - not applied`);
+        }
+
+        // Update Google Sheets with final verification status (re-verification sets its own)
+        if (analysis.action !== 'reverify') {
+          await sheetsService.updateLocationVerification(
+            userId,
+            analysis.hasAnomaly ? 'FLAGGED' : 'OK',
+            analysis.anomalies
+          );
+        }
 
         logger.info(`✅ Location tracking completed for user ${userId}: ${stopResult.verificationStatus}`);
 
@@ -203,10 +309,9 @@ const handleLocationUpdate = async (ctx) => {
           const user = await sheetsService.findEmployeeByTelegramId(userId);
           const userName = user ? user.nameFull : `User ${userId}`;
 
-          // Check if CRITICAL severity - requires fraud action
-          const hasCriticalAtEnd = analysis.severity === 'CRITICAL';
-
-          if (hasCriticalAtEnd) {
+          if (analysis.action === 'reverify') {
+            await startReverification(ctx.telegram, userId, session, analysis);
+          } else if (analysis.action === 'cancel') {
             // FRAUD DETECTED: Cancel arrival
             await sheetsService.cancelFraudulentArrival(
               userId,
@@ -214,16 +319,17 @@ const handleLocationUpdate = async (ctx) => {
               analysis.anomalies
             );
 
-            // Send fraud alert to user
+            // Send fraud alert to user (with a button to dispute the cancellation)
             const alertMessage = `🚨 ОТМЕТКА ПРИХОДА ОТКЛОНЕНА - ОБНАРУЖЕНО НАРУШЕНИЕ\n\n` +
               anomalyDetectorService.formatAnomalyMessage(analysis) +
               `\n\n⛔ Ваша отметка прихода была ОТМЕНЕНА, и Вы отмечены как ОТСУТСТВУЮЩИЙ.\n` +
               `Штраф: -2.0 балла\n\n` +
-              `Пожалуйста, срочно обратитесь к руководителю.`;
-            await ctx.reply(alertMessage);
+              `Пожалуйста, срочно обратитесь к руководителю или оспорьте отмену.`;
+            await ctx.reply(alertMessage, Keyboards.getAppealKeyboard(await sheetsService.getShiftDate(userId)));
 
-            // Notify admins about fraud
-            if (Config.ADMIN_TELEGRAM_IDS && Config.ADMIN_TELEGRAM_IDS.length > 0) {
+            // Notify staff responsible for this employee about fraud
+            const alertRecipients = await roleService.getRecipients('alerts', user);
+            if (alertRecipients.length > 0) {
               const adminMessage = `🚨 ПРЕДУПРЕЖДЕНИЕ О НАРУШЕНИИ - ОТМЕТКА ПРИХОДА ОТМЕНЕНА\n\n` +
                 `Сотрудник: ${userName}\n` +
                 `User ID: ${userId}\n` +
@@ -233,9 +339,9 @@ const handleLocationUpdate = async (ctx) => {
                 `⚠️ Приход УДАЛЕН из листа посещаемости.\n` +
                 `Отмечен как ОТСУТСТВУЮЩИЙ с попыткой нарушения.`;
 
-              for (const adminId of Config.ADMIN_TELEGRAM_IDS) {
+              for (const adminId of alertRecipients) {
                 try {
-                  await bot.telegram.sendMessage(adminId, adminMessage);
+                  await bot.telegram.sendMessage(adminId, adminMessage, Keyboards.getTrailMapKeyboard(session.id));
                 } catch (err) {
                   logger.error(`Failed to send fraud alert to ${adminId}: ${err.message}`);
                 }
@@ -249,18 +355,20 @@ const handleLocationUpdate = async (ctx) => {
             const alertMessage = anomalyDetectorService.formatAnomalyMessage(analysis);
             await ctx.reply(alertMessage);
 
-            // Notify admins
-            if (Config.ADMIN_TELEGRAM_IDS && Config.ADMIN_TELEGRAM_IDS.length > 0) {
+            // Notify staff responsible for this employee
+            const alertRecipients = await roleService.getRecipients('alerts', user);
+            if (alertRecipients.length > 0) {
               const adminMessage = `⚠️ Проблема с проверкой местоположения\n\n` +
                 `Сотрудник: ${userName}\n` +
                 `User ID: ${userId}\n` +
                 `Аномалии: ${analysis.anomalyCount}\n` +
                 `Серьезность: ${analysis.severity}\n\n` +
-                `${analysis.summary}`;
+                `${analysis.summary}` +
+                dryRunNote(analysis);
 
-              for (const adminId of Config.ADMIN_TELEGRAM_IDS) {
+              for (const adminId of alertRecipients) {
                 try {
-                  await bot.telegram.sendMessage(adminId, adminMessage);
+                  await bot.telegram.sendMessage(adminId, adminMessage, Keyboards.getTrailMapKeyboard(session.id));
                 } catch (err) {
                   logger.error(`Failed to send admin notification to ${adminId}: ${err.message}`);
                 }
@@ -300,7 +408,13 @@ if (Config.ENABLE_LOCATION_TRACKING) {
       for (const stopped of stoppedSessions) {
         const stopResult = locationTrackerService.stopTracking(stopped.userId, 'TIMEOUT');
 
-        if (stopResult.success) {
+        if (stopResult.success && stopped.purpose === 'reverify') {
+          await completeReverification(bot.telegram, stopped.userId, stopResult.session.id, stopResult.analysis, {
+            hasEnoughData: stopped.hasEnoughData
+          }).catch(err => {
+            logger.error(`Failed to finish re-verification of ${stopped.userId}: ${err.message}`);
+          });
+        } else if (stopResult.success) {
           const analysis = stopResult.analysis;
 
           // Check if we have enough data despite timeout
@@ -349,18 +463,108 @@ if (Config.ENABLE_LOCATION_TRACKING) {
   }, 30 * 1000); // Every 30 seconds
 }
 
+/**
+ * Resume location tracking after a restart.
+ * Sessions that still receive updates continue; the others get their verification
+ * status (OK with enough updates, FLAGGED with anomalies, otherwise INTERRUPTED).
+ * Pending check-in/checkout location requests wait again or expire; re-verifications wait again.
+ */
+async function resumeLocationTracking() {
+  try {
+    const { interrupted } = await locationTrackerService.resumeSessions();
+
+    for (const stopped of interrupted) {
+      const analysis = stopped.analysis;
+
+      if (stopped.purpose === 'reverify') {
+        await completeReverification(bot.telegram, stopped.userId, stopped.sessionId, analysis, {
+          hasEnoughData: stopped.hasEnoughData,
+          interrupted: true
+        }).catch(err => {
+          logger.error(`Failed to finish re-verification of ${stopped.userId}: ${err.message}`);
+        });
+        continue;
+      }
+      let status = 'INTERRUPTED';
+      if (analysis.hasAnomaly) {
+        status = 'FLAGGED';
+      } else if (stopped.hasEnoughData) {
+        status = 'OK';
+      }
+
+      const updateVerification = stopped.purpose === 'departure'
+        ? sheetsService.updateDepartureVerification.bind(sheetsService)
+        : sheetsService.updateLocationVerification.bind(sheetsService);
+      await updateVerification(stopped.userId, status, analysis.anomalies).catch(err => {
+        logger.error(`Failed to update verification for interrupted session ${stopped.userId}: ${err.message}`);
+      });
+
+      let userMessage;
+      if (status === 'OK') {
+        userMessage = `✅ Проверка местоположения завершена!\n\nПолучено ${stopped.updateCount} обновлений местоположения. Проверка прошла успешно! 🎉`;
+      } else if (status === 'FLAGGED') {
+        userMessage = anomalyDetectorService.formatAnomalyMessage(analysis);
+      } else {
+        userMessage = `⚠️ Проверка местоположения прервана: бот был перезапущен.\n\n` +
+          `Получено только ${stopped.updateCount} обновлений (минимум: ${Config.MIN_UPDATES_FOR_VERIFICATION}). ` +
+          `Отметка сохранена, но не подтверждена - при вопросах обратитесь к руководителю.`;
+      }
+      bot.telegram.sendMessage(parseInt(stopped.userId), userMessage).catch(err => {
+        logger.error(`Failed to notify user ${stopped.userId}: ${err.message}`);
+      });
+
+      // Notify staff responsible for this employee
+      if (status === 'FLAGGED') {
+        const user = await sheetsService.findEmployeeByTelegramId(stopped.userId);
+        const adminMessage = `⚠️ Проблема с проверкой местоположения\n\n` +
+          `Сотрудник: ${user ? user.nameFull : stopped.userName}\n` +
+          `User ID: ${stopped.userId}\n` +
+          `Аномалии: ${analysis.anomalyCount}\n` +
+          `Серьезность: ${analysis.severity}\n\n` +
+          `${analysis.summary}` +
+          dryRunNote(analysis);
+
+        for (const adminId of await roleService.getRecipients('alerts', user)) {
+          bot.telegram.sendMessage(adminId, adminMessage, Keyboards.getTrailMapKeyboard(stopped.sessionId)).catch(err => {
+            logger.error(`Failed to send admin notification to ${adminId}: ${err.message}`);
+          });
+        }
+      }
+
+      logger.warn(`Interrupted tracking session of user ${stopped.userId} finalized as ${status}`);
+    }
+
+    await restorePendingLocationRequests(bot);
+    await restorePendingReverifications(bot);
+    await restorePendingPhotoRequests(bot);
+    await trackingStoreService.pruneHistory();
+  } catch (error) {
+    logger.error(`Error resuming location tracking: ${error.message}`);
+  }
+}
+
 // Start bot
 async function start() {
   try {
-    // Connect to Google Sheets
-    logger.info('Connecting to Google Sheets...');
+    // Connect to storage (Google Sheets or local SQLite)
+    logger.info(`Connecting to storage (${Config.STORAGE_BACKEND})...`);
     await sheetsService.connect();
-    logger.info('✅ Google Sheets connected successfully');
+    logger.info('✅ Storage connected successfully');
 
     // Pre-warm cache to reduce API quota usage on startup
     logger.info('Pre-warming cache for today\'s sheet...');
     await sheetsService.warmupCache();
 
+    // Load staff roles so admin menus are shown right away
+    await roleService.getStaff();
+
+    // Resume location checks that were in progress before the restart
+    // (anomaly rules first - the detectors read them synchronously)
+    if (Config.ENABLE_LOCATION_TRACKING) {
+      await anomalyRulesService.getRules();
+      await resumeLocationTracking();
+    }
+
     // Start bot
     logger.info('Starting bot...');
 
@@ -394,7 +598,12 @@ async function start() {
     logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     logger.info(`🤖 ENVIRONMENT: ${Config.NODE_ENV.toUpperCase()}`);
     logger.info(`📱 Bot Token: ${Config.BOT_TOKEN.substring(0, 15)}...`);
-    logger.info(`📊 Google Sheet ID: ${Config.GOOGLE_SHEETS_ID.substring(0, 20)}...`);
+    if (Config.STORAGE_BACKEND === 'sqlite') {
+      logger.info(`💾 SQLite database: ${Config.SQLITE_PATH}`);
+      logger.info(`🪞 Google Sheets mirror: ${Config.STORAGE_MIRROR_TO_SHEETS ? 'ON' : 'OFF'}`);
+    } else {
+      logger.info(`📊 Google Sheet ID: ${Config.GOOGLE_SHEETS_ID.substring(0, 20)}...`);
+    }
     logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     logger.info(`Timezone: ${Config.TIMEZONE}`);
     logger.info(`Grace period: ${Config.GRACE_PERIOD_MINUTES} minutes`);
@@ -411,17 +620,37 @@ async function start() {
 }
 
 // Graceful stop
-process.once('SIGINT', () => {
-  logger.info('Received SIGINT, stopping bot...');
+async function shutdown(signal) {
+  logger.info(`Received ${signal}, stopping bot...`);
   schedulerService.stop();
-  bot.stop('SIGINT');
-});
+  bot.stop(signal);
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`timed out after ${Config.SHUTDOWN_TIMEOUT_SECONDS}s`)),
+      Config.SHUTDOWN_TIMEOUT_SECONDS * 1000
+    );
+  });
 
-process.once('SIGTERM', () => {
-  logger.info('Received SIGTERM, stopping bot...');
-  schedulerService.stop();
-  bot.stop('SIGTERM');
-});
+  try {
+    // Save the latest location updates, then the last mirror copy and the database
+    await Promise.race([
+      trackingStoreService.flush()
+        .catch(error => logger.error(`Error saving tracking sessions: ${error.message}`))
+        .then(() => sheetsService.disconnect()),
+      timeout
+    ]);
+  } catch (error) {
+    logger.error(`Error during shutdown: ${error.message}`);
+  } finally {
+    clearTimeout(timer);
+    process.exit(0);
+  }
+}
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
 
 // Start the bot
 start();
@@ -0,0 +1,334 @@
+/**
+ * Attendance analytics service.
+ * Looks for patterns the monthly totals do not show, from two sources:
+ *   - the History sheet (history.service): lateness by weekday and chronic per-employee patterns
+ *     over the last ANALYTICS_WEEKS weeks;
+ *   - the Report_YYYY-MM sheets: the rating trend of every employee over the last ANALYTICS_MONTHS months.
+ *
+ * Patterns need at least ANALYTICS_PATTERN_MIN_DAYS occurrences in at least ANALYTICS_PATTERN_RATE of the days:
+ *   LATE_WEEKDAY     - late on the same weekday ("late every Monday")
+ *   AFTERNOON_EXITS  - temp exits starting at or after ANALYTICS_LUNCH_END
+ *
+ * An employee slides when the zone of their rating (GREEN_ZONE_MIN / YELLOW_ZONE_MIN) is worse than
+ * in the month before. A month only counts once half of its work days are recorded, since the
+ * rating of a month starts at 0 and grows day by day.
+ *
+ * Risk score (0-100): red zone 40 / yellow zone 20, sliding 20, late share of the days × 30,
+ * 5 per unexcused absence of the month (up to 20) and 10 per pattern.
+ */
+
+const moment = require('moment-timezone');
+const Config = require('../config');
+const CalculatorService = require('./calculator.service');
+const logger = require('../utils/logger');
+
+const ZONE_RANK = { red: 0, yellow: 1, green: 2 };
+
+const WEEKDAY_SHORT = ['', 'Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб', 'Вс'];
+const WEEKDAY_PLURAL = ['', 'понедельникам', 'вторникам', 'средам', 'четвергам', 'пятницам', 'субботам', 'воскресеньям'];
+
+const RISK_LEVELS = [
+  { level: 'high', min: 60, emoji: '🔴' },
+  { level: 'medium', min: 30, emoji: '🟡' },
+  { level: 'low', min: 0, emoji: '🟢' }
+];
+
+const MESSAGE_LIMIT = 4000; // Telegram allows 4096 characters
+
+/**
+ * Zone of a rating
+ * @param {number} rating - Rating (0-10)
+ * @returns {string} green, yellow or red
+ */
+function zoneOf(rating) {
+  if (rating >= Config.GREEN_ZONE_MIN) return 'green';
+  if (rating >= Config.YELLOW_ZONE_MIN) return 'yellow';
+  return 'red';
+}
+
+/**
+ * Share as a whole percent
+ * @param {number} part
+ * @param {number} total
+ * @returns {number}
+ */
+function percent(part, total) {
+  return total > 0 ? Math.round((part / total) * 100) : 0;
+}
+
+/**
+ * Format a month for messages: 03.2025
+ * @param {string} yearMonth - YYYY-MM
+ * @returns {string}
+ */
+function formatMonth(yearMonth) {
+  return moment(yearMonth, 'YYYY-MM').format('MM.YYYY');
+}
+
+class AnalyticsService {
+  /**
+   * Whether a pattern is frequent enough
+   * @param {number} count - Occurrences
+   * @param {number} total - Days it could have happened on
+   * @returns {boolean}
+   */
+  _isPattern(count, total) {
+    return count >= Config.ANALYTICS_PATTERN_MIN_DAYS && total > 0 && count / total >= Config.ANALYTICS_PATTERN_RATE;
+  }
+
+  /**
+   * Chronic patterns in the days of one employee
+   * @param {Array} entries - History entries of the employee
+   * @returns {Array} [{ type, weekday?, count, of, text }]
+   */
+  _findPatterns(entries) {
+    const patterns = [];
+    const present = entries.filter(entry => entry.arrival && !entry.absent);
+
+    for (let weekday = 1; weekday <= 7; weekday++) {
+      const days = present.filter(entry => moment(entry.date).isoWeekday() === weekday);
+      const late = days.filter(entry => entry.status === 'late').length;
+      if (this._isPattern(late, days.length)) {
+        patterns.push({
+          type: 'LATE_WEEKDAY',
+          weekday,
+          count: late,
+          of: days.length,
+          text: `опаздывает по ${WEEKDAY_PLURAL[weekday]} (${late} из ${days.length})`
+        });
+      }
+    }
+
+    const afternoonExits = present.filter(entry => entry.tempExits.some(exit => exit.time >= Config.ANALYTICS_LUNCH_END)).length;
+    if (this._isPattern(afternoonExits, present.length)) {
+      patterns.push({
+        type: 'AFTERNOON_EXITS',
+        count: afternoonExits,
+        of: present.length,
+        text: `часто уходит после обеда (${afternoonExits} из ${present.length} дн.)`
+      });
+    }
+
+    return patterns;
+  }
+
+  /**
+   * Monthly ratings of the last ANALYTICS_MONTHS months
+   * @param {string} to - Last day (YYYY-MM-DD)
+   * @param {Set<string>|null} ids - Allowed Telegram IDs, null for everyone
+   * @returns {Object} { months: [YYYY-MM], byEmployee: Map telegramId -> [{ yearMonth, rating, zone, complete, ... }] }
+   */
+  async _getMonthlyTrends(to, ids) {
+    const sheetsService = require('./sheets.service');
+    const months = [];
+    const byEmployee = new Map();
+
+    for (let i = Config.ANALYTICS_MONTHS - 1; i >= 0; i--) {
+      const yearMonth = moment(to).subtract(i, 'months').format('YYYY-MM');
+      const report = await sheetsService.getMonthlyReport(yearMonth);
+      if (!report) continue;
+      months.push(yearMonth);
+
+      for (const stats of report) {
+        if (!stats.telegramId || (ids && !ids.has(stats.telegramId))) continue;
+        const recorded = stats.daysWorked + stats.daysAbsent;
+        if (recorded === 0) continue;
+
+        if (!byEmployee.has(stats.telegramId)) byEmployee.set(stats.telegramId, []);
+        byEmployee.get(stats.telegramId).push({
+          yearMonth,
+          name: stats.name,
+          company: stats.company,
+          rating: stats.rating,
+          zone: zoneOf(stats.rating),
+          complete: recorded * 2 >= stats.totalWorkDays,
+          onTimeRate: stats.onTimeRate,
+          lateArrivals: stats.lateArrivalsNotified + stats.lateArrivalsSilent,
+          unexcusedAbsences: stats.daysAbsentSilent
+        });
+      }
+    }
+
+    return { months, byEmployee };
+  }
+
+  /**
+   * Risk score of an employee
+   * @param {Object} employee - Employee analysis without risk
+   * @returns {Object} { score, level, emoji, reasons }
+   */
+  _scoreRisk(employee) {
+    let score = 0;
+    const reasons = [];
+    const latest = employee.months[employee.months.length - 1];
+
+    if (employee.zone === 'red') {
+      score += 40;
+      reasons.push('красная зона');
+    } else if (employee.zone === 'yellow') {
+      score += 20;
+      reasons.push('жёлтая зона');
+    }
+    if (employee.sliding) {
+      score += 20;
+      reasons.push('рейтинг снижается');
+    }
+    if (employee.lateRate > 0) {
+      score += Math.round(employee.lateRate * 30);
+      reasons.push(`опоздания ${percent(employee.late, employee.present)}%`);
+    }
+    if (latest && latest.unexcusedAbsences > 0) {
+      score += Math.min(20, latest.unexcusedAbsences * 5);
+      reasons.push(`прогулы: ${latest.unexcusedAbsences}`);
+    }
+    score += employee.patterns.length * 10;
+    reasons.push(...employee.patterns.map(pattern => pattern.text));
+
+    score = Math.min(100, score);
+    const { level, emoji } = RISK_LEVELS.find(risk => score >= risk.min);
+    return { score, level, emoji, reasons };
+  }
+
+  /**
+   * Analyse attendance up to a day
+   * @param {Object} options - { to: YYYY-MM-DD (default today), ids: Set of allowed Telegram IDs or null }
+   * @returns {Object} { from, to, months, weekdays, employees } - employees sorted by risk, highest first
+   */
+  async analyze({ to = null, ids = null } = {}) {
+    const historyService = require('./history.service');
+    const end = to || moment.tz(Config.TIMEZONE).format('YYYY-MM-DD');
+    const from = moment(end).subtract(Config.ANALYTICS_WEEKS * 7 - 1, 'days').format('YYYY-MM-DD');
+
+    const history = await historyService.getHistory({ from, to: end, ids });
+    const { months, byEmployee: trends } = await this._getMonthlyTrends(end, ids);
+
+    // Lateness by weekday over everyone
+    const weekdays = [];
+    for (let weekday = 1; weekday <= 7; weekday++) {
+      const days = history.entries.filter(entry => entry.arrival && !entry.absent && moment(entry.date).isoWeekday() === weekday);
+      const late = days.filter(entry => entry.status === 'late').length;
+      weekdays.push({ weekday, label: WEEKDAY_SHORT[weekday], present: days.length, late, rate: percent(late, days.length) });
+    }
+
+    const entriesByEmployee = new Map();
+    for (const entry of history.entries) {
+      if (!entry.telegramId) continue;
+      if (!entriesByEmployee.has(entry.telegramId)) entriesByEmployee.set(entry.telegramId, []);
+      entriesByEmployee.get(entry.telegramId).push(entry);
+    }
+
+    const employees = [];
+    for (const telegramId of new Set([...entriesByEmployee.keys(), ...trends.keys()])) {
+      const entries = entriesByEmployee.get(telegramId) || [];
+      const monthly = trends.get(telegramId) || [];
+      const complete = monthly.filter(month => month.complete);
+      const current = complete[complete.length - 1];
+      const previous = complete[complete.length - 2];
+      const present = entries.filter(entry => entry.arrival && !entry.absent).length;
+      const late = entries.filter(entry => entry.status === 'late').length;
+      const info = entries[entries.length - 1] || monthly[monthly.length - 1];
+
+      const employee = {
+        telegramId,
+        name: info.name,
+        company: info.company,
+        days: entries.length,
+        present,
+        late,
+        lateRate: present > 0 ? late / present : 0,
+        absent: entries.filter(entry => entry.absent).length,
+        tempExits: entries.reduce((total, entry) => total + entry.tempExits.length, 0),
+        months: monthly,
+        zone: current ? current.zone : null,
+        previousZone: previous ? previous.zone : null,
+        sliding: !!(current && previous && ZONE_RANK[current.zone] < ZONE_RANK[previous.zone]),
+        ratingChange: monthly.length > 1 ? Math.round((monthly[monthly.length - 1].rating - monthly[0].rating) * 10) / 10 : 0,
+        patterns: this._findPatterns(entries)
+      };
+      employee.risk = this._scoreRisk(employee);
+      employees.push(employee);
+    }
+
+    employees.sort((a, b) => b.risk.score - a.risk.score || a.name.localeCompare(b.name));
+    logger.info(`Analytics ${from}..${end}: ${employees.length} employees, ${employees.filter(e => e.sliding).length} sliding`);
+
+    return { from, to: end, months, weekdays, employees };
+  }
+
+  /**
+   * Weekly digest message for admins
+   * @param {Object} analysis - From analyze
+   * @returns {string}
+   */
+  formatDigest(analysis) {
+    const emoji = rating => CalculatorService.getRatingZone(rating).emoji;
+
+    let text = `📈 Аналитика посещаемости\n` +
+      `📅 ${moment(analysis.from).format('DD.MM.YYYY')} — ${moment(analysis.to).format('DD.MM.YYYY')} (${Config.ANALYTICS_WEEKS} нед.)\n` +
+      `👥 Сотрудников: ${analysis.employees.length}\n`;
+
+    const weekdays = analysis.weekdays.filter(day => day.present > 0);
+    if (weekdays.length > 0) {
+      text += `\n📆 Опоздания по дням недели:\n`;
+      for (const day of weekdays) {
+        text += `${day.label}: ${day.rate}% (${day.late}/${day.present}) ${'▇'.repeat(Math.round(day.rate / 10))}\n`;
+      }
+    }
+
+    const sliding = analysis.employees.filter(employee => employee.sliding);
+    text += `\n📉 Ухудшение рейтинга: ${sliding.length === 0 ? 'нет' : sliding.length}\n`;
+    for (const employee of sliding) {
+      const [previous, current] = employee.months.filter(month => month.complete).slice(-2);
+      text += `• ${employee.name}: ${emoji(previous.rating)} ${previous.rating} → ${emoji(current.rating)} ${current.rating}\n`;
+    }
+
+    const withPatterns = analysis.employees.filter(employee => employee.patterns.length > 0);
+    if (withPatterns.length > 0) {
+      text += `\n🔁 Устойчивые паттерны:\n`;
+      for (const employee of withPatterns) {
+        text += `• ${employee.name}: ${employee.patterns.map(pattern => pattern.text).join(', ')}\n`;
+      }
+    }
+
+    const atRisk = analysis.employees.filter(employee => employee.risk.level !== 'low').slice(0, 10);
+    if (atRisk.length > 0) {
+      text += `\n⚠️ Группа риска:\n`;
+      for (const employee of atRisk) {
+        text += `${employee.risk.emoji} ${employee.name} — ${employee.risk.score}/100 (${employee.risk.reasons.join(', ')})\n`;
+      }
+    }
+
+    if (text.length > MESSAGE_LIMIT) {
+      text = text.slice(0, MESSAGE_LIMIT - 3) + '...';
+    }
+    return text;
+  }
+
+  /**
+   * Analytics of one employee
+   * @param {Object} employee - Employee of analyze
+   * @returns {string}
+   */
+  formatEmployee(employee) {
+    let text = `📈 ${employee.name}${employee.company ? ` (${employee.company})` : ''}\n\n` +
+      `${employee.risk.emoji} Риск: ${employee.risk.score}/100\n`;
+    if (employee.risk.reasons.length > 0) {
+      text += `${employee.risk.reasons.map(reason => `• ${reason}`).join('\n')}\n`;
+    }
+
+    if (employee.months.length > 0) {
+      text += `\n📊 Рейтинг по месяцам:\n`;
+      for (const month of employee.months) {
+        text += `${formatMonth(month.yearMonth)}: ${CalculatorService.getRatingZone(month.rating).emoji} ${month.rating} · ` +
+          `вовремя ${month.onTimeRate}% · опозданий ${month.lateArrivals}${month.complete ? '' : ' (месяц идёт)'}\n`;
+      }
+    }
+
+    text += `\n🗓 За ${Config.ANALYTICS_WEEKS} нед.: дней ${employee.days}, пришёл ${employee.present}, ` +
+      `опозданий ${employee.late}, отсутствий ${employee.absent}, выходов ${employee.tempExits}`;
+    return text;
+  }
+}
+
+module.exports = new AnalyticsService();
+module.exports.zoneOf = zoneOf;
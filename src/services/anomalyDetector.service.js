@@ -1,9 +1,11 @@
 /**
  * Anomaly Detector Service
  * Analyzes location patterns and detects suspicious behavior
+ * Thresholds, severity and action of each detector come from the anomaly rules
  */
 
 const geofenceService = require('./geofence.service');
+const anomalyRulesService = require('./anomalyRules.service');
 const Config = require('../config');
 const logger = require('../utils/logger');
 
@@ -21,22 +23,46 @@ const ANOMALY_TYPES = {
 // Anomaly descriptions
 const ANOMALY_DESCRIPTIONS = {
   SUDDEN_JUMP: 'Location jumped more than 500m in less than 30 seconds',
-  LEFT_GEOFENCE: 'User left office area during verification',
+  LEFT_GEOFENCE: 'User left the work site during verification',
   MOCK_GPS: 'Mock GPS location detected (Android)',
   LOW_ACCURACY: 'GPS accuracy too low (>50 meters)',
   STOPPED_SENDING: 'Location updates stopped before 5 minutes',
   IMPOSSIBLE_SPEED: 'Movement speed exceeds 100 km/h',
-  WRONG_LOCATION: 'Initial check-in location outside office geofence'
+  WRONG_LOCATION: 'Initial check-in location outside allowed work sites'
 };
 
 class AnomalyDetectorService {
+  /**
+   * Check if a location is within or near one of the sites
+   * @param {Object} location - Location { latitude, longitude }
+   * @param {Array} sites - Allowed sites (default: the configured office)
+   * @returns {boolean}
+   */
+  _isNearSites(location, sites) {
+    const DRIFT_MARGIN = 300; // Allow 300m margin for GPS inaccuracy
+    return geofenceService.checkOfficeGeofence(location, sites).distance <= DRIFT_MARGIN;
+  }
+
+  /**
+   * Rule of a detector at the site nearest to a location
+   * @param {string} type - Anomaly type
+   * @param {Object|null} location - Location { latitude, longitude }
+   * @param {Array} sites - Allowed sites (default: the configured office)
+   * @returns {Object} { rule, siteName }
+   */
+  _ruleFor(type, location, sites) {
+    const siteName = location ? geofenceService.checkOfficeGeofence(location, sites).site.name : '';
+    return { rule: anomalyRulesService.getRule(type, siteName), siteName };
+  }
+
   /**
    * Detect sudden jump in location (teleportation)
    * @param {Object} prevLocation - Previous location
    * @param {Object} currLocation - Current location
+   * @param {Array} sites - Allowed sites (default: the configured office)
    * @returns {Object|null} Anomaly object or null
    */
-  detectSuddenJump(prevLocation, currLocation) {
+  detectSuddenJump(prevLocation, currLocation, sites = null) {
     if (!prevLocation || !currLocation) {
       return null;
     }
@@ -57,30 +83,13 @@ class AnomalyDetectorService {
       currLocation.longitude
     );
 
-    // Check if jumped more than MAX_JUMP_DISTANCE_METERS
-    const maxJump = Config.MAX_JUMP_DISTANCE_METERS || 500;
+    // Check if jumped more than the rule threshold (MAX_JUMP_DISTANCE_METERS by default)
+    const { rule, siteName } = this._ruleFor(ANOMALY_TYPES.SUDDEN_JUMP, currLocation, sites);
+    const maxJump = rule.threshold;
 
     if (distance > maxJump) {
-      // Check if both locations are within or near the office geofence
-      const prevDistanceFromOffice = geofenceService.calculateDistance(
-        prevLocation.latitude,
-        prevLocation.longitude,
-        Config.OFFICE_LATITUDE,
-        Config.OFFICE_LONGITUDE
-      );
-      const currDistanceFromOffice = geofenceService.calculateDistance(
-        currLocation.latitude,
-        currLocation.longitude,
-        Config.OFFICE_LATITUDE,
-        Config.OFFICE_LONGITUDE
-      );
-
-      const geofenceRadius = Config.GEOFENCE_RADIUS_METERS || 700;
-      const allowedRadius = geofenceRadius + 300; // Allow 300m margin for GPS inaccuracy
-
-      // If BOTH locations are within the allowed area, treat as GPS drift, not fraud
-      const bothNearOffice = prevDistanceFromOffice <= allowedRadius &&
-                            currDistanceFromOffice <= allowedRadius;
+      // If BOTH locations are within or near an allowed site, treat as GPS drift, not fraud
+      const bothNearOffice = this._isNearSites(prevLocation, sites) && this._isNearSites(currLocation, sites);
 
       if (bothNearOffice && distance < 1000) {
         // GPS jump within office area - likely GPS drift, not fraud
@@ -89,7 +98,7 @@ class AnomalyDetectorService {
       }
 
       // Otherwise, this is suspicious (either jumping away from office or very large jump)
-      return {
+      return anomalyRulesService.apply({
         type: ANOMALY_TYPES.SUDDEN_JUMP,
         description: `Location jumped ${Math.round(distance)}m in ${Math.round(timeDiff)}s`,
         severity: 'HIGH',
@@ -99,48 +108,51 @@ class AnomalyDetectorService {
           from: { lat: prevLocation.latitude, lng: prevLocation.longitude },
           to: { lat: currLocation.latitude, lng: currLocation.longitude }
         }
-      };
+      }, rule, siteName);
     }
 
     return null;
   }
 
   /**
-   * Detect if user left office geofence
+   * Detect if user left the allowed sites
    * @param {Object} location - Current location with accuracy
+   * @param {Array} sites - Allowed sites (default: the configured office)
    * @returns {Object|null} Anomaly object or null
    */
-  detectLeftGeofence(location) {
+  detectLeftGeofence(location, sites = null) {
     if (!location) {
       return null;
     }
 
-    const result = geofenceService.checkOfficeGeofence(location);
+    const result = geofenceService.checkOfficeGeofence(location, sites);
 
     // IMPORTANT: Account for GPS accuracy margin of error
     // Only flag if user is CLEARLY outside the geofence
     // If accuracy is poor (e.g., 495m), we can't be certain where they actually are
     const accuracy = location.accuracy || 0;
-    const geofenceRadius = Config.GEOFENCE_RADIUS_METERS || 200;
 
-    // Calculate the confidence margin: distance must exceed (geofence + accuracy) to be certain
-    // Example: If distance=207m, accuracy=495m, geofence=200m
-    //   → User could be anywhere from -288m to +702m from reported point
+    // distance is measured from the site boundary, so it must exceed the accuracy to be certain
+    // Example: If the user is 7m outside a site with accuracy=495m
+    //   → User could be anywhere from 488m inside to 502m outside
     //   → Can't confidently say they left the geofence
-    const confidenceMargin = geofenceRadius + accuracy;
+    // The rule threshold adds a tolerance on top of that
+    const rule = anomalyRulesService.getRule(ANOMALY_TYPES.LEFT_GEOFENCE, result.site.name);
+    const confidenceMargin = accuracy + rule.threshold;
 
     if (!result.isInside && result.distance > confidenceMargin) {
-      return {
+      return anomalyRulesService.apply({
         type: ANOMALY_TYPES.LEFT_GEOFENCE,
-        description: `User is ${geofenceService.formatDistance(result.distance)} from office (outside ${geofenceRadius}m radius, accuracy: ${Math.round(accuracy)}m)`,
+        description: `User is ${geofenceService.formatDistance(result.distance)} outside "${result.site.name}" (accuracy: ${Math.round(accuracy)}m)`,
         severity: 'HIGH',
         data: {
           distance: result.distance,
           accuracy: accuracy,
           confidenceMargin: confidenceMargin,
+          site: result.site.name,
           location: { lat: location.latitude, lng: location.longitude }
         }
-      };
+      }, rule, result.site.name);
     }
 
     return null;
@@ -163,14 +175,16 @@ class AnomalyDetectorService {
    * @param {number} accuracy - Horizontal accuracy in meters
    * @param {Object} prevLocation - Previous location (optional)
    * @param {Object} currLocation - Current location (optional)
+   * @param {Array} sites - Allowed sites (default: the configured office)
    * @returns {Object|null} Anomaly object or null
    */
-  detectLowAccuracy(accuracy, prevLocation = null, currLocation = null) {
+  detectLowAccuracy(accuracy, prevLocation = null, currLocation = null, sites = null) {
     if (!accuracy) {
       return null;
     }
 
-    const maxAccuracy = Config.MAX_ACCURACY_METERS || 50;
+    const { rule, siteName } = this._ruleFor(ANOMALY_TYPES.LOW_ACCURACY, currLocation, sites);
+    const maxAccuracy = rule.threshold;
 
     if (accuracy > maxAccuracy) {
       // If we have location history, check if user is actually moving
@@ -191,7 +205,7 @@ class AnomalyDetectorService {
         }
       }
 
-      return {
+      return anomalyRulesService.apply({
         type: ANOMALY_TYPES.LOW_ACCURACY,
         description: `GPS accuracy is ${Math.round(accuracy)}m (threshold: ${maxAccuracy}m) while moving`,
         severity: 'MEDIUM',
@@ -199,7 +213,7 @@ class AnomalyDetectorService {
           accuracy: accuracy,
           threshold: maxAccuracy
         }
-      };
+      }, rule, siteName);
     }
 
     return null;
@@ -210,14 +224,17 @@ class AnomalyDetectorService {
    * @param {number} lastUpdateTime - Timestamp of last update
    * @param {number} trackingStartTime - Timestamp when tracking started
    * @param {number} updateCount - Number of updates received
+   * @param {Object} lastLocation - Last location (optional, picks the site rule)
+   * @param {Array} sites - Allowed sites (default: the configured office)
    * @returns {Object|null} Anomaly object or null
    */
-  detectStoppedSending(lastUpdateTime, trackingStartTime, updateCount = 0) {
+  detectStoppedSending(lastUpdateTime, trackingStartTime, updateCount = 0, lastLocation = null, sites = null) {
     const now = Date.now();
     const timeSinceLastUpdate = (now - lastUpdateTime) / 1000; // seconds
     const totalTrackingTime = (now - trackingStartTime) / 1000; // seconds
     const requiredDuration = (Config.TRACKING_DURATION_MINUTES || 5) * 60; // seconds
-    const minUpdates = Config.MIN_UPDATES_FOR_VERIFICATION || 3;
+    const { rule, siteName } = this._ruleFor(ANOMALY_TYPES.STOPPED_SENDING, lastLocation, sites);
+    const minUpdates = rule.threshold;
 
     // Check if stopped sending before required duration
     // Allow 60 second timeout for updates
@@ -228,7 +245,7 @@ class AnomalyDetectorService {
     if (totalTrackingTime < requiredDuration && timeSinceLastUpdate > updateTimeout) {
       if (updateCount >= minUpdates) {
         // Have enough data - stopping is acceptable (user likely switched apps)
-        return {
+        return anomalyRulesService.apply({
           type: ANOMALY_TYPES.STOPPED_SENDING,
           description: `Location updates stopped after ${Math.round(totalTrackingTime)}s, but sufficient data collected (${updateCount} updates)`,
           severity: 'LOW',
@@ -238,10 +255,10 @@ class AnomalyDetectorService {
             requiredDuration: requiredDuration,
             updateCount: updateCount
           }
-        };
+        }, rule, siteName);
       } else {
         // Insufficient data - this is a problem
-        return {
+        return anomalyRulesService.apply({
           type: ANOMALY_TYPES.STOPPED_SENDING,
           description: `Location updates stopped after ${Math.round(totalTrackingTime)}s with only ${updateCount} updates (minimum: ${minUpdates})`,
           severity: 'HIGH',
@@ -251,7 +268,7 @@ class AnomalyDetectorService {
             requiredDuration: requiredDuration,
             updateCount: updateCount
           }
-        };
+        }, rule, siteName);
       }
     }
 
@@ -262,9 +279,10 @@ class AnomalyDetectorService {
    * Detect impossible speed (user in vehicle)
    * @param {Object} prevLocation - Previous location
    * @param {Object} currLocation - Current location
+   * @param {Array} sites - Allowed sites (default: the configured office)
    * @returns {Object|null} Anomaly object or null
    */
-  detectImpossibleSpeed(prevLocation, currLocation) {
+  detectImpossibleSpeed(prevLocation, currLocation, sites = null) {
     if (!prevLocation || !currLocation) {
       return null;
     }
@@ -286,31 +304,14 @@ class AnomalyDetectorService {
       currLocation.longitude
     );
     const speed = geofenceService.calculateSpeed(prevLocation, currLocation);
-    const maxSpeed = Config.MAX_SPEED_KMH || 100;
+    const { rule, siteName } = this._ruleFor(ANOMALY_TYPES.IMPOSSIBLE_SPEED, currLocation, sites);
+    const maxSpeed = rule.threshold;
 
     // Only flag if speed is exceeded AND distance is significant
     // This prevents false positives from GPS drift/jumps within the office area
     if (speed > maxSpeed) {
-      // Check if both locations are within or near the geofence
-      const prevDistanceFromOffice = geofenceService.calculateDistance(
-        prevLocation.latitude,
-        prevLocation.longitude,
-        Config.OFFICE_LATITUDE,
-        Config.OFFICE_LONGITUDE
-      );
-      const currDistanceFromOffice = geofenceService.calculateDistance(
-        currLocation.latitude,
-        currLocation.longitude,
-        Config.OFFICE_LATITUDE,
-        Config.OFFICE_LONGITUDE
-      );
-
-      const geofenceRadius = Config.GEOFENCE_RADIUS_METERS || 700;
-      const allowedRadius = geofenceRadius + 300; // Allow 300m margin for GPS inaccuracy
-
-      // If BOTH locations are within the allowed area, treat as GPS drift, not fraud
-      const bothNearOffice = prevDistanceFromOffice <= allowedRadius &&
-                            currDistanceFromOffice <= allowedRadius;
+      // If BOTH locations are within or near an allowed site, treat as GPS drift, not fraud
+      const bothNearOffice = this._isNearSites(prevLocation, sites) && this._isNearSites(currLocation, sites);
 
       if (bothNearOffice && distance < 1000) {
         // GPS jump within office area - likely GPS drift, not fraud
@@ -319,7 +320,7 @@ class AnomalyDetectorService {
       }
 
       // Otherwise, this is suspicious (either moving away from office or very large jump)
-      return {
+      return anomalyRulesService.apply({
         type: ANOMALY_TYPES.IMPOSSIBLE_SPEED,
         description: `Movement speed is ${speed.toFixed(1)} km/h (threshold: ${maxSpeed} km/h)`,
         severity: 'HIGH',
@@ -330,7 +331,7 @@ class AnomalyDetectorService {
           from: { lat: prevLocation.latitude, lng: prevLocation.longitude },
           to: { lat: currLocation.latitude, lng: currLocation.longitude }
         }
-      };
+      }, rule, siteName);
     }
 
     return null;
@@ -339,51 +340,74 @@ class AnomalyDetectorService {
   /**
    * Check if initial check-in location is valid
    * @param {Object} location - Initial location with accuracy
+   * @param {Array} sites - Allowed sites (default: the configured office)
    * @returns {Object|null} Anomaly object or null
    */
-  detectWrongLocation(location) {
+  detectWrongLocation(location, sites = null) {
     if (!location) {
       return null;
     }
 
-    const result = geofenceService.checkOfficeGeofence(location);
+    const result = geofenceService.checkOfficeGeofence(location, sites);
 
     // IMPORTANT: Account for GPS accuracy during initial check-in
     // Be lenient with poor GPS accuracy - only reject if CLEARLY outside
+    // The rule threshold adds a tolerance on top of that
+    const rule = anomalyRulesService.getRule(ANOMALY_TYPES.WRONG_LOCATION, result.site.name);
     const accuracy = location.accuracy || 0;
-    const geofenceRadius = Config.GEOFENCE_RADIUS_METERS || 200;
-    const confidenceMargin = geofenceRadius + accuracy;
+    const confidenceMargin = accuracy + rule.threshold;
 
-    logger.debug(`📍 Geofence check: distance=${Math.round(result.distance)}m, limit=${geofenceRadius}m, accuracy=${Math.round(accuracy)}m, margin=${Math.round(confidenceMargin)}m`);
+    logger.debug(`📍 Geofence check: ${Math.round(result.distance)}m outside "${result.site.name}", accuracy=${Math.round(accuracy)}m`);
 
     if (!result.isInside && result.distance > confidenceMargin) {
-      logger.warn(`❌ Location REJECTED: ${Math.round(result.distance)}m from office (limit with accuracy: ${Math.round(confidenceMargin)}m)`);
+      logger.warn(`❌ Location REJECTED: ${Math.round(result.distance)}m outside "${result.site.name}" (accuracy: ${Math.round(accuracy)}m)`);
 
-      return {
+      return anomalyRulesService.apply({
         type: ANOMALY_TYPES.WRONG_LOCATION,
-        description: `Check-in location is ${geofenceService.formatDistance(result.distance)} from office (accuracy: ${Math.round(accuracy)}m)`,
+        description: `Check-in location is ${geofenceService.formatDistance(result.distance)} outside "${result.site.name}" (accuracy: ${Math.round(accuracy)}m)`,
         severity: 'CRITICAL',
         data: {
           distance: result.distance,
           accuracy: accuracy,
           confidenceMargin: confidenceMargin,
+          site: result.site.name,
           location: { lat: location.latitude, lng: location.longitude }
         }
-      };
+      }, rule, result.site.name);
     }
 
-    logger.debug(`✅ Location ACCEPTED: ${Math.round(result.distance)}m from office (within margin: ${Math.round(confidenceMargin)}m)`);
+    logger.debug(`✅ Location ACCEPTED at "${result.site.name}"`);
     return null;
   }
 
+  /**
+   * Attach the point where an anomaly happened (shown on the trail map)
+   * @param {Object|null} anomaly - Anomaly object or null
+   * @param {Object} location - Location point { latitude, longitude, timestamp }
+   * @returns {Object|null} The anomaly
+   */
+  atLocation(anomaly, location) {
+    if (anomaly && location) {
+      anomaly.location = {
+        latitude: location.latitude,
+        longitude: location.longitude,
+        timestamp: location.timestamp || null
+      };
+    }
+    return anomaly;
+  }
+
   /**
    * Analyze a complete tracking session
    * @param {Object} session - Tracking session object
-   * @returns {Object} Analysis result
+   * @returns {Object} Analysis result; every anomaly has the location where it happened,
+   *   action is what the anomaly rules say to do (none, warn, reverify, cancel)
    */
   analyzeSession(session) {
     const anomalies = [];
-    const locationHistory = session.locationHistory || [];
+    // The full trail when available - locationHistory only keeps the latest points
+    const locationHistory = session.trail || session.locationHistory || [];
+    const sites = session.allowedSites || null;
 
     // Check each location update
     for (let i = 0; i < locationHistory.length; i++) {
@@ -392,22 +416,22 @@ class AnomalyDetectorService {
 
       // Check for sudden jump
       if (prevLocation) {
-        const jumpAnomaly = this.detectSuddenJump(prevLocation, currLocation);
+        const jumpAnomaly = this.detectSuddenJump(prevLocation, currLocation, sites);
         if (jumpAnomaly) {
-          anomalies.push(jumpAnomaly);
+          anomalies.push(this.atLocation(jumpAnomaly, currLocation));
         }
 
         // Check for impossible speed
-        const speedAnomaly = this.detectImpossibleSpeed(prevLocation, currLocation);
+        const speedAnomaly = this.detectImpossibleSpeed(prevLocation, currLocation, sites);
         if (speedAnomaly) {
-          anomalies.push(speedAnomaly);
+          anomalies.push(this.atLocation(speedAnomaly, currLocation));
         }
       }
 
       // Check if left geofence
-      const geofenceAnomaly = this.detectLeftGeofence(currLocation);
+      const geofenceAnomaly = this.detectLeftGeofence(currLocation, sites);
       if (geofenceAnomaly) {
-        anomalies.push(geofenceAnomaly);
+        anomalies.push(this.atLocation(geofenceAnomaly, currLocation));
       }
 
       // Check accuracy (only flag if user is also moving)
@@ -415,10 +439,11 @@ class AnomalyDetectorService {
         const accuracyAnomaly = this.detectLowAccuracy(
           currLocation.accuracy,
           prevLocation,
-          currLocation
+          currLocation,
+          sites
         );
         if (accuracyAnomaly) {
-          anomalies.push(accuracyAnomaly);
+          anomalies.push(this.atLocation(accuracyAnomaly, currLocation));
         }
       }
     }
@@ -429,10 +454,12 @@ class AnomalyDetectorService {
       const stoppedAnomaly = this.detectStoppedSending(
         lastLocation.timestamp,
         session.startTime,
-        session.updateCount || locationHistory.length
+        session.updateCount || locationHistory.length,
+        lastLocation,
+        sites
       );
       if (stoppedAnomaly) {
-        anomalies.push(stoppedAnomaly);
+        anomalies.push(this.atLocation(stoppedAnomaly, lastLocation));
       }
     }
 
@@ -457,11 +484,16 @@ class AnomalyDetectorService {
       overallSeverity = 'MEDIUM';
     }
 
+    const decision = anomalyRulesService.decide(anomalies);
+
     return {
       hasAnomaly: anomalies.length > 0,
       anomalyCount: anomalies.length,
       anomalies: anomalies,
       severity: overallSeverity,
+      action: decision.action,
+      plannedAction: decision.plannedAction,
+      dryRun: decision.dryRun,
       summary: this.generateAnomalySummary(anomalies)
     };
   }
@@ -0,0 +1,268 @@
+/**
+ * Anomaly rules service.
+ * Thresholds, severity and action of every anomaly detector, configurable
+ * in the Anomaly Rules sheet:
+ *   Rule | Site | Threshold | Severity | Action | Dry run
+ *
+ * - "Rule" is a detector: SUDDEN_JUMP, IMPOSSIBLE_SPEED, LOW_ACCURACY, LEFT_GEOFENCE,
+ *   STOPPED_SENDING or WRONG_LOCATION.
+ * - "Site" empty = the rule for all sites; a site name overrides it for anomalies
+ *   that happen at (nearest to) that site. Empty cells keep the value of the general rule.
+ * - "Threshold" (see RULE_THRESHOLDS): jump in meters, speed in km/h, accuracy in meters,
+ *   meters outside a site beyond GPS accuracy, or updates needed before stopping is minor.
+ * - "Severity" replaces the detector's severity (LOW, MEDIUM, HIGH, CRITICAL).
+ * - "Action": ignore, warn (flag and alert staff), reverify (ask to verify again with live location
+ *   or a selfie, cancel only if that fails too), cancel (cancel the arrival / reject the check-in
+ *   right away). Empty = reverify for CRITICAL (cancel for WRONG_LOCATION), warn otherwise.
+ * - "Dry run" yes = only log re-verifications and cancellations of this rule
+ *   (ANOMALY_RULES_DRY_RUN=true does this for all rules).
+ * Without the sheet the detectors behave as before (thresholds from MAX_* variables).
+ */
+
+const Config = require('../config');
+const logger = require('../utils/logger');
+
+const ANOMALY_RULE_HEADERS = ['Rule', 'Site', 'Threshold', 'Severity', 'Action', 'Dry run'];
+
+// Actions from weakest to strongest
+const ACTIONS = ['ignore', 'warn', 'reverify', 'cancel'];
+
+const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+// What "Threshold" means for each rule and its default
+const RULE_THRESHOLDS = {
+  SUDDEN_JUMP: { unit: 'м за 30 сек', default: () => Config.MAX_JUMP_DISTANCE_METERS || 500 },
+  IMPOSSIBLE_SPEED: { unit: 'км/ч', default: () => Config.MAX_SPEED_KMH || 100 },
+  LOW_ACCURACY: { unit: 'м точности', default: () => Config.MAX_ACCURACY_METERS || 50 },
+  LEFT_GEOFENCE: { unit: 'м за границей сверх точности GPS', default: () => 0 },
+  STOPPED_SENDING: { unit: 'обновлений', default: () => Config.MIN_UPDATES_FOR_VERIFICATION || 3 },
+  WRONG_LOCATION: { unit: 'м за границей сверх точности GPS', default: () => 0 }
+};
+
+// Action of a CRITICAL anomaly without an Action in the sheet
+const CRITICAL_ACTIONS = {
+  WRONG_LOCATION: 'cancel' // Check-in/checkout from outside a site is rejected
+};
+
+/**
+ * Default action of an anomaly by its severity
+ * @param {Object} anomaly - Anomaly
+ * @returns {string}
+ */
+function defaultAction(anomaly) {
+  if (anomaly.severity !== 'CRITICAL') return 'warn';
+  return CRITICAL_ACTIONS[anomaly.type] || 'reverify';
+}
+
+const ACTION_LABELS = {
+  ignore: 'игнорировать',
+  warn: 'предупредить',
+  reverify: 'повторная проверка',
+  cancel: 'отмена отметки'
+};
+
+/**
+ * Parse the "Dry run" cell
+ * @param {string} value - Cell value
+ * @returns {boolean}
+ */
+function isYes(value) {
+  return ['yes', 'true', 'да'].includes((value || '').toString().trim().toLowerCase());
+}
+
+class AnomalyRulesService {
+  constructor() {
+    this._rows = null; // Parsed rule rows
+    this._lastLoaded = 0;
+    this._loading = null;
+    this._cacheTimeout = 300000; // 5 minutes - same as the sites cache
+  }
+
+  /**
+   * Get the Anomaly Rules worksheet, writing headers on a new sheet
+   * @returns {Object} Worksheet
+   */
+  async _getWorksheet() {
+    const sheetsService = require('./sheets.service');
+    const worksheet = await sheetsService.getWorksheet(Config.SHEET_ANOMALY_RULES);
+
+    try {
+      await worksheet.loadHeaderRow();
+    } catch (headerError) {
+      if (worksheet.columnCount < ANOMALY_RULE_HEADERS.length) {
+        await worksheet.resize({ rowCount: worksheet.rowCount || 1000, columnCount: ANOMALY_RULE_HEADERS.length });
+      }
+      await worksheet.setHeaderRow(ANOMALY_RULE_HEADERS);
+      logger.info(`Created '${Config.SHEET_ANOMALY_RULES}' sheet headers`);
+    }
+
+    return worksheet;
+  }
+
+  /**
+   * Parse one Anomaly Rules sheet row
+   * @param {Object} row - Sheet row
+   * @returns {Object|null} Rule override or null if the row is empty/invalid
+   */
+  _parseRow(row) {
+    const type = (row.get('Rule') || '').toString().trim().toUpperCase();
+    if (!type) return null;
+    if (!RULE_THRESHOLDS[type]) {
+      logger.warn(`Anomaly rules: unknown rule '${type}' - row ignored`);
+      return null;
+    }
+
+    const rule = {
+      type,
+      site: (row.get('Site') || '').toString().trim().toLowerCase()
+    };
+
+    const threshold = parseFloat(row.get('Threshold'));
+    if (!isNaN(threshold) && threshold >= 0) rule.threshold = threshold;
+
+    const severity = (row.get('Severity') || '').toString().trim().toUpperCase();
+    if (SEVERITIES.includes(severity)) rule.severity = severity;
+    else if (severity) logger.warn(`Anomaly rules: unknown severity '${severity}' for ${type} - ignored`);
+
+    const action = (row.get('Action') || '').toString().trim().toLowerCase();
+    if (ACTIONS.includes(action)) rule.action = action;
+    else if (action) logger.warn(`Anomaly rules: unknown action '${action}' for ${type} - ignored`);
+
+    if ((row.get('Dry run') || '').toString().trim()) rule.dryRun = isYes(row.get('Dry run'));
+
+    return rule;
+  }
+
+  /**
+   * Load the rule rows (cached); call before tracking starts so the detectors
+   * see fresh rules
+   * @returns {Array} Rule overrides
+   */
+  async getRules() {
+    if (this._rows && (Date.now() - this._lastLoaded) < this._cacheTimeout) {
+      return this._rows;
+    }
+    if (this._loading) return this._loading;
+
+    this._loading = (async () => {
+      const rules = [];
+
+      try {
+        const worksheet = await this._getWorksheet();
+        const rows = await worksheet.getRows();
+        for (const row of rows) {
+          const rule = this._parseRow(row);
+          if (rule) rules.push(rule);
+        }
+      } catch (error) {
+        // Rules are optional - without them the defaults apply
+        logger.error(`Error loading anomaly rules sheet: ${error.message}`);
+        if (this._rows) return this._rows;
+      }
+
+      this._rows = rules;
+      this._lastLoaded = Date.now();
+      return this._rows;
+    })();
+
+    try {
+      return await this._loading;
+    } finally {
+      this._loading = null;
+    }
+  }
+
+  /**
+   * Effective rule of a detector at a site, from the loaded rules
+   * (the detectors run synchronously; defaults apply until rules were loaded once)
+   * @param {string} type - Anomaly type
+   * @param {string} siteName - Site the anomaly happened at (optional)
+   * @returns {Object} { type, threshold, severity, action, dryRun }
+   */
+  getRule(type, siteName = '') {
+    const rule = {
+      type,
+      threshold: RULE_THRESHOLDS[type] ? RULE_THRESHOLDS[type].default() : null,
+      severity: null, // The detector's own
+      action: null, // By severity
+      dryRun: false
+    };
+
+    const site = (siteName || '').toString().trim().toLowerCase();
+    const rows = (this._rows || []).filter(row => row.type === type);
+    // The general rule first, then the site override
+    for (const row of [...rows.filter(r => !r.site), ...rows.filter(r => site && r.site === site)]) {
+      for (const key of ['threshold', 'severity', 'action', 'dryRun']) {
+        if (row[key] !== undefined) rule[key] = row[key];
+      }
+    }
+
+    return rule;
+  }
+
+  /**
+   * Apply a rule to a detected anomaly
+   * @param {Object|null} anomaly - Anomaly from a detector
+   * @param {Object} rule - Rule from getRule
+   * @param {string} siteName - Site the anomaly happened at
+   * @returns {Object|null} The anomaly with severity, action and dryRun, or null if ignored
+   */
+  apply(anomaly, rule, siteName = '') {
+    if (!anomaly) return null;
+
+    if (rule.severity) anomaly.severity = rule.severity;
+    anomaly.action = rule.action || defaultAction(anomaly);
+    anomaly.dryRun = rule.dryRun || Config.ANOMALY_RULES_DRY_RUN;
+    if (siteName) anomaly.site = siteName;
+
+    if (anomaly.action === 'ignore') {
+      logger.debug(`Anomaly ${anomaly.type} ignored by rule: ${anomaly.description}`);
+      return null;
+    }
+    return anomaly;
+  }
+
+  /**
+   * Decide what to do about anomalies: the strongest action wins; in dry run
+   * re-verification and cancellation are only logged and the anomaly is a warning
+   * @param {Array} anomalies - Anomalies with action (from apply)
+   * @returns {Object} { action, plannedAction, dryRun } - action is none without anomalies
+   */
+  decide(anomalies) {
+    const rank = action => ACTIONS.indexOf(action);
+    let action = 'none';
+    let plannedAction = 'none';
+
+    for (const anomaly of anomalies) {
+      const planned = anomaly.action || defaultAction(anomaly);
+      const effective = anomaly.dryRun && rank(planned) > rank('warn') ? 'warn' : planned;
+      if (rank(planned) > rank(plannedAction)) plannedAction = planned;
+      if (rank(effective) > rank(action)) action = effective;
+    }
+
+    return { action, plannedAction, dryRun: action !== plannedAction };
+  }
+
+  /**
+   * Human-readable action
+   * @param {string} action - Action key
+   * @returns {string}
+   */
+  describeAction(action) {
+    return ACTION_LABELS[action] || action;
+  }
+
+  /**
+   * Forget cached rules (after the sheet was edited)
+   */
+  invalidate() {
+    this._rows = null;
+    this._lastLoaded = 0;
+  }
+}
+
+// Export singleton instance
+module.exports = new AnomalyRulesService();
+module.exports.ANOMALY_RULE_HEADERS = ANOMALY_RULE_HEADERS;
+module.exports.RULE_THRESHOLDS = RULE_THRESHOLDS;
+module.exports.ACTIONS = ACTIONS;
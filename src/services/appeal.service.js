@@ -0,0 +1,480 @@
+/**
+ * Penalty appeal service.
+ * Employees dispute a day's penalty (lateness, early departure, no-show or an arrival
+ * cancelled as fraud) with a reason and an optional photo or document; admins approve
+ * or reject it. Approval reverses the penalty:
+ * - while the daily sheet exists, through a correction of the day (the arrival is
+ *   restored for a fraud cancellation, otherwise the penalty is waived);
+ * - after the day was transferred to Report_YYYY-MM, in the monthly report totals and
+ *   the History row of the day.
+ *
+ * Appeals sheet columns:
+ *   Id | Telegram Id | Name | Date | Penalty | Point | Penalty minutes | Reason | Attachment |
+ *   Attachment type | Status | Submitted at | Decided by | Decided at | Restored points |
+ *   When come | Came on time | will be late | Absent | Left early
+ *
+ * - "Penalty" lists the penalty kinds of the day (keys of PENALTY_KINDS), "Point" and
+ *   "Penalty minutes" are the values when the appeal was submitted.
+ * - The last columns are copied from the daily row when the appeal is submitted, so the
+ *   monthly counters of the day can be reversed once the daily sheet is gone.
+ * - "Attachment" is the Telegram file id of the photo or document.
+ * - "Status" is pending, approved or rejected.
+ */
+
+const moment = require('moment-timezone');
+const Config = require('../config');
+const logger = require('../utils/logger');
+const auditService = require('./audit.service');
+const correctionService = require('./correction.service');
+
+// Daily row columns kept on the appeal (what the end-of-day transfer counted)
+const DAY_COLUMNS = ['When come', 'Came on time', 'will be late', 'Absent', 'Left early'];
+
+const APPEAL_HEADERS = [
+  'Id',
+  'Telegram Id',
+  'Name',
+  'Date',
+  'Penalty',
+  'Point',
+  'Penalty minutes',
+  'Reason',
+  'Attachment',
+  'Attachment type',
+  'Status',
+  'Submitted at',
+  'Decided by',
+  'Decided at',
+  'Restored points',
+  ...DAY_COLUMNS
+];
+
+const PENALTY_KINDS = {
+  fraud: 'Отмена прихода (нарушение)',
+  late: 'Опоздание без предупреждения',
+  early: 'Ранний уход',
+  absence: 'Отсутствие',
+  other: 'Штраф'
+};
+
+const STATUS_LABELS = {
+  pending: '⏳ На рассмотрении',
+  approved: '✅ Одобрено',
+  rejected: '❌ Отклонено'
+};
+
+class AppealService {
+  constructor() {
+    this._appeals = null; // Parsed appeal rows
+    this._lastLoaded = 0;
+    this._loading = null;
+    this._cacheTimeout = 300000; // 5 minutes - the bot invalidates on its own writes
+  }
+
+  /**
+   * Get the Appeals worksheet, writing headers on a new sheet
+   * @returns {Object} Worksheet
+   */
+  async _getWorksheet() {
+    const sheetsService = require('./sheets.service');
+    const worksheet = await sheetsService.getWorksheet(Config.SHEET_APPEALS);
+
+    try {
+      await worksheet.loadHeaderRow();
+    } catch (headerError) {
+      if (worksheet.columnCount < APPEAL_HEADERS.length) {
+        await worksheet.resize({ rowCount: worksheet.rowCount || 1000, columnCount: APPEAL_HEADERS.length });
+      }
+      await worksheet.setHeaderRow(APPEAL_HEADERS);
+      logger.info(`Created '${Config.SHEET_APPEALS}' sheet headers`);
+    }
+    await sheetsService.ensureColumns(worksheet, APPEAL_HEADERS);
+
+    return worksheet;
+  }
+
+  /**
+   * Parse one Appeals sheet row
+   * @param {Object} row - Sheet row
+   * @returns {Object|null} Appeal or null if the row is empty
+   */
+  _parseRow(row) {
+    const id = parseInt(row.get('Id') || '');
+    if (isNaN(id)) return null;
+
+    const day = {};
+    for (const column of DAY_COLUMNS) {
+      day[column] = (row.get(column) || '').toString().trim();
+    }
+
+    return {
+      id,
+      telegramId: (row.get('Telegram Id') || '').toString().trim(),
+      name: (row.get('Name') || '').toString().trim(),
+      date: (row.get('Date') || '').toString().trim(),
+      penalty: (row.get('Penalty') || '').toString().split(',').map(kind => kind.trim()).filter(Boolean),
+      point: parseFloat(row.get('Point') || '0') || 0,
+      penaltyMinutes: parseInt(row.get('Penalty minutes') || '0') || 0,
+      reason: (row.get('Reason') || '').toString().trim(),
+      attachment: (row.get('Attachment') || '').toString().trim(),
+      attachmentType: (row.get('Attachment type') || '').toString().trim(),
+      status: (row.get('Status') || 'pending').toString().trim().toLowerCase(),
+      submittedAt: (row.get('Submitted at') || '').toString().trim(),
+      decidedBy: (row.get('Decided by') || '').toString().trim(),
+      decidedAt: (row.get('Decided at') || '').toString().trim(),
+      restoredPoints: (row.get('Restored points') || '').toString().trim(),
+      day
+    };
+  }
+
+  /**
+   * Load all appeals (cached)
+   * @returns {Array} Appeals
+   */
+  async getAppeals() {
+    if (this._appeals && (Date.now() - this._lastLoaded) < this._cacheTimeout) {
+      return this._appeals;
+    }
+    if (this._loading) return this._loading;
+
+    this._loading = (async () => {
+      const appeals = [];
+
+      try {
+        const worksheet = await this._getWorksheet();
+        const rows = await worksheet.getRows();
+        for (const row of rows) {
+          const appeal = this._parseRow(row);
+          if (appeal) appeals.push(appeal);
+        }
+      } catch (error) {
+        logger.error(`Error loading appeals sheet: ${error.message}`);
+        if (this._appeals) return this._appeals;
+      }
+
+      this._appeals = appeals;
+      this._lastLoaded = Date.now();
+      return appeals;
+    })();
+
+    try {
+      return await this._loading;
+    } finally {
+      this._loading = null;
+    }
+  }
+
+  /**
+   * Get an appeal by id
+   * @param {number|string} id - Appeal id
+   * @returns {Object|null} Appeal
+   */
+  async getAppeal(id) {
+    const appeals = await this.getAppeals();
+    return appeals.find(a => a.id === parseInt(id)) || null;
+  }
+
+  /**
+   * Appeals waiting for a decision, oldest first
+   * @returns {Array} Appeals
+   */
+  async getPendingAppeals() {
+    const appeals = await this.getAppeals();
+    return appeals.filter(a => a.status === 'pending').sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Penalty of a daily row
+   * @param {Object} row - Daily sheet row
+   * @returns {Object|null} { kinds, point, penaltyMinutes } or null if the day has no penalty
+   */
+  getPenalty(row) {
+    if (correctionService.isPenaltyWaived(row)) return null;
+
+    const point = parseFloat(row.get('Point') || '0') || 0;
+    const penaltyMinutes = parseInt(row.get('Penalty minutes') || '0') || 0;
+    const kinds = [];
+
+    if (correctionService.isCancelledArrival(row)) {
+      kinds.push('fraud');
+    } else if ((row.get('Absent') || '').toLowerCase() === 'yes' && point < 0) {
+      kinds.push('absence');
+    }
+    if (row.get('Came on time') === 'No' && (penaltyMinutes > 0 || point < 1)) {
+      kinds.push('late');
+    }
+    if ((row.get('Left early') || '').startsWith('Yes')) {
+      kinds.push('early');
+    }
+    if (kinds.length === 0 && point < 0) {
+      kinds.push('other');
+    }
+
+    return kinds.length > 0 ? { kinds, point, penaltyMinutes } : null;
+  }
+
+  /**
+   * Create an appeal for a day that is still in its daily sheet
+   * @param {Object} employee - Employee object
+   * @param {string} date - Date of the daily sheet YYYY-MM-DD
+   * @param {string} reason - Employee's explanation
+   * @param {Object} attachment - Optional { fileId, type: 'photo' | 'document' }
+   * @returns {Object} Created appeal
+   * @throws {Error} With a user-facing message if the appeal is not possible
+   */
+  async createAppeal(employee, date, reason, attachment = null) {
+    if (!reason || !reason.trim()) {
+      throw new Error('Опишите, почему штраф неверный.');
+    }
+
+    const record = await correctionService.getDayRecord(date, employee.telegramId);
+    if (!record || record.archived) {
+      throw new Error('День уже закрыт - обратитесь к руководителю.');
+    }
+
+    const penalty = this.getPenalty(record.row);
+    if (!penalty) {
+      throw new Error('Штрафа за этот день нет.');
+    }
+
+    const appeals = await this.getAppeals();
+    const existing = appeals.find(a =>
+      a.telegramId === employee.telegramId.toString() && a.date === date && a.status !== 'rejected'
+    );
+    if (existing) {
+      throw new Error(`Апелляция за этот день уже подана (#${existing.id}, ${STATUS_LABELS[existing.status] || existing.status}).`);
+    }
+
+    const worksheet = await this._getWorksheet();
+    const rows = await worksheet.getRows();
+    const maxId = rows.reduce((max, row) => Math.max(max, parseInt(row.get('Id') || '0') || 0), 0);
+
+    const day = {};
+    for (const column of DAY_COLUMNS) {
+      day[column] = (record.row.get(column) || '').toString().trim();
+    }
+
+    const appeal = {
+      id: maxId + 1,
+      telegramId: employee.telegramId.toString(),
+      name: employee.nameFull,
+      date,
+      penalty: penalty.kinds,
+      point: penalty.point,
+      penaltyMinutes: penalty.penaltyMinutes,
+      reason: reason.trim(),
+      attachment: attachment ? attachment.fileId : '',
+      attachmentType: attachment ? attachment.type : '',
+      status: 'pending',
+      submittedAt: moment.tz(Config.TIMEZONE).format('YYYY-MM-DD HH:mm'),
+      decidedBy: '',
+      decidedAt: '',
+      restoredPoints: '',
+      day
+    };
+
+    await worksheet.addRow({
+      'Id': appeal.id,
+      'Telegram Id': appeal.telegramId,
+      'Name': appeal.name,
+      'Date': appeal.date,
+      'Penalty': appeal.penalty.join(','),
+      'Point': appeal.point.toString(),
+      'Penalty minutes': appeal.penaltyMinutes.toString(),
+      'Reason': appeal.reason,
+      'Attachment': appeal.attachment,
+      'Attachment type': appeal.attachmentType,
+      'Status': appeal.status,
+      'Submitted at': appeal.submittedAt,
+      'Decided by': '',
+      'Decided at': '',
+      'Restored points': '',
+      ...day
+    });
+
+    this.invalidate();
+    logger.info(`Appeal #${appeal.id} from ${appeal.name} for ${date}: ${appeal.penalty.join(', ')} (${appeal.point})`);
+    return appeal;
+  }
+
+  /**
+   * Change the status of a pending appeal
+   * @param {number|string} id - Appeal id
+   * @param {string} fromStatus - Status the appeal must currently have
+   * @param {Object} values - { status, decidedBy, decidedAt, restoredPoints }
+   * @returns {Object} Updated appeal
+   * @throws {Error} If the appeal does not exist or has another status
+   */
+  async _update(id, fromStatus, values) {
+    const worksheet = await this._getWorksheet();
+    const rows = await worksheet.getRows();
+    const row = rows.find(r => parseInt(r.get('Id') || '') === parseInt(id));
+
+    if (!row) {
+      throw new Error(`Апелляция #${id} не найдена.`);
+    }
+
+    const appeal = this._parseRow(row);
+    if (appeal.status !== fromStatus) {
+      throw new Error(`Апелляция #${id} уже рассмотрена: ${STATUS_LABELS[appeal.status] || appeal.status}.`);
+    }
+
+    if (values.status !== undefined) row.set('Status', values.status);
+    if (values.decidedBy !== undefined) row.set('Decided by', values.decidedBy);
+    if (values.decidedAt !== undefined) row.set('Decided at', values.decidedAt);
+    if (values.restoredPoints !== undefined) row.set('Restored points', values.restoredPoints);
+    await row.save();
+
+    this.invalidate();
+    return this._parseRow(row);
+  }
+
+  /**
+   * Reverse the penalty of an appeal in the daily sheet or, once the day was
+   * transferred, in the monthly report
+   * @param {Object} appeal - Appeal
+   * @param {string} decidedBy - Admin who approved
+   * @param {number} decidedById - Admin's Telegram ID
+   * @returns {Object} { target: 'daily' | 'monthly', restoredPoints, changes }
+   */
+  async reversePenalty(appeal, decidedBy, decidedById) {
+    const reason = `Апелляция #${appeal.id}: ${appeal.reason}`;
+    const record = await correctionService.getDayRecord(appeal.date, appeal.telegramId);
+
+    if (record && !record.archived) {
+      const before = parseFloat(record.row.get('Point') || '0') || 0;
+      const canRestore = correctionService.isCancelledArrival(record.row) &&
+        !!(await correctionService.getCancelledArrivalTime(appeal.date, appeal.telegramId));
+
+      const result = await correctionService.applyCorrection({
+        date: appeal.date,
+        telegramId: appeal.telegramId,
+        action: canRestore ? 'restore_arrival' : 'waive_penalty',
+        reason,
+        changedBy: decidedBy,
+        changedById: decidedById
+      });
+
+      const after = parseFloat(result.row.get('Point') || '0') || 0;
+      return { target: 'daily', restoredPoints: after - before, changes: result.changes };
+    }
+
+    const sheetsService = require('./sheets.service');
+    const historyService = require('./history.service');
+
+    // The day as it is now in the History row (it may have changed since the appeal was
+    // sent - the snapshot is only used for days archived before History existed), and as
+    // the daily sheet would have it after approval: a cancelled arrival is restored, a day
+    // with an arrival is worth a full point, an absence none
+    const day = await historyService.getDayValues(appeal.date, appeal.telegramId) ||
+      { ...appeal.day, 'Point': appeal.point.toString(), 'Penalty minutes': appeal.penaltyMinutes.toString() };
+    const waived = { ...day, 'Penalty waived': 'Yes', 'Penalty minutes': '0' };
+    const restoredTime = appeal.penalty.includes('fraud')
+      ? await correctionService.getCancelledArrivalTime(appeal.date, appeal.telegramId)
+      : null;
+    if (restoredTime) {
+      Object.assign(waived, { 'When come': restoredTime, 'Absent': '', 'Why absent': '', 'Arrival Verification Status': 'RESTORED' });
+    }
+    if (waived['When come']) {
+      waived['Came on time'] = 'Yes';
+      waived['Point'] = '1';
+    } else if ((parseFloat(day['Point'] || '0') || 0) < 0) {
+      waived['Point'] = '0';
+    }
+
+    const adjustment = sheetsService.getDayAdjustment(
+      sheetsService.getDayTotals(column => day[column]),
+      sheetsService.getDayTotals(column => waived[column])
+    );
+    const restoredPoints = adjustment.points;
+    const yearMonth = appeal.date.substring(0, 7);
+
+    const changes = await sheetsService.adjustMonthlyReport(yearMonth, appeal.telegramId, adjustment);
+    if (!changes) {
+      throw new Error(`Сотрудник не найден в месячном отчёте Report_${yearMonth}.`);
+    }
+
+    const historyValues = {};
+    for (const [column, value] of Object.entries(waived)) {
+      if (!(column in day) || value !== day[column]) historyValues[column] = value;
+    }
+    if (await historyService.updateDay(appeal.date, appeal.telegramId, historyValues)) {
+      for (const [field, newValue] of Object.entries(historyValues)) {
+        changes.push({ field, oldValue: day[field] || '', newValue });
+      }
+    }
+
+    await auditService.record({
+      date: appeal.date,
+      telegramId: appeal.telegramId,
+      name: appeal.name,
+      action: 'appeal_monthly',
+      reason,
+      changedBy: decidedBy,
+      changedById: decidedById
+    }, changes);
+
+    return { target: 'monthly', restoredPoints, changes };
+  }
+
+  /**
+   * Approve or reject a pending appeal; approval reverses the penalty
+   * @param {number|string} id - Appeal id
+   * @param {boolean} approved - Approve (true) or reject (false)
+   * @param {string} decidedBy - Who decided
+   * @param {number} decidedById - Telegram ID of who decided
+   * @returns {Object} { appeal, reversal } - reversal is null for a rejection
+   */
+  async decide(id, approved, decidedBy, decidedById = null) {
+    const decidedAt = moment.tz(Config.TIMEZONE).format('YYYY-MM-DD HH:mm');
+
+    if (!approved) {
+      const appeal = await this._update(id, 'pending', { status: 'rejected', decidedBy, decidedAt });
+      logger.info(`Appeal #${id} rejected by ${decidedBy}`);
+      return { appeal, reversal: null };
+    }
+
+    // Claim the appeal first so a second click can't reverse the penalty twice
+    const appeal = await this._update(id, 'pending', { status: 'approved', decidedBy, decidedAt });
+
+    let reversal;
+    try {
+      reversal = await this.reversePenalty(appeal, decidedBy, decidedById);
+    } catch (error) {
+      await this._update(id, 'approved', { status: 'pending', decidedBy: '', decidedAt: '' });
+      throw error;
+    }
+
+    const updated = await this._update(id, 'approved', { restoredPoints: reversal.restoredPoints.toString() });
+    logger.info(`Appeal #${id} approved by ${decidedBy}: +${reversal.restoredPoints} point(s) in the ${reversal.target} report`);
+    return { appeal: updated, reversal };
+  }
+
+  /**
+   * Short description of an appeal for messages
+   * @param {Object} appeal - Appeal
+   * @returns {string}
+   */
+  describe(appeal) {
+    const date = moment.tz(appeal.date, 'YYYY-MM-DD', Config.TIMEZONE).format('DD.MM.YYYY');
+    const penalty = appeal.penalty.map(kind => PENALTY_KINDS[kind] || kind).join(', ');
+    let text = `⚖️ #${appeal.id} за ${date}: ${penalty}\n📊 Баллы: ${appeal.point}`;
+    if (appeal.penaltyMinutes > 0) {
+      text += `, штрафное время: ${appeal.penaltyMinutes} мин`;
+    }
+    return text;
+  }
+
+  /**
+   * Drop cached appeals so the next lookup re-reads the sheet
+   */
+  invalidate() {
+    this._appeals = null;
+    this._lastLoaded = 0;
+  }
+}
+
+module.exports = new AppealService();
+module.exports.APPEAL_HEADERS = APPEAL_HEADERS;
+module.exports.PENALTY_KINDS = PENALTY_KINDS;
+module.exports.STATUS_LABELS = STATUS_LABELS;
@@ -0,0 +1,117 @@
+/**
+ * Audit trail service.
+ * Records every manual change of attendance data in the Audit sheet, so it is
+ * always visible who changed what, when, the old value and why.
+ *
+ * Audit sheet columns:
+ *   Timestamp | Date | Telegram Id | Name | Action | Field | Old value | New value | Reason | Changed by | Changed by Id
+ *
+ * - "Date" is the attendance day that was changed (YYYY-MM-DD).
+ * - One row per changed field; rows of the same change share Timestamp and Action.
+ * - Automatic changes (e.g. a cancelled fraudulent arrival) use "system" as Changed by.
+ */
+
+const moment = require('moment-timezone');
+const Config = require('../config');
+const logger = require('../utils/logger');
+
+const AUDIT_HEADERS = [
+  'Timestamp',
+  'Date',
+  'Telegram Id',
+  'Name',
+  'Action',
+  'Field',
+  'Old value',
+  'New value',
+  'Reason',
+  'Changed by',
+  'Changed by Id'
+];
+
+class AuditService {
+  /**
+   * Get the Audit worksheet, writing headers on a new sheet
+   * @returns {Object} Worksheet
+   */
+  async _getWorksheet() {
+    const sheetsService = require('./sheets.service');
+    const worksheet = await sheetsService.getWorksheet(Config.SHEET_AUDIT);
+
+    try {
+      await worksheet.loadHeaderRow();
+    } catch (headerError) {
+      if (worksheet.columnCount < AUDIT_HEADERS.length) {
+        await worksheet.resize({ rowCount: worksheet.rowCount || 1000, columnCount: AUDIT_HEADERS.length });
+      }
+      await worksheet.setHeaderRow(AUDIT_HEADERS);
+      logger.info(`Created '${Config.SHEET_AUDIT}' sheet headers`);
+    }
+
+    return worksheet;
+  }
+
+  /**
+   * Record one change with all its changed fields
+   * @param {Object} entry - { date, telegramId, name, action, reason, changedBy, changedById }
+   * @param {Array} changes - Changed fields { field, oldValue, newValue }
+   * @returns {number} Number of audit rows written
+   */
+  async record(entry, changes) {
+    if (!changes || changes.length === 0) return 0;
+
+    const timestamp = moment.tz(Config.TIMEZONE).format('YYYY-MM-DD HH:mm:ss');
+    const rows = changes.map(change => ({
+      'Timestamp': timestamp,
+      'Date': entry.date || '',
+      'Telegram Id': (entry.telegramId || '').toString(),
+      'Name': entry.name || '',
+      'Action': entry.action,
+      'Field': change.field,
+      'Old value': (change.oldValue ?? '').toString(),
+      'New value': (change.newValue ?? '').toString(),
+      'Reason': entry.reason || '',
+      'Changed by': entry.changedBy || 'system',
+      'Changed by Id': (entry.changedById || '').toString()
+    }));
+
+    const worksheet = await this._getWorksheet();
+    await worksheet.addRows(rows);
+
+    logger.info(`Audit: ${entry.action} on ${entry.date} for ${entry.name || entry.telegramId} by ${entry.changedBy || 'system'} (${rows.length} field(s))`);
+    return rows.length;
+  }
+
+  /**
+   * Get audit rows, newest first
+   * @param {Object} filter - Optional { date, telegramId, action }
+   * @returns {Array} Entries { timestamp, date, telegramId, name, action, field, oldValue, newValue, reason, changedBy, changedById }
+   */
+  async getEntries(filter = {}) {
+    const worksheet = await this._getWorksheet();
+    const rows = await worksheet.getRows();
+
+    const entries = rows.map(row => ({
+      timestamp: row.get('Timestamp') || '',
+      date: row.get('Date') || '',
+      telegramId: (row.get('Telegram Id') || '').toString().trim(),
+      name: row.get('Name') || '',
+      action: row.get('Action') || '',
+      field: row.get('Field') || '',
+      oldValue: row.get('Old value') || '',
+      newValue: row.get('New value') || '',
+      reason: row.get('Reason') || '',
+      changedBy: row.get('Changed by') || '',
+      changedById: (row.get('Changed by Id') || '').toString().trim()
+    }));
+
+    return entries
+      .filter(entry => !filter.date || entry.date === filter.date)
+      .filter(entry => !filter.telegramId || entry.telegramId === filter.telegramId.toString())
+      .filter(entry => !filter.action || entry.action === filter.action)
+      .reverse();
+  }
+}
+
+module.exports = new AuditService();
+module.exports.AUDIT_HEADERS = AUDIT_HEADERS;
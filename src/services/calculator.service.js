@@ -8,10 +8,12 @@ const Config = require('../config');
 class CalculatorService {
   /**
    * Parse work time string like "9:00-18:00" into start and end time objects.
+   * Night shifts like "22:00-06:00" end on the next day.
    * @param {string} workTimeStr - Work time string in format "HH:MM-HH:MM"
+   * @param {moment.Moment|string} date - Day the shift starts (defaults to today)
    * @returns {Object|null} Object with {start, end} moments or null if invalid
    */
-  static parseWorkTime(workTimeStr) {
+  static parseWorkTime(workTimeStr, date = null) {
     try {
       if (!workTimeStr || workTimeStr === '-' || workTimeStr === '00:00-00:00') {
         return null;
@@ -30,16 +32,62 @@ class CalculatorService {
         return null;
       }
 
-      const now = moment.tz(Config.TIMEZONE);
+      const now = date ? moment.tz(date, Config.TIMEZONE) : moment.tz(Config.TIMEZONE);
       const start = now.clone().set({ hour: startHour, minute: startMin, second: 0, millisecond: 0 });
       const end = now.clone().set({ hour: endHour, minute: endMin, second: 0, millisecond: 0 });
 
+      // Shift crosses midnight - it ends the next day
+      if (!end.isAfter(start)) {
+        end.add(1, 'day');
+      }
+
       return { start, end };
     } catch (error) {
       return null;
     }
   }
 
+  /**
+   * Check whether a parsed work time ends on the next calendar day.
+   * @param {Object|null} workTime - Result of parseWorkTime
+   * @returns {boolean} True for night shifts
+   */
+  static isOvernightShift(workTime) {
+    return !!workTime && !workTime.end.isSame(workTime.start, 'day');
+  }
+
+  /**
+   * Turn a time stored in the daily sheet ("HH:mm" or "HH:mm:ss") into a moment.
+   * Daily sheets only keep the time of day, so for night shifts times after
+   * midnight are placed on the next day (the one closest to the shift).
+   * @param {string} timeStr - Time of day
+   * @param {moment.Moment|string} shiftDate - Day the shift starts
+   * @param {Object|null} workTime - Parsed shift of that day (see parseWorkTime)
+   * @returns {moment.Moment|null} Moment or null if the time can't be parsed
+   */
+  static parseShiftTime(timeStr, shiftDate, workTime = null) {
+    if (!timeStr || !timeStr.toString().trim()) {
+      return null;
+    }
+
+    const [hour, minute, second] = timeStr.toString().trim().split(':').map(Number);
+    if (isNaN(hour) || isNaN(minute)) {
+      return null;
+    }
+
+    const time = moment.tz(shiftDate, Config.TIMEZONE)
+      .set({ hour, minute, second: second || 0, millisecond: 0 });
+
+    if (this.isOvernightShift(workTime)) {
+      const middle = workTime.start.clone().add(workTime.end.diff(workTime.start) / 2, 'ms');
+      if (Math.abs(time.clone().add(1, 'day').diff(middle)) < Math.abs(time.diff(middle))) {
+        time.add(1, 'day');
+      }
+    }
+
+    return time;
+  }
+
   /**
    * Calculate lateness in minutes and determine status.
    * @param {moment.Moment} scheduledStart - Scheduled start time
@@ -228,6 +276,25 @@ class CalculatorService {
   static shouldCreditOvertime(penaltyMinutes) {
     return penaltyMinutes === 0;
   }
+
+  /**
+   * Classify the day's balance for the daily sheet.
+   * Overtime is only credited when there is no penalty time (see shouldCreditOvertime).
+   * @param {number} deficitMinutes - Minutes left before the required end time
+   * @param {number} surplusMinutes - Minutes worked after the required end time
+   * @param {number} penaltyMinutes - Penalty minutes of the day
+   * @returns {Object} Object with {balanceType, balanceMinutes} (negative minutes for a deficit)
+   */
+  static calculateDayBalance(deficitMinutes, surplusMinutes, penaltyMinutes = 0) {
+    if (deficitMinutes > 0) {
+      return { balanceType: 'DEFICIT', balanceMinutes: -deficitMinutes };
+    } else if (surplusMinutes > 0 && this.shouldCreditOvertime(penaltyMinutes)) {
+      return { balanceType: 'SURPLUS', balanceMinutes: surplusMinutes };
+    } else if (surplusMinutes > 0) {
+      return { balanceType: 'NO_CREDIT', balanceMinutes: 0 }; // Not credited
+    }
+    return { balanceType: 'COMPLETE', balanceMinutes: 0 };
+  }
 }
 
 module.exports = CalculatorService;
@@ -0,0 +1,565 @@
+/**
+ * Attendance correction service.
+ * Lets admins fix a day's record: set or clear arrival/departure times, excuse a
+ * lateness, waive the day's penalty or restore an arrival cancelled as fraud. Point, penalty time, hours
+ * worked and the day balance are recomputed with CalculatorService the same way
+ * logEvent and the departure flow compute them, and every changed field is written
+ * to the audit trail.
+ *
+ * While the daily sheet exists the corrected row is what Report_YYYY-MM receives at end
+ * of day. Once the day is transferred and its sheet deleted, the History row of the day
+ * is corrected instead and the monthly report gets the difference of the day's totals.
+ */
+
+const moment = require('moment-timezone');
+const Config = require('../config');
+const logger = require('../utils/logger');
+const CalculatorService = require('./calculator.service');
+const auditService = require('./audit.service');
+const { HISTORY_HEADERS } = require('./history.service');
+
+const CORRECTION_ACTIONS = {
+  set_arrival: { label: 'Время прихода', emoji: '✅', needsTime: true },
+  set_departure: { label: 'Время ухода', emoji: '🚪', needsTime: true },
+  clear_arrival: { label: 'Удалить приход', emoji: '🧹', needsTime: false },
+  clear_departure: { label: 'Удалить уход', emoji: '🧹', needsTime: false },
+  excuse_lateness: { label: 'Простить опоздание', emoji: '🙏', needsTime: false },
+  waive_penalty: { label: 'Снять штраф', emoji: '🧾', needsTime: false },
+  restore_arrival: { label: 'Восстановить приход', emoji: '♻️', needsTime: true }
+};
+
+// Columns compared before/after a correction for the audit trail
+const AUDITED_FIELDS = [
+  'When come',
+  'Came on time',
+  'Leave time',
+  'Hours worked',
+  'Left early',
+  'Why left early',
+  'Remaining hours to work',
+  'Absent',
+  'Why absent',
+  'Penalty minutes',
+  'Required end time',
+  'Point',
+  'Lateness excused',
+  'Penalty waived',
+  'Arrival Verification Status',
+  'Day Balance Type',
+  'Balance Minutes'
+];
+
+// Columns added to daily sheets created before corrections existed
+const CORRECTION_COLUMNS = ['Day Balance Type', 'Balance Minutes', 'Lateness excused', 'Penalty waived', 'Corrected by'];
+
+// Archived days offered by /correct besides the daily sheets that still exist
+const ARCHIVED_DAYS = 7;
+
+// Same penalty logEvent applies when someone leaves before the shift started
+const LEFT_BEFORE_SHIFT_PENALTY = -1.5;
+
+const TIME_FORMATS = ['H:mm', 'HH:mm', 'H.mm', 'HH.mm', 'H:mm:ss', 'HH:mm:ss'];
+
+class CorrectionService {
+  /**
+   * Dates offered for correction: daily sheets that still exist and the last archived days, newest first
+   * @returns {Array<string>} Dates YYYY-MM-DD
+   */
+  getCorrectableDates() {
+    const sheetsService = require('./sheets.service');
+    const dates = new Set(Object.keys(sheetsService.doc.sheetsByTitle)
+      .filter(title => /^\d{4}-\d{2}-\d{2}$/.test(title)));
+
+    const today = moment.tz(Config.TIMEZONE);
+    for (let i = 1; i <= ARCHIVED_DAYS; i++) {
+      dates.add(today.clone().subtract(i, 'days').format('YYYY-MM-DD'));
+    }
+
+    return [...dates].sort().reverse();
+  }
+
+  /**
+   * Check whether a day was transferred to the monthly report (its daily sheet is gone)
+   * @param {string} date - Date YYYY-MM-DD
+   * @returns {boolean}
+   */
+  isArchived(date) {
+    const sheetsService = require('./sheets.service');
+    return !sheetsService.doc.sheetsByTitle[date];
+  }
+
+  /**
+   * Get an employee's record of a day: the daily sheet row (fresh, not from the cache) or,
+   * once the day is archived, a copy of its History row
+   * @param {string} date - Date YYYY-MM-DD
+   * @param {number|string} telegramId - Employee Telegram ID
+   * @returns {Object|null} { worksheet, row, archived } or null if the row is missing.
+   *   An archived row is a { get, set } copy - applyCorrection writes it back.
+   */
+  async getDayRecord(date, telegramId) {
+    const sheetsService = require('./sheets.service');
+
+    if (this.isArchived(date)) {
+      const historyService = require('./history.service');
+      const values = await historyService.getDayValues(date, telegramId);
+      if (!values) return null;
+
+      values['TelegramId'] = values['Telegram Id'];
+      const row = {
+        get: column => values[column],
+        set: (column, value) => { values[column] = value; }
+      };
+      return { worksheet: null, row, archived: true };
+    }
+
+    const worksheet = await sheetsService.getWorksheet(date);
+    await worksheet.loadHeaderRow();
+    const rows = await worksheet.getRows();
+    const row = rows.find(r => (r.get('TelegramId') || '').toString().trim() === telegramId.toString());
+    return row ? { worksheet, row, archived: false } : null;
+  }
+
+  /**
+   * Find employees of a daily sheet by Telegram ID, @username or part of the name
+   * @param {string} date - Date YYYY-MM-DD
+   * @param {string} query - Search text
+   * @returns {Array} Matches { telegramId, name }
+   */
+  async findEmployees(date, query) {
+    const sheetsService = require('./sheets.service');
+    const text = (query || '').trim();
+
+    let rows;
+    if (this.isArchived(date)) {
+      const historyService = require('./history.service');
+      const { entries } = await historyService.getHistory({ from: date, to: date });
+      rows = entries.map(entry => ({ get: column => ({ TelegramId: entry.telegramId, Name: entry.name })[column] }));
+    } else {
+      ({ rows } = await sheetsService._getCachedDailySheet(date));
+    }
+
+    let telegramId = /^\d+$/.test(text) ? text : null;
+    if (text.startsWith('@')) {
+      const employee = await sheetsService.findEmployeeByUsername(text.substring(1));
+      if (!employee || !employee.telegramId) return [];
+      telegramId = employee.telegramId.toString();
+    }
+
+    const needle = text.toLowerCase();
+    return rows
+      .filter(row => {
+        const rowId = (row.get('TelegramId') || '').toString().trim();
+        if (!rowId) return false;
+        if (telegramId) return rowId === telegramId;
+        return (row.get('Name') || '').toLowerCase().includes(needle);
+      })
+      .map(row => ({
+        telegramId: (row.get('TelegramId') || '').toString().trim(),
+        name: row.get('Name') || ''
+      }));
+  }
+
+  /**
+   * Parse a time typed by an admin
+   * @param {string} text - "9:05", "09:05", "09.05" or "09:05:30"
+   * @returns {string|null} Time HH:mm:ss or null if invalid
+   */
+  parseTime(text) {
+    const time = moment((text || '').trim(), TIME_FORMATS, true);
+    return time.isValid() ? time.format('HH:mm:ss') : null;
+  }
+
+  /**
+   * Check whether the row's arrival was cancelled as fraud
+   * @param {Object} row - Daily sheet row
+   * @returns {boolean}
+   */
+  isCancelledArrival(row) {
+    return (row.get('Why absent') || '').startsWith('FRAUD ATTEMPT');
+  }
+
+  /**
+   * Check whether the day's penalty was waived (e.g. after an approved appeal)
+   * @param {Object} row - Daily sheet row
+   * @returns {boolean}
+   */
+  isPenaltyWaived(row) {
+    return (row.get('Penalty waived') || '').toLowerCase() === 'yes';
+  }
+
+  /**
+   * Arrival time that was wiped when an arrival was cancelled as fraud
+   * @param {string} date - Date YYYY-MM-DD
+   * @param {number|string} telegramId - Employee Telegram ID
+   * @returns {string|null} Time HH:mm:ss or null if unknown
+   */
+  async getCancelledArrivalTime(date, telegramId) {
+    const entries = await auditService.getEntries({ date, telegramId, action: 'fraud_cancel' });
+    const entry = entries.find(e => e.field === 'When come' && e.oldValue);
+    return entry ? entry.oldValue : null;
+  }
+
+  /**
+   * Copy the audited columns of a row
+   * @param {Object} row - Daily sheet row
+   * @param {Array<string>} fields - Columns to copy
+   * @returns {Object} Column → value
+   */
+  _snapshot(row, fields = AUDITED_FIELDS) {
+    const values = {};
+    for (const field of fields) {
+      values[field] = (row.get(field) ?? '').toString();
+    }
+    return values;
+  }
+
+  /**
+   * Recompute the derived columns of a daily row from its arrival/departure times.
+   * Mirrors logEvent (ARRIVAL/DEPARTURE) and the end-of-day balance of the departure flow.
+   * A waived penalty counts the lateness as excused and drops the point deductions.
+   * @param {Object} row - Daily sheet row (not saved)
+   * @param {string} date - Shift date YYYY-MM-DD
+   */
+  async recalculateRow(row, date) {
+    const scheduleService = require('./schedule.service');
+    const telegramId = (row.get('TelegramId') || '').toString().trim();
+    const shiftDay = moment.tz(date, 'YYYY-MM-DD', Config.TIMEZONE);
+    const workTime = await scheduleService.getScheduledWorkTime(telegramId, shiftDay);
+
+    const whenCome = (row.get('When come') || '').trim();
+    const leaveTime = (row.get('Leave time') || '').trim();
+    const waived = this.isPenaltyWaived(row);
+
+    const clearDeparture = () => {
+      for (const field of ['Hours worked', 'Left early', 'Why left early', 'Remaining hours to work', 'Day Balance Type', 'Balance Minutes']) {
+        row.set(field, '');
+      }
+    };
+
+    if (!whenCome) {
+      // No arrival: nothing to derive; an absence keeps its own point unless waived
+      for (const field of ['Came on time', 'Penalty minutes', 'Required end time']) {
+        row.set(field, '');
+      }
+      clearDeparture();
+      if ((row.get('Absent') || '').toLowerCase() !== 'yes') {
+        row.set('Point', '');
+      } else if (waived && (parseFloat(row.get('Point') || '0') || 0) < 0) {
+        row.set('Point', '0');
+      }
+      return;
+    }
+
+    // Arrival: on time, late with notice (no penalty time) or late silently
+    const arrival = CalculatorService.parseShiftTime(whenCome, shiftDay, workTime);
+    const excused = waived || (row.get('Lateness excused') || '').toLowerCase() === 'yes';
+    const notified = (row.get('will be late') || '').toLowerCase() === 'yes';
+
+    let cameOnTime = 'Yes';
+    let point = 1.0;
+    let penaltyMinutes = 0;
+
+    if (workTime && !excused) {
+      const { status } = CalculatorService.calculateLateness(workTime.start, arrival);
+      if (status !== 'ON_TIME') {
+        cameOnTime = 'No';
+        if (!notified) {
+          const graceEnd = workTime.start.clone().add(Config.GRACE_PERIOD_MINUTES, 'minutes');
+          penaltyMinutes = CalculatorService.calculatePenaltyTime(arrival.diff(graceEnd, 'minutes'));
+          point = Config.LATE_SILENT_PENALTY;
+        }
+      }
+    }
+
+    const requiredEnd = workTime ? CalculatorService.calculateRequiredEndTime(workTime.end, penaltyMinutes) : null;
+
+    row.set('Came on time', cameOnTime);
+    row.set('Penalty minutes', penaltyMinutes.toString());
+    row.set('Required end time', penaltyMinutes > 0 ? requiredEnd.format('HH:mm') : '');
+
+    if (!leaveTime) {
+      clearDeparture();
+      row.set('Point', point.toString());
+      return;
+    }
+
+    // Departure: before the shift, early without full hours, or on time
+    const departure = CalculatorService.parseShiftTime(leaveTime, shiftDay, workTime);
+    const shiftMinutes = workTime ? workTime.end.diff(workTime.start, 'minutes') : 0;
+
+    if (workTime && departure.isBefore(workTime.start)) {
+      row.set('Hours worked', '0');
+      row.set('Left early', 'Yes - Before shift');
+      row.set('Remaining hours to work', (shiftMinutes / 60).toFixed(2));
+      if (!waived) point += LEFT_BEFORE_SHIFT_PENALTY;
+    } else {
+      const workedMinutes = CalculatorService.calculateHoursWorked(arrival, departure);
+      let leftEarly = 'No';
+      let remainingHours = '0';
+
+      if (requiredEnd && departure.isBefore(requiredEnd) && workedMinutes < shiftMinutes) {
+        leftEarly = 'Yes';
+        remainingHours = ((shiftMinutes - workedMinutes) / 60).toFixed(2);
+        if (!waived) point += Config.EARLY_DEPARTURE_PENALTY;
+      }
+
+      row.set('Hours worked', (workedMinutes / 60).toFixed(2));
+      row.set('Left early', leftEarly);
+      row.set('Remaining hours to work', remainingHours);
+      if (leftEarly === 'No') {
+        row.set('Why left early', '');
+      }
+    }
+
+    if (requiredEnd) {
+      const deficitMinutes = CalculatorService.calculateEarlyDepartureMinutes(departure, requiredEnd);
+      const surplusMinutes = CalculatorService.calculateOvertimeMinutes(departure, requiredEnd);
+      const { balanceType, balanceMinutes } = CalculatorService.calculateDayBalance(deficitMinutes, surplusMinutes, penaltyMinutes);
+      row.set('Day Balance Type', balanceType);
+      row.set('Balance Minutes', balanceMinutes.toString());
+    } else {
+      row.set('Day Balance Type', '');
+      row.set('Balance Minutes', '');
+    }
+
+    row.set('Point', point.toString());
+  }
+
+  /**
+   * Apply a correction action to a row (not recalculated, not saved)
+   * @param {Object} row - Daily sheet row or archived row
+   * @param {Object} correction - { date, telegramId, action }
+   * @param {string|null} time - Parsed time HH:mm:ss
+   * @throws {Error} With a user-facing message if the action doesn't fit the row
+   */
+  async _applyAction(row, correction, time) {
+    const { date, telegramId, action } = correction;
+    const hasArrival = !!(row.get('When come') || '').trim();
+
+    switch (action) {
+      case 'set_arrival':
+        if (!time) throw new Error('Укажите время прихода');
+        row.set('When come', time);
+        row.set('Absent', '');
+        row.set('Why absent', '');
+        break;
+      case 'set_departure':
+        if (!hasArrival) throw new Error('Сначала укажите время прихода');
+        if (!time) throw new Error('Укажите время ухода');
+        row.set('Leave time', time);
+        break;
+      case 'clear_arrival':
+        if (!hasArrival) throw new Error('Приход не отмечен');
+        row.set('When come', '');
+        row.set('Leave time', '');
+        row.set('Lateness excused', '');
+        break;
+      case 'clear_departure':
+        if (!(row.get('Leave time') || '').trim()) throw new Error('Уход не отмечен');
+        row.set('Leave time', '');
+        break;
+      case 'excuse_lateness':
+        if (!hasArrival || row.get('Came on time') !== 'No') throw new Error('Опоздания нет');
+        row.set('Lateness excused', 'Yes');
+        break;
+      case 'waive_penalty':
+        if (this.isPenaltyWaived(row)) throw new Error('Штраф уже снят');
+        row.set('Penalty waived', 'Yes');
+        break;
+      case 'restore_arrival': {
+        if (!this.isCancelledArrival(row)) throw new Error('Приход не был отменён');
+        const restoredTime = time || await this.getCancelledArrivalTime(date, telegramId);
+        if (!restoredTime) throw new Error('Время отменённого прихода неизвестно - укажите его');
+        row.set('When come', restoredTime);
+        row.set('Absent', '');
+        row.set('Why absent', '');
+        row.set('Arrival Verification Status', 'RESTORED');
+        break;
+      }
+    }
+
+    // Departure can't be before arrival (night shifts end the next morning)
+    const whenCome = (row.get('When come') || '').trim();
+    const leaveTime = (row.get('Leave time') || '').trim();
+    if (whenCome && leaveTime) {
+      const scheduleService = require('./schedule.service');
+      const shiftDay = moment.tz(date, 'YYYY-MM-DD', Config.TIMEZONE);
+      const workTime = await scheduleService.getScheduledWorkTime(telegramId.toString(), shiftDay);
+      const arrival = CalculatorService.parseShiftTime(whenCome, shiftDay, workTime);
+      const departure = CalculatorService.parseShiftTime(leaveTime, shiftDay, workTime);
+      if (departure.isBefore(arrival)) {
+        throw new Error('Время ухода раньше времени прихода');
+      }
+    }
+  }
+
+  /**
+   * Correct one employee's day and record it in the audit trail
+   * @param {Object} correction - { date, telegramId, action, time, reason, changedBy, changedById }
+   * @returns {Object} { name, changes: [{ field, oldValue, newValue }], row }
+   */
+  async applyCorrection(correction) {
+    const sheetsService = require('./sheets.service');
+    const { date, telegramId, action, reason } = correction;
+
+    if (!CORRECTION_ACTIONS[action]) {
+      throw new Error('Неизвестное действие');
+    }
+    if (!reason || !reason.trim()) {
+      throw new Error('Укажите причину исправления');
+    }
+
+    let time = null;
+    if (correction.time) {
+      time = this.parseTime(correction.time);
+      if (!time) {
+        throw new Error('Неверный формат времени. Пример: 09:05');
+      }
+    }
+
+    const record = await this.getDayRecord(date, telegramId);
+    if (!record) {
+      throw new Error(`Записи за ${date} нет - сотрудник не найден в листе дня или в истории`);
+    }
+    if (record.archived) {
+      return this._applyArchivedCorrection(correction, record.row, time);
+    }
+
+    try {
+      sheetsService._startOperation(date);
+
+      const { worksheet } = record;
+      await sheetsService.ensureColumns(worksheet, CORRECTION_COLUMNS);
+      const { row } = await this.getDayRecord(date, telegramId);
+
+      const before = this._snapshot(row);
+      await this._applyAction(row, correction, time);
+      await this.recalculateRow(row, date);
+
+      const after = this._snapshot(row);
+      const changes = AUDITED_FIELDS
+        .filter(field => before[field] !== after[field])
+        .map(field => ({ field, oldValue: before[field], newValue: after[field] }));
+
+      if (changes.length === 0) {
+        return { name: row.get('Name') || '', changes, row };
+      }
+
+      const now = moment.tz(Config.TIMEZONE).format('YYYY-MM-DD HH:mm');
+      row.set('Corrected by', `${correction.changedBy || 'admin'} ${now}`);
+      await row.save();
+      sheetsService._dropDailySheetCache(date);
+
+      await auditService.record({
+        date,
+        telegramId,
+        name: row.get('Name') || '',
+        action,
+        reason: reason.trim(),
+        changedBy: correction.changedBy,
+        changedById: correction.changedById
+      }, changes);
+
+      logger.info(`Correction ${action} for ${row.get('Name')} on ${date}: ${changes.map(c => c.field).join(', ')}`);
+
+      return { name: row.get('Name') || '', changes, row };
+    } finally {
+      sheetsService._endOperation(date);
+    }
+  }
+
+  /**
+   * Correct a day that was already transferred to Report_YYYY-MM: the History row is
+   * recalculated like a daily row and the monthly totals get the difference of the day
+   * @param {Object} correction - { date, telegramId, action, reason, changedBy, changedById }
+   * @param {Object} row - Archived row from getDayRecord
+   * @param {string|null} time - Parsed time HH:mm:ss
+   * @returns {Object} { name, changes, row }
+   */
+  async _applyArchivedCorrection(correction, row, time) {
+    const sheetsService = require('./sheets.service');
+    const historyService = require('./history.service');
+    const scheduleService = require('./schedule.service');
+    const { date, telegramId, action, reason } = correction;
+    const yearMonth = date.substring(0, 7);
+
+    // Columns the History sheet doesn't keep (required end time, day balance) are only derived
+    const fields = AUDITED_FIELDS.filter(field => HISTORY_HEADERS.includes(field));
+    const requiredHours = (await scheduleService.getRequiredMinutes(telegramId.toString(), date)) / 60;
+
+    const before = this._snapshot(row, fields);
+    const beforeTotals = sheetsService.getDayTotals(column => row.get(column), requiredHours);
+
+    await this._applyAction(row, correction, time);
+    await this.recalculateRow(row, date);
+
+    const after = this._snapshot(row, fields);
+    const changes = fields
+      .filter(field => before[field] !== after[field])
+      .map(field => ({ field, oldValue: before[field], newValue: after[field] }));
+
+    if (changes.length === 0) {
+      return { name: row.get('Name') || '', changes, row };
+    }
+
+    const afterTotals = sheetsService.getDayTotals(column => row.get(column), requiredHours);
+    const monthlyChanges = await sheetsService.adjustMonthlyReport(yearMonth, telegramId, sheetsService.getDayAdjustment(beforeTotals, afterTotals));
+    if (!monthlyChanges) {
+      throw new Error(`Сотрудник не найден в месячном отчёте Report_${yearMonth}`);
+    }
+    await historyService.updateDay(date, telegramId, after);
+
+    await auditService.record({
+      date,
+      telegramId,
+      name: row.get('Name') || '',
+      action,
+      reason: reason.trim(),
+      changedBy: correction.changedBy,
+      changedById: correction.changedById
+    }, [...changes, ...monthlyChanges]);
+
+    logger.info(`Correction ${action} for ${row.get('Name')} on archived ${date}: ${changes.map(c => c.field).join(', ')}`);
+
+    return { name: row.get('Name') || '', changes, row };
+  }
+
+  /**
+   * Short summary of a daily row for the admin
+   * @param {Object} row - Daily sheet row
+   * @returns {string} Multi-line text
+   */
+  describeRow(row) {
+    let text = `👤 ${row.get('Name') || ''}\n`;
+
+    if ((row.get('Absent') || '').toLowerCase() === 'yes') {
+      text += `🚫 Отсутствует: ${row.get('Why absent') || '-'}\n`;
+    }
+
+    text += `✅ Приход: ${row.get('When come') || '-'}`;
+    if (row.get('Came on time') === 'No') {
+      text += ' (опоздание)';
+    }
+    if ((row.get('Lateness excused') || '').toLowerCase() === 'yes') {
+      text += ' (опоздание прощено)';
+    }
+    if (this.isPenaltyWaived(row)) {
+      text += ' (штраф снят)';
+    }
+    text += `\n🚪 Уход: ${row.get('Leave time') || '-'}\n`;
+
+    if (row.get('Hours worked')) {
+      text += `⏱ Отработано: ${row.get('Hours worked')} ч\n`;
+    }
+    if (parseInt(row.get('Penalty minutes') || '0') > 0) {
+      text += `⏳ Штрафное время: ${CalculatorService.formatTimeDiff(parseInt(row.get('Penalty minutes')))}\n`;
+    }
+    text += `📊 Баллы: ${row.get('Point') || '0'}`;
+
+    return text;
+  }
+}
+
+module.exports = new CorrectionService();
+module.exports.CORRECTION_ACTIONS = CORRECTION_ACTIONS;
+module.exports.AUDITED_FIELDS = AUDITED_FIELDS;
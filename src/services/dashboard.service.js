@@ -0,0 +1,309 @@
+/**
+ * Dashboard service.
+ * Data and HTML of the web dashboard at <PUBLIC_URL>/dashboard and its login.
+ *
+ * Login links are signed like the Telegram Login Widget: the query has id, first_name,
+ * username, auth_date and hash, where hash is the HMAC-SHA256 of the sorted "key=value"
+ * lines with SHA256(BOT_TOKEN) as the key. So a real Login Widget on the page would log in
+ * the same way. A link from /dashboard works once and for DASHBOARD_LINK_MINUTES.
+ * After the login the browser keeps a signed session cookie for DASHBOARD_SESSION_HOURS;
+ * the role is checked on every request, so a removed role ends the access at once.
+ */
+
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const Config = require('../config');
+const sheetsService = require('./sheets.service');
+const roleService = require('./role.service');
+
+const LOGIN_FIELDS = ['id', 'first_name', 'last_name', 'username', 'photo_url', 'auth_date'];
+
+/**
+ * Escape text for HTML
+ * @param {*} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return (text === null || text === undefined ? '' : text.toString())
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+class DashboardService {
+  constructor() {
+    this._usedLogins = new Map(); // hash -> expiry (ms), so a login link works once
+  }
+
+  /**
+   * Hash of login data the way Telegram signs Login Widget data
+   * @param {Object} data - Login fields
+   * @returns {string} Hex digest
+   */
+  _loginHash(data) {
+    const checkString = Object.keys(data)
+      .filter(key => LOGIN_FIELDS.includes(key) && data[key] !== undefined && data[key] !== '')
+      .sort()
+      .map(key => `${key}=${data[key]}`)
+      .join('\n');
+    const secret = crypto.createHash('sha256').update(Config.BOT_TOKEN).digest();
+    return crypto.createHmac('sha256', secret).update(checkString).digest('hex');
+  }
+
+  /**
+   * Signed login link for a Telegram user
+   * @param {Object} user - Telegram user (ctx.from)
+   * @returns {string|null} URL, null without PUBLIC_URL
+   */
+  createLoginLink(user) {
+    if (!Config.PUBLIC_URL) return null;
+
+    const data = {
+      id: user.id.toString(),
+      first_name: user.first_name || '',
+      username: user.username || '',
+      auth_date: Math.floor(Date.now() / 1000).toString()
+    };
+    const query = new URLSearchParams(Object.entries(data).filter(([, value]) => value));
+    query.set('hash', this._loginHash(data));
+    return `${Config.PUBLIC_URL}/dashboard/login?${query}`;
+  }
+
+  /**
+   * Check a login link / Login Widget query
+   * @param {Object} query - Query parameters
+   * @returns {Object|null} { id, name } or null if the signature is wrong, expired or already used
+   */
+  verifyLogin(query) {
+    const hash = (query.hash || '').toString();
+    if (!/^[0-9a-f]{64}$/.test(hash) || !query.id || !query.auth_date) return null;
+
+    const expected = this._loginHash(query);
+    if (!crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(hash, 'hex'))) return null;
+
+    const ageSeconds = Date.now() / 1000 - parseInt(query.auth_date);
+    if (!(ageSeconds >= -60 && ageSeconds <= Config.DASHBOARD_LINK_MINUTES * 60)) return null;
+
+    const now = Date.now();
+    for (const [used, expires] of this._usedLogins) {
+      if (expires < now) this._usedLogins.delete(used);
+    }
+    if (this._usedLogins.has(hash)) return null;
+    this._usedLogins.set(hash, now + (Config.DASHBOARD_LINK_MINUTES + 1) * 60000);
+
+    return {
+      id: query.id.toString(),
+      name: query.username ? `@${query.username}` : (query.first_name || query.id).toString()
+    };
+  }
+
+  /**
+   * Session cookie value for a logged-in user
+   * @param {Object} user - { id, name }
+   * @returns {string} "<payload>.<signature>"
+   */
+  createSession(user) {
+    const payload = Buffer.from(JSON.stringify({
+      id: user.id,
+      name: user.name,
+      exp: Date.now() + Config.DASHBOARD_SESSION_HOURS * 3600000
+    })).toString('base64url');
+    return `${payload}.${this._sessionSignature(payload)}`;
+  }
+
+  /**
+   * Read a session cookie value
+   * @param {string} value - Cookie value
+   * @returns {Object|null} { id, name } or null if invalid or expired
+   */
+  readSession(value) {
+    const [payload, signature] = (value || '').split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(this._sessionSignature(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+    try {
+      const session = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      return session.exp > Date.now() ? { id: session.id, name: session.name } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} payload - Session payload
+   * @returns {string} Signature
+   */
+  _sessionSignature(payload) {
+    return crypto.createHmac('sha256', Config.BOT_TOKEN).update(`dashboard-session:${payload}`).digest('base64url');
+  }
+
+  /**
+   * Today's attendance and this month's ratings of the employees a user may see
+   * @param {string} telegramId - Dashboard user
+   * @returns {Object} { date, time, yearMonth, hasSheet, employees, inOffice, late, out, left, absent, notArrived, fraud, monthly }
+   */
+  async getSnapshot(telegramId) {
+    const now = moment.tz(Config.TIMEZONE);
+    const date = now.format('YYYY-MM-DD');
+    const yearMonth = now.format('YYYY-MM');
+
+    const ids = await roleService.getScopedTelegramIds(await roleService.getScope(telegramId));
+    const visible = record => !ids || ids.has(record.telegramId);
+
+    const records = ((await sheetsService.getDailyAttendance(date)) || []).filter(visible);
+    const monthly = ((await sheetsService.getMonthlyReport(yearMonth)) || [])
+      .filter(visible)
+      .sort((a, b) => b.rating - a.rating || a.name.localeCompare(b.name));
+
+    const present = records.filter(r => r.arrivalTime && !r.absent);
+    return {
+      date,
+      time: now.format('HH:mm:ss'),
+      yearMonth,
+      hasSheet: !!sheetsService.doc.sheetsByTitle[date],
+      employees: records.length,
+      inOffice: present.filter(r => !r.leaveTime && !r.currentlyOut),
+      late: present.filter(r => r.cameOnTime === 'No'),
+      out: present.filter(r => !r.leaveTime && r.currentlyOut),
+      left: present.filter(r => r.leaveTime),
+      absent: records.filter(r => r.absent),
+      notArrived: records.filter(r => !r.arrivalTime && !r.absent),
+      fraud: records.filter(r => r.fraudDetected || r.arrivalVerification === 'FLAGGED' || r.departureVerification === 'FLAGGED'),
+      monthly
+    };
+  }
+
+  /**
+   * Dashboard page
+   * @param {Object} snapshot - From getSnapshot
+   * @param {Object} user - { id, name }
+   * @returns {string} HTML
+   */
+  buildPage(snapshot, user) {
+    const table = (headers, rows, empty) => rows.length === 0
+      ? `<p class="empty">${empty}</p>`
+      : `<table><thead><tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr></thead>` +
+        `<tbody>${rows.map(cells => `<tr>${cells.map(c => `<td>${c}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+
+    const fraudStage = r => r.fraudDetected
+      ? 'Приход отменён'
+      : (r.arrivalVerification === 'FLAGGED' ? 'Приход' : 'Уход');
+
+    const sections = [
+      ['🏢 Сейчас в офисе', table(['Сотрудник', 'Пришёл', 'Объект'],
+        snapshot.inOffice.map(r => [escapeHtml(r.name), escapeHtml(r.arrivalTime), escapeHtml(r.arrivalSite || '-')]),
+        'Никого')],
+      ['🚨 Подозрения на обман', table(['Сотрудник', 'Где', 'Аномалии'],
+        snapshot.fraud.map(r => [escapeHtml(r.name), fraudStage(r),
+          escapeHtml(r.fraudDetected ? r.whyAbsent : [r.arrivalAnomalies, r.departureAnomalies].filter(Boolean).join(', ') || '-')]),
+        'Нет')],
+      ['⏰ Опоздали', table(['Сотрудник', 'Пришёл', 'Штраф, мин'],
+        snapshot.late.map(r => [escapeHtml(r.name), escapeHtml(r.arrivalTime), r.penaltyMinutes]),
+        'Никто')],
+      ['🚶 Вышли временно', table(['Сотрудник', 'Причина', 'Вернётся к'],
+        snapshot.out.map(r => [escapeHtml(r.name), escapeHtml(r.tempExitReason || '-'), escapeHtml(r.tempExitExpectedReturn || '-')]),
+        'Никто')],
+      ['❌ Отсутствуют', table(['Сотрудник', 'Причина'],
+        snapshot.absent.map(r => [escapeHtml(r.name), escapeHtml(r.whyAbsent || '-')]),
+        'Никто')],
+      ['⏳ Ещё не пришли', table(['Сотрудник', 'Предупредил'],
+        snapshot.notArrived.map(r => [escapeHtml(r.name), r.willBeLate ? `Опоздает${r.willBeLateTime ? ` (${escapeHtml(r.willBeLateTime)})` : ''}` : '-']),
+        'Все на месте')],
+      [`📊 Рейтинг за ${snapshot.yearMonth}`, table(['Сотрудник', 'Рейтинг', 'Дней', 'Опозданий', 'Пропусков', 'Баланс'],
+        snapshot.monthly.map(e => [
+          escapeHtml(e.name),
+          `${escapeHtml(e.ratingZone)} ${e.rating}`,
+          e.daysWorked,
+          e.lateArrivalsNotified + e.lateArrivalsSilent,
+          e.daysAbsent,
+          `${escapeHtml(e.netBalanceHours)} ${escapeHtml(e.balanceStatus)}`
+        ]),
+        'Месячного отчёта ещё нет')]
+    ];
+
+    const cards = [
+      ['Сотрудников', snapshot.employees, '#667eea'],
+      ['В офисе', snapshot.inOffice.length, '#10b981'],
+      ['Опоздали', snapshot.late.length, '#f59e0b'],
+      ['Вышли', snapshot.out.length, '#3b82f6'],
+      ['Отсутствуют', snapshot.absent.length, '#ef4444'],
+      ['Подозрения', snapshot.fraud.length, '#dc2626']
+    ];
+
+    return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta http-equiv="refresh" content="60">
+  <title>Посещаемость - ${snapshot.date}</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; background: #f1f3f8; color: #2d3748; padding: 20px; }
+    header { display: flex; justify-content: space-between; align-items: baseline; flex-wrap: wrap; gap: 10px; margin-bottom: 20px; }
+    header h1 { font-size: 26px; }
+    header .meta { color: #6c757d; font-size: 14px; }
+    header a { color: #667eea; }
+    .stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(140px, 1fr)); gap: 15px; margin-bottom: 20px; }
+    .card { background: white; border-radius: 12px; padding: 18px; text-align: center; box-shadow: 0 2px 6px rgba(0,0,0,0.06); }
+    .card .number { font-size: 32px; font-weight: bold; }
+    .card .label { color: #6c757d; font-size: 13px; margin-top: 4px; }
+    .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(420px, 1fr)); gap: 20px; }
+    section { background: white; border-radius: 12px; padding: 18px; box-shadow: 0 2px 6px rgba(0,0,0,0.06); overflow-x: auto; }
+    section h2 { font-size: 17px; margin-bottom: 12px; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    th { text-align: left; color: #6c757d; font-weight: 600; font-size: 12px; text-transform: uppercase; padding: 6px 8px; border-bottom: 2px solid #e9ecef; }
+    td { padding: 8px; border-bottom: 1px solid #f1f3f5; }
+    .empty { color: #94a3b8; }
+    .warning { background: #fff3cd; border-radius: 12px; padding: 14px; margin-bottom: 20px; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>📅 Посещаемость на ${moment(snapshot.date).format('DD.MM.YYYY')}</h1>
+    <div class="meta">Обновлено ${snapshot.time} • ${escapeHtml(user.name)} • <a href="/dashboard/logout">Выйти</a></div>
+  </header>
+  ${snapshot.hasSheet ? '' : '<div class="warning">⚠️ Лист на сегодня ещё не создан.</div>'}
+  <div class="stats">
+    ${cards.map(([label, number, color]) => `<div class="card"><div class="number" style="color:${color}">${number}</div><div class="label">${label}</div></div>`).join('\n    ')}
+  </div>
+  <div class="grid">
+    ${sections.map(([title, content]) => `<section><h2>${title}</h2>${content}</section>`).join('\n    ')}
+  </div>
+</body>
+</html>`;
+  }
+
+  /**
+   * Page shown without a valid session
+   * @param {string} message - Reason
+   * @returns {string} HTML
+   */
+  buildLoginPage(message) {
+    return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Вход</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; background: #f1f3f8; display: flex; align-items: center; justify-content: center; min-height: 100vh; margin: 0; }
+    .box { background: white; border-radius: 12px; padding: 30px; max-width: 420px; text-align: center; box-shadow: 0 2px 6px rgba(0,0,0,0.06); }
+    p { color: #6c757d; margin-top: 12px; }
+  </style>
+</head>
+<body>
+  <div class="box">
+    <h2>🔐 ${escapeHtml(message)}</h2>
+    <p>Отправьте боту команду /dashboard и откройте ссылку из ответа.</p>
+  </div>
+</body>
+</html>`;
+  }
+}
+
+module.exports = new DashboardService();
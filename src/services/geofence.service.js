@@ -1,12 +1,66 @@
 /**
  * Geofence Service
  * Handles geographic calculations for location verification
+ *
+ * Offices, branches and construction sites are listed in the Sites sheet:
+ *   Name | Latitude | Longitude | Radius | Polygon | Teams | Methods | Photo
+ *
+ * - A site with a "Polygon" ("lat,lng; lat,lng; lat,lng; ...", at least 3 points)
+ *   is checked against the polygon, otherwise against a circle around
+ *   Latitude/Longitude ("Radius" empty = GEOFENCE_RADIUS_METERS).
+ * - "Teams" (comma-separated) limits the site to employees whose roster "Team"
+ *   matches; empty means the site is open to everyone.
+ * - An employee with a roster "Sites" column (comma-separated site names) may only
+ *   check in at those sites; otherwise the "Sites" of their team in the Teams sheet apply.
+ * - "Methods" is how presence at the site is proven: gps (live location, the default),
+ *   qr (scanning the site's rotating QR code) or both.
+ * - "Photo" yes = a location check-in at the site also needs a photo from the workplace
+ *   (for sites with weak GPS); staff review it in /review.
+ * - Without any sites the single office from OFFICE_LATITUDE/OFFICE_LONGITUDE is used.
  */
 
 const Config = require('../config');
 const logger = require('../utils/logger');
 
+const SITE_HEADERS = ['Name', 'Latitude', 'Longitude', 'Radius', 'Polygon', 'Teams', 'Methods', 'Photo'];
+
+// Check-in methods a site can accept
+const CHECKIN_METHODS = ['gps', 'qr'];
+
+/**
+ * Split a comma-separated cell into lower-case names
+ * @param {string} value - Cell value
+ * @returns {Array<string>}
+ */
+function splitNames(value) {
+  return (value || '').toString()
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Parse the "Methods" cell
+ * @param {string} value - Cell value: gps, qr, both (or "gps, qr")
+ * @returns {Array<string>|null} Methods, or null if the value is not understood
+ */
+function parseMethods(value) {
+  const names = splitNames(value);
+  if (names.length === 0) return ['gps'];
+
+  const methods = names.includes('both') ? [...CHECKIN_METHODS] : names;
+  if (!methods.every(method => CHECKIN_METHODS.includes(method))) return null;
+  return CHECKIN_METHODS.filter(method => methods.includes(method));
+}
+
 class GeofenceService {
+  constructor() {
+    this._sites = null; // Parsed site rows
+    this._lastLoaded = 0;
+    this._loading = null;
+    this._cacheTimeout = 300000; // 5 minutes - same as the schedule cache
+  }
+
   /**
    * Calculate distance between two coordinates using Haversine formula
    * @param {number} lat1 - First latitude
@@ -97,27 +151,316 @@ class GeofenceService {
   }
 
   /**
-   * Check if location is within office geofence
+   * Default site built from the office configuration
+   * @returns {Object} Site { name, center, radius, polygon, teams, methods, photo }
+   */
+  getDefaultSite() {
+    return {
+      name: Config.OFFICE_NAME,
+      center: this.getOfficeLocation(),
+      radius: this.getGeofenceRadius(),
+      polygon: null,
+      teams: [],
+      methods: ['gps'],
+      photo: false
+    };
+  }
+
+  /**
+   * Get the Sites worksheet, writing headers on a new sheet
+   * @returns {Object} Worksheet
+   */
+  async _getWorksheet() {
+    const sheetsService = require('./sheets.service');
+    const worksheet = await sheetsService.getWorksheet(Config.SHEET_SITES);
+
+    try {
+      await worksheet.loadHeaderRow();
+    } catch (headerError) {
+      if (worksheet.columnCount < SITE_HEADERS.length) {
+        await worksheet.resize({ rowCount: worksheet.rowCount || 1000, columnCount: SITE_HEADERS.length });
+      }
+      await worksheet.setHeaderRow(SITE_HEADERS);
+      logger.info(`Created '${Config.SHEET_SITES}' sheet headers`);
+    }
+
+    return worksheet;
+  }
+
+  /**
+   * Parse "lat,lng; lat,lng; ..." into polygon points
+   * @param {string} value - Polygon cell
+   * @returns {Array|null} Points { latitude, longitude } or null if invalid
+   */
+  parsePolygon(value) {
+    const points = (value || '').toString()
+      .split(';')
+      .map(pair => pair.trim())
+      .filter(Boolean)
+      .map(pair => {
+        const [latitude, longitude] = pair.split(',').map(part => parseFloat(part));
+        return { latitude, longitude };
+      });
+
+    if (points.length < 3 || !points.every(point => this.isValidLocation(point))) {
+      return null;
+    }
+    return points;
+  }
+
+  /**
+   * Parse one Sites sheet row
+   * @param {Object} row - Sheet row
+   * @returns {Object|null} Site or null if the row is empty/invalid
+   */
+  _parseRow(row) {
+    const name = (row.get('Name') || '').toString().trim();
+    if (!name) return null;
+
+    const polygonCell = (row.get('Polygon') || '').toString().trim();
+    const polygon = polygonCell ? this.parsePolygon(polygonCell) : null;
+    if (polygonCell && !polygon) {
+      logger.warn(`Sites: invalid polygon for '${name}' - row ignored`);
+      return null;
+    }
+
+    const center = {
+      latitude: parseFloat(row.get('Latitude')),
+      longitude: parseFloat(row.get('Longitude'))
+    };
+    if (!polygon && !this.isValidLocation(center)) {
+      logger.warn(`Sites: '${name}' has no valid coordinates - row ignored`);
+      return null;
+    }
+
+    const radius = parseFloat(row.get('Radius'));
+
+    let methods = parseMethods(row.get('Methods'));
+    if (!methods) {
+      logger.warn(`Sites: unknown Methods '${row.get('Methods')}' for '${name}' - using gps`);
+      methods = ['gps'];
+    }
+
+    return {
+      name,
+      center: this.isValidLocation(center) ? center : null,
+      radius: radius > 0 ? radius : this.getGeofenceRadius(),
+      polygon,
+      teams: splitNames(row.get('Teams')),
+      methods,
+      photo: ['yes', 'true', 'да'].includes((row.get('Photo') || '').toString().trim().toLowerCase())
+    };
+  }
+
+  /**
+   * Load all sites (cached)
+   * @returns {Array} Sites; the configured office if the sheet has none
+   */
+  async getSites() {
+    if (this._sites && (Date.now() - this._lastLoaded) < this._cacheTimeout) {
+      return this._sites;
+    }
+    if (this._loading) return this._loading;
+
+    this._loading = (async () => {
+      const sites = [];
+
+      try {
+        const worksheet = await this._getWorksheet();
+        const rows = await worksheet.getRows();
+        for (const row of rows) {
+          const site = this._parseRow(row);
+          if (site) sites.push(site);
+        }
+      } catch (error) {
+        // Sites are optional - without them the configured office is used
+        logger.error(`Error loading sites sheet: ${error.message}`);
+        if (this._sites) return this._sites;
+      }
+
+      this._sites = sites.length > 0 ? sites : [this.getDefaultSite()];
+      this._lastLoaded = Date.now();
+      return this._sites;
+    })();
+
+    try {
+      return await this._loading;
+    } finally {
+      this._loading = null;
+    }
+  }
+
+  /**
+   * Get the sites an employee may check in at
+   * Roster "Sites" wins, then the team's "Sites" in the Teams sheet, then sites whose "Teams"
+   * include the employee's roster "Team", then sites open to everyone.
+   * @param {Object} employee - Employee from sheetsService.findEmployeeByTelegramId
+   * @returns {Array} Allowed sites (never empty)
+   */
+  async getAllowedSites(employee) {
+    const sites = await this.getSites();
+    const row = employee && employee._row;
+
+    const assigned = splitNames(row ? row.get('Sites') : '');
+    if (assigned.length > 0) {
+      const matched = sites.filter(site => assigned.includes(site.name.toLowerCase()));
+      if (matched.length > 0) return matched;
+      logger.warn(`Sites: none of '${assigned.join(', ')}' found for ${employee.nameFull} - using shared sites`);
+    }
+
+    const team = (row ? row.get('Team') || '' : '').toString().trim().toLowerCase();
+    if (team) {
+      const teamService = require('./team.service');
+      const teamInfo = await teamService.getTeam(team);
+      if (teamInfo && teamInfo.sites.length > 0) {
+        const matched = sites.filter(site => teamInfo.sites.includes(site.name.toLowerCase()));
+        if (matched.length > 0) return matched;
+        logger.warn(`Sites: none of '${teamInfo.sites.join(', ')}' found for team ${teamInfo.name} - using site Teams`);
+      }
+
+      const teamSites = sites.filter(site => site.teams.includes(team));
+      if (teamSites.length > 0) return teamSites;
+    }
+
+    const shared = sites.filter(site => site.teams.length === 0);
+    return shared.length > 0 ? shared : sites;
+  }
+
+  /**
+   * Sites that accept a check-in method
+   * @param {Array} sites - Sites
+   * @param {string} method - gps or qr
+   * @returns {Array} Matching sites
+   */
+  filterByMethod(sites, method) {
+    return (sites || []).filter(site => (site.methods || ['gps']).includes(method));
+  }
+
+  /**
+   * Find a site by name (case-insensitive)
+   * @param {string} name - Site name
+   * @returns {Object|null} Site
+   */
+  async findSite(name) {
+    const wanted = (name || '').toString().trim().toLowerCase();
+    return (await this.getSites()).find(site => site.name.toLowerCase() === wanted) || null;
+  }
+
+  /**
+   * Forget cached sites (after the Sites sheet was edited)
+   */
+  invalidate() {
+    this._sites = null;
+    this._lastLoaded = 0;
+  }
+
+  /**
+   * Project a point to meters on a flat plane around an origin
+   * Good enough for site-sized distances (a few kilometers)
+   * @returns {Object} { x, y } in meters
+   */
+  _toMeters(point, origin) {
+    const R = 6371e3;
+    const φ0 = origin.latitude * Math.PI / 180;
+    return {
+      x: (point.longitude - origin.longitude) * Math.PI / 180 * R * Math.cos(φ0),
+      y: (point.latitude - origin.latitude) * Math.PI / 180 * R
+    };
+  }
+
+  /**
+   * Check if a location is inside a polygon (ray casting)
+   * @param {Object} location - Location { latitude, longitude }
+   * @param {Array} polygon - Points { latitude, longitude }
+   * @returns {boolean}
+   */
+  isInsidePolygon(location, polygon) {
+    let inside = false;
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = polygon[i];
+      const b = polygon[j];
+      const crosses = (a.latitude > location.latitude) !== (b.latitude > location.latitude) &&
+        location.longitude < (b.longitude - a.longitude) * (location.latitude - a.latitude) / (b.latitude - a.latitude) + a.longitude;
+      if (crosses) inside = !inside;
+    }
+
+    return inside;
+  }
+
+  /**
+   * Distance from a location to the boundary of a site
+   * @param {Object} location - Location { latitude, longitude }
+   * @param {Object} site - Site
+   * @returns {number} Meters outside the site (0 = inside)
+   */
+  distanceOutsideSite(location, site) {
+    if (!site.polygon) {
+      const distance = this.calculateDistance(
+        location.latitude,
+        location.longitude,
+        site.center.latitude,
+        site.center.longitude
+      );
+      return Math.max(0, Math.round((distance - site.radius) * 10) / 10);
+    }
+
+    if (this.isInsidePolygon(location, site.polygon)) {
+      return 0;
+    }
+
+    // Shortest distance to any polygon edge
+    let minDistance = Infinity;
+    for (let i = 0, j = site.polygon.length - 1; i < site.polygon.length; j = i++) {
+      const a = this._toMeters(site.polygon[j], location);
+      const b = this._toMeters(site.polygon[i], location);
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const lengthSq = dx * dx + dy * dy;
+      const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq)) : 0;
+      minDistance = Math.min(minDistance, Math.hypot(a.x + t * dx, a.y + t * dy));
+    }
+
+    return Math.round(minDistance * 10) / 10;
+  }
+
+  /**
+   * Check if location is within one of the allowed sites
    * @param {Object} location - Location to check { latitude, longitude }
-   * @returns {Object} { isInside: boolean, distance: number }
+   * @param {Array} sites - Allowed sites (default: the configured office)
+   * @returns {Object} { isInside: boolean, distance: number, site: Object }
+   *   distance - meters outside the nearest site (0 = inside), site - matched or nearest site
    */
-  checkOfficeGeofence(location) {
-    const officeLocation = this.getOfficeLocation();
-    const radius = this.getGeofenceRadius();
+  checkOfficeGeofence(location, sites = null) {
+    const candidates = sites && sites.length > 0 ? sites : [this.getDefaultSite()];
 
-    const distance = this.calculateDistance(
-      location.latitude,
-      location.longitude,
-      officeLocation.latitude,
-      officeLocation.longitude
-    );
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    for (const site of candidates) {
+      const distance = this.distanceOutsideSite(location, site);
+      if (distance < nearestDistance) {
+        nearest = site;
+        nearestDistance = distance;
+      }
+    }
 
     return {
-      isInside: distance <= radius,
-      distance: distance
+      isInside: nearestDistance === 0,
+      distance: nearestDistance,
+      site: nearest
     };
   }
 
+  /**
+   * Format site names for display
+   * @param {Array} sites - Sites
+   * @returns {string} "Офис, Филиал Чиланзар"
+   */
+  formatSiteNames(sites) {
+    return (sites || []).map(site => site.name).join(', ');
+  }
+
   /**
    * Format distance for display
    * @param {number} meters - Distance in meters
@@ -163,3 +506,5 @@ class GeofenceService {
 // Create and export singleton instance
 const geofenceService = new GeofenceService();
 module.exports = geofenceService;
+module.exports.SITE_HEADERS = SITE_HEADERS;
+module.exports.CHECKIN_METHODS = CHECKIN_METHODS;
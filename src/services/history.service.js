@@ -0,0 +1,585 @@
+/**
+ * Attendance history service.
+ * Daily sheets are deleted at the end of the day once their totals are in Report_YYYY-MM,
+ * so before that the day is archived in the History sheet, one row per employee:
+ *   Date | Telegram Id | Company | Name | When come | Came on time | will be late | ... | Point
+ *
+ * - Columns other than Date, Telegram Id and Company are copied as-is from the daily sheet.
+ * - Archiving a day again (manual /endday) replaces its rows instead of duplicating them.
+ * - Corrections and approved appeals of an archived day update its row (see updateDay).
+ * - Queries also read daily sheets that still exist (today), so a range up to now is complete.
+ */
+
+const moment = require('moment-timezone');
+const Config = require('../config');
+const logger = require('../utils/logger');
+
+// Daily sheet columns that are kept in the history
+const DAILY_COLUMNS = [
+  'Name',
+  'When come',
+  'Came on time',
+  'will be late',
+  'will be late will come at',
+  'Leave time',
+  'Hours worked',
+  'Left early',
+  'Why left early',
+  'Absent',
+  'Why absent',
+  'Penalty minutes',
+  'Temp exit time',
+  'Temp exit reason',
+  'Temp exit duration',
+  'Point',
+  'Lateness excused',
+  'Penalty waived',
+  'Arrival Site',
+  'Arrival Verification Status',
+  'Departure Verification Status'
+];
+
+const HISTORY_HEADERS = ['Date', 'Telegram Id', 'Company', ...DAILY_COLUMNS];
+
+// Columns of the XLSX timeline
+const TIMELINE_COLUMNS = [
+  ['Date', e => e.date],
+  ['Telegram ID', e => e.telegramId],
+  ['Name', e => e.name],
+  ['Company', e => e.company],
+  ['Status', e => STATUS_LABELS[e.status]],
+  ['Arrival', e => e.arrival],
+  ['Warned late', e => (e.willBeLate ? (e.willBeLateTime || 'yes') : '')],
+  ['Departure', e => e.departure],
+  ['Hours worked', e => e.hoursWorked],
+  ['Left early', e => (e.leftEarly ? (e.whyLeftEarly || 'yes') : '')],
+  ['Absence reason', e => e.whyAbsent],
+  ['Penalty minutes', e => e.penaltyMinutes],
+  ['Temp exits', e => e.tempExits.length],
+  ['Temp exit details', e => e.tempExits.map(formatTempExit).join('; ')],
+  ['Point', e => e.point],
+  ['Site', e => e.site]
+];
+
+// Columns of the XLSX per-employee summary
+const SUMMARY_COLUMNS = [
+  ['Telegram ID', s => s.telegramId],
+  ['Name', s => s.name],
+  ['Company', s => s.company],
+  ['Days', s => s.days],
+  ['Present', s => s.present],
+  ['Late', s => s.late],
+  ['Absent', s => s.absent],
+  ['Left early', s => s.leftEarly],
+  ['Temp exits', s => s.tempExits],
+  ['Hours worked', s => s.hoursWorked],
+  ['Penalty minutes', s => s.penaltyMinutes],
+  ['Points', s => s.points]
+];
+
+const STATUS_LABELS = {
+  ontime: 'Вовремя',
+  late: 'Опоздал',
+  absent: 'Отсутствовал',
+  notarrived: 'Не пришёл'
+};
+
+/**
+ * Escape text for HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return (text === null || text === undefined ? '' : text.toString())
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * One temp exit as text: "13:00 (40 мин) обед"
+ * @param {Object} exit - { time, reason, duration }
+ * @returns {string}
+ */
+function formatTempExit(exit) {
+  let text = exit.time;
+  if (exit.duration) text += ` (${exit.duration} мин)`;
+  if (exit.reason) text += ` ${exit.reason}`;
+  return text.trim();
+}
+
+/**
+ * Split a "; " separated cell of the temp exit columns
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+function splitList(value) {
+  return (value || '').toString().split(';').map(item => item.trim());
+}
+
+class HistoryService {
+  /**
+   * Get the History worksheet, writing headers on a new sheet
+   * @returns {Object} Worksheet
+   */
+  async _getWorksheet() {
+    const sheetsService = require('./sheets.service');
+    const worksheet = await sheetsService.getWorksheet(Config.SHEET_HISTORY);
+
+    try {
+      await worksheet.loadHeaderRow();
+    } catch (headerError) {
+      if (worksheet.columnCount < HISTORY_HEADERS.length) {
+        await worksheet.resize({ rowCount: worksheet.rowCount || 1000, columnCount: HISTORY_HEADERS.length });
+      }
+      await worksheet.setHeaderRow(HISTORY_HEADERS);
+      logger.info(`Created '${Config.SHEET_HISTORY}' sheet headers`);
+    }
+    await sheetsService.ensureColumns(worksheet, HISTORY_HEADERS);
+
+    return worksheet;
+  }
+
+  /**
+   * Companies of the roster by Telegram ID
+   * @returns {Map<string, string>}
+   */
+  async _getCompanies() {
+    const sheetsService = require('./sheets.service');
+    const companies = new Map();
+    for (const row of await sheetsService._getCachedRoster()) {
+      const telegramId = (row.get('Telegram Id') || '').toString().trim();
+      if (telegramId) companies.set(telegramId, (row.get('Company') || '').toString().trim());
+    }
+    return companies;
+  }
+
+  /**
+   * Turn a History or daily sheet row into a timeline entry
+   * @param {Function} get - Column getter
+   * @param {string} date - Day (YYYY-MM-DD)
+   * @param {string} telegramId
+   * @param {string} company
+   * @returns {Object} Entry
+   */
+  _toEntry(get, date, telegramId, company) {
+    const text = column => (get(column) || '').toString().trim();
+    const yes = column => ['yes', 'true'].includes(text(column).toLowerCase());
+
+    const arrival = text('When come');
+    const absent = yes('Absent');
+    let status = 'notarrived';
+    if (absent) {
+      status = 'absent';
+    } else if (arrival) {
+      status = ['no', 'false'].includes(text('Came on time').toLowerCase()) ? 'late' : 'ontime';
+    }
+
+    const times = splitList(get('Temp exit time'));
+    const reasons = splitList(get('Temp exit reason'));
+    const durations = splitList(get('Temp exit duration'));
+    const tempExits = times
+      .map((time, i) => ({ time, reason: reasons[i] || '', duration: durations[i] || '' }))
+      .filter(exit => exit.time);
+
+    return {
+      date,
+      telegramId,
+      name: text('Name'),
+      company,
+      status,
+      arrival,
+      willBeLate: yes('will be late'),
+      willBeLateTime: text('will be late will come at'),
+      departure: text('Leave time'),
+      hoursWorked: parseFloat(text('Hours worked').replace(',', '.')) || 0,
+      leftEarly: text('Left early').toLowerCase().includes('yes'),
+      whyLeftEarly: text('Why left early'),
+      absent,
+      whyAbsent: text('Why absent'),
+      penaltyMinutes: parseInt(text('Penalty minutes')) || 0,
+      tempExits,
+      point: parseFloat(text('Point').replace(',', '.')) || 0,
+      site: text('Arrival Site'),
+      arrivalVerification: text('Arrival Verification Status'),
+      departureVerification: text('Departure Verification Status')
+    };
+  }
+
+  /**
+   * Archive a daily sheet in the History sheet, replacing earlier rows of the day
+   * @param {string} dateStr - Date in YYYY-MM-DD format
+   * @returns {number} Number of archived rows
+   */
+  async archiveDay(dateStr) {
+    const sheetsService = require('./sheets.service');
+    const dailySheet = await sheetsService.getWorksheet(dateStr);
+    await dailySheet.loadHeaderRow();
+    const dailyRows = (await dailySheet.getRows()).filter(row => (row.get('Name') || '').trim());
+    const companies = await this._getCompanies();
+
+    const worksheet = await this._getWorksheet();
+    const existing = (await worksheet.getRows()).filter(row => row.get('Date') === dateStr);
+
+    // Delete bottom-up so row numbers of the remaining rows stay valid
+    for (const row of existing.reverse()) {
+      await row.delete();
+    }
+
+    const rows = dailyRows.map(dailyRow => {
+      const telegramId = (dailyRow.get('TelegramId') || '').toString().trim();
+      const row = {
+        'Date': dateStr,
+        'Telegram Id': telegramId,
+        'Company': companies.get(telegramId) || ''
+      };
+      for (const column of DAILY_COLUMNS) {
+        row[column] = (dailyRow.get(column) ?? '').toString();
+      }
+      return row;
+    });
+
+    if (rows.length > 0) {
+      await worksheet.addRows(rows);
+    }
+
+    logger.info(`Archived ${rows.length} attendance rows of ${dateStr} in '${Config.SHEET_HISTORY}'${existing.length ? ` (replaced ${existing.length})` : ''}`);
+    return rows.length;
+  }
+
+  /**
+   * Find an employee's History row of a day
+   * @param {string} dateStr - Date in YYYY-MM-DD format
+   * @param {number|string} telegramId - Employee's Telegram ID
+   * @returns {Object|null} Sheet row or null if the day of the employee is not archived
+   */
+  async _findDayRow(dateStr, telegramId) {
+    const worksheet = await this._getWorksheet();
+    const rows = await worksheet.getRows();
+    return rows.find(row => row.get('Date') === dateStr &&
+      (row.get('Telegram Id') || '').toString().trim() === telegramId.toString()) || null;
+  }
+
+  /**
+   * Archived values of an employee's day
+   * @param {string} dateStr - Date in YYYY-MM-DD format
+   * @param {number|string} telegramId - Employee's Telegram ID
+   * @returns {Object|null} Column → value of HISTORY_HEADERS, or null if the day is not archived
+   */
+  async getDayValues(dateStr, telegramId) {
+    const row = await this._findDayRow(dateStr, telegramId);
+    if (!row) return null;
+
+    const values = {};
+    for (const column of HISTORY_HEADERS) {
+      values[column] = (row.get(column) ?? '').toString();
+    }
+    return values;
+  }
+
+  /**
+   * Overwrite columns of an employee's archived day
+   * @param {string} dateStr - Date in YYYY-MM-DD format
+   * @param {number|string} telegramId - Employee's Telegram ID
+   * @param {Object} values - Column → value; columns the History sheet doesn't keep are ignored
+   * @returns {boolean} False if the day is not archived
+   */
+  async updateDay(dateStr, telegramId, values) {
+    const row = await this._findDayRow(dateStr, telegramId);
+    if (!row) return false;
+
+    for (const [column, value] of Object.entries(values)) {
+      if (DAILY_COLUMNS.includes(column)) row.set(column, value ?? '');
+    }
+    await row.save();
+
+    logger.info(`History of ${dateStr} updated for ${telegramId}: ${Object.keys(values).join(', ')}`);
+    return true;
+  }
+
+  /**
+   * Day-by-day history of a date range
+   * @param {Object} query - { from, to, telegramId, company, ids } - ids is a Set of allowed Telegram IDs
+   * @returns {Object} { from, to, entries, employees } - entries sorted by date and name,
+   *   employees are per-employee totals sorted by name
+   */
+  async getHistory({ from, to, telegramId = null, company = null, ids = null }) {
+    const sheetsService = require('./sheets.service');
+    const worksheet = await this._getWorksheet();
+    const rows = await worksheet.getRows();
+
+    const entries = [];
+    const archivedDates = new Set();
+    for (const row of rows) {
+      const date = (row.get('Date') || '').toString().trim();
+      if (date < from || date > to) continue;
+      archivedDates.add(date);
+      entries.push(this._toEntry(
+        column => row.get(column),
+        date,
+        (row.get('Telegram Id') || '').toString().trim(),
+        (row.get('Company') || '').toString().trim()
+      ));
+    }
+
+    // Days that are not archived yet are read from their daily sheet
+    let companies = null;
+    for (let day = moment(from); day.format('YYYY-MM-DD') <= to; day.add(1, 'day')) {
+      const date = day.format('YYYY-MM-DD');
+      if (archivedDates.has(date) || !sheetsService.doc.sheetsByTitle[date]) continue;
+
+      companies = companies || await this._getCompanies();
+      const { rows: dailyRows } = await sheetsService._getCachedDailySheet(date);
+      for (const row of dailyRows) {
+        if (!(row.get('Name') || '').trim()) continue;
+        const id = (row.get('TelegramId') || '').toString().trim();
+        entries.push(this._toEntry(column => row.get(column), date, id, companies.get(id) || ''));
+      }
+    }
+
+    const sameCompany = entry => entry.company.toLowerCase() === company.trim().toLowerCase();
+    const filtered = entries
+      .filter(entry => !telegramId || entry.telegramId === telegramId.toString())
+      .filter(entry => !company || sameCompany(entry))
+      .filter(entry => !ids || ids.has(entry.telegramId))
+      .sort((a, b) => a.date.localeCompare(b.date) || a.name.localeCompare(b.name));
+
+    return { from, to, entries: filtered, employees: this.summarize(filtered) };
+  }
+
+  /**
+   * Per-employee totals of timeline entries
+   * @param {Array} entries - From getHistory
+   * @returns {Array} [{ telegramId, name, company, days, present, late, absent, leftEarly, tempExits, hoursWorked, penaltyMinutes, points }]
+   */
+  summarize(entries) {
+    const employees = new Map();
+    for (const entry of entries) {
+      const key = entry.telegramId || entry.name;
+      if (!employees.has(key)) {
+        employees.set(key, {
+          telegramId: entry.telegramId,
+          name: entry.name,
+          company: entry.company,
+          days: 0,
+          present: 0,
+          late: 0,
+          absent: 0,
+          leftEarly: 0,
+          tempExits: 0,
+          hoursWorked: 0,
+          penaltyMinutes: 0,
+          points: 0
+        });
+      }
+
+      const summary = employees.get(key);
+      summary.days++;
+      if (entry.arrival && !entry.absent) summary.present++;
+      if (entry.status === 'late') summary.late++;
+      if (entry.absent) summary.absent++;
+      if (entry.leftEarly) summary.leftEarly++;
+      summary.tempExits += entry.tempExits.length;
+      summary.hoursWorked = Math.round((summary.hoursWorked + entry.hoursWorked) * 100) / 100;
+      summary.penaltyMinutes += entry.penaltyMinutes;
+      summary.points = Math.round((summary.points + entry.point) * 100) / 100;
+    }
+
+    return [...employees.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * History as an XLSX workbook with a timeline and a summary sheet
+   * @param {Object} history - From getHistory
+   * @returns {Buffer}
+   */
+  buildXlsx(history) {
+    const XLSX = require('xlsx');
+    const workbook = XLSX.utils.book_new();
+    const sheet = (columns, items) => XLSX.utils.aoa_to_sheet([
+      columns.map(([header]) => header),
+      ...items.map(item => columns.map(([, value]) => value(item)))
+    ]);
+
+    XLSX.utils.book_append_sheet(workbook, sheet(TIMELINE_COLUMNS, history.entries), 'Timeline');
+    XLSX.utils.book_append_sheet(workbook, sheet(SUMMARY_COLUMNS, history.employees), 'Summary');
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+  }
+
+  /**
+   * History as an HTML page in the style of the daily report
+   * @param {Object} history - From getHistory
+   * @param {string} title - Subject of the report (company or employee), '' for everyone
+   * @returns {string} HTML
+   */
+  buildHtml(history, title = '') {
+    const now = moment.tz(Config.TIMEZONE);
+    const period = history.from === history.to ? history.from : `${history.from} — ${history.to}`;
+    const count = field => history.employees.reduce((total, s) => total + s[field], 0);
+
+    const summaryRows = history.employees.map(s => `
+      <tr>
+        <td>${escapeHtml(s.name)}</td>
+        <td>${s.present}/${s.days}</td>
+        <td class="status-late">${s.late}</td>
+        <td class="status-absent">${s.absent}</td>
+        <td>${s.leftEarly}</td>
+        <td>${s.tempExits}</td>
+        <td>${s.hoursWorked}</td>
+        <td class="${s.points > 0 ? 'point-good' : s.points < 0 ? 'point-bad' : 'point-neutral'}">${s.points}</td>
+      </tr>`).join('');
+
+    let timelineRows = '';
+    let lastDate = null;
+    for (const entry of history.entries) {
+      if (entry.date !== lastDate) {
+        lastDate = entry.date;
+        timelineRows += `
+      <tr class="day"><td colspan="6">${moment(entry.date).format('DD.MM.YYYY')}</td></tr>`;
+      }
+
+      let status = STATUS_LABELS[entry.status];
+      if (entry.status === 'absent' && entry.whyAbsent) status += ` (${escapeHtml(entry.whyAbsent)})`;
+      if (entry.willBeLate) {
+        status += `<br><small>⏰ Предупредил об опоздании${entry.willBeLateTime ? ` (${escapeHtml(entry.willBeLateTime)})` : ''}</small>`;
+      }
+
+      let departure = escapeHtml(entry.departure) || '—';
+      if (entry.departure) departure += ` (${entry.hoursWorked}ч)`;
+      if (entry.leftEarly) departure += `<br><small>Ушёл рано${entry.whyLeftEarly ? `: ${escapeHtml(entry.whyLeftEarly)}` : ''}</small>`;
+
+      const exits = entry.tempExits.map(exit => escapeHtml(formatTempExit(exit))).join('<br>') || '—';
+      const pointClass = entry.point > 0 ? 'point-good' : entry.point < 0 ? 'point-bad' : 'point-neutral';
+
+      timelineRows += `
+      <tr>
+        <td>${escapeHtml(entry.name)}</td>
+        <td class="status-${entry.status}">${status}</td>
+        <td>${escapeHtml(entry.arrival) || '—'}${entry.penaltyMinutes ? `<br><small>Штраф: ${entry.penaltyMinutes} мин</small>` : ''}</td>
+        <td>${departure}</td>
+        <td><small>${exits}</small></td>
+        <td class="${pointClass}">${entry.point}</td>
+      </tr>`;
+    }
+
+    return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>История посещаемости - ${escapeHtml(period)}</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      padding: 20px;
+      min-height: 100vh;
+    }
+    .container {
+      max-width: 1200px;
+      margin: 0 auto;
+      background: white;
+      border-radius: 20px;
+      box-shadow: 0 20px 60px rgba(0,0,0,0.3);
+      overflow: hidden;
+    }
+    .header {
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: white;
+      padding: 40px;
+      text-align: center;
+    }
+    .header h1 { font-size: 36px; margin-bottom: 10px; text-shadow: 2px 2px 4px rgba(0,0,0,0.2); }
+    .header .date { font-size: 20px; opacity: 0.9; }
+    .stats {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+      gap: 20px;
+      padding: 30px;
+      background: #f8f9fa;
+    }
+    .stat-card {
+      background: white;
+      padding: 25px;
+      border-radius: 15px;
+      box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+      text-align: center;
+    }
+    .stat-card .number { font-size: 36px; font-weight: bold; margin-bottom: 10px; }
+    .stat-card .label { color: #6c757d; font-size: 14px; }
+    .stat-total .number { color: #667eea; }
+    .stat-present .number { color: #10b981; }
+    .stat-late .number { color: #f59e0b; }
+    .stat-absent .number { color: #ef4444; }
+    .stat-early .number { color: #8b5cf6; }
+    .table-container { padding: 30px; overflow-x: auto; }
+    .table-container h2 { color: #2d3748; margin-bottom: 10px; }
+    table { width: 100%; border-collapse: collapse; }
+    thead th {
+      background: #667eea;
+      color: white;
+      padding: 12px;
+      text-align: left;
+      font-weight: 600;
+      text-transform: uppercase;
+      font-size: 12px;
+      letter-spacing: 1px;
+    }
+    tbody td { padding: 12px; border-bottom: 1px solid #f1f3f5; vertical-align: top; }
+    tbody td:first-child { font-weight: 600; color: #2d3748; }
+    tr.day td { background: #eef2ff; color: #4c51bf; font-weight: bold; }
+    .status-ontime { color: #10b981; font-weight: 500; }
+    .status-late { color: #f59e0b; font-weight: 500; }
+    .status-absent { color: #ef4444; font-weight: 500; }
+    .status-notarrived { color: #94a3b8; font-weight: 500; }
+    .point-good { color: #10b981; font-weight: bold; }
+    .point-neutral { color: #f59e0b; font-weight: bold; }
+    .point-bad { color: #ef4444; font-weight: bold; }
+    .footer {
+      background: #f8f9fa;
+      padding: 20px;
+      text-align: center;
+      color: #6c757d;
+      font-size: 14px;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>🗂 История посещаемости</h1>
+      <div class="date">${escapeHtml(period)}${title ? ` • ${escapeHtml(title)}` : ''}</div>
+    </div>
+    <div class="stats">
+      <div class="stat-card stat-total"><div class="number">${history.employees.length}</div><div class="label">Сотрудников</div></div>
+      <div class="stat-card stat-present"><div class="number">${count('present')}</div><div class="label">Рабочих дней</div></div>
+      <div class="stat-card stat-late"><div class="number">${count('late')}</div><div class="label">Опозданий</div></div>
+      <div class="stat-card stat-absent"><div class="number">${count('absent')}</div><div class="label">Отсутствий</div></div>
+      <div class="stat-card stat-early"><div class="number">${count('leftEarly')}</div><div class="label">Ранних уходов</div></div>
+    </div>
+    <div class="table-container">
+      <h2>Итого по сотрудникам</h2>
+      <table>
+        <thead><tr><th>Сотрудник</th><th>Пришёл</th><th>Опоздания</th><th>Отсутствия</th><th>Ушёл рано</th><th>Выходы</th><th>Часы</th><th>Баллы</th></tr></thead>
+        <tbody>${summaryRows}</tbody>
+      </table>
+    </div>
+    <div class="table-container">
+      <h2>По дням</h2>
+      <table>
+        <thead><tr><th>Сотрудник</th><th>Статус</th><th>Приход</th><th>Уход</th><th>Временные выходы</th><th>Баллы</th></tr></thead>
+        <tbody>${timelineRows}</tbody>
+      </table>
+    </div>
+    <div class="footer">Сгенерировано системой учёта посещаемости • ${now.format('DD.MM.YYYY HH:mm:ss')}</div>
+  </div>
+</body>
+</html>
+`;
+  }
+}
+
+module.exports = new HistoryService();
+module.exports.HISTORY_HEADERS = HISTORY_HEADERS;
@@ -0,0 +1,236 @@
+/**
+ * Holiday calendar service.
+ * Keeps public holidays and company-specific days off in the Holidays sheet.
+ * Schedule resolution treats a holiday as a day off for everyone it applies to,
+ * so reminders, no-show checks, daily sheet creation and monthly totals skip it.
+ *
+ * Holidays sheet columns:
+ *   Date | Name | Company | Added by
+ *
+ * - "Date" is YYYY-MM-DD.
+ * - "Company" empty means the holiday applies to all employees; otherwise only to
+ *   employees whose roster "Company" matches (case-insensitive).
+ */
+
+const moment = require('moment-timezone');
+const Config = require('../config');
+const logger = require('../utils/logger');
+
+const HOLIDAY_HEADERS = ['Date', 'Name', 'Company', 'Added by'];
+
+class HolidayService {
+  constructor() {
+    this._holidays = null; // Parsed holiday rows
+    this._lastLoaded = 0;
+    this._loading = null;
+    this._cacheTimeout = 300000; // 5 minutes - same as the schedule cache
+  }
+
+  /**
+   * Get the Holidays worksheet, writing headers on a new sheet
+   * @returns {Object} Worksheet
+   */
+  async _getWorksheet() {
+    const sheetsService = require('./sheets.service');
+    const worksheet = await sheetsService.getWorksheet(Config.SHEET_HOLIDAYS);
+
+    try {
+      await worksheet.loadHeaderRow();
+    } catch (headerError) {
+      if (worksheet.columnCount < HOLIDAY_HEADERS.length) {
+        await worksheet.resize({ rowCount: worksheet.rowCount || 1000, columnCount: HOLIDAY_HEADERS.length });
+      }
+      await worksheet.setHeaderRow(HOLIDAY_HEADERS);
+      logger.info(`Created '${Config.SHEET_HOLIDAYS}' sheet headers`);
+    }
+
+    return worksheet;
+  }
+
+  /**
+   * Parse one Holidays sheet row
+   * @param {Object} row - Sheet row
+   * @returns {Object|null} Holiday or null if the row is empty/invalid
+   */
+  _parseRow(row) {
+    const dateStr = (row.get('Date') || '').toString().trim();
+    if (!dateStr) return null;
+
+    const date = moment.tz(dateStr, 'YYYY-MM-DD', true, Config.TIMEZONE);
+    if (!date.isValid()) {
+      logger.warn(`Holidays: invalid date '${dateStr}' - row ignored`);
+      return null;
+    }
+
+    return {
+      date: date.format('YYYY-MM-DD'),
+      name: (row.get('Name') || '').toString().trim(),
+      company: (row.get('Company') || '').toString().trim()
+    };
+  }
+
+  /**
+   * Load all holidays (cached), sorted by date
+   * @returns {Array} Holidays { date, name, company }
+   */
+  async getHolidays() {
+    if (this._holidays && (Date.now() - this._lastLoaded) < this._cacheTimeout) {
+      return this._holidays;
+    }
+    if (this._loading) return this._loading;
+
+    this._loading = (async () => {
+      const holidays = [];
+
+      try {
+        const worksheet = await this._getWorksheet();
+        const rows = await worksheet.getRows();
+        for (const row of rows) {
+          const holiday = this._parseRow(row);
+          if (holiday) holidays.push(holiday);
+        }
+      } catch (error) {
+        // Calendar is optional - without it only schedules decide days off
+        logger.error(`Error loading holidays sheet: ${error.message}`);
+        if (this._holidays) return this._holidays;
+      }
+
+      holidays.sort((a, b) => a.date.localeCompare(b.date));
+      this._holidays = holidays;
+      this._lastLoaded = Date.now();
+      return holidays;
+    })();
+
+    try {
+      return await this._loading;
+    } finally {
+      this._loading = null;
+    }
+  }
+
+  /**
+   * Check whether a holiday applies to a company
+   * @param {Object} holiday - Holiday
+   * @param {string} company - Employee company ('' = unknown)
+   * @returns {boolean}
+   */
+  appliesTo(holiday, company = '') {
+    if (!holiday.company) return true;
+    return !!company && holiday.company.toLowerCase() === company.toString().trim().toLowerCase();
+  }
+
+  /**
+   * Find the holiday for a date from already loaded holidays
+   * @param {Array} holidays - Holidays
+   * @param {string} dateStr - Date in YYYY-MM-DD format
+   * @param {string} company - Employee company
+   * @returns {Object|null} Holiday - company-specific entries win over general ones
+   */
+  findHoliday(holidays, dateStr, company = '') {
+    const matching = holidays.filter(h => h.date === dateStr && this.appliesTo(h, company));
+    return matching.find(h => h.company) || matching[0] || null;
+  }
+
+  /**
+   * Get the holiday on a date for a company
+   * @param {moment.Moment|string} date - Date (defaults to today)
+   * @param {string} company - Employee company ('' = only holidays for everyone)
+   * @returns {Object|null} Holiday { date, name, company } or null
+   */
+  async getHoliday(date = null, company = '') {
+    const dateStr = (date ? moment.tz(date, Config.TIMEZONE) : moment.tz(Config.TIMEZONE)).format('YYYY-MM-DD');
+    const holidays = await this.getHolidays();
+    return this.findHoliday(holidays, dateStr, company);
+  }
+
+  /**
+   * Holidays from a date onwards
+   * @param {moment.Moment|string} from - First date (defaults to today)
+   * @returns {Array} Holidays
+   */
+  async getUpcoming(from = null) {
+    const fromStr = (from ? moment.tz(from, Config.TIMEZONE) : moment.tz(Config.TIMEZONE)).format('YYYY-MM-DD');
+    const holidays = await this.getHolidays();
+    return holidays.filter(h => h.date >= fromStr);
+  }
+
+  /**
+   * Add a holiday (or rename an existing one for the same date and company)
+   * @param {string} dateStr - Date in YYYY-MM-DD format
+   * @param {string} name - Holiday name
+   * @param {string} company - Company ('' = all employees)
+   * @param {string} addedBy - Who added it
+   * @returns {Object} Saved holiday
+   */
+  async addHoliday(dateStr, name, company = '', addedBy = '') {
+    const date = moment.tz(dateStr, 'YYYY-MM-DD', true, Config.TIMEZONE);
+    if (!date.isValid()) {
+      throw new Error(`Неверная дата: ${dateStr}. Используйте формат ГГГГ-ММ-ДД`);
+    }
+
+    const holiday = { date: date.format('YYYY-MM-DD'), name: name.trim(), company: (company || '').trim() };
+    const worksheet = await this._getWorksheet();
+    const rows = await worksheet.getRows();
+
+    const existing = rows.find(row => {
+      const parsed = this._parseRow(row);
+      return parsed && parsed.date === holiday.date && parsed.company.toLowerCase() === holiday.company.toLowerCase();
+    });
+
+    if (existing) {
+      existing.set('Name', holiday.name);
+      existing.set('Added by', addedBy);
+      await existing.save();
+    } else {
+      await worksheet.addRow({
+        'Date': holiday.date,
+        'Name': holiday.name,
+        'Company': holiday.company,
+        'Added by': addedBy
+      });
+    }
+
+    this.invalidate();
+    logger.info(`Holiday saved: ${holiday.date} ${holiday.name}${holiday.company ? ` (${holiday.company})` : ''}`);
+    return holiday;
+  }
+
+  /**
+   * Remove holidays on a date
+   * @param {string} dateStr - Date in YYYY-MM-DD format
+   * @param {string|null} company - Only remove this company's entry ('' = the general one, null = all)
+   * @returns {number} Number of removed rows
+   */
+  async removeHoliday(dateStr, company = null) {
+    const worksheet = await this._getWorksheet();
+    const rows = await worksheet.getRows();
+
+    const toDelete = rows.filter(row => {
+      const parsed = this._parseRow(row);
+      if (!parsed || parsed.date !== dateStr) return false;
+      return company === null || parsed.company.toLowerCase() === company.trim().toLowerCase();
+    });
+
+    // Delete bottom-up so row numbers of the remaining rows stay valid
+    for (const row of toDelete.reverse()) {
+      await row.delete();
+    }
+
+    this.invalidate();
+    if (toDelete.length > 0) {
+      logger.info(`Removed ${toDelete.length} holiday(s) on ${dateStr}`);
+    }
+    return toDelete.length;
+  }
+
+  /**
+   * Drop cached holidays so the next lookup re-reads the sheet
+   */
+  invalidate() {
+    this._holidays = null;
+    this._lastLoaded = 0;
+  }
+}
+
+module.exports = new HolidayService();
+module.exports.HOLIDAY_HEADERS = HOLIDAY_HEADERS;
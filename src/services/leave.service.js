@@ -0,0 +1,526 @@
+/**
+ * Leave request service.
+ * Employees request leave (vacation, sick leave, unpaid, business trip, day off) for a
+ * date range; their manager approves or rejects it. Approved days are excused in the
+ * daily sheets, and vacation / day-off requests are counted against a yearly allowance.
+ *
+ * Leaves sheet columns:
+ *   Id | Telegram Id | Name | Type | From | To | Days | Reason | Status | Requested at | Decided by | Decided at
+ *
+ * - "Days" is the number of scheduled work days in the range (days off and holidays are not counted).
+ * - "Status" is pending, approved, rejected or cancelled.
+ * - Approvers are taken from the roster column "Manager Telegram Id" (comma-separated),
+ *   falling back to ADMIN_TELEGRAM_IDS. Staff with the "leaves" permission (super-admins, HR)
+ *   can always decide.
+ */
+
+const moment = require('moment-timezone');
+const Config = require('../config');
+const roleService = require('./role.service');
+const logger = require('../utils/logger');
+
+const LEAVE_HEADERS = [
+  'Id',
+  'Telegram Id',
+  'Name',
+  'Type',
+  'From',
+  'To',
+  'Days',
+  'Reason',
+  'Status',
+  'Requested at',
+  'Decided by',
+  'Decided at'
+];
+
+const LEAVE_TYPES = {
+  vacation: { label: 'Отпуск', emoji: '🏖', countsAgainstBalance: true },
+  sick: { label: 'Больничный', emoji: '🤒', countsAgainstBalance: false },
+  unpaid: { label: 'За свой счёт', emoji: '📝', countsAgainstBalance: false },
+  business_trip: { label: 'Командировка', emoji: '✈️', countsAgainstBalance: false },
+  day_off: { label: 'Отгул', emoji: '🌤', countsAgainstBalance: true }
+};
+
+// Day and month with or without leading zeros ("5.3.2025", "05.03.2025")
+const DAY_MONTH_FORMATS = ['D.M.YYYY', 'DD.MM.YYYY', 'D.MM.YYYY', 'DD.M.YYYY'];
+
+const STATUS_LABELS = {
+  pending: '⏳ На рассмотрении',
+  approved: '✅ Одобрено',
+  rejected: '❌ Отклонено',
+  cancelled: '🚫 Отменено'
+};
+
+class LeaveService {
+  constructor() {
+    this._requests = null; // Parsed leave rows
+    this._lastLoaded = 0;
+    this._loading = null;
+    this._cacheTimeout = 300000; // 5 minutes - the bot invalidates on its own writes
+  }
+
+  /**
+   * Get the Leaves worksheet, writing headers on a new sheet
+   * @returns {Object} Worksheet
+   */
+  async _getWorksheet() {
+    const sheetsService = require('./sheets.service');
+    const worksheet = await sheetsService.getWorksheet(Config.SHEET_LEAVES);
+
+    try {
+      await worksheet.loadHeaderRow();
+    } catch (headerError) {
+      if (worksheet.columnCount < LEAVE_HEADERS.length) {
+        await worksheet.resize({ rowCount: worksheet.rowCount || 1000, columnCount: LEAVE_HEADERS.length });
+      }
+      await worksheet.setHeaderRow(LEAVE_HEADERS);
+      logger.info(`Created '${Config.SHEET_LEAVES}' sheet headers`);
+    }
+
+    return worksheet;
+  }
+
+  /**
+   * Parse one Leaves sheet row
+   * @param {Object} row - Sheet row
+   * @returns {Object|null} Leave request or null if the row is empty
+   */
+  _parseRow(row) {
+    const id = parseInt(row.get('Id') || '');
+    if (isNaN(id)) return null;
+
+    return {
+      id,
+      telegramId: (row.get('Telegram Id') || '').toString().trim(),
+      name: (row.get('Name') || '').toString().trim(),
+      type: (row.get('Type') || '').toString().trim(),
+      from: (row.get('From') || '').toString().trim(),
+      to: (row.get('To') || '').toString().trim(),
+      days: parseInt(row.get('Days') || '0') || 0,
+      reason: (row.get('Reason') || '').toString().trim(),
+      status: (row.get('Status') || 'pending').toString().trim().toLowerCase(),
+      requestedAt: (row.get('Requested at') || '').toString().trim(),
+      decidedBy: (row.get('Decided by') || '').toString().trim(),
+      decidedAt: (row.get('Decided at') || '').toString().trim()
+    };
+  }
+
+  /**
+   * Load all leave requests (cached)
+   * @returns {Array} Leave requests
+   */
+  async getRequests() {
+    if (this._requests && (Date.now() - this._lastLoaded) < this._cacheTimeout) {
+      return this._requests;
+    }
+    if (this._loading) return this._loading;
+
+    this._loading = (async () => {
+      const requests = [];
+
+      try {
+        const worksheet = await this._getWorksheet();
+        const rows = await worksheet.getRows();
+        for (const row of rows) {
+          const request = this._parseRow(row);
+          if (request) requests.push(request);
+        }
+      } catch (error) {
+        logger.error(`Error loading leaves sheet: ${error.message}`);
+        if (this._requests) return this._requests;
+      }
+
+      this._requests = requests;
+      this._lastLoaded = Date.now();
+      return requests;
+    })();
+
+    try {
+      return await this._loading;
+    } finally {
+      this._loading = null;
+    }
+  }
+
+  /**
+   * Get a leave request by id
+   * @param {number|string} id - Request id
+   * @returns {Object|null} Leave request
+   */
+  async getRequest(id) {
+    const requests = await this.getRequests();
+    return requests.find(r => r.id === parseInt(id)) || null;
+  }
+
+  /**
+   * Leave requests of an employee, newest first
+   * @param {number|string} telegramId - Employee's Telegram ID
+   * @returns {Array} Leave requests
+   */
+  async getEmployeeRequests(telegramId) {
+    const requests = await this.getRequests();
+    return requests
+      .filter(r => r.telegramId === telegramId.toString())
+      .sort((a, b) => b.id - a.id);
+  }
+
+  /**
+   * Requests waiting for a decision, oldest first
+   * @returns {Array} Leave requests
+   */
+  async getPendingRequests() {
+    const requests = await this.getRequests();
+    return requests.filter(r => r.status === 'pending').sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Approved leave of an employee covering a date
+   * @param {number|string} telegramId - Employee's Telegram ID
+   * @param {moment.Moment|string} date - Date
+   * @returns {Object|null} Leave request
+   */
+  async getApprovedLeave(telegramId, date) {
+    const dateStr = moment.tz(date, Config.TIMEZONE).format('YYYY-MM-DD');
+    const requests = await this.getRequests();
+    return requests.find(r =>
+      r.status === 'approved' && r.telegramId === telegramId.toString() && r.from <= dateStr && r.to >= dateStr
+    ) || null;
+  }
+
+  /**
+   * All approved leaves covering a date
+   * @param {string} dateStr - Date in YYYY-MM-DD format
+   * @returns {Map} telegramId -> leave request
+   */
+  async getApprovedLeavesOn(dateStr) {
+    const requests = await this.getRequests();
+    const leaves = new Map();
+    for (const r of requests) {
+      if (r.status === 'approved' && r.telegramId && r.from <= dateStr && r.to >= dateStr) {
+        leaves.set(r.telegramId, r);
+      }
+    }
+    return leaves;
+  }
+
+  /**
+   * Parse a date or date range typed by the user.
+   * Accepts "25.03.2025", "25.03" (nearest future date), "2025-03-25",
+   * and two of those separated by spaces, "-" or "по".
+   * @param {string} text - User input
+   * @param {moment.Moment} now - Current time
+   * @returns {Object|null} { from, to } in YYYY-MM-DD format, or null if no date was found
+   */
+  parseDateRange(text, now = null) {
+    const today = (now || moment.tz(Config.TIMEZONE)).clone().startOf('day');
+    const tokens = (text || '').match(/\d{4}-\d{2}-\d{2}|\d{1,2}\.\d{1,2}(?:\.\d{4})?/g);
+    if (!tokens || tokens.length > 2) return null;
+
+    const dates = tokens.map(token => {
+      if (token.includes('-')) {
+        return moment.tz(token, 'YYYY-MM-DD', true, Config.TIMEZONE);
+      }
+      const parts = token.split('.');
+      if (parts.length === 3) {
+        return moment.tz(token, DAY_MONTH_FORMATS, true, Config.TIMEZONE);
+      }
+      // No year - take the nearest date that is not in the past
+      const date = moment.tz(`${token}.${today.year()}`, DAY_MONTH_FORMATS, true, Config.TIMEZONE);
+      if (date.isValid() && date.isBefore(today)) date.add(1, 'year');
+      return date;
+    });
+
+    if (dates.some(d => !d.isValid())) return null;
+
+    const from = dates[0];
+    let to = dates[1] || dates[0];
+    // "28.12 - 03.01" - the end date without a year belongs to the next year
+    if (to.isBefore(from) && tokens[1] && tokens[1].split('.').length === 2) {
+      to = to.clone().add(1, 'year');
+    }
+
+    return { from: from.format('YYYY-MM-DD'), to: to.format('YYYY-MM-DD') };
+  }
+
+  /**
+   * Count scheduled work days of an employee in a range
+   * @param {Object|string|number} employee - Employee object or Telegram ID
+   * @param {string} from - First date (YYYY-MM-DD)
+   * @param {string} to - Last date (YYYY-MM-DD)
+   * @returns {number} Work days
+   */
+  async countLeaveDays(employee, from, to) {
+    const scheduleService = require('./schedule.service');
+    const end = moment.tz(to, 'YYYY-MM-DD', Config.TIMEZONE);
+    let days = 0;
+
+    for (let day = moment.tz(from, 'YYYY-MM-DD', Config.TIMEZONE); day.isSameOrBefore(end); day.add(1, 'day')) {
+      if (!(await scheduleService.isDayOff(employee, day))) {
+        days++;
+      }
+    }
+    return days;
+  }
+
+  /**
+   * Yearly allowance of an employee
+   * @param {Object} employee - Employee object (with roster row in _row)
+   * @returns {number} Work days per year
+   */
+  getAllowance(employee) {
+    const custom = employee && employee._row ? parseInt(employee._row.get('Leave days per year') || '') : NaN;
+    return isNaN(custom) ? Config.ANNUAL_LEAVE_DAYS : custom;
+  }
+
+  /**
+   * Leave balance of an employee for a year
+   * @param {Object} employee - Employee object
+   * @param {number} year - Year (defaults to the current one)
+   * @returns {Object} { allowance, used, pending, remaining }
+   */
+  async getBalance(employee, year = null) {
+    const yearStr = (year || moment.tz(Config.TIMEZONE).year()).toString();
+    const requests = await this.getEmployeeRequests(employee.telegramId);
+
+    let used = 0;
+    let pending = 0;
+    for (const r of requests) {
+      if (!r.from.startsWith(yearStr) || !LEAVE_TYPES[r.type] || !LEAVE_TYPES[r.type].countsAgainstBalance) continue;
+      if (r.status === 'approved') used += r.days;
+      if (r.status === 'pending') pending += r.days;
+    }
+
+    const allowance = this.getAllowance(employee);
+    return { allowance, used, pending, remaining: allowance - used - pending };
+  }
+
+  /**
+   * Telegram IDs allowed to approve an employee's requests - the roster managers,
+   * or staff with the "leaves" permission in the employee's scope when there are none
+   * @param {Object} employee - Employee object (with roster row in _row)
+   * @returns {Promise<Array<number>>} Approver IDs
+   */
+  async getApprovers(employee) {
+    const managers = employee && employee._row
+      ? (employee._row.get('Manager Telegram Id') || '').toString().split(',')
+          .map(id => parseInt(id.trim()))
+          .filter(id => !isNaN(id) && id.toString() !== employee.telegramId.toString())
+      : [];
+    return managers.length > 0 ? managers : roleService.getRecipients('leaves', employee);
+  }
+
+  /**
+   * Check whether a user may approve or reject a request
+   * @param {Object} request - Leave request
+   * @param {number} userId - Telegram ID of the user
+   * @returns {boolean}
+   */
+  async canDecide(request, userId) {
+    if (await roleService.can(userId, 'leaves')) return true;
+
+    const sheetsService = require('./sheets.service');
+    const employee = await sheetsService.findEmployeeByTelegramId(request.telegramId);
+    return (await this.getApprovers(employee)).includes(userId);
+  }
+
+  /**
+   * Create a leave request after validating it
+   * @param {Object} employee - Employee object
+   * @param {string} type - Leave type (key of LEAVE_TYPES)
+   * @param {string} from - First date (YYYY-MM-DD)
+   * @param {string} to - Last date (YYYY-MM-DD)
+   * @param {string} reason - Free-text comment
+   * @returns {Object} Created request
+   * @throws {Error} With a user-facing message if the request is not valid
+   */
+  async createRequest(employee, type, from, to, reason = '') {
+    const leaveType = LEAVE_TYPES[type];
+    if (!leaveType) {
+      throw new Error('Неизвестный тип заявки.');
+    }
+
+    const today = moment.tz(Config.TIMEZONE).format('YYYY-MM-DD');
+    if (from > to) {
+      throw new Error('Дата начала позже даты окончания.');
+    }
+    // Sick leave is often reported after the fact - allow the current week back
+    const earliest = type === 'sick'
+      ? moment.tz(Config.TIMEZONE).subtract(7, 'days').format('YYYY-MM-DD')
+      : today;
+    if (from < earliest) {
+      throw new Error('Нельзя подать заявку на прошедшие даты.');
+    }
+    if (from.substring(0, 4) !== to.substring(0, 4)) {
+      throw new Error('Заявка не может переходить через новый год - разделите её на две.');
+    }
+
+    const calendarDays = moment.tz(to, Config.TIMEZONE).diff(moment.tz(from, Config.TIMEZONE), 'days') + 1;
+    if (calendarDays > Config.LEAVE_MAX_DAYS_PER_REQUEST) {
+      throw new Error(`Слишком длинный период - не больше ${Config.LEAVE_MAX_DAYS_PER_REQUEST} дней в одной заявке.`);
+    }
+
+    const existing = await this.getEmployeeRequests(employee.telegramId);
+    const overlap = existing.find(r =>
+      (r.status === 'pending' || r.status === 'approved') && r.from <= to && r.to >= from
+    );
+    if (overlap) {
+      throw new Error(`Период пересекается с заявкой #${overlap.id} (${overlap.from} - ${overlap.to}).`);
+    }
+
+    const days = await this.countLeaveDays(employee, from, to);
+    if (days === 0) {
+      throw new Error('В выбранном периоде нет рабочих дней.');
+    }
+
+    if (leaveType.countsAgainstBalance) {
+      const balance = await this.getBalance(employee, parseInt(from.substring(0, 4)));
+      if (days > balance.remaining) {
+        throw new Error(
+          `Недостаточно дней отпуска: нужно ${days}, доступно ${Math.max(balance.remaining, 0)} ` +
+          `(из ${balance.allowance}, использовано ${balance.used}, на рассмотрении ${balance.pending}).`
+        );
+      }
+    }
+
+    const worksheet = await this._getWorksheet();
+    const rows = await worksheet.getRows();
+    const maxId = rows.reduce((max, row) => Math.max(max, parseInt(row.get('Id') || '0') || 0), 0);
+
+    const request = {
+      id: maxId + 1,
+      telegramId: employee.telegramId.toString(),
+      name: employee.nameFull,
+      type,
+      from,
+      to,
+      days,
+      reason: (reason || '').trim(),
+      status: 'pending',
+      requestedAt: moment.tz(Config.TIMEZONE).format('YYYY-MM-DD HH:mm'),
+      decidedBy: '',
+      decidedAt: ''
+    };
+
+    await worksheet.addRow({
+      'Id': request.id,
+      'Telegram Id': request.telegramId,
+      'Name': request.name,
+      'Type': request.type,
+      'From': request.from,
+      'To': request.to,
+      'Days': request.days,
+      'Reason': request.reason,
+      'Status': request.status,
+      'Requested at': request.requestedAt,
+      'Decided by': '',
+      'Decided at': ''
+    });
+
+    this.invalidate();
+    logger.info(`Leave request #${request.id} from ${request.name}: ${type} ${from} - ${to} (${days} day(s))`);
+    return request;
+  }
+
+  /**
+   * Change the status of a request
+   * @param {number|string} id - Request id
+   * @param {Array<string>} allowedFrom - Statuses the request may currently have
+   * @param {string} status - New status
+   * @param {string} decidedBy - Who made the change
+   * @returns {Object} Updated request
+   * @throws {Error} If the request does not exist or has another status
+   */
+  async _setStatus(id, allowedFrom, status, decidedBy) {
+    const worksheet = await this._getWorksheet();
+    const rows = await worksheet.getRows();
+    const row = rows.find(r => parseInt(r.get('Id') || '') === parseInt(id));
+
+    if (!row) {
+      throw new Error(`Заявка #${id} не найдена.`);
+    }
+
+    const request = this._parseRow(row);
+    if (!allowedFrom.includes(request.status)) {
+      throw new Error(`Заявка #${id} уже обработана: ${STATUS_LABELS[request.status] || request.status}.`);
+    }
+
+    request.status = status;
+    request.decidedBy = decidedBy;
+    request.decidedAt = moment.tz(Config.TIMEZONE).format('YYYY-MM-DD HH:mm');
+
+    row.set('Status', request.status);
+    row.set('Decided by', request.decidedBy);
+    row.set('Decided at', request.decidedAt);
+    await row.save();
+
+    this.invalidate();
+    logger.info(`Leave request #${id} ${status} by ${decidedBy}`);
+    return request;
+  }
+
+  /**
+   * Approve or reject a pending request
+   * @param {number|string} id - Request id
+   * @param {boolean} approved - Approve (true) or reject (false)
+   * @param {string} decidedBy - Who decided
+   * @returns {Object} Updated request
+   */
+  async decide(id, approved, decidedBy) {
+    return this._setStatus(id, ['pending'], approved ? 'approved' : 'rejected', decidedBy);
+  }
+
+  /**
+   * Cancel an own request that is pending or approved but has not started yet
+   * @param {number|string} id - Request id
+   * @param {number|string} telegramId - Employee's Telegram ID
+   * @returns {Object} Updated request
+   */
+  async cancel(id, telegramId) {
+    const request = await this.getRequest(id);
+    if (!request || request.telegramId !== telegramId.toString()) {
+      throw new Error(`Заявка #${id} не найдена.`);
+    }
+
+    const today = moment.tz(Config.TIMEZONE).format('YYYY-MM-DD');
+    if (request.status === 'approved' && request.from <= today) {
+      throw new Error('Отпуск уже начался - обратитесь к руководителю.');
+    }
+
+    return this._setStatus(id, ['pending', 'approved'], 'cancelled', telegramId.toString());
+  }
+
+  /**
+   * Text used in the daily sheet "Why absent" column for an approved leave
+   * @param {Object} request - Leave request
+   * @returns {string}
+   */
+  getAbsenceText(request) {
+    const leaveType = LEAVE_TYPES[request.type];
+    return `${leaveType ? leaveType.label : request.type} (заявка #${request.id})`;
+  }
+
+  /**
+   * Short one-line description of a request for messages
+   * @param {Object} request - Leave request
+   * @returns {string}
+   */
+  describe(request) {
+    const leaveType = LEAVE_TYPES[request.type] || { label: request.type, emoji: '📄' };
+    const period = request.from === request.to ? request.from : `${request.from} - ${request.to}`;
+    return `${leaveType.emoji} #${request.id} ${leaveType.label}: ${period} (${request.days} раб. дн.)`;
+  }
+
+  /**
+   * Drop cached requests so the next lookup re-reads the sheet
+   */
+  invalidate() {
+    this._requests = null;
+    this._lastLoaded = 0;
+  }
+}
+
+module.exports = new LeaveService();
+module.exports.LEAVE_HEADERS = LEAVE_HEADERS;
+module.exports.LEAVE_TYPES = LEAVE_TYPES;
+module.exports.STATUS_LABELS = STATUS_LABELS;
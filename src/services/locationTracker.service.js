@@ -1,10 +1,13 @@
 /**
  * Location Tracker Service
- * Manages active location tracking sessions in memory
+ * Manages active location tracking sessions in memory.
+ * Sessions are also saved to the Tracking sheet and resumed after a restart.
  */
 
 const anomalyDetectorService = require('./anomalyDetector.service');
+const anomalyRulesService = require('./anomalyRules.service');
 const geofenceService = require('./geofence.service');
+const trackingStoreService = require('./trackingStore.service');
 const Config = require('../config');
 const logger = require('../utils/logger');
 
@@ -20,6 +23,9 @@ class LocationTrackerService {
     // Maximum location points per session
     this.MAX_LOCATION_POINTS = 60;
 
+    // Maximum points of the full trail kept for the map (5 minutes at one update per second)
+    this.MAX_TRAIL_POINTS = 300;
+
     // Start cleanup interval (runs every minute)
     this.startCleanupInterval();
   }
@@ -29,9 +35,11 @@ class LocationTrackerService {
    * @param {number} userId - User's Telegram ID
    * @param {Object} initialLocation - Initial location { latitude, longitude, accuracy }
    * @param {string} userName - User's full name
+   * @param {Array} allowedSites - Sites the user may be at (default: the configured office)
+   * @param {string} purpose - What is verified: arrival, departure or reverify (second check of an arrival)
    * @returns {Object} Session object or error
    */
-  startTracking(userId, initialLocation, userName = '') {
+  startTracking(userId, initialLocation, userName = '', allowedSites = null, purpose = 'arrival') {
     try {
       // Check if user already has an active session
       if (this.trackingSessions.has(userId)) {
@@ -61,13 +69,26 @@ class LocationTrackerService {
         };
       }
 
-      // Check if initial location is within office geofence
-      const initialAnomaly = anomalyDetectorService.detectWrongLocation(initialLocation);
+      const firstPoint = {
+        latitude: initialLocation.latitude,
+        longitude: initialLocation.longitude,
+        accuracy: initialLocation.accuracy || null,
+        timestamp: Date.now()
+      };
+
+      // Check if initial location is within one of the allowed sites
+      const initialAnomaly = anomalyDetectorService.atLocation(
+        anomalyDetectorService.detectWrongLocation(initialLocation, allowedSites),
+        firstPoint
+      );
 
       // Create session
       const session = {
+        id: `${userId}-${Date.now()}`,
         userId: userId,
         userName: userName,
+        purpose: purpose,
+        allowedSites: allowedSites,
         startTime: Date.now(),
         lastUpdateTime: Date.now(),
         isActive: true,
@@ -77,20 +98,16 @@ class LocationTrackerService {
           accuracy: initialLocation.accuracy || null,
           timestamp: Date.now()
         },
-        locationHistory: [
-          {
-            latitude: initialLocation.latitude,
-            longitude: initialLocation.longitude,
-            accuracy: initialLocation.accuracy || null,
-            timestamp: Date.now()
-          }
-        ],
+        locationHistory: [firstPoint],
+        // Every point of the session (locationHistory only keeps the latest ones)
+        trail: [firstPoint],
         anomalies: initialAnomaly ? [initialAnomaly] : [],
         updateCount: 1,
         finalVerdict: null
       };
 
       this.trackingSessions.set(userId, session);
+      trackingStoreService.saveSession(session);
 
       logger.info(`📍 Started location tracking for ${userName} (${userId})`);
       logger.info(`   Initial location: ${initialLocation.latitude.toFixed(6)}, ${initialLocation.longitude.toFixed(6)}`);
@@ -166,6 +183,9 @@ class LocationTrackerService {
       if (session.locationHistory.length > this.MAX_LOCATION_POINTS) {
         session.locationHistory.shift(); // Remove oldest
       }
+      if (session.trail.length < this.MAX_TRAIL_POINTS) {
+        session.trail.push(locationPoint);
+      }
 
       session.lastUpdateTime = Date.now();
       session.updateCount++;
@@ -180,22 +200,22 @@ class LocationTrackerService {
 
       // Check for sudden jump
       if (prevLocation) {
-        const jumpAnomaly = anomalyDetectorService.detectSuddenJump(prevLocation, locationPoint);
+        const jumpAnomaly = anomalyDetectorService.detectSuddenJump(prevLocation, locationPoint, session.allowedSites);
         if (jumpAnomaly) {
-          newAnomalies.push(jumpAnomaly);
+          newAnomalies.push(anomalyDetectorService.atLocation(jumpAnomaly, locationPoint));
         }
 
         // Check for impossible speed
-        const speedAnomaly = anomalyDetectorService.detectImpossibleSpeed(prevLocation, locationPoint);
+        const speedAnomaly = anomalyDetectorService.detectImpossibleSpeed(prevLocation, locationPoint, session.allowedSites);
         if (speedAnomaly) {
-          newAnomalies.push(speedAnomaly);
+          newAnomalies.push(anomalyDetectorService.atLocation(speedAnomaly, locationPoint));
         }
       }
 
       // Check if left geofence
-      const geofenceAnomaly = anomalyDetectorService.detectLeftGeofence(locationPoint);
+      const geofenceAnomaly = anomalyDetectorService.detectLeftGeofence(locationPoint, session.allowedSites);
       if (geofenceAnomaly) {
-        newAnomalies.push(geofenceAnomaly);
+        newAnomalies.push(anomalyDetectorService.atLocation(geofenceAnomaly, locationPoint));
       }
 
       // Check accuracy (only flag if user is also moving)
@@ -203,10 +223,11 @@ class LocationTrackerService {
         const accuracyAnomaly = anomalyDetectorService.detectLowAccuracy(
           location.accuracy,
           prevLocation,
-          locationPoint
+          locationPoint,
+          session.allowedSites
         );
         if (accuracyAnomaly) {
-          newAnomalies.push(accuracyAnomaly);
+          newAnomalies.push(anomalyDetectorService.atLocation(accuracyAnomaly, locationPoint));
         }
       }
 
@@ -216,6 +237,9 @@ class LocationTrackerService {
         logger.warn(`⚠️ Anomalies detected for user ${userId}: ${newAnomalies.map(a => a.type).join(', ')}`);
       }
 
+      // Saved in batches - updates arrive every few seconds
+      trackingStoreService.saveSession(session, false);
+
       // Check if tracking duration completed
       const trackingDuration = (Date.now() - session.startTime) / 1000; // seconds
       const requiredDuration = (Config.TRACKING_DURATION_MINUTES || 5) * 60; // seconds
@@ -226,6 +250,8 @@ class LocationTrackerService {
         success: true,
         newAnomalies: newAnomalies,
         hasAnomalies: newAnomalies.length > 0,
+        // What the anomaly rules say to do now: { action, plannedAction, dryRun }
+        decision: anomalyRulesService.decide(newAnomalies),
         totalAnomalies: session.anomalies.length,
         shouldStopTracking: shouldStopTracking,
         trackingProgress: Math.min(100, (trackingDuration / requiredDuration) * 100)
@@ -274,6 +300,7 @@ class LocationTrackerService {
         updateCount: session.updateCount,
         verificationStatus: analysis.hasAnomaly ? 'FLAGGED' : 'OK'
       };
+      trackingStoreService.saveSession(session);
 
       logger.info(`🛑 Stopped tracking for user ${userId} (${session.userName})`);
       logger.info(`   Reason: ${reason}`);
@@ -435,6 +462,7 @@ class LocationTrackerService {
         stoppedSessions.push({
           userId: userId,
           userName: session.userName,
+          purpose: session.purpose || 'arrival',
           timeSinceLastUpdate: timeSinceLastUpdate / 1000, // seconds
           trackingDuration: trackingDuration / 1000, // seconds
           updateCount: session.updateCount,
@@ -446,6 +474,55 @@ class LocationTrackerService {
     return stoppedSessions;
   }
 
+  /**
+   * Resume sessions that were active when the bot stopped.
+   * Sessions that still receive updates continue; the others are stopped as INTERRUPTED
+   * and returned so the caller can record their verification status.
+   * @returns {Object} { resumed: Array, interrupted: Array }
+   */
+  async resumeSessions() {
+    const now = Date.now();
+    const updateTimeout = (Config.UPDATE_TIMEOUT_SECONDS || 60) * 1000; // milliseconds
+    const requiredDuration = (Config.TRACKING_DURATION_MINUTES || 5) * 60 * 1000; // milliseconds
+    const minUpdates = Config.MIN_UPDATES_FOR_VERIFICATION || 3;
+    const resumed = [];
+    const interrupted = [];
+
+    for (const session of await trackingStoreService.getActiveSessions()) {
+      const current = this.trackingSessions.get(session.userId);
+      if (current && current.isActive) continue;
+
+      // Detection only needs the latest points; the map uses the full trail
+      session.locationHistory = session.trail.slice(-this.MAX_LOCATION_POINTS);
+      this.trackingSessions.set(session.userId, session);
+
+      const stillRunning = now - session.lastUpdateTime <= updateTimeout && now - session.startTime < requiredDuration;
+      if (stillRunning) {
+        resumed.push(session);
+        continue;
+      }
+
+      const stopResult = this.stopTracking(session.userId, 'INTERRUPTED');
+      if (stopResult.success) {
+        interrupted.push({
+          sessionId: session.id,
+          userId: session.userId,
+          userName: session.userName,
+          purpose: session.purpose || 'arrival',
+          updateCount: session.updateCount,
+          hasEnoughData: session.updateCount >= minUpdates,
+          analysis: stopResult.analysis
+        });
+      }
+    }
+
+    if (resumed.length > 0 || interrupted.length > 0) {
+      logger.info(`📍 Tracking sessions after restart: ${resumed.length} resumed, ${interrupted.length} interrupted`);
+    }
+
+    return { resumed, interrupted };
+  }
+
   /**
    * Force stop all sessions for a user (for admin/cleanup)
    * @param {number} userId - User's Telegram ID
@@ -454,6 +531,7 @@ class LocationTrackerService {
     const session = this.trackingSessions.get(userId);
     if (session) {
       session.isActive = false;
+      trackingStoreService.saveSession(session);
       logger.info(`🛑 Force stopped tracking for user ${userId}`);
     }
   }
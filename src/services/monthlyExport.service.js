@@ -0,0 +1,624 @@
+/**
+ * Monthly XLSX export service.
+ * Builds a formatted workbook of a month from Report_YYYY-MM and the History sheet (history.service):
+ *   Сводка   - totals per company (formulas over the company sheets) with a rating chart and a zone chart
+ *   <Company> - one sheet per company: monthly totals of every employee, a per-day attendance grid
+ *               to the right of them and a totals row; headers and names are frozen
+ *
+ * Rows are coloured by rating zone with conditional formatting, so the colours follow the rating
+ * if it is edited in the file. Grid codes: ✓ on time, О late, Н absent (reported), П no-show,
+ * — day off or holiday (scheduleService.getScheduledWorkTime); empty means no data yet.
+ *
+ * exceljs cannot write charts, so the chart parts (DrawingML) are added to the finished file.
+ */
+
+const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
+const moment = require('moment-timezone');
+const Config = require('../config');
+const CalculatorService = require('./calculator.service');
+const logger = require('../utils/logger');
+
+const SUMMARY_SHEET = 'Сводка';
+const NO_COMPANY = 'Без компании';
+
+const CODES = { ontime: '✓', late: 'О', absent: 'Н', notarrived: 'П', dayOff: '—' };
+const CODE_FILLS = { '✓': 'FFC6EFCE', 'О': 'FFFFEB9C', 'Н': 'FFDDEBF7', 'П': 'FFFFC7CE', '—': 'FFEDEDED' };
+const ZONE_FILLS = { green: 'FFC6EFCE', yellow: 'FFFFEB9C', red: 'FFFFC7CE' };
+const ZONE_CHART_COLORS = { green: '10B981', yellow: 'F59E0B', red: 'EF4444' };
+const WEEKDAYS = ['Вс', 'Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб'];
+const HEADER_FILL = 'FF667EEA';
+const TOTAL_FILL = 'FFF1F3F5';
+const FIRST_ROW = 3; // Two header rows
+
+// Monthly totals of an employee; formula columns get the addresses of the row's cells by key
+const STAT_COLUMNS = [
+  { key: 'index', header: '№', width: 5 },
+  { key: 'name', header: 'Сотрудник', width: 28 },
+  { key: 'totalWorkDays', header: 'Рабочих дней', sum: true },
+  { key: 'daysWorked', header: 'Отработано дней', sum: true },
+  { key: 'daysAbsent', header: 'Отсутствий', sum: true },
+  { key: 'onTimeArrivals', header: 'Вовремя', sum: true },
+  { key: 'lateArrivalsNotified', header: 'Опоздания (ув.)', sum: true },
+  { key: 'lateArrivalsSilent', header: 'Опоздания (неув.)', sum: true },
+  { key: 'earlyDepartures', header: 'Ранние уходы', sum: true },
+  { key: 'totalHoursRequired', header: 'Часы по графику', sum: true, numFmt: '0.0' },
+  { key: 'totalHoursWorked', header: 'Часы отработано', sum: true, numFmt: '0.0' },
+  {
+    key: 'balance',
+    header: 'Баланс, ч',
+    numFmt: '+0.0;-0.0;0',
+    formula: c => `${c.totalHoursWorked}-${c.totalHoursRequired}`,
+    result: t => t.totalHoursWorked - t.totalHoursRequired
+  },
+  {
+    key: 'attendance',
+    header: 'Посещаемость',
+    numFmt: '0%',
+    formula: c => `IFERROR(${c.daysWorked}/${c.totalWorkDays},0)`,
+    result: t => (t.totalWorkDays > 0 ? t.daysWorked / t.totalWorkDays : 0)
+  },
+  {
+    key: 'onTimeRate',
+    header: 'Вовремя, %',
+    numFmt: '0%',
+    formula: c => `IFERROR(${c.onTimeArrivals}/(${c.onTimeArrivals}+${c.lateArrivalsNotified}+${c.lateArrivalsSilent}),0)`,
+    result: t => {
+      const arrivals = t.onTimeArrivals + t.lateArrivalsNotified + t.lateArrivalsSilent;
+      return arrivals > 0 ? t.onTimeArrivals / arrivals : 0;
+    }
+  },
+  { key: 'totalPoints', header: 'Баллы', sum: true, numFmt: '0.0' },
+  { key: 'rating', header: 'Рейтинг', numFmt: '0.0' },
+  { key: 'zone', header: 'Зона', width: 14 }
+];
+
+// Summary columns: [header, formula over the company sheet (range of a stat column by key), numFmt]
+const SUMMARY_COLUMNS = [
+  ['Сотрудников', r => `COUNTA(${r('name')})`],
+  ['Зелёная зона', r => `COUNTIF(${r('rating')},">=${Config.GREEN_ZONE_MIN}")`],
+  ['Жёлтая зона', r => `COUNTIFS(${r('rating')},">=${Config.YELLOW_ZONE_MIN}",${r('rating')},"<${Config.GREEN_ZONE_MIN}")`],
+  ['Красная зона', r => `COUNTIF(${r('rating')},"<${Config.YELLOW_ZONE_MIN}")`],
+  ['Ср. рейтинг', r => `IFERROR(AVERAGE(${r('rating')}),0)`, '0.0'],
+  ['Часы по графику', r => `SUM(${r('totalHoursRequired')})`, '0.0'],
+  ['Часы отработано', r => `SUM(${r('totalHoursWorked')})`, '0.0'],
+  ['Вовремя', r => `SUM(${r('onTimeArrivals')})`],
+  ['Опоздания', r => `SUM(${r('lateArrivalsNotified')})+SUM(${r('lateArrivalsSilent')})`],
+  ['Отсутствия', r => `SUM(${r('daysAbsent')})`]
+];
+
+/**
+ * Zone of a rating by the configured thresholds
+ * @param {number} rating
+ * @returns {string} green, yellow or red
+ */
+function zoneOf(rating) {
+  if (rating >= Config.GREEN_ZONE_MIN) return 'green';
+  if (rating >= Config.YELLOW_ZONE_MIN) return 'yellow';
+  return 'red';
+}
+
+/**
+ * Worksheet name of a company: no []:*?/\ characters, at most 31 characters, unique
+ * @param {string} company
+ * @param {Set<string>} taken - Names in use (lower case), updated
+ * @returns {string}
+ */
+function sheetNameOf(company, taken) {
+  const base = company.replace(/[[\]:*?/\\]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 31) || NO_COMPANY;
+  let name = base;
+  for (let i = 2; taken.has(name.toLowerCase()); i++) {
+    name = `${base.slice(0, 31 - `${i}`.length - 1)} ${i}`;
+  }
+  taken.add(name.toLowerCase());
+  return name;
+}
+
+/**
+ * Sheet reference for formulas: 'Sheet name'!
+ * @param {string} name
+ * @returns {string}
+ */
+function sheetRef(name) {
+  return `'${name.replace(/'/g, "''")}'!`;
+}
+
+function escapeXml(value) {
+  return `${value}`.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+function solidFill(argb) {
+  return { type: 'pattern', pattern: 'solid', fgColor: { argb }, bgColor: { argb } };
+}
+
+/**
+ * DrawingML of a chart
+ * @param {Object} chart - { type: 'bar'|'pie', title, series, categories: { ref, values }, values: { ref, values }, colors, max }
+ * @returns {string} XML of the chart part
+ */
+function chartXml(chart) {
+  const cache = (tag, values, formatCode) =>
+    `<c:${tag}>${formatCode ? `<c:formatCode>${formatCode}</c:formatCode>` : ''}<c:ptCount val="${values.length}"/>` +
+    values.map((value, i) => `<c:pt idx="${i}"><c:v>${escapeXml(value)}</c:v></c:pt>`).join('') +
+    `</c:${tag}>`;
+  const fill = color => `<c:spPr><a:solidFill><a:srgbClr val="${color}"/></a:solidFill></c:spPr>`;
+  const points = (chart.colors || []).map((color, i) =>
+    `<c:dPt><c:idx val="${i}"/>${chart.type === 'bar' ? '<c:invertIfNegative val="0"/>' : ''}<c:bubble3D val="0"/>${fill(color)}</c:dPt>`).join('');
+  const labels = '<c:dLbls><c:showLegendKey val="0"/><c:showVal val="1"/><c:showCatName val="0"/>' +
+    '<c:showSerName val="0"/><c:showPercent val="0"/><c:showBubbleSize val="0"/></c:dLbls>';
+
+  const series = `<c:ser><c:idx val="0"/><c:order val="0"/><c:tx><c:v>${escapeXml(chart.series)}</c:v></c:tx>` +
+    (chart.type === 'bar' ? `${fill('667EEA')}<c:invertIfNegative val="0"/>` : '') +
+    points + labels +
+    `<c:cat><c:strRef><c:f>${escapeXml(chart.categories.ref)}</c:f>${cache('strCache', chart.categories.values)}</c:strRef></c:cat>` +
+    `<c:val><c:numRef><c:f>${escapeXml(chart.values.ref)}</c:f>${cache('numCache', chart.values.values, 'General')}</c:numRef></c:val>` +
+    '</c:ser>';
+
+  const plot = chart.type === 'bar'
+    ? '<c:barChart><c:barDir val="col"/><c:grouping val="clustered"/><c:varyColors val="0"/>' + series +
+      '<c:gapWidth val="80"/><c:axId val="1001"/><c:axId val="1002"/></c:barChart>' +
+      '<c:catAx><c:axId val="1001"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/>' +
+      '<c:axPos val="b"/><c:numFmt formatCode="General" sourceLinked="0"/><c:tickLblPos val="nextTo"/>' +
+      '<c:crossAx val="1002"/><c:crosses val="autoZero"/><c:auto val="1"/><c:lblAlgn val="ctr"/><c:lblOffset val="100"/></c:catAx>' +
+      '<c:valAx><c:axId val="1002"/><c:scaling><c:orientation val="minMax"/>' +
+      (chart.max !== undefined ? `<c:max val="${chart.max}"/>` : '') + '<c:min val="0"/></c:scaling>' +
+      '<c:delete val="0"/><c:axPos val="l"/><c:majorGridlines/><c:numFmt formatCode="General" sourceLinked="0"/>' +
+      '<c:tickLblPos val="nextTo"/><c:crossAx val="1001"/><c:crosses val="autoZero"/><c:crossBetween val="between"/></c:valAx>'
+    : '<c:pieChart><c:varyColors val="1"/>' + series + '<c:firstSliceAng val="0"/></c:pieChart>';
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<c:chartSpace xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" ' +
+    'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    '<c:roundedCorners val="0"/><c:chart>' +
+    `<c:title><c:tx><c:rich><a:bodyPr/><a:p><a:r><a:t>${escapeXml(chart.title)}</a:t></a:r></a:p></c:rich></c:tx><c:overlay val="0"/></c:title>` +
+    `<c:autoTitleDeleted val="0"/><c:plotArea><c:layout/>${plot}</c:plotArea>` +
+    (chart.type === 'pie' ? '<c:legend><c:legendPos val="r"/><c:overlay val="0"/></c:legend>' : '') +
+    '<c:plotVisOnly val="1"/></c:chart></c:chartSpace>';
+}
+
+/**
+ * Add charts to a worksheet of a finished workbook
+ * @param {Buffer} buffer - XLSX file
+ * @param {string} sheetName - Worksheet to place the charts on
+ * @param {Array} charts - chartXml() options plus anchor: { from: [col, row], to: [col, row] } (0-based)
+ * @returns {Promise<Buffer>} XLSX file with the charts
+ */
+async function addCharts(buffer, sheetName, charts) {
+  const zip = await JSZip.loadAsync(buffer);
+  const rel = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+  // Worksheet part of the sheet name
+  const workbook = await zip.file('xl/workbook.xml').async('string');
+  const sheet = workbook.match(new RegExp(`<sheet [^>]*name="${escapeXml(sheetName)}"[^>]*r:id="([^"]+)"`));
+  const workbookRels = await zip.file('xl/_rels/workbook.xml.rels').async('string');
+  const target = sheet && workbookRels.match(new RegExp(`Id="${sheet[1]}"[^>]*Target="([^"]+)"`));
+  if (!target) throw new Error(`Worksheet ${sheetName} not found`);
+  const sheetPath = `xl/${target[1].replace(/^\/?xl\//, '')}`;
+  const sheetFile = sheetPath.split('/').pop();
+
+  let contentTypes = await zip.file('[Content_Types].xml').async('string');
+  const overrides = [];
+
+  const anchors = charts.map((chart, i) => {
+    zip.file(`xl/charts/chart${i + 1}.xml`, chartXml(chart));
+    overrides.push(`<Override PartName="/xl/charts/chart${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.drawingml.chart+xml"/>`);
+
+    const [fromCol, fromRow] = chart.anchor.from;
+    const [toCol, toRow] = chart.anchor.to;
+    return '<xdr:twoCellAnchor>' +
+      `<xdr:from><xdr:col>${fromCol}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${fromRow}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:from>` +
+      `<xdr:to><xdr:col>${toCol}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${toRow}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:to>` +
+      `<xdr:graphicFrame macro=""><xdr:nvGraphicFramePr><xdr:cNvPr id="${i + 2}" name="Chart ${i + 1}"/><xdr:cNvGraphicFramePr/></xdr:nvGraphicFramePr>` +
+      '<xdr:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/></xdr:xfrm>' +
+      '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/chart">' +
+      `<c:chart xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" xmlns:r="${rel}" r:id="rId${i + 1}"/>` +
+      '</a:graphicData></a:graphic></xdr:graphicFrame><xdr:clientData/></xdr:twoCellAnchor>';
+  });
+
+  zip.file('xl/drawings/drawing1.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<xdr:wsDr xmlns:xdr="http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing" ' +
+    `xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">${anchors.join('')}</xdr:wsDr>`);
+  zip.file('xl/drawings/_rels/drawing1.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    charts.map((chart, i) => `<Relationship Id="rId${i + 1}" Type="${rel}/chart" Target="../charts/chart${i + 1}.xml"/>`).join('') +
+    '</Relationships>');
+  overrides.push('<Override PartName="/xl/drawings/drawing1.xml" ContentType="application/vnd.openxmlformats-officedocument.drawing+xml"/>');
+
+  // Link the drawing from the worksheet
+  const sheetRelsPath = `xl/worksheets/_rels/${sheetFile}.rels`;
+  const drawingRel = `<Relationship Id="rIdCharts" Type="${rel}/drawing" Target="../drawings/drawing1.xml"/>`;
+  const sheetRels = zip.file(sheetRelsPath)
+    ? (await zip.file(sheetRelsPath).async('string')).replace('</Relationships>', `${drawingRel}</Relationships>`)
+    : '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${drawingRel}</Relationships>`;
+  zip.file(sheetRelsPath, sheetRels);
+
+  // <drawing> goes after the page setup and before legacy drawings, tables and extensions
+  let sheetXml = await zip.file(sheetPath).async('string');
+  const next = sheetXml.search(/<(legacyDrawing|legacyDrawingHF|picture|oleObjects|controls|webPublishItems|tableParts|extLst)[ >/]|<\/worksheet>/);
+  sheetXml = `${sheetXml.slice(0, next)}<drawing r:id="rIdCharts"/>${sheetXml.slice(next)}`;
+  zip.file(sheetPath, sheetXml);
+
+  contentTypes = contentTypes.replace('</Types>', `${overrides.join('')}</Types>`);
+  zip.file('[Content_Types].xml', contentTypes);
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+class MonthlyExportService {
+  /**
+   * Monthly data of the export: report rows grouped by company with the per-day attendance codes
+   * @param {string} yearMonth - Month in YYYY-MM format
+   * @param {Set<string>|null} ids - Allowed Telegram IDs, null for everyone
+   * @returns {Object|null} { yearMonth, dates, companies: [{ company, employees: [{ ...report row, days: [code] }] }] },
+   *   null when the month has no report
+   */
+  async getMonthData(yearMonth, ids = null) {
+    const sheetsService = require('./sheets.service');
+    const historyService = require('./history.service');
+    const scheduleService = require('./schedule.service');
+
+    const report = await sheetsService.getMonthlyReport(yearMonth);
+    if (!report) return null;
+
+    const now = moment.tz(Config.TIMEZONE);
+    const today = now.format('YYYY-MM-DD');
+    const start = moment.tz(`${yearMonth}-01`, Config.TIMEZONE);
+    const dates = [];
+    for (let day = start.clone(); day.month() === start.month(); day.add(1, 'day')) {
+      dates.push(day.format('YYYY-MM-DD'));
+    }
+
+    const lastDate = dates[dates.length - 1] < today ? dates[dates.length - 1] : today;
+    const history = dates[0] <= lastDate
+      ? await historyService.getHistory({ from: dates[0], to: lastDate, ids })
+      : { entries: [] };
+    const entries = new Map(history.entries.map(entry => [`${entry.telegramId}|${entry.date}`, entry]));
+
+    const roster = new Map();
+    for (const row of await sheetsService._getCachedRoster()) {
+      const employee = scheduleService.employeeFromRosterRow(row);
+      if (employee.telegramId) roster.set(employee.telegramId, employee);
+    }
+
+    const companies = new Map();
+    for (const row of report) {
+      if (!row.telegramId || (ids && !ids.has(row.telegramId))) continue;
+
+      const employee = roster.get(row.telegramId) || row.telegramId;
+      const days = [];
+      for (const date of dates) {
+        days.push(date > today ? '' : await this._dayCode(employee, date, entries.get(`${row.telegramId}|${date}`), today));
+      }
+
+      const company = row.company.trim() || NO_COMPANY;
+      if (!companies.has(company)) companies.set(company, []);
+      companies.get(company).push({ ...row, days });
+    }
+
+    return {
+      yearMonth,
+      dates,
+      companies: [...companies.entries()]
+        .map(([company, employees]) => ({ company, employees: employees.sort((a, b) => b.rating - a.rating || a.name.localeCompare(b.name)) }))
+        .sort((a, b) => (a.company === NO_COMPANY) - (b.company === NO_COMPANY) || a.company.localeCompare(b.company))
+    };
+  }
+
+  /**
+   * Grid code of an employee's day
+   * @param {Object|string} employee - Roster employee (or Telegram ID)
+   * @param {string} date - YYYY-MM-DD
+   * @param {Object|undefined} entry - History entry of the day
+   * @param {string} today - YYYY-MM-DD
+   * @returns {string}
+   */
+  async _dayCode(employee, date, entry, today) {
+    const scheduleService = require('./schedule.service');
+    const came = entry && entry.arrival && !entry.absent;
+
+    // Day off or holiday: only coming in anyway is shown
+    if (!(await scheduleService.getScheduledWorkTime(employee, moment.tz(date, Config.TIMEZONE)))) {
+      return came ? CODES[entry.status] || CODES.ontime : CODES.dayOff;
+    }
+    if (!entry) return '';
+    // Today is not over yet
+    if (entry.status === 'notarrived' && date === today) return '';
+    return CODES[entry.status] || '';
+  }
+
+  /**
+   * The workbook of getMonthData
+   * @param {Object} data - From getMonthData
+   * @returns {Promise<Buffer>} XLSX file
+   */
+  async buildXlsx(data) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Attendance Bot';
+    workbook.created = moment.tz(Config.TIMEZONE).toDate();
+
+    // The summary goes first but refers to the company sheets, so it is filled in last
+    const summary = workbook.addWorksheet(SUMMARY_SHEET, { views: [{ state: 'frozen', ySplit: 4 }] });
+    const taken = new Set([SUMMARY_SHEET.toLowerCase()]);
+    const sheets = data.companies.map(company => this._addCompanySheet(workbook, sheetNameOf(company.company, taken), company, data.dates));
+
+    const chartRows = this._fillSummary(summary, data, sheets);
+    const buffer = await workbook.xlsx.writeBuffer();
+    if (sheets.length === 0) return Buffer.from(buffer);
+
+    const totals = sheets.reduce((total, s) => {
+      for (const employee of s.company.employees) total[zoneOf(employee.rating)]++;
+      return total;
+    }, { green: 0, yellow: 0, red: 0 });
+    const ref = (col, from, to) => `${sheetRef(SUMMARY_SHEET)}$${col}$${from}:$${col}$${to}`;
+    const first = 5;
+    const last = first + sheets.length - 1;
+
+    return addCharts(Buffer.from(buffer), SUMMARY_SHEET, [
+      {
+        type: 'bar',
+        title: 'Средний рейтинг по компаниям',
+        series: 'Ср. рейтинг',
+        categories: { ref: ref('A', first, last), values: sheets.map(s => s.name) },
+        values: { ref: ref('F', first, last), values: sheets.map(s => Math.round(s.averageRating * 10) / 10) },
+        colors: sheets.map(s => ZONE_CHART_COLORS[zoneOf(s.averageRating)]),
+        max: 10,
+        anchor: { from: [0, chartRows], to: [6, chartRows + 18] }
+      },
+      {
+        type: 'pie',
+        title: 'Рейтинговые зоны',
+        series: 'Сотрудников',
+        categories: { ref: `${sheetRef(SUMMARY_SHEET)}$C$4:$E$4`, values: ['Зелёная зона', 'Жёлтая зона', 'Красная зона'] },
+        values: { ref: `${sheetRef(SUMMARY_SHEET)}$C$${last + 1}:$E$${last + 1}`, values: [totals.green, totals.yellow, totals.red] },
+        colors: [ZONE_CHART_COLORS.green, ZONE_CHART_COLORS.yellow, ZONE_CHART_COLORS.red],
+        anchor: { from: [7, chartRows], to: [12, chartRows + 18] }
+      }
+    ]);
+  }
+
+  /**
+   * Sheet of a company: totals and day grid of every employee, totals row and legend
+   * @param {ExcelJS.Workbook} workbook
+   * @param {string} name - Sheet name
+   * @param {Object} company - { company, employees }
+   * @param {Array<string>} dates - Days of the month
+   * @returns {Object} { name, company, columns (key -> letter), firstRow, lastRow, averageRating }
+   */
+  _addCompanySheet(workbook, name, company, dates) {
+    const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', xSplit: 2, ySplit: 2 }] });
+    const employees = company.employees;
+    const firstRow = FIRST_ROW;
+    const lastRow = firstRow + Math.max(employees.length, 1) - 1;
+    const totalRow = lastRow + 1;
+
+    const letter = index => sheet.getColumn(index).letter;
+    const columns = {};
+    STAT_COLUMNS.forEach((column, i) => {
+      columns[column.key] = letter(i + 1);
+      sheet.getColumn(i + 1).width = column.width || 11;
+    });
+    const gridStart = STAT_COLUMNS.length + 2; // One empty column between the totals and the grid
+    const gridEnd = gridStart + dates.length - 1;
+    const tallies = [CODES.ontime, CODES.late, CODES.absent, CODES.notarrived];
+    sheet.getColumn(gridStart - 1).width = 2;
+    for (let i = gridStart; i <= gridEnd; i++) sheet.getColumn(i).width = 4.5;
+    tallies.forEach((code, i) => { sheet.getColumn(gridEnd + 1 + i).width = 5; });
+
+    // Header rows: groups, then columns
+    sheet.mergeCells(1, 1, 1, STAT_COLUMNS.length);
+    sheet.getCell(1, 1).value = `${company.company} - итоги месяца`;
+    sheet.mergeCells(1, gridStart, 1, gridEnd + tallies.length);
+    sheet.getCell(1, gridStart).value = 'Посещаемость по дням';
+    STAT_COLUMNS.forEach((column, i) => { sheet.getCell(2, i + 1).value = column.header; });
+    dates.forEach((date, i) => {
+      const day = moment(date);
+      sheet.getCell(2, gridStart + i).value = `${day.date()}\n${WEEKDAYS[day.day()]}`;
+    });
+    tallies.forEach((code, i) => { sheet.getCell(2, gridEnd + 1 + i).value = code; });
+
+    for (const row of [1, 2]) {
+      sheet.getRow(row).eachCell(cell => {
+        cell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        cell.fill = solidFill(HEADER_FILL);
+        cell.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
+      });
+    }
+    sheet.getRow(2).height = 42;
+
+    // Employees
+    employees.forEach((employee, i) => {
+      const rowNumber = firstRow + i;
+      const cells = Object.fromEntries(Object.entries(columns).map(([key, col]) => [key, `${col}${rowNumber}`]));
+      const values = { ...employee, index: i + 1, zone: CalculatorService.getRatingZone(employee.rating).zoneName };
+
+      STAT_COLUMNS.forEach((column, c) => {
+        const cell = sheet.getCell(rowNumber, c + 1);
+        cell.value = column.formula ? { formula: column.formula(cells), result: column.result(employee) } : values[column.key];
+        if (column.numFmt) cell.numFmt = column.numFmt;
+      });
+
+      const gridRange = `${letter(gridStart)}${rowNumber}:${letter(gridEnd)}${rowNumber}`;
+      employee.days.forEach((code, d) => {
+        const cell = sheet.getCell(rowNumber, gridStart + d);
+        cell.value = code;
+        cell.alignment = { horizontal: 'center' };
+        if (CODE_FILLS[code]) cell.fill = solidFill(CODE_FILLS[code]);
+      });
+      tallies.forEach((code, t) => {
+        sheet.getCell(rowNumber, gridEnd + 1 + t).value = {
+          formula: `COUNTIF(${gridRange},"${code}")`,
+          result: employee.days.filter(day => day === code).length
+        };
+      });
+    });
+
+    // Totals row: sums, average rating, rates of the sums and people present per day
+    const totals = {};
+    for (const column of STAT_COLUMNS.filter(c => c.sum)) {
+      totals[column.key] = employees.reduce((total, e) => total + e[column.key], 0);
+    }
+    const averageRating = employees.length > 0 ? employees.reduce((total, e) => total + e.rating, 0) / employees.length : 0;
+    const range = key => `${columns[key]}${firstRow}:${columns[key]}${lastRow}`;
+    const totalCells = Object.fromEntries(Object.keys(columns).map(key => [key, `${columns[key]}${totalRow}`]));
+
+    sheet.getCell(totalRow, 2).value = 'Итого';
+    STAT_COLUMNS.forEach((column, c) => {
+      const cell = sheet.getCell(totalRow, c + 1);
+      if (column.sum) cell.value = { formula: `SUM(${range(column.key)})`, result: totals[column.key] };
+      else if (column.formula) cell.value = { formula: column.formula(totalCells), result: column.result(totals) };
+      else if (column.key === 'rating') cell.value = { formula: `IFERROR(AVERAGE(${range('rating')}),0)`, result: averageRating };
+      if (column.numFmt) cell.numFmt = column.numFmt;
+    });
+    dates.forEach((date, d) => {
+      const col = letter(gridStart + d);
+      const present = employees.filter(e => e.days[d] === CODES.ontime || e.days[d] === CODES.late).length;
+      sheet.getCell(totalRow, gridStart + d).value = {
+        formula: `COUNTIF(${col}${firstRow}:${col}${lastRow},"${CODES.ontime}")+COUNTIF(${col}${firstRow}:${col}${lastRow},"${CODES.late}")`,
+        result: present
+      };
+      sheet.getCell(totalRow, gridStart + d).alignment = { horizontal: 'center' };
+    });
+    tallies.forEach((code, t) => {
+      const col = letter(gridEnd + 1 + t);
+      sheet.getCell(totalRow, gridEnd + 1 + t).value = {
+        formula: `SUM(${col}${firstRow}:${col}${lastRow})`,
+        result: employees.reduce((total, e) => total + e.days.filter(day => day === code).length, 0)
+      };
+    });
+    sheet.getRow(totalRow).eachCell(cell => {
+      cell.font = { bold: true };
+      cell.fill = solidFill(TOTAL_FILL);
+    });
+
+    sheet.getCell(totalRow + 2, 2).value =
+      `${CODES.ontime} вовремя   ${CODES.late} опоздал   ${CODES.absent} отсутствовал   ` +
+      `${CODES.notarrived} не пришёл без предупреждения   ${CODES.dayOff} выходной / праздник`;
+    sheet.getCell(totalRow + 2, 2).font = { italic: true, color: { argb: 'FF6C757D' } };
+
+    // Rating zone colours of the employee rows
+    const rating = `$${columns.rating}${firstRow}`;
+    sheet.addConditionalFormatting({
+      ref: `A${firstRow}:${columns.zone}${lastRow}`,
+      rules: [
+        { type: 'expression', priority: 1, formulae: [`${rating}>=${Config.GREEN_ZONE_MIN}`], style: { fill: solidFill(ZONE_FILLS.green) } },
+        { type: 'expression', priority: 2, formulae: [`AND(${rating}>=${Config.YELLOW_ZONE_MIN},${rating}<${Config.GREEN_ZONE_MIN})`], style: { fill: solidFill(ZONE_FILLS.yellow) } },
+        { type: 'expression', priority: 3, formulae: [`${rating}<${Config.YELLOW_ZONE_MIN}`], style: { fill: solidFill(ZONE_FILLS.red) } }
+      ]
+    });
+
+    return { name, company, columns, firstRow, lastRow, averageRating };
+  }
+
+  /**
+   * Summary sheet: one row per company with formulas over its sheet and a totals row
+   * @param {ExcelJS.Worksheet} sheet
+   * @param {Object} data - From getMonthData
+   * @param {Array} sheets - From _addCompanySheet
+   * @returns {number} First free row (0-based) for the charts
+   */
+  _fillSummary(sheet, data, sheets) {
+    sheet.getColumn(1).width = 28;
+    SUMMARY_COLUMNS.forEach((column, i) => { sheet.getColumn(i + 2).width = 14; });
+    sheet.getColumn(SUMMARY_COLUMNS.length + 2).width = 12;
+
+    sheet.getCell('A1').value = `Месячный отчёт за ${data.yearMonth}`;
+    sheet.getCell('A1').font = { bold: true, size: 16, color: { argb: HEADER_FILL } };
+    sheet.getCell('A2').value = `Сгенерировано ${moment.tz(Config.TIMEZONE).format('DD.MM.YYYY HH:mm')}`;
+    sheet.getCell('A2').font = { italic: true, color: { argb: 'FF6C757D' } };
+
+    const headers = ['Компания', ...SUMMARY_COLUMNS.map(([header]) => header), 'Вовремя, %'];
+    headers.forEach((header, i) => {
+      const cell = sheet.getCell(4, i + 1);
+      cell.value = header;
+      cell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+      cell.fill = solidFill(HEADER_FILL);
+      cell.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
+    });
+    sheet.getRow(4).height = 30;
+    if (sheets.length === 0) return 5;
+
+    const rateColumn = SUMMARY_COLUMNS.length + 2;
+    const letter = index => sheet.getColumn(index).letter;
+    const rate = row => `IFERROR(${letter(9)}${row}/(${letter(9)}${row}+${letter(10)}${row}),0)`;
+
+    // Values of the company rows, for the cached results
+    const valuesOf = employees => {
+      const sum = field => employees.reduce((total, e) => total + e[field], 0);
+      const zones = employees.map(e => zoneOf(e.rating));
+      return [
+        employees.length,
+        zones.filter(z => z === 'green').length,
+        zones.filter(z => z === 'yellow').length,
+        zones.filter(z => z === 'red').length,
+        employees.length > 0 ? sum('rating') / employees.length : 0,
+        sum('totalHoursRequired'),
+        sum('totalHoursWorked'),
+        sum('onTimeArrivals'),
+        sum('lateArrivalsNotified') + sum('lateArrivalsSilent'),
+        sum('daysAbsent')
+      ];
+    };
+    const rateOf = values => (values[7] + values[8] > 0 ? values[7] / (values[7] + values[8]) : 0);
+
+    const firstRow = 5;
+    sheets.forEach((s, i) => {
+      const row = firstRow + i;
+      const range = key => `${sheetRef(s.name)}${s.columns[key]}${s.firstRow}:${s.columns[key]}${s.lastRow}`;
+      const values = valuesOf(s.company.employees);
+
+      sheet.getCell(row, 1).value = { text: s.name, hyperlink: `#${sheetRef(s.name)}A1` };
+      sheet.getCell(row, 1).font = { color: { argb: 'FF3B82F6' }, underline: true };
+      SUMMARY_COLUMNS.forEach(([, formula, numFmt], c) => {
+        const cell = sheet.getCell(row, c + 2);
+        cell.value = { formula: formula(range), result: values[c] };
+        if (numFmt) cell.numFmt = numFmt;
+      });
+      sheet.getCell(row, rateColumn).value = { formula: rate(row), result: rateOf(values) };
+      sheet.getCell(row, rateColumn).numFmt = '0%';
+    });
+
+    // Totals of all companies; the rating is the average over employees
+    const totalRow = firstRow + sheets.length;
+    const lastRow = Math.max(totalRow - 1, firstRow);
+    const all = valuesOf(sheets.flatMap(s => s.company.employees));
+    sheet.getCell(totalRow, 1).value = 'Итого';
+    SUMMARY_COLUMNS.forEach(([, , numFmt], c) => {
+      const col = letter(c + 2);
+      const cell = sheet.getCell(totalRow, c + 2);
+      cell.value = c === 4
+        ? { formula: `IFERROR(SUMPRODUCT(B${firstRow}:B${lastRow},${col}${firstRow}:${col}${lastRow})/SUM(B${firstRow}:B${lastRow}),0)`, result: all[c] }
+        : { formula: `SUM(${col}${firstRow}:${col}${lastRow})`, result: all[c] };
+      if (numFmt) cell.numFmt = numFmt;
+    });
+    sheet.getCell(totalRow, rateColumn).value = { formula: rate(totalRow), result: rateOf(all) };
+    sheet.getCell(totalRow, rateColumn).numFmt = '0%';
+    sheet.getRow(totalRow).eachCell(cell => {
+      cell.font = { bold: true };
+      cell.fill = solidFill(TOTAL_FILL);
+    });
+
+    // Zone colours of the average rating
+    const rating = `$F${firstRow}`;
+    sheet.addConditionalFormatting({
+      ref: `F${firstRow}:F${totalRow}`,
+      rules: [
+        { type: 'expression', priority: 1, formulae: [`${rating}>=${Config.GREEN_ZONE_MIN}`], style: { fill: solidFill(ZONE_FILLS.green) } },
+        { type: 'expression', priority: 2, formulae: [`AND(${rating}>=${Config.YELLOW_ZONE_MIN},${rating}<${Config.GREEN_ZONE_MIN})`], style: { fill: solidFill(ZONE_FILLS.yellow) } },
+        { type: 'expression', priority: 3, formulae: [`${rating}<${Config.YELLOW_ZONE_MIN}`], style: { fill: solidFill(ZONE_FILLS.red) } }
+      ]
+    });
+    [3, 4, 5].forEach((col, i) => {
+      sheet.getCell(4, col).fill = solidFill(Object.values(ZONE_FILLS)[i]);
+      sheet.getCell(4, col).font = { bold: true };
+    });
+
+    logger.info(`Monthly export ${data.yearMonth}: ${sheets.length} company sheets`);
+    return totalRow + 1;
+  }
+}
+
+module.exports = new MonthlyExportService();
+module.exports.SUMMARY_SHEET = SUMMARY_SHEET;
+module.exports.CODES = CODES;
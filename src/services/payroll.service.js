@@ -0,0 +1,358 @@
+/**
+ * Payroll service.
+ * Turns the monthly aggregates of Report_YYYY-MM into pay, with the rates of the Pay Rates sheet:
+ *   Telegram Id | Name | Pay type | Rate | Overtime rate | Absence deduction | Deficit deduction
+ *
+ * - "Pay type": hourly (Rate per hour worked) or monthly (Rate = salary of the month).
+ * - "Overtime rate": overtime hour = hourly rate × this (PAYROLL_OVERTIME_RATE when empty).
+ * - "Absence deduction": days of pay deducted per unexcused absence ("Days Absent (Silent)").
+ * - "Deficit deduction": deficit hour = hourly rate × this.
+ *   Both default to PAYROLL_ABSENCE_DEDUCTION_DAYS / PAYROLL_DEFICIT_RATE for salaries and to 0
+ *   for hourly pay, where missed time is simply not paid (a value there is a fine on top).
+ *
+ * Overtime and deficit are netted like the report's balance (surplus - deficit minutes). Overtime
+ * is credited only when no time is left to work off (CalculatorService.shouldCreditOvertime).
+ * The hourly rate of a salary is Rate / "Total Hours Required", its daily rate Rate / "Total Work Days".
+ * Employees without a Rate get no payslip and are listed as missing.
+ */
+
+const moment = require('moment-timezone');
+const Config = require('../config');
+const CalculatorService = require('./calculator.service');
+const logger = require('../utils/logger');
+
+const PAY_RATE_HEADERS = ['Telegram Id', 'Name', 'Pay type', 'Rate', 'Overtime rate', 'Absence deduction', 'Deficit deduction'];
+
+const PAY_TYPES = ['hourly', 'monthly'];
+
+const PAY_TYPE_ALIASES = {
+  hour: 'hourly',
+  'почасовая': 'hourly',
+  salary: 'monthly',
+  month: 'monthly',
+  'оклад': 'monthly'
+};
+
+// Columns of the CSV/XLSX export
+const EXPORT_COLUMNS = [
+  ['Telegram ID', p => p.telegramId],
+  ['Name', p => p.name],
+  ['Company', p => p.company],
+  ['Pay type', p => p.payType],
+  ['Rate', p => p.rate],
+  ['Hourly rate', p => p.hourlyRate],
+  ['Work days', p => p.totalWorkDays],
+  ['Days worked', p => p.daysWorked],
+  ['Hours required', p => p.hoursRequired],
+  ['Hours worked', p => p.hoursWorked],
+  ['Base pay', p => p.basePay],
+  ['Overtime hours', p => p.overtimeHours],
+  ['Overtime pay', p => p.overtimePay],
+  ['Unexcused absences', p => p.unexcusedAbsences],
+  ['Absence deduction', p => p.absenceDeduction],
+  ['Deficit hours', p => p.deficitHours],
+  ['Deficit deduction', p => p.deficitDeduction],
+  ['Penalty minutes', p => p.penaltyMinutes],
+  ['Net pay', p => p.netPay],
+  ['Currency', p => p.currency],
+  ['Note', p => p.notes.join('; ')]
+];
+
+/**
+ * Round money to 2 decimals
+ * @param {number} value
+ * @returns {number}
+ */
+function money(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Parse a number cell
+ * @param {*} value - Cell value
+ * @returns {number|null} Number or null when empty/invalid
+ */
+function parseNumber(value) {
+  const text = (value === null || value === undefined ? '' : value.toString()).replace(/\s/g, '').replace(',', '.');
+  if (!text) return null;
+  const number = parseFloat(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Format money for messages: 1 234 567.5
+ * @param {number} value
+ * @returns {string}
+ */
+function formatMoney(value) {
+  const [whole, fraction] = Math.abs(value).toFixed(2).split('.');
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ' ');
+  return `${value < 0 ? '-' : ''}${grouped}${fraction === '00' ? '' : `.${fraction}`}`;
+}
+
+class PayrollService {
+  constructor() {
+    this._rates = null; // Map telegramId -> rate
+    this._lastLoaded = 0;
+    this._loading = null;
+    this._cacheTimeout = 300000; // 5 minutes - same as the sites cache
+  }
+
+  /**
+   * Get the Pay Rates worksheet, writing headers on a new sheet
+   * @returns {Object} Worksheet
+   */
+  async _getWorksheet() {
+    const sheetsService = require('./sheets.service');
+    const worksheet = await sheetsService.getWorksheet(Config.SHEET_PAY_RATES);
+
+    try {
+      await worksheet.loadHeaderRow();
+    } catch (headerError) {
+      if (worksheet.columnCount < PAY_RATE_HEADERS.length) {
+        await worksheet.resize({ rowCount: worksheet.rowCount || 1000, columnCount: PAY_RATE_HEADERS.length });
+      }
+      await worksheet.setHeaderRow(PAY_RATE_HEADERS);
+      logger.info(`Created '${Config.SHEET_PAY_RATES}' sheet headers`);
+    }
+
+    return worksheet;
+  }
+
+  /**
+   * Parse one Pay Rates sheet row
+   * @param {Object} row - Sheet row
+   * @returns {Object|null} Rate or null if the row is empty/invalid
+   */
+  _parseRow(row) {
+    const telegramId = (row.get('Telegram Id') || '').toString().trim();
+    if (!telegramId) return null;
+
+    const typeCell = (row.get('Pay type') || '').toString().trim().toLowerCase();
+    const payType = PAY_TYPE_ALIASES[typeCell] || typeCell || 'monthly';
+    const rate = parseNumber(row.get('Rate'));
+    if (!PAY_TYPES.includes(payType) || rate === null || rate < 0) {
+      logger.warn(`Pay rates: invalid pay type or rate for ${telegramId} - row ignored`);
+      return null;
+    }
+
+    return {
+      telegramId,
+      name: (row.get('Name') || '').toString().trim(),
+      payType,
+      rate,
+      overtimeRate: parseNumber(row.get('Overtime rate')),
+      absenceDeduction: parseNumber(row.get('Absence deduction')),
+      deficitDeduction: parseNumber(row.get('Deficit deduction'))
+    };
+  }
+
+  /**
+   * Load the pay rates (cached)
+   * @returns {Map<string, Object>} telegramId -> rate
+   */
+  async getRates() {
+    if (this._rates && (Date.now() - this._lastLoaded) < this._cacheTimeout) {
+      return this._rates;
+    }
+    if (this._loading) return this._loading;
+
+    this._loading = (async () => {
+      const rates = new Map();
+
+      try {
+        const worksheet = await this._getWorksheet();
+        for (const row of await worksheet.getRows()) {
+          const rate = this._parseRow(row);
+          if (rate) rates.set(rate.telegramId, rate);
+        }
+      } catch (error) {
+        logger.error(`Error loading pay rates: ${error.message}`);
+        if (this._rates) return this._rates;
+      }
+
+      this._rates = rates;
+      this._lastLoaded = Date.now();
+      return this._rates;
+    })();
+
+    try {
+      return await this._loading;
+    } finally {
+      this._loading = null;
+    }
+  }
+
+  /**
+   * Payslip of one employee
+   * @param {Object} stats - Monthly report entry (sheetsService.getMonthlyReport)
+   * @param {Object} rate - Pay rate (getRates)
+   * @returns {Object} Payslip
+   */
+  calculatePayslip(stats, rate) {
+    const monthly = rate.payType === 'monthly';
+    const notes = [];
+
+    const hourlyRate = monthly
+      ? (stats.totalHoursRequired > 0 ? rate.rate / stats.totalHoursRequired : 0)
+      : rate.rate;
+    const dailyRate = monthly
+      ? (stats.totalWorkDays > 0 ? rate.rate / stats.totalWorkDays : 0)
+      : (stats.totalWorkDays > 0 ? rate.rate * stats.totalHoursRequired / stats.totalWorkDays : 0);
+    if (monthly && stats.totalHoursRequired <= 0) {
+      notes.push('нет нормы часов - переработка и недоработка не считаются');
+    }
+
+    const overtimeRate = rate.overtimeRate !== null ? rate.overtimeRate : Config.PAYROLL_OVERTIME_RATE;
+    const absenceDays = rate.absenceDeduction !== null ? rate.absenceDeduction : (monthly ? Config.PAYROLL_ABSENCE_DEDUCTION_DAYS : 0);
+    const deficitRate = rate.deficitDeduction !== null ? rate.deficitDeduction : (monthly ? Config.PAYROLL_DEFICIT_RATE : 0);
+
+    // Net the month like the report's balance: surplus works off the deficit first
+    const toWorkOffMinutes = Math.max(0, stats.totalDeficitMinutes - stats.totalSurplusMinutes);
+    const overtimeMinutes = CalculatorService.shouldCreditOvertime(toWorkOffMinutes)
+      ? stats.totalSurplusMinutes - stats.totalDeficitMinutes
+      : 0;
+    const overtimeHours = overtimeMinutes / 60;
+    const deficitHours = toWorkOffMinutes / 60;
+
+    // Hourly pay already covers every hour worked at 1×, overtime adds only the premium
+    const basePay = monthly ? rate.rate : stats.totalHoursWorked * rate.rate;
+    const overtimePay = overtimeHours * hourlyRate * (monthly ? overtimeRate : overtimeRate - 1);
+    const absenceDeduction = stats.daysAbsentSilent * absenceDays * dailyRate;
+    const deficitDeduction = deficitHours * hourlyRate * deficitRate;
+
+    return {
+      telegramId: stats.telegramId,
+      name: stats.name || rate.name,
+      company: stats.company,
+      payType: rate.payType,
+      rate: rate.rate,
+      hourlyRate: money(hourlyRate),
+      totalWorkDays: stats.totalWorkDays,
+      daysWorked: stats.daysWorked,
+      hoursRequired: stats.totalHoursRequired,
+      hoursWorked: stats.totalHoursWorked,
+      basePay: money(basePay),
+      overtimeHours: money(overtimeHours),
+      overtimePay: money(Math.max(0, overtimePay)),
+      unexcusedAbsences: stats.daysAbsentSilent,
+      absenceDeduction: money(absenceDeduction),
+      deficitHours: money(deficitHours),
+      deficitDeduction: money(deficitDeduction),
+      penaltyMinutes: stats.totalPenaltyMinutes,
+      netPay: money(Math.max(0, basePay + Math.max(0, overtimePay) - absenceDeduction - deficitDeduction)),
+      currency: Config.PAYROLL_CURRENCY,
+      notes
+    };
+  }
+
+  /**
+   * Payroll of a month
+   * @param {string} yearMonth - YYYY-MM
+   * @returns {Object|null} { yearMonth, payslips, missing: [{ telegramId, name }], total }, null without a monthly report
+   */
+  async getPayroll(yearMonth) {
+    const sheetsService = require('./sheets.service');
+    const report = await sheetsService.getMonthlyReport(yearMonth);
+    if (!report) return null;
+
+    const rates = await this.getRates();
+    const payslips = [];
+    const missing = [];
+    for (const stats of report) {
+      const rate = rates.get(stats.telegramId);
+      if (rate) {
+        payslips.push(this.calculatePayslip(stats, rate));
+      } else {
+        missing.push({ telegramId: stats.telegramId, name: stats.name });
+      }
+    }
+
+    payslips.sort((a, b) => a.name.localeCompare(b.name));
+    return {
+      yearMonth,
+      payslips,
+      missing,
+      total: money(payslips.reduce((sum, p) => sum + p.netPay, 0))
+    };
+  }
+
+  /**
+   * Payslip as a message
+   * @param {Object} payslip - From calculatePayslip
+   * @param {string} yearMonth - YYYY-MM
+   * @returns {string}
+   */
+  formatPayslip(payslip, yearMonth) {
+    const currency = payslip.currency;
+    const month = moment(yearMonth, 'YYYY-MM').format('MM.YYYY');
+    let text = `💰 Расчётный лист за ${month}\n👤 ${payslip.name}\n\n`;
+
+    text += payslip.payType === 'monthly'
+      ? `📋 Оклад: ${formatMoney(payslip.rate)} ${currency} (${formatMoney(payslip.hourlyRate)} ${currency}/ч)\n`
+      : `📋 Почасовая ставка: ${formatMoney(payslip.rate)} ${currency}/ч\n`;
+    text += `📅 Отработано: ${payslip.daysWorked} из ${payslip.totalWorkDays} дн., ${payslip.hoursWorked} из ${payslip.hoursRequired} ч\n\n`;
+
+    text += `➕ Начислено: ${formatMoney(payslip.basePay)} ${currency}\n`;
+    if (payslip.overtimePay > 0) {
+      text += `➕ Переработка ${payslip.overtimeHours} ч: ${formatMoney(payslip.overtimePay)} ${currency}\n`;
+    }
+    if (payslip.absenceDeduction > 0) {
+      text += `➖ Прогулы (${payslip.unexcusedAbsences} дн.): ${formatMoney(payslip.absenceDeduction)} ${currency}\n`;
+    }
+    if (payslip.deficitDeduction > 0) {
+      text += `➖ Недоработка ${payslip.deficitHours} ч: ${formatMoney(payslip.deficitDeduction)} ${currency}\n`;
+    }
+    text += `\n💵 К выплате: ${formatMoney(payslip.netPay)} ${currency}`;
+
+    if (payslip.notes.length > 0) {
+      text += `\n\nℹ️ ${payslip.notes.join('\nℹ️ ')}`;
+    }
+    return text;
+  }
+
+  /**
+   * Export rows: header and one row per payslip
+   * @param {Object} payroll - From getPayroll
+   * @returns {Array<Array>}
+   */
+  _exportRows(payroll) {
+    return [
+      EXPORT_COLUMNS.map(([header]) => header),
+      ...payroll.payslips.map(payslip => EXPORT_COLUMNS.map(([, value]) => value(payslip)))
+    ];
+  }
+
+  /**
+   * Payroll as CSV (comma-separated, UTF-8 with BOM so Excel opens Cyrillic names)
+   * @param {Object} payroll - From getPayroll
+   * @returns {string}
+   */
+  buildCsv(payroll) {
+    const cell = value => {
+      const text = value === null || value === undefined ? '' : value.toString();
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return '\uFEFF' + this._exportRows(payroll).map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Payroll as an XLSX workbook
+   * @param {Object} payroll - From getPayroll
+   * @returns {Buffer}
+   */
+  buildXlsx(payroll) {
+    const XLSX = require('xlsx');
+    const workbook = XLSX.utils.book_new();
+    const rows = this._exportRows(payroll);
+    const total = { 'Telegram ID': 'Total', 'Net pay': payroll.total, 'Currency': Config.PAYROLL_CURRENCY };
+    rows.push([]);
+    rows.push(EXPORT_COLUMNS.map(([header]) => (header in total ? total[header] : '')));
+
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), `Payroll ${payroll.yearMonth}`);
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+  }
+}
+
+module.exports = new PayrollService();
+module.exports.formatMoney = formatMoney;
@@ -0,0 +1,523 @@
+/**
+ * PDF report service.
+ * Renders the daily and monthly reports as PDF (pdfkit, no browser needed) - HTML attachments
+ * open poorly on phones. The layout follows the HTML reports:
+ *   title band -> totals -> one section per company (each company starts on a new page)
+ *   -> "По командам" breakdown, with the page number in the footer of every page.
+ *
+ * Tables break across pages row by row and repeat their header with the company name.
+ * Text uses the bundled DejaVu Sans font (Cyrillic); emojis are left out since PDF fonts have none.
+ */
+
+const PDFDocument = require('pdfkit');
+const Config = require('../config');
+const logger = require('../utils/logger');
+
+const FONT_REGULAR = require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf');
+const FONT_BOLD = require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf');
+
+const FORMATS = ['html', 'pdf'];
+const NO_COMPANY = 'Без компании';
+const FOOTER = 'Сгенерировано системой учёта посещаемости';
+
+// Colours of the HTML reports
+const COLORS = {
+  primary: '#667eea',
+  text: '#2d3748',
+  muted: '#6c757d',
+  border: '#e9ecef',
+  green: '#10b981',
+  yellow: '#f59e0b',
+  red: '#ef4444',
+  grey: '#94a3b8',
+  blue: '#3b82f6',
+  purple: '#8b5cf6'
+};
+
+const STATUS_COLORS = {
+  ontime: COLORS.green,
+  late: COLORS.yellow,
+  absent: COLORS.red,
+  notarrived: COLORS.grey,
+  waiting: COLORS.blue
+};
+
+const ZONE_COLORS = {
+  Green: COLORS.green,
+  Yellow: COLORS.yellow,
+  Red: COLORS.red
+};
+
+const DAILY_COLUMNS = [
+  { header: 'Сотрудник', width: 0.35 },
+  { header: 'Статус', width: 0.5 },
+  { header: 'Баллы', width: 0.15, align: 'center' }
+];
+
+const MONTHLY_COLUMNS = [
+  { header: 'Место', width: 0.06, align: 'center' },
+  { header: 'Сотрудник', width: 0.2 },
+  { header: 'Рейтинг', width: 0.09, align: 'center' },
+  { header: 'Ср. баллы', width: 0.09, align: 'center' },
+  { header: 'Дни работы', width: 0.1, align: 'center' },
+  { header: 'Вовремя', width: 0.1, align: 'center' },
+  { header: 'Опоздания ув./неув.', width: 0.12, align: 'center' },
+  { header: 'Часы', width: 0.1, align: 'center' },
+  { header: 'Отсутствия', width: 0.14, align: 'center' }
+];
+
+const isYes = value => ['yes', 'true'].includes((value || '').toString().trim().toLowerCase());
+const cell = (row, column) => (row.get(column) || '').toString().trim();
+
+/**
+ * Status of an employee in a daily sheet, as in the daily HTML report
+ * @param {Object} row - Daily sheet row
+ * @returns {Object} { status: ontime|late|absent|notarrived|waiting, text, notified, leftEarly }
+ */
+function dailyStatus(row) {
+  const whenCome = cell(row, 'When come');
+  const willBeLateTime = cell(row, 'will be late will come at');
+  const notified = isYes(row.get('will be late'));
+
+  if (isYes(row.get('Absent'))) {
+    const why = cell(row, 'Why absent');
+    return { status: 'absent', text: `Отсутствует${why ? ` (${why})` : ''}`, notified: false, leftEarly: false };
+  }
+
+  if (!whenCome) {
+    return notified
+      ? { status: 'waiting', text: `Ожидается${willBeLateTime ? ` (${willBeLateTime})` : ''}`, notified, leftEarly: false }
+      : { status: 'notarrived', text: 'Не пришёл', notified, leftEarly: false };
+  }
+
+  const late = ['no', 'false'].includes(cell(row, 'Came on time').toLowerCase());
+  const lines = [late ? `Опоздал (${whenCome})` : `Вовремя (${whenCome})`];
+  if (notified) lines.push(`Предупредил об опоздании${willBeLateTime ? ` (${willBeLateTime})` : ''}`);
+
+  const leaveTime = cell(row, 'Leave time');
+  const leftEarly = Boolean(leaveTime) && cell(row, 'Left early').toLowerCase().includes('yes');
+  if (leaveTime) {
+    lines.push(`Ушёл: ${leaveTime} (${cell(row, 'Hours worked') || '0'}ч)${leftEarly ? ' - Рано' : ''}`);
+  }
+
+  return { status: late ? 'late' : 'ontime', text: lines.join('\n'), notified, leftEarly };
+}
+
+/**
+ * Colour of a daily point, as in the HTML report
+ * @param {number} point
+ * @returns {string}
+ */
+function pointColor(point) {
+  if (point > 0) return COLORS.green;
+  if (point === 0) return COLORS.yellow;
+  return COLORS.red;
+}
+
+class PdfReportService {
+  /**
+   * Report format of a command option, or the REPORT_FORMAT setting without one
+   * @param {string} [option] - 'pdf' or 'html'
+   * @returns {string|null} 'pdf' or 'html', null for an unknown option
+   */
+  resolveFormat(option) {
+    if (option) {
+      const format = option.trim().toLowerCase();
+      return FORMATS.includes(format) ? format : null;
+    }
+    return Config.REPORT_FORMAT === 'pdf' ? 'pdf' : 'html';
+  }
+
+  /**
+   * Totals of daily sheet rows
+   * @param {Array} rows - Daily sheet rows
+   * @returns {Object} { total, present, late, absent, leftEarly, notified }
+   */
+  summarizeDaily(rows) {
+    const summary = { total: rows.length, present: 0, late: 0, absent: 0, leftEarly: 0, notified: 0 };
+    for (const row of rows) {
+      const { status, notified, leftEarly } = dailyStatus(row);
+      if (status === 'ontime' || status === 'late') summary.present++;
+      if (status === 'late') summary.late++;
+      if (status === 'absent') summary.absent++;
+      if (leftEarly) summary.leftEarly++;
+      if (notified) summary.notified++;
+    }
+    return summary;
+  }
+
+  /**
+   * Rating zones of monthly report rows
+   * @param {Array} rows - Monthly report rows
+   * @returns {Object} { green, yellow, red }
+   */
+  summarizeMonthly(rows) {
+    const summary = { green: 0, yellow: 0, red: 0 };
+    for (const row of rows) {
+      const zone = cell(row, 'Rating Zone');
+      if (zone === 'Green') summary.green++;
+      else if (zone === 'Yellow') summary.yellow++;
+      else summary.red++;
+    }
+    return summary;
+  }
+
+  /**
+   * Group report rows by company
+   * @param {Array} rows - Report rows
+   * @param {Function} companyOf - row -> company name
+   * @returns {Array} [{ company, rows }] sorted by name, rows without a company last
+   */
+  groupByCompany(rows, companyOf) {
+    const groups = new Map();
+    for (const row of rows) {
+      const company = companyOf(row) || NO_COMPANY;
+      if (!groups.has(company)) groups.set(company, []);
+      groups.get(company).push(row);
+    }
+
+    return [...groups.entries()]
+      .map(([company, companyRows]) => ({ company, rows: companyRows }))
+      .sort((a, b) => (a.company === NO_COMPANY) - (b.company === NO_COMPANY) || a.company.localeCompare(b.company));
+  }
+
+  /**
+   * Daily report as PDF
+   * @param {Array} rows - Daily sheet rows
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {moment.Moment} now - Generation time
+   * @returns {Promise<Buffer>}
+   */
+  async buildDaily(rows, date, now) {
+    const teamService = require('./team.service');
+
+    // Daily sheets have no company column - take it from the roster
+    const companies = await this._getCompanies();
+    const groups = this.groupByCompany(rows, row => companies.get(cell(row, 'TelegramId')));
+    const summary = this.summarizeDaily(rows);
+
+    const doc = this._createDocument(`Дневной отчёт - ${date}`);
+    this._drawTitle(doc, 'Дневной отчёт', `${date} • ${now.format('HH:mm:ss')}`);
+    this._drawStats(doc, [
+      ['Всего сотрудников', summary.total, COLORS.primary],
+      ['Присутствуют', summary.present, COLORS.green],
+      ['Опоздали', summary.late, COLORS.yellow],
+      ['Предупредили', summary.notified, COLORS.blue],
+      ['Отсутствуют', summary.absent, COLORS.red],
+      ['Ушли рано', summary.leftEarly, COLORS.purple]
+    ]);
+
+    groups.forEach((group, index) => {
+      if (index > 0) doc.addPage();
+      const s = this.summarizeDaily(group.rows);
+      this._drawCompanyHeader(doc, group.company,
+        `Сотрудников: ${s.total} • Присутствуют: ${s.present} • Опоздали: ${s.late} • Отсутствуют: ${s.absent}`);
+
+      this._drawTable(doc, DAILY_COLUMNS, group.rows.map(row => {
+        const status = dailyStatus(row);
+        const point = cell(row, 'Point') || '0';
+        return {
+          cells: [
+            { text: cell(row, 'Name') || 'N/A', bold: true },
+            { text: status.text, color: STATUS_COLORS[status.status] },
+            { text: point, color: pointColor(parseFloat(point) || 0), bold: true }
+          ]
+        };
+      }), group.company);
+    });
+
+    const teams = await teamService.summarizeDaily(rows);
+    if (!teams.every(t => t.team === teamService.NO_TEAM)) {
+      this._drawTeams(doc, ['Команда', 'Сотрудников', 'Присутствуют', 'Опоздали', 'Отсутствуют', 'Баллы'],
+        teams.map(t => [t.team, t.employees, t.present, t.late, t.absent, t.points.toFixed(1)]));
+    }
+
+    this._drawFooters(doc, `${FOOTER} • ${now.format('DD.MM.YYYY HH:mm:ss')}`);
+    logger.info(`Daily PDF report ${date}: ${rows.length} employees in ${groups.length} companies`);
+    return this._toBuffer(doc);
+  }
+
+  /**
+   * Monthly report as PDF, employees ranked by hours worked within their company
+   * @param {Array} rows - Monthly report rows
+   * @param {string} yearMonth - Month in YYYY-MM format
+   * @param {moment.Moment} now - Generation time
+   * @returns {Promise<Buffer>}
+   */
+  async buildMonthly(rows, yearMonth, now) {
+    const teamService = require('./team.service');
+    const hours = row => parseFloat(cell(row, 'Total Hours Worked')) || 0;
+    const groups = this.groupByCompany(rows, row => cell(row, 'Company'));
+    const summary = this.summarizeMonthly(rows);
+
+    const doc = this._createDocument(`Месячный отчёт - ${yearMonth}`);
+    this._drawTitle(doc, 'Месячный отчёт', `${yearMonth} • Сгенерировано ${now.format('DD.MM.YYYY HH:mm')}`);
+    this._drawStats(doc, [
+      ['Всего сотрудников', rows.length, COLORS.primary],
+      [`Зелёная зона (≥${Config.GREEN_ZONE_MIN})`, summary.green, COLORS.green],
+      [`Жёлтая зона (≥${Config.YELLOW_ZONE_MIN})`, summary.yellow, COLORS.yellow],
+      [`Красная зона (<${Config.YELLOW_ZONE_MIN})`, summary.red, COLORS.red]
+    ]);
+
+    groups.forEach((group, index) => {
+      if (index > 0) doc.addPage();
+      const s = this.summarizeMonthly(group.rows);
+      this._drawCompanyHeader(doc, group.company,
+        `Сотрудников: ${group.rows.length} • Зелёная: ${s.green} • Жёлтая: ${s.yellow} • Красная: ${s.red}`);
+
+      const sorted = [...group.rows].sort((a, b) => hours(b) - hours(a));
+      this._drawTable(doc, MONTHLY_COLUMNS, sorted.map((row, rank) => {
+        const zoneColor = ZONE_COLORS[cell(row, 'Rating Zone')] || COLORS.red;
+        return {
+          bar: zoneColor,
+          cells: [
+            { text: `${rank + 1}`, color: COLORS.primary, bold: true },
+            { text: cell(row, 'Name') || 'N/A', bold: true },
+            { text: `${cell(row, 'Rating (0-10)') || '0'}/10`, color: zoneColor, bold: true },
+            { text: cell(row, 'Average Daily Points') || '0' },
+            { text: `${cell(row, 'Days Worked') || '0'}/${cell(row, 'Total Work Days') || '0'}\n${cell(row, 'Attendance Rate %') || '0'}%` },
+            { text: `${cell(row, 'On Time Arrivals') || '0'}\n${cell(row, 'On-Time Rate %') || '0'}%` },
+            { text: `${cell(row, 'Late Arrivals (Notified)') || '0'} / ${cell(row, 'Late Arrivals (Silent)') || '0'}` },
+            { text: `${cell(row, 'Total Hours Worked') || '0'}\nиз ${cell(row, 'Total Hours Required') || '0'}` },
+            { text: cell(row, 'Days Absent') || '0' }
+          ]
+        };
+      }), group.company);
+    });
+
+    const teams = await teamService.summarizeMonthly(rows);
+    if (!teams.every(t => t.team === teamService.NO_TEAM)) {
+      this._drawTeams(doc, ['Команда', 'Сотрудников', 'Ср. рейтинг', 'Часы', 'Опоздания', 'Отсутствия'],
+        teams.map(t => [t.team, t.employees, t.rating.toFixed(1), t.hours.toFixed(1), t.late, t.absent]));
+    }
+
+    this._drawFooters(doc, `${FOOTER} • ${now.format('DD.MM.YYYY HH:mm:ss')}`);
+    logger.info(`Monthly PDF report ${yearMonth}: ${rows.length} employees in ${groups.length} companies`);
+    return this._toBuffer(doc);
+  }
+
+  /**
+   * Company of every employee in the roster
+   * @returns {Map<string, string>} telegramId -> company
+   */
+  async _getCompanies() {
+    const sheetsService = require('./sheets.service');
+    const scheduleService = require('./schedule.service');
+
+    const companies = new Map();
+    for (const row of await sheetsService._getCachedRoster()) {
+      const employee = scheduleService.employeeFromRosterRow(row);
+      if (employee.telegramId) companies.set(employee.telegramId, employee.company);
+    }
+    return companies;
+  }
+
+  /**
+   * A4 document with the report fonts
+   * @param {string} title - Document title
+   * @returns {PDFDocument}
+   */
+  _createDocument(title) {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margins: { top: 40, bottom: 50, left: 36, right: 36 },
+      bufferPages: true,
+      info: { Title: title }
+    });
+    doc.registerFont('Regular', FONT_REGULAR);
+    doc.registerFont('Bold', FONT_BOLD);
+    doc.font('Regular');
+    return doc;
+  }
+
+  /**
+   * Finish the document
+   * @param {PDFDocument} doc
+   * @returns {Promise<Buffer>}
+   */
+  _toBuffer(doc) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+      doc.end();
+    });
+  }
+
+  /**
+   * Width available for content
+   * @param {PDFDocument} doc
+   * @returns {number}
+   */
+  _contentWidth(doc) {
+    return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  }
+
+  /**
+   * Start a new page when less than the given height is left on this one
+   * @param {PDFDocument} doc
+   * @param {number} height
+   * @returns {boolean} Whether a page was added
+   */
+  _ensureSpace(doc, height) {
+    if (doc.y + height <= doc.page.height - doc.page.margins.bottom) return false;
+    doc.addPage();
+    return true;
+  }
+
+  /**
+   * Title band at the top of the first page
+   * @param {PDFDocument} doc
+   * @param {string} title
+   * @param {string} subtitle
+   */
+  _drawTitle(doc, title, subtitle) {
+    const { left, top } = doc.page.margins;
+    const width = this._contentWidth(doc);
+
+    doc.rect(left, top, width, 64).fill(COLORS.primary);
+    doc.font('Bold').fontSize(22).fillColor('white').text(title, left, top + 12, { width, align: 'center' });
+    doc.font('Regular').fontSize(11).fillColor('white').text(subtitle, left, top + 40, { width, align: 'center' });
+    doc.y = top + 80;
+  }
+
+  /**
+   * Row of total cards
+   * @param {PDFDocument} doc
+   * @param {Array} stats - [[label, value, color]]
+   */
+  _drawStats(doc, stats) {
+    const left = doc.page.margins.left;
+    const gap = 6;
+    const width = (this._contentWidth(doc) - gap * (stats.length - 1)) / stats.length;
+    const y = doc.y;
+
+    stats.forEach(([label, value, color], index) => {
+      const x = left + index * (width + gap);
+      doc.roundedRect(x, y, width, 50, 6).lineWidth(0.5).stroke(COLORS.border);
+      doc.font('Bold').fontSize(18).fillColor(color).text(`${value}`, x, y + 7, { width, align: 'center' });
+      doc.font('Regular').fontSize(7).fillColor(COLORS.muted).text(label, x + 2, y + 32, { width: width - 4, align: 'center' });
+    });
+    doc.y = y + 66;
+  }
+
+  /**
+   * Company name and its totals above its table
+   * @param {PDFDocument} doc
+   * @param {string} company
+   * @param {string} totals
+   */
+  _drawCompanyHeader(doc, company, totals) {
+    const left = doc.page.margins.left;
+    const width = this._contentWidth(doc);
+
+    this._ensureSpace(doc, 90);
+    doc.font('Bold').fontSize(15).fillColor(COLORS.primary).text(company, left, doc.y, { width });
+    doc.font('Regular').fontSize(9).fillColor(COLORS.muted).text(totals, left, doc.y + 2, { width });
+    const y = doc.y + 4;
+    doc.moveTo(left, y).lineTo(left + width, y).lineWidth(1).stroke(COLORS.primary);
+    doc.y = y + 8;
+  }
+
+  /**
+   * Table that continues on the next page when it does not fit, repeating its header
+   * @param {PDFDocument} doc
+   * @param {Array} columns - [{ header, width (share of the page), align }]
+   * @param {Array} rows - [{ cells: [{ text, color, bold }], bar }] - bar colours the left edge of the row
+   * @param {string} company - Shown above the continued table
+   */
+  _drawTable(doc, columns, rows, company) {
+    const left = doc.page.margins.left;
+    const width = this._contentWidth(doc);
+    const widths = columns.map(column => column.width * width);
+    const padding = 4;
+    const fontSize = 8;
+
+    const drawHeader = () => {
+      doc.font('Bold').fontSize(7);
+      const height = Math.max(...columns.map((column, i) =>
+        doc.heightOfString(column.header, { width: widths[i] - padding * 2 }))) + padding * 2;
+
+      const y = doc.y;
+      doc.rect(left, y, width, height).fill(COLORS.primary);
+      let x = left;
+      columns.forEach((column, i) => {
+        doc.fillColor('white').text(column.header, x + padding, y + padding,
+          { width: widths[i] - padding * 2, align: column.align || 'left' });
+        x += widths[i];
+      });
+      doc.y = y + height;
+    };
+
+    drawHeader();
+    for (const row of rows) {
+      const height = Math.max(...row.cells.map((c, i) => {
+        doc.font(c.bold ? 'Bold' : 'Regular').fontSize(fontSize);
+        return doc.heightOfString(c.text, { width: widths[i] - padding * 2 });
+      })) + padding * 2;
+
+      if (this._ensureSpace(doc, height)) {
+        doc.font('Regular').fontSize(9).fillColor(COLORS.muted)
+          .text(`${company} (продолжение)`, left, doc.y, { width });
+        doc.y += 4;
+        drawHeader();
+      }
+
+      const y = doc.y;
+      let x = left;
+      row.cells.forEach((c, i) => {
+        doc.font(c.bold ? 'Bold' : 'Regular').fontSize(fontSize).fillColor(c.color || COLORS.text)
+          .text(c.text, x + padding, y + padding, { width: widths[i] - padding * 2, align: columns[i].align || 'left' });
+        x += widths[i];
+      });
+      if (row.bar) doc.rect(left, y, 3, height).fill(row.bar);
+      doc.moveTo(left, y + height).lineTo(left + width, y + height).lineWidth(0.5).stroke(COLORS.border);
+      doc.y = y + height;
+    }
+    doc.y += 12;
+  }
+
+  /**
+   * "По командам" table after the companies
+   * @param {PDFDocument} doc
+   * @param {Array<string>} headers
+   * @param {Array<Array>} rows - Cell values
+   */
+  _drawTeams(doc, headers, rows) {
+    const title = 'По командам';
+    this._ensureSpace(doc, 90);
+    doc.font('Bold').fontSize(13).fillColor(COLORS.primary)
+      .text(title, doc.page.margins.left, doc.y, { width: this._contentWidth(doc) });
+    doc.y += 4;
+
+    const columns = headers.map((header, i) => ({ header, width: i === 0 ? 0.3 : 0.14, align: i === 0 ? 'left' : 'center' }));
+    this._drawTable(doc, columns, rows.map(values => ({
+      cells: values.map((value, i) => ({ text: `${value}`, bold: i === 0 }))
+    })), title);
+  }
+
+  /**
+   * Generation time and page number at the bottom of every page
+   * @param {PDFDocument} doc
+   * @param {string} text
+   */
+  _drawFooters(doc, text) {
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      // Writing inside the bottom margin would otherwise start a new page
+      const bottom = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      doc.font('Regular').fontSize(7).fillColor(COLORS.muted).text(
+        `${text} • Стр. ${i - range.start + 1} из ${range.count}`,
+        doc.page.margins.left, doc.page.height - 30,
+        { width: this._contentWidth(doc), align: 'center' }
+      );
+      doc.page.margins.bottom = bottom;
+    }
+  }
+}
+
+module.exports = new PdfReportService();
+module.exports.NO_COMPANY = NO_COMPANY;
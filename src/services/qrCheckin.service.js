@@ -0,0 +1,228 @@
+/**
+ * QR check-in service.
+ * Sites whose "Methods" include qr show a QR code on a screen at the site. The code is a
+ * Telegram deep link (t.me/<bot>?start=<token>) with a short-lived signed token:
+ *   qr_<site key>_<time window>_<signature>
+ * The time window changes every QR_TOKEN_SECONDS, so a photo of the code stops working
+ * shortly after; the token of the previous window is still accepted for a scan made
+ * right before the code changed. The signature is an HMAC of QR_SECRET (BOT_TOKEN when empty).
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const Config = require('../config');
+const geofenceService = require('./geofence.service');
+
+const TOKEN_PATTERN = /^qr_([0-9a-f]{8})_([0-9a-z]+)_([0-9a-f]{16})$/;
+
+/**
+ * Escape text for HTML
+ * @param {*} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return (text === null || text === undefined ? '' : text.toString())
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+class QrCheckinService {
+  /**
+   * HMAC of a value with the QR secret
+   * @param {string} value
+   * @returns {string} Hex digest
+   */
+  _sign(value) {
+    return crypto.createHmac('sha256', Config.QR_SECRET || Config.BOT_TOKEN).update(value).digest('hex');
+  }
+
+  /**
+   * Short stable key of a site (site names may not fit into a deep link)
+   * @param {Object} site - Site
+   * @returns {string} 8 hex characters
+   */
+  siteKey(site) {
+    return crypto.createHash('sha256').update(site.name.toLowerCase()).digest('hex').slice(0, 8);
+  }
+
+  /**
+   * Number of the current token window
+   * @param {number} now - Milliseconds
+   * @returns {number}
+   */
+  _window(now) {
+    return Math.floor(now / (Config.QR_TOKEN_SECONDS * 1000));
+  }
+
+  /**
+   * Seconds until the QR code of a site changes
+   * @param {number} now - Milliseconds
+   * @returns {number}
+   */
+  secondsLeft(now = Date.now()) {
+    const period = Config.QR_TOKEN_SECONDS * 1000;
+    return Math.max(1, Math.ceil((period - now % period) / 1000));
+  }
+
+  /**
+   * Create the token of a site for the current window
+   * @param {Object} site - Site
+   * @param {number} now - Milliseconds
+   * @returns {string} Deep-link payload
+   */
+  createToken(site, now = Date.now()) {
+    const key = this.siteKey(site);
+    const window = this._window(now).toString(36);
+    return `qr_${key}_${window}_${this._sign(`${key}:${window}`).slice(0, 16)}`;
+  }
+
+  /**
+   * Whether a /start payload looks like a QR token
+   * @param {string} payload
+   * @returns {boolean}
+   */
+  isToken(payload) {
+    return typeof payload === 'string' && payload.startsWith('qr_');
+  }
+
+  /**
+   * Check a scanned token
+   * @param {string} payload - Deep-link payload
+   * @param {Array} sites - All sites
+   * @param {number} now - Milliseconds
+   * @returns {Object} { valid, site, reason } - reason: invalid, expired, unknown_site or not_qr
+   */
+  verifyToken(payload, sites, now = Date.now()) {
+    const match = TOKEN_PATTERN.exec(payload || '');
+    if (!match) return { valid: false, site: null, reason: 'invalid' };
+
+    const [, key, window, signature] = match;
+    const expected = this._sign(`${key}:${window}`).slice(0, 16);
+    if (!crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return { valid: false, site: null, reason: 'invalid' };
+    }
+
+    const age = this._window(now) - parseInt(window, 36);
+    if (age < 0 || age > 1) {
+      return { valid: false, site: null, reason: 'expired' };
+    }
+
+    const site = sites.find(s => this.siteKey(s) === key) || null;
+    if (!site) return { valid: false, site: null, reason: 'unknown_site' };
+    if (!geofenceService.filterByMethod([site], 'qr').length) {
+      return { valid: false, site, reason: 'not_qr' };
+    }
+
+    return { valid: true, site, reason: null };
+  }
+
+  /**
+   * Deep link the QR code of a site encodes
+   * @param {string} botUsername - Bot username without @
+   * @param {Object} site - Site
+   * @param {number} now - Milliseconds
+   * @returns {string}
+   */
+  getDeepLink(botUsername, site, now = Date.now()) {
+    return `https://t.me/${botUsername}?start=${this.createToken(site, now)}`;
+  }
+
+  /**
+   * Secret part of the screen URL of a site, so only those given the link can show the code
+   * @param {Object} site - Site
+   * @returns {string}
+   */
+  getDisplayKey(site) {
+    const key = this.siteKey(site);
+    return `${key}${this._sign(`display:${key}`).slice(0, 16)}`;
+  }
+
+  /**
+   * URL of the page that shows the rotating QR code of a site
+   * @param {Object} site - Site
+   * @returns {string|null} Null without PUBLIC_URL
+   */
+  getDisplayUrl(site) {
+    return Config.PUBLIC_URL ? `${Config.PUBLIC_URL}/qr/${this.getDisplayKey(site)}` : null;
+  }
+
+  /**
+   * Find the QR site of a screen URL key
+   * @param {string} displayKey - Key from getDisplayKey
+   * @returns {Object|null} Site
+   */
+  async findSiteByDisplayKey(displayKey) {
+    const sites = geofenceService.filterByMethod(await geofenceService.getSites(), 'qr');
+    return sites.find(site => this.getDisplayKey(site) === displayKey) || null;
+  }
+
+  /**
+   * QR code image of a text
+   * @param {string} text
+   * @returns {Promise<Buffer>} PNG
+   */
+  renderPng(text) {
+    return QRCode.toBuffer(text, { width: 600, margin: 2 });
+  }
+
+  /**
+   * Page for the screen at a site: the current QR code, reloaded when it changes
+   * @param {Object} site - Site
+   * @param {string} botUsername - Bot username without @
+   * @param {number} now - Milliseconds
+   * @returns {Promise<string>} HTML
+   */
+  async buildDisplayPage(site, botUsername, now = Date.now()) {
+    const svg = await QRCode.toString(this.getDeepLink(botUsername, site, now), { type: 'svg', margin: 2 });
+    const secondsLeft = this.secondsLeft(now);
+
+    return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta http-equiv="refresh" content="${secondsLeft}">
+  <title>QR-отметка - ${escapeHtml(site.name)}</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    }
+    .card {
+      background: white;
+      border-radius: 20px;
+      box-shadow: 0 20px 60px rgba(0,0,0,0.3);
+      padding: 40px;
+      text-align: center;
+    }
+    h1 { font-size: 32px; color: #4c1d95; margin-bottom: 10px; }
+    .hint { font-size: 20px; color: #475569; margin-bottom: 20px; }
+    .qr svg { width: min(70vh, 80vw); height: min(70vh, 80vw); }
+    .timer { font-size: 16px; color: #94a3b8; margin-top: 10px; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>📍 ${escapeHtml(site.name)}</h1>
+    <div class="hint">Отсканируйте камерой телефона, чтобы отметить приход</div>
+    <div class="qr">${svg}</div>
+    <div class="timer">Код обновится через <span id="left">${secondsLeft}</span> сек.</div>
+  </div>
+  <script>
+    let left = ${secondsLeft};
+    setInterval(() => { if (left > 1) document.getElementById('left').textContent = --left; }, 1000);
+  </script>
+</body>
+</html>`;
+  }
+}
+
+// Export singleton instance
+module.exports = new QrCheckinService();
@@ -0,0 +1,380 @@
+/**
+ * Role service.
+ * Staff roles are stored in the roster "Role" column; ADMIN_TELEGRAM_IDS are always super-admins.
+ *
+ * Roles and their scope:
+ *   super_admin - everything, all employees
+ *   hr          - reports, alerts, corrections, appeals, leaves, holidays and payroll for all employees
+ *   manager     - reports, alerts and broadcast for employees of their roster "Company"
+ *   team_lead   - reports, alerts and broadcast for employees of their roster "Team"
+ *                 and of the teams they lead
+ *
+ * Leads in the Teams sheet (see team.service) are team leads of those teams without a roster "Role".
+ * Role cells accept the keys above as well as "super-admin", "admin", "HR", "team lead".
+ * Roles are assigned from the bot with /setrole (super-admins only).
+ */
+
+const moment = require('moment-timezone');
+const Config = require('../config');
+const logger = require('../utils/logger');
+
+const ROLES = {
+  super_admin: { label: 'Супер-админ', emoji: '👑', scope: 'all' },
+  hr: { label: 'HR', emoji: '🧑‍💼', scope: 'all' },
+  manager: { label: 'Руководитель компании', emoji: '🏢', scope: 'company' },
+  team_lead: { label: 'Тимлид', emoji: '👥', scope: 'team' }
+};
+
+// Permission -> roles that have it
+const PERMISSIONS = {
+  reports: ['super_admin', 'hr', 'manager', 'team_lead'],
+  broadcast: ['super_admin', 'hr', 'manager', 'team_lead'],
+  alerts: ['super_admin', 'hr', 'manager', 'team_lead'],
+  corrections: ['super_admin', 'hr'], // /correct, /audit, appeals
+  leaves: ['super_admin', 'hr'],
+  payroll: ['super_admin', 'hr'],
+  holidays: ['super_admin', 'hr'],
+  system: ['super_admin'], // daily sheets, end of day, report rebuilds
+  roles: ['super_admin']
+};
+
+const ROLE_ALIASES = {
+  superadmin: 'super_admin',
+  admin: 'super_admin',
+  teamlead: 'team_lead',
+  lead: 'team_lead'
+};
+
+/**
+ * Normalize a role cell or command argument
+ * @param {string} value - "Team lead", "super-admin", "HR", ...
+ * @returns {string|null} Role key or null if unknown
+ */
+function normalizeRole(value) {
+  const key = (value || '').toString().trim().toLowerCase().replace(/[\s-]+/g, '_');
+  const role = ROLE_ALIASES[key] || ROLE_ALIASES[key.replace(/_/g, '')] || key;
+  return ROLES[role] ? role : null;
+}
+
+class RoleService {
+  constructor() {
+    this._staff = null; // Map telegramId -> { telegramId, name, role, company, teams }
+    this._lastLoaded = 0;
+    this._loading = null;
+    this._cacheTimeout = 300000; // 5 minutes - the bot invalidates on its own writes
+  }
+
+  /**
+   * Staff member entry for a roster row
+   * @param {Object} row - Roster row
+   * @param {string} role - Role key
+   * @returns {Object}
+   */
+  _staffEntry(row, role) {
+    const team = (row.get('Team') || '').toString().trim();
+    return {
+      telegramId: (row.get('Telegram Id') || '').toString().trim(),
+      name: (row.get('Name full') || '').toString().trim(),
+      role,
+      company: (row.get('Company') || '').toString().trim(),
+      teams: team ? [team] : []
+    };
+  }
+
+  /**
+   * Load staff roles from the roster and team leads from the Teams sheet (cached);
+   * ADMIN_TELEGRAM_IDS are added as super-admins
+   * @returns {Map} telegramId -> staff entry
+   */
+  async getStaff() {
+    if (this._staff && (Date.now() - this._lastLoaded) < this._cacheTimeout) {
+      return this._staff;
+    }
+    if (this._loading) return this._loading;
+
+    this._loading = (async () => {
+      const staff = new Map();
+
+      try {
+        const sheetsService = require('./sheets.service');
+        const rows = await sheetsService._getCachedRoster();
+        for (const row of rows) {
+          const role = normalizeRole(row.get('Role'));
+          const entry = this._staffEntry(row, role);
+          if (role && entry.telegramId) {
+            staff.set(entry.telegramId, entry);
+          }
+        }
+
+        const teamService = require('./team.service');
+        for (const team of await teamService.getTeams()) {
+          for (const leadId of team.leadIds) {
+            let entry = staff.get(leadId);
+            if (!entry) {
+              const row = rows.find(r => (r.get('Telegram Id') || '').toString().trim() === leadId);
+              entry = row ? { ...this._staffEntry(row, 'team_lead'), teams: [] } : { telegramId: leadId, name: '', role: 'team_lead', company: '', teams: [] };
+              staff.set(leadId, entry);
+            }
+            if (entry.role === 'team_lead' && !entry.teams.some(t => t.toLowerCase() === team.key)) {
+              entry.teams.push(team.name);
+            }
+          }
+        }
+      } catch (error) {
+        logger.error(`Error loading roles from roster: ${error.message}`);
+        if (this._staff) return this._staff;
+      }
+
+      for (const adminId of Config.ADMIN_TELEGRAM_IDS) {
+        const existing = staff.get(adminId.toString());
+        staff.set(adminId.toString(), { ...(existing || { telegramId: adminId.toString(), name: '', company: '', teams: [] }), role: 'super_admin' });
+      }
+
+      this._staff = staff;
+      this._lastLoaded = Date.now();
+      return staff;
+    })();
+
+    try {
+      return await this._loading;
+    } finally {
+      this._loading = null;
+    }
+  }
+
+  /**
+   * Role of a user without loading the roster (for keyboards);
+   * falls back to ADMIN_TELEGRAM_IDS until roles were loaded once
+   * @param {number|string} telegramId - User's Telegram ID
+   * @returns {string|null} Role key
+   */
+  getRoleSync(telegramId) {
+    if (!telegramId) return null;
+    if (Config.ADMIN_TELEGRAM_IDS.includes(parseInt(telegramId))) return 'super_admin';
+    const entry = this._staff ? this._staff.get(telegramId.toString()) : null;
+    return entry ? entry.role : null;
+  }
+
+  /**
+   * Role of a user
+   * @param {number|string} telegramId - User's Telegram ID
+   * @returns {string|null} Role key
+   */
+  async getRole(telegramId) {
+    const staff = await this.getStaff();
+    const entry = staff.get(telegramId.toString());
+    return entry ? entry.role : null;
+  }
+
+  /**
+   * Check whether a role has a permission
+   * @param {string} role - Role key
+   * @param {string} permission - Key of PERMISSIONS
+   * @returns {boolean}
+   */
+  roleCan(role, permission) {
+    return !!role && (PERMISSIONS[permission] || []).includes(role);
+  }
+
+  /**
+   * Check whether a user has a permission
+   * @param {number|string} telegramId - User's Telegram ID
+   * @param {string} permission - Key of PERMISSIONS
+   * @returns {boolean}
+   */
+  async can(telegramId, permission) {
+    return this.roleCan(await this.getRole(telegramId), permission);
+  }
+
+  /**
+   * Employees a user may see
+   * @param {number|string} telegramId - User's Telegram ID
+   * @returns {Object|null} { role, all, company, teams } or null without a role
+   */
+  async getScope(telegramId) {
+    const staff = await this.getStaff();
+    const entry = staff.get(telegramId.toString());
+    if (!entry) return null;
+
+    return {
+      role: entry.role,
+      all: ROLES[entry.role].scope === 'all',
+      company: ROLES[entry.role].scope === 'company' ? entry.company : '',
+      teams: ROLES[entry.role].scope === 'team' ? entry.teams : []
+    };
+  }
+
+  /**
+   * Check whether an employee is in a scope
+   * @param {Object} scope - Scope from getScope
+   * @param {Object} employee - { company, team } (roster values)
+   * @returns {boolean}
+   */
+  inScope(scope, employee) {
+    if (!scope || !employee) return false;
+    if (scope.all) return true;
+
+    const same = (a, b) => !!a && (a || '').toString().trim().toLowerCase() === (b || '').toString().trim().toLowerCase();
+    if (scope.company) return same(scope.company, employee.company);
+    return scope.teams.some(team => same(team, employee.team));
+  }
+
+  /**
+   * Telegram IDs of the employees in a scope
+   * @param {Object} scope - Scope from getScope
+   * @returns {Set<string>|null} IDs, or null when the scope covers everyone
+   */
+  async getScopedTelegramIds(scope) {
+    if (scope && scope.all) return null;
+
+    const sheetsService = require('./sheets.service');
+    const rows = await sheetsService._getCachedRoster();
+    const ids = new Set();
+    for (const row of rows) {
+      const telegramId = (row.get('Telegram Id') || '').toString().trim();
+      if (telegramId && this.inScope(scope, { company: row.get('Company'), team: row.get('Team') })) {
+        ids.add(telegramId);
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Keep the report rows of employees in a scope
+   * @param {Array} rows - Daily sheet or monthly report rows
+   * @param {Object} scope - Scope from getScope
+   * @param {string} idColumn - Telegram ID column ('TelegramId' in daily sheets, 'Telegram ID' in reports)
+   * @returns {Array} Rows in scope
+   */
+  async filterRows(rows, scope, idColumn) {
+    const ids = await this.getScopedTelegramIds(scope);
+    if (!ids) return rows;
+    return rows.filter(row => ids.has((row.get(idColumn) || '').toString().trim()));
+  }
+
+  /**
+   * Staff who get a notification about an employee
+   * @param {string} permission - Key of PERMISSIONS
+   * @param {Object} employee - Employee object (with _row) or null for global notifications
+   * @returns {Array<number>} Telegram IDs
+   */
+  async getRecipients(permission, employee = null) {
+    const staff = await this.getStaff();
+    const target = employee
+      ? {
+          company: employee.company || (employee._row ? employee._row.get('Company') : ''),
+          team: employee.team || (employee._row ? employee._row.get('Team') : '')
+        }
+      : null;
+
+    const recipients = [];
+    for (const entry of staff.values()) {
+      if (!this.roleCan(entry.role, permission)) continue;
+      const scope = await this.getScope(entry.telegramId);
+      if (scope.all || (target && this.inScope(scope, target))) {
+        recipients.push(parseInt(entry.telegramId));
+      }
+    }
+    return recipients.filter(id => !isNaN(id));
+  }
+
+  /**
+   * Staff with a permission grouped by scope, for reports sent to everyone at once
+   * @param {string} permission - Key of PERMISSIONS
+   * @returns {Array} [{ scope, recipients: [telegramId] }]
+   */
+  async getAudiences(permission) {
+    const staff = await this.getStaff();
+    const audiences = new Map();
+
+    for (const entry of staff.values()) {
+      if (!this.roleCan(entry.role, permission)) continue;
+      const scope = await this.getScope(entry.telegramId);
+      const key = scope.all ? '*' : `${scope.company.toLowerCase()}|${scope.teams.join(',').toLowerCase()}`;
+      if (!audiences.has(key)) {
+        audiences.set(key, { scope, recipients: [] });
+      }
+      audiences.get(key).recipients.push(parseInt(entry.telegramId));
+    }
+    return [...audiences.values()];
+  }
+
+  /**
+   * Assign or remove a role in the roster
+   * @param {number|string} telegramId - Employee's Telegram ID
+   * @param {string|null} role - Role key, or null to remove the role
+   * @param {Object} changedBy - { name, telegramId } of the super-admin
+   * @returns {Object} { name, oldRole, role }
+   * @throws {Error} With a user-facing message
+   */
+  async setRole(telegramId, role, changedBy = {}) {
+    if (role && !ROLES[role]) {
+      throw new Error('Неизвестная роль.');
+    }
+    if (Config.ADMIN_TELEGRAM_IDS.includes(parseInt(telegramId))) {
+      throw new Error('Этот пользователь - администратор из ADMIN_TELEGRAM_IDS, его роль меняется в настройках.');
+    }
+
+    const sheetsService = require('./sheets.service');
+    const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+    await roster.loadHeaderRow();
+
+    if (!roster.headerValues.includes('Role')) {
+      if (roster.columnCount < roster.headerValues.length + 1) {
+        await roster.resize({ rowCount: roster.rowCount || 1000, columnCount: roster.headerValues.length + 1 });
+      }
+      await roster.setHeaderRow([...roster.headerValues, 'Role']);
+      await roster.loadHeaderRow();
+    }
+
+    const rows = await roster.getRows();
+    const row = rows.find(r => (r.get('Telegram Id') || '').toString().trim() === telegramId.toString());
+    if (!row) {
+      throw new Error('Сотрудник не найден или не зарегистрирован в боте.');
+    }
+
+    const oldRole = normalizeRole(row.get('Role'));
+    row.set('Role', role || '');
+    await row.save();
+
+    sheetsService._invalidateRosterCache();
+    this.invalidate();
+
+    const name = (row.get('Name full') || '').toString().trim();
+    const auditService = require('./audit.service');
+    await auditService.record({
+      date: moment.tz(Config.TIMEZONE).format('YYYY-MM-DD'),
+      telegramId,
+      name,
+      action: 'set_role',
+      reason: 'Назначение роли',
+      changedBy: changedBy.name,
+      changedById: changedBy.telegramId
+    }, [{ field: 'Role', oldValue: oldRole || '', newValue: role || '' }]);
+
+    logger.info(`Role of ${name} (${telegramId}) changed: ${oldRole || 'none'} -> ${role || 'none'}`);
+    return { name, oldRole, role };
+  }
+
+  /**
+   * Role label for messages
+   * @param {string} role - Role key
+   * @returns {string}
+   */
+  describe(role) {
+    return ROLES[role] ? `${ROLES[role].emoji} ${ROLES[role].label}` : '—';
+  }
+
+  /**
+   * Drop cached roles so the next lookup re-reads the roster
+   */
+  invalidate() {
+    this._staff = null;
+    this._lastLoaded = 0;
+  }
+}
+
+module.exports = new RoleService();
+module.exports.ROLES = ROLES;
+module.exports.PERMISSIONS = PERMISSIONS;
+module.exports.normalizeRole = normalizeRole;
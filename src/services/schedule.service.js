@@ -0,0 +1,518 @@
+/**
+ * Work schedule service.
+ * Resolves an employee's working hours for a specific date from the Schedule sheet
+ * (weekly patterns with effective-from dates and date-specific overrides),
+ * falling back to the roster "Work time" and "Do not work in Saturday" columns.
+ *
+ * Schedule sheet columns:
+ *   Name | Telegram Id | Effective from | Date | Mon | Tue | Wed | Thu | Fri | Sat | Sun | Work time | Note
+ *
+ * - Weekly pattern row: "Date" is empty. Each weekday cell is "HH:MM-HH:MM", "-" for a day off,
+ *   or empty to keep the regular roster hours for that day. Applies from "Effective from"
+ *   (empty = always); the latest pattern that is already effective wins.
+ * - Date override row: "Date" is set (YYYY-MM-DD), "Work time" holds the hours or "-" for a day off.
+ * - Name "*" (and no Telegram Id) makes a row apply to all employees. Personal rows win over "*" rows.
+ *
+ * Members of a team with a "Work time" in the Teams sheet (see team.service) follow the team
+ * hours and days off unless they have a personal weekly pattern; "*" patterns and roster hours
+ * do not apply to them.
+ *
+ * Holidays from the Holidays sheet (see holiday.service) are days off after date overrides:
+ * an explicit override for the date still wins, weekly patterns and roster hours do not.
+ */
+
+const moment = require('moment-timezone');
+const Config = require('../config');
+const logger = require('../utils/logger');
+const CalculatorService = require('./calculator.service');
+const holidayService = require('./holiday.service');
+const teamService = require('./team.service');
+
+const SCHEDULE_HEADERS = [
+  'Name',
+  'Telegram Id',
+  'Effective from',
+  'Date',
+  'Mon',
+  'Tue',
+  'Wed',
+  'Thu',
+  'Fri',
+  'Sat',
+  'Sun',
+  'Work time',
+  'Note'
+];
+
+// Index matches moment().day() (0 = Sunday)
+const WEEKDAY_COLUMNS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEKDAY_NAMES_RU = ['воскресенье', 'понедельник', 'вторник', 'среда', 'четверг', 'пятница', 'суббота'];
+// Accusative form for "в ..." phrases ("в субботу")
+const WEEKDAY_NAMES_RU_ACC = ['воскресенье', 'понедельник', 'вторник', 'среду', 'четверг', 'пятницу', 'субботу'];
+
+const ALL_EMPLOYEES = '*';
+
+class ScheduleService {
+  constructor() {
+    this._entries = null; // Parsed schedule rows
+    this._lastLoaded = 0;
+    this._loading = null;
+    this._cacheTimeout = 300000; // 5 minutes - schedule edits in the sheet show up quickly
+  }
+
+  /**
+   * Check whether a value means "day off"
+   * @param {string} value - Cell value
+   * @returns {boolean}
+   */
+  _isDayOffValue(value) {
+    const normalized = (value || '').toString().trim().toLowerCase();
+    return normalized === '-' || normalized === 'off' || normalized === 'выходной' || normalized === '00:00-00:00';
+  }
+
+  /**
+   * Load and parse the Schedule sheet (cached)
+   * @returns {Array} Parsed schedule entries
+   */
+  async _loadEntries() {
+    if (this._entries && (Date.now() - this._lastLoaded) < this._cacheTimeout) {
+      return this._entries;
+    }
+    if (this._loading) return this._loading;
+
+    this._loading = (async () => {
+      const sheetsService = require('./sheets.service');
+      const entries = [];
+
+      try {
+        const worksheet = await sheetsService.getWorksheet(Config.SHEET_SCHEDULE);
+
+        try {
+          await worksheet.loadHeaderRow();
+        } catch (headerError) {
+          // New empty sheet - write the template headers so admins know what to fill in
+          if (worksheet.columnCount < SCHEDULE_HEADERS.length) {
+            await worksheet.resize({ rowCount: worksheet.rowCount || 1000, columnCount: SCHEDULE_HEADERS.length });
+          }
+          await worksheet.setHeaderRow(SCHEDULE_HEADERS);
+          logger.info(`Created '${Config.SHEET_SCHEDULE}' sheet headers`);
+        }
+
+        const rows = await worksheet.getRows();
+        for (const row of rows) {
+          const entry = this._parseRow(row);
+          if (entry) entries.push(entry);
+        }
+      } catch (error) {
+        // Schedules are optional - fall back to roster hours
+        logger.error(`Error loading schedule sheet: ${error.message}`);
+        if (this._entries) return this._entries;
+      }
+
+      this._entries = entries;
+      this._lastLoaded = Date.now();
+      return entries;
+    })();
+
+    try {
+      return await this._loading;
+    } finally {
+      this._loading = null;
+    }
+  }
+
+  /**
+   * Parse one Schedule sheet row
+   * @param {Object} row - Sheet row
+   * @returns {Object|null} Entry or null if the row is empty/invalid
+   */
+  _parseRow(row) {
+    const name = (row.get('Name') || '').toString().trim();
+    const telegramId = (row.get('Telegram Id') || '').toString().trim();
+    if (!name && !telegramId) return null;
+
+    const dateStr = (row.get('Date') || '').toString().trim();
+    const effectiveFromStr = (row.get('Effective from') || '').toString().trim();
+
+    if (dateStr) {
+      const date = moment.tz(dateStr, 'YYYY-MM-DD', true, Config.TIMEZONE);
+      if (!date.isValid()) {
+        logger.warn(`Schedule: invalid date '${dateStr}' for ${name || telegramId} - row ignored`);
+        return null;
+      }
+      return {
+        type: 'override',
+        name,
+        telegramId,
+        date: date.format('YYYY-MM-DD'),
+        workTime: (row.get('Work time') || '').toString().trim()
+      };
+    }
+
+    let effectiveFrom = null;
+    if (effectiveFromStr) {
+      const parsed = moment.tz(effectiveFromStr, 'YYYY-MM-DD', true, Config.TIMEZONE);
+      if (!parsed.isValid()) {
+        logger.warn(`Schedule: invalid effective-from date '${effectiveFromStr}' for ${name || telegramId} - row ignored`);
+        return null;
+      }
+      effectiveFrom = parsed.format('YYYY-MM-DD');
+    }
+
+    const days = {};
+    for (const column of WEEKDAY_COLUMNS) {
+      days[column] = (row.get(column) || '').toString().trim();
+    }
+
+    return {
+      type: 'pattern',
+      name,
+      telegramId,
+      effectiveFrom,
+      days
+    };
+  }
+
+  /**
+   * Check whether a schedule entry belongs to an employee
+   * @param {Object} entry - Schedule entry
+   * @param {Object} employee - Employee reference
+   * @returns {boolean}
+   */
+  _matchesEmployee(entry, employee) {
+    if (entry.telegramId) {
+      return !!employee.telegramId && entry.telegramId === employee.telegramId.toString().trim();
+    }
+    return !!employee.nameFull && entry.name.toLowerCase() === employee.nameFull.trim().toLowerCase();
+  }
+
+  _isGlobal(entry) {
+    return !entry.telegramId && entry.name === ALL_EMPLOYEES;
+  }
+
+  /**
+   * Normalize an employee argument: Telegram ID or object with
+   * { telegramId, nameFull, workTime, doNotWorkSaturday, company, team }
+   * @param {Object|string|number} employee - Employee or Telegram ID
+   * @returns {Object|null} Employee reference
+   */
+  async _resolveEmployee(employee) {
+    if (employee === null || employee === undefined) return null;
+
+    if (typeof employee === 'object') {
+      return {
+        telegramId: employee.telegramId ? employee.telegramId.toString().trim() : '',
+        nameFull: employee.nameFull || employee.name || '',
+        workTime: employee.workTime || '',
+        doNotWorkSaturday: !!employee.doNotWorkSaturday,
+        company: employee.company || '',
+        team: employee.team || (employee._row ? (employee._row.get('Team') || '').toString().trim() : '')
+      };
+    }
+
+    const telegramId = employee.toString().trim();
+    if (!telegramId) {
+      // Unregistered employee - only the default week applies
+      return { telegramId, nameFull: '', workTime: '', doNotWorkSaturday: false, company: '', team: '' };
+    }
+
+    const sheetsService = require('./sheets.service');
+    const rosterRows = await sheetsService._getCachedRoster();
+    for (const row of rosterRows) {
+      if ((row.get('Telegram Id') || '').toString().trim() === telegramId) {
+        return this.employeeFromRosterRow(row);
+      }
+    }
+
+    return { telegramId, nameFull: '', workTime: '', doNotWorkSaturday: false, company: '', team: '' };
+  }
+
+  /**
+   * Build an employee reference from a roster row
+   * @param {Object} row - Roster row
+   * @returns {Object} Employee reference
+   */
+  employeeFromRosterRow(row) {
+    return {
+      telegramId: (row.get('Telegram Id') || '').toString().trim(),
+      nameFull: (row.get('Name full') || '').toString().trim(),
+      workTime: (row.get('Work time') || '').toString().trim(),
+      doNotWorkSaturday: (row.get('Do not work in Saturday') || '').toString().toLowerCase().trim() === 'yes',
+      company: (row.get('Company') || '').toString().trim(),
+      team: (row.get('Team') || '').toString().trim()
+    };
+  }
+
+  /**
+   * Regular roster schedule: roster hours, Sunday off, Saturday off if flagged
+   * @param {Object} employee - Employee reference
+   * @param {moment.Moment} date - Date
+   * @returns {Object} Day schedule
+   */
+  _rosterDaySchedule(employee, date) {
+    const dayOfWeek = date.day();
+    const workTime = employee.workTime && !this._isDayOffValue(employee.workTime) ? employee.workTime : null;
+
+    if (dayOfWeek === 0 || (dayOfWeek === 6 && employee.doNotWorkSaturday) || !workTime) {
+      return { isWorkDay: false, workTime: null, source: 'roster' };
+    }
+
+    return { isWorkDay: true, workTime, source: 'roster' };
+  }
+
+  /**
+   * Default schedule of the employee's team
+   * @param {Object} employee - Employee reference
+   * @param {moment.Moment} date - Date
+   * @param {Array} teams - Teams (see team.service)
+   * @returns {Object|null} Day schedule or null if the team has no work time
+   */
+  _teamDaySchedule(employee, date, teams) {
+    const team = teamService.findTeam(teams, employee.team);
+    if (!team || !team.workTime) return null;
+
+    const dayOfWeek = date.day();
+    const isDayOff = team.daysOff.length > 0
+      ? team.daysOff.includes(dayOfWeek)
+      : dayOfWeek === 0 || (dayOfWeek === 6 && employee.doNotWorkSaturday);
+
+    return isDayOff
+      ? { isWorkDay: false, workTime: null, source: 'team' }
+      : { isWorkDay: true, workTime: team.workTime, source: 'team' };
+  }
+
+  /**
+   * Get the schedule of an employee for a date
+   * @param {Object|string|number} employee - Employee object or Telegram ID
+   * @param {moment.Moment|string} date - Date (defaults to today)
+   * @returns {Object} { isWorkDay, workTime: "HH:MM-HH:MM"|null, source: 'override'|'holiday'|'pattern'|'team'|'roster', holiday? }
+   */
+  async getDaySchedule(employee, date = null) {
+    const ref = await this._resolveEmployee(employee);
+    const day = date ? moment.tz(date, Config.TIMEZONE).startOf('day') : moment.tz(Config.TIMEZONE).startOf('day');
+    if (!ref) {
+      return { isWorkDay: false, workTime: null, source: 'roster' };
+    }
+
+    const entries = await this._loadEntries();
+    const holidays = await holidayService.getHolidays();
+    const teams = await teamService.getTeams();
+    return this._resolveDaySchedule(entries, ref, day, holidays, teams);
+  }
+
+  /**
+   * Resolve the schedule for a date from already loaded entries
+   * @param {Array} entries - Schedule entries
+   * @param {Object} ref - Employee reference
+   * @param {moment.Moment} day - Date
+   * @param {Array} holidays - Holidays (see holiday.service)
+   * @param {Array} teams - Teams (see team.service)
+   * @returns {Object} Day schedule
+   */
+  _resolveDaySchedule(entries, ref, day, holidays = [], teams = []) {
+    const dateStr = day.format('YYYY-MM-DD');
+    const fromOverride = (workTime) => this._isDayOffValue(workTime) || !workTime
+      ? { isWorkDay: false, workTime: null, source: 'override' }
+      : { isWorkDay: true, workTime, source: 'override' };
+
+    // 1. Date overrides: personal first, then company-wide
+    const overrides = entries.filter(e => e.type === 'override' && e.date === dateStr);
+    const personalOverride = overrides.filter(e => this._matchesEmployee(e, ref)).pop();
+    if (personalOverride) return fromOverride(personalOverride.workTime);
+    const globalOverride = overrides.filter(e => this._isGlobal(e)).pop();
+    if (globalOverride) return fromOverride(globalOverride.workTime);
+
+    // 2. Holidays: general or for the employee's company
+    const holiday = holidayService.findHoliday(holidays, dateStr, ref.company);
+    if (holiday) {
+      return { isWorkDay: false, workTime: null, source: 'holiday', holiday };
+    }
+
+    // 3. Weekly patterns: latest effective personal pattern, then the team default, then company-wide
+    const column = WEEKDAY_COLUMNS[day.day()];
+    const effectivePatterns = entries.filter(e =>
+      e.type === 'pattern' && (!e.effectiveFrom || e.effectiveFrom <= dateStr)
+    );
+    const latest = (patterns) => patterns.reduce((best, p) =>
+      !best || (p.effectiveFrom || '') >= (best.effectiveFrom || '') ? p : best, null);
+
+    const personalPattern = latest(effectivePatterns.filter(e => this._matchesEmployee(e, ref)));
+    if (!personalPattern) {
+      const teamSchedule = this._teamDaySchedule(ref, day, teams);
+      if (teamSchedule) return teamSchedule;
+    }
+
+    const pattern = personalPattern || latest(effectivePatterns.filter(e => this._isGlobal(e)));
+
+    if (pattern && pattern.days[column]) {
+      const value = pattern.days[column];
+      if (this._isDayOffValue(value)) {
+        return { isWorkDay: false, workTime: null, source: 'pattern' };
+      }
+      if (CalculatorService.parseWorkTime(value)) {
+        return { isWorkDay: true, workTime: value, source: 'pattern' };
+      }
+      logger.warn(`Schedule: invalid work time '${value}' for ${ref.nameFull || ref.telegramId} on ${column} - using roster hours`);
+    }
+
+    // 4. Roster fallback
+    return this._rosterDaySchedule(ref, day);
+  }
+
+  /**
+   * Get working hours of an employee for a date as moments.
+   * On a day off this returns the regular roster hours (so flows like "working on a weekend"
+   * still have a reference time) - use isDayOff() to tell the two apart.
+   * @param {Object|string|number} employee - Employee object or Telegram ID
+   * @param {moment.Moment|string} date - Date (defaults to the current shift - yesterday during a night shift)
+   * @returns {Object|null} { start, end } moments or null if no hours are known
+   */
+  async getWorkTime(employee, date = null) {
+    const ref = await this._resolveEmployee(employee);
+    if (!ref) return null;
+
+    let day;
+    if (date) {
+      day = moment.tz(date, Config.TIMEZONE);
+    } else if (ref.telegramId) {
+      const sheetsService = require('./sheets.service');
+      day = moment.tz(await sheetsService.getShiftDate(ref.telegramId), Config.TIMEZONE);
+    } else {
+      day = moment.tz(Config.TIMEZONE);
+    }
+    const schedule = await this.getDaySchedule(ref, day);
+    const workTimeStr = schedule.workTime || ref.workTime;
+
+    return CalculatorService.parseWorkTime(workTimeStr, day);
+  }
+
+  /**
+   * Get working hours only if the date is a work day
+   * @param {Object|string|number} employee - Employee object or Telegram ID
+   * @param {moment.Moment|string} date - Date (defaults to today)
+   * @returns {Object|null} { start, end } moments or null on a day off
+   */
+  async getScheduledWorkTime(employee, date = null) {
+    const day = date ? moment.tz(date, Config.TIMEZONE) : moment.tz(Config.TIMEZONE);
+    const schedule = await this.getDaySchedule(employee, day);
+    if (!schedule.isWorkDay) return null;
+    return CalculatorService.parseWorkTime(schedule.workTime, day);
+  }
+
+  /**
+   * Check whether the date is a day off for the employee
+   * @param {Object|string|number} employee - Employee object or Telegram ID
+   * @param {moment.Moment|string} date - Date (defaults to today)
+   * @returns {boolean}
+   */
+  async isDayOff(employee, date = null) {
+    const schedule = await this.getDaySchedule(employee, date);
+    return !schedule.isWorkDay;
+  }
+
+  /**
+   * Required work minutes for a date (0 on a day off)
+   * @param {Object|string|number} employee - Employee object or Telegram ID
+   * @param {moment.Moment|string} date - Date
+   * @returns {number} Minutes
+   */
+  async getRequiredMinutes(employee, date = null) {
+    const workTime = await this.getScheduledWorkTime(employee, date);
+    if (!workTime) return 0;
+    return workTime.end.diff(workTime.start, 'minutes');
+  }
+
+  /**
+   * Count work days and required hours of an employee for a month
+   * @param {Object|string|number} employee - Employee object or Telegram ID
+   * @param {string} yearMonth - Month in YYYY-MM format
+   * @returns {Object} { totalWorkDays, totalHoursRequired }
+   */
+  async getMonthSummary(employee, yearMonth) {
+    const ref = await this._resolveEmployee(employee);
+    const entries = await this._loadEntries();
+    const holidays = await holidayService.getHolidays();
+    const teams = await teamService.getTeams();
+    const monthStart = moment.tz(yearMonth, 'YYYY-MM', Config.TIMEZONE).startOf('month');
+    const monthEnd = monthStart.clone().endOf('month');
+
+    let totalWorkDays = 0;
+    let totalMinutes = 0;
+
+    for (let day = monthStart.clone(); day.isSameOrBefore(monthEnd); day.add(1, 'day')) {
+      const schedule = this._resolveDaySchedule(entries, ref, day, holidays, teams);
+      if (!schedule.isWorkDay) continue;
+
+      totalWorkDays++;
+      const workTime = CalculatorService.parseWorkTime(schedule.workTime, day);
+      totalMinutes += workTime ? workTime.end.diff(workTime.start, 'minutes') : 8 * 60;
+    }
+
+    return {
+      totalWorkDays,
+      totalHoursRequired: totalMinutes / 60
+    };
+  }
+
+  /**
+   * Check whether anyone in the roster works on the date
+   * @param {moment.Moment|string} date - Date
+   * @returns {boolean}
+   */
+  async isAnyoneWorking(date) {
+    const sheetsService = require('./sheets.service');
+    const day = moment.tz(date, Config.TIMEZONE).startOf('day');
+    const entries = await this._loadEntries();
+    const holidays = await holidayService.getHolidays();
+    const teams = await teamService.getTeams();
+    const rosterRows = await sheetsService._getCachedRoster();
+
+    for (const row of rosterRows) {
+      const ref = this.employeeFromRosterRow(row);
+      if (!ref.nameFull) continue;
+      if (this._resolveDaySchedule(entries, ref, day, holidays, teams).isWorkDay) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Russian weekday name for messages ("суббота", "пятница", ...)
+   * @param {moment.Moment} date - Date
+   * @param {boolean} accusative - Use the "в субботу" form
+   * @returns {string}
+   */
+  getDayName(date = null, accusative = false) {
+    const day = date ? moment.tz(date, Config.TIMEZONE) : moment.tz(Config.TIMEZONE);
+    return (accusative ? WEEKDAY_NAMES_RU_ACC : WEEKDAY_NAMES_RU)[day.day()];
+  }
+
+  /**
+   * Name of a day off for messages: the holiday if there is one, otherwise the weekday
+   * @param {Object|string|number} employee - Employee object or Telegram ID
+   * @param {moment.Moment} date - Date
+   * @param {boolean} accusative - Use the "в субботу" form
+   * @returns {string} "праздник «Навруз»", "суббота", ...
+   */
+  async getDayOffName(employee, date = null, accusative = false) {
+    const schedule = await this.getDaySchedule(employee, date);
+    if (schedule.holiday) {
+      return `праздник «${schedule.holiday.name || 'выходной'}»`;
+    }
+    return this.getDayName(date, accusative);
+  }
+
+  /**
+   * Drop cached schedule so the next lookup re-reads the sheet
+   */
+  invalidate() {
+    this._entries = null;
+    this._lastLoaded = 0;
+    holidayService.invalidate();
+    teamService.invalidate();
+  }
+}
+
+module.exports = new ScheduleService();
+module.exports.SCHEDULE_HEADERS = SCHEDULE_HEADERS;
@@ -7,8 +7,24 @@ const cron = require('node-cron');
 const moment = require('moment-timezone');
 const Config = require('../config');
 const sheetsService = require('./sheets.service');
+const scheduleService = require('./schedule.service');
+const leaveService = require('./leave.service');
+const teamService = require('./team.service');
+const webhookService = require('./webhook.service');
+const historyService = require('./history.service');
+const weeklyReportService = require('./weeklyReport.service');
+const pdfReportService = require('./pdfReport.service');
 const logger = require('../utils/logger');
 
+/**
+ * Days of the month already added to a monthly report row
+ * @param {Object} monthlyRow - Report_YYYY-MM row
+ * @returns {Array<string>} Days DD
+ */
+function parseTransferredDays(monthlyRow) {
+  return (monthlyRow.get('Days Transferred') || '').toString().split(',').map(day => day.trim()).filter(Boolean);
+}
+
 class SchedulerService {
   constructor() {
     this.bot = null;
@@ -17,6 +33,8 @@ class SchedulerService {
     this._lastAdjustedEndTimes = new Map(); // key: telegramId, value: { endTime, deficitMinutes, date }
     // FIX #4: Track blocked users to prevent repeated failed message attempts
     this._blockedUsers = new Map(); // key: telegramId, value: { blockedAt, reason }
+    // Days whose end-of-day archiving waits for night shifts to finish
+    this._pendingEndOfDay = new Set();
   }
 
   /**
@@ -223,6 +241,20 @@ class SchedulerService {
     this.setupMonthlyReportToAdmins();
     logger.info('✅ Automatic report sending to admins ENABLED');
 
+    if (Config.ANALYTICS_WEEKLY_DIGEST) {
+      this.setupWeeklyAnalyticsDigest();
+      logger.info('✅ Weekly analytics digest ENABLED');
+    } else {
+      logger.info('⚠️  Weekly analytics digest DISABLED');
+    }
+
+    if (Config.WEEKLY_REPORT_ENABLED || Config.WEEKLY_RECAP_ENABLED) {
+      this.setupWeeklyReports();
+      logger.info('✅ Weekly report and recaps ENABLED');
+    } else {
+      logger.info('⚠️  Weekly report and recaps DISABLED');
+    }
+
     // Setup no-show penalty check
     this.setupNoShowCheck();
     logger.info('✅ No-show penalty check ENABLED');
@@ -243,11 +275,9 @@ class SchedulerService {
       try {
         const now = moment.tz(Config.TIMEZONE);
         const today = now.format('YYYY-MM-DD');
-        const isSunday = now.day() === 0;
-
-        // Skip creating sheet on Sunday (nobody works on Sunday)
-        if (isSunday) {
-          logger.info(`Skipping daily sheet creation for ${today} (Sunday - day off for everyone)`);
+        // Skip creating sheet when nobody is scheduled to work (e.g. Sunday)
+        if (!(await scheduleService.isAnyoneWorking(now))) {
+          logger.info(`Skipping daily sheet creation for ${today} (day off for everyone)`);
           return;
         }
 
@@ -298,9 +328,16 @@ class SchedulerService {
       const today = now.format('YYYY-MM-DD');
       const currentMinute = now.format('HH:mm');
 
+      // Night shifts that started yesterday still need departure reminders after midnight
+      const nightShiftRows = await this.retryOperation(async () => {
+        return await this.getRunningNightShiftRows(now);
+      });
+      const shiftDays = new Map(nightShiftRows.map(row => [row, now.clone().subtract(1, 'day').startOf('day')]));
+      const shiftDayOf = (row) => shiftDays.get(row) || now;
+
       // Check if today's sheet exists
       const sheetExists = sheetsService.doc.sheetsByTitle[today];
-      if (!sheetExists) {
+      if (!sheetExists && nightShiftRows.length === 0) {
         // Sheet doesn't exist yet - skip reminder check
         // Sheet will be created when first user marks attendance
         return;
@@ -308,12 +345,16 @@ class SchedulerService {
 
       // OPTIMIZATION: Use cached methods to reduce API calls
       // This runs every 5 minutes, so caching is critical
-      const { worksheet, rows } = await this.retryOperation(async () => {
-        return await sheetsService._getCachedDailySheet(today);
-      });
-
-      // OPTIMIZATION: Use cached roster data instead of loading every time
-      const rosterRows = await this.retryOperation(async () => {
+      const { rows } = sheetExists
+        ? await this.retryOperation(async () => {
+          return await sheetsService._getCachedDailySheet(today);
+        })
+        : { rows: [] };
+      // Rows of everyone currently on shift (today's sheet + running night shifts)
+      const shiftRows = rows.concat(nightShiftRows);
+
+      // OPTIMIZATION: Warm up cached roster - schedule lookups below resolve employees from it
+      await this.retryOperation(async () => {
         return await sheetsService._getCachedRoster(true); // Build index for faster lookups
       });
 
@@ -352,25 +393,13 @@ class SchedulerService {
           continue;
         }
 
-        // Get work time from roster
-        let workTime = null;
-        for (const rosterRow of rosterRows) {
-          const rosterTelegramId = rosterRow.get('Telegram Id') || '';
-          if (rosterTelegramId.toString().trim() === telegramId.toString().trim()) {
-            workTime = rosterRow.get('Work time') || '';
-            break;
-          }
-        }
-
-        if (!workTime || workTime === '-') {
+        // Get today's work time from the schedule (no reminders on a day off)
+        const workTime = await scheduleService.getScheduledWorkTime(telegramId, now);
+        if (!workTime) {
           continue;
         }
 
-        // Parse work start time
-        const startTime = workTime.split('-')[0].trim();
-        const [startHour, startMinute] = startTime.split(':').map(num => parseInt(num));
-        let workStart = moment.tz(Config.TIMEZONE)
-          .set({ hour: startHour, minute: startMinute, second: 0 });
+        let workStart = workTime.start.clone();
 
         // Check if person notified they'll be late - adjust reminder times accordingly
         const lateExpectedArrival = row.get('will be late will come at') || '';
@@ -444,23 +473,6 @@ class SchedulerService {
         // Check if person should be automatically marked as late (20+ minutes after start)
         const minutesSinceStart = now.diff(workStart, 'minutes');
         if (minutesSinceStart >= 20) {
-          // Skip auto-late marking on Sunday OR (Saturday AND user doesn't work on Saturday)
-          const isSunday = now.day() === 0;
-          const isSaturday = now.day() === 6;
-
-          if (isSunday) {
-            logger.debug(`Skipping auto-late marking for ${name} - today is Sunday`);
-            continue;
-          }
-
-          if (isSaturday) {
-            const user = await sheetsService.findEmployeeByTelegramId(telegramId);
-            if (user && user.doNotWorkSaturday) {
-              logger.debug(`Skipping auto-late marking for ${name} - Saturday is their day off`);
-              continue;
-            }
-          }
-
           // Person is 20+ minutes late
           // Check if they haven't notified they'll be late and haven't been marked yet
           const alreadyMarkedLate = cameOnTime.toLowerCase() === 'no' || cameOnTime.toLowerCase() === 'false';
@@ -494,7 +506,7 @@ class SchedulerService {
             const sent = await this.sendMessageSafe(
               telegramId,
               `⚠️ Вы автоматически отмечены как опоздавший\n\n` +
-              `Вы не пришли на работу вовремя (${startTime}).\n` +
+              `Вы не пришли на работу вовремя (${workTime.start.format('HH:mm')}).\n` +
               `Прошло уже ${minutesSinceStart} минут с начала рабочего дня.\n\n` +
               `Пожалуйста, отметьте свой приход, когда придёте.`
             );
@@ -511,7 +523,7 @@ class SchedulerService {
       }
 
       // Check for temporary exit return reminders
-      for (const row of rows) {
+      for (const row of shiftRows) {
         const name = row.get('Name') || '';
         const telegramId = row.get('TelegramId') || '';
         const currentlyOut = row.get('Currently out') || 'false';
@@ -597,7 +609,7 @@ class SchedulerService {
       }
 
       // Check for departure reminders (15 min before required end time + deficit)
-      for (const row of rows) {
+      for (const row of shiftRows) {
         const name = row.get('Name') || '';
         const telegramId = row.get('TelegramId') || '';
         const whenCome = row.get('When come') || '';
@@ -624,44 +636,14 @@ class SchedulerService {
           continue;
         }
 
-        // Skip departure reminders on Sunday OR (Saturday AND user doesn't work on Saturday)
-        const isSunday = now.day() === 0;
-        const isSaturday = now.day() === 6;
-
-        if (isSunday) {
-          logger.debug(`Skipping departure reminder for ${name} - today is Sunday`);
+        // Skip departure reminders on the employee's day off
+        const workTime = await scheduleService.getScheduledWorkTime(telegramId, shiftDayOf(row));
+        if (!workTime) {
+          logger.debug(`Skipping departure reminder for ${name} - day off`);
           continue;
         }
 
-        if (isSaturday) {
-          const user = await sheetsService.findEmployeeByTelegramId(telegramId);
-          if (user && user.doNotWorkSaturday) {
-            logger.debug(`Skipping departure reminder for ${name} - Saturday is their day off`);
-            continue;
-          }
-        }
-
-        // Get work time from roster
-        let workTime = null;
-        for (const rosterRow of rosterRows) {
-          const rosterTelegramId = rosterRow.get('Telegram Id') || '';
-          if (rosterTelegramId.toString().trim() === telegramId.toString().trim()) {
-            workTime = rosterRow.get('Work time') || '';
-            break;
-          }
-        }
-
-        if (!workTime || workTime === '-') {
-          continue;
-        }
-
-        // Parse work end time
-        const endTime = workTime.split('-')[1]?.trim();
-        if (!endTime) continue;
-
-        const [endHour, endMinute] = endTime.split(':').map(num => parseInt(num));
-        let workEnd = moment.tz(Config.TIMEZONE)
-          .set({ hour: endHour, minute: endMinute, second: 0 });
+        let workEnd = workTime.end.clone();
 
         // Get monthly balance to calculate deficit
         try {
@@ -700,8 +682,8 @@ class SchedulerService {
         if (currentMinute === departureReminderTime) {
           try {
             const requiredEndTime = workEnd.format('HH:mm');
-            const normalEndTime = endTime;
-            const extraMinutes = workEnd.diff(moment.tz(Config.TIMEZONE).set({ hour: endHour, minute: endMinute, second: 0 }), 'minutes');
+            const normalEndTime = workTime.end.format('HH:mm');
+            const extraMinutes = workEnd.diff(workTime.end, 'minutes');
 
             let message = `⏰ Напоминание об окончании рабочего дня\n\n`;
 
@@ -737,7 +719,7 @@ class SchedulerService {
       }
 
       // Check for extended work reminders (15 min before extended end time)
-      for (const row of rows) {
+      for (const row of shiftRows) {
         const name = row.get('Name') || '';
         const telegramId = row.get('TelegramId') || '';
         const whenCome = row.get('When come') || '';
@@ -770,44 +752,14 @@ class SchedulerService {
           continue;
         }
 
-        // Skip extended work reminders on Sunday OR (Saturday AND user doesn't work on Saturday)
-        const isSunday = now.day() === 0;
-        const isSaturday = now.day() === 6;
-
-        if (isSunday) {
-          logger.debug(`Skipping extended work reminder for ${name} - today is Sunday`);
+        // Skip extended work reminders on the employee's day off
+        const workTime = await scheduleService.getScheduledWorkTime(telegramId, shiftDayOf(row));
+        if (!workTime) {
+          logger.debug(`Skipping extended work reminder for ${name} - day off`);
           continue;
         }
 
-        if (isSaturday) {
-          const user = await sheetsService.findEmployeeByTelegramId(telegramId);
-          if (user && user.doNotWorkSaturday) {
-            logger.debug(`Skipping extended work reminder for ${name} - Saturday is their day off`);
-            continue;
-          }
-        }
-
-        // Get work time from roster
-        let workTime = null;
-        for (const rosterRow of rosterRows) {
-          const rosterTelegramId = rosterRow.get('Telegram Id') || '';
-          if (rosterTelegramId.toString().trim() === telegramId.toString().trim()) {
-            workTime = rosterRow.get('Work time') || '';
-            break;
-          }
-        }
-
-        if (!workTime || workTime === '-') {
-          continue;
-        }
-
-        // Parse work end time
-        const endTime = workTime.split('-')[1]?.trim();
-        if (!endTime) continue;
-
-        const [endHour, endMinute] = endTime.split(':').map(num => parseInt(num));
-        let workEnd = moment.tz(Config.TIMEZONE)
-          .set({ hour: endHour, minute: endMinute, second: 0 });
+        let workEnd = workTime.end.clone();
 
         // Add work extension to end time
         const extendedWorkEnd = workEnd.clone().add(workExtensionMinutes, 'minutes');
@@ -860,7 +812,7 @@ class SchedulerService {
 
       // AUTO-DEPARTURE CHECK: Check for employees who forgot to mark departure
       if (Config.ENABLE_AUTO_DEPARTURE) {
-        for (const row of rows) {
+        for (const row of shiftRows) {
           const name = row.get('Name') || '';
           const telegramId = row.get('TelegramId') || '';
           const whenCome = row.get('When come') || '';
@@ -883,27 +835,13 @@ class SchedulerService {
             continue;
           }
 
-          // Get work time from roster
-          let workTime = null;
-          for (const rosterRow of rosterRows) {
-            const rosterTelegramId = rosterRow.get('Telegram Id') || '';
-            if (rosterTelegramId.toString().trim() === telegramId.toString().trim()) {
-              workTime = rosterRow.get('Work time') || '';
-              break;
-            }
-          }
-
-          if (!workTime || workTime === '-') {
+          // Get work time from the schedule (roster hours if someone works on a day off)
+          const workTime = await scheduleService.getWorkTime(telegramId, shiftDayOf(row));
+          if (!workTime) {
             continue;
           }
 
-          // Parse work end time
-          const endTime = workTime.split('-')[1]?.trim();
-          if (!endTime) continue;
-
-          const [endHour, endMinute] = endTime.split(':').map(num => parseInt(num));
-          let workEnd = moment.tz(Config.TIMEZONE)
-            .set({ hour: endHour, minute: endMinute, second: 0 });
+          let workEnd = workTime.end.clone();
 
           // Add work extension if user requested it
           if (workExtensionMinutes > 0) {
@@ -934,7 +872,7 @@ class SchedulerService {
                 const mins = workExtensionMinutes % 60;
                 const extensionText = hours > 0 ? `${hours} ч ${mins} мин` : `${mins} мин`;
 
-                warningMessage += `Ваше плановое время: ${endTime}\n`;
+                warningMessage += `Ваше плановое время: ${workTime.end.format('HH:mm')}\n`;
                 warningMessage += `Продление: +${extensionText}\n`;
                 warningMessage += `Текущее окончание работы: ${actualEndTime}\n\n`;
               } else {
@@ -996,7 +934,7 @@ class SchedulerService {
               row.set('Leave time', departureTime);
 
               // Calculate hours worked
-              const arrivalTime = moment.tz(`${today} ${whenCome}`, 'YYYY-MM-DD HH:mm', Config.TIMEZONE);
+              const arrivalTime = CalculatorService.parseShiftTime(whenCome, shiftDayOf(row), workTime);
               const minutesWorked = now.diff(arrivalTime, 'minutes');
               const hoursWorked = minutesWorked / 60;
               row.set('Hours worked', hoursWorked.toFixed(2));
@@ -1081,23 +1019,17 @@ class SchedulerService {
         return;
       }
 
-      // Skip reminders on Sunday OR (Saturday AND user doesn't work on Saturday)
+      // Skip reminders on the employee's day off
       const now = moment.tz(Config.TIMEZONE);
-      const isSunday = now.day() === 0;
-      const isSaturday = now.day() === 6;
-
-      if (isSunday) {
-        logger.info(`Skipping work reminder for ${name} - today is Sunday`);
+      if (await scheduleService.isDayOff(telegramId, now)) {
+        logger.info(`Skipping work reminder for ${name} - ${scheduleService.getDayName(now)} is their day off`);
         return;
       }
 
-      if (isSaturday) {
-        // Check if user works on Saturday
-        const user = await sheetsService.findEmployeeByTelegramId(telegramId);
-        if (user && user.doNotWorkSaturday) {
-          logger.info(`Skipping work reminder for ${name} - Saturday is their day off`);
-          return;
-        }
+      // ... and during approved leave
+      if (await leaveService.getApprovedLeave(telegramId, now)) {
+        logger.info(`Skipping work reminder for ${name} - on approved leave`);
+        return;
       }
 
       let message;
@@ -1188,9 +1120,9 @@ class SchedulerService {
         const now = moment.tz(Config.TIMEZONE);
         const today = now.format('YYYY-MM-DD');
 
-        // Skip daily report on Sunday (day 0)
-        if (now.day() === 0) {
-          logger.info(`Skipping daily report for ${today} - today is Sunday`);
+        // Skip daily report when nobody is scheduled to work (e.g. Sunday)
+        if (!(await scheduleService.isAnyoneWorking(now))) {
+          logger.info(`Skipping daily report for ${today} - day off for everyone`);
           return;
         }
 
@@ -1248,7 +1180,138 @@ class SchedulerService {
   }
 
   /**
-   * Send daily report to all admins
+   * Send the analytics digest of the past weeks every Monday morning
+   */
+  setupWeeklyAnalyticsDigest() {
+    // Run at 09:00 every Monday
+    const job = cron.schedule('0 9 * * 1', async () => {
+      try {
+        await this.sendAnalyticsDigest();
+      } catch (error) {
+        logger.error(`Error sending analytics digest: ${error.message}`);
+      }
+    }, {
+      timezone: Config.TIMEZONE
+    });
+
+    this.jobs.push(job);
+    logger.info('Weekly analytics digest job scheduled (runs at 09:00 every Monday)');
+  }
+
+  /**
+   * Send the weekly report and the personal recaps of the past week every Monday morning
+   */
+  setupWeeklyReports() {
+    // Run at 09:30 every Monday - the last week is archived in the History sheet by then
+    const job = cron.schedule('30 9 * * 1', async () => {
+      try {
+        const week = weeklyReportService.getWeek(moment.tz(Config.TIMEZONE).subtract(1, 'week'));
+        logger.info(`Sending weekly report for ${week.from}..${week.to}`);
+
+        if (Config.WEEKLY_REPORT_ENABLED) {
+          await this.sendWeeklyReportToAdmins(week);
+        }
+        if (Config.WEEKLY_RECAP_ENABLED) {
+          await this.sendWeeklyRecaps(week);
+        }
+      } catch (error) {
+        logger.error(`Error sending weekly report: ${error.message}`);
+      }
+    }, {
+      timezone: Config.TIMEZONE
+    });
+
+    this.jobs.push(job);
+    logger.info('Weekly report job scheduled (runs at 09:30 every Monday)');
+  }
+
+  /**
+   * Send the weekly report to admins and to managers / team leads (their employees only)
+   * @param {Object} week - { from, to } from weeklyReportService.getWeek
+   * @returns {number} Number of reports sent
+   */
+  async sendWeeklyReportToAdmins(week) {
+    if (!this.bot) {
+      logger.error('Bot instance not initialized in scheduler');
+      return 0;
+    }
+
+    const roleService = require('./role.service');
+    let sent = 0;
+
+    for (const { scope, recipients } of await roleService.getAudiences('reports')) {
+      const ids = await roleService.getScopedTelegramIds(scope);
+      const report = await weeklyReportService.getReport(week, ids);
+
+      // Nobody had a work day that week (holidays) - nothing to report
+      if (report.stats.size === 0) continue;
+
+      const message = weeklyReportService.formatReport(report);
+      for (const telegramId of recipients) {
+        if (await this.sendMessageSafe(telegramId, message)) sent++;
+      }
+    }
+
+    logger.info(`Weekly report ${week.from}..${week.to} sent to ${sent} recipients`);
+    return sent;
+  }
+
+  /**
+   * Send every employee who worked in the week their personal recap
+   * @param {Object} week - { from, to } from weeklyReportService.getWeek
+   * @returns {number} Number of recaps sent
+   */
+  async sendWeeklyRecaps(week) {
+    if (!this.bot) {
+      logger.error('Bot instance not initialized in scheduler');
+      return 0;
+    }
+
+    const stats = await weeklyReportService.getWeekStats(week);
+    const previousStats = await weeklyReportService.getWeekStats(weeklyReportService.getPreviousWeek(week));
+    let sent = 0;
+
+    for (const employee of stats.values()) {
+      const message = weeklyReportService.formatRecap(employee, previousStats.get(employee.telegramId) || null, week);
+      if (await this.sendMessageSafe(employee.telegramId, message)) sent++;
+    }
+
+    logger.info(`Weekly recaps ${week.from}..${week.to} sent to ${sent} employees`);
+    return sent;
+  }
+
+  /**
+   * Send the analytics digest up to yesterday to admins and to managers / team leads (their employees only)
+   * @returns {number} Number of digests sent
+   */
+  async sendAnalyticsDigest() {
+    if (!this.bot) {
+      logger.error('Bot instance not initialized in scheduler');
+      return 0;
+    }
+
+    const analyticsService = require('./analytics.service');
+    const roleService = require('./role.service');
+    const yesterday = moment.tz(Config.TIMEZONE).subtract(1, 'day').format('YYYY-MM-DD');
+    let sent = 0;
+
+    for (const { scope, recipients } of await roleService.getAudiences('reports')) {
+      const ids = await roleService.getScopedTelegramIds(scope);
+      const analysis = await analyticsService.analyze({ to: yesterday, ids });
+      if (analysis.employees.length === 0) continue;
+
+      const message = analyticsService.formatDigest(analysis);
+      for (const telegramId of recipients) {
+        if (await this.sendMessageSafe(telegramId, message)) sent++;
+      }
+    }
+
+    logger.info(`Analytics digest up to ${yesterday} sent to ${sent} recipients`);
+    return sent;
+  }
+
+  /**
+   * Send daily report to all admins and to managers / team leads (their employees only)
    * @param {string} date - Date in YYYY-MM-DD format
    */
   async sendDailyReportToAdmins(date) {
@@ -1269,13 +1332,40 @@ class SchedulerService {
 
       const worksheet = await sheetsService.getWorksheet(date);
       await worksheet.loadHeaderRow();
-      const rows = await worksheet.getRows();
+      const allRows = await worksheet.getRows();
 
-      if (rows.length === 0) {
+      if (allRows.length === 0) {
         logger.info('No data for daily report');
         return;
       }
 
+      // Each audience (admins/HR, company managers, team leads) gets only its own employees
+      const roleService = require('./role.service');
+      for (const { scope, recipients } of await roleService.getAudiences('reports')) {
+        const rows = await roleService.filterRows(allRows, scope, 'TelegramId');
+        if (rows.length > 0) {
+          await this._sendDailyReport(date, rows, recipients);
+        }
+      }
+
+    } catch (error) {
+      logger.error(`Error in sendDailyReportToAdmins: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the daily HTML report (PDF when REPORT_FORMAT=pdf) and send it
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {Array} rows - Daily sheet rows to include
+   * @param {Array<number>} recipients - Telegram IDs to send the report to
+   */
+  async _sendDailyReport(date, rows, recipients) {
+    try {
+      if (pdfReportService.resolveFormat() === 'pdf') {
+        await this._sendDailyPdfReport(date, rows, recipients);
+        return;
+      }
+
       // Generate HTML report
       const now = moment.tz(Config.TIMEZONE);
       const fs = require('fs');
@@ -1375,6 +1465,9 @@ class SchedulerService {
         `;
       }
 
+      // Per-team breakdown (empty when nobody is in a team)
+      const teamBreakdown = await teamService.buildBreakdownHtml(rows, 'daily');
+
       const html = `<!DOCTYPE html>
 <html lang="ru">
 <head>
@@ -1440,6 +1533,7 @@ class SchedulerService {
         <tbody>${employeeRows}</tbody>
       </table>
     </div>
+    ${teamBreakdown}
     <div class="footer">Сгенерировано системой учёта посещаемости • ${now.format('DD.MM.YYYY HH:mm:ss')}</div>
   </div>
 </body>
@@ -1454,8 +1548,8 @@ class SchedulerService {
       const filepath = path.join(tempDir, filename);
       fs.writeFileSync(filepath, html, 'utf8');
 
-      // Send to all admins
-      for (const adminId of Config.ADMIN_TELEGRAM_IDS) {
+      // Send to the audience
+      for (const adminId of recipients) {
         try {
           await this.bot.telegram.sendDocument(
             adminId,
@@ -1475,12 +1569,37 @@ class SchedulerService {
       fs.unlinkSync(filepath);
 
     } catch (error) {
-      logger.error(`Error in sendDailyReportToAdmins: ${error.message}`);
+      logger.error(`Error sending daily report for ${date}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the daily PDF report and send it
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {Array} rows - Daily sheet rows to include
+   * @param {Array<number>} recipients - Telegram IDs to send the report to
+   */
+  async _sendDailyPdfReport(date, rows, recipients) {
+    const pdf = await pdfReportService.buildDaily(rows, date, moment.tz(Config.TIMEZONE));
+    const summary = pdfReportService.summarizeDaily(rows);
+    const filename = `daily_report_${date}.pdf`;
+
+    for (const adminId of recipients) {
+      try {
+        await this.bot.telegram.sendDocument(
+          adminId,
+          { source: pdf, filename },
+          { caption: `📊 Дневной отчёт за ${date}\n\n✅ Присутствуют: ${summary.present}\n🕒 Опоздали: ${summary.late}\n❌ Отсутствуют: ${summary.absent}` }
+        );
+        logger.info(`Daily PDF report sent to admin ${adminId}`);
+      } catch (err) {
+        logger.error(`Failed to send daily report to admin ${adminId}: ${err.message}`);
+      }
     }
   }
 
   /**
-   * Send monthly report to all admins
+   * Send monthly report to all admins and to managers / team leads (their employees only)
    * @param {string} yearMonth - Month in YYYY-MM format
    */
   async sendMonthlyReportToAdmins(yearMonth) {
@@ -1502,41 +1621,53 @@ class SchedulerService {
 
       const worksheet = await sheetsService.getWorksheet(sheetName);
       await worksheet.loadHeaderRow();
-      const rows = await worksheet.getRows();
+      const allRows = await worksheet.getRows();
 
-      if (rows.length === 0) {
+      if (allRows.length === 0) {
         logger.info('No data for monthly report');
         return;
       }
 
-      // Calculate stats
-      let greenCount = 0, yellowCount = 0, redCount = 0;
-      rows.forEach(row => {
-        const zone = row.get('Rating Zone') || '';
-        if (zone === 'Green') greenCount++;
-        else if (zone === 'Yellow') yellowCount++;
-        else redCount++;
-      });
+      // Each audience (admins/HR, company managers, team leads) gets stats of its own employees
+      const roleService = require('./role.service');
+      for (const { scope, recipients } of await roleService.getAudiences('reports')) {
+        const rows = await roleService.filterRows(allRows, scope, 'Telegram ID');
+        if (rows.length === 0) continue;
+
+        // Calculate stats
+        let greenCount = 0, yellowCount = 0, redCount = 0;
+        rows.forEach(row => {
+          const zone = row.get('Rating Zone') || '';
+          if (zone === 'Green') greenCount++;
+          else if (zone === 'Yellow') yellowCount++;
+          else redCount++;
+        });
 
-      // Send to all admins
-      for (const adminId of Config.ADMIN_TELEGRAM_IDS) {
-        try {
-          await this.retryTelegramOperation(async () => {
-            await this.bot.telegram.sendMessage(
-              adminId,
-              `📊 Месячный отчёт за ${yearMonth}\n\n` +
-              `🟢 Зелёная зона: ${greenCount}\n` +
-              `🟡 Жёлтая зона: ${yellowCount}\n` +
-              `🔴 Красная зона: ${redCount}\n\n` +
-              `Используйте кнопку "📈 Отчёт за месяц" для получения полного отчёта.`
-            );
-          });
-          logger.info(`Monthly report sent to admin ${adminId}`);
+        // Per-team average rating
+        const teams = await teamService.summarizeMonthly(rows);
+        const teamLines = teams.every(t => t.team === teamService.NO_TEAM) ? '' :
+          '👥 По командам:\n' + teams.map(t => `• ${t.team}: ${t.employees} чел., рейтинг ${t.rating.toFixed(1)}`).join('\n') + '\n\n';
 
-          // Add delay between admin notifications
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        } catch (err) {
-          logger.error(`Failed to send monthly report to admin ${adminId} after retries: ${err.message}`);
+        for (const adminId of recipients) {
+          try {
+            await this.retryTelegramOperation(async () => {
+              await this.bot.telegram.sendMessage(
+                adminId,
+                `📊 Месячный отчёт за ${yearMonth}\n\n` +
+                `🟢 Зелёная зона: ${greenCount}\n` +
+                `🟡 Жёлтая зона: ${yellowCount}\n` +
+                `🔴 Красная зона: ${redCount}\n\n` +
+                teamLines +
+                `Используйте кнопку "📈 Отчёт за месяц" для получения полного отчёта.`
+              );
+            });
+            logger.info(`Monthly report sent to admin ${adminId}`);
+
+            // Add delay between admin notifications
+            await new Promise(resolve => setTimeout(resolve, 1000));
+          } catch (err) {
+            logger.error(`Failed to send monthly report to admin ${adminId} after retries: ${err.message}`);
+          }
         }
       }
 
@@ -1584,8 +1715,6 @@ class SchedulerService {
 
       // Check if the date is a weekend
       const checkDate = moment.tz(dateStr, Config.TIMEZONE);
-      const isSunday = checkDate.day() === 0;
-      const isSaturday = checkDate.day() === 6;
 
       // Get daily sheet
       const worksheet = await sheetsService.getWorksheet(dateStr);
@@ -1604,20 +1733,18 @@ class SchedulerService {
         const willBeLate = row.get('will be late') || '';
         const currentPoint = parseFloat(row.get('Point') || '0');
 
-        // Skip no-show check on Sundays (everyone's day off)
-        if (isSunday) {
+        // Skip no-show check for employees who have a day off by their schedule
+        if (await scheduleService.isDayOff(telegramId, checkDate)) {
+          logger.debug(`Skipping no-show check for ${name} - day off`);
           skippedWeekend++;
           continue;
         }
 
-        // Skip no-show check on Saturdays for employees who don't work on Saturday
-        if (isSaturday && telegramId.trim()) {
-          const employee = await sheetsService.findEmployeeByTelegramId(telegramId);
-          if (employee && employee.doNotWorkSaturday) {
-            logger.debug(`Skipping no-show check for ${name} - Saturday is their day off`);
-            skippedWeekend++;
-            continue;
-          }
+        // Late and night shifts that haven't started yet are checked again at end of day
+        const workTime = await scheduleService.getScheduledWorkTime(telegramId, checkDate);
+        if (workTime && moment.tz(Config.TIMEZONE).isBefore(workTime.start)) {
+          logger.debug(`Skipping no-show check for ${name} - shift starts at ${workTime.start.format('HH:mm')}`);
+          continue;
         }
 
         // Check if person has NO activity at all
@@ -1626,6 +1753,19 @@ class SchedulerService {
                               absent.toLowerCase() !== 'yes' &&
                               willBeLate.toLowerCase() !== 'yes';
 
+        if (hasNoActivity && name.trim() && telegramId) {
+          // Leave approved after the sheet was prepared - excuse instead of penalizing
+          const leave = await leaveService.getApprovedLeave(telegramId, checkDate);
+          if (leave) {
+            for (const [column, value] of Object.entries(sheetsService._leaveRowValues(leave))) {
+              row.set(column, value);
+            }
+            await row.save();
+            logger.info(`${name} is on approved leave #${leave.id} - not a no-show`);
+            continue;
+          }
+        }
+
         if (hasNoActivity && name.trim()) {
           // Mark as no-show with -2 penalty
           row.set('Point', Config.NO_SHOW_PENALTY.toString());
@@ -1635,6 +1775,15 @@ class SchedulerService {
 
           noShowCount++;
           logger.warn(`Marked ${name} (${telegramId}) as no-show with ${Config.NO_SHOW_PENALTY} points`);
+          webhookService.emit('ABSENT', {
+            eventType: 'NO_SHOW',
+            telegramId: telegramId.toString(),
+            name,
+            date: dateStr,
+            time: moment.tz(Config.TIMEZONE).format('HH:mm:ss'),
+            details: 'No-show (no activity)',
+            ratingImpact: Config.NO_SHOW_PENALTY
+          });
 
           // FIX #4: Send notification to user using safe method
           if (telegramId && this.bot) {
@@ -1657,10 +1806,8 @@ class SchedulerService {
         }
       }
 
-      if (isSunday) {
-        logger.info(`Skipped no-show check on ${dateStr} (Sunday - everyone's day off)`);
-      } else if (isSaturday && skippedWeekend > 0) {
-        logger.info(`No-show check on ${dateStr} (Saturday): Skipped ${skippedWeekend} employees with day off, marked ${noShowCount} no-shows`);
+      if (skippedWeekend > 0) {
+        logger.info(`No-show check on ${dateStr}: Skipped ${skippedWeekend} employees with day off, marked ${noShowCount} no-shows`);
       } else if (noShowCount > 0) {
         logger.info(`Marked ${noShowCount} employees as no-shows on ${dateStr}`);
       } else {
@@ -1691,12 +1838,52 @@ class SchedulerService {
       } catch (error) {
         logger.error(`Error in end-of-day archiving: ${error.message}`);
       }
+
+      await webhookService.pruneLog();
     }, {
       timezone: Config.TIMEZONE
     });
 
     this.jobs.push(job);
     logger.info('End-of-day archiving job scheduled (runs at 00:00 every day)');
+
+    // Archive days that were postponed because night shifts were still running
+    const retryJob = cron.schedule('*/10 * * * *', async () => {
+      for (const dateStr of Array.from(this._pendingEndOfDay)) {
+        try {
+          await this.handleEndOfDay(dateStr, false);
+        } catch (error) {
+          logger.error(`Error in postponed end-of-day archiving for ${dateStr}: ${error.message}`);
+        }
+      }
+    }, {
+      timezone: Config.TIMEZONE
+    });
+
+    this.jobs.push(retryJob);
+
+    this.restorePendingEndOfDay();
+  }
+
+  /**
+   * Queue days whose end-of-day process did not finish before a restart.
+   * A daily sheet is deleted at the end of its end-of-day process, so every daily sheet
+   * older than today is a postponed (or interrupted) day.
+   * @returns {Array<string>} Dates queued for the retry job, YYYY-MM-DD
+   */
+  restorePendingEndOfDay() {
+    const today = moment.tz(Config.TIMEZONE).format('YYYY-MM-DD');
+    const dates = Object.keys(sheetsService.doc?.sheetsByTitle || {})
+      .filter(title => /^\d{4}-\d{2}-\d{2}$/.test(title) && title < today)
+      .sort();
+
+    for (const dateStr of dates) {
+      this._pendingEndOfDay.add(dateStr);
+    }
+    if (dates.length > 0) {
+      logger.info(`End-of-day process pending after restart for: ${dates.join(', ')}`);
+    }
+    return dates;
   }
 
   /**
@@ -1712,12 +1899,38 @@ class SchedulerService {
       const sheetExists = sheetsService.doc.sheetsByTitle[dateStr];
       if (!sheetExists) {
         logger.info(`Sheet ${dateStr} doesn't exist - skipping end-of-day process`);
+        this._pendingEndOfDay.delete(dateStr);
         return;
       }
 
+      // The day may already be in the monthly report: the bot stopped, or archiving failed,
+      // after Step 3. Then only the rows not transferred yet are added, and archiving is retried
+      const resumed = await this.isDayTransferred(dateStr);
+      if (resumed) {
+        logger.info(`${dateStr} is already in the monthly report - resuming archiving`);
+        this._pendingEndOfDay.delete(dateStr);
+      }
+
+      // Night shifts that cross midnight belong to this day - wait until they are over
+      if (!manual && !resumed) {
+        const nightShifts = await this.countNightShiftsInProgress(dateStr);
+        if (nightShifts > 0) {
+          if (!this._pendingEndOfDay.has(dateStr)) {
+            logger.info(`Postponing end-of-day process for ${dateStr}: ${nightShifts} night shift(s) still in progress`);
+          }
+          this._pendingEndOfDay.add(dateStr);
+          return;
+        }
+        this._pendingEndOfDay.delete(dateStr);
+
+        // Late and night shifts were not started yet at the 20:00 no-show check
+        logger.info('Step 0: Checking no-shows of late shifts...');
+        await this.checkAndMarkNoShows(dateStr);
+      }
+
       // Step 1: Handle overnight workers
       logger.info('Step 1: Handling overnight workers...');
-      const overnightWorkers = await this.handleOvernightWorkers(dateStr);
+      const overnightWorkers = resumed ? 0 : await this.handleOvernightWorkers(dateStr);
 
       // Step 2: Wait 2 minutes for responses (only in automatic mode)
       if (!manual && overnightWorkers > 0) {
@@ -1735,13 +1948,29 @@ class SchedulerService {
         return;
       }
 
-      // Step 4: Send report to Telegram group
-      logger.info('Step 4: Sending report to Telegram group...');
-      await this.sendDailyReportToGroup(dateStr);
+      // Keep the day-by-day rows in the History sheet - the daily sheet is deleted below
+      let archived = true;
+      try {
+        await historyService.archiveDay(dateStr);
+      } catch (error) {
+        archived = false;
+        logger.error(`Failed to archive ${dateStr} in history: ${error.message}`);
+      }
+
+      // Step 4: Send report to Telegram group (it was sent before the interruption)
+      if (!resumed) {
+        logger.info('Step 4: Sending report to Telegram group...');
+        await this.sendDailyReportToGroup(dateStr);
+        await this.emitDailyReport(dateStr);
+      }
 
       // Step 5: Delete the daily sheet
-      logger.info('Step 5: Deleting daily sheet...');
-      await this.deleteDailySheet(dateStr);
+      if (archived) {
+        logger.info('Step 5: Deleting daily sheet...');
+        await this.deleteDailySheet(dateStr);
+      } else {
+        logger.warn(`Step 5: Skipped - keeping daily sheet ${dateStr} until it is archived in history`);
+      }
 
       logger.info(`=== End-of-Day Process Completed for ${dateStr} ===`);
     } catch (error) {
@@ -1750,6 +1979,84 @@ class SchedulerService {
     }
   }
 
+  /**
+   * Count night shifts of a day that are not over yet.
+   * A shift is over when the employee left, was marked absent, or - for
+   * employees who never arrived - once its scheduled end has passed.
+   * With auto-departure enabled we also wait for it to close forgotten departures.
+   * @param {string} dateStr - Date in YYYY-MM-DD format
+   * @returns {number} Number of night shifts still running
+   */
+  async countNightShiftsInProgress(dateStr) {
+    const CalculatorService = require('./calculator.service');
+    const now = moment.tz(Config.TIMEZONE);
+    const shiftDay = moment.tz(dateStr, Config.TIMEZONE);
+    const { rows } = await sheetsService._getCachedDailySheet(dateStr);
+
+    let inProgress = 0;
+    for (const row of rows) {
+      const telegramId = (row.get('TelegramId') || '').toString().trim();
+      const whenCome = row.get('When come') || '';
+      const leaveTime = row.get('Leave time') || '';
+      const absent = row.get('Absent') || '';
+
+      if (!telegramId || leaveTime.trim() || absent.toLowerCase() === 'yes') {
+        continue;
+      }
+
+      const workTime = await scheduleService.getScheduledWorkTime(telegramId, shiftDay);
+      if (!CalculatorService.isOvernightShift(workTime)) {
+        continue;
+      }
+
+      let shiftOver = workTime.end.clone();
+      if (whenCome.trim() && Config.ENABLE_AUTO_DEPARTURE) {
+        const extensionMinutes = parseInt(row.get('work_extension_minutes') || '0');
+        // A few extra minutes so the 5-minute reminder job can auto-depart first
+        shiftOver.add(extensionMinutes + Config.AUTO_DEPARTURE_GRACE_MINUTES + 10, 'minutes');
+      }
+
+      if (now.isBefore(shiftOver)) {
+        inProgress++;
+      }
+    }
+
+    return inProgress;
+  }
+
+  /**
+   * Get rows of yesterday's sheet for night shifts that are still running after midnight
+   * @param {moment.Moment} now - Current time
+   * @returns {Array} Rows (empty when yesterday's sheet is already archived)
+   */
+  async getRunningNightShiftRows(now) {
+    const CalculatorService = require('./calculator.service');
+    const yesterday = now.clone().subtract(1, 'day').format('YYYY-MM-DD');
+    if (!sheetsService.doc.sheetsByTitle[yesterday]) {
+      return [];
+    }
+
+    const shiftDay = moment.tz(yesterday, Config.TIMEZONE);
+    const { rows } = await sheetsService._getCachedDailySheet(yesterday);
+    const running = [];
+
+    for (const row of rows) {
+      const telegramId = (row.get('TelegramId') || '').toString().trim();
+      const whenCome = row.get('When come') || '';
+      const leaveTime = row.get('Leave time') || '';
+      if (!telegramId || !whenCome.trim() || leaveTime.trim()) {
+        continue;
+      }
+
+      const workTime = await scheduleService.getScheduledWorkTime(telegramId, shiftDay);
+      if (CalculatorService.isOvernightShift(workTime)) {
+        running.push(row);
+      }
+    }
+
+    return running;
+  }
+
   /**
    * Handle employees who are still working at midnight
    * @param {string} dateStr - Date in YYYY-MM-DD format
@@ -1773,6 +2080,14 @@ class SchedulerService {
 
         // Check if person arrived but didn't leave
         if (whenCome.trim() && !leaveTime.trim() && telegramId.trim()) {
+          // Night shift that was never closed - end it at the scheduled end instead of 23:59
+          const shiftDay = moment.tz(dateStr, Config.TIMEZONE);
+          const workTime = await scheduleService.getScheduledWorkTime(telegramId, shiftDay);
+          if (CalculatorService.isOvernightShift(workTime)) {
+            await this.closeNightShift(row, name, telegramId, shiftDay, workTime);
+            continue;
+          }
+
           overnightCount++;
 
           // Set leave time to 23:59 (end of day at midnight)
@@ -1827,7 +2142,59 @@ class SchedulerService {
   }
 
   /**
-   * Transfer daily data to monthly report
+   * Close a night shift nobody marked departure for at its scheduled end
+   * @param {Object} row - Daily sheet row
+   * @param {string} name - Employee name
+   * @param {string} telegramId - Employee Telegram ID
+   * @param {moment.Moment} shiftDay - Day the shift started
+   * @param {Object} workTime - Scheduled shift { start, end }
+   */
+  async closeNightShift(row, name, telegramId, shiftDay, workTime) {
+    const CalculatorService = require('./calculator.service');
+    const endTime = workTime.end.format('HH:mm');
+    const arrivalTime = CalculatorService.parseShiftTime(row.get('When come'), shiftDay, workTime);
+    const minutesWorked = Math.max(0, workTime.end.diff(arrivalTime, 'minutes'));
+
+    row.set('Leave time', endTime);
+    row.set('Hours worked', (minutesWorked / 60).toFixed(2));
+    await row.save();
+
+    logger.info(`Auto-ended night shift of ${name} (${telegramId}) at ${endTime}`);
+
+    if (this.bot) {
+      const sent = await this.sendMessageSafe(
+        telegramId,
+        `⚠️ Ваша ночная смена автоматически завершена\n\n` +
+        `📅 Дата: ${shiftDay.format('DD.MM.YYYY')}\n` +
+        `🕐 Время окончания: ${endTime}\n` +
+        `⏱ Отработано: ${CalculatorService.formatTimeDiff(minutesWorked)}`
+      );
+      if (!sent) {
+        logger.warn(`Could not send night shift notification to ${telegramId} - user blocked or unreachable`);
+      }
+    }
+  }
+
+  /**
+   * Check whether a day was transferred to the monthly report (for at least one employee)
+   * @param {string} dateStr - Date in YYYY-MM-DD format
+   * @returns {boolean} True if a report row lists the day in "Days Transferred"
+   */
+  async isDayTransferred(dateStr) {
+    const reportSheetName = `Report_${moment.tz(dateStr, Config.TIMEZONE).format('YYYY-MM')}`;
+    if (!sheetsService.doc.sheetsByTitle[reportSheetName]) return false;
+
+    const monthlySheet = await sheetsService.getWorksheet(reportSheetName);
+    await monthlySheet.loadHeaderRow();
+    if (!monthlySheet.headerValues.includes('Days Transferred')) return false;
+
+    const day = moment.tz(dateStr, Config.TIMEZONE).format('DD');
+    return (await monthlySheet.getRows()).some(row => parseTransferredDays(row).includes(day));
+  }
+
+  /**
+   * Transfer daily data to monthly report.
+   * Every report row lists the days added to it ("Days Transferred"), so a day is never added twice.
    * @param {string} dateStr - Date in YYYY-MM-DD format
    * @returns {boolean} True if successful
    */
@@ -1853,7 +2220,9 @@ class SchedulerService {
 
       // Load monthly sheet
       await monthlySheet.loadHeaderRow();
+      await sheetsService.ensureColumns(monthlySheet, ['Days Transferred']);
       const monthlyRows = await monthlySheet.getRows();
+      const day = moment.tz(dateStr, Config.TIMEZONE).format('DD');
 
       // Transfer data for each employee
       for (const dailyRow of dailyRows) {
@@ -1939,79 +2308,36 @@ class SchedulerService {
           }
         }
 
-        // Get daily data
-        const hoursWorked = parseFloat(dailyRow.get('Hours worked') || '0');
-        const cameOnTime = dailyRow.get('Came on time') || '';
-        const absent = dailyRow.get('Absent') || '';
-        const whenCome = dailyRow.get('When come') || '';
-        const willBeLate = dailyRow.get('will be late') || '';
-        const leftEarly = dailyRow.get('Left early') || '';
-        const point = parseFloat(dailyRow.get('Point') || '0');
-        const penaltyMinutes = parseFloat(dailyRow.get('Penalty minutes') || '0');
-        const remainingHours = parseFloat(dailyRow.get('Remaining hours to work') || '0');
-
-        // Get required hours for this day from roster
+        const transferredDays = parseTransferredDays(monthlyRow);
+        if (transferredDays.includes(day)) {
+          logger.info(`${name} already has ${dateStr} in ${reportSheetName} - skipped`);
+          continue;
+        }
+
+        // Get required hours for this day from the employee's schedule
         // FIXED: Calculate required hours for ALL days, not just days when employee came
         let requiredHoursDaily = 0;
-        const workSchedule = monthlyRow.get('Work Schedule') || '';
-        if (workSchedule) {
-          // Parse work schedule (e.g., "09:00-18:00")
-          const scheduleMatch = workSchedule.match(/(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})/);
-          if (scheduleMatch) {
-            const startHour = parseInt(scheduleMatch[1]);
-            const startMin = parseInt(scheduleMatch[2]);
-            const endHour = parseInt(scheduleMatch[3]);
-            const endMin = parseInt(scheduleMatch[4]);
-            const startMinutes = startHour * 60 + startMin;
-            const endMinutes = endHour * 60 + endMin;
-            requiredHoursDaily = (endMinutes - startMinutes) / 60;
+        if (telegramId) {
+          requiredHoursDaily = (await scheduleService.getRequiredMinutes(telegramId, dateStr)) / 60;
+        } else {
+          // Not registered yet - fall back to the schedule stored in the report
+          const CalculatorService = require('./calculator.service');
+          const workTime = CalculatorService.parseWorkTime(monthlyRow.get('Work Schedule') || '');
+          if (workTime) {
+            requiredHoursDaily = workTime.end.diff(workTime.start, 'minutes') / 60;
           }
         }
 
-        // Update Days Worked
-        if (whenCome.trim()) {
-          const current = parseInt(monthlyRow.get('Days Worked') || '0');
-          monthlyRow.set('Days Worked', current + 1);
-        }
-
-        // Update Days Absent
-        if (absent.toLowerCase() === 'yes' || absent.toLowerCase() === 'true') {
-          const current = parseInt(monthlyRow.get('Days Absent') || '0');
-          monthlyRow.set('Days Absent', current + 1);
-
-          // Check if notified or silent
-          if (willBeLate.toLowerCase() === 'yes') {
-            const notified = parseInt(monthlyRow.get('Days Absent (Notified)') || '0');
-            monthlyRow.set('Days Absent (Notified)', notified + 1);
-          } else {
-            const silent = parseInt(monthlyRow.get('Days Absent (Silent)') || '0');
-            monthlyRow.set('Days Absent (Silent)', silent + 1);
-          }
-        }
+        // Counters, hours, penalty time and points of the day (same rules as corrections of archived days)
+        const dayTotals = sheetsService.getDayTotals(column => dailyRow.get(column), requiredHoursDaily);
+        const { hoursWorked, penaltyMinutes, points: point } = dayTotals;
 
-        // Update On Time / Late Arrivals
-        if (whenCome.trim()) {
-          if (cameOnTime.toLowerCase() === 'true' || cameOnTime.toLowerCase() === 'yes' || cameOnTime === '') {
-            const onTime = parseInt(monthlyRow.get('On Time Arrivals') || '0');
-            monthlyRow.set('On Time Arrivals', onTime + 1);
-          } else {
-            // Late arrival
-            if (willBeLate.toLowerCase() === 'yes') {
-              const lateNotified = parseInt(monthlyRow.get('Late Arrivals (Notified)') || '0');
-              monthlyRow.set('Late Arrivals (Notified)', lateNotified + 1);
-            } else {
-              const lateSilent = parseInt(monthlyRow.get('Late Arrivals (Silent)') || '0');
-              monthlyRow.set('Late Arrivals (Silent)', lateSilent + 1);
-            }
+        for (const [column, count] of Object.entries(dayTotals.counters)) {
+          if (count) {
+            monthlyRow.set(column, parseInt(monthlyRow.get(column) || '0') + count);
           }
         }
 
-        // Update Early Departures
-        if (leftEarly.toLowerCase() === 'yes' || leftEarly.toLowerCase() === 'true') {
-          const earlyDep = parseInt(monthlyRow.get('Early Departures') || '0');
-          monthlyRow.set('Early Departures', earlyDep + 1);
-        }
-
         // Update Total Hours Worked
         const currentHours = parseFloat(monthlyRow.get('Total Hours Worked') || '0');
         monthlyRow.set('Total Hours Worked', (currentHours + hoursWorked).toFixed(2));
@@ -2024,19 +2350,13 @@ class SchedulerService {
         const currentPenalty = parseFloat(monthlyRow.get('Total Penalty Minutes') || '0');
         monthlyRow.set('Total Penalty Minutes', (currentPenalty + penaltyMinutes).toFixed(0));
 
-        // Calculate deficit/surplus for this day
-        const dayDeficitSurplus = hoursWorked - requiredHoursDaily;
-        const dayDeficitSurplusMinutes = Math.round(dayDeficitSurplus * 60);
-
         // Update Deficit/Surplus Minutes
-        if (dayDeficitSurplusMinutes < 0) {
-          // Deficit
+        if (dayTotals.deficitMinutes > 0) {
           const currentDeficit = parseFloat(monthlyRow.get('Total Deficit Minutes') || '0');
-          monthlyRow.set('Total Deficit Minutes', (currentDeficit + Math.abs(dayDeficitSurplusMinutes)).toFixed(0));
-        } else if (dayDeficitSurplusMinutes > 0) {
-          // Surplus
+          monthlyRow.set('Total Deficit Minutes', (currentDeficit + dayTotals.deficitMinutes).toFixed(0));
+        } else if (dayTotals.surplusMinutes > 0) {
           const currentSurplus = parseFloat(monthlyRow.get('Total Surplus Minutes') || '0');
-          monthlyRow.set('Total Surplus Minutes', (currentSurplus + dayDeficitSurplusMinutes).toFixed(0));
+          monthlyRow.set('Total Surplus Minutes', (currentSurplus + dayTotals.surplusMinutes).toFixed(0));
         }
 
         // Calculate Net Balance (Total Surplus - Total Deficit - Total Penalty)
@@ -2098,6 +2418,7 @@ class SchedulerService {
 
         // Update Last Updated
         monthlyRow.set('Last Updated', moment.tz(Config.TIMEZONE).format('YYYY-MM-DD HH:mm:ss'));
+        monthlyRow.set('Days Transferred', [...transferredDays, day].sort().join(','));
 
         await monthlyRow.save();
         logger.info(`Updated monthly report for ${name}: +${hoursWorked.toFixed(2)}h/${requiredHoursDaily.toFixed(2)}h required, penalty: ${penaltyMinutes}min, balance: ${sign}${hours}:${minutes.toString().padStart(2, '0')}, rating: ${newRating.toFixed(1)}`);
@@ -2111,8 +2432,36 @@ class SchedulerService {
     }
   }
 
+  /**
+   * Send the finished day to webhooks subscribed to DAILY_REPORT
+   * @param {string} dateStr - Date in YYYY-MM-DD format
+   */
+  async emitDailyReport(dateStr) {
+    try {
+      sheetsService._dropDailySheetCache(dateStr);
+      const records = await sheetsService.getDailyAttendance(dateStr);
+      if (!records) return;
+
+      await webhookService.emit('DAILY_REPORT', {
+        date: dateStr,
+        summary: {
+          employees: records.length,
+          present: records.filter(r => r.arrivalTime).length,
+          late: records.filter(r => r.cameOnTime === 'No').length,
+          absent: records.filter(r => r.absent).length,
+          leftEarly: records.filter(r => r.leftEarly.toLowerCase().startsWith('yes')).length
+        },
+        records
+      });
+    } catch (error) {
+      logger.error(`Error sending daily report webhooks: ${error.message}`);
+    }
+  }
+
   /**
    * Send daily report to Telegram group as Excel file
+   * The whole day goes to DAILY_REPORT_GROUP_ID, each team with a "Chat Id" in the
+   * Teams sheet gets a report of its own members.
    * @param {string} dateStr - Date in YYYY-MM-DD format
    */
   async sendDailyReportToGroup(dateStr) {
@@ -2122,8 +2471,9 @@ class SchedulerService {
         return;
       }
 
-      if (!Config.DAILY_REPORT_GROUP_ID) {
-        logger.warn('DAILY_REPORT_GROUP_ID not configured - skipping group report');
+      const teamChats = (await teamService.getTeams()).filter(team => team.chatId);
+      if (!Config.DAILY_REPORT_GROUP_ID && teamChats.length === 0) {
+        logger.warn('DAILY_REPORT_GROUP_ID not configured and no team chats - skipping group report');
         return;
       }
 
@@ -2136,6 +2486,35 @@ class SchedulerService {
         return;
       }
 
+      if (Config.DAILY_REPORT_GROUP_ID) {
+        await this._sendGroupReport(Config.DAILY_REPORT_GROUP_ID, dateStr, worksheet.headerValues, rows);
+      }
+
+      // Team chats get only their members
+      if (teamChats.length > 0) {
+        const groups = await teamService.groupRows(rows, 'TelegramId');
+        for (const team of teamChats) {
+          const group = groups.find(g => g.team === team.name);
+          if (!group) continue;
+          await this._sendGroupReport(team.chatId, dateStr, worksheet.headerValues, group.rows, team.name);
+        }
+      }
+    } catch (error) {
+      logger.error(`Error sending daily report to group: ${error.message}`);
+      logger.error(error.stack);
+    }
+  }
+
+  /**
+   * Build the Excel file of a daily sheet and send it to a chat
+   * @param {string|number} chatId - Telegram chat ID
+   * @param {string} dateStr - Date in YYYY-MM-DD format
+   * @param {Array<string>} headers - Daily sheet headers
+   * @param {Array} rows - Daily sheet rows to include
+   * @param {string} teamName - Team of the report (null for the whole day)
+   */
+  async _sendGroupReport(chatId, dateStr, headers, rows, teamName = null) {
+    try {
       // Use xlsx library to create Excel file from data
       const XLSX = require('xlsx');
       const fs = require('fs');
@@ -2145,9 +2524,6 @@ class SchedulerService {
       // Create workbook
       const workbook = XLSX.utils.book_new();
 
-      // Get headers
-      const headers = worksheet.headerValues;
-
       // Prepare data array
       const data = [headers]; // First row is headers
 
@@ -2168,7 +2544,9 @@ class SchedulerService {
 
       // Create temporary file path
       const tempDir = os.tmpdir();
-      const fileName = `attendance_${dateStr}.xlsx`;
+      const fileName = teamName
+        ? `attendance_${dateStr}_${teamName.replace(/[^\p{L}\p{N}_-]+/gu, '_')}.xlsx`
+        : `attendance_${dateStr}.xlsx`;
       const filePath = path.join(tempDir, fileName);
 
       // Write Excel file
@@ -2198,19 +2576,32 @@ class SchedulerService {
         }
       }
 
+      // Whole-day report: one line per team
+      const escapeHtml = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+      let teamLines = '';
+      if (!teamName) {
+        const teams = await teamService.summarizeDaily(rows);
+        if (!teams.every(t => t.team === teamService.NO_TEAM)) {
+          teamLines = '👥 По командам:\n' +
+            teams.map(t => `• ${escapeHtml(t.team)}: ✅ ${t.present} ⚠️ ${t.late} ❌ ${t.absent}`).join('\n') + '\n\n';
+        }
+      }
+
       const formattedDate = moment.tz(dateStr, Config.TIMEZONE).format('DD.MM.YYYY (dddd)');
       const caption =
-        `📊 <b>ОТЧЁТ ЗА ${formattedDate.toUpperCase()}</b>\n\n` +
+        `📊 <b>ОТЧЁТ ЗА ${formattedDate.toUpperCase()}</b>\n` +
+        (teamName ? `👥 Команда: ${escapeHtml(teamName)}\n` : '') + '\n' +
         `✅ Присутствовали: ${presentCount}\n` +
         `⚠️ Опоздали: ${lateCount}\n` +
         `❌ Отсутствовали: ${absentCount}\n` +
         `⏱ Всего часов: ${totalHoursWorked.toFixed(1)}\n\n` +
+        teamLines +
         `📄 Полный отчёт во вложении\n` +
         `🤖 Данные архивированы автоматически`;
 
       // Send the Excel file to the group
       await this.bot.telegram.sendDocument(
-        Config.DAILY_REPORT_GROUP_ID,
+        chatId,
         { source: filePath, filename: fileName },
         {
           caption: caption,
@@ -2227,9 +2618,9 @@ class SchedulerService {
         }
       });
 
-      logger.info(`Daily report (Excel file) sent to group ${Config.DAILY_REPORT_GROUP_ID}`);
+      logger.info(`Daily report (Excel file) sent to group ${chatId}${teamName ? ` (team ${teamName})` : ''}`);
     } catch (error) {
-      logger.error(`Error sending daily report to group: ${error.message}`);
+      logger.error(`Error sending daily report to group ${chatId}: ${error.message}`);
       logger.error(error.stack);
     }
   }
@@ -1,13 +1,16 @@
 /**
  * Google Sheets integration service.
  * Handles all interactions with Google Sheets for data storage and retrieval.
+ * The underlying document comes from storage.service, so the same logic runs
+ * on Google Sheets or on the local SQLite backend.
  */
 
-const { GoogleSpreadsheet } = require('google-spreadsheet');
-const { JWT } = require('google-auth-library');
+const storageService = require('./storage.service');
 const moment = require('moment-timezone');
 const Config = require('../config');
 const logger = require('../utils/logger');
+const CalculatorService = require('./calculator.service');
+const webhookService = require('./webhook.service');
 
 class SheetsService {
   constructor() {
@@ -93,28 +96,29 @@ class SheetsService {
   }
 
   /**
-   * Establish connection to Google Sheets
+   * Establish connection to the configured storage backend
    */
   async connect() {
     try {
-      const serviceAccountAuth = new JWT({
-        email: Config.GOOGLE_SERVICE_ACCOUNT_EMAIL,
-        key: Config.GOOGLE_PRIVATE_KEY,
-        scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-      });
-
-      this.doc = new GoogleSpreadsheet(Config.GOOGLE_SHEETS_ID, serviceAccountAuth);
-      await this.doc.loadInfo();
+      this.doc = await storageService.open();
 
       this.isConnected = true;
-      logger.info('Successfully connected to Google Sheets');
+      logger.info(`Successfully connected to storage (${storageService.backend})`);
       return true;
     } catch (error) {
-      logger.error(`Failed to connect to Google Sheets: ${error.message}`);
+      logger.error(`Failed to connect to storage: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Close the storage backend (flushes the Sheets mirror when used)
+   */
+  async disconnect() {
+    await storageService.close();
+    this.isConnected = false;
+  }
+
   /**
    * Pre-warm cache on startup to reduce API quota usage
    * OPTIMIZATION: Now also builds telegram ID indexes
@@ -184,22 +188,7 @@ class SheetsService {
         // Double-check no active operations before invalidating
         const stillActiveOps = this._activeOperations.get(sheetName) || 0;
         if (stillActiveOps === 0) {
-          // Clear sheet cache (including all limit variations)
-          for (const key of this._dailySheetCache.keys()) {
-            if (key.startsWith(sheetName)) {
-              this._dailySheetCache.delete(key);
-            }
-          }
-
-          // OPTIMIZATION: Clear daily row cache for this sheet
-          for (const key of this._dailyRowCache.keys()) {
-            if (key.startsWith(`${sheetName}:`)) {
-              this._dailyRowCache.delete(key);
-            }
-          }
-
-          // FIX #2 & #3: Also clear initialization cache for this sheet
-          this._initializedSheets.delete(sheetName);
+          this._dropDailySheetCache(sheetName);
           this._pendingInvalidations.delete(sheetName);
           logger.debug(`Cache invalidated for sheet: ${sheetName} (delayed)`);
         } else {
@@ -220,6 +209,40 @@ class SheetsService {
     }
   }
 
+  /**
+   * Drop cached rows of a daily sheet right away
+   * Needed after writing rows loaded outside the cache - saving a stale cached row
+   * later would overwrite the change.
+   * @param {string} sheetName - Sheet name (YYYY-MM-DD)
+   */
+  _dropDailySheetCache(sheetName) {
+    // Clear sheet cache (including all limit variations)
+    for (const key of this._dailySheetCache.keys()) {
+      if (key.startsWith(sheetName)) {
+        this._dailySheetCache.delete(key);
+      }
+    }
+
+    // OPTIMIZATION: Clear daily row cache for this sheet
+    for (const key of this._dailyRowCache.keys()) {
+      if (key.startsWith(`${sheetName}:`)) {
+        this._dailyRowCache.delete(key);
+      }
+    }
+
+    // FIX #2 & #3: Also clear initialization cache for this sheet
+    this._initializedSheets.delete(sheetName);
+  }
+
+  /**
+   * Drop cached roster rows and the Telegram ID index right away
+   * Needed after the roster was changed by the bot (e.g. role assignment).
+   */
+  _invalidateRosterCache() {
+    this._rosterCache = null;
+    this._rosterByTelegramIdCache.clear();
+  }
+
   /**
    * Check if cached data is still valid
    * @param {number} lastUpdated - Timestamp when data was cached
@@ -398,6 +421,143 @@ class SheetsService {
     }
   }
 
+  /**
+   * Add missing columns to an existing sheet (e.g. a daily sheet created before a column existed)
+   * @param {Object} worksheet - Worksheet with loaded header row
+   * @param {Array<string>} columns - Required columns
+   */
+  async ensureColumns(worksheet, columns) {
+    const headers = worksheet.headerValues;
+    const missing = columns.filter(column => !headers.includes(column));
+    if (missing.length === 0) return;
+
+    const needed = headers.length + missing.length;
+    if (worksheet.columnCount < needed) {
+      await worksheet.resize({ rowCount: worksheet.rowCount || 1000, columnCount: needed });
+    }
+    await worksheet.setHeaderRow([...headers, ...missing]);
+    await worksheet.loadHeaderRow();
+  }
+
+  /**
+   * Daily sheet values for a day covered by approved leave:
+   * excused absence with full credit (same as a notified absence), no arrival reminders
+   * @param {Object} leave - Leave request (see leave.service)
+   * @returns {Object} Column values
+   */
+  _leaveRowValues(leave) {
+    const leaveService = require('./leave.service');
+    return {
+      'Absent': 'Yes',
+      'Why absent': leaveService.getAbsenceText(leave),
+      'Point': '1',
+      'reminder_1_sent': 'true',
+      'reminder_2_sent': 'true',
+      'reminder_3_sent': 'true'
+    };
+  }
+
+  /**
+   * Mark approved leave in daily sheets that already exist (e.g. today's sheet
+   * when the leave is approved in the morning). Employees who already arrived are left as is.
+   * @param {Object} leave - Leave request (see leave.service)
+   * @returns {number} Number of updated daily rows
+   */
+  async applyApprovedLeave(leave) {
+    const scheduleService = require('./schedule.service');
+    const end = moment.tz(leave.to, 'YYYY-MM-DD', Config.TIMEZONE);
+    let updated = 0;
+
+    for (let day = moment.tz(leave.from, 'YYYY-MM-DD', Config.TIMEZONE); day.isSameOrBefore(end); day.add(1, 'day')) {
+      const sheetName = day.format('YYYY-MM-DD');
+      if (!this.doc.sheetsByTitle[sheetName]) continue;
+      if (await scheduleService.isDayOff(leave.telegramId, day)) continue;
+
+      try {
+        this._startOperation(sheetName);
+        const { rows } = await this._getCachedDailySheet(sheetName);
+        const employeeRow = rows.find(row => row.get('TelegramId')?.toString().trim() === leave.telegramId);
+
+        if (!employeeRow || (employeeRow.get('When come') || '').trim()) continue;
+
+        for (const [column, value] of Object.entries(this._leaveRowValues(leave))) {
+          employeeRow.set(column, value);
+        }
+        await employeeRow.save();
+        updated++;
+      } catch (error) {
+        logger.error(`Error applying leave #${leave.id} to ${sheetName}: ${error.message}`);
+      } finally {
+        this._endOperation(sheetName);
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Get scheduled work time of an employee for a date (see schedule.service)
+   * @param {number|string} telegramId - User's Telegram ID
+   * @param {moment.Moment} date - Date
+   * @returns {Object|null} { start, end } moments, or null on a day off / unknown schedule
+   */
+  async _getScheduledWorkTime(telegramId, date) {
+    const scheduleService = require('./schedule.service');
+    return await scheduleService.getScheduledWorkTime(telegramId.toString(), date);
+  }
+
+  /**
+   * Get the daily sheet an employee's current shift belongs to.
+   * Normally today, but a night shift that started yesterday keeps using
+   * yesterday's sheet after midnight, so arrival and departure land on one record.
+   * @param {number|string} telegramId - User's Telegram ID
+   * @param {moment.Moment} now - Current time (defaults to now)
+   * @returns {string} Sheet name (YYYY-MM-DD)
+   */
+  async getShiftDate(telegramId, now = null) {
+    const current = now ? now.clone() : moment.tz(Config.TIMEZONE);
+    const today = current.format('YYYY-MM-DD');
+    const yesterday = current.clone().subtract(1, 'day').format('YYYY-MM-DD');
+
+    // Yesterday's sheet is deleted at end of day unless night shifts are still running
+    if (!this.doc || !this.doc.sheetsByTitle[yesterday]) {
+      return today;
+    }
+
+    try {
+      const workTime = await this._getScheduledWorkTime(telegramId, moment.tz(yesterday, Config.TIMEZONE));
+      if (!CalculatorService.isOvernightShift(workTime)) {
+        return today;
+      }
+
+      const row = await this.getCachedDailyRow(yesterday, telegramId.toString());
+      if (!row) {
+        return today;
+      }
+
+      const hasArrived = (row.get('When come') || '').trim() !== '';
+      const isAbsent = (row.get('Absent') || '').toLowerCase() === 'yes';
+
+      if (!hasArrived) {
+        // Late arrival after midnight still belongs to yesterday's shift
+        return !isAbsent && current.isBefore(workTime.end) ? yesterday : today;
+      }
+
+      // Night shift in progress (or just finished) - switch to today halfway
+      // between the end of that shift and the start of today's one
+      const nextShift = await this._getScheduledWorkTime(telegramId, moment.tz(today, Config.TIMEZONE));
+      const nextStart = nextShift ? nextShift.start : workTime.end.clone().add(1, 'day');
+      const switchTime = workTime.end.clone().add(nextStart.diff(workTime.end) / 2, 'ms');
+      if (current.isBefore(switchTime)) {
+        return yesterday;
+      }
+    } catch (error) {
+      logger.error(`Error resolving shift date for ${telegramId}: ${error.message}`);
+    }
+
+    return today;
+  }
+
   /**
    * Find employee by Telegram ID in Roster sheet
    * @param {number} telegramId - User's Telegram ID
@@ -789,8 +949,13 @@ class SheetsService {
           'Office Responsible',
           'Arrival Location',
           'Arrival Location Accuracy',
+          'Arrival Site',
           'Arrival Anomalies',
           'Arrival Verification Status',
+          'Arrival Verification Log',
+          'Arrival Photo',
+          'Arrival Photo Time',
+          'Arrival Photo Review',
           'departure_reminder_sent',
           'auto_departure_warning_sent',
           'work_extension_minutes',
@@ -798,6 +963,11 @@ class SheetsService {
         ]);
         await worksheet.loadHeaderRow();
 
+        // Approved leave is pre-filled as an excused absence
+        const leaveService = require('./leave.service');
+        const scheduleService = require('./schedule.service');
+        const leaves = await leaveService.getApprovedLeavesOn(sheetName);
+
         // Add all employees to daily sheet
         for (const row of rosterRows) {
           const nameFull = row.get('Name full') || '';
@@ -806,6 +976,9 @@ class SheetsService {
 
           // Only add if name exists
           if (nameFull.trim()) {
+            const leave = leaves.get(telegramId.toString().trim());
+            const onLeave = leave && !(await scheduleService.isDayOff(scheduleService.employeeFromRosterRow(row), sheetName));
+
             await worksheet.addRow({
               'Name': nameFull,
               'TelegramId': telegramId,
@@ -843,7 +1016,8 @@ class SheetsService {
               'Location': '',
               'Location Accuracy': '',
               'Anomalies Detected': '',
-              'Verification Status': ''
+              'Verification Status': '',
+              ...(onLeave ? this._leaveRowValues(leave) : {})
             });
           }
         }
@@ -908,7 +1082,9 @@ class SheetsService {
    */
   async logEvent(telegramId, name, eventType, details = '', ratingImpact = 0.0) {
     const now = moment.tz(Config.TIMEZONE);
-    const sheetName = now.format('YYYY-MM-DD'); // e.g., "2025-10-29"
+    // Usually today (e.g. "2025-10-29"); yesterday while a night shift is still running
+    const sheetName = await this.getShiftDate(telegramId, now);
+    const shiftDay = moment.tz(sheetName, Config.TIMEZONE);
 
     try {
       // Track this operation
@@ -953,28 +1129,11 @@ class SheetsService {
         // Determine if came on time by checking work time
         let cameOnTime = 'Yes';
         try {
-          // OPTIMIZATION: Use cached roster instead of direct API call
-          const rosterRows = await this._getCachedRoster();
-
-          let workTime = null;
-          for (const rosterRow of rosterRows) {
-            if (rosterRow.get('Telegram Id')?.toString().trim() === telegramId.toString()) {
-              workTime = rosterRow.get('Work time') || '';
-              break;
-            }
-          }
-
-          if (workTime && workTime !== '-') {
-            // Parse work time (e.g., "10:00-19:00")
-            const times = workTime.split('-');
-            const startTime = times[0].trim();
-            const endTime = times[1].trim();
+          // Work time of this shift from the employee's schedule (null on a day off - never late)
+          const workTime = await this._getScheduledWorkTime(telegramId, shiftDay);
 
-            const [startHour, startMinute] = startTime.split(':').map(num => parseInt(num));
-            const [endHour, endMinute] = endTime.split(':').map(num => parseInt(num));
-
-            // Create moment objects for comparison
-            const workStart = moment.tz(Config.TIMEZONE).set({ hour: startHour, minute: startMinute, second: 0 });
+          if (workTime) {
+            const workStart = workTime.start;
             const graceEnd = workStart.clone().add(Config.GRACE_PERIOD_MINUTES, 'minutes');
 
             // Check if arrived after grace period
@@ -1000,29 +1159,11 @@ class SheetsService {
         } else {
           // Came late - calculate lateness and penalty
           try {
-            // OPTIMIZATION: Use cached roster instead of direct API call
-            const rosterRows = await this._getCachedRoster();
-
-            let workTime = null;
-            for (const rosterRow of rosterRows) {
-              if (rosterRow.get('Telegram Id')?.toString().trim() === telegramId.toString()) {
-                workTime = rosterRow.get('Work time') || '';
-                break;
-              }
-            }
-
-            if (workTime && workTime !== '-') {
-              // Parse work time (e.g., "10:00-19:00")
-              const times = workTime.split('-');
-              const startTime = times[0].trim();
-              const endTime = times[1].trim();
+            const workTime = await this._getScheduledWorkTime(telegramId, shiftDay);
 
-              const [startHour, startMinute] = startTime.split(':').map(num => parseInt(num));
-              const [endHour, endMinute] = endTime.split(':').map(num => parseInt(num));
-
-              // Create moment objects
-              const workStart = moment.tz(Config.TIMEZONE).set({ hour: startHour, minute: startMinute, second: 0 });
-              const workEnd = moment.tz(Config.TIMEZONE).set({ hour: endHour, minute: endMinute, second: 0 });
+            if (workTime) {
+              const workStart = workTime.start;
+              const workEnd = workTime.end;
               const graceEnd = workStart.clone().add(Config.GRACE_PERIOD_MINUTES, 'minutes');
 
               // Calculate lateness
@@ -1102,31 +1243,17 @@ class SheetsService {
         employeeRow.set('Leave time', now.format('HH:mm:ss'));
 
         // Get work schedule to check if person is leaving before shift even started
+        let shiftWorkTime = null;
         let workStartTime = null;
         let workEndTime = null;
 
         try {
-          // OPTIMIZATION: Get employee work time from cached roster
-          const rosterRows = await this._getCachedRoster();
+          // Shift hours from the employee's schedule (none on a day off)
+          shiftWorkTime = await this._getScheduledWorkTime(telegramId, shiftDay);
 
-          let workTime = null;
-          for (const rosterRow of rosterRows) {
-            if (rosterRow.get('Telegram Id')?.toString().trim() === telegramId.toString()) {
-              workTime = rosterRow.get('Work time') || '';
-              break;
-            }
-          }
-
-          if (workTime && workTime !== '-') {
-            const times = workTime.split('-');
-            const startTime = times[0].trim();
-            const endTime = times[1].trim();
-
-            const [startHour, startMinute] = startTime.split(':').map(num => parseInt(num));
-            const [endHour, endMinute] = endTime.split(':').map(num => parseInt(num));
-
-            workStartTime = moment.tz(Config.TIMEZONE).set({ hour: startHour, minute: startMinute, second: 0 });
-            workEndTime = moment.tz(Config.TIMEZONE).set({ hour: endHour, minute: endMinute, second: 0 });
+          if (shiftWorkTime) {
+            workStartTime = shiftWorkTime.start;
+            workEndTime = shiftWorkTime.end;
           }
         } catch (err) {
           logger.error(`Error getting work schedule: ${err.message}`);
@@ -1170,10 +1297,8 @@ class SheetsService {
 
         if (whenCome.trim()) {
           try {
-            // Parse arrival time (format: HH:mm:ss)
-            const [arriveHour, arriveMinute, arriveSecond] = whenCome.split(':').map(num => parseInt(num));
-            const arrivalTime = moment.tz(Config.TIMEZONE)
-              .set({ hour: arriveHour, minute: arriveMinute, second: arriveSecond || 0 });
+            // Parse arrival time (format: HH:mm:ss) - on the shift's day, not necessarily today
+            const arrivalTime = CalculatorService.parseShiftTime(whenCome, shiftDay, shiftWorkTime);
 
             // Calculate duration in hours
             actualWorkedMinutes = now.diff(arrivalTime, 'minutes');
@@ -1198,32 +1323,15 @@ class SheetsService {
         if (requiredEndTimeStr.trim()) {
           // Has penalty time - use it
           try {
-            const [reqHour, reqMinute] = requiredEndTimeStr.split(':').map(num => parseInt(num));
-            actualRequiredEndTime = moment.tz(Config.TIMEZONE)
-              .set({ hour: reqHour, minute: reqMinute, second: 0 });
+            actualRequiredEndTime = CalculatorService.parseShiftTime(requiredEndTimeStr, shiftDay, shiftWorkTime);
           } catch (err) {
             logger.error(`Error parsing required end time: ${err.message}`);
           }
         } else {
-          // No penalty - use normal work end time from roster
+          // No penalty - use normal work end time from the schedule
           try {
-            // OPTIMIZATION: Get work time from cached roster
-            const rosterRows = await this._getCachedRoster();
-
-            let workTime = null;
-            for (const rosterRow of rosterRows) {
-              if (rosterRow.get('Telegram Id')?.toString().trim() === telegramId.toString()) {
-                workTime = rosterRow.get('Work time') || '';
-                break;
-              }
-            }
-
-            if (workTime && workTime !== '-') {
-              const times = workTime.split('-');
-              const endTime = times[1].trim();
-              const [endHour, endMinute] = endTime.split(':').map(num => parseInt(num));
-              actualRequiredEndTime = moment.tz(Config.TIMEZONE)
-                .set({ hour: endHour, minute: endMinute, second: 0 });
+            if (workEndTime) {
+              actualRequiredEndTime = workEndTime.clone();
             }
           } catch (err) {
             logger.error(`Error getting normal work end time: ${err.message}`);
@@ -1291,6 +1399,15 @@ class SheetsService {
 
       logger.info(`Logged event: ${eventType} for ${name}`);
 
+      webhookService.emitLogEvent(eventType, {
+        telegramId: telegramId.toString(),
+        name,
+        date: sheetName,
+        time: now.format('HH:mm:ss'),
+        details,
+        ratingImpact
+      });
+
       return true;
     } catch (error) {
       logger.error(`Error logging event: ${error.message}`);
@@ -1311,7 +1428,7 @@ class SheetsService {
   async cancelFraudulentArrival(telegramId, name, anomalies = []) {
     try {
       const now = moment.tz(Config.TIMEZONE);
-      const sheetName = now.format('YYYY-MM-DD');
+      const sheetName = await this.getShiftDate(telegramId, now);
 
       await this.initializeDailySheet(sheetName);
       const worksheet = await this.getWorksheet(sheetName);
@@ -1332,6 +1449,10 @@ class SheetsService {
         return false;
       }
 
+      // Keep the wiped values for the audit trail (an admin may restore the arrival)
+      const auditFields = ['When come', 'Came on time', 'Penalty minutes', 'Required end time', 'Absent', 'Why absent', 'Point'];
+      const before = auditFields.map(field => employeeRow.get(field) || '');
+
       // Clear arrival data
       employeeRow.set('When come', '');
       employeeRow.set('Came on time', '');
@@ -1352,9 +1473,30 @@ class SheetsService {
       await employeeRow.save();
 
       logger.warn(`🚨 FRAUD: Cancelled arrival for ${name} (${telegramId}) - Anomalies: ${anomalyList}`);
+      webhookService.emit('FRAUD_FLAGGED', {
+        telegramId: telegramId.toString(),
+        name,
+        date: sheetName,
+        time: now.format('HH:mm:ss'),
+        stage: 'arrival',
+        arrivalCancelled: true,
+        anomalies: anomalies.map(a => a.type)
+      });
 
-      // Invalidate cache
-      this._invalidateCache(sheetName);
+      try {
+        const auditService = require('./audit.service');
+        await auditService.record(
+          { date: sheetName, telegramId, name, action: 'fraud_cancel', reason: anomalyList },
+          auditFields
+            .map((field, index) => ({ field, oldValue: before[index], newValue: employeeRow.get(field) || '' }))
+            .filter(change => change.oldValue !== change.newValue)
+        );
+      } catch (auditError) {
+        logger.error(`Failed to audit fraud cancellation for ${name}: ${auditError.message}`);
+      }
+
+      // Rows were loaded outside the cache - the verification status update that follows must not save a stale copy
+      this._dropDailySheetCache(sheetName);
 
       return true;
     } catch (error) {
@@ -1374,7 +1516,7 @@ class SheetsService {
    */
   async logTempExit(telegramId, name, reason, durationMinutes, exitTime, expectedReturn) {
     const now = moment.tz(Config.TIMEZONE);
-    const sheetName = now.format('YYYY-MM-DD');
+    const sheetName = await this.getShiftDate(telegramId, now);
 
     try {
       this._startOperation(sheetName);
@@ -1429,6 +1571,16 @@ class SheetsService {
       await employeeRow.save();
 
       logger.info(`Temporary exit logged for ${name}: ${reason}, ${durationMinutes} min`);
+      webhookService.emit('TEMP_EXIT', {
+        telegramId: telegramId.toString(),
+        name,
+        date: sheetName,
+        action: 'exit',
+        time: exitTime,
+        reason,
+        durationMinutes,
+        expectedReturn
+      });
       return true;
     } catch (error) {
       logger.error(`Error logging temporary exit: ${error.message}`);
@@ -1446,7 +1598,7 @@ class SheetsService {
    */
   async logTempReturn(telegramId, name, returnTime) {
     const now = moment.tz(Config.TIMEZONE);
-    const sheetName = now.format('YYYY-MM-DD');
+    const sheetName = await this.getShiftDate(telegramId, now);
 
     try {
       this._startOperation(sheetName);
@@ -1512,6 +1664,14 @@ class SheetsService {
       await employeeRow.save();
 
       logger.info(`Return from temporary exit logged for ${name} at ${returnTime}, was out for ${minutesOut} min`);
+      webhookService.emit('TEMP_EXIT', {
+        telegramId: telegramId.toString(),
+        name,
+        date: sheetName,
+        action: 'return',
+        time: returnTime,
+        minutesOut
+      });
       return minutesOut;
     } catch (error) {
       logger.error(`Error logging temporary return: ${error.message}`);
@@ -1523,12 +1683,13 @@ class SheetsService {
 
   /**
    * Get user's status for today (arrival, departure, violations)
+   * During a night shift that started yesterday this is the status of that shift.
    * @param {number} telegramId - User's Telegram ID
-   * @returns {Object} Status information
+   * @returns {Object} Status information (shiftDate = daily sheet used)
    */
   async getUserStatusToday(telegramId) {
     const now = moment.tz(Config.TIMEZONE);
-    const sheetName = now.format('YYYY-MM-DD');
+    const sheetName = await this.getShiftDate(telegramId, now);
 
     try {
       // Initialize daily sheet if needed
@@ -1580,7 +1741,8 @@ class SheetsService {
         extendNotified: false,
         isAbsent: absent.toLowerCase() === 'yes',
         todayPoint: todayPoint,
-        currentlyOut: currentlyOut.toLowerCase() === 'true'
+        currentlyOut: currentlyOut.toLowerCase() === 'true',
+        shiftDate: sheetName
       };
 
       return status;
@@ -1628,7 +1790,7 @@ class SheetsService {
   async logDayBalance(telegramId, name, deficitMinutes = 0, surplusMinutes = 0, penaltyMinutes = 0) {
     try {
       const now = moment.tz(Config.TIMEZONE);
-      const sheetName = now.format('YYYY-MM-DD');
+      const sheetName = await this.getShiftDate(telegramId, now);
 
       await this.initializeDailySheet(sheetName);
       const worksheet = await this.getWorksheet(sheetName);
@@ -1657,22 +1819,7 @@ class SheetsService {
       }
 
       // Determine balance type and store it
-      let balanceType = '';
-      let balanceMinutes = 0;
-
-      if (deficitMinutes > 0) {
-        balanceType = 'DEFICIT';
-        balanceMinutes = -deficitMinutes; // Negative for deficit
-      } else if (surplusMinutes > 0 && penaltyMinutes === 0) {
-        balanceType = 'SURPLUS';
-        balanceMinutes = surplusMinutes; // Positive for surplus
-      } else if (surplusMinutes > 0 && penaltyMinutes > 0) {
-        balanceType = 'NO_CREDIT';
-        balanceMinutes = 0; // Not credited
-      } else {
-        balanceType = 'COMPLETE';
-        balanceMinutes = 0;
-      }
+      const { balanceType, balanceMinutes } = CalculatorService.calculateDayBalance(deficitMinutes, surplusMinutes, penaltyMinutes);
 
       // Add new columns if they don't exist in header
       const headers = worksheet.headerValues;
@@ -1763,6 +1910,45 @@ class SheetsService {
     }
   }
 
+  /**
+   * Read a monthly report row
+   * @param {Object} row - Report_YYYY-MM row
+   * @returns {Object} Monthly statistics
+   */
+  _parseMonthlyReportRow(row) {
+    return {
+      name: row.get('Name') || '',
+      telegramId: (row.get('Telegram ID') || '').toString().trim(),
+      company: row.get('Company') || '',
+      workSchedule: row.get('Work Schedule') || '',
+      totalWorkDays: parseInt(row.get('Total Work Days') || '0'),
+      daysWorked: parseInt(row.get('Days Worked') || '0'),
+      daysAbsent: parseInt(row.get('Days Absent') || '0'),
+      daysAbsentNotified: parseInt(row.get('Days Absent (Notified)') || '0'),
+      daysAbsentSilent: parseInt(row.get('Days Absent (Silent)') || '0'),
+      onTimeArrivals: parseInt(row.get('On Time Arrivals') || '0'),
+      lateArrivalsNotified: parseInt(row.get('Late Arrivals (Notified)') || '0'),
+      lateArrivalsSilent: parseInt(row.get('Late Arrivals (Silent)') || '0'),
+      earlyDepartures: parseInt(row.get('Early Departures') || '0'),
+      totalHoursRequired: parseFloat(row.get('Total Hours Required') || '0'),
+      totalHoursWorked: parseFloat(row.get('Total Hours Worked') || '0'),
+      hoursDeficitSurplus: parseFloat(row.get('Hours Deficit/Surplus') || '0'),
+      totalPenaltyMinutes: parseInt(row.get('Total Penalty Minutes') || '0'),
+      totalDeficitMinutes: parseInt(row.get('Total Deficit Minutes') || '0'),
+      totalSurplusMinutes: parseInt(row.get('Total Surplus Minutes') || '0'),
+      netBalanceMinutes: parseInt(row.get('Net Balance Minutes') || '0'),
+      netBalanceHours: row.get('Net Balance (Hours)') || '+0:00',
+      balanceStatus: row.get('Balance Status') || '⚪ Balanced',
+      totalPoints: parseFloat(row.get('Total Points') || '0'),
+      averageDailyPoints: parseFloat(row.get('Average Daily Points') || '0'),
+      rating: parseFloat(row.get('Rating (0-10)') || '0'),
+      ratingZone: row.get('Rating Zone') || '',
+      attendanceRate: parseFloat(row.get('Attendance Rate %') || '0'),
+      onTimeRate: parseFloat(row.get('On-Time Rate %') || '0'),
+      lastUpdated: row.get('Last Updated') || ''
+    };
+  }
+
   /**
    * Get comprehensive monthly statistics from monthly report
    * @param {string} telegramId - Employee's Telegram ID
@@ -1770,59 +1956,21 @@ class SheetsService {
    */
   async getMonthlyStats(telegramId) {
     try {
-      const now = moment.tz(Config.TIMEZONE);
-      const yearMonth = now.format('YYYY-MM');
-      const sheetName = `Report_${yearMonth}`;
-
-      // Get monthly report sheet
-      const worksheet = this.doc.sheetsByTitle[sheetName];
-      if (!worksheet) {
-        logger.warn(`Monthly report sheet not found: ${sheetName}`);
+      const yearMonth = moment.tz(Config.TIMEZONE).format('YYYY-MM');
+      const report = await this.getMonthlyReport(yearMonth);
+      if (!report) {
+        logger.warn(`Monthly report sheet not found: Report_${yearMonth}`);
         return null;
       }
 
-      await worksheet.loadHeaderRow();
-      const rows = await worksheet.getRows();
-
       // Find employee's row
-      for (const row of rows) {
-        if (row.get('Telegram ID')?.toString().trim() === telegramId.toString()) {
-          // Extract all monthly statistics
-          return {
-            name: row.get('Name') || '',
-            company: row.get('Company') || '',
-            workSchedule: row.get('Work Schedule') || '',
-            totalWorkDays: parseInt(row.get('Total Work Days') || '0'),
-            daysWorked: parseInt(row.get('Days Worked') || '0'),
-            daysAbsent: parseInt(row.get('Days Absent') || '0'),
-            daysAbsentNotified: parseInt(row.get('Days Absent (Notified)') || '0'),
-            daysAbsentSilent: parseInt(row.get('Days Absent (Silent)') || '0'),
-            onTimeArrivals: parseInt(row.get('On Time Arrivals') || '0'),
-            lateArrivalsNotified: parseInt(row.get('Late Arrivals (Notified)') || '0'),
-            lateArrivalsSilent: parseInt(row.get('Late Arrivals (Silent)') || '0'),
-            earlyDepartures: parseInt(row.get('Early Departures') || '0'),
-            totalHoursRequired: parseFloat(row.get('Total Hours Required') || '0'),
-            totalHoursWorked: parseFloat(row.get('Total Hours Worked') || '0'),
-            hoursDeficitSurplus: parseFloat(row.get('Hours Deficit/Surplus') || '0'),
-            totalPenaltyMinutes: parseInt(row.get('Total Penalty Minutes') || '0'),
-            totalDeficitMinutes: parseInt(row.get('Total Deficit Minutes') || '0'),
-            totalSurplusMinutes: parseInt(row.get('Total Surplus Minutes') || '0'),
-            netBalanceMinutes: parseInt(row.get('Net Balance Minutes') || '0'),
-            netBalanceHours: row.get('Net Balance (Hours)') || '+0:00',
-            balanceStatus: row.get('Balance Status') || '⚪ Balanced',
-            totalPoints: parseFloat(row.get('Total Points') || '0'),
-            averageDailyPoints: parseFloat(row.get('Average Daily Points') || '0'),
-            rating: parseFloat(row.get('Rating (0-10)') || '0'),
-            ratingZone: row.get('Rating Zone') || '',
-            attendanceRate: parseFloat(row.get('Attendance Rate %') || '0'),
-            onTimeRate: parseFloat(row.get('On-Time Rate %') || '0'),
-            lastUpdated: row.get('Last Updated') || ''
-          };
-        }
+      const stats = report.find(entry => entry.telegramId === telegramId.toString());
+      if (stats) {
+        return stats;
       }
 
       // Employee not found in monthly report
-      logger.warn(`Employee ${telegramId} not found in monthly report ${sheetName}`);
+      logger.warn(`Employee ${telegramId} not found in monthly report Report_${yearMonth}`);
       return null;
     } catch (error) {
       logger.error(`Error getting monthly stats: ${error.message}`);
@@ -1830,6 +1978,24 @@ class SheetsService {
     }
   }
 
+  /**
+   * Monthly statistics of every employee in a monthly report
+   * @param {string} yearMonth - Year and month in YYYY-MM format
+   * @returns {Array|null} Monthly statistics per employee, null if the report does not exist
+   */
+  async getMonthlyReport(yearMonth) {
+    const worksheet = this.doc.sheetsByTitle[`Report_${yearMonth}`];
+    if (!worksheet) {
+      return null;
+    }
+
+    await worksheet.loadHeaderRow();
+    const rows = await worksheet.getRows();
+    return rows
+      .filter(row => (row.get('Name') || '').trim())
+      .map(row => this._parseMonthlyReportRow(row));
+  }
+
   /**
    * Initialize monthly report sheet at the start of each month
    * @param {string} yearMonth - Year and month in YYYY-MM format
@@ -1847,7 +2013,7 @@ class SheetsService {
         worksheet = await this.doc.addSheet({ title: sheetName });
       }
 
-      // Resize sheet to fit all columns (we have 31 columns)
+      // Resize sheet to fit all columns (we have 32 columns)
       await worksheet.resize({ rowCount: 1000, columnCount: 35 });
 
       // Set headers
@@ -1882,10 +2048,14 @@ class SheetsService {
         'On-Time Rate %',
         'Rating (0-10)',
         'Rating Zone',
-        'Last Updated'
+        'Last Updated',
+        'Days Transferred'
       ]);
       await worksheet.loadHeaderRow();
 
+      // Lazy require - schedule.service depends on this service
+      const scheduleService = require('./schedule.service');
+
       // OPTIMIZATION: Get all employees from cached roster
       const rows = await this._getCachedRoster();
 
@@ -1895,43 +2065,14 @@ class SheetsService {
         const telegramId = row.get('Telegram Id') || '';
         const company = row.get('Company') || '';
         const workTime = row.get('Work time') || '';
-        const doNotWorkSaturday = (row.get('Do not work in Saturday') || '').toString().toLowerCase().trim() === 'yes';
 
         if (nameFull.trim()) {
-          // Calculate Total Work Days for this employee based on calendar and schedule
-          let totalWorkDays = 0;
-          const monthStart = moment.tz(yearMonth, 'YYYY-MM', Config.TIMEZONE).startOf('month');
-          const monthEnd = moment.tz(yearMonth, 'YYYY-MM', Config.TIMEZONE).endOf('month');
-
-          // Loop through each day in the month to count work days
-          for (let day = monthStart.clone(); day.isSameOrBefore(monthEnd); day.add(1, 'day')) {
-            const dayOfWeek = day.day();
-            const isSunday = dayOfWeek === 0;
-            const isSaturday = dayOfWeek === 6;
-
-            // Skip Sunday for everyone
-            if (isSunday) continue;
-
-            // Skip Saturday if user doesn't work on Saturday
-            if (isSaturday && doNotWorkSaturday) continue;
-
-            // This is a work day for this employee
-            totalWorkDays++;
-          }
-
-          // Calculate Total Hours Required based on work schedule
-          let dailyHours = 8; // Default
-          if (workTime && workTime !== '-') {
-            try {
-              const times = workTime.split('-');
-              const [startHour, startMin] = times[0].trim().split(':').map(Number);
-              const [endHour, endMin] = times[1].trim().split(':').map(Number);
-              dailyHours = (endHour + endMin/60) - (startHour + startMin/60);
-            } catch (err) {
-              // Use default 8 hours
-            }
-          }
-          const totalHoursRequired = totalWorkDays * dailyHours;
+          // Total Work Days / Total Hours Required follow the employee's schedule
+          // (weekly pattern and date overrides from the Schedule sheet, roster otherwise)
+          const { totalWorkDays, totalHoursRequired } = await scheduleService.getMonthSummary(
+            scheduleService.employeeFromRosterRow(row),
+            yearMonth
+          );
 
           await worksheet.addRow({
             'Name': nameFull,
@@ -1977,6 +2118,216 @@ class SheetsService {
     }
   }
 
+  /**
+   * Recalculate Total Work Days / Total Hours Required of an existing monthly report
+   * (e.g. after a holiday was added or removed mid-month)
+   * @param {string} yearMonth - Year and month in YYYY-MM format
+   * @returns {number} Number of updated rows (0 if the report does not exist yet)
+   */
+  async refreshMonthlyRequirements(yearMonth) {
+    try {
+      const worksheet = this.doc.sheetsByTitle[`Report_${yearMonth}`];
+      if (!worksheet) return 0;
+
+      const scheduleService = require('./schedule.service');
+      const rosterRows = await this._getCachedRoster();
+      const reportRows = await worksheet.getRows();
+      let updated = 0;
+
+      for (const reportRow of reportRows) {
+        const telegramId = (reportRow.get('Telegram ID') || '').toString().trim();
+        const name = (reportRow.get('Name') || '').toString().trim();
+
+        const rosterRow = rosterRows.find(row => telegramId
+          ? (row.get('Telegram Id') || '').toString().trim() === telegramId
+          : (row.get('Name full') || '').toString().trim() === name);
+        if (!rosterRow) continue;
+
+        const { totalWorkDays, totalHoursRequired } = await scheduleService.getMonthSummary(
+          scheduleService.employeeFromRosterRow(rosterRow),
+          yearMonth
+        );
+
+        if (parseInt(reportRow.get('Total Work Days') || '0') === totalWorkDays &&
+            parseFloat(reportRow.get('Total Hours Required') || '0') === parseFloat(totalHoursRequired.toFixed(2))) {
+          continue;
+        }
+
+        reportRow.set('Total Work Days', totalWorkDays);
+        reportRow.set('Total Hours Required', totalHoursRequired.toFixed(2));
+        await reportRow.save();
+        updated++;
+      }
+
+      logger.info(`Monthly report Report_${yearMonth}: required days/hours refreshed for ${updated} employee(s)`);
+      return updated;
+    } catch (error) {
+      logger.error(`Error refreshing monthly requirements: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * What one day of an employee adds to the monthly report, as the end-of-day transfer counts it.
+   * A waived penalty (approved appeal) also drops the absence and the early departure from the counters.
+   * @param {Function} get - Column getter of a daily sheet or History row
+   * @param {number} requiredHours - Hours the schedule required that day
+   * @returns {Object} { counters: { column: 0|1 }, hoursWorked, penaltyMinutes, deficitMinutes, surplusMinutes, points }
+   */
+  getDayTotals(get, requiredHours = 0) {
+    const text = column => (get(column) ?? '').toString().trim().toLowerCase();
+    const yes = column => ['yes', 'true'].includes(text(column));
+
+    const waived = text('Penalty waived') === 'yes';
+    const arrived = !!text('When come');
+    const absent = yes('Absent') && !waived;
+    const notified = text('will be late') === 'yes';
+    const onTime = arrived && ['yes', 'true', ''].includes(text('Came on time'));
+
+    const hoursWorked = parseFloat(get('Hours worked') || '0') || 0;
+    const dayMinutes = Math.round((hoursWorked - requiredHours) * 60);
+
+    return {
+      counters: {
+        'Days Worked': arrived ? 1 : 0,
+        'Days Absent': absent ? 1 : 0,
+        'Days Absent (Notified)': absent && notified ? 1 : 0,
+        'Days Absent (Silent)': absent && !notified ? 1 : 0,
+        'On Time Arrivals': onTime ? 1 : 0,
+        'Late Arrivals (Notified)': arrived && !onTime && notified ? 1 : 0,
+        'Late Arrivals (Silent)': arrived && !onTime && !notified ? 1 : 0,
+        'Early Departures': yes('Left early') && !waived ? 1 : 0
+      },
+      hoursWorked,
+      penaltyMinutes: parseFloat(get('Penalty minutes') || '0') || 0,
+      deficitMinutes: Math.max(0, -dayMinutes),
+      surplusMinutes: Math.max(0, dayMinutes),
+      points: parseFloat(get('Point') || '0') || 0
+    };
+  }
+
+  /**
+   * Monthly report adjustment that replaces one day's totals with corrected ones
+   * @param {Object} before - getDayTotals of the day as it was transferred
+   * @param {Object} after - getDayTotals of the corrected day
+   * @returns {Object} Adjustment for adjustMonthlyReport
+   */
+  getDayAdjustment(before, after) {
+    const counters = {};
+    for (const column of Object.keys(after.counters)) {
+      const delta = after.counters[column] - before.counters[column];
+      if (delta !== 0) counters[column] = delta;
+    }
+
+    return {
+      counters,
+      points: after.points - before.points,
+      penaltyMinutes: after.penaltyMinutes - before.penaltyMinutes,
+      hoursWorked: after.hoursWorked - before.hoursWorked,
+      deficitMinutes: after.deficitMinutes - before.deficitMinutes,
+      surplusMinutes: after.surplusMinutes - before.surplusMinutes
+    };
+  }
+
+  /**
+   * Adjust an employee's monthly report totals for a day that was already transferred
+   * (its daily sheet is deleted, so only its History row and the monthly totals are left)
+   * @param {string} yearMonth - Year and month in YYYY-MM format
+   * @param {number|string} telegramId - Employee's Telegram ID
+   * @param {Object} adjustment - { points, penaltyMinutes, hoursWorked, deficitMinutes, surplusMinutes, counters: { column: delta } }
+   * @returns {Array|null} Changed columns { field, oldValue, newValue }, or null if the report or employee is missing
+   */
+  async adjustMonthlyReport(yearMonth, telegramId, adjustment = {}) {
+    const worksheet = this.doc.sheetsByTitle[`Report_${yearMonth}`];
+    if (!worksheet) return null;
+
+    await worksheet.loadHeaderRow();
+    const rows = await worksheet.getRows();
+    const row = rows.find(r => (r.get('Telegram ID') || '').toString().trim() === telegramId.toString());
+    if (!row) return null;
+
+    const points = adjustment.points || 0;
+    const penaltyMinutes = adjustment.penaltyMinutes || 0;
+    const counters = adjustment.counters || {};
+    const fields = [
+      ...Object.keys(counters),
+      'Attendance Rate %',
+      'On-Time Rate %',
+      'Total Hours Worked',
+      'Total Deficit Minutes',
+      'Total Surplus Minutes',
+      'Total Penalty Minutes',
+      'Net Balance Minutes',
+      'Net Balance (Hours)',
+      'Balance Status',
+      'Hours Deficit/Surplus',
+      'Total Points',
+      'Rating (0-10)',
+      'Rating Zone'
+    ];
+    const before = {};
+    for (const field of fields) {
+      before[field] = (row.get(field) ?? '').toString();
+    }
+
+    for (const [column, delta] of Object.entries(counters)) {
+      row.set(column, Math.max(0, (parseInt(row.get(column) || '0') || 0) + delta));
+    }
+    const daysWorked = parseInt(row.get('Days Worked') || '0');
+    const daysAbsent = parseInt(row.get('Days Absent') || '0');
+    const onTimeArrivals = parseInt(row.get('On Time Arrivals') || '0');
+    row.set('Attendance Rate %', daysWorked + daysAbsent > 0 ? ((daysWorked / (daysWorked + daysAbsent)) * 100).toFixed(1) : '0.0');
+    row.set('On-Time Rate %', daysWorked > 0 ? ((onTimeArrivals / daysWorked) * 100).toFixed(1) : '0.0');
+
+    const addMinutes = (column, delta) => {
+      if (delta) row.set(column, Math.max(0, parseFloat(row.get(column) || '0') + delta).toFixed(0));
+    };
+    if (adjustment.hoursWorked) {
+      row.set('Total Hours Worked', Math.max(0, parseFloat(row.get('Total Hours Worked') || '0') + adjustment.hoursWorked).toFixed(2));
+    }
+    addMinutes('Total Deficit Minutes', adjustment.deficitMinutes);
+    addMinutes('Total Surplus Minutes', adjustment.surplusMinutes);
+
+    // Net Balance = Total Surplus - Total Deficit - Total Penalty (same as the end-of-day transfer)
+    const totalPenalty = Math.max(0, parseFloat(row.get('Total Penalty Minutes') || '0') + penaltyMinutes);
+    row.set('Total Penalty Minutes', totalPenalty.toFixed(0));
+    const netBalanceMinutes = parseFloat(row.get('Total Surplus Minutes') || '0') -
+      parseFloat(row.get('Total Deficit Minutes') || '0') - totalPenalty;
+    const absMinutes = Math.abs(netBalanceMinutes);
+    const sign = netBalanceMinutes < 0 ? '-' : '+';
+    row.set('Net Balance Minutes', netBalanceMinutes.toFixed(0));
+    row.set('Net Balance (Hours)', `${sign}${Math.floor(absMinutes / 60)}:${Math.round(absMinutes % 60).toString().padStart(2, '0')}`);
+    if (netBalanceMinutes > 60) {
+      row.set('Balance Status', '🟢 Surplus');
+    } else if (netBalanceMinutes < -60) {
+      row.set('Balance Status', '🔴 Deficit');
+    } else {
+      row.set('Balance Status', '⚪ Balanced');
+    }
+    row.set('Hours Deficit/Surplus', (netBalanceMinutes / 60).toFixed(2));
+
+    row.set('Total Points', (parseFloat(row.get('Total Points') || '0') + points).toFixed(2));
+    const rating = Math.max(0, Math.min(10, parseFloat(row.get('Rating (0-10)') || '0') + points));
+    row.set('Rating (0-10)', rating.toFixed(1));
+    if (rating >= Config.GREEN_ZONE_MIN) {
+      row.set('Rating Zone', '🟢 Отлично');
+    } else if (rating >= Config.YELLOW_ZONE_MIN) {
+      row.set('Rating Zone', '🟡 Норма');
+    } else {
+      row.set('Rating Zone', '🔴 Риск');
+    }
+
+    row.set('Last Updated', moment.tz(Config.TIMEZONE).format('YYYY-MM-DD HH:mm:ss'));
+    await row.save();
+
+    const changes = fields
+      .filter(field => before[field] !== (row.get(field) ?? '').toString())
+      .map(field => ({ field, oldValue: before[field], newValue: (row.get(field) ?? '').toString() }));
+
+    logger.info(`Monthly report Report_${yearMonth} adjusted for ${telegramId}: points ${points >= 0 ? '+' : ''}${points}, penalty ${penaltyMinutes} min`);
+    return changes;
+  }
+
   /**
    * Update monthly report with data from a specific day
    * FIX: Now rebuilds from scratch to ensure idempotency (no double-counting)
@@ -2072,9 +2423,9 @@ class SheetsService {
         let totalDeficitMinutes = 0;
         let totalSurplusMinutes = 0;
 
-        // Get employee's Saturday work status for filtering weekend data
+        // Get employee for filtering days off from the stats
         const employee = await this.findEmployeeByTelegramId(telegramId);
-        const userDoesNotWorkSaturday = employee?.doNotWorkSaturday || false;
+        const scheduleService = require('./schedule.service');
 
         // Read Total Work Days from the report (already calculated when sheet was created)
         const totalWorkDays = parseInt(reportRow.get('Total Work Days') || '0');
@@ -2084,18 +2435,9 @@ class SheetsService {
 
         // Calculate totals from all daily records
         for (const dayData of employeeDailyData) {
-          // Check if this day is a weekend - skip it for stats
+          // Check if this day is a day off in the employee's schedule - skip it for stats
           const dayDate = moment.tz(dayData.date, Config.TIMEZONE);
-          const isSunday = dayDate.day() === 0;
-          const isSaturday = dayDate.day() === 6;
-
-          // Skip Sunday for everyone
-          if (isSunday) {
-            continue;
-          }
-
-          // Skip Saturday if user doesn't work on Saturday
-          if (isSaturday && userDoesNotWorkSaturday) {
+          if (await scheduleService.isDayOff(employee || telegramId, dayDate)) {
             continue;
           }
 
@@ -2194,7 +2536,8 @@ class SheetsService {
           balanceStatus = '🟡 Slight Deficit';
         }
 
-        // Update report row (don't update Total Work Days and Total Hours Required - they're set at creation)
+        // Update report row (don't update Total Work Days and Total Hours Required - they're set at creation
+        // and only change with the calendar, see refreshMonthlyRequirements)
         reportRow.set('Days Worked', daysWorked);
         reportRow.set('Days Absent', daysAbsent);
         reportRow.set('Days Absent (Notified)', daysAbsentNotified);
@@ -2232,16 +2575,65 @@ class SheetsService {
     }
   }
 
+  /**
+   * Bring this month's report up to date with every daily sheet of the month (/updatereport)
+   * @param {Function} onProgress - Called with (processedDays, totalDays) every 5 days (optional)
+   * @returns {Object} { yearMonth, created, processedDays, skippedDays }
+   */
+  async rebuildMonthlyReport(onProgress = null) {
+    const now = moment.tz(Config.TIMEZONE);
+    const yearMonth = now.format('YYYY-MM');
+    const currentDay = now.date();
+
+    // Check if monthly report exists
+    const created = !this.doc.sheetsByTitle[`Report_${yearMonth}`];
+    if (created) {
+      await this.initializeMonthlyReport(yearMonth);
+      logger.info(`Created new monthly report Report_${yearMonth}`);
+    }
+
+    let processedDays = 0;
+    let skippedDays = 0;
+
+    for (let day = 1; day <= currentDay; day++) {
+      const dateStr = moment.tz(Config.TIMEZONE).set('date', day).format('YYYY-MM-DD');
+
+      // Check if daily sheet exists
+      if (!this.doc.sheetsByTitle[dateStr]) {
+        skippedDays++;
+        logger.debug(`Daily sheet ${dateStr} doesn't exist, skipping`);
+        continue;
+      }
+
+      await this.updateMonthlyReport(dateStr);
+      processedDays++;
+      logger.info(`Updated monthly report with data from ${dateStr}`);
+
+      // Update progress every 5 days or on last day
+      if (onProgress && (day % 5 === 0 || day === currentDay)) {
+        await onProgress(processedDays, currentDay);
+      }
+
+      // Add delay to avoid API rate limit (1.5 seconds between each day)
+      if (day < currentDay) {
+        await new Promise(resolve => setTimeout(resolve, 1500));
+      }
+    }
+
+    return { yearMonth, created, processedDays, skippedDays };
+  }
+
   /**
    * Update location data for employee's arrival
    * @param {number} telegramId - User's Telegram ID
    * @param {Object} location - Location { latitude, longitude }
    * @param {number} accuracy - GPS accuracy in meters
+   * @param {string} siteName - Site the employee checked in at
    * @returns {boolean} True if successful
    */
-  async updateArrivalLocation(telegramId, location, accuracy = null) {
+  async updateArrivalLocation(telegramId, location, accuracy = null, siteName = '') {
     const now = moment.tz(Config.TIMEZONE);
-    const sheetName = now.format('YYYY-MM-DD');
+    const sheetName = await this.getShiftDate(telegramId, now);
 
     try {
       this._startOperation(sheetName);
@@ -2275,6 +2667,10 @@ class SheetsService {
         employeeRow.set('Arrival Location Accuracy', 'unknown');
       }
 
+      if (siteName) {
+        employeeRow.set('Arrival Site', siteName);
+      }
+
       // Set initial verification status as "TRACKING"
       employeeRow.set('Arrival Verification Status', 'TRACKING');
 
@@ -2291,16 +2687,55 @@ class SheetsService {
     }
   }
 
+  /**
+   * Record an arrival proven by scanning the QR code of a site (no location, no tracking)
+   * @param {number} telegramId - User's Telegram ID
+   * @param {string} siteName - Site whose QR code was scanned
+   * @returns {boolean} True if successful
+   */
+  async updateArrivalQr(telegramId, siteName) {
+    const now = moment.tz(Config.TIMEZONE);
+    const sheetName = await this.getShiftDate(telegramId, now);
+
+    try {
+      this._startOperation(sheetName);
+
+      await this.initializeDailySheet(sheetName);
+
+      // Use cached data to reduce API calls
+      const { rows } = await this._getCachedDailySheet(sheetName);
+
+      const employeeRow = rows.find(row => row.get('TelegramId')?.toString().trim() === telegramId.toString());
+      if (!employeeRow) {
+        logger.warn(`Employee with telegram_id ${telegramId} not found for QR check-in`);
+        return false;
+      }
+
+      employeeRow.set('Arrival Site', siteName);
+      employeeRow.set('Arrival Verification Status', 'QR');
+
+      await employeeRow.save();
+
+      logger.info(`QR check-in recorded for telegram_id ${telegramId}: ${siteName}`);
+      return true;
+    } catch (error) {
+      logger.error(`Error recording QR check-in: ${error.message}`);
+      return false;
+    } finally {
+      this._endOperation(sheetName);
+    }
+  }
+
   /**
    * Update location verification status after tracking completes
    * @param {number} telegramId - User's Telegram ID
-   * @param {string} status - Verification status (OK, FLAGGED)
+   * @param {string} status - Verification status (OK, FLAGGED, INTERRUPTED, REVERIFY, REVIEW)
    * @param {Array} anomalies - List of anomaly objects
    * @returns {boolean} True if successful
    */
   async updateLocationVerification(telegramId, status, anomalies = []) {
     const now = moment.tz(Config.TIMEZONE);
-    const sheetName = now.format('YYYY-MM-DD');
+    const sheetName = await this.getShiftDate(telegramId, now);
 
     try {
       this._startOperation(sheetName);
@@ -2342,6 +2777,18 @@ class SheetsService {
         logger.warn(`  Anomalies: ${anomalies.map(a => a.type).join(', ')}`);
       }
 
+      if (status === 'FLAGGED') {
+        webhookService.emit('FRAUD_FLAGGED', {
+          telegramId: telegramId.toString(),
+          name: employeeRow.get('Name') || '',
+          date: sheetName,
+          time: now.format('HH:mm:ss'),
+          stage: 'arrival',
+          arrivalCancelled: false,
+          anomalies: anomalies.map(a => a.type)
+        });
+      }
+
       return true;
     } catch (error) {
       logger.error(`Error updating location verification: ${error.message}`);
@@ -2351,6 +2798,161 @@ class SheetsService {
     }
   }
 
+  /**
+   * Append an entry to the arrival verification log of the daily row
+   * (re-verification: why it was asked, what the employee sent, the outcome)
+   * @param {number} telegramId - User's Telegram ID
+   * @param {string} entry - Log entry
+   * @returns {boolean} True if successful
+   */
+  async logVerification(telegramId, entry) {
+    const now = moment.tz(Config.TIMEZONE);
+    const sheetName = await this.getShiftDate(telegramId, now);
+
+    try {
+      this._startOperation(sheetName);
+
+      await this.initializeDailySheet(sheetName);
+      const worksheet = await this.getWorksheet(sheetName);
+      await worksheet.loadHeaderRow();
+      await this.ensureColumns(worksheet, ['Arrival Verification Log']);
+      const rows = await worksheet.getRows();
+
+      const employeeRow = rows.find(row => row.get('TelegramId')?.toString().trim() === telegramId.toString());
+      if (!employeeRow) {
+        logger.warn(`Employee with telegram_id ${telegramId} not found for verification log`);
+        return false;
+      }
+
+      const log = (employeeRow.get('Arrival Verification Log') || '').toString();
+      employeeRow.set('Arrival Verification Log', `${log ? `${log}\n` : ''}${now.format('HH:mm:ss')} ${entry}`);
+      await employeeRow.save();
+
+      this._dropDailySheetCache(sheetName);
+      return true;
+    } catch (error) {
+      logger.error(`Error logging verification: ${error.message}`);
+      return false;
+    } finally {
+      this._endOperation(sheetName);
+    }
+  }
+
+  /**
+   * Set the arrival photo columns of the daily row
+   * ("Arrival Photo" - Telegram file id, "Arrival Photo Time", "Arrival Photo Review")
+   * @param {number} telegramId - User's Telegram ID
+   * @param {Object} values - Column values to set
+   * @returns {boolean} True if successful
+   */
+  async updateArrivalPhoto(telegramId, values) {
+    const sheetName = await this.getShiftDate(telegramId);
+
+    try {
+      this._startOperation(sheetName);
+
+      await this.initializeDailySheet(sheetName);
+      const worksheet = await this.getWorksheet(sheetName);
+      await worksheet.loadHeaderRow();
+      await this.ensureColumns(worksheet, Object.keys(values));
+      const rows = await worksheet.getRows();
+
+      const employeeRow = rows.find(row => row.get('TelegramId')?.toString().trim() === telegramId.toString());
+      if (!employeeRow) {
+        logger.warn(`Employee with telegram_id ${telegramId} not found for arrival photo`);
+        return false;
+      }
+
+      employeeRow.assign(values);
+      await employeeRow.save();
+
+      this._dropDailySheetCache(sheetName);
+      return true;
+    } catch (error) {
+      logger.error(`Error updating arrival photo: ${error.message}`);
+      return false;
+    } finally {
+      this._endOperation(sheetName);
+    }
+  }
+
+  /**
+   * Attendance of every employee on a day, from its daily sheet
+   * @param {string} date - Daily sheet name (YYYY-MM-DD)
+   * @returns {Array|null} Day records, null if the day has no sheet (not created or already archived)
+   */
+  async getDailyAttendance(date) {
+    if (!this.doc.sheetsByTitle[date]) {
+      return null;
+    }
+
+    const { rows } = await this._getCachedDailySheet(date);
+    return rows
+      .filter(row => (row.get('Name') || '').trim())
+      .map(row => ({
+        telegramId: (row.get('TelegramId') || '').toString().trim(),
+        name: row.get('Name') || '',
+        arrivalTime: row.get('When come') || '',
+        cameOnTime: row.get('Came on time') || '',
+        leaveTime: row.get('Leave time') || '',
+        hoursWorked: parseFloat(row.get('Hours worked') || '0'),
+        leftEarly: row.get('Left early') || '',
+        whyLeftEarly: row.get('Why left early') || '',
+        absent: (row.get('Absent') || '').toLowerCase() === 'yes',
+        whyAbsent: row.get('Why absent') || '',
+        penaltyMinutes: parseInt(row.get('Penalty minutes') || '0'),
+        requiredEndTime: row.get('Required end time') || '',
+        point: parseFloat(row.get('Point') || '0'),
+        arrivalSite: row.get('Arrival Site') || '',
+        arrivalVerification: row.get('Arrival Verification Status') || '',
+        departureVerification: row.get('Departure Verification Status') || '',
+        arrivalAnomalies: row.get('Arrival Anomalies') || '',
+        departureAnomalies: row.get('Departure Anomalies') || '',
+        fraudDetected: row.get('Verification Status') === 'FRAUD_DETECTED',
+        willBeLate: (row.get('will be late') || '').toLowerCase() === 'yes',
+        willBeLateTime: row.get('will be late will come at') || '',
+        currentlyOut: (row.get('Currently out') || '').toLowerCase() === 'true',
+        // Temp exit columns list every exit of the day separated by "; " - the last one is the current
+        tempExitReason: (row.get('Temp exit reason') || '').split('; ').pop(),
+        tempExitExpectedReturn: (row.get('Temp exit expected return') || '').split('; ').pop(),
+        correctedBy: row.get('Corrected by') || ''
+      }));
+  }
+
+  /**
+   * Arrivals of a day with a photo or a missed photo request, for the review queue
+   * @param {string} date - Daily sheet name (YYYY-MM-DD)
+   * @returns {Array} [{ telegramId, name, arrivalTime, photo, photoTime, review, site, location, accuracy, status, anomalies }]
+   */
+  async getArrivalPhotos(date) {
+    if (!this.doc || !this.doc.sheetsByTitle[date]) {
+      return [];
+    }
+
+    try {
+      const { rows } = await this._getCachedDailySheet(date);
+
+      return rows
+        .filter(row => (row.get('Arrival Photo') || row.get('Arrival Photo Review')) && row.get('When come'))
+        .map(row => ({
+          telegramId: (row.get('TelegramId') || '').toString().trim(),
+          name: row.get('Name') || '',
+          arrivalTime: row.get('When come') || '',
+          photo: row.get('Arrival Photo'),
+          photoTime: row.get('Arrival Photo Time') || '',
+          review: row.get('Arrival Photo Review') || '',
+          site: row.get('Arrival Site') || '',
+          location: row.get('Arrival Location') || '',
+          accuracy: row.get('Arrival Location Accuracy') || '',
+          status: row.get('Arrival Verification Status') || '',
+          anomalies: row.get('Arrival Anomalies') || ''
+        }));
+    } catch (error) {
+      logger.error(`Error loading arrival photos for ${date}: ${error.message}`);
+      return [];
+    }
+  }
+
   /**
    * Update departure location when user checks out
    * @param {number} telegramId - User's Telegram ID
@@ -2360,7 +2962,7 @@ class SheetsService {
    */
   async updateDepartureLocation(telegramId, location, accuracy = null) {
     const now = moment.tz(Config.TIMEZONE);
-    const sheetName = now.format('YYYY-MM-DD');
+    const sheetName = await this.getShiftDate(telegramId, now);
 
     try {
       this._startOperation(sheetName);
@@ -2415,7 +3017,7 @@ class SheetsService {
    */
   async updateDepartureVerification(telegramId, status, anomalies = []) {
     const now = moment.tz(Config.TIMEZONE);
-    const sheetName = now.format('YYYY-MM-DD');
+    const sheetName = await this.getShiftDate(telegramId, now);
 
     try {
       this._startOperation(sheetName);
@@ -2474,7 +3076,7 @@ class SheetsService {
   async getLocationVerification(telegramId) {
     try {
       const now = moment.tz(Config.TIMEZONE);
-      const sheetName = now.format('YYYY-MM-DD');
+      const sheetName = await this.getShiftDate(telegramId, now);
 
       await this.initializeDailySheet(sheetName);
       const worksheet = await this.getWorksheet(sheetName);
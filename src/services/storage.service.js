@@ -0,0 +1,127 @@
+/**
+ * Storage backend selection.
+ * Opens the document used by sheets.service: either the Google spreadsheet itself
+ * or a local SQLite database with the same worksheet/row interface
+ * (optionally mirrored back to Google Sheets).
+ */
+
+const Config = require('../config');
+const logger = require('../utils/logger');
+const { openGoogleSpreadsheet } = require('./storage/sheets.adapter');
+const { SqliteDocument } = require('./storage/sqlite.adapter');
+const SheetsMirror = require('./storage/sheetsMirror');
+
+// Sheets managers edit in Google Sheets: the mirror imports them instead of overwriting them
+const MANAGED_SHEETS = [
+  Config.SHEET_ROSTER,
+  Config.SHEET_PAY_RATES,
+  Config.SHEET_TEAMS,
+  Config.SHEET_SITES,
+  Config.SHEET_SCHEDULE,
+  Config.SHEET_ANOMALY_RULES
+];
+
+class StorageService {
+  constructor() {
+    this.backend = Config.STORAGE_BACKEND;
+    this.doc = null;
+    this.mirror = null;
+  }
+
+  /**
+   * Whether data is stored locally instead of directly in Google Sheets
+   * @returns {boolean}
+   */
+  isLocal() {
+    return this.backend === 'sqlite';
+  }
+
+  /**
+   * Open the configured backend
+   * @returns {Object} Loaded document (GoogleSpreadsheet or SqliteDocument)
+   */
+  async open() {
+    if (!this.isLocal()) {
+      this.doc = await openGoogleSpreadsheet();
+      logger.info('Storage backend: Google Sheets');
+      return this.doc;
+    }
+
+    this.doc = new SqliteDocument(Config.SQLITE_PATH);
+    await this.doc.loadInfo();
+    logger.info(`Storage backend: SQLite (${Config.SQLITE_PATH})`);
+
+    if (Config.hasGoogleCredentials()) {
+      this.mirror = new SheetsMirror(this.doc, {
+        managedSheets: Config.STORAGE_MIRROR_TO_SHEETS ? MANAGED_SHEETS : []
+      });
+      try {
+        await this.mirror.connect();
+        if (Config.STORAGE_MIRROR_TO_SHEETS) {
+          await this._importManagedSheets();
+        } else {
+          await this._bootstrapRoster();
+        }
+      } catch (error) {
+        // The local database works on its own - Sheets is only a copy
+        logger.error(`Could not connect Google Sheets mirror: ${error.message}`);
+      }
+
+      if (Config.STORAGE_MIRROR_TO_SHEETS) {
+        this.mirror.start(Config.STORAGE_MIRROR_INTERVAL_SECONDS);
+      } else {
+        this.mirror = null;
+      }
+    }
+
+    return this.doc;
+  }
+
+  /**
+   * Import the sheets managers edit in Google Sheets - they are kept up to date on every flush
+   */
+  async _importManagedSheets() {
+    for (const title of MANAGED_SHEETS) {
+      const imported = await this.mirror.importSheet(title);
+      logger.info(`📥 Imported ${imported} rows from Google Sheets '${title}' into local storage`);
+    }
+  }
+
+  /**
+   * Import the roster from Google Sheets the first time the local database is used
+   */
+  async _bootstrapRoster() {
+    const localRoster = this.doc.sheetsByTitle[Config.SHEET_ROSTER];
+    if (localRoster) {
+      const rows = await localRoster.getRows().catch(() => []);
+      if (rows.length > 0) return;
+    }
+
+    const imported = await this.mirror.importSheet(Config.SHEET_ROSTER);
+    logger.info(`📥 Imported ${imported} employees from Google Sheets '${Config.SHEET_ROSTER}' into local storage`);
+  }
+
+  /**
+   * Push pending changes to the Google Sheets mirror (no-op without mirror)
+   */
+  async flushMirror() {
+    if (this.mirror) {
+      await this.mirror.flush();
+    }
+  }
+
+  /**
+   * Flush the mirror and close the local database
+   */
+  async close() {
+    if (this.mirror) {
+      this.mirror.stop();
+      await this.mirror.flush().catch(error => logger.error(`Final mirror flush failed: ${error.message}`));
+    }
+    if (this.isLocal() && this.doc) {
+      this.doc.close();
+    }
+  }
+}
+
+module.exports = new StorageService();
@@ -0,0 +1,28 @@
+/**
+ * Google Sheets storage adapter.
+ * Opens the configured spreadsheet with the service account credentials.
+ */
+
+const { GoogleSpreadsheet } = require('google-spreadsheet');
+const { JWT } = require('google-auth-library');
+const Config = require('../../config');
+
+/**
+ * Open and load the configured Google spreadsheet
+ * @returns {GoogleSpreadsheet} Loaded spreadsheet document
+ */
+async function openGoogleSpreadsheet() {
+  const serviceAccountAuth = new JWT({
+    email: Config.GOOGLE_SERVICE_ACCOUNT_EMAIL,
+    key: Config.GOOGLE_PRIVATE_KEY,
+    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+  });
+
+  const doc = new GoogleSpreadsheet(Config.GOOGLE_SHEETS_ID, serviceAccountAuth);
+  await doc.loadInfo();
+  return doc;
+}
+
+module.exports = {
+  openGoogleSpreadsheet
+};
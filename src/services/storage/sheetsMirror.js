@@ -0,0 +1,294 @@
+/**
+ * Google Sheets mirror for the local storage backend.
+ * Collects changed sheets and periodically copies them to the spreadsheet
+ * in a few batched calls per sheet, so managers can keep using Google Sheets
+ * while the bot itself never waits on the Sheets API.
+ *
+ * Sheets managers edit in Google Sheets (roster, pay rates, teams...) are never
+ * overwritten: on every flush they are imported back, after the cells the bot
+ * changed itself (a registration, a role) were written to the spreadsheet.
+ */
+
+const { openGoogleSpreadsheet } = require('./sheets.adapter');
+const logger = require('../../utils/logger');
+
+class SheetsMirror {
+  /**
+   * @param {SqliteDocument} localDoc - Local document to mirror
+   * @param {Object} options - { managedSheets: titles edited in Google Sheets }
+   */
+  constructor(localDoc, { managedSheets = [] } = {}) {
+    this.localDoc = localDoc;
+    this.remoteDoc = null;
+    this.managedSheets = managedSheets;
+    this._baselines = new Map(); // key: managed sheet title, value: rows as last imported
+    this._dirtySheets = new Set();
+    this._deletedSheets = new Set();
+    this._interval = null;
+    this._flushing = null;
+
+    localDoc.onChange((title, deleted) => {
+      if (deleted) {
+        this._dirtySheets.delete(title);
+        this._deletedSheets.add(title);
+      } else {
+        this._deletedSheets.delete(title);
+        this._dirtySheets.add(title);
+      }
+    });
+  }
+
+  /**
+   * Connect to the spreadsheet used as mirror
+   */
+  async connect() {
+    this.remoteDoc = await openGoogleSpreadsheet();
+    logger.info('Google Sheets mirror connected');
+  }
+
+  /**
+   * Start periodic flushing
+   * @param {number} intervalSeconds - Flush interval
+   */
+  start(intervalSeconds) {
+    this.stop();
+    this._interval = setInterval(() => {
+      this.flush().catch(error => logger.error(`Sheets mirror flush failed: ${error.message}`));
+    }, intervalSeconds * 1000);
+    // Don't keep the process alive just for the mirror
+    this._interval.unref();
+    logger.info(`Sheets mirror started (every ${intervalSeconds}s)`);
+  }
+
+  stop() {
+    if (this._interval) {
+      clearInterval(this._interval);
+      this._interval = null;
+    }
+  }
+
+  /**
+   * Push all pending changes to Google Sheets.
+   * Failed sheets stay pending and are retried on the next flush.
+   */
+  async flush() {
+    if (!this.remoteDoc) return;
+    // Never run two flushes at the same time
+    if (this._flushing) return this._flushing;
+
+    this._flushing = (async () => {
+      for (const title of Array.from(this._deletedSheets)) {
+        try {
+          const remoteSheet = this.remoteDoc.sheetsByTitle[title];
+          if (remoteSheet) await remoteSheet.delete();
+          this._deletedSheets.delete(title);
+          logger.info(`🪞 Mirror: deleted sheet ${title}`);
+        } catch (error) {
+          logger.error(`Mirror: failed to delete sheet ${title}: ${error.message}`);
+        }
+      }
+
+      for (const title of Array.from(this._dirtySheets)) {
+        if (this.managedSheets.includes(title)) continue;
+
+        // Remove before pushing so changes made during the push are picked up next time
+        this._dirtySheets.delete(title);
+        try {
+          await this.pushSheet(title);
+        } catch (error) {
+          this._dirtySheets.add(title);
+          logger.error(`Mirror: failed to push sheet ${title}: ${error.message}`);
+        }
+      }
+
+      for (const title of this.managedSheets) {
+        try {
+          await this.syncManagedSheet(title);
+        } catch (error) {
+          logger.error(`Mirror: failed to sync sheet ${title}: ${error.message}`);
+        }
+      }
+    })();
+
+    try {
+      await this._flushing;
+    } finally {
+      this._flushing = null;
+    }
+  }
+
+  /**
+   * Replace the content of a spreadsheet tab with the local sheet
+   * @param {string} title - Sheet title
+   */
+  async pushSheet(title) {
+    const localSheet = this.localDoc.sheetsByTitle[title];
+    if (!localSheet) return;
+
+    let headerValues;
+    try {
+      await localSheet.loadHeaderRow();
+      headerValues = localSheet.headerValues;
+    } catch (error) {
+      // Sheet exists but has no headers yet - nothing to mirror
+      return;
+    }
+
+    const rows = await localSheet.getRows();
+    const rowCount = Math.max(rows.length + 1, 100);
+    const columnCount = Math.max(headerValues.length, 26);
+
+    let remoteSheet = this.remoteDoc.sheetsByTitle[title];
+    if (!remoteSheet) {
+      remoteSheet = await this.remoteDoc.addSheet({ title, gridProperties: { rowCount, columnCount } });
+    } else if (remoteSheet.rowCount < rowCount || remoteSheet.columnCount < columnCount) {
+      await remoteSheet.resize({
+        rowCount: Math.max(remoteSheet.rowCount, rowCount),
+        columnCount: Math.max(remoteSheet.columnCount, columnCount)
+      });
+    }
+
+    await remoteSheet.setHeaderRow(headerValues);
+    await remoteSheet.clearRows();
+    if (rows.length > 0) {
+      await remoteSheet.addRows(rows.map(row => row._rawData));
+    }
+
+    logger.debug(`🪞 Mirror: pushed ${rows.length} rows to ${title}`);
+  }
+
+  /**
+   * Bring a sheet edited in Google Sheets up to date: cells the bot changed since the
+   * last import are written to the spreadsheet, then the spreadsheet tab is imported
+   * @param {string} title - Sheet title
+   */
+  async syncManagedSheet(title) {
+    if (!this.remoteDoc.sheetsByTitle[title]) {
+      // Not in the spreadsheet yet - the bot created it, so it is copied once
+      if (this._dirtySheets.delete(title)) {
+        await this.pushSheet(title);
+      }
+      return;
+    }
+
+    if (this._dirtySheets.has(title)) {
+      await this._pushEdits(title);
+    }
+    await this.importSheet(title);
+  }
+
+  /**
+   * Write the cells the bot changed in a managed sheet since its last import.
+   * Rows are matched by their first column (the name or Telegram ID), so rows that
+   * managers moved or added meanwhile keep their place; rows the bot added are appended.
+   * @param {string} title - Sheet title
+   */
+  async _pushEdits(title) {
+    const baseline = this._baselines.get(title);
+    const localSheet = this.localDoc.sheetsByTitle[title];
+    if (!baseline || !localSheet) return;
+
+    await localSheet.loadHeaderRow();
+    const headerValues = localSheet.headerValues;
+    const localRows = await localSheet.getRows();
+    const baselineValue = (values, header) => {
+      const index = baseline.headerValues.indexOf(header);
+      return index === -1 ? '' : (values[index] ?? '').toString();
+    };
+
+    const edits = [];
+    const added = [];
+    localRows.forEach((row, index) => {
+      const values = baseline.rows[index];
+      if (!values) {
+        added.push(row.toObject());
+        return;
+      }
+      for (const header of headerValues.filter(Boolean)) {
+        const value = (row.get(header) ?? '').toString();
+        if (value !== baselineValue(values, header)) {
+          edits.push({ key: (values[0] ?? '').toString().trim(), header, value });
+        }
+      }
+    });
+    if (edits.length === 0 && added.length === 0) return;
+
+    const remoteSheet = this.remoteDoc.sheetsByTitle[title];
+    await remoteSheet.loadHeaderRow();
+    const missing = headerValues.filter(header => header && !remoteSheet.headerValues.includes(header));
+    if (missing.length > 0) {
+      const columnCount = remoteSheet.headerValues.length + missing.length;
+      if (remoteSheet.columnCount < columnCount) {
+        await remoteSheet.resize({ rowCount: remoteSheet.rowCount, columnCount });
+      }
+      await remoteSheet.setHeaderRow([...remoteSheet.headerValues, ...missing]);
+    }
+
+    const remoteRows = await remoteSheet.getRows();
+    const changed = new Set();
+    for (const edit of edits) {
+      const row = remoteRows.find(r => (r._rawData[0] ?? '').toString().trim() === edit.key);
+      if (!row) {
+        logger.warn(`Mirror: row '${edit.key}' of ${title} is no longer in Google Sheets - ${edit.header} not written`);
+        continue;
+      }
+      row.set(edit.header, edit.value);
+      changed.add(row);
+    }
+    for (const row of changed) {
+      await row.save();
+    }
+    if (added.length > 0) {
+      await remoteSheet.addRows(added);
+    }
+
+    logger.info(`🪞 Mirror: wrote ${edits.length} changed cells and ${added.length} new rows to ${title}`);
+  }
+
+  /**
+   * Copy a spreadsheet tab into the local database (roster bootstrap, managed sheets).
+   * Local rows are updated in place, so rows the bot already loaded stay valid.
+   * @param {string} title - Sheet title
+   * @returns {number} Number of imported rows, 0 if the tab doesn't exist
+   */
+  async importSheet(title) {
+    const remoteSheet = this.remoteDoc.sheetsByTitle[title];
+    if (!remoteSheet) return 0;
+
+    await remoteSheet.loadHeaderRow();
+    const remoteRows = await remoteSheet.getRows();
+    const headerValues = remoteSheet.headerValues;
+    const values = remoteRows.map(row => headerValues.map((_, i) => (row._rawData[i] ?? '').toString()));
+
+    let localSheet = this.localDoc.sheetsByTitle[title];
+    if (!localSheet) {
+      localSheet = await this.localDoc.addSheet({ title });
+    }
+    await localSheet.resize({ columnCount: Math.max(headerValues.length, localSheet.columnCount) });
+    await localSheet.setHeaderRow(headerValues);
+
+    const localRows = await localSheet.getRows();
+    for (let i = 0; i < Math.min(localRows.length, values.length); i++) {
+      if (localRows[i]._rawData.join('\u0000') !== values[i].join('\u0000')) {
+        localRows[i]._rawData = [...values[i]];
+        await localRows[i].save();
+      }
+    }
+    if (values.length > localRows.length) {
+      await localSheet.addRows(values.slice(localRows.length));
+    }
+    // Delete bottom-up so row numbers of the remaining rows stay valid
+    for (const row of localRows.slice(values.length).reverse()) {
+      await row.delete();
+    }
+
+    // Freshly imported data is already in Google Sheets
+    this._dirtySheets.delete(title);
+    if (this.managedSheets.includes(title)) {
+      this._baselines.set(title, { headerValues: [...headerValues], rows: values });
+    }
+    return remoteRows.length;
+  }
+}
+
+module.exports = SheetsMirror;
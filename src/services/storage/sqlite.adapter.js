@@ -0,0 +1,451 @@
+/**
+ * SQLite storage adapter.
+ * Exposes the same document / worksheet / row surface that google-spreadsheet
+ * gives us (sheetsByTitle, getRows, row.get/set/save, loadCells/getCell...),
+ * backed by a local database file. Everything built on top of sheets.service
+ * keeps working unchanged, without Google API quota limits.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const logger = require('../../utils/logger');
+
+const DEFAULT_ROW_COUNT = 1000;
+const DEFAULT_COLUMN_COUNT = 26;
+
+/**
+ * Normalize a cell value the way Google Sheets returns it (always a string)
+ * @param {*} value - Raw value
+ * @returns {string} Normalized value
+ */
+function normalizeValue(value) {
+  if (value === undefined || value === null) return '';
+  return value.toString();
+}
+
+class SqliteRow {
+  /**
+   * @param {SqliteWorksheet} worksheet - Parent worksheet
+   * @param {number} id - Row id in the database
+   * @param {number} rowNumber - 1-based row number (header is row 1)
+   * @param {Array} rawData - Cell values in header order
+   */
+  constructor(worksheet, id, rowNumber, rawData) {
+    this._worksheet = worksheet;
+    this._id = id;
+    this._rowNumber = rowNumber;
+    this._rawData = rawData;
+    this._deleted = false;
+  }
+
+  get rowNumber() {
+    return this._rowNumber;
+  }
+
+  get deleted() {
+    return this._deleted;
+  }
+
+  get(header) {
+    const index = this._worksheet.headerValues.indexOf(header);
+    return index === -1 ? undefined : this._rawData[index];
+  }
+
+  set(header, value) {
+    const index = this._worksheet.headerValues.indexOf(header);
+    if (index === -1) return;
+    this._rawData[index] = value;
+  }
+
+  assign(values) {
+    for (const [header, value] of Object.entries(values)) {
+      this.set(header, value);
+    }
+  }
+
+  toObject() {
+    const result = {};
+    this._worksheet.headerValues.forEach((header, index) => {
+      if (header) result[header] = this._rawData[index];
+    });
+    return result;
+  }
+
+  async save() {
+    if (this._deleted) throw new Error('This row has been deleted - call getRows again before making updates.');
+    this._rawData = this._worksheet.headerValues.map((_, index) => normalizeValue(this._rawData[index]));
+    this._worksheet._updateRowData(this._id, this._rawData);
+  }
+
+  async delete() {
+    if (this._deleted) throw new Error('This row has been deleted - call getRows again before making updates.');
+    this._worksheet._deleteRowData(this._id);
+    this._deleted = true;
+  }
+}
+
+class SqliteWorksheet {
+  /**
+   * @param {SqliteDocument} doc - Parent document
+   * @param {Object} record - Row from the `sheets` table
+   */
+  constructor(doc, record) {
+    this._doc = doc;
+    this._title = record.title;
+    this._headerValues = null;
+    this._rowCount = record.row_count;
+    this._columnCount = record.column_count;
+    this._cells = null;
+  }
+
+  get title() {
+    return this._title;
+  }
+
+  get headerValues() {
+    if (!this._headerValues) {
+      throw new Error('Header values are not yet loaded');
+    }
+    return this._headerValues;
+  }
+
+  get rowCount() {
+    return this._rowCount;
+  }
+
+  get columnCount() {
+    return this._columnCount;
+  }
+
+  get _db() {
+    return this._doc._db;
+  }
+
+  async loadHeaderRow() {
+    const record = this._db.prepare('SELECT header_json FROM sheets WHERE title = ?').get(this._title);
+    const headers = record ? JSON.parse(record.header_json) : [];
+    if (!headers.filter(Boolean).length) {
+      throw new Error('No values in the header row - fill the first row with header values before trying to interact with rows');
+    }
+    this._headerValues = headers;
+  }
+
+  async setHeaderRow(headerValues) {
+    if (!headerValues) return;
+    if (headerValues.length > this._columnCount) {
+      throw new Error(`Sheet is not large enough to fit ${headerValues.length} columns. Resize the sheet first.`);
+    }
+    const headers = headerValues.map(h => (h || '').toString().trim());
+    if (!headers.filter(Boolean).length) {
+      throw new Error('All your header cells are blank -');
+    }
+    const duplicates = headers.filter((h, i) => h && headers.indexOf(h) !== i);
+    if (duplicates.length) {
+      throw new Error(`Duplicate header detected: "${duplicates.join(', ')}". Please make sure all non-empty headers are unique`);
+    }
+
+    this._db.prepare('UPDATE sheets SET header_json = ?, updated_at = ? WHERE title = ?')
+      .run(JSON.stringify(headers), new Date().toISOString(), this._title);
+    this._headerValues = headers;
+    this._doc._notifyChange(this._title);
+  }
+
+  async _ensureHeaderRowLoaded() {
+    if (!this._headerValues) await this.loadHeaderRow();
+  }
+
+  async getRows(options = {}) {
+    await this._ensureHeaderRowLoaded();
+    const offset = options.offset || 0;
+    const limit = options.limit || -1;
+
+    const records = this._db
+      .prepare('SELECT id, data_json FROM sheet_rows WHERE sheet_title = ? ORDER BY id LIMIT ? OFFSET ?')
+      .all(this._title, limit, offset);
+
+    return records.map((record, index) =>
+      new SqliteRow(this, record.id, offset + index + 2, JSON.parse(record.data_json))
+    );
+  }
+
+  async addRow(values, options = {}) {
+    const [row] = await this.addRows([values], options);
+    return row;
+  }
+
+  async addRows(rows) {
+    if (!Array.isArray(rows)) throw new Error('You must pass in an array of row values to append');
+    await this._ensureHeaderRowLoaded();
+
+    const existing = this._db.prepare('SELECT COUNT(*) AS count FROM sheet_rows WHERE sheet_title = ?').get(this._title).count;
+    const insert = this._db.prepare('INSERT INTO sheet_rows (sheet_title, data_json, updated_at) VALUES (?, ?, ?)');
+    const now = new Date().toISOString();
+
+    const added = [];
+    const insertAll = this._db.transaction(() => {
+      rows.forEach((values, index) => {
+        const rawData = Array.isArray(values)
+          ? values.map(normalizeValue)
+          : this._headerValues.map(header => normalizeValue(values[header]));
+        const result = insert.run(this._title, JSON.stringify(rawData), now);
+        added.push(new SqliteRow(this, Number(result.lastInsertRowid), existing + index + 2, rawData));
+      });
+    });
+    insertAll();
+
+    this._doc._notifyChange(this._title);
+    return added;
+  }
+
+  async resize(gridProperties = {}) {
+    if (gridProperties.rowCount) this._rowCount = gridProperties.rowCount;
+    if (gridProperties.columnCount) this._columnCount = gridProperties.columnCount;
+    this._db.prepare('UPDATE sheets SET row_count = ?, column_count = ? WHERE title = ?')
+      .run(this._rowCount, this._columnCount, this._title);
+  }
+
+  /**
+   * Clear all cells, including the header row
+   */
+  async clear() {
+    this._db.transaction(() => {
+      this._db.prepare('DELETE FROM sheet_rows WHERE sheet_title = ?').run(this._title);
+      this._db.prepare("UPDATE sheets SET header_json = '[]' WHERE title = ?").run(this._title);
+    })();
+    this._headerValues = null;
+    this._cells = null;
+    this._doc._notifyChange(this._title);
+  }
+
+  /**
+   * Clear all data rows, keeping the header row
+   */
+  async clearRows() {
+    this._db.prepare('DELETE FROM sheet_rows WHERE sheet_title = ?').run(this._title);
+    this._cells = null;
+    this._doc._notifyChange(this._title);
+  }
+
+  async delete() {
+    return this._doc.deleteSheet(this._title);
+  }
+
+  /**
+   * Load the whole grid into memory for cell-based access.
+   * The range argument is accepted for API compatibility; the full sheet is always loaded.
+   */
+  async loadCells() {
+    const record = this._db.prepare('SELECT header_json FROM sheets WHERE title = ?').get(this._title);
+    const headers = record ? JSON.parse(record.header_json) : [];
+    const rows = this._db
+      .prepare('SELECT id, data_json FROM sheet_rows WHERE sheet_title = ? ORDER BY id')
+      .all(this._title);
+
+    this._cells = {
+      grid: [headers, ...rows.map(r => JSON.parse(r.data_json))],
+      rowIds: [null, ...rows.map(r => r.id)],
+      dirtyRows: new Set()
+    };
+  }
+
+  getCell(rowIndex, columnIndex) {
+    if (!this._cells) throw new Error('This cell has not been loaded yet');
+    const cells = this._cells;
+
+    return {
+      rowIndex,
+      columnIndex,
+      get value() {
+        const row = cells.grid[rowIndex];
+        const value = row ? row[columnIndex] : undefined;
+        return value === '' ? null : (value === undefined ? null : value);
+      },
+      set value(newValue) {
+        while (cells.grid.length <= rowIndex) {
+          cells.grid.push([]);
+          cells.rowIds.push(null);
+        }
+        cells.grid[rowIndex][columnIndex] = normalizeValue(newValue);
+        cells.dirtyRows.add(rowIndex);
+      }
+    };
+  }
+
+  async saveUpdatedCells() {
+    if (!this._cells || this._cells.dirtyRows.size === 0) return;
+    const { grid, rowIds, dirtyRows } = this._cells;
+    const now = new Date().toISOString();
+
+    this._db.transaction(() => {
+      for (const rowIndex of dirtyRows) {
+        const rawData = Array.from(grid[rowIndex], normalizeValue);
+        if (rowIndex === 0) {
+          this._db.prepare('UPDATE sheets SET header_json = ? WHERE title = ?').run(JSON.stringify(rawData), this._title);
+          this._headerValues = null;
+        } else if (rowIds[rowIndex]) {
+          this._db.prepare('UPDATE sheet_rows SET data_json = ?, updated_at = ? WHERE id = ?')
+            .run(JSON.stringify(rawData), now, rowIds[rowIndex]);
+        } else {
+          const result = this._db.prepare('INSERT INTO sheet_rows (sheet_title, data_json, updated_at) VALUES (?, ?, ?)')
+            .run(this._title, JSON.stringify(rawData), now);
+          rowIds[rowIndex] = Number(result.lastInsertRowid);
+        }
+      }
+    })();
+
+    dirtyRows.clear();
+    this._doc._notifyChange(this._title);
+  }
+
+  _updateRowData(id, rawData) {
+    this._db.prepare('UPDATE sheet_rows SET data_json = ?, updated_at = ? WHERE id = ?')
+      .run(JSON.stringify(rawData), new Date().toISOString(), id);
+    this._doc._notifyChange(this._title);
+  }
+
+  _deleteRowData(id) {
+    this._db.prepare('DELETE FROM sheet_rows WHERE id = ?').run(id);
+    this._doc._notifyChange(this._title);
+  }
+}
+
+class SqliteDocument {
+  /**
+   * @param {string} filePath - Path to the database file (':memory:' for tests)
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this._db = null;
+    this._sheets = new Map(); // key: title, value: SqliteWorksheet
+    this._changeListeners = [];
+  }
+
+  get title() {
+    return path.basename(this.filePath);
+  }
+
+  get sheetsByTitle() {
+    return Object.fromEntries(this._sheets);
+  }
+
+  get sheetsByIndex() {
+    return Array.from(this._sheets.values());
+  }
+
+  get sheetCount() {
+    return this._sheets.size;
+  }
+
+  /**
+   * Open the database, create the schema and load the list of sheets
+   */
+  async loadInfo() {
+    if (!this._db) {
+      if (this.filePath !== ':memory:') {
+        fs.mkdirSync(path.dirname(path.resolve(this.filePath)), { recursive: true });
+      }
+
+      this._db = new Database(this.filePath);
+      this._db.pragma('journal_mode = WAL');
+      this._db.pragma('foreign_keys = ON');
+      this._db.exec(`
+        CREATE TABLE IF NOT EXISTS sheets (
+          title TEXT PRIMARY KEY,
+          position INTEGER NOT NULL,
+          header_json TEXT NOT NULL DEFAULT '[]',
+          row_count INTEGER NOT NULL DEFAULT ${DEFAULT_ROW_COUNT},
+          column_count INTEGER NOT NULL DEFAULT ${DEFAULT_COLUMN_COUNT},
+          updated_at TEXT
+        );
+        CREATE TABLE IF NOT EXISTS sheet_rows (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          sheet_title TEXT NOT NULL REFERENCES sheets(title) ON DELETE CASCADE ON UPDATE CASCADE,
+          data_json TEXT NOT NULL,
+          updated_at TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_sheet_rows_title ON sheet_rows (sheet_title, id);
+      `);
+      logger.info(`SQLite database opened at ${this.filePath}`);
+    }
+
+    this._sheets.clear();
+    const records = this._db.prepare('SELECT * FROM sheets ORDER BY position').all();
+    for (const record of records) {
+      this._sheets.set(record.title, new SqliteWorksheet(this, record));
+    }
+  }
+
+  /**
+   * Create a new sheet
+   * @param {Object} properties - { title, headerValues, gridProperties }
+   * @returns {SqliteWorksheet} Created worksheet
+   */
+  async addSheet(properties = {}) {
+    const title = properties.title || `Sheet${this._sheets.size + 1}`;
+    if (this._sheets.has(title)) {
+      throw new Error(`A sheet with the name "${title}" already exists. Please enter another name.`);
+    }
+
+    const grid = properties.gridProperties || {};
+    const position = this._db.prepare('SELECT COALESCE(MAX(position), -1) + 1 AS next FROM sheets').get().next;
+    this._db.prepare('INSERT INTO sheets (title, position, row_count, column_count, updated_at) VALUES (?, ?, ?, ?, ?)')
+      .run(title, position, grid.rowCount || DEFAULT_ROW_COUNT, grid.columnCount || DEFAULT_COLUMN_COUNT, new Date().toISOString());
+
+    const record = this._db.prepare('SELECT * FROM sheets WHERE title = ?').get(title);
+    const worksheet = new SqliteWorksheet(this, record);
+    this._sheets.set(title, worksheet);
+
+    if (properties.headerValues) {
+      if (properties.headerValues.length > worksheet.columnCount) {
+        await worksheet.resize({ columnCount: properties.headerValues.length });
+      }
+      await worksheet.setHeaderRow(properties.headerValues);
+    }
+
+    this._notifyChange(title);
+    return worksheet;
+  }
+
+  /**
+   * Delete a sheet and all its rows
+   * @param {string} title - Sheet title
+   */
+  async deleteSheet(title) {
+    this._db.prepare('DELETE FROM sheets WHERE title = ?').run(title);
+    this._sheets.delete(title);
+    this._notifyChange(title, true);
+  }
+
+  /**
+   * Subscribe to data changes (used by the Google Sheets mirror)
+   * @param {Function} listener - Called with (title, deleted)
+   */
+  onChange(listener) {
+    this._changeListeners.push(listener);
+  }
+
+  _notifyChange(title, deleted = false) {
+    for (const listener of this._changeListeners) {
+      try {
+        listener(title, deleted);
+      } catch (error) {
+        logger.error(`Storage change listener failed for ${title}: ${error.message}`);
+      }
+    }
+  }
+
+  close() {
+    if (this._db) {
+      this._db.close();
+      this._db = null;
+      logger.info('SQLite database closed');
+    }
+  }
+}
+
+module.exports = {
+  SqliteDocument,
+  SqliteWorksheet,
+  SqliteRow
+};
@@ -0,0 +1,320 @@
+/**
+ * Team service.
+ * Teams live in the Teams sheet; members are the employees whose roster "Team" matches
+ * the team name (case-insensitive).
+ *
+ * Teams sheet columns:
+ *   Name | Lead Telegram Id | Work time | Days off | Sites | Chat Id | Note
+ *
+ * - "Lead Telegram Id" (comma-separated) - team leads; they see the team's reports and alerts
+ *   (see role.service) without a roster "Role".
+ * - "Work time" (HH:MM-HH:MM) - default hours of the members, used instead of roster hours
+ *   unless a member has a personal Schedule pattern. "Days off" lists weekdays ("Sat, Sun"
+ *   or "сб, вс"); empty keeps Sunday off and the roster Saturday flag.
+ * - "Sites" (comma-separated site names) - default check-in sites of the members
+ *   (a roster "Sites" cell still wins, see geofence.service).
+ * - "Chat Id" - Telegram chat that gets the team's daily report at the end of the day.
+ */
+
+const Config = require('../config');
+const logger = require('../utils/logger');
+const CalculatorService = require('./calculator.service');
+
+const TEAM_HEADERS = ['Name', 'Lead Telegram Id', 'Work time', 'Days off', 'Sites', 'Chat Id', 'Note'];
+
+const NO_TEAM = 'Без команды';
+
+// Weekday names -> moment().day() index
+const WEEKDAYS = {
+  sun: 0, sunday: 0, вс: 0, воскресенье: 0,
+  mon: 1, monday: 1, пн: 1, понедельник: 1,
+  tue: 2, tuesday: 2, вт: 2, вторник: 2,
+  wed: 3, wednesday: 3, ср: 3, среда: 3,
+  thu: 4, thursday: 4, чт: 4, четверг: 4,
+  fri: 5, friday: 5, пт: 5, пятница: 5,
+  sat: 6, saturday: 6, сб: 6, суббота: 6
+};
+
+/**
+ * Split a comma-separated cell into trimmed non-empty values
+ */
+function splitList(value) {
+  return (value || '').toString().split(',').map(v => v.trim()).filter(Boolean);
+}
+
+class TeamService {
+  constructor() {
+    this._teams = null; // Parsed team rows
+    this._lastLoaded = 0;
+    this._loading = null;
+    this._cacheTimeout = 300000; // 5 minutes - same as the schedule cache
+  }
+
+  /**
+   * Get the Teams worksheet, writing headers on a new sheet
+   * @returns {Object} Worksheet
+   */
+  async _getWorksheet() {
+    const sheetsService = require('./sheets.service');
+    const worksheet = await sheetsService.getWorksheet(Config.SHEET_TEAMS);
+
+    try {
+      await worksheet.loadHeaderRow();
+    } catch (headerError) {
+      if (worksheet.columnCount < TEAM_HEADERS.length) {
+        await worksheet.resize({ rowCount: worksheet.rowCount || 1000, columnCount: TEAM_HEADERS.length });
+      }
+      await worksheet.setHeaderRow(TEAM_HEADERS);
+      logger.info(`Created '${Config.SHEET_TEAMS}' sheet headers`);
+    }
+
+    return worksheet;
+  }
+
+  /**
+   * Parse one Teams sheet row
+   * @param {Object} row - Sheet row
+   * @returns {Object|null} Team or null if the row is empty
+   */
+  _parseRow(row) {
+    const name = (row.get('Name') || '').toString().trim();
+    if (!name) return null;
+
+    let workTime = (row.get('Work time') || '').toString().trim();
+    if (workTime && !CalculatorService.parseWorkTime(workTime)) {
+      logger.warn(`Teams: invalid work time '${workTime}' for ${name} - ignored`);
+      workTime = '';
+    }
+
+    const daysOff = [];
+    for (const day of splitList(row.get('Days off'))) {
+      const index = WEEKDAYS[day.toLowerCase()];
+      if (index === undefined) {
+        logger.warn(`Teams: unknown weekday '${day}' for ${name} - ignored`);
+      } else {
+        daysOff.push(index);
+      }
+    }
+
+    return {
+      name,
+      key: name.toLowerCase(),
+      leadIds: splitList(row.get('Lead Telegram Id')),
+      workTime,
+      daysOff,
+      sites: splitList(row.get('Sites')).map(site => site.toLowerCase()),
+      chatId: (row.get('Chat Id') || '').toString().trim(),
+      note: (row.get('Note') || '').toString().trim()
+    };
+  }
+
+  /**
+   * Load all teams (cached)
+   * @returns {Array} Teams { name, key, leadIds, workTime, daysOff, sites, chatId, note }
+   */
+  async getTeams() {
+    if (this._teams && (Date.now() - this._lastLoaded) < this._cacheTimeout) {
+      return this._teams;
+    }
+    if (this._loading) return this._loading;
+
+    this._loading = (async () => {
+      const teams = [];
+
+      try {
+        const worksheet = await this._getWorksheet();
+        const rows = await worksheet.getRows();
+        for (const row of rows) {
+          const team = this._parseRow(row);
+          if (team) teams.push(team);
+        }
+      } catch (error) {
+        // Teams are optional - without them only the roster "Team" column groups employees
+        logger.error(`Error loading teams sheet: ${error.message}`);
+        if (this._teams) return this._teams;
+      }
+
+      this._teams = teams;
+      this._lastLoaded = Date.now();
+      return teams;
+    })();
+
+    try {
+      return await this._loading;
+    } finally {
+      this._loading = null;
+    }
+  }
+
+  /**
+   * Find a team by name from already loaded teams
+   * @param {Array} teams - Teams
+   * @param {string} name - Team name (roster "Team")
+   * @returns {Object|null} Team
+   */
+  findTeam(teams, name) {
+    const key = (name || '').toString().trim().toLowerCase();
+    return key ? teams.find(team => team.key === key) || null : null;
+  }
+
+  /**
+   * Find a team by name
+   * @param {string} name - Team name
+   * @returns {Object|null} Team
+   */
+  async getTeam(name) {
+    return this.findTeam(await this.getTeams(), name);
+  }
+
+  /**
+   * Names of the teams an employee leads
+   * @param {number|string} telegramId - Telegram ID
+   * @returns {Array<string>} Team names
+   */
+  async getTeamsLedBy(telegramId) {
+    const teams = await this.getTeams();
+    return teams.filter(team => team.leadIds.includes(telegramId.toString())).map(team => team.name);
+  }
+
+  /**
+   * Team names with their members' Telegram IDs, from the roster
+   * @returns {Map} Telegram ID -> team name ('' without a team)
+   */
+  async getMemberTeams() {
+    const sheetsService = require('./sheets.service');
+    const rows = await sheetsService._getCachedRoster();
+    const teams = await this.getTeams();
+    const members = new Map();
+
+    for (const row of rows) {
+      const telegramId = (row.get('Telegram Id') || '').toString().trim();
+      if (!telegramId) continue;
+      const rosterTeam = (row.get('Team') || '').toString().trim();
+      const team = this.findTeam(teams, rosterTeam);
+      members.set(telegramId, team ? team.name : rosterTeam);
+    }
+    return members;
+  }
+
+  /**
+   * Roster rows of a team's members
+   * @param {string} name - Team name
+   * @returns {Array} Roster rows
+   */
+  async getMembers(name) {
+    const sheetsService = require('./sheets.service');
+    const key = (name || '').toString().trim().toLowerCase();
+    const rows = await sheetsService._getCachedRoster();
+    return rows.filter(row => key && (row.get('Team') || '').toString().trim().toLowerCase() === key);
+  }
+
+  /**
+   * Group report rows by team
+   * @param {Array} rows - Daily sheet or monthly report rows
+   * @param {string} idColumn - Telegram ID column ('TelegramId' in daily sheets, 'Telegram ID' in reports)
+   * @returns {Array} [{ team, rows }] sorted by name, employees without a team last
+   */
+  async groupRows(rows, idColumn) {
+    const members = await this.getMemberTeams();
+    const groups = new Map();
+
+    for (const row of rows) {
+      const team = members.get((row.get(idColumn) || '').toString().trim()) || '';
+      if (!groups.has(team)) groups.set(team, []);
+      groups.get(team).push(row);
+    }
+
+    return [...groups.entries()]
+      .map(([team, teamRows]) => ({ team, rows: teamRows }))
+      .sort((a, b) => (!a.team) - (!b.team) || a.team.localeCompare(b.team));
+  }
+
+  /**
+   * Per-team totals of a daily sheet
+   * @param {Array} rows - Daily sheet rows
+   * @returns {Array} [{ team, employees, present, late, absent, points }]
+   */
+  async summarizeDaily(rows) {
+    const groups = await this.groupRows(rows, 'TelegramId');
+    const isYes = value => ['yes', 'true'].includes((value || '').toString().trim().toLowerCase());
+
+    return groups.map(({ team, rows: teamRows }) => {
+      const summary = { team: team || NO_TEAM, employees: teamRows.length, present: 0, late: 0, absent: 0, points: 0 };
+      for (const row of teamRows) {
+        if ((row.get('When come') || '').toString().trim()) {
+          summary.present++;
+          if (!isYes(row.get('Came on time'))) summary.late++;
+        } else if (isYes(row.get('Absent'))) {
+          summary.absent++;
+        }
+        summary.points += parseFloat(row.get('Point') || '0') || 0;
+      }
+      return summary;
+    });
+  }
+
+  /**
+   * Per-team totals of a monthly report
+   * @param {Array} rows - Monthly report rows
+   * @returns {Array} [{ team, employees, rating, hours, late, absent }]
+   */
+  async summarizeMonthly(rows) {
+    const groups = await this.groupRows(rows, 'Telegram ID');
+    const number = value => parseFloat(value || '0') || 0;
+
+    return groups.map(({ team, rows: teamRows }) => {
+      const summary = { team: team || NO_TEAM, employees: teamRows.length, rating: 0, hours: 0, late: 0, absent: 0 };
+      for (const row of teamRows) {
+        summary.rating += number(row.get('Rating (0-10)'));
+        summary.hours += number(row.get('Total Hours Worked'));
+        summary.late += number(row.get('Late Arrivals (Notified)')) + number(row.get('Late Arrivals (Silent)'));
+        summary.absent += number(row.get('Days Absent'));
+      }
+      summary.rating = teamRows.length > 0 ? summary.rating / teamRows.length : 0;
+      return summary;
+    });
+  }
+
+  /**
+   * "По командам" section for the HTML reports
+   * @param {Array} rows - Daily sheet or monthly report rows
+   * @param {string} kind - 'daily' or 'monthly'
+   * @returns {string} HTML ('' when nobody is in a team)
+   */
+  async buildBreakdownHtml(rows, kind = 'daily') {
+    const summary = kind === 'monthly' ? await this.summarizeMonthly(rows) : await this.summarizeDaily(rows);
+    if (summary.every(s => s.team === NO_TEAM)) return '';
+
+    const headers = kind === 'monthly'
+      ? ['Команда', 'Сотрудников', 'Ср. рейтинг', 'Часы', 'Опоздания', 'Отсутствия']
+      : ['Команда', 'Сотрудников', 'Присутствуют', 'Опоздали', 'Отсутствуют', 'Баллы'];
+
+    const body = summary.map(s => {
+      const cells = kind === 'monthly'
+        ? [s.team, s.employees, s.rating.toFixed(1), s.hours.toFixed(1), s.late, s.absent]
+        : [s.team, s.employees, s.present, s.late, s.absent, s.points.toFixed(1)];
+      return `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`;
+    }).join('\n');
+
+    return `
+    <div class="table-container">
+      <h2>👥 По командам</h2>
+      <table>
+        <thead><tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr></thead>
+        <tbody>${body}</tbody>
+      </table>
+    </div>`;
+  }
+
+  /**
+   * Drop cached teams so the next lookup re-reads the sheet
+   */
+  invalidate() {
+    this._teams = null;
+    this._lastLoaded = 0;
+  }
+}
+
+module.exports = new TeamService();
+module.exports.TEAM_HEADERS = TEAM_HEADERS;
+module.exports.NO_TEAM = NO_TEAM;
@@ -0,0 +1,401 @@
+/**
+ * Tracking store service.
+ * Keeps live-location tracking sessions and pending check-in/checkout location requests
+ * in the Tracking sheet, so a restart of the bot can resume them instead of leaving
+ * the day's verification at TRACKING forever.
+ *
+ * Tracking sheet columns:
+ *   Id | Telegram Id | Name | Type | Status | Started at | Updated at | Data
+ *
+ * - "Type" is session, checkin, checkout, reverify (a re-verification the employee must answer)
+ *   or photo (an arrival photo the employee must send).
+ * - "Status" of a session is ACTIVE until it stops, then the stop reason (COMPLETED, ANOMALY,
+ *   TIMEOUT, INTERRUPTED, CANCELLED). A location request is PENDING, then DONE or EXPIRED.
+ * - "Data" is the JSON of the session (full location trail as [lat, lng, accuracy, time]
+ *   points, anomalies with the place they happened, verdict) or of the request.
+ * - A session gets a row per tracking; a request reuses one row per employee and type.
+ */
+
+const moment = require('moment-timezone');
+const Config = require('../config');
+const logger = require('../utils/logger');
+
+const TRACKING_HEADERS = [
+  'Id',
+  'Telegram Id',
+  'Name',
+  'Type',
+  'Status',
+  'Started at',
+  'Updated at',
+  'Data'
+];
+
+const PENDING_TYPES = ['checkin', 'checkout', 'reverify', 'photo'];
+
+// Request state fields that hold moments (JSON turns them into ISO strings)
+const MOMENT_FIELDS = new Set(['checkInTime', 'checkoutTime', 'start', 'end']);
+
+/**
+ * Keep what the map and the alerts need from an anomaly
+ * @param {Object} anomaly - Anomaly from the anomaly detector
+ * @returns {Object} { type, severity, description, action, location }
+ */
+function compactAnomaly(anomaly) {
+  return {
+    type: anomaly.type,
+    severity: anomaly.severity,
+    description: anomaly.description,
+    action: anomaly.action || null,
+    location: anomaly.location || null
+  };
+}
+
+class TrackingStoreService {
+  constructor() {
+    this._rows = null; // Map<Id, row>
+    this._loading = null;
+    this._queue = Promise.resolve(); // Writes run one at a time so a row is never added twice
+    this._delayed = new Map(); // Delayed session saves: Map<Id, { timer, session }>
+  }
+
+  /**
+   * Get the Tracking worksheet, writing headers on a new sheet
+   * @returns {Object} Worksheet
+   */
+  async _getWorksheet() {
+    const sheetsService = require('./sheets.service');
+    const worksheet = await sheetsService.getWorksheet(Config.SHEET_TRACKING);
+
+    try {
+      await worksheet.loadHeaderRow();
+    } catch (headerError) {
+      if (worksheet.columnCount < TRACKING_HEADERS.length) {
+        await worksheet.resize({ rowCount: worksheet.rowCount || 1000, columnCount: TRACKING_HEADERS.length });
+      }
+      await worksheet.setHeaderRow(TRACKING_HEADERS);
+      logger.info(`Created '${Config.SHEET_TRACKING}' sheet headers`);
+    }
+
+    return worksheet;
+  }
+
+  /**
+   * Load the sheet rows once; later writes keep the map up to date
+   * @returns {Map} Rows by Id
+   */
+  async _loadRows() {
+    if (this._rows) return this._rows;
+    if (this._loading) return this._loading;
+
+    this._loading = (async () => {
+      const worksheet = await this._getWorksheet();
+      const rows = await worksheet.getRows();
+      const byId = new Map();
+      for (const row of rows) {
+        const id = (row.get('Id') || '').toString().trim();
+        if (id) byId.set(id, row);
+      }
+      this._rows = byId;
+      return byId;
+    })();
+
+    try {
+      return await this._loading;
+    } finally {
+      this._loading = null;
+    }
+  }
+
+  /**
+   * Queue a write of one row
+   * @param {string} id - Row Id
+   * @param {Object} values - Column values
+   * @returns {Promise<void>}
+   */
+  _write(id, values) {
+    this._queue = this._queue
+      .then(async () => {
+        const rows = await this._loadRows();
+        const row = rows.get(id);
+        if (row) {
+          row.assign(values);
+          await row.save();
+        } else {
+          const worksheet = await this._getWorksheet();
+          rows.set(id, await worksheet.addRow({ 'Id': id, ...values }));
+        }
+      })
+      .catch(error => {
+        logger.error(`Error saving tracking state ${id}: ${error.message}`);
+      });
+    return this._queue;
+  }
+
+  /**
+   * Format a timestamp for the sheet
+   * @param {number} timestamp - Milliseconds
+   * @returns {string}
+   */
+  _formatTime(timestamp) {
+    return moment.tz(timestamp, Config.TIMEZONE).format('YYYY-MM-DD HH:mm:ss');
+  }
+
+  /**
+   * Parse the Data column
+   * @param {Object} row - Sheet row
+   * @returns {Object|null}
+   */
+  _parseData(row) {
+    try {
+      return JSON.parse(row.get('Data') || '', (key, value) =>
+        MOMENT_FIELDS.has(key) && typeof value === 'string' ? moment.tz(value, Config.TIMEZONE) : value
+      );
+    } catch (error) {
+      logger.warn(`Tracking: row ${row.get('Id')} has invalid data - ignored`);
+      return null;
+    }
+  }
+
+  /**
+   * Save a tracking session
+   * @param {Object} session - Session from the location tracker
+   * @param {boolean} immediate - Save now; otherwise at most every TRACKING_PERSIST_SECONDS
+   * @returns {Promise<void>}
+   */
+  saveSession(session, immediate = true) {
+    const delayed = this._delayed.get(session.id);
+
+    if (!immediate) {
+      if (!delayed) {
+        const timer = setTimeout(() => this.saveSession(session), Config.TRACKING_PERSIST_SECONDS * 1000);
+        this._delayed.set(session.id, { timer, session });
+      }
+      return Promise.resolve();
+    }
+
+    if (delayed) {
+      clearTimeout(delayed.timer);
+      this._delayed.delete(session.id);
+    }
+
+    const verdict = session.finalVerdict;
+    const trail = session.trail || session.locationHistory;
+    const data = {
+      userId: session.userId,
+      userName: session.userName,
+      purpose: session.purpose,
+      allowedSites: session.allowedSites,
+      startTime: session.startTime,
+      lastUpdateTime: session.lastUpdateTime,
+      isActive: session.isActive,
+      initialLocation: session.initialLocation,
+      trail: trail.map(point => [point.latitude, point.longitude, point.accuracy, point.timestamp]),
+      // Anomalies repeat on every update; the latest ones are enough to resume
+      anomalies: session.anomalies.slice(-session.locationHistory.length).map(compactAnomaly),
+      updateCount: session.updateCount,
+      finalVerdict: verdict ? {
+        timestamp: verdict.timestamp,
+        reason: verdict.reason,
+        duration: verdict.duration,
+        updateCount: verdict.updateCount,
+        verificationStatus: verdict.verificationStatus,
+        severity: verdict.analysis ? verdict.analysis.severity : 'NONE',
+        anomalies: verdict.analysis ? verdict.analysis.anomalies.map(compactAnomaly) : []
+      } : null
+    };
+
+    let status = 'ACTIVE';
+    if (verdict) status = verdict.reason;
+    else if (!session.isActive) status = 'CANCELLED';
+
+    return this._write(session.id, {
+      'Telegram Id': session.userId.toString(),
+      'Name': session.userName || '',
+      'Type': 'session',
+      'Status': status,
+      'Started at': this._formatTime(session.startTime),
+      'Updated at': this._formatTime(session.lastUpdateTime),
+      'Data': JSON.stringify(data)
+    });
+  }
+
+  /**
+   * Save a location request the bot is waiting for
+   * @param {string} type - checkin, checkout, reverify or photo
+   * @param {string} telegramId - Employee's Telegram ID
+   * @param {Object} state - Request state (requestTime, user, ...)
+   * @returns {Promise<void>}
+   */
+  savePendingRequest(type, telegramId, state) {
+    // The roster row is loaded again on resume
+    const data = JSON.stringify(state, (key, value) => key === '_row' ? undefined : value);
+
+    return this._write(`${type}:${telegramId}`, {
+      'Telegram Id': telegramId.toString(),
+      'Name': state.user ? state.user.nameFull : '',
+      'Type': type,
+      'Status': 'PENDING',
+      'Started at': this._formatTime(state.requestTime),
+      'Updated at': this._formatTime(Date.now()),
+      'Data': data
+    });
+  }
+
+  /**
+   * Close a location request
+   * @param {string} type - checkin, checkout, reverify or photo
+   * @param {string} telegramId - Employee's Telegram ID
+   * @param {string} status - DONE or EXPIRED
+   * @returns {Promise<void>}
+   */
+  finishPendingRequest(type, telegramId, status = 'DONE') {
+    return this._write(`${type}:${telegramId}`, {
+      'Status': status,
+      'Updated at': this._formatTime(Date.now())
+    });
+  }
+
+  /**
+   * Parse a session row
+   * @param {string} id - Row Id
+   * @param {Object} row - Sheet row
+   * @returns {Object|null} Session in the location tracker format, with its sheet status
+   */
+  _parseSession(id, row) {
+    const data = this._parseData(row);
+    if (!data) return null;
+
+    const trail = (data.trail || []).map(([latitude, longitude, accuracy, timestamp]) => ({
+      latitude, longitude, accuracy, timestamp
+    }));
+
+    return {
+      ...data,
+      id,
+      status: row.get('Status'),
+      trail,
+      locationHistory: trail.slice()
+    };
+  }
+
+  /**
+   * Sessions that were still active when the bot stopped
+   * @returns {Array} Sessions in the location tracker format
+   */
+  async getActiveSessions() {
+    const rows = await this._loadRows();
+    const sessions = [];
+
+    for (const [id, row] of rows) {
+      if (row.get('Type') !== 'session' || row.get('Status') !== 'ACTIVE') continue;
+      const session = this._parseSession(id, row);
+      if (session) sessions.push({ ...session, isActive: true, finalVerdict: null });
+    }
+
+    return sessions;
+  }
+
+  /**
+   * Get a saved session
+   * @param {string} id - Session id
+   * @returns {Object|null} Session
+   */
+  async getSession(id) {
+    const rows = await this._loadRows();
+    const row = rows.get(id);
+    if (!row || row.get('Type') !== 'session') return null;
+    return this._parseSession(id, row);
+  }
+
+  /**
+   * Saved sessions of an employee that started on a date, oldest first
+   * @param {string|number} telegramId - Employee's Telegram ID
+   * @param {string} date - Date YYYY-MM-DD
+   * @returns {Array} Sessions
+   */
+  async getSessions(telegramId, date) {
+    const rows = await this._loadRows();
+    const sessions = [];
+
+    for (const [id, row] of rows) {
+      if (row.get('Type') !== 'session') continue;
+      if ((row.get('Telegram Id') || '').toString().trim() !== telegramId.toString()) continue;
+      if (!(row.get('Started at') || '').startsWith(date)) continue;
+      const session = this._parseSession(id, row);
+      if (session) sessions.push(session);
+    }
+
+    return sessions.sort((a, b) => a.startTime - b.startTime);
+  }
+
+  /**
+   * Location requests that were still pending when the bot stopped
+   * @param {Array<string>} types - Request types to return (default: all)
+   * @returns {Array} [{ type, telegramId, state }]
+   */
+  async getPendingRequests(types = PENDING_TYPES) {
+    await this._queue;
+    const rows = await this._loadRows();
+    const requests = [];
+
+    for (const row of rows.values()) {
+      const type = row.get('Type');
+      if (!types.includes(type) || row.get('Status') !== 'PENDING') continue;
+      const state = this._parseData(row);
+      if (!state) continue;
+      requests.push({ type, telegramId: (row.get('Telegram Id') || '').toString().trim(), state });
+    }
+
+    return requests;
+  }
+
+  /**
+   * Delete finished sessions older than TRACKING_HISTORY_DAYS
+   * @returns {number} Number of deleted rows
+   */
+  async pruneHistory() {
+    await this._queue;
+    const rows = await this._loadRows();
+    const cutoff = moment.tz(Config.TIMEZONE).subtract(Config.TRACKING_HISTORY_DAYS, 'days').format('YYYY-MM-DD HH:mm:ss');
+
+    const old = [...rows.entries()].filter(([, row]) =>
+      row.get('Type') === 'session' &&
+      row.get('Status') !== 'ACTIVE' &&
+      (row.get('Updated at') || '') < cutoff
+    );
+
+    // Delete bottom-up so row numbers of the remaining rows stay valid
+    for (const [id, row] of old.reverse()) {
+      await row.delete();
+      rows.delete(id);
+    }
+
+    if (old.length > 0) {
+      logger.info(`🧹 Removed ${old.length} tracking sessions older than ${Config.TRACKING_HISTORY_DAYS} days`);
+    }
+    return old.length;
+  }
+
+  /**
+   * Save delayed sessions now and wait for queued writes (used on shutdown and in tests)
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    for (const { session } of [...this._delayed.values()]) {
+      this.saveSession(session);
+    }
+    await this._queue;
+  }
+
+  /**
+   * Drop loaded rows (e.g. after the sheet was edited by hand)
+   */
+  invalidate() {
+    this._rows = null;
+  }
+}
+
+// Export singleton instance
+module.exports = new TrackingStoreService();
+module.exports.TRACKING_HEADERS = TRACKING_HEADERS;
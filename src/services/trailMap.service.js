@@ -0,0 +1,415 @@
+/**
+ * Trail map service.
+ * Builds a self-contained HTML page (no external scripts or map tiles) for the
+ * location verifications of an employee: the trail of every tracking session, the
+ * allowed sites (geofence circles and polygons) and the places where the anomalies
+ * found by the anomaly detector happened, so admins can judge fraud flags from evidence.
+ */
+
+const moment = require('moment-timezone');
+const Config = require('../config');
+const geofenceService = require('./geofence.service');
+
+const MAP_WIDTH = 900;
+const MAP_HEIGHT = 600;
+
+const PURPOSE_LABELS = {
+  arrival: 'Приход',
+  departure: 'Уход',
+  reverify: 'Повторная проверка'
+};
+
+const STATUS_LABELS = {
+  ACTIVE: '⏳ Идёт проверка',
+  COMPLETED: '✅ Завершена',
+  ANOMALY: '🚨 Остановлена из-за нарушения',
+  TIMEOUT: '⚠️ Обновления прекратились',
+  INTERRUPTED: '⚠️ Прервана перезапуском',
+  CANCELLED: '⛔ Отклонена (вне рабочего места)'
+};
+
+// Trail colors of the sessions on one map
+const TRAIL_COLORS = ['#3b82f6', '#8b5cf6', '#0ea5e9', '#6366f1'];
+
+const SEVERITY_COLORS = {
+  CRITICAL: '#dc2626',
+  HIGH: '#f97316',
+  MEDIUM: '#f59e0b',
+  LOW: '#64748b'
+};
+
+/**
+ * Escape text for HTML
+ * @param {*} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return (text === null || text === undefined ? '' : text.toString())
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Round a length to 1, 2 or 5 times a power of ten (for the scale bar)
+ * @param {number} meters
+ * @returns {number}
+ */
+function niceLength(meters) {
+  const power = Math.pow(10, Math.floor(Math.log10(meters)));
+  const steps = [1, 2, 5, 10].map(step => step * power);
+  return steps.filter(step => step <= meters).pop() || power;
+}
+
+class TrailMapService {
+  /**
+   * Sites a session was checked against
+   * @param {Object} session - Saved session
+   * @returns {Array} Sites
+   */
+  _getSites(session) {
+    return session.allowedSites && session.allowedSites.length > 0
+      ? session.allowedSites
+      : [geofenceService.getDefaultSite()];
+  }
+
+  /**
+   * Anomalies of a session: the final analysis, or those found so far while it runs
+   * @param {Object} session - Saved session
+   * @returns {Array} Anomalies with location
+   */
+  _getAnomalies(session) {
+    if (session.finalVerdict && session.finalVerdict.anomalies) {
+      return session.finalVerdict.anomalies;
+    }
+    return session.anomalies || [];
+  }
+
+  /**
+   * Format a timestamp
+   * @param {number} timestamp - Milliseconds
+   * @param {string} format - moment format
+   * @returns {string}
+   */
+  _formatTime(timestamp, format = 'HH:mm:ss') {
+    return timestamp ? moment.tz(timestamp, Config.TIMEZONE).format(format) : '—';
+  }
+
+  /**
+   * Link to the point on OpenStreetMap
+   * @param {Object} location - { latitude, longitude }
+   * @returns {string} HTML link
+   */
+  _osmLink(location) {
+    const lat = location.latitude.toFixed(6);
+    const lng = location.longitude.toFixed(6);
+    return `<a href="https://www.openstreetmap.org/?mlat=${lat}&amp;mlon=${lng}#map=18/${lat}/${lng}" target="_blank">${lat}, ${lng}</a>`;
+  }
+
+  /**
+   * Draw the sessions as an SVG in local meters around the first point
+   * @param {Array} sessions - Saved sessions
+   * @returns {string} SVG markup
+   */
+  buildSvg(sessions) {
+    const firstPoint = sessions.map(s => s.trail[0]).find(Boolean);
+    if (!firstPoint) return '';
+
+    const origin = { latitude: firstPoint.latitude, longitude: firstPoint.longitude };
+    const project = point => {
+      const { x, y } = geofenceService._toMeters(point, origin);
+      return { x, y: -y }; // North is up
+    };
+
+    // Bounds of everything drawn
+    const sites = new Map();
+    for (const session of sessions) {
+      for (const site of this._getSites(session)) sites.set(site.name, site);
+    }
+
+    const xs = [];
+    const ys = [];
+    const extend = (point, margin = 0) => {
+      const { x, y } = project(point);
+      xs.push(x - margin, x + margin);
+      ys.push(y - margin, y + margin);
+    };
+    for (const session of sessions) {
+      session.trail.forEach(point => extend(point, point.accuracy || 0));
+    }
+    for (const site of sites.values()) {
+      if (site.polygon) site.polygon.forEach(point => extend(point));
+      else if (site.center) extend(site.center, site.radius);
+    }
+
+    let minX = Math.min(...xs);
+    let maxX = Math.max(...xs);
+    let minY = Math.min(...ys);
+    let maxY = Math.max(...ys);
+
+    // At least 100 m across, padded, with the aspect ratio of the picture
+    let width = Math.max(maxX - minX, 100) * 1.15;
+    let height = Math.max(maxY - minY, 100) * 1.15;
+    if (width / height > MAP_WIDTH / MAP_HEIGHT) {
+      height = width * MAP_HEIGHT / MAP_WIDTH;
+    } else {
+      width = height * MAP_WIDTH / MAP_HEIGHT;
+    }
+    minX = (minX + maxX) / 2 - width / 2;
+    minY = (minY + maxY) / 2 - height / 2;
+
+    const unit = width / MAP_WIDTH; // Meters per pixel
+    const parts = [];
+
+    // Sites
+    for (const site of sites.values()) {
+      const label = escapeHtml(site.name);
+      if (site.polygon) {
+        const points = site.polygon.map(project).map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ');
+        parts.push(`<polygon class="site" points="${points}"><title>${label}</title></polygon>`);
+        const labelAt = project(site.polygon[0]);
+        parts.push(`<text class="site-label" x="${labelAt.x.toFixed(1)}" y="${labelAt.y.toFixed(1)}" font-size="${(13 * unit).toFixed(1)}">${label}</text>`);
+      } else if (site.center) {
+        const center = project(site.center);
+        parts.push(`<circle class="site" cx="${center.x.toFixed(1)}" cy="${center.y.toFixed(1)}" r="${site.radius}"><title>${label} (${site.radius} м)</title></circle>`);
+        parts.push(`<text class="site-label" x="${center.x.toFixed(1)}" y="${(center.y - site.radius - 6 * unit).toFixed(1)}" font-size="${(13 * unit).toFixed(1)}" text-anchor="middle">${label}</text>`);
+      }
+    }
+
+    // Trails
+    sessions.forEach((session, index) => {
+      const color = TRAIL_COLORS[index % TRAIL_COLORS.length];
+      const projected = session.trail.map(project);
+
+      if (projected.length > 1) {
+        const points = projected.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ');
+        parts.push(`<polyline class="trail" points="${points}" stroke="${color}" stroke-width="${(3 * unit).toFixed(2)}" />`);
+      }
+
+      session.trail.forEach((point, i) => {
+        const p = projected[i];
+        const title = `${PURPOSE_LABELS[session.purpose] || ''} #${i + 1} • ${this._formatTime(point.timestamp)}` +
+          (point.accuracy ? ` • точность ${Math.round(point.accuracy)} м` : '');
+        if (point.accuracy) {
+          parts.push(`<circle class="accuracy" cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="${point.accuracy}" fill="${color}" />`);
+        }
+        const isStart = i === 0;
+        const isEnd = i === session.trail.length - 1 && i > 0;
+        const radius = (isStart || isEnd ? 7 : 4) * unit;
+        const fill = isStart ? '#10b981' : isEnd ? '#1e293b' : color;
+        parts.push(`<circle cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="${radius.toFixed(2)}" fill="${fill}" stroke="white" stroke-width="${(1.5 * unit).toFixed(2)}"><title>${escapeHtml(title)}</title></circle>`);
+      });
+    });
+
+    // Anomalies, numbered like the table below the map
+    let number = 0;
+    for (const session of sessions) {
+      for (const anomaly of this._getAnomalies(session)) {
+        number++;
+        if (!anomaly.location) continue;
+        const p = project(anomaly.location);
+        const color = SEVERITY_COLORS[anomaly.severity] || SEVERITY_COLORS.LOW;
+        const title = `${number}. ${anomaly.type} (${anomaly.severity}) ${anomaly.description || ''}`;
+        parts.push(`<g class="anomaly"><title>${escapeHtml(title)}</title>` +
+          `<circle cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="${(11 * unit).toFixed(2)}" fill="${color}" stroke="white" stroke-width="${(2 * unit).toFixed(2)}" />` +
+          `<text x="${p.x.toFixed(1)}" y="${(p.y + 4.5 * unit).toFixed(1)}" font-size="${(13 * unit).toFixed(1)}" text-anchor="middle" fill="white" font-weight="bold">${number}</text></g>`);
+      }
+    }
+
+    // Scale bar in the bottom-left corner
+    const scale = niceLength(width / 5);
+    const barX = minX + 20 * unit;
+    const barY = minY + height - 20 * unit;
+    parts.push(`<line x1="${barX.toFixed(1)}" y1="${barY.toFixed(1)}" x2="${(barX + scale).toFixed(1)}" y2="${barY.toFixed(1)}" stroke="#1e293b" stroke-width="${(3 * unit).toFixed(2)}" />`);
+    parts.push(`<text x="${barX.toFixed(1)}" y="${(barY - 8 * unit).toFixed(1)}" font-size="${(13 * unit).toFixed(1)}" fill="#1e293b">${geofenceService.formatDistance(scale)}</text>`);
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${minX.toFixed(1)} ${minY.toFixed(1)} ${width.toFixed(1)} ${height.toFixed(1)}" width="100%" preserveAspectRatio="xMidYMid meet">
+      <rect x="${minX.toFixed(1)}" y="${minY.toFixed(1)}" width="${width.toFixed(1)}" height="${height.toFixed(1)}" fill="#f1f5f9" />
+      ${parts.join('\n      ')}
+    </svg>`;
+  }
+
+  /**
+   * Build the HTML page for an employee's verifications
+   * @param {Array} sessions - Saved sessions (trackingStoreService.getSessions / getSession)
+   * @param {Object} options - { employeeName, date }
+   * @returns {string} HTML
+   */
+  buildMapHtml(sessions, options = {}) {
+    const now = moment.tz(Config.TIMEZONE);
+    const employeeName = options.employeeName || (sessions[0] && sessions[0].userName) || '';
+    const date = options.date || (sessions[0] ? this._formatTime(sessions[0].startTime, 'YYYY-MM-DD') : now.format('YYYY-MM-DD'));
+
+    const cards = sessions.map((session, index) => {
+      const verdict = session.finalVerdict || {};
+      const duration = ((verdict.timestamp || session.lastUpdateTime) - session.startTime) / 1000;
+      const color = TRAIL_COLORS[index % TRAIL_COLORS.length];
+      return `
+      <div class="stat-card" style="border-top: 5px solid ${color}">
+        <div class="number">${PURPOSE_LABELS[session.purpose] || 'Проверка'}</div>
+        <div class="label">
+          ${this._formatTime(session.startTime)} • ${Math.round(duration)} сек • ${session.trail.length} точек<br>
+          ${escapeHtml(STATUS_LABELS[session.status] || session.status || '')}
+          ${verdict.verificationStatus ? `<br>Статус проверки: <b>${escapeHtml(verdict.verificationStatus)}</b>` : ''}
+        </div>
+      </div>`;
+    }).join('');
+
+    let number = 0;
+    const anomalyRows = [];
+    for (const session of sessions) {
+      for (const anomaly of this._getAnomalies(session)) {
+        number++;
+        const color = SEVERITY_COLORS[anomaly.severity] || SEVERITY_COLORS.LOW;
+        anomalyRows.push(`
+        <tr>
+          <td>${number}</td>
+          <td>${PURPOSE_LABELS[session.purpose] || ''}</td>
+          <td>${anomaly.location ? this._formatTime(anomaly.location.timestamp) : '—'}</td>
+          <td style="color: ${color}; font-weight: 600">${escapeHtml(anomaly.type)}<br><small>${escapeHtml(anomaly.severity)}</small></td>
+          <td>${escapeHtml(anomaly.description || '')}</td>
+          <td>${anomaly.location ? this._osmLink(anomaly.location) : '—'}</td>
+        </tr>`);
+      }
+    }
+
+    const pointRows = [];
+    for (const session of sessions) {
+      const sites = this._getSites(session);
+      session.trail.forEach((point, i) => {
+        const check = geofenceService.checkOfficeGeofence(point, sites);
+        pointRows.push(`
+        <tr>
+          <td>${PURPOSE_LABELS[session.purpose] || ''} #${i + 1}</td>
+          <td>${this._formatTime(point.timestamp)}</td>
+          <td>${this._osmLink(point)}</td>
+          <td>${point.accuracy ? `${Math.round(point.accuracy)} м` : '—'}</td>
+          <td class="${check.isInside ? 'inside' : 'outside'}">${check.isInside ? `✅ ${escapeHtml(check.site.name)}` : `❌ ${geofenceService.formatDistance(check.distance)} от "${escapeHtml(check.site.name)}"`}</td>
+        </tr>`);
+      });
+    }
+
+    const svg = this.buildSvg(sessions);
+
+    return `
+<!DOCTYPE html>
+<html lang="ru">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Карта проверки местоположения - ${escapeHtml(employeeName)} - ${date}</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      padding: 20px;
+      min-height: 100vh;
+    }
+    .container {
+      max-width: 1200px;
+      margin: 0 auto;
+      background: white;
+      border-radius: 20px;
+      box-shadow: 0 20px 60px rgba(0,0,0,0.3);
+      overflow: hidden;
+    }
+    .header {
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: white;
+      padding: 40px;
+      text-align: center;
+    }
+    .header h1 { font-size: 32px; margin-bottom: 10px; text-shadow: 2px 2px 4px rgba(0,0,0,0.2); }
+    .header .date { font-size: 20px; opacity: 0.9; }
+    .stats {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(240px, 1fr));
+      gap: 20px;
+      padding: 30px;
+      background: #f8f9fa;
+    }
+    .stat-card {
+      background: white;
+      padding: 25px;
+      border-radius: 15px;
+      box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+      text-align: center;
+    }
+    .stat-card .number { font-size: 26px; font-weight: bold; margin-bottom: 10px; color: #2d3748; }
+    .stat-card .label { color: #6c757d; font-size: 14px; line-height: 1.6; }
+    .map { padding: 30px; }
+    .map svg { border-radius: 15px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+    .map .site { fill: rgba(16, 185, 129, 0.15); stroke: #10b981; stroke-width: 2; vector-effect: non-scaling-stroke; }
+    .map .site-label { fill: #047857; font-weight: 600; }
+    .map .trail { fill: none; stroke-linejoin: round; stroke-linecap: round; opacity: 0.8; }
+    .map .accuracy { opacity: 0.08; }
+    .legend { margin-top: 15px; color: #6c757d; font-size: 14px; }
+    .legend span { margin-right: 20px; }
+    .table-container { padding: 0 30px 30px; overflow-x: auto; }
+    .table-container h2 { color: #2d3748; margin-bottom: 10px; font-size: 20px; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    thead th {
+      background: #667eea;
+      color: white;
+      padding: 12px;
+      text-align: left;
+      font-weight: 600;
+      text-transform: uppercase;
+      font-size: 12px;
+      letter-spacing: 1px;
+    }
+    tbody td { padding: 12px; border-bottom: 1px solid #f1f3f5; vertical-align: top; }
+    .inside { color: #10b981; }
+    .outside { color: #ef4444; font-weight: 500; }
+    .empty { color: #10b981; padding: 10px 0; }
+    details summary { cursor: pointer; color: #667eea; font-weight: 600; margin-bottom: 10px; }
+    .footer {
+      background: #f8f9fa;
+      padding: 20px;
+      text-align: center;
+      color: #6c757d;
+      font-size: 14px;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>🗺 Проверка местоположения</h1>
+      <div class="date">${escapeHtml(employeeName)} • ${date}</div>
+    </div>
+    <div class="stats">${cards}</div>
+    <div class="map">
+      ${svg}
+      <div class="legend">
+        <span>🟢 Начало</span><span>⚫ Конец</span><span>🟩 Разрешённые места</span><span>🔴 Аномалии (номер как в таблице)</span>
+      </div>
+    </div>
+    <div class="table-container">
+      <h2>🚨 Аномалии</h2>
+      ${anomalyRows.length > 0 ? `<table>
+        <thead><tr><th>#</th><th>Проверка</th><th>Время</th><th>Тип</th><th>Описание</th><th>Место</th></tr></thead>
+        <tbody>${anomalyRows.join('')}</tbody>
+      </table>` : '<div class="empty">✅ Аномалий не обнаружено</div>'}
+    </div>
+    <div class="table-container">
+      <details>
+        <summary>📍 Все точки (${pointRows.length})</summary>
+        <table>
+          <thead><tr><th>Точка</th><th>Время</th><th>Координаты</th><th>Точность</th><th>Место</th></tr></thead>
+          <tbody>${pointRows.join('')}</tbody>
+        </table>
+      </details>
+    </div>
+    <div class="footer">Сгенерировано системой учёта посещаемости • ${now.format('DD.MM.YYYY HH:mm:ss')}</div>
+  </div>
+</body>
+</html>
+  `;
+  }
+}
+
+// Export singleton instance
+module.exports = new TrailMapService();
@@ -0,0 +1,438 @@
+/**
+ * Webhook service.
+ * Sends attendance events as signed JSON to the endpoints registered in the Webhooks sheet:
+ *   Name | URL | Events | Secret | Active | Created by | Created at
+ *
+ * - "Events" is a comma-separated list of EVENTS (empty or "all" = every event).
+ * - "Secret" signs every delivery: X-Webhook-Signature is "sha256=" + HMAC-SHA256 of
+ *   "<X-Webhook-Timestamp>.<body>", so receivers can check the sender and reject replays.
+ * - "Active" no = paused.
+ *
+ * A delivery that fails (network error, timeout, 5xx, 408 or 429) is retried up to
+ * WEBHOOK_MAX_ATTEMPTS times, waiting WEBHOOK_RETRY_SECONDS and doubling after every attempt.
+ * Every finished delivery is one row of the Webhook Log sheet, written once with its final status:
+ *   Delivery Id | Time | Webhook | Event | Status | Attempts | Response | Last attempt
+ * Rows older than WEBHOOK_LOG_DAYS, and the oldest rows over WEBHOOK_LOG_MAX_ROWS, are removed every night.
+ * Retries are kept in memory - deliveries still retrying when the bot stops are not resent.
+ */
+
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const Config = require('../config');
+const logger = require('../utils/logger');
+
+const WEBHOOK_HEADERS = ['Name', 'URL', 'Events', 'Secret', 'Active', 'Created by', 'Created at'];
+const WEBHOOK_LOG_HEADERS = ['Delivery Id', 'Time', 'Webhook', 'Event', 'Status', 'Attempts', 'Response', 'Last attempt'];
+
+// Events receivers can subscribe to
+const EVENTS = ['ARRIVAL', 'DEPARTURE', 'LATE', 'ABSENT', 'TEMP_EXIT', 'FRAUD_FLAGGED', 'DAILY_REPORT'];
+
+// logEvent event types that are sent as webhook events
+const LOG_EVENTS = {
+  ARRIVAL: 'ARRIVAL',
+  DEPARTURE: 'DEPARTURE',
+  AUTO_DEPARTURE: 'DEPARTURE',
+  LATE_NOTIFIED: 'LATE',
+  LATE_SILENT: 'LATE',
+  ABSENT: 'ABSENT',
+  ABSENT_NOTIFIED: 'ABSENT',
+  CHECKOUT_FRAUD: 'FRAUD_FLAGGED'
+};
+
+// Answers worth another attempt (other 4xx mean the receiver rejects the payload)
+const RETRY_STATUSES = [408, 429];
+
+/**
+ * Parse a yes/no cell (empty = yes)
+ * @param {string} value - Cell value
+ * @returns {boolean}
+ */
+function isActive(value) {
+  return !['no', 'false', 'нет', '0'].includes((value || '').toString().trim().toLowerCase());
+}
+
+/**
+ * Parse the "Events" cell
+ * @param {string} value - Cell value
+ * @returns {Array<string>} Events, empty = all
+ */
+function parseEvents(value) {
+  const events = (value || '').toString().split(',').map(e => e.trim().toUpperCase()).filter(Boolean);
+  if (events.includes('ALL') || events.includes('*')) return [];
+  return events.filter(event => {
+    if (EVENTS.includes(event)) return true;
+    logger.warn(`Webhooks: unknown event '${event}' - ignored`);
+    return false;
+  });
+}
+
+class WebhookService {
+  constructor() {
+    this._webhooks = null;
+    this._lastLoaded = 0;
+    this._loading = null;
+    this._cacheTimeout = 300000; // 5 minutes - same as the sites cache
+    this._logQueue = Promise.resolve(); // Log rows are written one at a time
+    this._inFlight = new Set(); // Deliveries not finished yet
+  }
+
+  /**
+   * Get a worksheet, writing headers on a new sheet
+   * @param {string} title - Sheet name
+   * @param {Array<string>} headers - Header row
+   * @returns {Object} Worksheet
+   */
+  async _getWorksheet(title, headers) {
+    const sheetsService = require('./sheets.service');
+    const worksheet = await sheetsService.getWorksheet(title);
+
+    try {
+      await worksheet.loadHeaderRow();
+    } catch (headerError) {
+      if (worksheet.columnCount < headers.length) {
+        await worksheet.resize({ rowCount: worksheet.rowCount || 1000, columnCount: headers.length });
+      }
+      await worksheet.setHeaderRow(headers);
+      logger.info(`Created '${title}' sheet headers`);
+    }
+
+    return worksheet;
+  }
+
+  /**
+   * Parse one Webhooks sheet row
+   * @param {Object} row - Sheet row
+   * @returns {Object|null} Webhook { name, url, events, secret, active } or null if the row is empty/invalid
+   */
+  _parseRow(row) {
+    const name = (row.get('Name') || '').toString().trim();
+    const url = (row.get('URL') || '').toString().trim();
+    if (!name && !url) return null;
+    if (!/^https?:\/\//i.test(url)) {
+      logger.warn(`Webhooks: '${name}' has no valid URL - ignored`);
+      return null;
+    }
+
+    return {
+      name: name || url,
+      url,
+      events: parseEvents(row.get('Events')),
+      secret: (row.get('Secret') || '').toString().trim(),
+      active: isActive(row.get('Active'))
+    };
+  }
+
+  /**
+   * Load the registered webhooks (cached)
+   * @returns {Array} Webhooks
+   */
+  async getWebhooks() {
+    if (this._webhooks && (Date.now() - this._lastLoaded) < this._cacheTimeout) {
+      return this._webhooks;
+    }
+    if (this._loading) return this._loading;
+
+    this._loading = (async () => {
+      const webhooks = [];
+
+      try {
+        const worksheet = await this._getWorksheet(Config.SHEET_WEBHOOKS, WEBHOOK_HEADERS);
+        const rows = await worksheet.getRows();
+        for (const row of rows) {
+          const webhook = this._parseRow(row);
+          if (webhook) webhooks.push(webhook);
+        }
+      } catch (error) {
+        logger.error(`Error loading webhooks sheet: ${error.message}`);
+        if (this._webhooks) return this._webhooks;
+      }
+
+      this._webhooks = webhooks;
+      this._lastLoaded = Date.now();
+      return this._webhooks;
+    })();
+
+    try {
+      return await this._loading;
+    } finally {
+      this._loading = null;
+    }
+  }
+
+  /**
+   * Find a webhook by name (case-insensitive)
+   * @param {string} name - Webhook name
+   * @returns {Object|null}
+   */
+  async findWebhook(name) {
+    const key = (name || '').toString().trim().toLowerCase();
+    return (await this.getWebhooks()).find(webhook => webhook.name.toLowerCase() === key) || null;
+  }
+
+  /**
+   * Register a webhook with a new secret
+   * @param {Object} webhook - { name, url, events, createdBy }
+   * @returns {Object} Registered webhook with its secret
+   */
+  async addWebhook({ name, url, events = [], createdBy = '' }) {
+    if (!/^https?:\/\/\S+$/i.test(url || '')) {
+      throw new Error('Укажите адрес, начинающийся с http:// или https://');
+    }
+    const unknown = events.filter(event => !EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new Error(`Неизвестные события: ${unknown.join(', ')}`);
+    }
+    if (await this.findWebhook(name)) {
+      throw new Error(`Вебхук «${name}» уже есть`);
+    }
+
+    const secret = crypto.randomBytes(24).toString('hex');
+    const worksheet = await this._getWorksheet(Config.SHEET_WEBHOOKS, WEBHOOK_HEADERS);
+    await worksheet.addRow({
+      'Name': name,
+      'URL': url,
+      'Events': events.length > 0 ? events.join(', ') : 'all',
+      'Secret': secret,
+      'Active': 'yes',
+      'Created by': createdBy,
+      'Created at': moment.tz(Config.TIMEZONE).format('YYYY-MM-DD HH:mm')
+    });
+    this._webhooks = null;
+
+    logger.info(`Webhook '${name}' registered for ${events.length > 0 ? events.join(', ') : 'all events'} by ${createdBy}`);
+    return { name, url, events, secret, active: true };
+  }
+
+  /**
+   * Remove a webhook
+   * @param {string} name - Webhook name
+   * @returns {boolean} True if it was found
+   */
+  async removeWebhook(name) {
+    const key = (name || '').toString().trim().toLowerCase();
+    const worksheet = await this._getWorksheet(Config.SHEET_WEBHOOKS, WEBHOOK_HEADERS);
+    const rows = await worksheet.getRows();
+    const row = rows.find(r => (r.get('Name') || '').toString().trim().toLowerCase() === key);
+    if (!row) return false;
+
+    await row.delete();
+    this._webhooks = null;
+    logger.info(`Webhook '${name}' removed`);
+    return true;
+  }
+
+  /**
+   * Sign a payload
+   * @param {string} secret - Webhook secret
+   * @param {string} timestamp - Unix seconds
+   * @param {string} body - JSON body
+   * @returns {string} "sha256=<hex>"
+   */
+  sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Send an event to every active webhook subscribed to it; deliveries run in the background
+   * @param {string} event - One of EVENTS
+   * @param {Object} data - Event data
+   * @returns {Array<Promise>} Deliveries (resolve when delivered or given up)
+   */
+  async emit(event, data = {}) {
+    try {
+      const webhooks = (await this.getWebhooks())
+        .filter(webhook => webhook.active && (webhook.events.length === 0 || webhook.events.includes(event)));
+      return webhooks.map(webhook => this._track(this.deliver(webhook, event, data)));
+    } catch (error) {
+      logger.error(`Error sending webhook event ${event}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Send a logEvent event type as its webhook event (others are not sent)
+   * @param {string} eventType - logEvent event type (ARRIVAL, LATE_SILENT, ...)
+   * @param {Object} data - Event data
+   */
+  emitLogEvent(eventType, data) {
+    const event = LOG_EVENTS[eventType];
+    if (event) {
+      this.emit(event, { eventType, ...data });
+    }
+  }
+
+  /**
+   * Remember a delivery until it is finished
+   * @param {Promise} delivery - Delivery
+   * @returns {Promise} Delivery that never rejects
+   */
+  _track(delivery) {
+    const tracked = delivery
+      .catch(error => {
+        logger.error(`Webhook delivery error: ${error.message}`);
+        return { status: 'FAILED' };
+      })
+      .finally(() => this._inFlight.delete(tracked));
+    this._inFlight.add(tracked);
+    return tracked;
+  }
+
+  /**
+   * Wait until every started delivery is finished (tests, shutdown)
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    while (this._inFlight.size > 0) {
+      await Promise.allSettled([...this._inFlight]);
+    }
+    await this._logQueue;
+  }
+
+  /**
+   * Deliver an event to one webhook, retrying with backoff
+   * @param {Object} webhook - Webhook
+   * @param {string} event - Event
+   * @param {Object} data - Event data
+   * @param {number} maxAttempts - Attempts before giving up
+   * @returns {Object} { id, status: DELIVERED|FAILED, attempts, response }
+   */
+  async deliver(webhook, event, data, maxAttempts = Config.WEBHOOK_MAX_ATTEMPTS) {
+    const id = crypto.randomUUID();
+    const time = moment.tz(Config.TIMEZONE).format('YYYY-MM-DD HH:mm:ss');
+    const body = JSON.stringify({ id, event, timestamp: moment.tz(Config.TIMEZONE).format(), data });
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const result = await this._send(webhook, event, id, body);
+
+      const status = result.ok ? 'DELIVERED' : (result.retry && attempt < maxAttempts ? 'PENDING' : 'FAILED');
+      if (status !== 'PENDING') {
+        if (status === 'FAILED') {
+          logger.error(`Webhook ${event} to '${webhook.name}' failed after ${attempt} attempt(s): ${result.response}`);
+        }
+        await this._writeLog({
+          'Delivery Id': id,
+          'Time': time,
+          'Webhook': webhook.name,
+          'Event': event,
+          'Status': status,
+          'Attempts': attempt.toString(),
+          'Response': result.response.slice(0, 200),
+          'Last attempt': moment.tz(Config.TIMEZONE).format('YYYY-MM-DD HH:mm:ss')
+        });
+        return { id, status, attempts: attempt, response: result.response };
+      }
+
+      const delay = Config.WEBHOOK_RETRY_SECONDS * 1000 * Math.pow(2, attempt - 1);
+      logger.warn(`Webhook ${event} to '${webhook.name}' failed (${result.response}) - retry in ${Math.round(delay / 1000)} s`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * One HTTP attempt
+   * @returns {Object} { ok, retry, response }
+   */
+  async _send(webhook, event, id, body) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'attendance-bot-webhooks',
+      'X-Webhook-Event': event,
+      'X-Webhook-Delivery': id,
+      'X-Webhook-Timestamp': timestamp
+    };
+    if (webhook.secret) {
+      headers['X-Webhook-Signature'] = this.sign(webhook.secret, timestamp, body);
+    }
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(Config.WEBHOOK_TIMEOUT_SECONDS * 1000)
+      });
+      await response.text().catch(() => '');
+      return {
+        ok: response.ok,
+        retry: response.status >= 500 || RETRY_STATUSES.includes(response.status),
+        response: `HTTP ${response.status}`
+      };
+    } catch (error) {
+      return { ok: false, retry: true, response: error.name === 'TimeoutError' ? 'timeout' : error.message };
+    }
+  }
+
+  /**
+   * Add a Webhook Log row (queued so rows are written in order)
+   * @param {Object} values - Column values
+   * @returns {Promise<void>}
+   */
+  _writeLog(values) {
+    const write = this._logQueue.then(async () => {
+      const worksheet = await this._getWorksheet(Config.SHEET_WEBHOOK_LOG, WEBHOOK_LOG_HEADERS);
+      await worksheet.addRow(values);
+    }).catch(error => {
+      logger.error(`Error writing webhook log: ${error.message}`);
+    });
+    this._logQueue = write;
+    return write;
+  }
+
+  /**
+   * Delete Webhook Log rows older than WEBHOOK_LOG_DAYS and the oldest rows over WEBHOOK_LOG_MAX_ROWS
+   * @returns {Promise<number>} Number of deleted rows
+   */
+  pruneLog() {
+    const prune = this._logQueue.then(async () => {
+      const worksheet = await this._getWorksheet(Config.SHEET_WEBHOOK_LOG, WEBHOOK_LOG_HEADERS);
+      const cutoff = moment.tz(Config.TIMEZONE).subtract(Config.WEBHOOK_LOG_DAYS, 'days').format('YYYY-MM-DD HH:mm:ss');
+      const rows = await worksheet.getRows();
+      const kept = rows
+        .filter(row => (row.get('Time') || '') >= cutoff)
+        .slice(-Config.WEBHOOK_LOG_MAX_ROWS); // Rows are added in delivery order - newest last
+
+      const removed = rows.length - kept.length;
+      if (removed === 0) return 0;
+
+      // Rewrite the kept rows in one batch - deleting row by row is a write request per row
+      const values = kept.map(row => row.toObject());
+      await worksheet.clearRows();
+      if (values.length > 0) {
+        await worksheet.addRows(values);
+      }
+
+      logger.info(`🧹 Removed ${removed} webhook deliveries (kept ${kept.length}: last ${Config.WEBHOOK_LOG_DAYS} days, at most ${Config.WEBHOOK_LOG_MAX_ROWS})`);
+      return removed;
+    }).catch(error => {
+      logger.error(`Error pruning webhook log: ${error.message}`);
+      return 0;
+    });
+    this._logQueue = prune;
+    return prune;
+  }
+
+  /**
+   * Latest deliveries from the Webhook Log, newest first
+   * @param {number} limit - Max entries
+   * @returns {Array} [{ id, time, webhook, event, status, attempts, response }]
+   */
+  async getRecentDeliveries(limit = 10) {
+    await this._logQueue;
+    const worksheet = await this._getWorksheet(Config.SHEET_WEBHOOK_LOG, WEBHOOK_LOG_HEADERS);
+    const rows = await worksheet.getRows();
+    return rows.slice(-limit).reverse().map(row => ({
+      id: row.get('Delivery Id') || '',
+      time: row.get('Time') || '',
+      webhook: row.get('Webhook') || '',
+      event: row.get('Event') || '',
+      status: row.get('Status') || '',
+      attempts: parseInt(row.get('Attempts') || '0'),
+      response: row.get('Response') || ''
+    }));
+  }
+}
+
+module.exports = new WebhookService();
+module.exports.EVENTS = EVENTS;
+module.exports.parseEvents = parseEvents;
@@ -0,0 +1,269 @@
+/**
+ * Weekly report service.
+ * Sums up a week (Monday-Sunday) from the History sheet (history.service), for the weekly
+ * company report with a week-over-week comparison and for the personal recap of each employee.
+ *
+ * Days are counted like the no-show check does: a day off by schedule or a holiday
+ * (scheduleService.getScheduledWorkTime) is not a work day, so nobody is absent or late on it -
+ * coming in anyway still counts its hours and points. Days without a daily sheet (nothing archived)
+ * are skipped as well.
+ *
+ * Balance = hours worked - scheduled hours of the days the employee came in; absences are
+ * counted separately, like in the monthly report.
+ */
+
+const moment = require('moment-timezone');
+const Config = require('../config');
+const logger = require('../utils/logger');
+
+const NO_COMPANY = 'Без компании';
+
+/**
+ * Format minutes as a signed balance: +1:30, -0:45
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatBalance(minutes) {
+  const abs = Math.abs(Math.round(minutes));
+  return `${minutes < 0 ? '-' : '+'}${Math.floor(abs / 60)}:${(abs % 60).toString().padStart(2, '0')}`;
+}
+
+/**
+ * Week-over-week change for messages: "▲ +2", "▼ -5%", "= 0"
+ * @param {number} current
+ * @param {number|null} previous - null when there is nothing to compare with
+ * @param {string} unit - Suffix of the value
+ * @returns {string}
+ */
+function formatChange(current, previous, unit = '') {
+  if (previous === null || previous === undefined) return '';
+  const change = Math.round((current - previous) * 10) / 10;
+  if (change === 0) return ' (= 0)';
+  return ` (${change > 0 ? '▲ +' : '▼ '}${change}${unit})`;
+}
+
+/**
+ * Format a week for messages: 10.03 — 16.03.2025
+ * @param {Object} week - { from, to }
+ * @returns {string}
+ */
+function formatWeek(week) {
+  return `${moment(week.from).format('DD.MM')} — ${moment(week.to).format('DD.MM.YYYY')}`;
+}
+
+/**
+ * Share as a whole percent
+ * @param {number} part
+ * @param {number} total
+ * @returns {number}
+ */
+function percent(part, total) {
+  return total > 0 ? Math.round((part / total) * 100) : 0;
+}
+
+class WeeklyReportService {
+  /**
+   * Monday-Sunday week of a date
+   * @param {string|moment.Moment} date - Any day of the week
+   * @returns {Object} { from, to } in YYYY-MM-DD
+   */
+  getWeek(date) {
+    const day = moment.tz(date, Config.TIMEZONE);
+    return {
+      from: day.clone().startOf('isoWeek').format('YYYY-MM-DD'),
+      to: day.clone().endOf('isoWeek').format('YYYY-MM-DD')
+    };
+  }
+
+  /**
+   * The week before
+   * @param {Object} week - { from, to }
+   * @returns {Object} { from, to }
+   */
+  getPreviousWeek(week) {
+    return this.getWeek(moment(week.from).subtract(1, 'week'));
+  }
+
+  /**
+   * Week statistics of every employee in scope
+   * @param {Object} week - { from, to }
+   * @param {Set<string>|null} ids - Allowed Telegram IDs, null for everyone
+   * @returns {Map<string, Object>} telegramId -> { telegramId, name, company, workDays, present, onTime, late,
+   *   absent, leftEarly, hoursWorked, requiredMinutes, balanceMinutes, onTimeRate, points }
+   */
+  async getWeekStats(week, ids = null) {
+    const sheetsService = require('./sheets.service');
+    const historyService = require('./history.service');
+    const scheduleService = require('./schedule.service');
+
+    const history = await historyService.getHistory({ from: week.from, to: week.to, ids });
+    const entries = new Map();
+    for (const entry of history.entries) {
+      entries.set(`${entry.telegramId}|${entry.date}`, entry);
+    }
+
+    const stats = new Map();
+    for (const row of await sheetsService._getCachedRoster()) {
+      const employee = scheduleService.employeeFromRosterRow(row);
+      if (!employee.telegramId || !employee.nameFull || (ids && !ids.has(employee.telegramId))) continue;
+
+      const result = {
+        telegramId: employee.telegramId,
+        name: employee.nameFull,
+        company: employee.company,
+        workDays: 0,
+        present: 0,
+        onTime: 0,
+        late: 0,
+        absent: 0,
+        leftEarly: 0,
+        hoursWorked: 0,
+        requiredMinutes: 0,
+        points: 0
+      };
+
+      let workedMinutes = 0;
+      for (let day = moment.tz(week.from, Config.TIMEZONE); day.format('YYYY-MM-DD') <= week.to; day.add(1, 'day')) {
+        const entry = entries.get(`${employee.telegramId}|${day.format('YYYY-MM-DD')}`);
+        if (!entry) continue;
+
+        const workTime = await scheduleService.getScheduledWorkTime(employee, day);
+        const came = entry.arrival && !entry.absent;
+        result.points += entry.point;
+        if (came) {
+          result.present++;
+          result.hoursWorked += entry.hoursWorked;
+          workedMinutes += Math.round(entry.hoursWorked * 60);
+        }
+
+        // Day off by schedule or holiday: nobody is late or absent on it
+        if (!workTime) continue;
+
+        result.workDays++;
+        if (came) {
+          result.requiredMinutes += workTime.end.diff(workTime.start, 'minutes');
+          if (entry.status === 'late') result.late++;
+          else result.onTime++;
+          if (entry.leftEarly) result.leftEarly++;
+        } else {
+          result.absent++;
+        }
+      }
+
+      if (result.workDays === 0 && result.present === 0) continue;
+      result.hoursWorked = Math.round(result.hoursWorked * 100) / 100;
+      result.points = Math.round(result.points * 100) / 100;
+      result.balanceMinutes = workedMinutes - result.requiredMinutes;
+      result.onTimeRate = percent(result.onTime, result.onTime + result.late);
+      stats.set(employee.telegramId, result);
+    }
+
+    return stats;
+  }
+
+  /**
+   * Totals per company
+   * @param {Map<string, Object>} stats - From getWeekStats
+   * @returns {Map<string, Object>} company -> { company, employees, workDays, present, onTime, late, absent,
+   *   leftEarly, hoursWorked, points, onTimeRate }
+   */
+  summarizeByCompany(stats) {
+    const companies = new Map();
+    for (const employee of stats.values()) {
+      const company = employee.company || NO_COMPANY;
+      if (!companies.has(company)) {
+        companies.set(company, {
+          company, employees: 0, workDays: 0, present: 0, onTime: 0, late: 0, absent: 0, leftEarly: 0, hoursWorked: 0, points: 0
+        });
+      }
+
+      const total = companies.get(company);
+      total.employees++;
+      for (const field of ['workDays', 'present', 'onTime', 'late', 'absent', 'leftEarly', 'hoursWorked', 'points']) {
+        total[field] += employee[field];
+      }
+    }
+
+    for (const total of companies.values()) {
+      total.hoursWorked = Math.round(total.hoursWorked * 10) / 10;
+      total.points = Math.round(total.points * 10) / 10;
+      total.onTimeRate = percent(total.onTime, total.onTime + total.late);
+    }
+    return companies;
+  }
+
+  /**
+   * Weekly company report with the week-over-week comparison
+   * @param {Object} week - { from, to }
+   * @param {Set<string>|null} ids - Allowed Telegram IDs, null for everyone
+   * @returns {Object} { week, previousWeek, companies: [{ ...current, previous }], stats, previousStats }
+   */
+  async getReport(week, ids = null) {
+    const previousWeek = this.getPreviousWeek(week);
+    const stats = await this.getWeekStats(week, ids);
+    const previousStats = await this.getWeekStats(previousWeek, ids);
+
+    const current = this.summarizeByCompany(stats);
+    const previous = this.summarizeByCompany(previousStats);
+    const companies = [...current.values()]
+      .map(company => ({ ...company, previous: previous.get(company.company) || null }))
+      .sort((a, b) => a.company.localeCompare(b.company));
+
+    logger.info(`Weekly report ${week.from}..${week.to}: ${stats.size} employees in ${companies.length} companies`);
+    return { week, previousWeek, companies, stats, previousStats };
+  }
+
+  /**
+   * Weekly report message for admins
+   * @param {Object} report - From getReport
+   * @returns {string}
+   */
+  formatReport(report) {
+    let text = `📊 Недельный отчёт\n` +
+      `📅 ${formatWeek(report.week)}\n` +
+      `↔️ В сравнении с ${formatWeek(report.previousWeek)}\n`;
+
+    for (const company of report.companies) {
+      const previous = company.previous;
+      const was = field => (previous ? previous[field] : null);
+      text += `\n🏢 ${company.company} (${company.employees} сотр.)\n` +
+        `✅ Вовремя: ${company.onTimeRate}%${formatChange(company.onTimeRate, was('onTimeRate'), '%')}\n` +
+        `🕒 Опозданий: ${company.late}${formatChange(company.late, was('late'))}\n` +
+        `❌ Отсутствий: ${company.absent}${formatChange(company.absent, was('absent'))}\n` +
+        `🚪 Ранних уходов: ${company.leftEarly}${formatChange(company.leftEarly, was('leftEarly'))}\n` +
+        `⏱ Часов: ${company.hoursWorked}${formatChange(company.hoursWorked, was('hoursWorked'))}\n` +
+        `⭐ Баллы: ${company.points}${formatChange(company.points, was('points'))}\n`;
+    }
+
+    return text;
+  }
+
+  /**
+   * Personal weekly recap of an employee
+   * @param {Object} stats - Employee of getWeekStats
+   * @param {Object|null} previous - The same employee a week before
+   * @param {Object} week - { from, to }
+   * @returns {string}
+   */
+  formatRecap(stats, previous, week) {
+    const was = field => (previous ? previous[field] : null);
+    const required = Math.round(stats.requiredMinutes / 6) / 10;
+
+    let text = `📋 Ваша неделя ${formatWeek(week)}\n\n` +
+      `📅 Рабочих дней: ${stats.workDays}, вы пришли: ${stats.present}\n` +
+      `✅ Вовремя: ${stats.onTimeRate}% (${stats.onTime} из ${stats.onTime + stats.late})${formatChange(stats.onTimeRate, was('onTimeRate'), '%')}\n` +
+      `⭐ Баллы: ${stats.points}${formatChange(stats.points, was('points'))}\n` +
+      `⚖️ Баланс: ${formatBalance(stats.balanceMinutes)} (${stats.hoursWorked} ч из ${required} ч)\n`;
+    if (stats.late > 0) text += `🕒 Опозданий: ${stats.late}\n`;
+    if (stats.absent > 0) text += `❌ Отсутствий: ${stats.absent}\n`;
+    if (stats.leftEarly > 0) text += `🚪 Ранних уходов: ${stats.leftEarly}\n`;
+
+    text += stats.late === 0 && stats.absent === 0 && stats.present > 0
+      ? `\n🎉 Отличная неделя - ни одного опоздания!`
+      : `\nХорошей новой недели! 💪`;
+    return text;
+  }
+}
+
+module.exports = new WeeklyReportService();
+module.exports.formatBalance = formatBalance;
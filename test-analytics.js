@@ -0,0 +1,291 @@
+/**
+ * Test script to verify attendance analytics: lateness by weekday, chronic patterns,
+ * zone sliding across monthly reports, risk scores, the digest, /analytics and the Monday digest job
+ * Uses a throwaway SQLite database as storage and a fake clock.
+ * Run with: node test-analytics.js
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const dbPath = path.join(os.tmpdir(), `attendance-analytics-test-${process.pid}.db`);
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = dbPath;
+process.env.STORAGE_MIRROR_TO_SHEETS = 'false';
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.GOOGLE_SHEETS_ID = '';
+process.env.ADMIN_TELEGRAM_IDS = '900';
+process.env.GREEN_ZONE_MIN = '8.5';
+process.env.YELLOW_ZONE_MIN = '6.5';
+process.env.ANALYTICS_WEEKS = '4';
+process.env.ANALYTICS_MONTHS = '2';
+process.env.ANALYTICS_PATTERN_MIN_DAYS = '3';
+process.env.ANALYTICS_PATTERN_RATE = '0.5';
+process.env.ANALYTICS_LUNCH_END = '14:00';
+
+const moment = require('moment-timezone');
+const Config = require('./src/config');
+const sheetsService = require('./src/services/sheets.service');
+const schedulerService = require('./src/services/scheduler.service');
+const historyService = require('./src/services/history.service');
+const analyticsService = require('./src/services/analytics.service');
+const { setupAnalyticsHandlers } = require('./src/bot/handlers/analytics.handler');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+// Fake clock: every moment() created by the services uses this time
+function setNow(dateTime) {
+  const fixed = moment.tz(dateTime, 'YYYY-MM-DD HH:mm', Config.TIMEZONE).valueOf();
+  moment.now = () => fixed;
+}
+
+const TO = '2025-03-30'; // Sunday - 4 weeks from Monday 2025-03-03
+const MONDAY = { telegramId: '1801', nameFull: 'Monday Late', company: 'ACME', username: '@monday_late' };
+const EXITS = { telegramId: '1802', nameFull: 'Afternoon Exits', company: 'ACME', username: '' };
+const STEADY = { telegramId: '1803', nameFull: 'Steady Worker', company: 'ACME', username: '' };
+const NEWBIE = { telegramId: '1804', nameFull: 'New Comer', company: 'Beta', username: '' };
+const MANAGER = { telegramId: '1805', nameFull: 'Beta Manager', company: 'Beta', username: '', role: 'manager' };
+
+// Monthly report values: [Total Work Days, Days Worked, Days Absent (Silent), Rating]
+const MONTHS = {
+  '2025-02': {
+    [MONDAY.telegramId]: [20, 20, 0, 9.0],
+    [EXITS.telegramId]: [20, 20, 0, 9.5],
+    [STEADY.telegramId]: [20, 20, 0, 9.0]
+  },
+  '2025-03': {
+    [MONDAY.telegramId]: [21, 19, 1, 7.0],
+    [EXITS.telegramId]: [21, 20, 0, 9.0],
+    [STEADY.telegramId]: [21, 20, 0, 9.2],
+    [NEWBIE.telegramId]: [21, 5, 0, 3.0]
+  }
+};
+
+// Bot stub that collects command handlers
+const commands = {};
+setupAnalyticsHandlers({ command: (name, handler) => { commands[name] = handler; } });
+
+async function runCommand(text, fromId = 900) {
+  const replies = [];
+  await commands.analytics({
+    from: { id: fromId },
+    message: { text },
+    reply: async (message) => replies.push(message)
+  });
+  return replies;
+}
+
+/**
+ * History row of one employee and day
+ * @param {Object} employee
+ * @param {string} date
+ * @param {Object} values - Extra columns
+ */
+function historyRow(employee, date, values = {}) {
+  return {
+    'Date': date,
+    'Telegram Id': employee.telegramId,
+    'Company': employee.company,
+    'Name': employee.nameFull,
+    'When come': '08:55',
+    'Came on time': 'Yes',
+    'Leave time': '18:00',
+    'Hours worked': '9',
+    'Point': '1',
+    ...values
+  };
+}
+
+async function seed() {
+  await sheetsService.connect();
+
+  const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+  await roster.setHeaderRow(['Name full', 'Work time', 'Telegram name', 'Company', 'Telegram user name', 'Telegram Id', 'Do not work in Saturday', 'Role']);
+  await roster.addRows([MONDAY, EXITS, STEADY, NEWBIE, MANAGER].map(e =>
+    [e.nameFull, '09:00-18:00', e.nameFull, e.company, e.username, e.telegramId, 'yes', e.role || '']));
+
+  // Weekdays of March 3-28
+  const rows = [];
+  let workDay = 0;
+  for (let day = moment('2025-03-03'); day.isSameOrBefore('2025-03-28'); day.add(1, 'day')) {
+    if (day.isoWeekday() > 5) continue;
+    const date = day.format('YYYY-MM-DD');
+    workDay++;
+
+    rows.push(historyRow(MONDAY, date, day.isoWeekday() === 1
+      ? { 'When come': '09:40', 'Came on time': 'No', 'Point': '-1' }
+      : {}));
+    rows.push(historyRow(EXITS, date, workDay % 2 === 0
+      ? { 'Temp exit time': '15:00', 'Temp exit reason': 'Дела', 'Temp exit duration': '40' }
+      : {}));
+    rows.push(historyRow(STEADY, date, workDay % 4 === 0
+      ? { 'Temp exit time': '12:30', 'Temp exit reason': 'Обед', 'Temp exit duration': '30' }
+      : {}));
+    if (date >= '2025-03-24') {
+      rows.push(historyRow(NEWBIE, date));
+    }
+  }
+  // Outside the 4 weeks
+  rows.push(historyRow(STEADY, '2025-02-24', { 'When come': '10:00', 'Came on time': 'No' }));
+
+  const history = await historyService._getWorksheet();
+  await history.addRows(rows);
+
+  for (const [yearMonth, values] of Object.entries(MONTHS)) {
+    setNow(`${yearMonth}-15 12:00`);
+    await sheetsService.initializeMonthlyReport(yearMonth);
+    const report = await sheetsService.getWorksheet(`Report_${yearMonth}`);
+    for (const row of await report.getRows()) {
+      const value = values[row.get('Telegram ID')];
+      if (!value) continue;
+      const [workDays, worked, silent, rating] = value;
+      row.set('Total Work Days', workDays);
+      row.set('Days Worked', worked);
+      row.set('Days Absent', silent);
+      row.set('Days Absent (Silent)', silent);
+      row.set('On-Time Rate %', 90);
+      row.set('Rating (0-10)', rating);
+      await row.save();
+    }
+  }
+  setNow('2025-03-30 20:00');
+}
+
+async function testAnalysis() {
+  console.log('\n📈 Analysis\n');
+
+  const analysis = await analyticsService.analyze({ to: TO });
+  const get = employee => analysis.employees.find(e => e.telegramId === employee.telegramId);
+
+  check('Window is the last 4 weeks', analysis.from === '2025-03-03' && analysis.to === TO);
+  check('Monthly reports of the trend', analysis.months.join() === '2025-02,2025-03');
+
+  const monday = analysis.weekdays[0];
+  check('Lateness by weekday', monday.label === 'Пн' && monday.late === 4 && monday.present === 13 && monday.rate === 31,
+    JSON.stringify(monday));
+  check('Other weekdays without lateness', analysis.weekdays.slice(1, 5).every(day => day.late === 0 && day.present > 0));
+
+  const late = get(MONDAY);
+  check('Late every Monday is a pattern', late.patterns.length === 1 && late.patterns[0].type === 'LATE_WEEKDAY' &&
+    late.patterns[0].weekday === 1 && late.patterns[0].count === 4, JSON.stringify(late.patterns));
+  check('Sliding from green to yellow', late.sliding && late.previousZone === 'green' && late.zone === 'yellow' &&
+    late.ratingChange === -2);
+
+  const exits = get(EXITS);
+  check('Temp exits after lunch are a pattern', exits.patterns.length === 1 && exits.patterns[0].type === 'AFTERNOON_EXITS' &&
+    exits.patterns[0].count === 10 && exits.patterns[0].of === 20, JSON.stringify(exits.patterns));
+  check('Staying green is not sliding', !exits.sliding && exits.zone === 'green');
+
+  const steady = get(STEADY);
+  check('Exits before lunch are no pattern', steady.patterns.length === 0 && steady.tempExits === 5);
+  check('Days outside the window are ignored', steady.late === 0 && steady.days === 20);
+
+  const newbie = get(NEWBIE);
+  check('A month under way does not count for zones', newbie.zone === null && !newbie.sliding &&
+    newbie.months.length === 1 && !newbie.months[0].complete);
+
+  // yellow 20 + sliding 20 + 4/20 late × 30 = 6 + 1 unexcused absence 5 + 1 pattern 10
+  check('Risk score', late.risk.score === 61 && late.risk.level === 'high' &&
+    late.risk.reasons.includes('рейтинг снижается'), JSON.stringify(late.risk));
+  check('Low risk without problems', steady.risk.score === 0 && steady.risk.level === 'low');
+  check('Highest risk first', analysis.employees[0].telegramId === MONDAY.telegramId);
+
+  Config.ANALYTICS_PATTERN_MIN_DAYS = 5;
+  const strict = await analyticsService.analyze({ to: TO });
+  check('Patterns need enough days', strict.employees.find(e => e.telegramId === MONDAY.telegramId).patterns.length === 0);
+  Config.ANALYTICS_PATTERN_MIN_DAYS = 3;
+
+  const scoped = await analyticsService.analyze({ to: TO, ids: new Set([NEWBIE.telegramId]) });
+  check('Scope filter', scoped.employees.length === 1 && scoped.weekdays[0].present === 1);
+}
+
+async function testMessages() {
+  console.log('\n💬 Messages\n');
+
+  const analysis = await analyticsService.analyze({ to: TO });
+  const digest = analyticsService.formatDigest(analysis);
+  check('Digest has lateness by weekday', digest.includes('Пн: 31% (4/13)'), digest);
+  check('Digest lists sliding employees', digest.includes('Ухудшение рейтинга: 1') && digest.includes(`${MONDAY.nameFull}: 🟢 9 → 🟡 7`));
+  check('Digest lists patterns', digest.includes('опаздывает по понедельникам (4 из 4)') &&
+    digest.includes('часто уходит после обеда (10 из 20 дн.)'));
+  check('Digest lists the risk group', digest.includes(`🔴 ${MONDAY.nameFull} — 61/100`) && !digest.includes(`${STEADY.nameFull} —`));
+
+  const newbie = analyticsService.formatEmployee(analysis.employees.find(e => e.telegramId === NEWBIE.telegramId));
+  check('Employee view has the monthly ratings', newbie.includes('03.2025: 🔴 3') && newbie.includes('(месяц идёт)'), newbie);
+}
+
+async function testCommands() {
+  console.log('\n⚙️  /analytics\n');
+
+  const denied = await runCommand('/analytics', Number(STEADY.telegramId));
+  check('Employees cannot see analytics', denied[0].includes('нет прав'));
+
+  const digest = await runCommand('/analytics');
+  check('/analytics sends the digest', digest[0].includes('Аналитика посещаемости') && digest[0].includes(MONDAY.nameFull));
+
+  const byUser = await runCommand('/analytics @monday_late');
+  check('/analytics @username shows one employee', byUser[0].startsWith(`📈 ${MONDAY.nameFull}`) &&
+    byUser[0].includes('02.2025') && byUser[0].includes('опаздывает по понедельникам'), byUser[0]);
+
+  const hidden = await runCommand(`/analytics ${MONDAY.telegramId}`, Number(MANAGER.telegramId));
+  check('Managers cannot see other companies', hidden[0].includes('не найден'));
+
+  const own = await runCommand('/analytics', Number(MANAGER.telegramId));
+  check('Managers get their company only', own[0].includes('Сотрудников: 1') && !own[0].includes(MONDAY.nameFull), own[0]);
+}
+
+async function testDigestJob() {
+  console.log('\n📬 Monday digest\n');
+
+  const sent = [];
+  schedulerService.bot = { telegram: { sendMessage: async (chatId, text) => sent.push({ chatId, text }) } };
+
+  setNow('2025-03-31 09:00');
+  const count = await schedulerService.sendAnalyticsDigest();
+  const admin = sent.find(m => m.chatId === 900);
+  const manager = sent.find(m => m.chatId === Number(MANAGER.telegramId));
+  check('Digest goes to admins and managers', count === 2 && admin && manager, JSON.stringify(sent.map(m => m.chatId)));
+  check('Digest covers the weeks up to Sunday', admin && admin.text.includes('03.03.2025 — 30.03.2025'));
+  check('Managers get their employees only', manager && manager.text.includes('Сотрудников: 1') && !manager.text.includes(MONDAY.nameFull));
+}
+
+async function run() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 ANALYTICS TEST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await seed();
+    await testAnalysis();
+    await testMessages();
+    await testCommands();
+    await testDigestJob();
+  } catch (error) {
+    failed++;
+    console.log(`❌ Unexpected error: ${error.stack}`);
+  } finally {
+    await sheetsService.disconnect().catch(() => {});
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbPath + suffix, { force: true });
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
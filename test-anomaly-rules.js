@@ -0,0 +1,180 @@
+/**
+ * Test script to verify anomaly rules: per-rule thresholds, severity and actions,
+ * per-site overrides and dry run
+ * Uses a throwaway SQLite database as storage.
+ * Run with: node test-anomaly-rules.js
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const dbPath = path.join(os.tmpdir(), `attendance-rules-test-${process.pid}.db`);
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = dbPath;
+process.env.STORAGE_MIRROR_TO_SHEETS = 'false';
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.GOOGLE_SHEETS_ID = '';
+process.env.GEOFENCE_RADIUS_METERS = '200';
+process.env.MAX_JUMP_DISTANCE_METERS = '500';
+process.env.ANOMALY_RULES_DRY_RUN = 'false';
+
+const sheetsService = require('./src/services/sheets.service');
+const geofenceService = require('./src/services/geofence.service');
+const anomalyDetectorService = require('./src/services/anomalyDetector.service');
+const anomalyRulesService = require('./src/services/anomalyRules.service');
+const locationTrackerService = require('./src/services/locationTracker.service');
+const trackingStoreService = require('./src/services/trackingStore.service');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+const OFFICE = { latitude: 41.303198, longitude: 69.314425 };
+const BRANCH = { latitude: 41.285, longitude: 69.204 };
+const METER = 1 / 111320; // Degrees of latitude per meter
+
+/**
+ * A point north of a site center
+ */
+function north(center, meters, accuracy = 10, timestamp = Date.now()) {
+  return { latitude: center.latitude + meters * METER, longitude: center.longitude, accuracy, timestamp };
+}
+
+async function seed() {
+  await sheetsService.connect();
+
+  const sites = await geofenceService._getWorksheet();
+  await sites.addRows([
+    { 'Name': 'Office', 'Latitude': OFFICE.latitude.toString(), 'Longitude': OFFICE.longitude.toString() },
+    { 'Name': 'Branch', 'Latitude': BRANCH.latitude.toString(), 'Longitude': BRANCH.longitude.toString() }
+  ]);
+}
+
+async function addRules(rows) {
+  const worksheet = await anomalyRulesService._getWorksheet();
+  await worksheet.addRows(rows);
+  anomalyRulesService.invalidate();
+  await anomalyRulesService.getRules();
+}
+
+async function testDefaults(sites) {
+  console.log('\n📏 Defaults\n');
+
+  await anomalyRulesService.getRules();
+  check('Empty sheet uses MAX_* thresholds', anomalyRulesService.getRule('SUDDEN_JUMP').threshold === 500);
+
+  const start = Date.now();
+  const jump = anomalyDetectorService.detectSuddenJump(north(OFFICE, 0, 10, start), north(OFFICE, 1900, 10, start + 10000), sites);
+  check('Detectors keep their severity', jump && jump.severity === 'HIGH' && jump.action === 'warn' && !jump.dryRun);
+
+  const wrong = anomalyDetectorService.detectWrongLocation(north(OFFICE, 1900), sites);
+  check('CRITICAL anomalies cancel by default', wrong && anomalyRulesService.decide([wrong]).action === 'cancel');
+  check('No anomalies means no action', anomalyRulesService.decide([]).action === 'none');
+}
+
+async function testRules(sites) {
+  console.log('\n⚙️ Rules from the sheet\n');
+
+  await addRules([
+    { 'Rule': 'sudden_jump', 'Threshold': '2500' },
+    { 'Rule': 'LEFT_GEOFENCE', 'Threshold': '50', 'Severity': 'critical', 'Action': 'reverify' },
+    { 'Rule': 'LEFT_GEOFENCE', 'Site': 'branch', 'Threshold': '500', 'Action': 'warn' },
+    { 'Rule': 'LOW_ACCURACY', 'Action': 'ignore' },
+    { 'Rule': 'WRONG_LOCATION', 'Dry run': 'yes' },
+    { 'Rule': 'TELEPORT', 'Action': 'cancel' },
+    { 'Rule': 'IMPOSSIBLE_SPEED', 'Action': 'explode', 'Threshold': 'fast' }
+  ]);
+
+  const start = Date.now();
+  const jump = anomalyDetectorService.detectSuddenJump(north(OFFICE, 0, 10, start), north(OFFICE, 1900, 10, start + 10000), sites);
+  check('Thresholds come from the sheet', jump === null);
+
+  const left = anomalyDetectorService.detectLeftGeofence(north(OFFICE, 280), sites);
+  check('Severity and action come from the sheet', left && left.severity === 'CRITICAL' && left.action === 'reverify' && left.site === 'Office');
+  check('Threshold adds to GPS accuracy', anomalyDetectorService.detectLeftGeofence(north(OFFICE, 250), sites) === null);
+
+  check('Site rows override the general rule', anomalyDetectorService.detectLeftGeofence(north(BRANCH, 600), sites) === null);
+  const branch = anomalyDetectorService.detectLeftGeofence(north(BRANCH, 800), sites);
+  check('Site rows keep unset values of the general rule', branch && branch.action === 'warn' && branch.severity === 'CRITICAL');
+
+  check('Ignored rules report nothing', anomalyDetectorService.detectLowAccuracy(500, north(OFFICE, 0), north(OFFICE, 150, 500), sites) === null);
+
+  const speed = anomalyRulesService.getRule('IMPOSSIBLE_SPEED');
+  check('Invalid rows and values are skipped', speed.threshold === 100 && speed.action === null &&
+    !anomalyRulesService._rows.some(rule => rule.type === 'TELEPORT'));
+}
+
+async function testDryRun(sites) {
+  console.log('\n🧪 Dry run\n');
+
+  const wrong = anomalyDetectorService.detectWrongLocation(north(OFFICE, 1900), sites);
+  const decision = anomalyRulesService.decide([wrong]);
+  check('Dry run only warns', decision.action === 'warn' && decision.plannedAction === 'cancel' && decision.dryRun);
+
+  const left = anomalyDetectorService.detectLeftGeofence(north(OFFICE, 500), sites);
+  const mixed = anomalyRulesService.decide([wrong, left]);
+  check('Rules without dry run still act', mixed.action === 'reverify' && mixed.plannedAction === 'cancel');
+}
+
+async function testTracking(sites) {
+  console.log('\n📍 Tracking\n');
+
+  const office = north(OFFICE, 0);
+  const started = locationTrackerService.startTracking('901', office, 'Rule Worker', sites);
+  check('Check-in at the site has no anomaly', started.success && !started.hasInitialAnomaly);
+
+  let result = locationTrackerService.addLocationUpdate('901', north(OFFICE, 10));
+  check('Updates carry the decision', result.decision && result.decision.action === 'none');
+
+  result = locationTrackerService.addLocationUpdate('901', north(OFFICE, 400));
+  check('Live anomalies are decided by the rules', result.decision.action === 'reverify');
+
+  const stopped = locationTrackerService.stopTracking('901', 'ANOMALY');
+  check('Final analysis has the action', stopped.analysis.action === 'reverify' && stopped.verificationStatus === 'FLAGGED');
+
+  await trackingStoreService.flush();
+  trackingStoreService.invalidate();
+  const saved = await trackingStoreService.getSession(stopped.session.id);
+  check('Saved anomalies keep their action', saved.finalVerdict.anomalies.every(a => a.action === 'reverify'));
+}
+
+async function run() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 ANOMALY RULES TEST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await seed();
+    const sites = await geofenceService.getSites();
+    await testDefaults(sites);
+    await testRules(sites);
+    await testDryRun(sites);
+    await testTracking(sites);
+  } catch (error) {
+    failed++;
+    console.log(`❌ Unexpected error: ${error.stack}`);
+  } finally {
+    await trackingStoreService.flush().catch(() => {});
+    await sheetsService.disconnect().catch(() => {});
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbPath + suffix, { force: true });
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
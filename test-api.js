@@ -0,0 +1,210 @@
+/**
+ * Test script to verify the REST API: token auth, employees, daily attendance,
+ * monthly aggregates, corrections and the /createsheet, /updatereport, /endday operations
+ * Uses a throwaway SQLite database as storage, a fake clock and a local Express server.
+ * Run with: node test-api.js
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const dbPath = path.join(os.tmpdir(), `attendance-api-test-${process.pid}.db`);
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = dbPath;
+process.env.STORAGE_MIRROR_TO_SHEETS = 'false';
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.GOOGLE_SHEETS_ID = '';
+process.env.ADMIN_TELEGRAM_IDS = '900';
+process.env.API_TOKENS = 'hr:hr-secret-token, dashboard-token';
+process.env.NODE_ENV = 'production';
+
+const express = require('express');
+const moment = require('moment-timezone');
+const Config = require('./src/config');
+const sheetsService = require('./src/services/sheets.service');
+const auditService = require('./src/services/audit.service');
+const { setupApiRoutes } = require('./src/api/api.routes');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+// Fake clock: every moment() created by the services uses this time
+function setNow(dateTime) {
+  const fixed = moment.tz(dateTime, 'YYYY-MM-DD HH:mm', Config.TIMEZONE).valueOf();
+  moment.now = () => fixed;
+}
+
+const DAY = '2025-03-12'; // Wednesday
+const ON_TIME = { telegramId: '1301', nameFull: 'On Time Worker' };
+const LATE = { telegramId: '1302', nameFull: 'Late Worker' };
+
+// Telegram API that records what the bot sends
+const sent = [];
+const bot = {
+  telegram: {
+    sendMessage: async (chatId, text) => sent.push({ chatId: chatId.toString(), text })
+  }
+};
+
+let server = null;
+let baseUrl = '';
+
+/**
+ * Call the API
+ * @returns {Object} { status, body }
+ */
+async function api(method, url, { token = 'hr-secret-token', body } = {}) {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (body) headers['Content-Type'] = 'application/json';
+
+  const response = await fetch(baseUrl + url, { method, headers, body: body ? JSON.stringify(body) : undefined });
+  return { status: response.status, body: await response.json() };
+}
+
+async function seed() {
+  await sheetsService.connect();
+
+  const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+  await roster.setHeaderRow(['Name full', 'Work time', 'Telegram name', 'Company', 'Telegram user name', 'Telegram Id', 'Do not work in Saturday', 'Team']);
+  await roster.addRows([
+    [ON_TIME.nameFull, '09:00-18:00', 'OnTime', 'ACME', 'ontime', ON_TIME.telegramId, 'yes', 'Офис'],
+    [LATE.nameFull, '10:00-19:00', 'Late', 'ACME', '', LATE.telegramId, 'no', ''],
+    ['New Hire', '09:00-18:00', 'New', 'ACME', '', '', 'yes', '']
+  ]);
+
+  setNow(`${DAY} 08:00`);
+  await sheetsService.initializeDailySheet(DAY);
+
+  setNow(`${DAY} 08:55`);
+  await sheetsService.logEvent(ON_TIME.telegramId, ON_TIME.nameFull, 'ARRIVAL');
+  setNow(`${DAY} 10:20`);
+  await sheetsService.logEvent(LATE.telegramId, LATE.nameFull, 'ARRIVAL');
+
+  const app = express();
+  setupApiRoutes(app, bot);
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+}
+
+async function testAuth() {
+  console.log('\n🔑 Token auth\n');
+
+  check('Missing token is rejected', (await api('GET', '/employees', { token: null })).status === 401);
+  check('Wrong token is rejected', (await api('GET', '/employees', { token: 'hr-secret-tokem' })).status === 401);
+  check('Named token is accepted', (await api('GET', '/employees')).status === 200);
+  check('Token without a name is accepted', (await api('GET', '/employees', { token: 'dashboard-token' })).status === 200);
+  check('Token names are parsed', Config.API_TOKENS.map(c => c.name).join() === 'hr,api');
+}
+
+async function testRead() {
+  console.log('\n📖 Reading\n');
+
+  const { body: { employees } } = await api('GET', '/employees');
+  check('Every roster employee is listed', employees.length === 3);
+  const onTime = employees.find(e => e.telegramId === ON_TIME.telegramId);
+  check('Employee fields come from the roster', onTime.nameFull === ON_TIME.nameFull && onTime.workTime === '09:00-18:00' &&
+    onTime.team === 'Офис' && onTime.username === 'ontime' && onTime.doNotWorkSaturday === true);
+
+  const day = await api('GET', `/attendance/${DAY}`);
+  check('Day attendance is returned', day.status === 200 && day.body.records.length === 3);
+  const late = day.body.records.find(r => r.telegramId === LATE.telegramId);
+  check('Arrival and lateness are included', late.arrivalTime === '10:20:00' && late.cameOnTime === 'No', JSON.stringify(late));
+  check('Numbers are numbers', typeof late.point === 'number' && typeof late.penaltyMinutes === 'number');
+
+  check('Bad date is rejected', (await api('GET', '/attendance/12.03.2025')).status === 400);
+  check('Missing day is 404', (await api('GET', '/attendance/2025-03-01')).status === 404);
+  check('Missing month is 404', (await api('GET', '/reports/2025-02')).status === 404);
+  check('Bad month is rejected', (await api('GET', '/reports/2025-3')).status === 400);
+}
+
+async function testCorrections() {
+  console.log('\n✏️  Corrections\n');
+
+  const missing = await api('POST', '/corrections', { body: { date: DAY, telegramId: LATE.telegramId } });
+  check('Action is required', missing.status === 400);
+
+  const noReason = await api('POST', '/corrections', { body: { date: DAY, telegramId: LATE.telegramId, action: 'excuse_lateness' } });
+  check('Service errors are returned', noReason.status === 400 && noReason.body.error.includes('причину'));
+
+  const result = await api('POST', '/corrections', {
+    body: { date: DAY, telegramId: LATE.telegramId, action: 'set_arrival', time: '09:58', reason: 'Пропуск на входе' }
+  });
+  check('Correction is applied', result.status === 200 && result.body.changes.some(c => c.field === 'When come' && c.newValue === '09:58:00'),
+    JSON.stringify(result.body));
+
+  const day = await api('GET', `/attendance/${DAY}`);
+  const late = day.body.records.find(r => r.telegramId === LATE.telegramId);
+  check('Attendance shows the correction', late.arrivalTime === '09:58:00' && late.cameOnTime === 'Yes' && late.correctedBy.startsWith('api:hr'));
+
+  const audit = await auditService.getEntries({ date: DAY });
+  check('Audit names the API client', audit.some(entry => entry.changedBy === 'api:hr'), JSON.stringify(audit[0]));
+  check('Employee is notified', sent.some(m => m.chatId === LATE.telegramId && m.text.includes('Пропуск на входе')));
+}
+
+async function testOperations() {
+  console.log('\n⚙️  Operations\n');
+
+  setNow('2025-03-13 07:00');
+  const created = await api('POST', '/operations/createsheet');
+  check('createsheet creates today', created.status === 200 && created.body.date === '2025-03-13' &&
+    !!sheetsService.doc.sheetsByTitle['2025-03-13']);
+
+  setNow(`${DAY} 19:00`);
+  const updated = await api('POST', '/operations/updatereport');
+  check('updatereport fills the month', updated.status === 200 && updated.body.yearMonth === '2025-03' && updated.body.processedDays === 1,
+    JSON.stringify(updated.body));
+
+  const report = await api('GET', '/reports/2025-03');
+  const stats = report.status === 200 && report.body.employees.find(e => e.telegramId === LATE.telegramId);
+  check('Monthly aggregates are returned', stats && stats.daysWorked === 1 && typeof stats.totalPoints === 'number',
+    JSON.stringify(stats));
+
+  const unconfirmed = await api('POST', '/operations/endday');
+  check('endday needs confirmation in production', unconfirmed.status === 400 && !!sheetsService.doc.sheetsByTitle[DAY]);
+
+  const ended = await api('POST', '/operations/endday', { body: { confirm: true } });
+  check('endday archives the day', ended.status === 200 && !sheetsService.doc.sheetsByTitle[DAY]);
+  check('Archived day is no longer readable', (await api('GET', `/attendance/${DAY}`)).status === 404);
+}
+
+async function run() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 REST API TEST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await seed();
+    await testAuth();
+    await testRead();
+    await testCorrections();
+    await testOperations();
+  } catch (error) {
+    failed++;
+    console.log(`❌ Unexpected error: ${error.stack}`);
+  } finally {
+    if (server) server.close();
+    await sheetsService.disconnect().catch(() => {});
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbPath + suffix, { force: true });
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
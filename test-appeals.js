@@ -0,0 +1,284 @@
+/**
+ * Test script to verify penalty appeals and how an approval reverses the penalty
+ * Uses a throwaway SQLite database as storage and a fake clock.
+ * Run with: node test-appeals.js
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const dbPath = path.join(os.tmpdir(), `attendance-appeals-test-${process.pid}.db`);
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = dbPath;
+process.env.STORAGE_MIRROR_TO_SHEETS = 'false';
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.GOOGLE_SHEETS_ID = '';
+
+const moment = require('moment-timezone');
+const Config = require('./src/config');
+const sheetsService = require('./src/services/sheets.service');
+const schedulerService = require('./src/services/scheduler.service');
+const appealService = require('./src/services/appeal.service');
+const correctionService = require('./src/services/correction.service');
+const auditService = require('./src/services/audit.service');
+const historyService = require('./src/services/history.service');
+const payrollService = require('./src/services/payroll.service');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+// Fake clock: every moment() created by the services uses this time
+function setNow(dateTime) {
+  const fixed = moment.tz(dateTime, 'YYYY-MM-DD HH:mm', Config.TIMEZONE).valueOf();
+  moment.now = () => fixed;
+}
+
+async function expectError(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+const DAY = '2025-03-12'; // Wednesday
+const ADMIN = '@admin';
+
+const LATE = { telegramId: '801', nameFull: 'Late Worker' };
+const NO_SHOW = { telegramId: '802', nameFull: 'Missing Worker' };
+const FLAGGED = { telegramId: '803', nameFull: 'Flagged Worker' };
+const PUNCTUAL = { telegramId: '804', nameFull: 'Punctual Worker' };
+const ARCHIVED = { telegramId: '805', nameFull: 'Archived Worker' };
+
+async function getRow(telegramId) {
+  const record = await correctionService.getDayRecord(DAY, telegramId);
+  return record.row;
+}
+
+async function getMonthlyRow(telegramId) {
+  const worksheet = await sheetsService.getWorksheet('Report_2025-03');
+  await worksheet.loadHeaderRow();
+  const rows = await worksheet.getRows();
+  return rows.find(r => (r.get('Telegram ID') || '').toString() === telegramId);
+}
+
+async function seed() {
+  await sheetsService.connect();
+
+  const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+  await roster.setHeaderRow(['Name full', 'Work time', 'Telegram name', 'Company', 'Telegram user name', 'Telegram Id', 'Do not work in Saturday']);
+  await roster.addRows([LATE, NO_SHOW, FLAGGED, PUNCTUAL, ARCHIVED].map(e =>
+    [e.nameFull, '09:00-18:00', e.nameFull.split(' ')[0], 'ACME', '', e.telegramId, 'yes']
+  ));
+
+  setNow(`${DAY} 08:00`);
+  await sheetsService.initializeDailySheet(DAY);
+
+  setNow(`${DAY} 08:55`);
+  await sheetsService.logEvent(PUNCTUAL.telegramId, PUNCTUAL.nameFull, 'ARRIVAL');
+  setNow(`${DAY} 08:58`);
+  await sheetsService.logEvent(FLAGGED.telegramId, FLAGGED.nameFull, 'ARRIVAL');
+  setNow(`${DAY} 09:40`);
+  await sheetsService.logEvent(LATE.telegramId, LATE.nameFull, 'ARRIVAL');
+  await sheetsService.logEvent(ARCHIVED.telegramId, ARCHIVED.nameFull, 'ARRIVAL');
+  setNow(`${DAY} 09:45`);
+  await sheetsService.cancelFraudulentArrival(FLAGGED.telegramId, FLAGGED.nameFull, [{ type: 'SUDDEN_JUMP' }]);
+
+  // Marked as no-show in the evening
+  const row = await getRow(NO_SHOW.telegramId);
+  row.set('Absent', 'Yes');
+  row.set('Why absent', 'No-show (no activity)');
+  row.set('Point', Config.NO_SHOW_PENALTY.toString());
+  await row.save();
+}
+
+async function testSubmit() {
+  console.log('\n📨 Submitting appeals\n');
+  setNow(`${DAY} 12:00`);
+
+  const penalty = appealService.getPenalty(await getRow(LATE.telegramId));
+  check('Silent lateness is a penalty', penalty && penalty.kinds.includes('late') && penalty.point === Config.LATE_SILENT_PENALTY);
+  check('On-time day has no penalty', appealService.getPenalty(await getRow(PUNCTUAL.telegramId)) === null);
+
+  let error = await expectError(appealService.createAppeal(PUNCTUAL, DAY, 'Я пришёл вовремя'));
+  check('Appeal without a penalty is rejected', error && error.message.includes('Штрафа'));
+
+  error = await expectError(appealService.createAppeal(LATE, DAY, '  '));
+  check('A reason is required', error && error.message.includes('почему'));
+
+  const appeal = await appealService.createAppeal(LATE, DAY, 'Авария в метро', { fileId: 'photo-file-id', type: 'photo' });
+  check('Appeal is pending with the day penalty', appeal.status === 'pending' && appeal.point === Config.LATE_SILENT_PENALTY && appeal.penaltyMinutes > 0);
+
+  const stored = await appealService.getAppeal(appeal.id);
+  check('Attachment is stored', stored.attachment === 'photo-file-id' && stored.attachmentType === 'photo');
+
+  error = await expectError(appealService.createAppeal(LATE, DAY, 'Ещё раз'));
+  check('Second appeal for the same day is rejected', error && error.message.includes(`#${appeal.id}`));
+
+  error = await expectError(appealService.createAppeal(LATE, '2025-03-01', 'Старый день'));
+  check('Closed days cannot be appealed', error && error.message.includes('закрыт'));
+}
+
+async function testApproveDaily() {
+  console.log('\n✅ Approval while the daily sheet exists\n');
+  setNow(`${DAY} 13:00`);
+
+  const [appeal] = await appealService.getPendingAppeals();
+  const { appeal: decided, reversal } = await appealService.decide(appeal.id, true, ADMIN, 1);
+  check('Appeal is approved', decided.status === 'approved' && decided.decidedBy === ADMIN);
+  check('Points are restored in the daily row', reversal.target === 'daily' && reversal.restoredPoints === 1 - Config.LATE_SILENT_PENALTY,
+    `got ${reversal.restoredPoints}`);
+
+  const row = await getRow(LATE.telegramId);
+  check('Penalty is waived', row.get('Point') === '1' && row.get('Penalty minutes') === '0' && row.get('Penalty waived') === 'Yes');
+  check('Waived day has no penalty any more', appealService.getPenalty(row) === null);
+
+  const audit = await auditService.getEntries({ date: DAY, telegramId: LATE.telegramId, action: 'waive_penalty' });
+  check('Reversal is audited with the appeal', audit.length > 0 && audit.every(e => e.changedBy === ADMIN && e.reason.startsWith(`Апелляция #${appeal.id}`)));
+
+  const error = await expectError(appealService.decide(appeal.id, true, ADMIN, 1));
+  check('Appeal cannot be decided twice', error && error.message.includes('рассмотрена'));
+
+  // A cancelled arrival is restored with its original time
+  const fraud = await appealService.createAppeal(FLAGGED, DAY, 'Я был в офисе, GPS сбился');
+  check('Fraud cancellation can be appealed', fraud.penalty.includes('fraud'));
+  await appealService.decide(fraud.id, true, ADMIN, 1);
+  const restored = await getRow(FLAGGED.telegramId);
+  check('Approved fraud appeal restores the arrival', restored.get('When come') === '08:58:00' && restored.get('Absent') === '' && restored.get('Point') === '1');
+}
+
+async function testReject() {
+  console.log('\n🙅 Rejection\n');
+
+  const appeal = await appealService.createAppeal(NO_SHOW, DAY, 'Я болел');
+  const { appeal: decided, reversal } = await appealService.decide(appeal.id, false, ADMIN, 1);
+  check('Appeal is rejected without a reversal', decided.status === 'rejected' && reversal === null);
+
+  const row = await getRow(NO_SHOW.telegramId);
+  check('Rejected appeal keeps the penalty', row.get('Point') === Config.NO_SHOW_PENALTY.toString());
+
+  const again = await appealService.createAppeal(NO_SHOW, DAY, 'Есть справка', { fileId: 'doc-file-id', type: 'document' });
+  check('A rejected appeal can be submitted again', again.status === 'pending' && again.attachmentType === 'document');
+
+  const stored = await appealService.getAppeal(again.id);
+  check('Day flags are kept on the appeal', stored.day['Absent'] === 'Yes' && stored.day['When come'] === '' && stored.day['will be late'] === '');
+}
+
+async function testApproveMonthly() {
+  console.log('\n📅 Approval after the day was transferred\n');
+
+  const appeal = await appealService.createAppeal(ARCHIVED, DAY, 'Опоздал из-за поручения руководителя');
+
+  // The day changes after the appeal was sent: an early departure lowers the point again
+  setNow(`${DAY} 16:00`);
+  await sheetsService.logEvent(ARCHIVED.telegramId, ARCHIVED.nameFull, 'DEPARTURE');
+  const departed = await getRow(ARCHIVED.telegramId);
+  const dayPoint = parseFloat(departed.get('Point'));
+  check('Early departure changes the appealed day', departed.get('Left early') === 'Yes' && dayPoint < Config.LATE_SILENT_PENALTY &&
+    appeal.point === Config.LATE_SILENT_PENALTY, `point ${dayPoint}`);
+
+  // End of day: the daily sheet goes to the monthly report and the History, then it is deleted
+  setNow('2025-03-13 00:05');
+  await schedulerService.transferDailyDataToMonthly(DAY);
+  await historyService.archiveDay(DAY);
+  await schedulerService.deleteDailySheet(DAY);
+
+  const before = await getMonthlyRow(ARCHIVED.telegramId);
+  const pointsBefore = parseFloat(before.get('Total Points'));
+  const penaltyBefore = parseInt(before.get('Total Penalty Minutes'));
+  check('Monthly report has the late day', before.get('Late Arrivals (Silent)') === '1' && before.get('Early Departures') === '1' &&
+    pointsBefore === dayPoint && penaltyBefore > 0);
+
+  const { reversal } = await appealService.decide(appeal.id, true, ADMIN, 1);
+  check('Penalty is reversed from the transferred day', reversal.target === 'monthly' && reversal.restoredPoints === 1 - dayPoint,
+    `got ${reversal.restoredPoints}`);
+
+  const after = await getMonthlyRow(ARCHIVED.telegramId);
+  check('Total points include the restored points', parseFloat(after.get('Total Points')) === 1, `got ${after.get('Total Points')}`);
+  check('Penalty minutes are removed', after.get('Total Penalty Minutes') === '0');
+  check('Late arrival counts as on time', after.get('Late Arrivals (Silent)') === '0' && after.get('On Time Arrivals') === '1' && after.get('On-Time Rate %') === '100.0');
+  check('Early departure is no longer counted', after.get('Early Departures') === '0');
+
+  const audit = await auditService.getEntries({ telegramId: ARCHIVED.telegramId, action: 'appeal_monthly' });
+  check('Monthly reversal is audited', audit.some(e => e.field === 'Total Points' && e.changedBy === ADMIN));
+
+  const stored = await appealService.getAppeal(appeal.id);
+  check('Restored points are stored on the appeal', stored.restoredPoints === (1 - dayPoint).toString());
+
+  const history = await historyService.getDayValues(DAY, ARCHIVED.telegramId);
+  check('History row of the day is updated', history['Point'] === '1' && history['Came on time'] === 'Yes' &&
+    history['Penalty minutes'] === '0' && history['Penalty waived'] === 'Yes');
+}
+
+async function testApproveMonthlyAbsence() {
+  console.log('\n🚫 Absence appeal after the day was transferred\n');
+
+  const rates = await payrollService._getWorksheet();
+  await rates.addRows([[NO_SHOW.telegramId, NO_SHOW.nameFull, 'monthly', '2000000', '', '', '']]);
+  const payslip = async () => (await payrollService.getPayroll('2025-03')).payslips.find(p => p.telegramId === NO_SHOW.telegramId);
+  const stats = async () => (await sheetsService.getMonthlyReport('2025-03')).find(r => r.telegramId === NO_SHOW.telegramId);
+
+  const before = await stats();
+  const payBefore = await payslip();
+  check('Silent absence is deducted', before.daysAbsent === 1 && before.daysAbsentSilent === 1 &&
+    payBefore.unexcusedAbsences === 1 && payBefore.absenceDeduction > 0);
+
+  const appeal = (await appealService.getPendingAppeals()).find(a => a.telegramId === NO_SHOW.telegramId);
+  const { reversal } = await appealService.decide(appeal.id, true, ADMIN, 1);
+  check('Absence penalty is reversed in the monthly report', reversal.target === 'monthly' && reversal.restoredPoints === -Config.NO_SHOW_PENALTY,
+    `got ${reversal.restoredPoints}`);
+
+  const after = await stats();
+  check('Absence is no longer counted', after.daysAbsent === 0 && after.daysAbsentSilent === 0 && after.daysWorked === 0,
+    JSON.stringify({ daysAbsent: after.daysAbsent, daysAbsentSilent: after.daysAbsentSilent }));
+  check('Points of the absence are restored', Math.abs(after.totalPoints - (before.totalPoints - Config.NO_SHOW_PENALTY)) < 0.001);
+
+  const payAfter = await payslip();
+  check('Payslip no longer deducts the absence', payAfter.unexcusedAbsences === 0 && payAfter.absenceDeduction === 0 &&
+    payAfter.netPay > payBefore.netPay);
+
+  const history = await historyService.getDayValues(DAY, NO_SHOW.telegramId);
+  check('History row keeps the waived absence', history['Point'] === '0' && history['Penalty waived'] === 'Yes');
+}
+
+async function run() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 PENALTY APPEAL TEST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await seed();
+    await testSubmit();
+    await testApproveDaily();
+    await testReject();
+    await testApproveMonthly();
+    await testApproveMonthlyAbsence();
+  } catch (error) {
+    failed++;
+    console.log(`❌ Unexpected error: ${error.stack}`);
+  } finally {
+    await sheetsService.disconnect().catch(() => {});
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbPath + suffix, { force: true });
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
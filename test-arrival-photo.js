@@ -0,0 +1,335 @@
+/**
+ * Test script to verify arrival photos: sites that need a photo, storing the photo with its
+ * time, the /review queue and the approve/flag decisions that set the verification status,
+ * and check-ins outside every site that a warn rule lets through
+ * Uses a throwaway SQLite database as storage and a fake clock for the daily sheet.
+ * Run with: node test-arrival-photo.js
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const dbPath = path.join(os.tmpdir(), `attendance-photo-test-${process.pid}.db`);
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = dbPath;
+process.env.STORAGE_MIRROR_TO_SHEETS = 'false';
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.GOOGLE_SHEETS_ID = '';
+process.env.ADMIN_TELEGRAM_IDS = '900';
+process.env.ARRIVAL_PHOTO_TIMEOUT_MINUTES = '10';
+process.env.ANOMALY_RULES_DRY_RUN = 'false';
+
+const moment = require('moment-timezone');
+const Config = require('./src/config');
+const sheetsService = require('./src/services/sheets.service');
+const correctionService = require('./src/services/correction.service');
+const geofenceService = require('./src/services/geofence.service');
+const trackingStoreService = require('./src/services/trackingStore.service');
+const anomalyRulesService = require('./src/services/anomalyRules.service');
+const locationTrackerService = require('./src/services/locationTracker.service');
+const { processArrivalWithLocation } = require('./src/bot/handlers/attendance.handler');
+const {
+  setupArrivalPhotoHandlers,
+  requestArrivalPhoto,
+  restorePendingPhotoRequests
+} = require('./src/bot/handlers/arrivalPhoto.handler');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+// Fake clock: every moment() created by the services uses this time
+function setNow(dateTime) {
+  const fixed = moment.tz(dateTime, 'YYYY-MM-DD HH:mm', Config.TIMEZONE).valueOf();
+  moment.now = () => fixed;
+}
+
+const DAY = '2025-03-12'; // Wednesday
+const SITE_POINT = { latitude: 41.2301, longitude: 69.2101 };
+
+const SENDER = { telegramId: '1201', nameFull: 'Photo Sender' };
+const FLAGGED = { telegramId: '1202', nameFull: 'Flagged Worker' };
+const FORGETFUL = { telegramId: '1203', nameFull: 'Forgetful Worker' };
+const OUTSIDER = { telegramId: '1204', nameFull: 'Outside Worker' };
+const EMPLOYEES = [SENDER, FLAGGED, FORGETFUL];
+
+// Telegram API that records what the bot sends
+const sent = [];
+const telegram = {
+  sendMessage: async (chatId, text) => sent.push({ chatId: chatId.toString(), text })
+};
+
+// Bot that only collects the handlers
+const handlers = { on: {}, commands: {}, actions: [] };
+const bot = {
+  telegram,
+  on: (event, handler) => { handlers.on[event] = handler; },
+  command: (name, handler) => { handlers.commands[name] = handler; },
+  action: (pattern, handler) => handlers.actions.push({ pattern, handler })
+};
+
+/**
+ * Employee sends a photo
+ */
+async function sendPhoto(telegramId, fileId) {
+  const replies = [];
+  let nextCalled = false;
+  const ctx = {
+    from: { id: parseInt(telegramId) },
+    message: { photo: [{ file_id: `${fileId}-small` }, { file_id: fileId }] },
+    telegram,
+    reply: async (text) => replies.push(text)
+  };
+  await handlers.on.photo(ctx, async () => { nextCalled = true; });
+  return { replies, nextCalled };
+}
+
+/**
+ * Staff member runs /review
+ * @returns {Array} Cards { photo, text, keyboard }
+ */
+async function review(fromId, text = '/review') {
+  const cards = [];
+  const ctx = {
+    from: { id: parseInt(fromId) },
+    message: { text },
+    reply: async (message, extra) => cards.push({ text: message, keyboard: extra && extra.reply_markup }),
+    replyWithPhoto: async (photo, extra) => cards.push({ photo, text: extra.caption, keyboard: extra.reply_markup })
+  };
+  await handlers.commands.review(ctx);
+  return cards;
+}
+
+/**
+ * Press an inline button as a staff member
+ */
+async function press(data, fromId = 900) {
+  const answers = [];
+  const edits = [];
+  const ctx = {
+    from: { id: fromId, username: 'boss' },
+    telegram,
+    answerCbQuery: async (text) => answers.push(text),
+    editMessageCaption: async (text) => edits.push(text),
+    editMessageText: async (text) => edits.push(text),
+    editMessageReplyMarkup: async () => {}
+  };
+  for (const { pattern, handler } of handlers.actions) {
+    ctx.match = data.match(pattern);
+    if (ctx.match) await handler(ctx);
+  }
+  return { answers, edits };
+}
+
+async function getRow(telegramId) {
+  const record = await correctionService.getDayRecord(DAY, telegramId);
+  return record.row;
+}
+
+async function seed() {
+  await sheetsService.connect();
+
+  const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+  await roster.setHeaderRow(['Name full', 'Work time', 'Telegram name', 'Company', 'Telegram user name', 'Telegram Id', 'Do not work in Saturday']);
+  await roster.addRows([...EMPLOYEES, OUTSIDER].map(e =>
+    [e.nameFull, '09:00-18:00', e.nameFull.split(' ')[0], 'ACME', '', e.telegramId, 'yes']
+  ));
+
+  const sites = await geofenceService._getWorksheet();
+  await sites.addRows([
+    { 'Name': 'Офис', 'Latitude': '41.303198', 'Longitude': '69.314425' },
+    { 'Name': 'Объект', 'Latitude': `${SITE_POINT.latitude}`, 'Longitude': `${SITE_POINT.longitude}`, 'Photo': 'Yes' }
+  ]);
+
+  setNow(`${DAY} 08:00`);
+  await sheetsService.initializeDailySheet(DAY);
+
+  setNow(`${DAY} 08:55`);
+  for (const employee of EMPLOYEES) {
+    await sheetsService.logEvent(employee.telegramId, employee.nameFull, 'ARRIVAL');
+    await sheetsService.updateArrivalLocation(employee.telegramId, SITE_POINT, 12, 'Объект');
+    await sheetsService.updateLocationVerification(employee.telegramId, 'OK', []);
+  }
+
+  setupArrivalPhotoHandlers(bot);
+}
+
+async function testSites() {
+  console.log('\n🗺  Sites that need a photo\n');
+
+  const sites = await geofenceService.getSites();
+  check('"Photo" = yes needs a photo', sites.find(site => site.name === 'Объект').photo === true);
+  check('Empty Photo needs none', sites.find(site => site.name === 'Офис').photo === false);
+  check('Default office needs none', geofenceService.getDefaultSite().photo === false);
+}
+
+async function testPhoto() {
+  console.log('\n📸 Sending the photo\n');
+
+  const site = (await geofenceService.getSites()).find(s => s.name === 'Объект');
+  for (const employee of EMPLOYEES) {
+    await requestArrivalPhoto(telegram, employee, site);
+  }
+  check('Employee is asked for a photo', sent.some(m => m.chatId === SENDER.telegramId && m.text.includes('10 минут')));
+  check('Request is saved for a restart', (await trackingStoreService.getPendingRequests(['photo'])).length === 3);
+
+  const stranger = await sendPhoto('999999', 'stranger-photo');
+  check('Other photos go to the next handler', stranger.nextCalled && stranger.replies.length === 0);
+
+  setNow(`${DAY} 08:57`);
+  const result = await sendPhoto(SENDER.telegramId, 'sender-photo');
+  check('Photo is accepted', !result.nextCalled && result.replies[0].includes('Фото получено'));
+
+  const row = await getRow(SENDER.telegramId);
+  check('Largest photo is stored', row.get('Arrival Photo') === 'sender-photo');
+  check('Photo time is stored', row.get('Arrival Photo Time') === '08:57:00', row.get('Arrival Photo Time'));
+  check('Photo is logged', (row.get('Arrival Verification Log') || '').includes('Фото прихода получено'));
+
+  await sendPhoto(FLAGGED.telegramId, 'flagged-photo');
+  const pending = await trackingStoreService.getPendingRequests(['photo']);
+  check('Only the missing photo is still pending', pending.length === 1 && pending[0].telegramId === FORGETFUL.telegramId);
+
+  const again = await sendPhoto(SENDER.telegramId, 'second-photo');
+  check('Later photos are not taken as arrival photos', again.nextCalled);
+}
+
+async function testMissingPhoto() {
+  console.log('\n⏰ Missing photo\n');
+
+  // The bot restarts after the time to send the photo is over
+  const [request] = await trackingStoreService.getPendingRequests(['photo']);
+  await trackingStoreService.savePendingRequest('photo', FORGETFUL.telegramId, {
+    ...request.state,
+    requestTime: Date.now() - 11 * 60 * 1000
+  });
+
+  const result = await restorePendingPhotoRequests(bot);
+  check('Expired request is not resumed', result.expired === 1 && result.resumed === 0);
+
+  const row = await getRow(FORGETFUL.telegramId);
+  check('Arrival is marked NO PHOTO', row.get('Arrival Photo Review') === 'NO PHOTO');
+  check('Arrival is kept', row.get('When come') !== '' && row.get('Arrival Verification Status') === 'OK');
+  check('Missing photo is logged', (row.get('Arrival Verification Log') || '').includes('не отправлено'));
+  check('Nothing is pending', (await trackingStoreService.getPendingRequests(['photo'])).length === 0);
+}
+
+async function testQueue() {
+  console.log('\n📋 Review queue\n');
+
+  const denied = await review(SENDER.telegramId);
+  check('Only staff see the queue', denied[0].text.includes('нет прав'));
+
+  const cards = (await review('900')).slice(1);
+  check('Every arrival waits for review', cards.length === 3, `${cards.length}`);
+
+  const card = cards.find(c => c.photo === 'sender-photo');
+  check('Photo is shown with the details', card && card.text.includes('Photo Sender') &&
+    card.text.includes('08:57:00') && card.text.includes('Объект'));
+  check('Location link is next to the photo', card && card.text.includes(`openstreetmap.org/?mlat=${SITE_POINT.latitude}`));
+
+  const buttons = card.keyboard.inline_keyboard[0].map(button => button.callback_data);
+  check('Card has approve and flag buttons', buttons.join() === `photo_ok:${DAY}:${SENDER.telegramId},photo_flag:${DAY}:${SENDER.telegramId}`);
+
+  const noPhoto = cards.find(c => c.text.includes('Forgetful Worker'));
+  check('Missing photo is shown as text', noPhoto && !noPhoto.photo && noPhoto.text.includes('Фото не отправлено'));
+}
+
+async function testDecisions() {
+  console.log('\n⚖️  Decisions\n');
+
+  const denied = await press(`photo_ok:${DAY}:${SENDER.telegramId}`, parseInt(FLAGGED.telegramId));
+  check('Only staff decide', denied.answers[0].includes('нет прав'));
+
+  const approve = await press(`photo_ok:${DAY}:${SENDER.telegramId}`);
+  let row = await getRow(SENDER.telegramId);
+  check('Approve keeps the status OK', row.get('Arrival Verification Status') === 'OK');
+  check('Decision is saved', row.get('Arrival Photo Review') === 'APPROVED @boss');
+  check('Card shows the decision', approve.edits[0].includes('ПОДТВЕРЖДЕНО'));
+
+  const twice = await press(`photo_flag:${DAY}:${SENDER.telegramId}`);
+  check('Decided arrivals are not changed', twice.answers[0].includes('уже принято') &&
+    (await getRow(SENDER.telegramId)).get('Arrival Verification Status') === 'OK');
+
+  await press(`photo_flag:${DAY}:${FLAGGED.telegramId}`);
+  row = await getRow(FLAGGED.telegramId);
+  check('Flag sets FLAGGED', row.get('Arrival Verification Status') === 'FLAGGED');
+  check('Flag adds the PHOTO_FLAGGED anomaly', row.get('Arrival Anomalies') === 'PHOTO_FLAGGED');
+  check('Flagged employee is notified', sent.some(m => m.chatId === FLAGGED.telegramId && m.text.includes('сомнительный')));
+
+  const closed = await press(`photo_ok:2025-03-11:${FORGETFUL.telegramId}`);
+  check('Closed days are refused', closed.answers[0].includes('/correct'));
+
+  const left = (await review('900')).slice(1);
+  check('Decided arrivals leave the queue', left.length === 1 && left[0].text.includes('Forgetful Worker'));
+  check('/review all shows every arrival', (await review('900', '/review all')).length === 4);
+}
+
+async function testOutsideSite() {
+  console.log('\n🚧 Check-in outside every site\n');
+
+  // A warn rule lets the check-in through; the photo site is only the nearest one
+  const rules = await anomalyRulesService._getWorksheet();
+  await rules.addRows([{ 'Rule': 'WRONG_LOCATION', 'Action': 'warn' }]);
+  anomalyRulesService.invalidate();
+
+  setNow(`${DAY} 08:58`);
+  const sentBefore = sent.length;
+  const replies = [];
+  const ctx = {
+    from: { id: parseInt(OUTSIDER.telegramId) },
+    telegram,
+    reply: async (text) => replies.push(text)
+  };
+  const user = await sheetsService.findEmployeeByTelegramId(OUTSIDER.telegramId);
+  const location = { latitude: SITE_POINT.latitude + 0.02, longitude: SITE_POINT.longitude, horizontal_accuracy: 10 };
+  await processArrivalWithLocation(ctx, user, location);
+  locationTrackerService.forceStopTracking(OUTSIDER.telegramId);
+
+  const row = await getRow(OUTSIDER.telegramId);
+  check('Arrival goes through', row.get('When come') !== '', replies.join(' | '));
+  check('Location is stored', (row.get('Arrival Location') || '') !== '');
+  check('No site is recorded', !row.get('Arrival Site'), row.get('Arrival Site'));
+  check('No photo is requested', !sent.slice(sentBefore).some(m => m.chatId === OUTSIDER.telegramId) &&
+    !(await trackingStoreService.getPendingRequests(['photo'])).some(r => r.telegramId === OUTSIDER.telegramId));
+}
+
+async function run() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 ARRIVAL PHOTO TEST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await seed();
+    await testSites();
+    await testPhoto();
+    await testMissingPhoto();
+    await testQueue();
+    await testDecisions();
+    await testOutsideSite();
+  } catch (error) {
+    failed++;
+    console.log(`❌ Unexpected error: ${error.stack}`);
+  } finally {
+    await sheetsService.disconnect().catch(() => {});
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbPath + suffix, { force: true });
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
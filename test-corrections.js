@@ -0,0 +1,263 @@
+/**
+ * Test script to verify admin corrections of attendance records and the audit trail,
+ * including days already transferred to the monthly report
+ * Uses a throwaway SQLite database as storage and a fake clock.
+ * Run with: node test-corrections.js
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const dbPath = path.join(os.tmpdir(), `attendance-corrections-test-${process.pid}.db`);
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = dbPath;
+process.env.STORAGE_MIRROR_TO_SHEETS = 'false';
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.GOOGLE_SHEETS_ID = '';
+
+const moment = require('moment-timezone');
+const Config = require('./src/config');
+const sheetsService = require('./src/services/sheets.service');
+const correctionService = require('./src/services/correction.service');
+const auditService = require('./src/services/audit.service');
+const historyService = require('./src/services/history.service');
+const schedulerService = require('./src/services/scheduler.service');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+// Fake clock: every moment() created by the services uses this time
+function setNow(dateTime) {
+  const fixed = moment.tz(dateTime, 'YYYY-MM-DD HH:mm', Config.TIMEZONE).valueOf();
+  moment.now = () => fixed;
+}
+
+async function expectError(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+const DAY = '2025-03-12'; // Wednesday
+const ARCHIVED_DAY = '2025-03-13';
+const ADMIN = { changedBy: '@admin', changedById: 1 };
+
+async function getRow(telegramId) {
+  const record = await correctionService.getDayRecord(DAY, telegramId);
+  return record.row;
+}
+
+function correct(telegramId, action, time, reason = 'Проверка') {
+  return correctionService.applyCorrection({ date: DAY, telegramId, action, time, reason, ...ADMIN });
+}
+
+async function seed() {
+  await sheetsService.connect();
+
+  const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+  await roster.setHeaderRow(['Name full', 'Work time', 'Telegram name', 'Company', 'Telegram user name', 'Telegram Id', 'Do not work in Saturday']);
+  await roster.addRows([
+    ['Late Worker', '09:00-18:00', 'Late', 'ACME', 'late', '701', 'yes'],
+    ['Forgetful Worker', '09:00-18:00', 'Forgetful', 'ACME', 'forgetful', '702', 'yes'],
+    ['Flagged Worker', '09:00-18:00', 'Flagged', 'ACME', 'flagged', '703', 'yes']
+  ]);
+
+  setNow(`${DAY} 08:00`);
+  await sheetsService.initializeDailySheet(DAY);
+}
+
+async function testLatenessAndDeparture() {
+  console.log('\n🕐 Lateness and departure\n');
+
+  setNow(`${DAY} 09:40`);
+  await sheetsService.logEvent(701, 'Late Worker', 'ARRIVAL');
+  let row = await getRow(701);
+  check('Silent lateness is penalized', row.get('Point') === Config.LATE_SILENT_PENALTY.toString() && row.get('Penalty minutes') !== '0');
+
+  setNow(`${DAY} 12:00`);
+  const excused = await correct(701, 'excuse_lateness', null, 'Пробка после аварии');
+  row = excused.row;
+  check('Excused lateness gives the full point', row.get('Point') === '1' && row.get('Came on time') === 'Yes');
+  check('Excused lateness removes penalty time', row.get('Penalty minutes') === '0' && row.get('Required end time') === '');
+  check('Changed fields are returned', excused.changes.some(c => c.field === 'Point' && c.oldValue === Config.LATE_SILENT_PENALTY.toString() && c.newValue === '1'));
+  check('Correction author is stored on the row', row.get('Corrected by').startsWith('@admin'));
+
+  const error = await expectError(correct(701, 'excuse_lateness'));
+  check('Excusing twice is rejected', error && error.message === 'Опоздания нет');
+
+  row = (await correct(701, 'set_departure', '17:30')).row;
+  check('Early departure recalculates hours and penalty', row.get('Left early') === 'Yes' && row.get('Hours worked') === '7.83' && row.get('Point') === '0.5',
+    `got ${row.get('Left early')} / ${row.get('Hours worked')} / ${row.get('Point')}`);
+  check('Early departure is a deficit', row.get('Day Balance Type') === 'DEFICIT' && row.get('Balance Minutes') === '-30');
+
+  row = (await correct(701, 'set_departure', '19:00')).row;
+  check('Overtime is credited without penalty time', row.get('Left early') === 'No' && row.get('Day Balance Type') === 'SURPLUS' && row.get('Balance Minutes') === '60');
+
+  row = (await correct(701, 'clear_departure')).row;
+  check('Clearing the departure resets departure columns', row.get('Leave time') === '' && row.get('Hours worked') === '' && row.get('Day Balance Type') === '' && row.get('Point') === '1');
+}
+
+async function testForgottenArrival() {
+  console.log('\n✅ Forgotten arrival\n');
+
+  // Marked as no-show in the evening
+  const row = await getRow(702);
+  row.set('Absent', 'Yes');
+  row.set('Why absent', 'No-show (no activity)');
+  row.set('Point', Config.NO_SHOW_PENALTY.toString());
+  await row.save();
+
+  let error = await expectError(correct(702, 'set_arrival', '08:55', '   '));
+  check('A reason is required', error && error.message.includes('причину'));
+
+  error = await expectError(correct(702, 'set_arrival', '25:00'));
+  check('Invalid times are rejected', error && error.message.includes('формат'));
+
+  const result = await correct(702, 'set_arrival', '8:55', 'Забыл нажать «Пришёл», подтвердил руководитель');
+  check('Arrival replaces the no-show', result.row.get('Absent') === '' && result.row.get('When come') === '08:55:00' && result.row.get('Point') === '1');
+
+  error = await expectError(correct(702, 'set_departure', '08:00'));
+  check('Departure before arrival is rejected', error && error.message.includes('раньше'));
+
+  await correct(702, 'clear_arrival', null, 'Ошибочная отметка');
+  const cleared = await getRow(702);
+  check('Clearing the arrival clears derived columns', cleared.get('When come') === '' && cleared.get('Came on time') === '' && cleared.get('Point') === '');
+
+  error = await expectError(correctionService.applyCorrection({ date: '2025-03-01', telegramId: 702, action: 'clear_arrival', reason: 'x' }));
+  check('Days without a record are rejected', error && error.message.includes('не найден'));
+}
+
+async function testRestoreFraud() {
+  console.log('\n♻️  Restoring a cancelled arrival\n');
+
+  setNow(`${DAY} 08:58`);
+  await sheetsService.logEvent(703, 'Flagged Worker', 'ARRIVAL');
+  setNow(`${DAY} 09:10`);
+  await sheetsService.cancelFraudulentArrival(703, 'Flagged Worker', [{ type: 'SUDDEN_JUMP' }]);
+
+  let row = await getRow(703);
+  check('Fraud cancellation is recognised', correctionService.isCancelledArrival(row) && row.get('Point') === '-2.0');
+  check('Cancelled arrival time is audited', await correctionService.getCancelledArrivalTime(DAY, 703) === '08:58:00');
+
+  row = (await correct(703, 'restore_arrival', null, 'Сбой GPS внутри здания')).row;
+  check('Restored arrival uses the original time', row.get('When come') === '08:58:00' && row.get('Absent') === '' && row.get('Point') === '1');
+  check('Verification status shows the restore', row.get('Arrival Verification Status') === 'RESTORED');
+}
+
+async function testArchivedDay() {
+  console.log('\n🗄  Day already in the monthly report\n');
+
+  setNow(`${ARCHIVED_DAY} 08:00`);
+  await sheetsService.initializeDailySheet(ARCHIVED_DAY);
+  const late = (await correctionService.getDayRecord(ARCHIVED_DAY, 701)).row;
+  late.set('When come', '09:40:00');
+  await correctionService.recalculateRow(late, ARCHIVED_DAY);
+  await late.save();
+  const { row } = await correctionService.getDayRecord(ARCHIVED_DAY, 702);
+  row.set('Absent', 'Yes');
+  row.set('Why absent', 'No-show (no activity)');
+  row.set('Point', Config.NO_SHOW_PENALTY.toString());
+  await row.save();
+
+  // End of day: totals to Report_2025-03, rows to History, daily sheet deleted
+  setNow('2025-03-14 08:00');
+  await schedulerService.transferDailyDataToMonthly(ARCHIVED_DAY);
+  await historyService.archiveDay(ARCHIVED_DAY);
+  await schedulerService.deleteDailySheet(ARCHIVED_DAY);
+
+  const monthly = async telegramId => (await sheetsService.getMonthlyReport('2025-03')).find(r => r.telegramId === telegramId.toString());
+  const before = await monthly(702);
+  check('No-show is in the monthly report', before.daysAbsent === 1 && before.daysAbsentSilent === 1 && before.daysWorked === 0);
+
+  check('Archived days are offered', correctionService.getCorrectableDates().includes('2025-03-13'));
+  const found = await correctionService.findEmployees(ARCHIVED_DAY, 'forgetful');
+  check('Employees are found in the history', found.length === 1 && found[0].telegramId === '702');
+
+  const arrival = await correctionService.applyCorrection({
+    date: ARCHIVED_DAY, telegramId: 702, action: 'set_arrival', time: '08:50', reason: 'Забыл нажать «Пришёл»', ...ADMIN
+  });
+  check('Archived day is recalculated', arrival.row.get('When come') === '08:50:00' && arrival.row.get('Point') === '1' && arrival.row.get('Absent') === '');
+
+  const history = await historyService.getDayValues(ARCHIVED_DAY, 702);
+  check('History row is updated', history['When come'] === '08:50:00' && history['Point'] === '1' && history['Absent'] === '');
+
+  let after = await monthly(702);
+  check('Absence is replaced by an arrival in the monthly report', after.daysAbsent === 0 && after.daysAbsentSilent === 0 &&
+    after.daysWorked === 1 && after.onTimeArrivals === 1, JSON.stringify(after));
+  check('Monthly points get the difference', Math.abs(after.totalPoints - (before.totalPoints + 1 - Config.NO_SHOW_PENALTY)) < 0.001);
+
+  await correctionService.applyCorrection({ date: ARCHIVED_DAY, telegramId: 702, action: 'set_departure', time: '18:00', reason: 'Ушёл вовремя', ...ADMIN });
+  after = await monthly(702);
+  const hours = parseFloat((await historyService.getDayValues(ARCHIVED_DAY, 702))['Hours worked']);
+  check('Hours worked reach the monthly report', hours > 9 && Math.abs(after.totalHoursWorked - hours) < 0.01, `${hours} / ${after.totalHoursWorked}`);
+
+  const lateBefore = await monthly(701);
+  await correctionService.applyCorrection({ date: ARCHIVED_DAY, telegramId: 701, action: 'excuse_lateness', reason: 'Пробка', ...ADMIN });
+  const lateAfter = await monthly(701);
+  check('Excused lateness moves to on-time arrivals', lateBefore.lateArrivalsSilent === 1 && lateAfter.lateArrivalsSilent === 0 &&
+    lateAfter.onTimeArrivals === lateBefore.onTimeArrivals + 1);
+
+  const entries = await auditService.getEntries({ date: ARCHIVED_DAY, action: 'set_arrival' });
+  check('Archived corrections are audited with the monthly changes', entries.some(e => e.field === 'When come' && e.reason.includes('Пришёл')) &&
+    entries.some(e => e.field === 'Days Absent (Silent)' && e.oldValue === '1' && e.newValue === '0'));
+}
+
+async function testAuditTrail() {
+  console.log('\n📜 Audit trail\n');
+
+  const entries = await auditService.getEntries({ date: DAY });
+  const system = entries.filter(e => e.action === 'fraud_cancel');
+  check('System changes are audited', system.length > 0 && system.every(e => e.changedBy === 'system'));
+
+  const excuse = entries.filter(e => e.action === 'excuse_lateness' && e.telegramId === '701');
+  check('Admin changes keep who, old value and reason',
+    excuse.length > 0 && excuse.every(e => e.changedBy === '@admin' && e.changedById === '1' && e.reason === 'Пробка после аварии'));
+
+  const point = excuse.find(e => e.field === 'Point');
+  check('Old and new values are recorded', point && point.oldValue === Config.LATE_SILENT_PENALTY.toString() && point.newValue === '1');
+  check('Entries are newest first', entries[0].action === 'restore_arrival');
+}
+
+async function run() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 ATTENDANCE CORRECTION TEST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await seed();
+    await testLatenessAndDeparture();
+    await testForgottenArrival();
+    await testRestoreFraud();
+    await testAuditTrail();
+    await testArchivedDay();
+  } catch (error) {
+    failed++;
+    console.log(`❌ Unexpected error: ${error.stack}`);
+  } finally {
+    await sheetsService.disconnect().catch(() => {});
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbPath + suffix, { force: true });
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
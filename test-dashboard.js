@@ -0,0 +1,256 @@
+/**
+ * Test script to verify the web dashboard: signed one-time login links, the session cookie,
+ * role checks, scoping and the in-office / late / absent / out / fraud / monthly data
+ * Uses a throwaway SQLite database as storage, a fake clock and a local Express server.
+ * Run with: node test-dashboard.js
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const dbPath = path.join(os.tmpdir(), `attendance-dashboard-test-${process.pid}.db`);
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = dbPath;
+process.env.STORAGE_MIRROR_TO_SHEETS = 'false';
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.GOOGLE_SHEETS_ID = '';
+process.env.ADMIN_TELEGRAM_IDS = '900';
+process.env.PUBLIC_URL = 'https://attendance.example.com';
+process.env.DASHBOARD_LINK_MINUTES = '10';
+
+const express = require('express');
+const moment = require('moment-timezone');
+const Config = require('./src/config');
+const sheetsService = require('./src/services/sheets.service');
+const roleService = require('./src/services/role.service');
+const dashboardService = require('./src/services/dashboard.service');
+const { setupDashboardRoutes } = require('./src/api/dashboard.routes');
+const { setupDashboardHandlers } = require('./src/bot/handlers/dashboard.handler');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+// Fake clock: every moment() created by the services uses this time
+let fakeNow = Date.now();
+const realDateNow = Date.now;
+function setNow(dateTime) {
+  fakeNow = moment.tz(dateTime, 'YYYY-MM-DD HH:mm', Config.TIMEZONE).valueOf();
+  moment.now = () => fakeNow;
+  Date.now = () => fakeNow;
+}
+
+const DAY = '2025-03-12'; // Wednesday
+const SUPER = { id: 900, first_name: 'Boss', username: 'boss' };
+const LEAD = { id: 950, first_name: 'Lead' };
+const WORKER_USER = { id: 1501, first_name: 'In' };
+const STAFF = {
+  inOffice: { telegramId: '1501', nameFull: 'In Office <b>' },
+  late: { telegramId: '1502', nameFull: 'Late Worker' },
+  out: { telegramId: '1503', nameFull: 'Out Worker' },
+  absent: { telegramId: '1504', nameFull: 'Absent Worker' },
+  waiting: { telegramId: '1505', nameFull: 'Waiting Worker' },
+  flagged: { telegramId: '1506', nameFull: 'Flagged Worker' }
+};
+
+let server = null;
+let baseUrl = '';
+
+/**
+ * Open a dashboard URL
+ * @returns {Object} { status, text, cookie, location }
+ */
+async function open(url, cookie = '') {
+  const response = await fetch(url.replace(Config.PUBLIC_URL, baseUrl), {
+    headers: cookie ? { Cookie: cookie } : {},
+    redirect: 'manual'
+  });
+  const setCookie = response.headers.get('set-cookie') || '';
+  return {
+    status: response.status,
+    text: await response.text(),
+    cookie: setCookie.split(';')[0],
+    setCookie,
+    location: response.headers.get('location')
+  };
+}
+
+async function login(user) {
+  return open(dashboardService.createLoginLink(user));
+}
+
+async function seed() {
+  await sheetsService.connect();
+
+  const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+  await roster.setHeaderRow(['Name full', 'Work time', 'Telegram name', 'Company', 'Telegram user name', 'Telegram Id', 'Do not work in Saturday', 'Team', 'Role']);
+  await roster.addRows([
+    [STAFF.inOffice.nameFull, '09:00-18:00', 'In', 'ACME', '', STAFF.inOffice.telegramId, 'yes', 'Офис', ''],
+    [STAFF.late.nameFull, '09:00-18:00', 'Late', 'ACME', '', STAFF.late.telegramId, 'yes', 'Склад', ''],
+    [STAFF.out.nameFull, '09:00-18:00', 'Out', 'ACME', '', STAFF.out.telegramId, 'yes', 'Склад', ''],
+    [STAFF.absent.nameFull, '09:00-18:00', 'Absent', 'ACME', '', STAFF.absent.telegramId, 'yes', 'Офис', ''],
+    [STAFF.waiting.nameFull, '09:00-18:00', 'Waiting', 'ACME', '', STAFF.waiting.telegramId, 'yes', 'Офис', ''],
+    [STAFF.flagged.nameFull, '09:00-18:00', 'Flagged', 'ACME', '', STAFF.flagged.telegramId, 'yes', 'Офис', ''],
+    ['Lead Person', '09:00-18:00', 'Lead', 'ACME', '', LEAD.id.toString(), 'yes', 'Склад', 'team_lead']
+  ]);
+
+  setNow(`${DAY} 08:00`);
+  await sheetsService.initializeDailySheet(DAY);
+  await sheetsService.initializeMonthlyReport('2025-03');
+  const report = await sheetsService.getWorksheet('Report_2025-03');
+  for (const row of await report.getRows()) {
+    if (row.get('Telegram ID') === STAFF.late.telegramId) {
+      row.set('Rating (0-10)', '9.5');
+      row.set('Net Balance (Hours)', '-0:20');
+      await row.save();
+    }
+  }
+
+  setNow(`${DAY} 08:50`);
+  await sheetsService.logEvent(STAFF.inOffice.telegramId, STAFF.inOffice.nameFull, 'ARRIVAL');
+  await sheetsService.logEvent(STAFF.out.telegramId, STAFF.out.nameFull, 'ARRIVAL');
+  await sheetsService.logEvent(STAFF.flagged.telegramId, STAFF.flagged.nameFull, 'ARRIVAL');
+  await sheetsService.updateLocationVerification(STAFF.flagged.telegramId, 'FLAGGED', [{ type: 'TELEPORT' }]);
+  await sheetsService.logEvent(STAFF.absent.telegramId, STAFF.absent.nameFull, 'ABSENT_NOTIFIED', 'Болеет');
+  await sheetsService.logEvent(STAFF.waiting.telegramId, STAFF.waiting.nameFull, 'LATE_NOTIFIED', '11:00');
+
+  setNow(`${DAY} 09:40`);
+  await sheetsService.logEvent(STAFF.late.telegramId, STAFF.late.nameFull, 'ARRIVAL');
+
+  setNow(`${DAY} 12:00`);
+  await sheetsService.logTempExit(STAFF.out.telegramId, STAFF.out.nameFull, 'Банк', 30, '12:00:00', '12:30:00');
+
+  const app = express();
+  setupDashboardRoutes(app);
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+async function testLogin() {
+  console.log('\n🔐 Login\n');
+
+  check('No session asks to log in', (await open(`${baseUrl}/dashboard`)).status === 401);
+
+  const link = dashboardService.createLoginLink(SUPER);
+  check('Link points at the dashboard', link.startsWith(`${Config.PUBLIC_URL}/dashboard/login?`) && link.includes('hash='));
+
+  const tampered = await open(link.replace('id=900', 'id=901'));
+  check('Tampered link is rejected', tampered.status === 401);
+
+  const ok = await open(link);
+  check('Valid link logs in', ok.status === 302 && ok.location === '/dashboard' && ok.cookie.startsWith('dashboard_session='));
+  check('Session cookie is HttpOnly and Secure', ok.setCookie.includes('HttpOnly') && ok.setCookie.includes('Secure') && ok.setCookie.includes('Path=/dashboard'));
+  check('Link works once', (await open(link)).status === 401);
+
+  const page = await open(`${baseUrl}/dashboard`, ok.cookie);
+  check('Session opens the dashboard', page.status === 200 && page.text.includes('Посещаемость'));
+  check('Forged session is rejected', (await open(`${baseUrl}/dashboard`, ok.cookie.slice(0, -2) + 'xx')).status === 401);
+
+  check('Employees without a role are refused', (await login(WORKER_USER)).status === 403);
+
+  setNow(`${DAY} 12:00`);
+  const old = dashboardService.createLoginLink(SUPER);
+  setNow(`${DAY} 12:11`);
+  check('Expired link is rejected', (await open(old)).status === 401);
+
+  setNow(`${DAY} 12:01`);
+  const fresh = await login(SUPER);
+  setNow(`${DAY} 23:59`);
+  check('Session lasts DASHBOARD_SESSION_HOURS', (await open(`${baseUrl}/dashboard`, fresh.cookie)).status === 200);
+  setNow('2025-03-13 00:02');
+  check('Session expires after that', (await open(`${baseUrl}/dashboard`, fresh.cookie)).status === 401);
+}
+
+async function testData() {
+  console.log('\n📊 Data\n');
+
+  setNow(`${DAY} 12:05`);
+  const { cookie } = await login(SUPER);
+  const data = JSON.parse((await open(`${baseUrl}/dashboard/data`, cookie)).text);
+  const names = list => list.map(r => r.telegramId).sort().join();
+
+  check('In office now', names(data.inOffice) === [STAFF.inOffice, STAFF.late, STAFF.flagged].map(s => s.telegramId).sort().join(),
+    names(data.inOffice));
+  check('Late', names(data.late) === STAFF.late.telegramId);
+  check('Temporarily out with reason', names(data.out) === STAFF.out.telegramId && data.out[0].tempExitReason === 'Банк' &&
+    data.out[0].tempExitExpectedReturn === '12:30:00');
+  check('Absent with reason', names(data.absent) === STAFF.absent.telegramId && data.absent[0].whyAbsent.includes('Болеет'));
+  check('Not arrived yet, with notice', data.notArrived.some(r => r.telegramId === STAFF.waiting.telegramId && r.willBeLate));
+  check('Fraud flags', names(data.fraud) === STAFF.flagged.telegramId && data.fraud[0].arrivalAnomalies.includes('TELEPORT'));
+  const late = data.monthly.find(e => e.telegramId === STAFF.late.telegramId);
+  check('Monthly rating and balance, best first', late && late.rating === 9.5 && late.netBalanceHours === '-0:20' &&
+    data.monthly[0].telegramId === STAFF.late.telegramId, JSON.stringify(data.monthly[0]));
+
+  const page = (await open(`${baseUrl}/dashboard`, cookie)).text;
+  check('Names are escaped', page.includes('In Office &lt;b&gt;') && !page.includes('In Office <b>'));
+  check('Page shows fraud flags', page.includes('Подозрения на обман') && page.includes('TELEPORT'));
+}
+
+async function testScope() {
+  console.log('\n👥 Scope\n');
+
+  const { cookie } = await login(LEAD);
+  const data = JSON.parse((await open(`${baseUrl}/dashboard/data`, cookie)).text);
+  const ids = new Set([...data.inOffice, ...data.out, ...data.absent, ...data.notArrived, ...data.monthly].map(r => r.telegramId));
+  check('Team lead sees only their team', ids.has(STAFF.late.telegramId) && ids.has(STAFF.out.telegramId) &&
+    !ids.has(STAFF.inOffice.telegramId) && !ids.has(STAFF.flagged.telegramId), [...ids].join());
+
+  await roleService.setRole(LEAD.id, null, { name: 'Boss', telegramId: '900' });
+  check('Removed role ends the session', (await open(`${baseUrl}/dashboard`, cookie)).status === 401);
+}
+
+async function testCommand() {
+  console.log('\n🤖 /dashboard\n');
+
+  let handler = null;
+  setupDashboardHandlers({ command: (name, fn) => { handler = fn; } });
+  const run = async (from) => {
+    const replies = [];
+    await handler({ from, reply: async (text) => replies.push(text) });
+    return replies[0];
+  };
+
+  check('Admins get a link', (await run(SUPER)).includes('/dashboard/login?'));
+  check('Others are refused', (await run(WORKER_USER)).includes('нет прав'));
+}
+
+async function run() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 WEB DASHBOARD TEST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await seed();
+    await testLogin();
+    await testData();
+    await testScope();
+    await testCommand();
+  } catch (error) {
+    failed++;
+    console.log(`❌ Unexpected error: ${error.stack}`);
+  } finally {
+    Date.now = realDateNow;
+    if (server) server.close();
+    await sheetsService.disconnect().catch(() => {});
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbPath + suffix, { force: true });
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,267 @@
+/**
+ * Test script to verify the attendance history: archiving daily sheets at the end of the day,
+ * re-archiving a day, date-range / company / employee queries, the HTML and XLSX reports and /history
+ * Uses a throwaway SQLite database as storage and a fake clock.
+ * Run with: node test-history.js
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const dbPath = path.join(os.tmpdir(), `attendance-history-test-${process.pid}.db`);
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = dbPath;
+process.env.STORAGE_MIRROR_TO_SHEETS = 'false';
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.GOOGLE_SHEETS_ID = '';
+process.env.ADMIN_TELEGRAM_IDS = '900';
+
+const XLSX = require('xlsx');
+const moment = require('moment-timezone');
+const Config = require('./src/config');
+const sheetsService = require('./src/services/sheets.service');
+const schedulerService = require('./src/services/scheduler.service');
+const historyService = require('./src/services/history.service');
+const { setupHistoryHandlers } = require('./src/bot/handlers/history.handler');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+// Fake clock: every moment() created by the services uses this time
+function setNow(dateTime) {
+  const fixed = moment.tz(dateTime, 'YYYY-MM-DD HH:mm', Config.TIMEZONE).valueOf();
+  moment.now = () => fixed;
+}
+
+const DAY1 = '2025-03-03';
+const DAY2 = '2025-03-04';
+const DAY3 = '2025-03-05';
+const ALICE = { telegramId: '1701', nameFull: 'Alice <A>', company: 'ACME', username: '@alice' };
+const BOB = { telegramId: '1702', nameFull: 'Bob', company: 'ACME', username: '' };
+const CAROL = { telegramId: '1703', nameFull: 'Carol', company: 'Beta', username: '' };
+const MANAGER = { telegramId: '1704', nameFull: 'Manager', company: 'Beta', username: '', role: 'manager' };
+
+// Bot stub that collects command handlers
+const commands = {};
+setupHistoryHandlers({ command: (name, handler) => { commands[name] = handler; } });
+
+async function runCommand(text, fromId = 900) {
+  const replies = [];
+  const documents = [];
+  await commands.history({
+    from: { id: fromId },
+    message: { text },
+    reply: async (message) => replies.push(message),
+    replyWithDocument: async (file, extra = {}) => documents.push({ ...file, caption: extra.caption })
+  });
+  return { replies, documents };
+}
+
+/**
+ * Create a daily sheet and write the given values into employee rows
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} values - telegramId -> { column: value }
+ */
+async function fillDay(date, values) {
+  setNow(`${date} 08:00`);
+  await sheetsService.initializeDailySheet(date);
+  const worksheet = await sheetsService.getWorksheet(date);
+  for (const row of await worksheet.getRows()) {
+    const rowValues = values[row.get('TelegramId')];
+    if (!rowValues) continue;
+    for (const [column, value] of Object.entries(rowValues)) {
+      row.set(column, value);
+    }
+    await row.save();
+  }
+  sheetsService._dropDailySheetCache(date);
+}
+
+async function seed() {
+  await sheetsService.connect();
+
+  const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+  await roster.setHeaderRow(['Name full', 'Work time', 'Telegram name', 'Company', 'Telegram user name', 'Telegram Id', 'Do not work in Saturday', 'Role']);
+  await roster.addRows([ALICE, BOB, CAROL, MANAGER].map(e =>
+    [e.nameFull, '09:00-18:00', e.nameFull, e.company, e.username, e.telegramId, 'yes', e.role || '']));
+
+  await fillDay(DAY1, {
+    [ALICE.telegramId]: {
+      'When come': '08:55', 'Came on time': 'Yes', 'Leave time': '18:05', 'Hours worked': '9.17', 'Point': '1',
+      'Temp exit time': '12:00; 15:00', 'Temp exit reason': 'Банк; Обед', 'Temp exit duration': '30; 45'
+    },
+    [BOB.telegramId]: {
+      'When come': '09:25', 'Came on time': 'No', 'will be late': 'yes', 'will be late will come at': '09:30',
+      'Leave time': '16:00', 'Hours worked': '6.58', 'Left early': 'yes', 'Why left early': 'Врач',
+      'Penalty minutes': '25', 'Point': '-0.5'
+    },
+    [CAROL.telegramId]: { 'Absent': 'yes', 'Why absent': 'Болеет', 'Point': '0' }
+  });
+}
+
+async function testEndOfDay() {
+  console.log('\n🌙 End of day\n');
+
+  setNow(`${DAY1} 23:59`);
+  await schedulerService.handleEndOfDay(DAY1, true);
+
+  check('Daily sheet is deleted after archiving', !sheetsService.doc.sheetsByTitle[DAY1]);
+  check('Monthly report still gets the day', !!sheetsService.doc.sheetsByTitle['Report_2025-03']);
+
+  const worksheet = await historyService._getWorksheet();
+  const rows = (await worksheet.getRows()).filter(row => row.get('Date') === DAY1);
+  check('One history row per employee', rows.length === 4, rows.length);
+  const alice = rows.find(row => row.get('Telegram Id') === ALICE.telegramId);
+  check('History keeps arrival, departure and company', alice && alice.get('When come') === '08:55' &&
+    alice.get('Leave time') === '18:05' && alice.get('Company') === 'ACME');
+
+  await fillDay(DAY2, {
+    [ALICE.telegramId]: { 'When come': '09:10', 'Came on time': 'No', 'Point': '-1' },
+    [CAROL.telegramId]: { 'When come': '09:00', 'Came on time': 'Yes', 'Leave time': '18:00', 'Hours worked': '9', 'Point': '1' }
+  });
+  await historyService.archiveDay(DAY2);
+  const count = await historyService.archiveDay(DAY2);
+  const day2 = (await worksheet.getRows()).filter(row => row.get('Date') === DAY2);
+  check('Archiving a day again replaces its rows', count === 4 && day2.length === 4, day2.length);
+  await sheetsService.doc.sheetsByTitle[DAY2].delete();
+
+  // Today: not archived yet
+  await fillDay(DAY3, {
+    [BOB.telegramId]: { 'When come': '08:50', 'Came on time': 'Yes', 'Point': '1' }
+  });
+}
+
+async function testQueries() {
+  console.log('\n🔎 Queries\n');
+
+  const all = await historyService.getHistory({ from: DAY1, to: DAY3 });
+  check('Range covers archived days and today', all.entries.length === 12 &&
+    all.entries[0].date === DAY1 && all.entries[all.entries.length - 1].date === DAY3, all.entries.length);
+
+  const bob = all.entries.find(e => e.date === DAY1 && e.telegramId === BOB.telegramId);
+  check('Late day with a warning', bob.status === 'late' && bob.willBeLate && bob.willBeLateTime === '09:30' &&
+    bob.penaltyMinutes === 25);
+  check('Early departure with its reason', bob.leftEarly && bob.whyLeftEarly === 'Врач' && bob.point === -0.5);
+
+  const alice = all.entries.find(e => e.date === DAY1 && e.telegramId === ALICE.telegramId);
+  check('Temp exits are split', alice.tempExits.length === 2 && alice.tempExits[1].reason === 'Обед' &&
+    alice.tempExits[1].duration === '45', JSON.stringify(alice.tempExits));
+
+  const carol = all.entries.find(e => e.date === DAY1 && e.telegramId === CAROL.telegramId);
+  check('Absence with its reason', carol.status === 'absent' && carol.whyAbsent === 'Болеет');
+
+  const today = all.entries.find(e => e.date === DAY3 && e.telegramId === BOB.telegramId);
+  check('Today is read from the daily sheet', today.status === 'ontime' && today.company === 'ACME');
+
+  const acme = await historyService.getHistory({ from: DAY1, to: DAY3, company: 'acme' });
+  check('Company filter', acme.entries.length === 6 && acme.entries.every(e => e.company === 'ACME'));
+
+  const single = await historyService.getHistory({ from: DAY2, to: DAY2, telegramId: ALICE.telegramId });
+  check('Employee and single day filter', single.entries.length === 1 && single.entries[0].status === 'late');
+
+  const scoped = await historyService.getHistory({ from: DAY1, to: DAY3, ids: new Set([CAROL.telegramId]) });
+  check('Scope filter', scoped.entries.length === 3 && scoped.employees.length === 1);
+
+  const summary = all.employees.find(s => s.telegramId === ALICE.telegramId);
+  check('Per-employee totals', summary.days === 3 && summary.present === 2 && summary.late === 1 &&
+    summary.tempExits === 2 && summary.hoursWorked === 9.17 && summary.points === 0, JSON.stringify(summary));
+
+  check('Empty range', (await historyService.getHistory({ from: '2025-02-01', to: '2025-02-28' })).entries.length === 0);
+}
+
+async function testReports() {
+  console.log('\n📄 Reports\n');
+
+  const history = await historyService.getHistory({ from: DAY1, to: DAY3 });
+
+  const workbook = XLSX.read(historyService.buildXlsx(history), { type: 'buffer' });
+  check('XLSX has timeline and summary sheets', workbook.SheetNames.join() === 'Timeline,Summary');
+  const timeline = XLSX.utils.sheet_to_json(workbook.Sheets.Timeline);
+  check('Timeline has a row per employee and day', timeline.length === 12 &&
+    timeline[0].Date === DAY1 && timeline.some(r => r['Temp exit details'] === '12:00 (30 мин) Банк; 15:00 (45 мин) Обед'));
+  const summary = XLSX.utils.sheet_to_json(workbook.Sheets.Summary);
+  check('Summary has a row per employee', summary.length === 4 && summary.find(r => r.Name === 'Bob').Late === 1);
+
+  const html = historyService.buildHtml(history, 'ACME');
+  check('HTML has the period and the timeline', html.includes(`${DAY1} — ${DAY3}`) && html.includes('03.03.2025') &&
+    html.includes('Предупредил об опоздании (09:30)') && html.includes('Ушёл рано: Врач'));
+  check('HTML escapes names', html.includes('Alice &lt;A&gt;') && !html.includes('Alice <A>'));
+}
+
+async function testCommand() {
+  console.log('\n⚙️  /history\n');
+
+  const denied = await runCommand(`/history ${DAY1}`, Number(BOB.telegramId));
+  check('Employees cannot request history', denied.replies[0].includes('нет прав'));
+
+  const usage = await runCommand('/history');
+  check('Usage without dates', usage.replies[0].includes('Использование'));
+
+  const reversed = await runCommand(`/history ${DAY3} ${DAY1}`);
+  check('Reversed range is rejected', reversed.replies[0].includes('раньше'));
+
+  const tooLong = await runCommand('/history 2024-01-01 2025-03-01');
+  check('Too long range is rejected', tooLong.replies[0].includes('Слишком длинный'));
+
+  const report = await runCommand(`/history ${DAY1} ${DAY3}`);
+  check('Sends HTML and XLSX', report.documents.length === 2 &&
+    report.documents[0].filename === `history_${DAY1}_${DAY3}.html` && report.documents[1].filename === `history_${DAY1}_${DAY3}.xlsx`);
+  check('Caption has the totals', report.documents[0].caption.includes('Сотрудников: 4') &&
+    report.documents[0].caption.includes('Опозданий: 2'), report.documents[0].caption);
+
+  const byUser = await runCommand(`/history ${DAY1} ${DAY2} @alice`);
+  check('Employee by username', byUser.documents[0].filename === `history_${DAY1}_${DAY2}_${ALICE.telegramId}.html` &&
+    byUser.documents[0].caption.includes('Сотрудников: 1'));
+
+  const company = await runCommand(`/history ${DAY1} ${DAY3} Beta`);
+  check('Company report', company.documents[0].caption.includes('Beta') && company.documents[0].caption.includes('Сотрудников: 2'));
+
+  const manager = await runCommand(`/history ${DAY1} ${DAY3}`, Number(MANAGER.telegramId));
+  check('Managers only see their company', manager.documents[0].caption.includes('Сотрудников: 2'), manager.documents[0] && manager.documents[0].caption);
+
+  const hidden = await runCommand(`/history ${DAY1} ${ALICE.telegramId}`, Number(MANAGER.telegramId));
+  check('Employees outside the scope are not found', hidden.replies[0].includes('не найден'));
+
+  const empty = await runCommand('/history 2025-02-01 2025-02-28');
+  check('Empty period is reported', empty.replies[0].includes('Нет данных'));
+}
+
+async function run() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 HISTORY TEST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await seed();
+    await testEndOfDay();
+    await testQueries();
+    await testReports();
+    await testCommand();
+  } catch (error) {
+    failed++;
+    console.log(`❌ Unexpected error: ${error.stack}`);
+  } finally {
+    await sheetsService.disconnect().catch(() => {});
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbPath + suffix, { force: true });
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
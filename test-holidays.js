@@ -0,0 +1,187 @@
+/**
+ * Test script to verify the holiday calendar
+ * Uses a throwaway SQLite database as storage and a fake clock.
+ * Run with: node test-holidays.js
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const dbPath = path.join(os.tmpdir(), `attendance-holidays-test-${process.pid}.db`);
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = dbPath;
+process.env.STORAGE_MIRROR_TO_SHEETS = 'false';
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.GOOGLE_SHEETS_ID = '';
+
+const moment = require('moment-timezone');
+const Config = require('./src/config');
+const sheetsService = require('./src/services/sheets.service');
+const scheduleService = require('./src/services/schedule.service');
+const holidayService = require('./src/services/holiday.service');
+const schedulerService = require('./src/services/scheduler.service');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+function day(dateStr) {
+  return moment.tz(dateStr, 'YYYY-MM-DD', Config.TIMEZONE);
+}
+
+// Fake clock: every moment() created by the services uses this time
+function setNow(dateTime) {
+  const fixed = moment.tz(dateTime, 'YYYY-MM-DD HH:mm', Config.TIMEZONE).valueOf();
+  moment.now = () => fixed;
+}
+
+const NAVRUZ = '2025-03-21'; // Friday
+const COMPANY_DAY = '2025-03-25'; // Tuesday
+
+async function seed() {
+  await sheetsService.connect();
+
+  const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+  await roster.setHeaderRow(['Name full', 'Work time', 'Telegram name', 'Company', 'Telegram user name', 'Telegram Id', 'Do not work in Saturday']);
+  await roster.addRows([
+    ['Acme Worker', '09:00-18:00', 'Acme', 'ACME', 'acme', '401', 'yes'],
+    ['Other Worker', '09:00-18:00', 'Other', 'Globex', 'other', '402', 'yes']
+  ]);
+
+  const schedule = await sheetsService.getWorksheet(Config.SHEET_SCHEDULE);
+  await schedule.setHeaderRow(scheduleService.SCHEDULE_HEADERS);
+  await schedule.addRows([
+    // Other Worker is on duty on Navruz
+    { 'Name': 'Other Worker', 'Telegram Id': '402', 'Date': NAVRUZ, 'Work time': '10:00-14:00' }
+  ]);
+
+  scheduleService.invalidate();
+}
+
+async function testCalendar() {
+  console.log('\n📅 Holiday calendar\n');
+
+  await holidayService.addHoliday(NAVRUZ, 'Навруз', '', 'test');
+  await holidayService.addHoliday(COMPANY_DAY, 'Корпоратив', 'acme', 'test');
+  await holidayService.addHoliday(NAVRUZ, 'Навруз байрами', '', 'test');
+
+  const holidays = await holidayService.getHolidays();
+  check('Adding the same date again renames instead of duplicating', holidays.length === 2 && holidays[0].name === 'Навруз байрами',
+    `got ${JSON.stringify(holidays)}`);
+
+  const sheet = sheetsService.doc.sheetsByTitle[Config.SHEET_HOLIDAYS];
+  check('Holidays are stored in the Holidays sheet', !!sheet && (await sheet.getRows()).length === 2);
+
+  check('General holiday applies without a company', !!(await holidayService.getHoliday(day(NAVRUZ))));
+  check('Company holiday needs a matching company', !(await holidayService.getHoliday(day(COMPANY_DAY))));
+  check('Company match is case-insensitive', !!(await holidayService.getHoliday(day(COMPANY_DAY), 'ACME')));
+
+  let invalidError = null;
+  try {
+    await holidayService.addHoliday('21.03.2025', 'Bad date');
+  } catch (error) {
+    invalidError = error;
+  }
+  check('Invalid dates are rejected', !!invalidError);
+}
+
+async function testScheduleIntegration() {
+  console.log('\n🗓  Schedule integration\n');
+
+  const schedule = await scheduleService.getDaySchedule('401', day(NAVRUZ));
+  check('Holiday is a day off', !schedule.isWorkDay && schedule.source === 'holiday' && schedule.holiday.name === 'Навруз байрами');
+
+  check('Personal override still wins over a holiday', !(await scheduleService.isDayOff('402', day(NAVRUZ))));
+
+  check('Company holiday is a day off for that company', await scheduleService.isDayOff('401', day(COMPANY_DAY)));
+  check('Company holiday does not affect other companies', !(await scheduleService.isDayOff('402', day(COMPANY_DAY))));
+
+  check('Day off name mentions the holiday',
+    (await scheduleService.getDayOffName('401', day(NAVRUZ))) === 'праздник «Навруз байрами»');
+
+  // March 2025: 21 weekdays, minus Navruz and the company day for ACME
+  const acme = await scheduleService.getMonthSummary('401', '2025-03');
+  check('Holidays are excluded from Total Work Days', acme.totalWorkDays === 19, `got ${acme.totalWorkDays}`);
+  check('Holidays are excluded from Total Hours Required', acme.totalHoursRequired === 171, `got ${acme.totalHoursRequired}`);
+
+  // Other Worker: 21 weekdays, Navruz is a 4h duty day
+  const other = await scheduleService.getMonthSummary('402', '2025-03');
+  check('Overridden holiday counts as a work day', other.totalWorkDays === 21 && other.totalHoursRequired === 184,
+    `got ${other.totalWorkDays} / ${other.totalHoursRequired}`);
+}
+
+async function testDailyFlow() {
+  console.log('\n🚫 No-shows and daily sheets\n');
+
+  await holidayService.addHoliday('2025-03-24', 'Extra day off', '', 'test');
+  check('Nobody works on a general holiday', !(await scheduleService.isAnyoneWorking(day('2025-03-24'))));
+  check('Someone works on a company-only holiday', await scheduleService.isAnyoneWorking(day(COMPANY_DAY)));
+
+  const removed = await holidayService.removeHoliday('2025-03-24');
+  check('removeHoliday deletes the date', removed === 1 && await scheduleService.isAnyoneWorking(day('2025-03-24')));
+
+  setNow(`${COMPANY_DAY} 08:00`);
+  await sheetsService.initializeDailySheet(COMPANY_DAY);
+  setNow(`${COMPANY_DAY} 20:00`);
+  await schedulerService.checkAndMarkNoShows(COMPANY_DAY);
+
+  const { rows } = await sheetsService._getCachedDailySheet(COMPANY_DAY);
+  const acmeRow = rows.find(row => row.get('TelegramId') === '401');
+  const otherRow = rows.find(row => row.get('TelegramId') === '402');
+  check('No no-show penalty on a holiday', acmeRow && acmeRow.get('Absent') !== 'Yes');
+  check('Employees without the holiday are still checked', otherRow && otherRow.get('Absent') === 'Yes');
+}
+
+async function testMonthlyRefresh() {
+  console.log('\n📈 Monthly report totals\n');
+
+  // The report was created together with the first daily sheet of the month
+  check('Monthly report exists', !!sheetsService.doc.sheetsByTitle['Report_2025-03']);
+  await holidayService.addHoliday('2025-03-31', 'Ramazon hayiti', '', 'test');
+  const updated = await sheetsService.refreshMonthlyRequirements('2025-03');
+  check('Existing report rows are refreshed', updated === 2, `got ${updated}`);
+
+  const report = sheetsService.doc.sheetsByTitle['Report_2025-03'];
+  const row = (await report.getRows()).find(r => r.get('Telegram ID') === '401');
+  check('Report totals include holidays added later', row.get('Total Work Days') === '18' && row.get('Total Hours Required') === '162.00',
+    `got ${row.get('Total Work Days')} / ${row.get('Total Hours Required')}`);
+}
+
+async function run() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 HOLIDAY CALENDAR TEST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await seed();
+    await testCalendar();
+    await testScheduleIntegration();
+    await testDailyFlow();
+    await testMonthlyRefresh();
+  } catch (error) {
+    failed++;
+    console.log(`❌ Unexpected error: ${error.stack}`);
+  } finally {
+    await sheetsService.disconnect().catch(() => {});
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbPath + suffix, { force: true });
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
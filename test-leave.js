@@ -0,0 +1,200 @@
+/**
+ * Test script to verify leave requests, approval and balances
+ * Uses a throwaway SQLite database as storage and a fake clock.
+ * Run with: node test-leave.js
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const dbPath = path.join(os.tmpdir(), `attendance-leave-test-${process.pid}.db`);
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = dbPath;
+process.env.STORAGE_MIRROR_TO_SHEETS = 'false';
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.GOOGLE_SHEETS_ID = '';
+process.env.ANNUAL_LEAVE_DAYS = '15';
+process.env.ADMIN_TELEGRAM_IDS = '800';
+
+const moment = require('moment-timezone');
+const Config = require('./src/config');
+const sheetsService = require('./src/services/sheets.service');
+const leaveService = require('./src/services/leave.service');
+const schedulerService = require('./src/services/scheduler.service');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+// Fake clock: every moment() created by the services uses this time
+function setNow(dateTime) {
+  const fixed = moment.tz(dateTime, 'YYYY-MM-DD HH:mm', Config.TIMEZONE).valueOf();
+  moment.now = () => fixed;
+}
+
+async function expectError(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function getRow(sheetName, telegramId) {
+  const { rows } = await sheetsService._getCachedDailySheet(sheetName);
+  return rows.find(row => row.get('TelegramId') === telegramId);
+}
+
+async function seed() {
+  await sheetsService.connect();
+
+  const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+  await roster.setHeaderRow(['Name full', 'Work time', 'Telegram name', 'Company', 'Telegram user name', 'Telegram Id', 'Do not work in Saturday', 'Manager Telegram Id', 'Leave days per year', 'Role']);
+  await roster.addRows([
+    ['Vacation Worker', '09:00-18:00', 'Vacation', 'ACME', 'vacation', '501', 'yes', '900', '', ''],
+    ['Short Worker', '09:00-18:00', 'Short', 'ACME', 'short', '502', 'yes', '', '3', ''],
+    ['HR Person', '09:00-18:00', 'HR', 'ACME', 'hr', '801', 'yes', '', '', 'hr'],
+    ['Company Manager', '09:00-18:00', 'Boss', 'ACME', 'boss', '802', 'yes', '', '', 'manager']
+  ]);
+}
+
+function testDateParsing() {
+  console.log('\n📅 Date input\n');
+
+  const now = moment.tz('2025-03-10 09:00', 'YYYY-MM-DD HH:mm', Config.TIMEZONE);
+  let range = leaveService.parseDateRange('25.03 - 28.03', now);
+  check('Day.month range uses the current year', range && range.from === '2025-03-25' && range.to === '2025-03-28');
+
+  range = leaveService.parseDateRange('05.01', now);
+  check('Past day.month moves to next year', range && range.from === '2026-01-05' && range.to === '2026-01-05');
+
+  range = leaveService.parseDateRange('28.12 - 03.01', now);
+  check('Range over new year ends next year', range && range.to === '2026-01-03');
+
+  range = leaveService.parseDateRange('2025-04-01 2025-04-02', now);
+  check('ISO dates are accepted', range && range.from === '2025-04-01' && range.to === '2025-04-02');
+
+  check('Invalid dates are rejected', leaveService.parseDateRange('31.02', now) === null);
+  check('Text without dates is rejected', leaveService.parseDateRange('завтра', now) === null);
+}
+
+async function testRequests() {
+  console.log('\n📨 Requests and balance\n');
+
+  setNow('2025-03-10 09:00');
+  const vacationWorker = await sheetsService.findEmployeeByTelegramId(501);
+  const shortWorker = await sheetsService.findEmployeeByTelegramId(502);
+
+  // Mon 17.03 - Sun 23.03: 5 work days (Saturday off for this worker)
+  const request = await leaveService.createRequest(vacationWorker, 'vacation', '2025-03-17', '2025-03-23', 'Семейная поездка');
+  check('Request counts scheduled work days only', request.days === 5, `got ${request.days}`);
+  check('New request is pending', request.status === 'pending');
+
+  let balance = await leaveService.getBalance(vacationWorker, 2025);
+  check('Pending days reserve the balance', balance.allowance === 15 && balance.pending === 5 && balance.remaining === 10);
+
+  check('Roster manager is the approver', (await leaveService.getApprovers(vacationWorker)).join(',') === '900');
+  const approvers = await leaveService.getApprovers(shortWorker);
+  check('Without a manager staff with the leaves permission approve', approvers.includes(800) && approvers.includes(801),
+    approvers.join(','));
+  check('Staff without the leaves permission do not approve', !approvers.includes(802));
+  check('Fallback approver may decide', await leaveService.canDecide({ telegramId: '502' }, 801));
+  check('Manager may decide', await leaveService.canDecide(request, 900));
+  check('Other employees may not decide', !(await leaveService.canDecide(request, 502)));
+
+  let error = await expectError(leaveService.createRequest(vacationWorker, 'sick', '2025-03-20', '2025-03-21'));
+  check('Overlapping requests are rejected', error && error.message.includes(`#${request.id}`));
+
+  error = await expectError(leaveService.createRequest(shortWorker, 'vacation', '2025-03-17', '2025-03-21'));
+  check('Requests over the personal allowance are rejected', error && error.message.includes('Недостаточно'));
+
+  const trip = await leaveService.createRequest(shortWorker, 'business_trip', '2025-03-17', '2025-03-21');
+  check('Business trips do not use the balance', (await leaveService.getBalance(shortWorker, 2025)).remaining === 3 && trip.days === 5);
+
+  error = await expectError(leaveService.createRequest(shortWorker, 'day_off', '2025-03-01', '2025-03-01'));
+  check('Past dates are rejected', !!error);
+
+  error = await expectError(leaveService.createRequest(shortWorker, 'day_off', '2025-03-23', '2025-03-23'));
+  check('Ranges without work days are rejected', error && error.message.includes('нет рабочих дней'));
+
+  const approved = await leaveService.decide(request.id, true, '@manager');
+  check('Approval is stored', approved.status === 'approved' && approved.decidedBy === '@manager');
+
+  error = await expectError(leaveService.decide(request.id, false, '@manager'));
+  check('Decided requests cannot be decided again', !!error);
+
+  balance = await leaveService.getBalance(vacationWorker, 2025);
+  check('Approved days are used from the balance', balance.used === 5 && balance.pending === 0 && balance.remaining === 10);
+
+  await leaveService.decide(trip.id, false, '@admin');
+  const cancelled = await leaveService.createRequest(shortWorker, 'day_off', '2025-03-24', '2025-03-24');
+  await leaveService.cancel(cancelled.id, 502);
+  check('Cancelled requests free the balance', (await leaveService.getBalance(shortWorker, 2025)).remaining === 3);
+
+  return request;
+}
+
+async function testDailySheets(request) {
+  console.log('\n📋 Daily sheets, reminders and no-shows\n');
+
+  // Sheet created during the leave is pre-filled
+  setNow('2025-03-18 00:01');
+  await sheetsService.initializeDailySheet('2025-03-18');
+  let row = await getRow('2025-03-18', '501');
+  check('Approved leave is pre-filled as excused', row.get('Absent') === 'Yes' && row.get('Why absent') === `Отпуск (заявка #${request.id})`);
+  check('Arrival reminders are switched off', row.get('reminder_1_sent') === 'true' && row.get('Point') === '1');
+
+  setNow('2025-03-18 20:00');
+  await schedulerService.checkAndMarkNoShows('2025-03-18');
+  row = await getRow('2025-03-18', '501');
+  check('No no-show on approved leave', row.get('Why absent') !== 'No-show (no activity)');
+
+  // Sick leave approved after today's sheet was created
+  setNow('2025-03-25 08:00');
+  await sheetsService.initializeDailySheet('2025-03-25');
+  const shortWorker = await sheetsService.findEmployeeByTelegramId(502);
+  const sick = await leaveService.createRequest(shortWorker, 'sick', '2025-03-25', '2025-03-26');
+  const decided = await leaveService.decide(sick.id, true, '@admin');
+  const updated = await sheetsService.applyApprovedLeave(decided);
+  row = await getRow('2025-03-25', '502');
+  check('Approval updates the existing daily sheet', updated === 1 && row.get('Absent') === 'Yes' && row.get('Why absent').startsWith('Больничный'));
+}
+
+async function run() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 LEAVE REQUEST TEST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await seed();
+    testDateParsing();
+    const request = await testRequests();
+    await testDailySheets(request);
+  } catch (error) {
+    failed++;
+    console.log(`❌ Unexpected error: ${error.stack}`);
+  } finally {
+    await sheetsService.disconnect().catch(() => {});
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbPath + suffix, { force: true });
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
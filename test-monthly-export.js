@@ -0,0 +1,225 @@
+/**
+ * Test script to verify the monthly XLSX export: company sheets with the per-day grid,
+ * formulas and totals, zone colouring, frozen headers, the summary with charts and /exportmonthly
+ * Uses a throwaway SQLite database as storage and a fake clock.
+ * Run with: node test-monthly-export.js
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const dbPath = path.join(os.tmpdir(), `attendance-export-test-${process.pid}.db`);
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = dbPath;
+process.env.STORAGE_MIRROR_TO_SHEETS = 'false';
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.GOOGLE_SHEETS_ID = '';
+process.env.ADMIN_TELEGRAM_IDS = '900';
+
+const moment = require('moment-timezone');
+const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
+const Config = require('./src/config');
+const sheetsService = require('./src/services/sheets.service');
+const historyService = require('./src/services/history.service');
+const holidayService = require('./src/services/holiday.service');
+const monthlyExportService = require('./src/services/monthlyExport.service');
+const { SUMMARY_SHEET } = require('./src/services/monthlyExport.service');
+const { setupMonthlyExportHandlers } = require('./src/bot/handlers/monthlyExport.handler');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+// Fake clock: every moment() created by the services uses this time
+function setNow(dateTime) {
+  const fixed = moment.tz(dateTime, 'YYYY-MM-DD HH:mm', Config.TIMEZONE).valueOf();
+  moment.now = () => fixed;
+}
+
+const MONTH = '2025-03';
+const HOLIDAY = '2025-03-12'; // Wednesday
+const ALICE = { telegramId: '2101', nameFull: 'Alice', company: 'ACME', rating: 9.1, zone: 'Green' };
+const BOB = { telegramId: '2102', nameFull: 'Bob', company: 'ACME', rating: 5.2, zone: 'Red' };
+const CAROL = { telegramId: '2103', nameFull: 'Carol', company: 'Beta/Lab', rating: 7, zone: 'Yellow' };
+const MANAGER = { telegramId: '2104', nameFull: 'Lab Manager', company: 'Beta/Lab', role: 'manager' };
+
+// Bot stub that collects command handlers
+const commands = {};
+setupMonthlyExportHandlers({ command: (name, handler) => { commands[name] = handler; } });
+
+async function runCommand(text, fromId = 900) {
+  const replies = [];
+  const documents = [];
+  await commands.exportmonthly({
+    from: { id: fromId },
+    message: { text },
+    reply: async (message) => replies.push(message),
+    replyWithDocument: async (file, extra) => documents.push({ ...file, caption: extra.caption })
+  });
+  return { replies, documents };
+}
+
+async function seed() {
+  await sheetsService.connect();
+
+  const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+  await roster.setHeaderRow(['Name full', 'Work time', 'Telegram name', 'Company', 'Telegram user name', 'Telegram Id', 'Do not work in Saturday', 'Role']);
+  await roster.addRows([ALICE, BOB, CAROL, MANAGER].map(e =>
+    [e.nameFull, '09:00-18:00', e.nameFull, e.company, '', e.telegramId, 'yes', e.role || '']));
+
+  setNow('2025-03-01 10:00');
+  await holidayService.addHoliday(HOLIDAY, 'Праздник');
+
+  const report = await sheetsService.getWorksheet(`Report_${MONTH}`);
+  await report.setHeaderRow(['Name', 'Telegram ID', 'Company', 'Total Work Days', 'Days Worked', 'Days Absent', 'On Time Arrivals',
+    'Late Arrivals (Notified)', 'Late Arrivals (Silent)', 'Total Hours Required', 'Total Hours Worked', 'Total Points', 'Rating (0-10)', 'Rating Zone']);
+  await report.addRows([
+    [ALICE.nameFull, ALICE.telegramId, ALICE.company, '20', '12', '1', '10', '1', '1', '108', '110', '9', `${ALICE.rating}`, ALICE.zone],
+    [BOB.nameFull, BOB.telegramId, BOB.company, '20', '10', '2', '5', '0', '5', '90', '80', '-2', `${BOB.rating}`, BOB.zone],
+    [CAROL.nameFull, CAROL.telegramId, CAROL.company, '20', '12', '0', '12', '0', '0', '108', '108', '6', `${CAROL.rating}`, CAROL.zone]
+  ]);
+
+  const history = await historyService._getWorksheet();
+  const row = (e, date, values) => ({ 'Date': date, 'Telegram Id': e.telegramId, 'Company': e.company, 'Name': e.nameFull, ...values });
+  await history.addRows([
+    row(ALICE, '2025-03-03', { 'When come': '08:55', 'Came on time': 'Yes', 'Point': '1' }),
+    row(ALICE, '2025-03-04', { 'When come': '09:30', 'Came on time': 'No', 'Point': '-1' }),
+    row(ALICE, '2025-03-05', { 'Absent': 'yes', 'Why absent': 'Болезнь' }),
+    row(ALICE, '2025-03-06', {}),
+    row(ALICE, HOLIDAY, {}),
+    row(ALICE, '2025-03-15', { 'When come': '10:00', 'Came on time': 'Yes', 'Point': '0.5' }), // Saturday, a day off
+    row(ALICE, '2025-03-20', {}), // Today, not here yet
+    row(BOB, '2025-03-03', { 'When come': '09:40', 'Came on time': 'No', 'Point': '-1' }),
+    row(CAROL, '2025-03-03', { 'When come': '08:50', 'Came on time': 'Yes', 'Point': '1' })
+  ]);
+
+  setNow('2025-03-20 12:00');
+}
+
+async function testMonthData() {
+  console.log('\n📅 Month data\n');
+
+  const data = await monthlyExportService.getMonthData(MONTH);
+  check('Companies in order', data.companies.map(c => c.company).join() === 'ACME,Beta/Lab', data.companies.map(c => c.company).join());
+  check('Best rating first', data.companies[0].employees.map(e => e.name).join() === 'Alice,Bob');
+  check('A column per day of the month', data.dates.length === 31 && data.dates[0] === '2025-03-01');
+
+  const days = data.companies[0].employees[0].days;
+  const day = date => days[moment(date).date() - 1];
+  check('On time, late and absent days', day('2025-03-03') === '✓' && day('2025-03-04') === 'О' && day('2025-03-05') === 'Н');
+  check('No-show on a work day', day('2025-03-06') === 'П');
+  check('Holidays and weekends are days off', day(HOLIDAY) === '—' && day('2025-03-02') === '—' && day('2025-03-08') === '—');
+  check('Coming in on a day off is shown', day('2025-03-15') === '✓');
+  check('Today and future days are empty', day('2025-03-20') === '' && day('2025-03-25') === '');
+  check('Work days without data are empty', day('2025-03-07') === '');
+
+  const scoped = await monthlyExportService.getMonthData(MONTH, new Set([CAROL.telegramId]));
+  check('Scope filter', scoped.companies.length === 1 && scoped.companies[0].employees.length === 1);
+  check('No report - no data', (await monthlyExportService.getMonthData('2024-01')) === null);
+}
+
+async function testWorkbook() {
+  console.log('\n📊 Workbook\n');
+
+  const buffer = await monthlyExportService.buildXlsx(await monthlyExportService.getMonthData(MONTH));
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  check('Summary and one sheet per company', workbook.worksheets.map(s => s.name).join() === `${SUMMARY_SHEET},ACME,Beta Lab`,
+    workbook.worksheets.map(s => s.name).join());
+
+  const acme = workbook.getWorksheet('ACME');
+  const view = acme.views[0];
+  check('Headers and names are frozen', view.state === 'frozen' && view.xSplit === 2 && view.ySplit === 2);
+  check('Employee totals', acme.getCell('B3').value === 'Alice' && acme.getCell('K3').value === 110 && acme.getCell('Q3').value === 'Зелёная зона');
+  check('Formulas with cached results', acme.getCell('L3').value.formula === 'K3-J3' && acme.getCell('L3').value.result === 2 &&
+    acme.getCell('N4').value.result === 0.5);
+  check('Totals row', acme.getCell('B5').value === 'Итого' && acme.getCell('K5').value.formula === 'SUM(K3:K4)' &&
+    acme.getCell('K5').value.result === 190);
+
+  const gridStart = 19; // After the 17 total columns and one empty column
+  check('Day grid with weekdays', acme.getCell(2, gridStart + 2).value === '3\nПн' && acme.getCell(3, gridStart + 2).value === '✓');
+  check('Grid cells are coloured', acme.getCell(3, gridStart + 3).fill.fgColor.argb === 'FFFFEB9C');
+  check('People present per day', acme.getCell(5, gridStart + 2).value.result === 2);
+  check('Grid tallies', acme.getCell(3, gridStart + 31).value.formula.startsWith('COUNTIF(') && acme.getCell(3, gridStart + 31).value.result === 2);
+
+  const summary = workbook.getWorksheet(SUMMARY_SHEET);
+  check('Summary formulas over company sheets', summary.getCell('B5').value.formula === "COUNTA('ACME'!B3:B4)" &&
+    summary.getCell('B5').value.result === 2 && summary.getCell('F6').value.formula.includes("'Beta Lab'!"));
+  check('Summary zones', summary.getCell('C5').value.result === 1 && summary.getCell('E5').value.result === 1 && summary.getCell('D6').value.result === 1);
+  check('Summary totals', summary.getCell('A7').value === 'Итого' && summary.getCell('B7').value.result === 3 &&
+    Math.abs(summary.getCell('F7').value.result - 7.1) < 0.01);
+
+  const zip = await JSZip.loadAsync(buffer);
+  const sheetXml = await zip.file('xl/worksheets/sheet2.xml').async('string');
+  check('Rating zones are conditional formats', (sheetXml.match(/<cfRule type="expression"/g) || []).length === 3 &&
+    sheetXml.includes(`$P3&gt;=${Config.GREEN_ZONE_MIN}`));
+
+  const summaryXml = await zip.file('xl/worksheets/sheet1.xml').async('string');
+  const contentTypes = await zip.file('[Content_Types].xml').async('string');
+  const chart = await zip.file('xl/charts/chart1.xml').async('string');
+  check('Summary has a drawing with two charts', summaryXml.includes('<drawing r:id="rIdCharts"/>') &&
+    !!zip.file('xl/charts/chart2.xml') && contentTypes.includes('/xl/charts/chart2.xml'));
+  check('Rating chart refers to the summary', chart.includes('<c:barChart>') && chart.includes('&apos;Сводка&apos;!$F$5:$F$6') &&
+    (chart.match(/F59E0B/g) || []).length === 2 && !chart.includes('10B981'));
+}
+
+async function testCommand() {
+  console.log('\n⚙️  /exportmonthly\n');
+
+  const denied = await runCommand('/exportmonthly', Number(ALICE.telegramId));
+  check('Employees cannot export', denied.replies[0].includes('нет прав'));
+
+  const invalid = await runCommand('/exportmonthly 03.2025');
+  check('Invalid month is rejected', invalid.replies[0].includes('Формат'));
+
+  const missing = await runCommand('/exportmonthly 2024-01');
+  check('Month without a report', missing.replies.some(r => r.includes('нет')) && missing.documents.length === 0);
+
+  const ok = await runCommand(`/exportmonthly ${MONTH}`);
+  const doc = ok.documents[0];
+  check('Workbook is sent', doc && doc.filename === `monthly_report_${MONTH}.xlsx` && Buffer.isBuffer(doc.source) &&
+    doc.caption.includes('Компаний: 2') && doc.caption.includes('Красная зона: 1'));
+
+  const manager = await runCommand(`/exportmonthly ${MONTH}`, Number(MANAGER.telegramId));
+  check('Managers get their company only', manager.documents[0] && manager.documents[0].caption.includes('Сотрудников: 1'));
+}
+
+async function run() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 MONTHLY EXPORT TEST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await seed();
+    await testMonthData();
+    await testWorkbook();
+    await testCommand();
+  } catch (error) {
+    failed++;
+    console.log(`❌ Unexpected error: ${error.stack}`);
+  } finally {
+    await sheetsService.disconnect().catch(() => {});
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbPath + suffix, { force: true });
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,199 @@
+/**
+ * Test script to verify night shifts that cross midnight, and end-of-day archiving
+ * that is postponed or interrupted and resumed after a restart
+ * Uses a throwaway SQLite database as storage and a fake clock.
+ * Run with: node test-night-shift.js
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const dbPath = path.join(os.tmpdir(), `attendance-night-test-${process.pid}.db`);
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = dbPath;
+process.env.STORAGE_MIRROR_TO_SHEETS = 'false';
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.GOOGLE_SHEETS_ID = '';
+
+const moment = require('moment-timezone');
+const Config = require('./src/config');
+const CalculatorService = require('./src/services/calculator.service');
+const sheetsService = require('./src/services/sheets.service');
+const schedulerService = require('./src/services/scheduler.service');
+const historyService = require('./src/services/history.service');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+// Fake clock: every moment() created by the services uses this time
+function setNow(dateTime) {
+  const fixed = moment.tz(dateTime, 'YYYY-MM-DD HH:mm', Config.TIMEZONE).valueOf();
+  moment.now = () => fixed;
+}
+
+const SHIFT_DAY = '2025-03-04'; // Tuesday
+const NEXT_DAY = '2025-03-05';
+
+function testCalculator() {
+  console.log('\n🧮 Night shift time parsing\n');
+
+  const workTime = CalculatorService.parseWorkTime('22:00-06:00', SHIFT_DAY);
+  check('Night shift ends on the next day', workTime.end.format('YYYY-MM-DD HH:mm') === `${NEXT_DAY} 06:00`);
+  check('Night shift duration is positive', workTime.end.diff(workTime.start, 'minutes') === 480);
+  check('22:00-06:00 is an overnight shift', CalculatorService.isOvernightShift(workTime));
+  check('09:00-18:00 is not an overnight shift', !CalculatorService.isOvernightShift(CalculatorService.parseWorkTime('09:00-18:00', SHIFT_DAY)));
+
+  check('Time before midnight stays on the shift day',
+    CalculatorService.parseShiftTime('21:50:00', SHIFT_DAY, workTime).format('YYYY-MM-DD HH:mm') === `${SHIFT_DAY} 21:50`);
+  check('Time after midnight moves to the next day',
+    CalculatorService.parseShiftTime('05:30', SHIFT_DAY, workTime).format('YYYY-MM-DD HH:mm') === `${NEXT_DAY} 05:30`);
+  check('Day shifts keep times on the same day',
+    CalculatorService.parseShiftTime('05:30', SHIFT_DAY, CalculatorService.parseWorkTime('09:00-18:00', SHIFT_DAY)).format('YYYY-MM-DD') === SHIFT_DAY);
+}
+
+async function getRow(sheetName, telegramId) {
+  const { rows } = await sheetsService._getCachedDailySheet(sheetName);
+  return rows.find(row => row.get('TelegramId') === telegramId);
+}
+
+async function testShiftFlow() {
+  console.log('\n🌙 Arrival and departure across midnight\n');
+
+  await sheetsService.connect();
+  const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+  await roster.setHeaderRow(['Name full', 'Work time', 'Telegram name', 'Company', 'Telegram user name', 'Telegram Id', 'Do not work in Saturday']);
+  await roster.addRows([
+    ['Night Worker', '22:00-06:00', 'Night', 'ACME', 'night', '301', 'no'],
+    ['Late Night Worker', '22:00-06:00', 'Late', 'ACME', 'late', '302', 'no']
+  ]);
+
+  setNow(`${SHIFT_DAY} 21:55`);
+  await sheetsService.initializeDailySheet(SHIFT_DAY);
+  await sheetsService.logEvent(301, 'Night Worker', 'ARRIVAL', '', 0);
+  let row = await getRow(SHIFT_DAY, '301');
+  check('Arrival before shift start is on time', row.get('Came on time') === 'Yes');
+
+  // 00:01 - the new day's sheet is created
+  setNow(`${NEXT_DAY} 00:30`);
+  await sheetsService.initializeDailySheet(NEXT_DAY);
+
+  check('After midnight the running shift keeps yesterday\'s sheet', await sheetsService.getShiftDate(301) === SHIFT_DAY);
+  const status = await sheetsService.getUserStatusToday(301);
+  check('Status shows the night shift arrival', status.hasArrived && status.shiftDate === SHIFT_DAY);
+
+  check('Archiving waits for running night shifts', await schedulerService.countNightShiftsInProgress(SHIFT_DAY) === 2);
+  await schedulerService.handleEndOfDay(SHIFT_DAY, false);
+  check('Postponed day waits for the retry job', schedulerService._pendingEndOfDay.has(SHIFT_DAY) &&
+    !!sheetsService.doc.sheetsByTitle[SHIFT_DAY]);
+
+  // The bot restarts while the day is postponed
+  schedulerService._pendingEndOfDay.clear();
+  const restored = schedulerService.restorePendingEndOfDay();
+  check('Postponed day is queued again after a restart', restored.join() === SHIFT_DAY &&
+    schedulerService._pendingEndOfDay.has(SHIFT_DAY));
+  check('Today\'s sheet is not queued', !schedulerService._pendingEndOfDay.has(NEXT_DAY));
+
+  // Late arrival after midnight belongs to the shift that started yesterday
+  await sheetsService.logEvent(302, 'Late Night Worker', 'ARRIVAL', '', 0);
+  row = await getRow(SHIFT_DAY, '302');
+  check('Late arrival after midnight lands on yesterday\'s record', !!row.get('When come'));
+  check('Late arrival after midnight counts as late', row.get('Came on time') === 'No');
+  const nextDayRow = await getRow(NEXT_DAY, '302');
+  check('Today\'s record stays untouched', !nextDayRow.get('When come'));
+
+  setNow(`${NEXT_DAY} 06:05`);
+  await sheetsService.logEvent(301, 'Night Worker', 'DEPARTURE', '', 0);
+  row = await getRow(SHIFT_DAY, '301');
+  check('Departure lands on the arrival record', !!row.get('Leave time'));
+  check('Hours worked span midnight', row.get('Hours worked') === '8.17', `got ${row.get('Hours worked')}`);
+  check('Leaving after shift end is not early', row.get('Left early') === 'No');
+
+  check('Finished shift stays visible in the morning', await sheetsService.getShiftDate(301) === SHIFT_DAY);
+  setNow(`${NEXT_DAY} 15:00`);
+  check('Switches to today\'s sheet before the next shift', await sheetsService.getShiftDate(301) === NEXT_DAY);
+
+  setNow(`${NEXT_DAY} 06:10`);
+  check('Late worker still counts as running', await schedulerService.countNightShiftsInProgress(SHIFT_DAY) === 1);
+  await sheetsService.logEvent(302, 'Late Night Worker', 'DEPARTURE', '', 0);
+  check('Archiving can run once every night shift is over', await schedulerService.countNightShiftsInProgress(SHIFT_DAY) === 0);
+}
+
+/**
+ * Monthly report totals of an employee
+ */
+async function getMonthlyTotals(telegramId) {
+  const worksheet = await sheetsService.getWorksheet(`Report_${SHIFT_DAY.slice(0, 7)}`);
+  const row = (await worksheet.getRows()).find(r => r.get('Telegram ID') === telegramId);
+  return ['Days Worked', 'Late Arrivals (Silent)', 'Total Hours Worked', 'Total Hours Required', 'Total Penalty Minutes', 'Total Points']
+    .map(column => `${column}=${row.get(column)}`).join(', ');
+}
+
+async function testInterruptedArchiving() {
+  console.log('\n🗄  Archiving interrupted after the transfer\n');
+
+  schedulerService.bot = { telegram: { sendMessage: async () => {} } };
+  const archiveDay = historyService.archiveDay;
+  historyService.archiveDay = async () => { throw new Error('quota exceeded'); };
+
+  setNow(`${NEXT_DAY} 06:20`);
+  await schedulerService.handleEndOfDay(SHIFT_DAY, false);
+  const totals = await getMonthlyTotals('301');
+  const lateTotals = await getMonthlyTotals('302');
+  check('Day is transferred to the monthly report', totals.includes('Days Worked=1') && lateTotals.includes('Late Arrivals (Silent)=1'), totals);
+  check('Daily sheet is kept when archiving fails', !!sheetsService.doc.sheetsByTitle[SHIFT_DAY]);
+
+  // Restart with archiving still failing, then once it works again
+  schedulerService._pendingEndOfDay.clear();
+  schedulerService.restorePendingEndOfDay();
+  setNow(`${NEXT_DAY} 06:30`);
+  await schedulerService.handleEndOfDay(SHIFT_DAY, false);
+  check('Retry does not transfer the day again', await getMonthlyTotals('301') === totals && await getMonthlyTotals('302') === lateTotals,
+    await getMonthlyTotals('301'));
+
+  historyService.archiveDay = archiveDay;
+  schedulerService._pendingEndOfDay.clear();
+  check('Day is queued again after the next restart', schedulerService.restorePendingEndOfDay().join() === SHIFT_DAY);
+  setNow(`${NEXT_DAY} 06:40`);
+  await schedulerService.handleEndOfDay(SHIFT_DAY, false);
+  check('Monthly totals stay the same', await getMonthlyTotals('301') === totals && await getMonthlyTotals('302') === lateTotals);
+  check('Retry archives the day', (await historyService.getDayValues(SHIFT_DAY, '301'))['Leave time'] !== undefined);
+  check('Archived daily sheet is deleted', !sheetsService.doc.sheetsByTitle[SHIFT_DAY] && schedulerService._pendingEndOfDay.size === 0);
+}
+
+async function run() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 NIGHT SHIFT TEST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    testCalculator();
+    await testShiftFlow();
+    await testInterruptedArchiving();
+  } catch (error) {
+    failed++;
+    console.log(`❌ Unexpected error: ${error.stack}`);
+  } finally {
+    await sheetsService.disconnect().catch(() => {});
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbPath + suffix, { force: true });
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
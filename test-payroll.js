@@ -0,0 +1,245 @@
+/**
+ * Test script to verify payroll: pay rates, salary and hourly payslips, absence and deficit
+ * deductions, overtime crediting, the CSV/XLSX export, /payroll, /payslip and the API endpoint
+ * Uses a throwaway SQLite database as storage and a fake clock.
+ * Run with: node test-payroll.js
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const dbPath = path.join(os.tmpdir(), `attendance-payroll-test-${process.pid}.db`);
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = dbPath;
+process.env.STORAGE_MIRROR_TO_SHEETS = 'false';
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.GOOGLE_SHEETS_ID = '';
+process.env.ADMIN_TELEGRAM_IDS = '900';
+process.env.API_TOKENS = 'hr:hr-secret-token';
+process.env.PAYROLL_CURRENCY = 'UZS';
+process.env.PAYROLL_OVERTIME_RATE = '1.5';
+process.env.PAYROLL_ABSENCE_DEDUCTION_DAYS = '1';
+process.env.PAYROLL_DEFICIT_RATE = '1';
+
+const express = require('express');
+const XLSX = require('xlsx');
+const moment = require('moment-timezone');
+const Config = require('./src/config');
+const sheetsService = require('./src/services/sheets.service');
+const payrollService = require('./src/services/payroll.service');
+const { setupPayrollHandlers } = require('./src/bot/handlers/payroll.handler');
+const { setupApiRoutes } = require('./src/api/api.routes');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+// Fake clock: every moment() created by the services uses this time
+function setNow(dateTime) {
+  const fixed = moment.tz(dateTime, 'YYYY-MM-DD HH:mm', Config.TIMEZONE).valueOf();
+  moment.now = () => fixed;
+}
+
+const MONTH = '2025-03';
+const SALARY = { telegramId: '1601', nameFull: 'Salary Worker' };
+const HOURLY = { telegramId: '1602', nameFull: 'Hourly Worker' };
+const OVERTIME = { telegramId: '1603', nameFull: 'Overtime Worker' };
+const NO_RATE = { telegramId: '1604', nameFull: 'No Rate Worker' };
+
+// Monthly report values per employee: 20 work days, 160 hours required
+const REPORT = {
+  [SALARY.telegramId]: { days: 18, absentSilent: 2, hours: 142, deficit: 180, surplus: 60, penalty: 30 },
+  [HOURLY.telegramId]: { days: 20, absentSilent: 0, hours: 165, deficit: 30, surplus: 330, penalty: 0 },
+  [OVERTIME.telegramId]: { days: 20, absentSilent: 0, hours: 170, deficit: 60, surplus: 660, penalty: 0 },
+  [NO_RATE.telegramId]: { days: 20, absentSilent: 0, hours: 160, deficit: 0, surplus: 0, penalty: 0 }
+};
+
+let server = null;
+
+// Bot stub that collects command handlers
+const commands = {};
+setupPayrollHandlers({ command: (name, handler) => { commands[name] = handler; } });
+
+async function runCommand(name, text, fromId) {
+  const replies = [];
+  const documents = [];
+  await commands[name]({
+    from: { id: fromId },
+    message: { text },
+    reply: async (message) => replies.push(message),
+    replyWithDocument: async (file, extra = {}) => documents.push({ ...file, caption: extra.caption })
+  });
+  return { replies, documents };
+}
+
+async function seed() {
+  await sheetsService.connect();
+
+  const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+  await roster.setHeaderRow(['Name full', 'Work time', 'Telegram name', 'Company', 'Telegram user name', 'Telegram Id', 'Do not work in Saturday']);
+  await roster.addRows([SALARY, HOURLY, OVERTIME, NO_RATE].map(e =>
+    [e.nameFull, '09:00-17:00', e.nameFull.split(' ')[0], 'ACME', e === HOURLY ? '@hourly_one' : '', e.telegramId, 'yes']));
+
+  setNow(`${MONTH}-31 20:00`);
+  await sheetsService.initializeMonthlyReport(MONTH);
+  const report = await sheetsService.getWorksheet(`Report_${MONTH}`);
+  for (const row of await report.getRows()) {
+    const values = REPORT[row.get('Telegram ID')];
+    if (!values) continue;
+    row.set('Total Work Days', 20);
+    row.set('Total Hours Required', 160);
+    row.set('Days Worked', values.days);
+    row.set('Days Absent', values.absentSilent);
+    row.set('Days Absent (Silent)', values.absentSilent);
+    row.set('Total Hours Worked', values.hours);
+    row.set('Total Deficit Minutes', values.deficit);
+    row.set('Total Surplus Minutes', values.surplus);
+    row.set('Total Penalty Minutes', values.penalty);
+    await row.save();
+  }
+
+  const rates = await payrollService._getWorksheet();
+  await rates.addRows([
+    [SALARY.telegramId, SALARY.nameFull, 'monthly', '3 200 000', '', '', ''],
+    [HOURLY.telegramId, HOURLY.nameFull, 'hourly', '20000', '2', '0,5', ''],
+    [OVERTIME.telegramId, OVERTIME.nameFull, 'оклад', '1600000', '', '', ''],
+    ['9999', 'Broken', 'weekly', '100', '', '', '']
+  ]);
+}
+
+async function testPayslips() {
+  console.log('\n💰 Payslips\n');
+
+  const rates = await payrollService.getRates();
+  check('Valid rate rows are read', rates.size === 3 && rates.get(SALARY.telegramId).rate === 3200000 &&
+    rates.get(OVERTIME.telegramId).payType === 'monthly');
+
+  const payroll = await payrollService.getPayroll(MONTH);
+  const slip = id => payroll.payslips.find(p => p.telegramId === id);
+
+  // Salary: 3 200 000 / 20 days = 160 000 a day, / 160 h = 20 000 an hour
+  const salary = slip(SALARY.telegramId);
+  check('Salary is the base pay', salary.basePay === 3200000 && salary.hourlyRate === 20000);
+  check('Unexcused absences deduct a day of pay each', salary.absenceDeduction === 320000, salary.absenceDeduction);
+  check('Net deficit is deducted at the hourly rate', salary.deficitHours === 2 && salary.deficitDeduction === 40000, JSON.stringify(salary));
+  check('No overtime with time left to work off', salary.overtimePay === 0 && salary.overtimeHours === 0);
+  check('Net pay', salary.netPay === 3200000 - 320000 - 40000, salary.netPay);
+
+  // Hourly: 165 h × 20 000, 5 h net overtime with a ×2 rate pays the 1× premium on top
+  const hourly = slip(HOURLY.telegramId);
+  check('Hourly pay covers the hours worked', hourly.basePay === 3300000);
+  check('Overtime is credited at the row rate', hourly.overtimeHours === 5 && hourly.overtimePay === 100000, JSON.stringify(hourly));
+  check('Hourly pay has no deficit fine by default', hourly.deficitDeduction === 0);
+
+  // Salary with 10 h net overtime: 1 600 000 / 160 = 10 000 an hour × 1.5
+  const overtime = slip(OVERTIME.telegramId);
+  check('Salary overtime uses PAYROLL_OVERTIME_RATE', overtime.overtimeHours === 10 && overtime.overtimePay === 150000 &&
+    overtime.netPay === 1750000, JSON.stringify(overtime));
+
+  check('Employees without a rate are listed', payroll.missing.length === 1 && payroll.missing[0].telegramId === NO_RATE.telegramId);
+  check('Total is the sum of net pay', payroll.total === salary.netPay + hourly.netPay + overtime.netPay);
+  check('Month without a report is null', (await payrollService.getPayroll('2025-01')) === null);
+
+  const text = payrollService.formatPayslip(salary, MONTH);
+  check('Payslip message', text.includes('03.2025') && text.includes('3 200 000') && text.includes('Прогулы (2 дн.)') &&
+    text.includes('2 840 000'), text);
+}
+
+async function testExport() {
+  console.log('\n📤 Export\n');
+
+  const payroll = await payrollService.getPayroll(MONTH);
+  const csv = payrollService.buildCsv(payroll);
+  const lines = csv.trim().split('\r\n');
+  check('CSV has a BOM and a header', csv.startsWith('\uFEFFTelegram ID,Name,') && lines.length === 4);
+  check('CSV rows have every column', lines.every(line => line.split(',').length === lines[0].split(',').length));
+
+  const workbook = XLSX.read(payrollService.buildXlsx(payroll), { type: 'buffer' });
+  const rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1 });
+  const header = rows[0];
+  const total = rows[rows.length - 1];
+  check('XLSX has a row per employee and a total', rows.length === 6 && total[0] === 'Total' &&
+    total[header.indexOf('Net pay')] === payroll.total, JSON.stringify(total));
+}
+
+async function testCommands() {
+  console.log('\n⚙️  Commands\n');
+
+  const denied = await runCommand('payroll', '/payroll', Number(SALARY.telegramId));
+  check('Employees cannot export payroll', denied.replies[0].includes('нет прав'));
+
+  const exported = await runCommand('payroll', `/payroll ${MONTH}`, 900);
+  check('/payroll sends XLSX and CSV', exported.documents.length === 2 &&
+    exported.documents[0].filename === `payroll_${MONTH}.xlsx` && exported.documents[1].filename === `payroll_${MONTH}.csv`);
+  check('/payroll caption has the total and missing rates', exported.documents[0].caption.includes('К выплате') &&
+    exported.documents[0].caption.includes(NO_RATE.nameFull));
+
+  const own = await runCommand('payslip', `/payslip ${MONTH}`, Number(HOURLY.telegramId));
+  check('/payslip shows the own payslip', own.replies[0].includes(HOURLY.nameFull) && own.replies[0].includes('Почасовая'));
+
+  const other = await runCommand('payslip', `/payslip ${SALARY.telegramId} ${MONTH}`, Number(HOURLY.telegramId));
+  check('Employees cannot see other payslips', other.replies[0].includes('нет прав'));
+
+  const hr = await runCommand('payslip', `/payslip @hourly_one ${MONTH}`, 900);
+  check('HR sees payslips by username', hr.replies[0].includes(HOURLY.nameFull));
+
+  const none = await runCommand('payslip', `/payslip ${MONTH}`, Number(NO_RATE.telegramId));
+  check('No rate, no payslip', none.replies[0].includes('нет'));
+}
+
+async function testApi() {
+  console.log('\n🔌 API\n');
+
+  const app = express();
+  setupApiRoutes(app, { telegram: { sendMessage: async () => {} } });
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  const url = `http://127.0.0.1:${server.address().port}/api/payroll/${MONTH}`;
+  const headers = { Authorization: 'Bearer hr-secret-token' };
+
+  const json = await (await fetch(url, { headers })).json();
+  check('API returns payslips', json.payslips.length === 3 && json.missing.length === 1);
+
+  const csv = await fetch(`${url}?format=csv`, { headers });
+  check('API serves the CSV', csv.headers.get('content-type').startsWith('text/csv') &&
+    (await csv.text()).includes(SALARY.nameFull));
+}
+
+async function run() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 PAYROLL TEST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await seed();
+    await testPayslips();
+    await testExport();
+    await testCommands();
+    await testApi();
+  } catch (error) {
+    failed++;
+    console.log(`❌ Unexpected error: ${error.stack}`);
+  } finally {
+    if (server) server.close();
+    await sheetsService.disconnect().catch(() => {});
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbPath + suffix, { force: true });
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
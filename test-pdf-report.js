@@ -0,0 +1,189 @@
+/**
+ * Test script to verify the PDF reports: report format option and setting, per-company
+ * sections with page breaks, the daily and monthly PDF and the scheduled daily report
+ * Uses a throwaway SQLite database as storage and a fake clock.
+ * Run with: node test-pdf-report.js
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const dbPath = path.join(os.tmpdir(), `attendance-pdf-test-${process.pid}.db`);
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = dbPath;
+process.env.STORAGE_MIRROR_TO_SHEETS = 'false';
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.GOOGLE_SHEETS_ID = '';
+process.env.ADMIN_TELEGRAM_IDS = '900';
+process.env.REPORT_FORMAT = 'html';
+
+const moment = require('moment-timezone');
+const Config = require('./src/config');
+const sheetsService = require('./src/services/sheets.service');
+const schedulerService = require('./src/services/scheduler.service');
+const pdfReportService = require('./src/services/pdfReport.service');
+const { NO_COMPANY } = require('./src/services/pdfReport.service');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+// Fake clock: every moment() created by the services uses this time
+function setNow(dateTime) {
+  const fixed = moment.tz(dateTime, 'YYYY-MM-DD HH:mm', Config.TIMEZONE).valueOf();
+  moment.now = () => fixed;
+}
+
+/**
+ * Number of pages of a PDF
+ * @param {Buffer} pdf
+ * @returns {number}
+ */
+function pageCount(pdf) {
+  return (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+}
+
+const DAY = '2025-03-12'; // Wednesday
+
+async function seed() {
+  await sheetsService.connect();
+
+  const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+  await roster.setHeaderRow(['Name full', 'Work time', 'Telegram name', 'Company', 'Telegram user name', 'Telegram Id', 'Do not work in Saturday']);
+  await roster.addRows([
+    ['Alice Acme', '09:00-18:00', 'Alice', 'ACME', '@alice', '2001', 'yes'],
+    ['Bob Acme', '09:00-18:00', 'Bob', 'ACME', '@bob', '2002', 'yes'],
+    ['Carol Beta', '09:00-18:00', 'Carol', 'Beta', '@carol', '2003', 'yes'],
+    ['Dan Freelance', '09:00-18:00', 'Dan', '', '@dan', '2004', 'yes']
+  ]);
+
+  setNow(`${DAY} 08:00`);
+  await sheetsService.initializeDailySheet(DAY);
+  setNow(`${DAY} 08:55`);
+  await sheetsService.logEvent(2001, 'Alice Acme', 'ARRIVAL');
+  await sheetsService.logEvent(2003, 'Carol Beta', 'ARRIVAL');
+  setNow(`${DAY} 09:40`);
+  await sheetsService.logEvent(2002, 'Bob Acme', 'ARRIVAL');
+}
+
+async function getDailyRows() {
+  const worksheet = await sheetsService.getWorksheet(DAY);
+  await worksheet.loadHeaderRow();
+  return worksheet.getRows();
+}
+
+async function testFormat() {
+  console.log('\n⚙️  Report format\n');
+
+  check('HTML by default', pdfReportService.resolveFormat() === 'html');
+  check('Command option picks the format', pdfReportService.resolveFormat('PDF') === 'pdf' && pdfReportService.resolveFormat('html') === 'html');
+  check('Unknown option is rejected', pdfReportService.resolveFormat('docx') === null);
+
+  Config.REPORT_FORMAT = 'pdf';
+  check('REPORT_FORMAT setting is the default', pdfReportService.resolveFormat() === 'pdf' && pdfReportService.resolveFormat('html') === 'html');
+  Config.REPORT_FORMAT = 'html';
+}
+
+async function testDaily() {
+  console.log('\n📅 Daily PDF\n');
+
+  const rows = await getDailyRows();
+  const summary = pdfReportService.summarizeDaily(rows);
+  check('Daily totals', summary.total === 4 && summary.present === 3 && summary.late === 1 && summary.absent === 0,
+    JSON.stringify(summary));
+
+  const groups = pdfReportService.groupByCompany(rows, row => (row.get('Name') || '').split(' ')[1]);
+  check('Companies are sorted', groups.map(g => g.company).join() === 'Acme,Beta,Freelance');
+  const withEmpty = pdfReportService.groupByCompany(rows, row => (row.get('TelegramId') === '2004' ? '' : 'Zeta'));
+  check('Employees without a company come last', withEmpty.map(g => g.company).join() === `Zeta,${NO_COMPANY}`);
+
+  const pdf = await pdfReportService.buildDaily(rows, DAY, moment.tz(Config.TIMEZONE));
+  check('Daily report is a PDF', Buffer.isBuffer(pdf) && pdf.subarray(0, 5).toString() === '%PDF-');
+  check('Every company starts on a new page', pageCount(pdf) === 3, pageCount(pdf));
+
+  // One company with more rows than fit on a page
+  const many = [];
+  for (let i = 0; i < 80; i++) {
+    const values = { 'Name': `Worker ${i}`, 'TelegramId': '2001', 'When come': '09:00', 'Came on time': 'Yes', 'Point': '1' };
+    many.push({ get: column => values[column] });
+  }
+  const long = await pdfReportService.buildDaily(many, DAY, moment.tz(Config.TIMEZONE));
+  check('Long tables continue on the next page', pageCount(long) >= 2, pageCount(long));
+}
+
+async function testMonthly() {
+  console.log('\n📊 Monthly PDF\n');
+
+  await schedulerService.transferDailyDataToMonthly(DAY);
+  const report = await sheetsService.getWorksheet('Report_2025-03');
+  await report.loadHeaderRow();
+  const rows = await report.getRows();
+
+  const zones = pdfReportService.summarizeMonthly(rows);
+  check('Rating zones are counted', zones.green + zones.yellow + zones.red === rows.length && rows.length === 4, JSON.stringify(zones));
+
+  const pdf = await pdfReportService.buildMonthly(rows, '2025-03', moment.tz(Config.TIMEZONE));
+  check('Monthly report is a PDF', pdf.subarray(0, 5).toString() === '%PDF-');
+  check('Monthly report has a page per company', pageCount(pdf) === 3, pageCount(pdf));
+}
+
+async function testScheduledReport() {
+  console.log('\n📬 Scheduled daily report\n');
+
+  const sent = [];
+  schedulerService.bot = {
+    telegram: {
+      sendDocument: async (chatId, file, options) => sent.push({ chatId, file, caption: options.caption, filename: file.filename || options.filename })
+    }
+  };
+
+  await schedulerService._sendDailyReport(DAY, await getDailyRows(), [900]);
+  check('HTML report when REPORT_FORMAT=html', sent.length === 1 && sent[0].filename === `daily_report_${DAY}.html`);
+
+  sent.length = 0;
+  Config.REPORT_FORMAT = 'pdf';
+  await schedulerService._sendDailyReport(DAY, await getDailyRows(), [900, 901]);
+  Config.REPORT_FORMAT = 'html';
+  check('PDF report when REPORT_FORMAT=pdf', sent.length === 2 && sent.every(s => s.filename === `daily_report_${DAY}.pdf` &&
+    Buffer.isBuffer(s.file.source)));
+  check('PDF caption has the totals', sent[0] && sent[0].caption.includes('Присутствуют: 3') && sent[0].caption.includes('Опоздали: 1'));
+}
+
+async function run() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 PDF REPORT TEST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await seed();
+    await testFormat();
+    await testDaily();
+    await testMonthly();
+    await testScheduledReport();
+  } catch (error) {
+    failed++;
+    console.log(`❌ Unexpected error: ${error.stack}`);
+  } finally {
+    await sheetsService.disconnect().catch(() => {});
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbPath + suffix, { force: true });
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
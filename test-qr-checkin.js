@@ -0,0 +1,232 @@
+/**
+ * Test script to verify QR check-in: per-site check-in methods, signed rotating
+ * tokens and the arrival recorded from a scanned QR code
+ * Uses a throwaway SQLite database as storage and a fake clock for the daily sheet.
+ * Run with: node test-qr-checkin.js
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const dbPath = path.join(os.tmpdir(), `attendance-qr-test-${process.pid}.db`);
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = dbPath;
+process.env.STORAGE_MIRROR_TO_SHEETS = 'false';
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.GOOGLE_SHEETS_ID = '';
+process.env.ADMIN_TELEGRAM_IDS = '900';
+process.env.QR_TOKEN_SECONDS = '30';
+process.env.QR_SECRET = 'qr-test-secret';
+process.env.PUBLIC_URL = 'https://bot.example.com/';
+process.env.ENABLE_LOCATION_TRACKING = 'true';
+
+const moment = require('moment-timezone');
+const Config = require('./src/config');
+const sheetsService = require('./src/services/sheets.service');
+const correctionService = require('./src/services/correction.service');
+const geofenceService = require('./src/services/geofence.service');
+const qrCheckinService = require('./src/services/qrCheckin.service');
+const { setupQrHandlers } = require('./src/bot/handlers/qr.handler');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+// Fake clock: every moment() created by the services uses this time
+function setNow(dateTime) {
+  const fixed = moment.tz(dateTime, 'YYYY-MM-DD HH:mm', Config.TIMEZONE).valueOf();
+  moment.now = () => fixed;
+}
+
+const DAY = '2025-03-12'; // Wednesday
+const PERIOD = 30 * 1000;
+
+const OFFICE_WORKER = { telegramId: '1101', nameFull: 'Office Worker' };
+const BRANCH_WORKER = { telegramId: '1102', nameFull: 'Branch Worker' };
+const FIELD_WORKER = { telegramId: '1103', nameFull: 'Field Worker' };
+
+// Bot that only collects the command handlers
+const commands = {};
+const bot = {
+  command: (name, handler) => { commands[name] = handler; }
+};
+
+/**
+ * Send a command to the collected handlers
+ * @returns {Object} { replies, photos, nextCalled }
+ */
+async function runCommand(name, fromId, text, payload = '') {
+  const result = { replies: [], photos: [], nextCalled: false };
+  const ctx = {
+    from: { id: parseInt(fromId) },
+    message: { text },
+    payload,
+    botInfo: { username: 'attendance_test_bot' },
+    reply: async (message) => result.replies.push(message),
+    replyWithPhoto: async (photo, extra) => result.photos.push({ photo, caption: extra.caption })
+  };
+  await commands[name](ctx, async () => { result.nextCalled = true; });
+  return result;
+}
+
+async function getRow(telegramId) {
+  const record = await correctionService.getDayRecord(DAY, telegramId);
+  return record.row;
+}
+
+async function seed() {
+  await sheetsService.connect();
+
+  const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+  await roster.setHeaderRow(['Name full', 'Work time', 'Telegram name', 'Company', 'Telegram user name', 'Telegram Id', 'Do not work in Saturday', 'Team', 'Sites']);
+  await roster.addRows([
+    [OFFICE_WORKER.nameFull, '09:00-18:00', 'Office', 'ACME', '', OFFICE_WORKER.telegramId, 'yes', '', 'Офис'],
+    [BRANCH_WORKER.nameFull, '09:00-18:00', 'Branch', 'ACME', '', BRANCH_WORKER.telegramId, 'yes', '', 'Филиал'],
+    [FIELD_WORKER.nameFull, '09:00-18:00', 'Field', 'ACME', '', FIELD_WORKER.telegramId, 'yes', '', 'Объект']
+  ]);
+
+  const sites = await geofenceService._getWorksheet();
+  await sites.addRows([
+    { 'Name': 'Офис', 'Latitude': '41.303198', 'Longitude': '69.314425', 'Methods': 'both' },
+    { 'Name': 'Филиал', 'Latitude': '41.285', 'Longitude': '69.204', 'Methods': 'QR' },
+    { 'Name': 'Объект', 'Latitude': '41.23', 'Longitude': '69.21' },
+    { 'Name': 'Склад', 'Latitude': '41.31', 'Longitude': '69.25', 'Methods': 'wifi' }
+  ]);
+
+  setNow(`${DAY} 08:00`);
+  await sheetsService.initializeDailySheet(DAY);
+  setupQrHandlers(bot);
+}
+
+async function testMethods() {
+  console.log('\n🗺  Check-in methods\n');
+
+  const sites = await geofenceService.getSites();
+  const byName = name => sites.find(site => site.name === name);
+
+  check('"both" accepts GPS and QR', byName('Офис').methods.join() === 'gps,qr');
+  check('Methods are case-insensitive', byName('Филиал').methods.join() === 'qr');
+  check('Empty Methods means GPS', byName('Объект').methods.join() === 'gps');
+  check('Unknown methods fall back to GPS', byName('Склад').methods.join() === 'gps');
+  check('Sites are filtered by method', geofenceService.filterByMethod(sites, 'qr').map(s => s.name).join() === 'Офис,Филиал');
+}
+
+async function testTokens() {
+  console.log('\n🔐 Tokens\n');
+
+  const sites = await geofenceService.getSites();
+  const office = sites.find(site => site.name === 'Офис');
+  const field = sites.find(site => site.name === 'Объект');
+  const now = Date.now();
+
+  const token = qrCheckinService.createToken(office, now);
+  check('Token fits a deep link', /^[A-Za-z0-9_-]{1,64}$/.test(token) && qrCheckinService.isToken(token));
+  check('Fresh token is valid', qrCheckinService.verifyToken(token, sites, now).site === office);
+  check('Token changes every period', qrCheckinService.createToken(office, now + PERIOD) !== token);
+  check('Previous code is still accepted', qrCheckinService.verifyToken(token, sites, now + PERIOD).valid);
+  check('Older codes expire', qrCheckinService.verifyToken(token, sites, now + 2 * PERIOD).reason === 'expired');
+
+  const forged = token.slice(0, -1) + (token.endsWith('0') ? '1' : '0');
+  check('Forged signature is rejected', qrCheckinService.verifyToken(forged, sites, now).reason === 'invalid');
+  check('Garbage is rejected', qrCheckinService.verifyToken('qr_hello', sites, now).reason === 'invalid');
+
+  const ghost = qrCheckinService.createToken({ name: 'Снесённый склад' }, now);
+  check('Token of a removed site is rejected', qrCheckinService.verifyToken(ghost, sites, now).reason === 'unknown_site');
+  check('GPS-only sites reject QR codes', qrCheckinService.verifyToken(qrCheckinService.createToken(field, now), sites, now).reason === 'not_qr');
+
+  const url = qrCheckinService.getDisplayUrl(office);
+  check('Screen URL uses PUBLIC_URL', url.startsWith('https://bot.example.com/qr/'));
+  check('Screen key finds its site', await qrCheckinService.findSiteByDisplayKey(url.split('/').pop()) === office);
+  check('GPS sites have no screen', await qrCheckinService.findSiteByDisplayKey(qrCheckinService.getDisplayKey(field)) === null);
+
+  const page = await qrCheckinService.buildDisplayPage(office, 'attendance_test_bot', now);
+  check('Screen page shows the code and reloads', page.includes('<svg') && page.includes('http-equiv="refresh"') && page.includes('Офис'));
+}
+
+async function testCheckIn() {
+  console.log('\n📷 Check-in with a QR code\n');
+
+  const sites = await geofenceService.getSites();
+  const office = sites.find(site => site.name === 'Офис');
+  const branch = sites.find(site => site.name === 'Филиал');
+
+  setNow(`${DAY} 08:55`);
+  const other = await runCommand('start', OFFICE_WORKER.telegramId, '/start');
+  check('Plain /start goes to registration', other.nextCalled);
+
+  const scan = await runCommand('start', OFFICE_WORKER.telegramId, '/start', qrCheckinService.createToken(office));
+  check('Scan checks the employee in', scan.replies.some(r => r.includes('Приход отмечен')), scan.replies.join(' | '));
+
+  const row = await getRow(OFFICE_WORKER.telegramId);
+  check('Arrival time is saved', row.get('When come') !== '' && row.get('Came on time') === 'Yes', `${row.get('When come')} ${row.get('Came on time')}`);
+  check('Site and QR status are saved', row.get('Arrival Site') === 'Офис' && row.get('Arrival Verification Status') === 'QR');
+
+  const again = await runCommand('start', OFFICE_WORKER.telegramId, '/start', qrCheckinService.createToken(office));
+  check('Second scan is refused', again.replies.some(r => r.includes('уже отметили приход')));
+
+  const wrongSite = await runCommand('start', BRANCH_WORKER.telegramId, '/start', qrCheckinService.createToken(office));
+  check('Code of another site is refused', wrongSite.replies[0].includes('не подходит') &&
+    (await getRow(BRANCH_WORKER.telegramId)).get('When come') === '');
+
+  const expired = await runCommand('start', BRANCH_WORKER.telegramId, '/start', qrCheckinService.createToken(branch, Date.now() - 3 * PERIOD));
+  check('Old code is refused', expired.replies[0].includes('устарел'));
+
+  const stranger = await runCommand('start', '999999', '/start', qrCheckinService.createToken(branch));
+  check('Unregistered users are asked to register', stranger.replies[0].includes('не зарегистрированы'));
+}
+
+async function testAdminCommand() {
+  console.log('\n🖥  /qr\n');
+
+  const denied = await runCommand('qr', BRANCH_WORKER.telegramId, '/qr');
+  check('Only admins get the codes', denied.replies[0].includes('нет прав'));
+
+  const all = await runCommand('qr', '900', '/qr');
+  check('Every QR site gets its code', all.photos.length === 2 && Buffer.isBuffer(all.photos[0].photo.source));
+  check('Caption has the screen link', all.photos[0].caption.includes('https://bot.example.com/qr/'));
+
+  const one = await runCommand('qr', '900', '/qr филиал');
+  check('Site can be picked by name', one.photos.length === 1 && one.photos[0].caption.includes('Филиал'));
+
+  const gps = await runCommand('qr', '900', '/qr Объект');
+  check('GPS sites have no code', gps.photos.length === 0 && gps.replies[0].includes('не найдено'));
+}
+
+async function run() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 QR CHECK-IN TEST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await seed();
+    await testMethods();
+    await testTokens();
+    await testCheckIn();
+    await testAdminCommand();
+  } catch (error) {
+    failed++;
+    console.log(`❌ Unexpected error: ${error.stack}`);
+  } finally {
+    await sheetsService.disconnect().catch(() => {});
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbPath + suffix, { force: true });
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,313 @@
+/**
+ * Test script to verify re-verification: a failed location check asks for a second
+ * check (live location or a selfie) and cancels the arrival only if that fails too
+ * Uses a throwaway SQLite database as storage and a fake clock for the daily sheet.
+ * Run with: node test-reverification.js
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const dbPath = path.join(os.tmpdir(), `attendance-reverify-test-${process.pid}.db`);
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = dbPath;
+process.env.STORAGE_MIRROR_TO_SHEETS = 'false';
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.GOOGLE_SHEETS_ID = '';
+process.env.ADMIN_TELEGRAM_IDS = '900';
+process.env.OFFICE_LATITUDE = '41.303198';
+process.env.OFFICE_LONGITUDE = '69.314425';
+process.env.GEOFENCE_RADIUS_METERS = '200';
+process.env.REVERIFY_TIMEOUT_MINUTES = '10';
+process.env.ANOMALY_RULES_DRY_RUN = 'false';
+
+const moment = require('moment-timezone');
+const Config = require('./src/config');
+const sheetsService = require('./src/services/sheets.service');
+const correctionService = require('./src/services/correction.service');
+const locationTrackerService = require('./src/services/locationTracker.service');
+const trackingStoreService = require('./src/services/trackingStore.service');
+const anomalyRulesService = require('./src/services/anomalyRules.service');
+const {
+  setupReverificationHandlers,
+  startReverification,
+  completeReverification,
+  restorePendingReverifications
+} = require('./src/bot/handlers/reverification.handler');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+// Fake clock: every moment() created by the services uses this time
+function setNow(dateTime) {
+  const fixed = moment.tz(dateTime, 'YYYY-MM-DD HH:mm', Config.TIMEZONE).valueOf();
+  moment.now = () => fixed;
+}
+
+const DAY = '2025-03-12'; // Wednesday
+const OFFICE = { latitude: 41.303198, longitude: 69.314425, accuracy: 10 };
+
+const LIVE = { telegramId: '1001', nameFull: 'Live Worker' };
+const SILENT = { telegramId: '1002', nameFull: 'Silent Worker' };
+const SELFIE = { telegramId: '1003', nameFull: 'Selfie Worker' };
+const REJECTED = { telegramId: '1004', nameFull: 'Rejected Worker' };
+const RESTARTED = { telegramId: '1005', nameFull: 'Restarted Worker' };
+const EMPLOYEES = [LIVE, SILENT, SELFIE, REJECTED, RESTARTED];
+
+// Telegram API that records what the bot sends
+const sent = [];
+const telegram = {
+  sendMessage: async (chatId, text) => sent.push({ chatId: chatId.toString(), text }),
+  sendPhoto: async (chatId, photo, extra) => sent.push({ chatId: chatId.toString(), photo, text: extra.caption, extra })
+};
+
+// Bot that only collects the handlers
+const handlers = { on: {}, actions: [] };
+const bot = {
+  telegram,
+  on: (event, handler) => { handlers.on[event] = handler; },
+  action: (pattern, handler) => handlers.actions.push({ pattern, handler })
+};
+
+function messagesTo(telegramId) {
+  return sent.filter(m => m.chatId === telegramId);
+}
+
+/**
+ * Telegraf-like context of an employee message
+ */
+function messageCtx(telegramId, message) {
+  const replies = [];
+  return {
+    from: { id: parseInt(telegramId) },
+    message,
+    telegram,
+    replies,
+    reply: async (text) => replies.push(text)
+  };
+}
+
+/**
+ * Press an inline button as a staff member
+ */
+async function press(data, fromId, caption = '') {
+  const answers = [];
+  const ctx = {
+    from: { id: fromId, username: 'boss' },
+    callbackQuery: { message: { caption } },
+    telegram,
+    answers,
+    answerCbQuery: async (text) => answers.push(text),
+    editMessageCaption: async () => {},
+    editMessageReplyMarkup: async () => {}
+  };
+  for (const { pattern, handler } of handlers.actions) {
+    ctx.match = data.match(pattern);
+    if (ctx.match) await handler(ctx);
+  }
+  return answers;
+}
+
+async function getRow(telegramId) {
+  const record = await correctionService.getDayRecord(DAY, telegramId);
+  return record.row;
+}
+
+/**
+ * Analysis of a failed first check
+ */
+function failedAnalysis() {
+  const anomaly = anomalyRulesService.apply(
+    { type: 'LEFT_GEOFENCE', severity: 'CRITICAL', description: 'Вы покинули рабочую зону' },
+    anomalyRulesService.getRule('LEFT_GEOFENCE')
+  );
+  return {
+    hasAnomaly: true,
+    anomalyCount: 1,
+    severity: 'CRITICAL',
+    anomalies: [anomaly],
+    summary: 'Покинул рабочую зону',
+    ...anomalyRulesService.decide([anomaly])
+  };
+}
+
+async function seed() {
+  await sheetsService.connect();
+
+  const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+  await roster.setHeaderRow(['Name full', 'Work time', 'Telegram name', 'Company', 'Telegram user name', 'Telegram Id', 'Do not work in Saturday']);
+  await roster.addRows(EMPLOYEES.map(e =>
+    [e.nameFull, '09:00-18:00', e.nameFull.split(' ')[0], 'ACME', '', e.telegramId, 'yes']
+  ));
+
+  setNow(`${DAY} 08:00`);
+  await sheetsService.initializeDailySheet(DAY);
+
+  setNow(`${DAY} 08:55`);
+  for (const employee of EMPLOYEES) {
+    await sheetsService.logEvent(employee.telegramId, employee.nameFull, 'ARRIVAL');
+  }
+
+  setNow(`${DAY} 09:00`);
+  setupReverificationHandlers(bot);
+}
+
+async function testStart() {
+  console.log('\n🔄 Asking for a second check\n');
+
+  const analysis = failedAnalysis();
+  check('CRITICAL anomalies re-verify by default', analysis.action === 'reverify');
+
+  await startReverification(telegram, LIVE.telegramId, { id: 'first-session' }, analysis);
+
+  const row = await getRow(LIVE.telegramId);
+  check('Arrival is kept while waiting', row.get('When come') !== '' && row.get('Absent') !== 'Yes');
+  check('Row is marked REVERIFY', row.get('Arrival Verification Status') === 'REVERIFY');
+  check('Request is logged', (row.get('Arrival Verification Log') || '').includes('запрошена повторная проверка'));
+
+  const toEmployee = messagesTo(LIVE.telegramId);
+  check('Employee is asked to verify again', toEmployee.length === 1 && toEmployee[0].text.includes('10 минут'));
+  check('Staff are alerted', messagesTo('900').some(m => m.text.includes('ПОВТОРНАЯ ПРОВЕРКА')));
+
+  const pending = await trackingStoreService.getPendingRequests(['reverify']);
+  check('Challenge is saved for a restart', pending.some(p => p.telegramId === LIVE.telegramId));
+  check('Location requests ignore challenges', (await trackingStoreService.getPendingRequests(['checkin', 'checkout'])).length === 0);
+}
+
+async function testLiveLocation() {
+  console.log('\n📍 Second check with live location\n');
+
+  const staticCtx = messageCtx(LIVE.telegramId, { location: { latitude: OFFICE.latitude, longitude: OFFICE.longitude } });
+  await handlers.on.location(staticCtx, () => {});
+  check('Static location is not accepted', staticCtx.replies[0].includes('не онлайн'));
+
+  let passedOn = false;
+  const otherCtx = messageCtx(SILENT.telegramId, { location: { ...OFFICE, live_period: 900 } });
+  await handlers.on.location(otherCtx, () => { passedOn = true; });
+  check('Other employees go to the next handler', passedOn && otherCtx.replies.length === 0);
+
+  const liveCtx = messageCtx(LIVE.telegramId, {
+    location: { latitude: OFFICE.latitude, longitude: OFFICE.longitude, horizontal_accuracy: 10, live_period: 900 }
+  });
+  await handlers.on.location(liveCtx, () => {});
+  const session = locationTrackerService.getSession(LIVE.telegramId);
+  check('Live location starts a re-verification session', session && session.purpose === 'reverify');
+  check('Employee is told the check runs', liveCtx.replies[0].includes('повторная проверка'));
+
+  locationTrackerService.addLocationUpdate(LIVE.telegramId, { ...OFFICE });
+  locationTrackerService.addLocationUpdate(LIVE.telegramId, { ...OFFICE });
+  const stopped = locationTrackerService.stopTracking(LIVE.telegramId, 'COMPLETED');
+  await completeReverification(telegram, LIVE.telegramId, stopped.session.id, stopped.analysis);
+
+  const row = await getRow(LIVE.telegramId);
+  check('Passed second check confirms the arrival', row.get('Arrival Verification Status') === 'OK' && row.get('Absent') !== 'Yes');
+  check('Outcome is logged', (row.get('Arrival Verification Log') || '').split('\n').length === 3 &&
+    row.get('Arrival Verification Log').includes('пройдена: онлайн-местоположение'));
+}
+
+async function testTimeout() {
+  console.log('\n⏰ No answer\n');
+
+  Config.REVERIFY_TIMEOUT_MINUTES = 0.001; // 60 ms
+  await startReverification(telegram, SILENT.telegramId, { id: 'silent-session' }, failedAnalysis());
+  Config.REVERIFY_TIMEOUT_MINUTES = 10;
+  await new Promise(resolve => setTimeout(resolve, 1500));
+
+  const row = await getRow(SILENT.telegramId);
+  check('Arrival is cancelled without an answer', row.get('Absent') === 'Yes' && row.get('Point') === '-2.0');
+  check('Row is flagged', row.get('Arrival Verification Status') === 'FLAGGED');
+  check('Timeout is logged', (row.get('Arrival Verification Log') || '').includes('нет ответа'));
+  check('Employee can appeal', messagesTo(SILENT.telegramId).some(m => m.text.includes('ОТКЛОНЕНА')));
+}
+
+async function testSelfie() {
+  console.log('\n🤳 Second check with a selfie\n');
+
+  await startReverification(telegram, SELFIE.telegramId, { id: 'selfie-session' }, failedAnalysis());
+  await startReverification(telegram, REJECTED.telegramId, { id: 'rejected-session' }, failedAnalysis());
+
+  for (const employee of [SELFIE, REJECTED]) {
+    const ctx = messageCtx(employee.telegramId, { photo: [{ file_id: 'small' }, { file_id: `selfie-${employee.telegramId}` }] });
+    await handlers.on.photo(ctx, () => {});
+  }
+
+  const photo = sent.find(m => m.chatId === '900' && m.photo === `selfie-${SELFIE.telegramId}`);
+  check('Selfie goes to staff with decision buttons', photo &&
+    JSON.stringify(photo.extra.reply_markup).includes(`reverify_ok:${SELFIE.telegramId}`));
+  check('Row waits for review', (await getRow(SELFIE.telegramId)).get('Arrival Verification Status') === 'REVIEW');
+
+  const denied = await press(`reverify_ok:${SELFIE.telegramId}`, 12345);
+  check('Only staff with alerts can decide', denied[0].includes('нет прав'));
+
+  await press(`reverify_ok:${SELFIE.telegramId}`, 900);
+  const approved = await getRow(SELFIE.telegramId);
+  check('Approved selfie confirms the arrival', approved.get('Arrival Verification Status') === 'OK' && approved.get('Absent') !== 'Yes');
+  check('Decision is logged with who made it', approved.get('Arrival Verification Log').includes('селфи подтверждено @boss'));
+
+  const again = await press(`reverify_fail:${SELFIE.telegramId}`, 900);
+  check('Decided selfies cannot be decided again', again[0].includes('уже принято'));
+
+  await press(`reverify_fail:${REJECTED.telegramId}`, 900);
+  const rejected = await getRow(REJECTED.telegramId);
+  check('Rejected selfie cancels the arrival', rejected.get('Absent') === 'Yes' && rejected.get('Arrival Verification Status') === 'FLAGGED');
+}
+
+async function testRestart() {
+  console.log('\n🔁 Restart\n');
+
+  // Saved 20 minutes ago by the previous run of the bot
+  const state = { requestTime: Date.now() - 20 * 60 * 1000, user: RESTARTED, sessionId: 'old', summary: '', anomalies: [], step: 'waiting' };
+  await trackingStoreService.savePendingRequest('reverify', RESTARTED.telegramId, state);
+  trackingStoreService.invalidate();
+
+  const resumed = await restorePendingReverifications(bot);
+  check('Waiting challenges are resumed', resumed === 1);
+  check('Expired window is renewed', messagesTo(RESTARTED.telegramId).some(m => m.text.includes('перезапущен')));
+
+  const ctx = messageCtx(RESTARTED.telegramId, { photo: [{ file_id: 'restarted-selfie' }] });
+  await handlers.on.photo(ctx, () => {});
+  check('Resumed challenge accepts a selfie', ctx.replies[0].includes('Селфи отправлено'));
+}
+
+async function run() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 RE-VERIFICATION TEST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await seed();
+    await testStart();
+    await testLiveLocation();
+    await testTimeout();
+    await testSelfie();
+    await testRestart();
+  } catch (error) {
+    failed++;
+    console.log(`❌ Unexpected error: ${error.stack}`);
+  } finally {
+    locationTrackerService.clearAllSessions();
+    await trackingStoreService.flush().catch(() => {});
+    await sheetsService.disconnect().catch(() => {});
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbPath + suffix, { force: true });
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,210 @@
+/**
+ * Test script to verify staff roles, scoped permissions and scoped report delivery
+ * Uses a throwaway SQLite database as storage and a fake clock.
+ * Run with: node test-roles.js
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const dbPath = path.join(os.tmpdir(), `attendance-roles-test-${process.pid}.db`);
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = dbPath;
+process.env.STORAGE_MIRROR_TO_SHEETS = 'false';
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.GOOGLE_SHEETS_ID = '';
+process.env.ADMIN_TELEGRAM_IDS = '900';
+
+const moment = require('moment-timezone');
+const Config = require('./src/config');
+const sheetsService = require('./src/services/sheets.service');
+const schedulerService = require('./src/services/scheduler.service');
+const roleService = require('./src/services/role.service');
+const leaveService = require('./src/services/leave.service');
+const auditService = require('./src/services/audit.service');
+const Keyboards = require('./src/bot/keyboards/buttons');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+// Fake clock: every moment() created by the services uses this time
+function setNow(dateTime) {
+  const fixed = moment.tz(dateTime, 'YYYY-MM-DD HH:mm', Config.TIMEZONE).valueOf();
+  moment.now = () => fixed;
+}
+
+async function expectError(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+const DAY = '2025-03-12'; // Wednesday
+const SUPER = { name: '@boss', telegramId: 900 };
+
+const sorted = ids => [...ids].map(Number).sort((a, b) => a - b);
+
+async function seed() {
+  await sheetsService.connect();
+
+  // No "Role" column yet - /setrole adds it
+  const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+  await roster.setHeaderRow(['Name full', 'Work time', 'Telegram name', 'Company', 'Telegram user name', 'Telegram Id', 'Do not work in Saturday', 'Team']);
+  await roster.addRows([
+    ['Big Boss', '09:00-18:00', 'Big', 'ACME', '@boss', '900', 'yes', ''],
+    ['Hanna HR', '09:00-18:00', 'Hanna', 'ACME', '@hanna', '901', 'yes', ''],
+    ['Max Manager', '09:00-18:00', 'Max', 'ACME', '@max', '902', 'yes', ''],
+    ['Lena Lead', '09:00-18:00', 'Lena', 'ACME', '@lena', '903', 'yes', 'Alpha'],
+    ['Alpha Worker', '09:00-18:00', 'Alpha', 'ACME', '@alpha', '911', 'yes', 'Alpha'],
+    ['Beta Worker', '09:00-18:00', 'Beta', 'ACME', '@beta', '912', 'yes', 'Beta'],
+    ['Globex Worker', '09:00-18:00', 'Globex', 'Globex', '@globex', '913', 'yes', 'Alpha'],
+    ['Plain Worker', '09:00-18:00', 'Plain', 'Globex', '@plain', '914', 'yes', 'Beta']
+  ]);
+}
+
+async function testAssignment() {
+  console.log('\n🔑 Assigning roles\n');
+  setNow(`${DAY} 08:00`);
+
+  check('Env admins are super-admins', await roleService.getRole(900) === 'super_admin');
+  check('Employees have no role', await roleService.getRole(911) === null && !(await roleService.can(911, 'reports')));
+
+  check('Role names are normalized',
+    roleService.normalizeRole('Team lead') === 'team_lead' && roleService.normalizeRole('super-admin') === 'super_admin' &&
+    roleService.normalizeRole(' HR ') === 'hr' && roleService.normalizeRole('boss') === null);
+
+  const result = await roleService.setRole(901, 'hr', SUPER);
+  check('Role is assigned', result.name === 'Hanna HR' && result.oldRole === null && result.role === 'hr');
+  await roleService.setRole(902, 'manager', SUPER);
+
+  const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+  await roster.loadHeaderRow();
+  check('Role column is added to the roster', roster.headerValues.includes('Role'));
+
+  // Roles typed into the sheet by hand
+  const rows = await roster.getRows();
+  const lead = rows.find(r => r.get('Telegram Id') === '903');
+  lead.set('Role', 'Team lead');
+  await lead.save();
+  sheetsService._invalidateRosterCache();
+  roleService.invalidate();
+
+  check('Roles are read from the roster', await roleService.getRole(901) === 'hr' && await roleService.getRole(903) === 'team_lead');
+
+  let error = await expectError(roleService.setRole(900, 'hr', SUPER));
+  check('Env admins cannot be changed', error && error.message.includes('ADMIN_TELEGRAM_IDS'));
+
+  error = await expectError(roleService.setRole(999, 'hr', SUPER));
+  check('Unknown employees are rejected', error && error.message.includes('не найден'));
+
+  error = await expectError(roleService.setRole(914, 'king', SUPER));
+  check('Unknown roles are rejected', error && error.message.includes('роль'));
+
+  await roleService.setRole(914, 'team_lead', SUPER);
+  await roleService.setRole(914, null, SUPER);
+  check('Role can be removed', await roleService.getRole(914) === null);
+
+  const audit = await auditService.getEntries({ telegramId: '914', action: 'set_role' });
+  check('Role changes are audited', audit.length === 2 && audit.every(e => e.changedBy === '@boss') && audit[0].oldValue === 'team_lead');
+}
+
+async function testPermissions() {
+  console.log('\n🛡 Permissions and scope\n');
+
+  check('HR has corrections and leaves, not system', await roleService.can(901, 'corrections') && await roleService.can(901, 'leaves') && !(await roleService.can(901, 'system')));
+  check('Managers and leads only have reports, broadcast and alerts',
+    await roleService.can(902, 'reports') && await roleService.can(903, 'broadcast') &&
+    !(await roleService.can(902, 'corrections')) && !(await roleService.can(903, 'holidays')) && !(await roleService.can(903, 'roles')));
+  check('Only super-admins manage roles', await roleService.can(900, 'roles') && !(await roleService.can(901, 'roles')));
+
+  check('HR sees everyone', await roleService.getScopedTelegramIds(await roleService.getScope(901)) === null);
+  check('Manager sees own company', sorted(await roleService.getScopedTelegramIds(await roleService.getScope(902))).join() === '900,901,902,903,911,912');
+  check('Team lead sees own team', sorted(await roleService.getScopedTelegramIds(await roleService.getScope(903))).join() === '903,911,913');
+
+  const alpha = await sheetsService.findEmployeeByTelegramId(911);
+  const globex = await sheetsService.findEmployeeByTelegramId(913);
+  const plain = await sheetsService.findEmployeeByTelegramId(914);
+  check('Alerts go to everyone responsible', sorted(await roleService.getRecipients('alerts', alpha)).join() === '900,901,902,903');
+  check('Alerts skip managers of other companies', sorted(await roleService.getRecipients('alerts', globex)).join() === '900,901,903');
+  check('Alerts without a lead or manager go to admins and HR', sorted(await roleService.getRecipients('alerts', plain)).join() === '900,901');
+  check('Appeals go to admins and HR', sorted(await roleService.getRecipients('corrections', alpha)).join() === '900,901');
+
+  check('HR can decide any leave request', await leaveService.canDecide({ telegramId: '914' }, 901));
+  check('Team lead cannot decide leave without being the manager', !(await leaveService.canDecide({ telegramId: '911' }, 903)));
+
+  const menu = JSON.stringify(Keyboards.getMainMenu(903));
+  check('Staff get the admin menu', menu.includes('📊 Отчёт за день') && !JSON.stringify(Keyboards.getMainMenu(911)).includes('📊 Отчёт за день'));
+}
+
+async function testScopedReports() {
+  console.log('\n📊 Scoped reports\n');
+
+  setNow(`${DAY} 08:00`);
+  await sheetsService.initializeDailySheet(DAY);
+  setNow(`${DAY} 08:55`);
+  await sheetsService.logEvent(911, 'Alpha Worker', 'ARRIVAL');
+  await sheetsService.logEvent(912, 'Beta Worker', 'ARRIVAL');
+
+  const worksheet = await sheetsService.getWorksheet(DAY);
+  await worksheet.loadHeaderRow();
+  const rows = await worksheet.getRows();
+  const leadRows = await roleService.filterRows(rows, await roleService.getScope(903), 'TelegramId');
+  check('Daily rows are filtered by scope', leadRows.map(r => r.get('TelegramId')).sort().join() === '903,911,913');
+
+  const sent = [];
+  schedulerService.bot = {
+    telegram: {
+      sendDocument: async (chatId, file, options) => sent.push({ chatId, caption: options.caption })
+    }
+  };
+
+  setNow(`${DAY} 23:00`);
+  await schedulerService.sendDailyReportToAdmins(DAY);
+
+  const caption = chatId => (sent.find(s => s.chatId === chatId) || {}).caption || '';
+  check('Every staff member gets one daily report', sorted(sent.map(s => s.chatId)).join() === '900,901,902,903');
+  check('Admins see all arrivals', caption(900).includes('Присутствуют: 2') && caption(901).includes('Присутствуют: 2'));
+  check('Team lead sees only the team', caption(903).includes('Присутствуют: 1'), caption(903));
+}
+
+async function run() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 ROLE-BASED ACCESS TEST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await seed();
+    await testAssignment();
+    await testPermissions();
+    await testScopedReports();
+  } catch (error) {
+    failed++;
+    console.log(`❌ Unexpected error: ${error.stack}`);
+  } finally {
+    await sheetsService.disconnect().catch(() => {});
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbPath + suffix, { force: true });
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,152 @@
+/**
+ * Test script to verify per-weekday and per-date work schedules
+ * Uses a throwaway SQLite database as storage (no Google credentials needed).
+ * Run with: node test-schedule.js
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const dbPath = path.join(os.tmpdir(), `attendance-schedule-test-${process.pid}.db`);
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = dbPath;
+process.env.STORAGE_MIRROR_TO_SHEETS = 'false';
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.GOOGLE_SHEETS_ID = '';
+
+const moment = require('moment-timezone');
+const Config = require('./src/config');
+const sheetsService = require('./src/services/sheets.service');
+const scheduleService = require('./src/services/schedule.service');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+function day(dateStr) {
+  return moment.tz(dateStr, 'YYYY-MM-DD', Config.TIMEZONE);
+}
+
+async function seed() {
+  await sheetsService.connect();
+
+  const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+  await roster.setHeaderRow(['Name full', 'Work time', 'Telegram name', 'Company', 'Telegram user name', 'Telegram Id', 'Do not work in Saturday']);
+  await roster.addRows([
+    ['Regular Worker', '09:00-18:00', 'Regular', 'ACME', 'regular', '101', 'yes'],
+    ['Shift Worker', '10:00-19:00', 'Shift', 'ACME', 'shift', '102', 'no'],
+    ['Named Worker', '09:00-18:00', 'Named', 'ACME', 'named', '103', 'no']
+  ]);
+
+  const schedule = await sheetsService.getWorksheet(Config.SHEET_SCHEDULE);
+  await schedule.setHeaderRow(scheduleService.SCHEDULE_HEADERS);
+  await schedule.addRows([
+    // Shift Worker: Tue-Sat, Monday off; from 2025-03-01 Saturday becomes a short day
+    { 'Name': 'Shift Worker', 'Telegram Id': '102', 'Mon': '-', 'Sat': '10:00-15:00' },
+    { 'Name': 'Shift Worker', 'Telegram Id': '102', 'Effective from': '2025-03-01', 'Mon': '-', 'Sat': '10:00-14:00' },
+    // Named Worker is matched by name only
+    { 'Name': 'named worker', 'Fri': '09:00-13:00' },
+    // Company-wide: shortened day and a holiday
+    { 'Name': '*', 'Date': '2025-02-14', 'Work time': '09:00-12:00' },
+    { 'Name': '*', 'Date': '2025-02-17', 'Work time': '-' },
+    // Personal override wins over the company-wide one
+    { 'Name': 'Regular Worker', 'Telegram Id': '101', 'Date': '2025-02-17', 'Work time': '12:00-16:00' }
+  ]);
+
+  scheduleService.invalidate();
+}
+
+async function testResolution() {
+  console.log('\n📅 Schedule resolution\n');
+
+  // 2025-02-10 is a Monday
+  let schedule = await scheduleService.getDaySchedule('101', day('2025-02-10'));
+  check('Roster hours used without schedule rows', schedule.isWorkDay && schedule.workTime === '09:00-18:00' && schedule.source === 'roster');
+
+  check('Sunday is a day off by default', await scheduleService.isDayOff('101', day('2025-02-09')));
+  check('Saturday off for "Do not work in Saturday"', await scheduleService.isDayOff('101', day('2025-02-15')));
+
+  schedule = await scheduleService.getDaySchedule('102', day('2025-02-10'));
+  check('Weekly pattern makes Monday a day off', !schedule.isWorkDay && schedule.source === 'pattern');
+
+  schedule = await scheduleService.getDaySchedule('102', day('2025-02-11'));
+  check('Empty weekday cell keeps roster hours', schedule.isWorkDay && schedule.workTime === '10:00-19:00');
+
+  schedule = await scheduleService.getDaySchedule('102', day('2025-02-22'));
+  check('Pattern hours used on Saturday', schedule.workTime === '10:00-15:00', `got ${schedule.workTime}`);
+
+  schedule = await scheduleService.getDaySchedule('102', day('2025-03-01'));
+  check('Later "Effective from" pattern takes over', schedule.workTime === '10:00-14:00', `got ${schedule.workTime}`);
+
+  schedule = await scheduleService.getDaySchedule('103', day('2025-02-21'));
+  check('Rows without Telegram Id match by name', schedule.workTime === '09:00-13:00', `got ${schedule.workTime}`);
+
+  schedule = await scheduleService.getDaySchedule('102', day('2025-02-14'));
+  check('"*" date override applies to everyone', schedule.workTime === '09:00-12:00' && schedule.source === 'override');
+
+  check('"*" holiday is a day off', await scheduleService.isDayOff('103', day('2025-02-17')));
+
+  schedule = await scheduleService.getDaySchedule('101', day('2025-02-17'));
+  check('Personal override wins over "*" override', schedule.isWorkDay && schedule.workTime === '12:00-16:00');
+}
+
+async function testDerivedValues() {
+  console.log('\n🧮 Derived values\n');
+
+  const workTime = await scheduleService.getScheduledWorkTime('102', day('2025-02-22'));
+  check('getScheduledWorkTime builds moments on the requested date',
+    workTime && workTime.start.format('YYYY-MM-DD HH:mm') === '2025-02-22 10:00' && workTime.end.format('HH:mm') === '15:00');
+
+  check('getScheduledWorkTime is null on a day off', await scheduleService.getScheduledWorkTime('102', day('2025-02-10')) === null);
+
+  const fallback = await scheduleService.getWorkTime('102', day('2025-02-10'));
+  check('getWorkTime falls back to roster hours on a day off', fallback && fallback.start.format('HH:mm') === '10:00');
+
+  check('Required minutes follow the override', await scheduleService.getRequiredMinutes('102', day('2025-02-14')) === 180);
+
+  // February 2025: 20 weekdays, Saturdays and Sundays off; the holiday on the 17th is overridden personally
+  const summary = await scheduleService.getMonthSummary('101', '2025-02');
+  check('Month summary counts scheduled work days', summary.totalWorkDays === 20, `got ${summary.totalWorkDays}`);
+  // 18 regular days × 9h + 14th (3h) + 17th personal override (4h)
+  check('Month summary sums scheduled hours', summary.totalHoursRequired === 169, `got ${summary.totalHoursRequired}`);
+
+  check('Someone works on a regular Monday', await scheduleService.isAnyoneWorking(day('2025-02-10')));
+  check('Nobody works on Sunday', !(await scheduleService.isAnyoneWorking(day('2025-02-09'))));
+}
+
+async function run() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 WORK SCHEDULE TEST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await seed();
+    await testResolution();
+    await testDerivedValues();
+  } catch (error) {
+    failed++;
+    console.log(`❌ Unexpected error: ${error.stack}`);
+  } finally {
+    await sheetsService.disconnect().catch(() => {});
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbPath + suffix, { force: true });
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,169 @@
+/**
+ * Test script to verify multi-site geofences
+ * Uses a throwaway SQLite database as storage.
+ * Run with: node test-sites.js
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const dbPath = path.join(os.tmpdir(), `attendance-sites-test-${process.pid}.db`);
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = dbPath;
+process.env.STORAGE_MIRROR_TO_SHEETS = 'false';
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.GOOGLE_SHEETS_ID = '';
+process.env.OFFICE_LATITUDE = '41.303198';
+process.env.OFFICE_LONGITUDE = '69.314425';
+process.env.GEOFENCE_RADIUS_METERS = '200';
+
+const Config = require('./src/config');
+const sheetsService = require('./src/services/sheets.service');
+const geofenceService = require('./src/services/geofence.service');
+const anomalyDetectorService = require('./src/services/anomalyDetector.service');
+const locationTrackerService = require('./src/services/locationTracker.service');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+const OFFICE = { latitude: 41.303198, longitude: 69.314425 };
+const BRANCH = { latitude: 41.285, longitude: 69.204 };
+// Roughly 400m x 500m construction site
+const CONSTRUCTION_POLYGON = '41.2300,69.2100; 41.2300,69.2160; 41.2336,69.2160; 41.2336,69.2100';
+const CONSTRUCTION_INSIDE = { latitude: 41.2318, longitude: 69.2130 };
+const CONSTRUCTION_OUTSIDE = { latitude: 41.2318, longitude: 69.2220 }; // ~500m east
+
+async function seed() {
+  await sheetsService.connect();
+
+  const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+  await roster.setHeaderRow(['Name full', 'Work time', 'Telegram name', 'Company', 'Telegram user name', 'Telegram Id', 'Do not work in Saturday', 'Team', 'Sites']);
+  await roster.addRows([
+    ['Office Worker', '09:00-18:00', 'Office', 'ACME', 'office', '601', 'yes', '', ''],
+    ['Builder', '09:00-18:00', 'Builder', 'ACME', 'builder', '602', 'yes', 'Стройка', ''],
+    ['Branch Manager', '09:00-18:00', 'Branch', 'ACME', 'branch', '603', 'yes', 'Стройка', 'Офис, филиал чиланзар']
+  ]);
+}
+
+function testDefaultOffice() {
+  console.log('\n🏢 Configured office\n');
+
+  const inside = geofenceService.checkOfficeGeofence({ latitude: 41.3035, longitude: 69.3146 });
+  check('Location near the office is inside', inside.isInside && inside.distance === 0 && inside.site.name === 'Офис');
+
+  const far = geofenceService.checkOfficeGeofence(BRANCH);
+  check('Distance is measured from the site boundary', !far.isInside && far.distance > 9000 && far.distance < 10000, `got ${far.distance}`);
+
+  check('Poor accuracy is not rejected', !anomalyDetectorService.detectWrongLocation({ latitude: 41.3055, longitude: 69.3144, accuracy: 500 }));
+  check('Far check-in is rejected', anomalyDetectorService.detectWrongLocation({ ...BRANCH, accuracy: 20 })?.type === 'WRONG_LOCATION');
+}
+
+function testPolygon() {
+  console.log('\n📐 Polygon sites\n');
+
+  const polygon = geofenceService.parsePolygon(CONSTRUCTION_POLYGON);
+  check('Polygon is parsed', polygon && polygon.length === 4);
+  check('Polygon needs at least 3 points', geofenceService.parsePolygon('41.23,69.21; 41.24,69.22') === null);
+
+  const site = { name: 'Объект', polygon, teams: [] };
+  check('Point inside the polygon', geofenceService.distanceOutsideSite(CONSTRUCTION_INSIDE, site) === 0);
+
+  const outside = geofenceService.distanceOutsideSite(CONSTRUCTION_OUTSIDE, site);
+  check('Distance to the nearest polygon edge', outside > 450 && outside < 550, `got ${outside}`);
+}
+
+async function testSitesSheet() {
+  console.log('\n🗺  Sites sheet and assignments\n');
+
+  const sitesSheet = await geofenceService._getWorksheet();
+  await sitesSheet.addRows([
+    { 'Name': 'Офис', 'Latitude': OFFICE.latitude, 'Longitude': OFFICE.longitude, 'Radius': '' },
+    { 'Name': 'Филиал Чиланзар', 'Latitude': BRANCH.latitude, 'Longitude': BRANCH.longitude, 'Radius': '300' },
+    { 'Name': 'Объект Сергели', 'Polygon': CONSTRUCTION_POLYGON, 'Teams': 'Стройка' },
+    { 'Name': 'Broken', 'Polygon': '1,2' }
+  ]);
+  geofenceService.invalidate();
+
+  const sites = await geofenceService.getSites();
+  check('Valid rows are loaded', sites.map(s => s.name).join(',') === 'Офис,Филиал Чиланзар,Объект Сергели',
+    `got ${sites.map(s => s.name).join(',')}`);
+  check('Empty radius uses the configured radius', sites[0].radius === 200 && sites[1].radius === 300);
+
+  const officeWorker = await sheetsService.findEmployeeByTelegramId(601);
+  const builder = await sheetsService.findEmployeeByTelegramId(602);
+  const branchManager = await sheetsService.findEmployeeByTelegramId(603);
+
+  const officeSites = await geofenceService.getAllowedSites(officeWorker);
+  check('Without team or sites only shared sites are allowed', geofenceService.formatSiteNames(officeSites) === 'Офис, Филиал Чиланзар');
+
+  const builderSites = await geofenceService.getAllowedSites(builder);
+  check('Team members get their team sites', geofenceService.formatSiteNames(builderSites) === 'Объект Сергели');
+
+  const managerSites = await geofenceService.getAllowedSites(branchManager);
+  check('Roster Sites win over the team (case-insensitive)', geofenceService.formatSiteNames(managerSites) === 'Офис, Филиал Чиланзар');
+
+  check('Branch check-in is accepted for shared sites', !anomalyDetectorService.detectWrongLocation({ ...BRANCH, accuracy: 10 }, officeSites));
+  check('Matched site is reported', geofenceService.checkOfficeGeofence(BRANCH, officeSites).site.name === 'Филиал Чиланзар');
+  check('Construction site is not allowed for office staff', !!anomalyDetectorService.detectWrongLocation({ ...CONSTRUCTION_INSIDE, accuracy: 10 }, officeSites));
+  check('Builder may check in at the construction site', !anomalyDetectorService.detectWrongLocation({ ...CONSTRUCTION_INSIDE, accuracy: 10 }, builderSites));
+  check('Builder may not check in at the office', !!anomalyDetectorService.detectWrongLocation({ ...OFFICE, accuracy: 10 }, builderSites));
+
+  // Tracking keeps the allowed sites for later updates
+  const start = locationTrackerService.startTracking(602, { ...CONSTRUCTION_INSIDE, accuracy: 10 }, 'Builder', builderSites);
+  check('Tracking starts without anomaly at an allowed site', start.success && !start.hasInitialAnomaly);
+  const update = locationTrackerService.addLocationUpdate(602, { ...CONSTRUCTION_OUTSIDE, accuracy: 10 });
+  check('Leaving the site is detected against allowed sites', update.newAnomalies.some(a => a.type === 'LEFT_GEOFENCE'));
+  locationTrackerService.forceStopTracking(602);
+}
+
+async function testArrivalSite() {
+  console.log('\n📝 Arrival row\n');
+
+  const today = await sheetsService.getShiftDate(601);
+  await sheetsService.initializeDailySheet(today);
+  await sheetsService.updateArrivalLocation(601, BRANCH, 12, 'Филиал Чиланзар');
+
+  const { rows } = await sheetsService._getCachedDailySheet(today);
+  const row = rows.find(r => r.get('TelegramId') === '601');
+  check('Site name is stored on the arrival row', row && row.get('Arrival Site') === 'Филиал Чиланзар');
+}
+
+async function run() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 MULTI-SITE GEOFENCE TEST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await seed();
+    testDefaultOffice();
+    testPolygon();
+    await testSitesSheet();
+    await testArrivalSite();
+  } catch (error) {
+    failed++;
+    console.log(`❌ Unexpected error: ${error.stack}`);
+  } finally {
+    await sheetsService.disconnect().catch(() => {});
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbPath + suffix, { force: true });
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,213 @@
+/**
+ * Test script to verify the SQLite storage backend
+ * Runs the regular sheets.service logic against a throwaway local database
+ * (no Google credentials needed), and the Google Sheets mirror against a second
+ * in-memory database standing in for the spreadsheet.
+ * Run with: node test-sqlite-storage.js
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const dbPath = path.join(os.tmpdir(), `attendance-test-${process.pid}.db`);
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = dbPath;
+process.env.STORAGE_MIRROR_TO_SHEETS = 'false';
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.GOOGLE_SHEETS_ID = '';
+
+const moment = require('moment-timezone');
+const Config = require('./src/config');
+const { SqliteDocument } = require('./src/services/storage/sqlite.adapter');
+const SheetsMirror = require('./src/services/storage/sheetsMirror');
+const sheetsService = require('./src/services/sheets.service');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+async function testAdapter() {
+  console.log('\n📦 Adapter: worksheet / row interface\n');
+
+  const doc = new SqliteDocument(':memory:');
+  await doc.loadInfo();
+
+  const sheet = await doc.addSheet({ title: 'People', headerValues: ['Name', 'Age'] });
+  check('addSheet registers sheet in sheetsByTitle', doc.sheetsByTitle['People'] === sheet);
+
+  await sheet.addRow({ Name: 'Ali', Age: 30, Unknown: 'ignored' });
+  await sheet.addRows([{ Name: 'Vali', Age: 25 }, ['Sami', 41]]);
+
+  let rows = await sheet.getRows();
+  check('getRows returns all rows', rows.length === 3, `got ${rows.length}`);
+  check('Values come back as strings like Google Sheets', rows[0].get('Age') === '30');
+  check('Unknown headers are ignored', rows[0].get('Unknown') === undefined);
+  check('Row numbers start at 2 (header is row 1)', rows[0].rowNumber === 2 && rows[2].rowNumber === 4);
+
+  rows[1].set('Age', 26);
+  await rows[1].save();
+  rows = await sheet.getRows();
+  check('row.save persists changes', rows[1].get('Age') === '26');
+
+  await rows[0].delete();
+  rows = await sheet.getRows();
+  check('row.delete removes row and shifts row numbers', rows.length === 2 && rows[0].get('Name') === 'Vali' && rows[0].rowNumber === 2);
+
+  const limited = await sheet.getRows({ offset: 1, limit: 1 });
+  check('getRows supports offset/limit', limited.length === 1 && limited[0].get('Name') === 'Sami' && limited[0].rowNumber === 3);
+
+  await sheet.loadCells();
+  sheet.getCell(2, 1).value = 42;
+  await sheet.saveUpdatedCells();
+  rows = await sheet.getRows();
+  check('Cell API updates the right row', rows[1].get('Age') === '42');
+
+  const empty = await doc.addSheet({ title: 'Empty' });
+  let headerError = null;
+  try {
+    await empty.loadHeaderRow();
+  } catch (error) {
+    headerError = error;
+  }
+  check('loadHeaderRow throws on sheet without headers', !!headerError);
+
+  const changes = [];
+  doc.onChange((title, deleted) => changes.push(`${title}:${deleted}`));
+  await empty.delete();
+  check('delete removes sheet', !doc.sheetsByTitle['Empty']);
+  check('Change listeners are notified', changes.includes('Empty:true'));
+
+  doc.close();
+}
+
+async function testSheetsServiceOnSqlite() {
+  console.log('\n🗄  sheets.service running on SQLite\n');
+
+  await sheetsService.connect();
+  check('connect() opens local document', sheetsService.doc instanceof SqliteDocument);
+
+  // Seed roster the way it looks in Google Sheets
+  const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+  await roster.setHeaderRow(['Name full', 'Work time', 'Telegram name', 'Company', 'Telegram user name', 'Telegram Id', 'Do not work in Saturday']);
+  await roster.addRows([
+    ['Test Worker', '09:00-18:00', 'Test', 'ACME', 'test_worker', '', 'no'],
+    ['Second Worker', '10:00-19:00', 'Second', 'ACME', 'second', '222', 'no']
+  ]);
+
+  const registered = await sheetsService.registerEmployee(2, 111);
+  check('registerEmployee writes Telegram Id through cell API', registered);
+
+  const employee = await sheetsService.findEmployeeByTelegramId(111);
+  check('findEmployeeByTelegramId finds registered employee', employee && employee.nameFull === 'Test Worker');
+
+  const today = moment.tz(Config.TIMEZONE).format('YYYY-MM-DD');
+  const initialized = await sheetsService.initializeDailySheet(today);
+  check('initializeDailySheet creates today\'s sheet', initialized && !!sheetsService.doc.sheetsByTitle[today]);
+
+  const { rows } = await sheetsService._getCachedDailySheet(today);
+  check('Daily sheet contains roster employees', rows.length === 2, `got ${rows.length}`);
+
+  await sheetsService.logEvent(111, 'Test Worker', 'ARRIVAL', '', 0);
+  const status = await sheetsService.getUserStatusToday(111);
+  check('logEvent ARRIVAL is visible in getUserStatusToday', status.hasArrived === true && !!status.arrivalTime);
+
+  // Reopen from disk to make sure data really persisted
+  await sheetsService.disconnect();
+  const reopened = new SqliteDocument(dbPath);
+  await reopened.loadInfo();
+  const dailySheet = reopened.sheetsByTitle[today];
+  const dailyRows = await dailySheet.getRows();
+  const row = dailyRows.find(r => r.get('TelegramId') === '111');
+  check('Arrival survives reopening the database', row && !!row.get('When come'));
+  reopened.close();
+}
+
+async function testMirror() {
+  console.log('\n🪞 Mirror: managed sheets are not overwritten\n');
+
+  const remote = new SqliteDocument(':memory:');
+  await remote.loadInfo();
+  const remoteRoster = await remote.addSheet({ title: 'Roster', headerValues: ['Name full', 'Work time', 'Telegram Id'] });
+  await remoteRoster.addRows([['Ali', '09:00-18:00', ''], ['Vali', '09:00-18:00', '']]);
+
+  const local = new SqliteDocument(':memory:');
+  await local.loadInfo();
+  const mirror = new SheetsMirror(local, { managedSheets: ['Roster'] });
+  mirror.remoteDoc = remote;
+  check('Managed sheet is imported', await mirror.importSheet('Roster') === 2);
+
+  // The bot registers Vali and writes a daily sheet; a manager edits the spreadsheet meanwhile
+  const localRoster = local.sheetsByTitle['Roster'];
+  const loaded = await localRoster.getRows();
+  loaded[1].set('Telegram Id', '222');
+  await loaded[1].save();
+  const daily = await local.addSheet({ title: '2025-03-12', headerValues: ['Name', 'When come'] });
+  await daily.addRow(['Ali', '09:00']);
+
+  let remoteRows = await remoteRoster.getRows();
+  remoteRows[0].set('Work time', '10:00-19:00');
+  await remoteRows[0].save();
+  await remoteRoster.addRow(['Sami', '08:00-17:00', '']);
+
+  await mirror.flush();
+
+  remoteRows = await remoteRoster.getRows();
+  check('Manager edits in Google Sheets are kept', remoteRows[0].get('Work time') === '10:00-19:00' && remoteRows.length === 3);
+  check('Cells the bot changed are written to Google Sheets', remoteRows[1].get('Telegram Id') === '222');
+  const localRows = await localRoster.getRows();
+  check('Manager edits reach the local database', localRows.length === 3 && localRows[0].get('Work time') === '10:00-19:00' &&
+    localRows[2].get('Name full') === 'Sami' && localRows[1].get('Telegram Id') === '222');
+  check('Bot sheets are still pushed', (await remote.sheetsByTitle['2025-03-12'].getRows())[0].get('When come') === '09:00');
+
+  // Imports update rows in place - row ids stay the same
+  check('Import keeps local rows', localRows[0]._id === loaded[0]._id && localRows[1]._id === loaded[1]._id);
+
+  localRows[0].set('Telegram Id', '111');
+  await localRows[0].save();
+  remoteRows[2].set('Work time', '07:00-16:00');
+  await remoteRows[2].save();
+  await mirror.flush();
+  remoteRows = await remoteRoster.getRows();
+  check('Only changed cells are written back', remoteRows[0].get('Telegram Id') === '111' &&
+    remoteRows[0].get('Work time') === '10:00-19:00' && remoteRows[2].get('Work time') === '07:00-16:00');
+
+  local.close();
+  remote.close();
+}
+
+async function run() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 SQLITE STORAGE BACKEND TEST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await testAdapter();
+    await testSheetsServiceOnSqlite();
+    await testMirror();
+  } catch (error) {
+    failed++;
+    console.log(`❌ Unexpected error: ${error.stack}`);
+  } finally {
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbPath + suffix, { force: true });
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  // sheets.service schedules delayed cache invalidations - don't wait for them
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
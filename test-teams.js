@@ -0,0 +1,212 @@
+/**
+ * Test script to verify teams: leads, default schedules and sites, per-team reports and chats
+ * Uses a throwaway SQLite database as storage and a fake clock.
+ * Run with: node test-teams.js
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const dbPath = path.join(os.tmpdir(), `attendance-teams-test-${process.pid}.db`);
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = dbPath;
+process.env.STORAGE_MIRROR_TO_SHEETS = 'false';
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.GOOGLE_SHEETS_ID = '';
+process.env.ADMIN_TELEGRAM_IDS = '900';
+process.env.DAILY_REPORT_GROUP_ID = '-1000';
+
+const moment = require('moment-timezone');
+const Config = require('./src/config');
+const sheetsService = require('./src/services/sheets.service');
+const schedulerService = require('./src/services/scheduler.service');
+const scheduleService = require('./src/services/schedule.service');
+const geofenceService = require('./src/services/geofence.service');
+const teamService = require('./src/services/team.service');
+const roleService = require('./src/services/role.service');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+// Fake clock: every moment() created by the services uses this time
+function setNow(dateTime) {
+  const fixed = moment.tz(dateTime, 'YYYY-MM-DD HH:mm', Config.TIMEZONE).valueOf();
+  moment.now = () => fixed;
+}
+
+const DAY = '2025-03-12'; // Wednesday
+const SATURDAY = '2025-03-15';
+
+async function seed() {
+  await sheetsService.connect();
+
+  const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+  await roster.setHeaderRow(['Name full', 'Work time', 'Telegram name', 'Company', 'Telegram user name', 'Telegram Id', 'Do not work in Saturday', 'Team', 'Sites']);
+  await roster.addRows([
+    ['Lena Lead', '09:00-18:00', 'Lena', 'ACME', '@lena', '903', 'no', 'alpha', ''],
+    ['Alpha Worker', '09:00-18:00', 'Alpha', 'ACME', '@alpha', '911', 'no', 'Alpha', ''],
+    ['Beta Worker', '09:00-18:00', 'Beta', 'ACME', '@beta', '912', 'yes', 'Beta', ''],
+    ['Solo Worker', '09:00-18:00', 'Solo', 'ACME', '@solo', '913', 'yes', '', ''],
+    ['Part Timer', '09:00-18:00', 'Part', 'ACME', '@part', '915', 'no', 'Alpha', '']
+  ]);
+
+  const teams = await teamService._getWorksheet();
+  await teams.addRows([
+    { 'Name': 'Alpha', 'Lead Telegram Id': '903', 'Work time': '10:00-19:00', 'Days off': 'Sat, вс', 'Sites': 'Branch', 'Chat Id': '-1001' },
+    { 'Name': 'Beta' },
+    { 'Name': 'Broken', 'Work time': 'soon', 'Days off': 'someday' }
+  ]);
+
+  const sites = await geofenceService._getWorksheet();
+  await sites.addRows([
+    { 'Name': 'Office', 'Latitude': '41.303198', 'Longitude': '69.314425' },
+    { 'Name': 'Branch', 'Latitude': '41.285', 'Longitude': '69.204' }
+  ]);
+
+  const schedule = await sheetsService.getWorksheet(Config.SHEET_SCHEDULE);
+  await schedule.setHeaderRow(scheduleService.SCHEDULE_HEADERS);
+  await schedule.addRows([
+    { 'Name': 'Part Timer', 'Telegram Id': '915', 'Wed': '08:00-12:00' }
+  ]);
+}
+
+async function testTeams() {
+  console.log('\n👥 Teams sheet\n');
+
+  const teams = await teamService.getTeams();
+  check('Teams are loaded', teams.map(t => t.name).join(',') === 'Alpha,Beta,Broken');
+
+  const alpha = await teamService.getTeam('ALPHA');
+  check('Teams are found case-insensitively', alpha && alpha.workTime === '10:00-19:00' && alpha.chatId === '-1001');
+  check('Days off accept English and Russian names', alpha.daysOff.join(',') === '6,0');
+
+  const broken = await teamService.getTeam('Broken');
+  check('Invalid work time and days off are ignored', broken.workTime === '' && broken.daysOff.length === 0);
+
+  const members = await teamService.getMembers('Alpha');
+  check('Members come from the roster Team column', members.map(r => r.get('Telegram Id')).sort().join() === '903,911,915');
+  check('Team leads are found', (await teamService.getTeamsLedBy(903)).join() === 'Alpha');
+}
+
+async function testSchedule() {
+  console.log('\n⏰ Team schedule\n');
+
+  let schedule = await scheduleService.getDaySchedule('911', DAY);
+  check('Team work time replaces roster hours', schedule.source === 'team' && schedule.workTime === '10:00-19:00');
+
+  schedule = await scheduleService.getDaySchedule('911', SATURDAY);
+  check('Team days off apply', !schedule.isWorkDay && schedule.source === 'team');
+
+  schedule = await scheduleService.getDaySchedule('915', DAY);
+  check('Personal pattern wins over the team', schedule.source === 'pattern' && schedule.workTime === '08:00-12:00');
+
+  schedule = await scheduleService.getDaySchedule('912', DAY);
+  check('Team without work time keeps roster hours', schedule.source === 'roster' && schedule.workTime === '09:00-18:00');
+
+  const summary = await scheduleService.getMonthSummary('911', '2025-03');
+  check('Monthly totals follow the team schedule', summary.totalWorkDays === 21 && summary.totalHoursRequired === 189,
+    `got ${summary.totalWorkDays} / ${summary.totalHoursRequired}`);
+}
+
+async function testSitesAndRoles() {
+  console.log('\n📍 Team sites and leads\n');
+
+  const alphaWorker = await sheetsService.findEmployeeByTelegramId(911);
+  const betaWorker = await sheetsService.findEmployeeByTelegramId(912);
+  check('Team sites are the default', geofenceService.formatSiteNames(await geofenceService.getAllowedSites(alphaWorker)) === 'Branch');
+  check('Teams without sites use shared sites', geofenceService.formatSiteNames(await geofenceService.getAllowedSites(betaWorker)) === 'Office, Branch');
+
+  check('Team leads get the team lead role', await roleService.getRole(903) === 'team_lead');
+  const scope = await roleService.getScope(903);
+  check('Team lead sees the team', [...await roleService.getScopedTelegramIds(scope)].sort().join() === '903,911,915');
+  check('Team lead gets alerts for members', (await roleService.getRecipients('alerts', alphaWorker)).includes(903) &&
+    !(await roleService.getRecipients('alerts', betaWorker)).includes(903));
+}
+
+async function testReports() {
+  console.log('\n📊 Per-team reports\n');
+
+  setNow(`${DAY} 08:00`);
+  await sheetsService.initializeDailySheet(DAY);
+  setNow(`${DAY} 09:55`);
+  await sheetsService.logEvent(911, 'Alpha Worker', 'ARRIVAL');
+  await sheetsService.logEvent(913, 'Solo Worker', 'ARRIVAL');
+  setNow(`${DAY} 09:30`);
+  await sheetsService.logEvent(912, 'Beta Worker', 'ARRIVAL');
+
+  const worksheet = await sheetsService.getWorksheet(DAY);
+  await worksheet.loadHeaderRow();
+  const rows = await worksheet.getRows();
+
+  const summary = await teamService.summarizeDaily(rows);
+  const byTeam = name => summary.find(s => s.team === name) || {};
+  check('Daily rows are grouped by team', summary.map(s => s.team).join() === `Alpha,Beta,${teamService.NO_TEAM}`,
+    summary.map(s => s.team).join());
+  check('Team arrival follows the team schedule', byTeam('Alpha').present === 1 && byTeam('Alpha').late === 0 && byTeam('Alpha').employees === 3);
+  check('Lateness is counted per team', byTeam('Beta').present === 1 && byTeam('Beta').late === 1);
+
+  const html = await teamService.buildBreakdownHtml(rows, 'daily');
+  check('HTML breakdown lists the teams', html.includes('По командам') && html.includes('<td>Alpha</td>'));
+
+  const sent = [];
+  schedulerService.bot = {
+    telegram: {
+      sendDocument: async (chatId, file, options) => sent.push({ chatId, filename: file.filename, caption: options.caption })
+    }
+  };
+  setNow(`${DAY} 23:59`);
+  await schedulerService.sendDailyReportToGroup(DAY);
+
+  const main = sent.find(s => s.chatId === '-1000');
+  const team = sent.find(s => s.chatId === '-1001');
+  check('Main group gets the whole day with a team breakdown', main && main.caption.includes('Присутствовали: 3') && main.caption.includes('По командам'));
+  check('Team chat gets only its members', team && team.caption.includes('Команда: Alpha') && team.caption.includes('Присутствовали: 1') &&
+    team.filename === `attendance_${DAY}_Alpha.xlsx`);
+  check('Teams without a chat get nothing', sent.length === 2);
+
+  await schedulerService.transferDailyDataToMonthly(DAY);
+  const report = await sheetsService.getWorksheet('Report_2025-03');
+  await report.loadHeaderRow();
+  const monthly = await teamService.summarizeMonthly(await report.getRows());
+  check('Monthly report is grouped by team', monthly.find(s => s.team === 'Beta').late === 1 && monthly.find(s => s.team === 'Alpha').employees === 3);
+}
+
+async function run() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 TEAMS TEST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await seed();
+    await testTeams();
+    await testSchedule();
+    await testSitesAndRoles();
+    await testReports();
+  } catch (error) {
+    failed++;
+    console.log(`❌ Unexpected error: ${error.stack}`);
+  } finally {
+    await sheetsService.disconnect().catch(() => {});
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbPath + suffix, { force: true });
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
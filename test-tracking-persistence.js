@@ -0,0 +1,227 @@
+/**
+ * Test script to verify that live-location tracking survives a restart:
+ * sessions and pending location requests are saved to the Tracking sheet and resumed
+ * Uses a throwaway SQLite database as storage.
+ * Run with: node test-tracking-persistence.js
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const dbPath = path.join(os.tmpdir(), `attendance-tracking-test-${process.pid}.db`);
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = dbPath;
+process.env.STORAGE_MIRROR_TO_SHEETS = 'false';
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.GOOGLE_SHEETS_ID = '';
+process.env.OFFICE_LATITUDE = '41.303198';
+process.env.OFFICE_LONGITUDE = '69.314425';
+process.env.GEOFENCE_RADIUS_METERS = '200';
+process.env.TRACKING_DURATION_MINUTES = '5';
+process.env.UPDATE_TIMEOUT_SECONDS = '60';
+process.env.MIN_UPDATES_FOR_VERIFICATION = '3';
+process.env.TRACKING_PERSIST_SECONDS = '60';
+
+const moment = require('moment-timezone');
+const Config = require('./src/config');
+const sheetsService = require('./src/services/sheets.service');
+const locationTrackerService = require('./src/services/locationTracker.service');
+const trackingStoreService = require('./src/services/trackingStore.service');
+const { restorePendingLocationRequests } = require('./src/bot/handlers/attendance.handler');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+const OFFICE = { latitude: 41.303198, longitude: 69.314425, accuracy: 10 };
+const MINUTE = 60 * 1000;
+
+async function seed() {
+  await sheetsService.connect();
+
+  const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+  await roster.setHeaderRow(['Name full', 'Work time', 'Telegram name', 'Company', 'Telegram user name', 'Telegram Id', 'Do not work in Saturday']);
+  await roster.addRows([
+    ['Fresh Worker', '09:00-18:00', 'Fresh', 'ACME', 'fresh', '701', 'yes'],
+    ['Stale Worker', '09:00-18:00', 'Stale', 'ACME', 'stale', '702', 'yes'],
+    ['Busy Worker', '09:00-18:00', 'Busy', 'ACME', 'busy', '703', 'yes'],
+    ['Late Worker', '09:00-18:00', 'Late', 'ACME', 'late', '704', 'yes']
+  ]);
+}
+
+/**
+ * Sheet rows of the Tracking sheet by Id
+ */
+async function trackingRows() {
+  const worksheet = await sheetsService.getWorksheet(Config.SHEET_TRACKING);
+  await worksheet.loadHeaderRow();
+  const rows = await worksheet.getRows();
+  return new Map(rows.map(row => [row.get('Id'), row]));
+}
+
+/**
+ * Forget everything kept in memory, as after a restart
+ */
+function restart() {
+  locationTrackerService.clearAllSessions();
+  trackingStoreService.invalidate();
+}
+
+async function testSessions() {
+  console.log('\n📍 Tracking sessions\n');
+
+  const fresh = locationTrackerService.startTracking('701', OFFICE, 'Fresh Worker').session;
+  const stale = locationTrackerService.startTracking('702', OFFICE, 'Stale Worker', null, 'departure').session;
+  const done = locationTrackerService.startTracking('703', OFFICE, 'Busy Worker').session;
+  await trackingStoreService.flush();
+
+  let rows = await trackingRows();
+  check('New sessions are saved as ACTIVE', rows.get(fresh.id) && rows.get(fresh.id).get('Status') === 'ACTIVE' &&
+    rows.get(fresh.id).get('Type') === 'session' && rows.get(fresh.id).get('Telegram Id') === '701');
+
+  locationTrackerService.addLocationUpdate('701', OFFICE);
+  locationTrackerService.addLocationUpdate('701', OFFICE);
+  await trackingStoreService._queue;
+  rows = await trackingRows();
+  check('Live updates are saved in batches', JSON.parse(rows.get(fresh.id).get('Data')).updateCount === 1);
+
+  await trackingStoreService.flush();
+  rows = await trackingRows();
+  const saved = JSON.parse(rows.get(fresh.id).get('Data'));
+  check('Flush saves the location trail', saved.updateCount === 3 && saved.trail.length === 3);
+
+  locationTrackerService.stopTracking('703', 'COMPLETED');
+  await trackingStoreService.flush();
+  rows = await trackingRows();
+  check('Stopped sessions keep their reason', rows.get(done.id).get('Status') === 'COMPLETED' &&
+    JSON.parse(rows.get(done.id).get('Data')).finalVerdict.verificationStatus === 'OK');
+
+  // The stale session last heard from 10 minutes ago
+  stale.startTime -= 10 * MINUTE;
+  stale.lastUpdateTime -= 10 * MINUTE;
+  stale.locationHistory.forEach(point => { point.timestamp -= 10 * MINUTE; });
+  await trackingStoreService.saveSession(stale);
+
+  restart();
+  check('Restart forgets sessions in memory', !locationTrackerService.hasActiveSession('701'));
+
+  const { resumed, interrupted } = await locationTrackerService.resumeSessions();
+  check('Running sessions are resumed', resumed.length === 1 && locationTrackerService.hasActiveSession('701') &&
+    locationTrackerService.getSession('701').updateCount === 3);
+  check('Resumed sessions keep taking updates', locationTrackerService.addLocationUpdate('701', OFFICE).success &&
+    locationTrackerService.getSession('701').locationHistory.length === 4);
+
+  check('Stale sessions are interrupted', interrupted.length === 1 && interrupted[0].userId === '702' &&
+    !locationTrackerService.hasActiveSession('702'));
+  check('Interrupted sessions remember what was verified', interrupted[0].purpose === 'departure' && !interrupted[0].hasEnoughData);
+
+  await trackingStoreService.flush();
+  rows = await trackingRows();
+  check('Interrupted sessions are saved as INTERRUPTED', rows.get(stale.id).get('Status') === 'INTERRUPTED');
+
+  restart();
+  const again = await locationTrackerService.resumeSessions();
+  check('Finished sessions are not resumed twice', again.resumed.length === 1 && again.interrupted.length === 0);
+}
+
+async function testPendingRequests() {
+  console.log('\n⏳ Pending location requests\n');
+
+  const user = await sheetsService.findEmployeeByTelegramId('704');
+  const now = moment.tz(Config.TIMEZONE);
+  const workTime = { start: now.clone().hour(9).minute(0), end: now.clone().hour(18).minute(0) };
+
+  await trackingStoreService.savePendingRequest('checkout', '704', {
+    requestTime: Date.now() - MINUTE,
+    user,
+    checkoutTime: now,
+    departureType: 'message',
+    message: 'К врачу',
+    workTimeData: { workTime, arrivalTime: '09:00' }
+  });
+  await trackingStoreService.savePendingRequest('checkin', '701', {
+    requestTime: Date.now() - 10 * MINUTE,
+    user: await sheetsService.findEmployeeByTelegramId('701'),
+    checkInTime: now
+  });
+
+  restart();
+  const pending = await trackingStoreService.getPendingRequests();
+  const checkout = pending.find(p => p.type === 'checkout');
+  check('Pending requests are loaded', pending.length === 2 && checkout && checkout.telegramId === '704');
+  check('Times are restored as moments', moment.isMoment(checkout.state.checkoutTime) &&
+    checkout.state.workTimeData.workTime.end.format('HH:mm') === '18:00' &&
+    checkout.state.checkoutTime.valueOf() === now.valueOf());
+  check('Roster row is not saved', checkout.state.user && checkout.state.user.nameFull === 'Late Worker' && !checkout.state.user._row);
+
+  const sent = [];
+  const bot = { telegram: { sendMessage: async (chatId, text) => sent.push({ chatId, text }) } };
+  const result = await restorePendingLocationRequests(bot);
+  check('Recent requests wait again', result.resumed === 1);
+  check('Old requests expire', result.expired === 1 && sent.length === 1 && sent[0].chatId === '701' && sent[0].text.includes('Пришёл'));
+
+  await trackingStoreService.flush();
+  const rows = await trackingRows();
+  check('Request rows get their status', rows.get('checkout:704').get('Status') === 'PENDING' &&
+    rows.get('checkin:701').get('Status') === 'EXPIRED');
+
+  restart();
+  const left = await trackingStoreService.getPendingRequests();
+  check('Expired requests are not resumed again', left.length === 1 && left[0].telegramId === '704');
+}
+
+async function testHistory() {
+  console.log('\n🧹 History\n');
+
+  const rows = await trackingRows();
+  const total = rows.size;
+  const old = [...rows.values()].find(row => row.get('Status') === 'COMPLETED');
+  old.set('Updated at', moment.tz(Config.TIMEZONE).subtract(Config.TRACKING_HISTORY_DAYS + 1, 'days').format('YYYY-MM-DD HH:mm:ss'));
+  await old.save();
+
+  restart();
+  const removed = await trackingStoreService.pruneHistory();
+  const after = await trackingRows();
+  check('Old finished sessions are removed', removed === 1 && after.size === total - 1);
+  check('Active sessions and requests are kept', [...after.values()].some(row => row.get('Status') === 'ACTIVE') &&
+    after.has('checkout:704'));
+}
+
+async function run() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 TRACKING PERSISTENCE TEST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await seed();
+    await testSessions();
+    await testPendingRequests();
+    await testHistory();
+  } catch (error) {
+    failed++;
+    console.log(`❌ Unexpected error: ${error.stack}`);
+  } finally {
+    await trackingStoreService.flush().catch(() => {});
+    await sheetsService.disconnect().catch(() => {});
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbPath + suffix, { force: true });
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,165 @@
+/**
+ * Test script to verify location trails: the whole trail and the place of every anomaly
+ * are saved, and the HTML trail map shows them with the allowed sites
+ * Uses a throwaway SQLite database as storage.
+ * Run with: node test-trail-map.js
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const dbPath = path.join(os.tmpdir(), `attendance-trail-test-${process.pid}.db`);
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = dbPath;
+process.env.STORAGE_MIRROR_TO_SHEETS = 'false';
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.GOOGLE_SHEETS_ID = '';
+process.env.ADMIN_TELEGRAM_IDS = '900';
+process.env.OFFICE_LATITUDE = '41.303198';
+process.env.OFFICE_LONGITUDE = '69.314425';
+process.env.GEOFENCE_RADIUS_METERS = '200';
+process.env.TRACKING_DURATION_MINUTES = '5';
+process.env.MIN_UPDATES_FOR_VERIFICATION = '3';
+
+const moment = require('moment-timezone');
+const Config = require('./src/config');
+const sheetsService = require('./src/services/sheets.service');
+const locationTrackerService = require('./src/services/locationTracker.service');
+const trackingStoreService = require('./src/services/trackingStore.service');
+const trailMapService = require('./src/services/trailMap.service');
+const { setupTrailHandlers } = require('./src/bot/handlers/trail.handler');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+const OFFICE = { latitude: 41.303198, longitude: 69.314425, accuracy: 10 };
+const NEARBY = { latitude: 41.303400, longitude: 69.314600, accuracy: 12 };
+const FAR = { latitude: 41.320000, longitude: 69.314425, accuracy: 15 }; // ~1.9 km north
+
+async function seed() {
+  await sheetsService.connect();
+
+  const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+  await roster.setHeaderRow(['Name full', 'Work time', 'Telegram name', 'Company', 'Telegram user name', 'Telegram Id', 'Do not work in Saturday', 'Role']);
+  await roster.addRows([
+    ['Honest <Worker>', '09:00-18:00', 'Honest', 'ACME', '@honest', '801', 'yes', ''],
+    ['Other Worker', '09:00-18:00', 'Other', 'Other Co', '@other', '802', 'yes', ''],
+    ['Mia Manager', '09:00-18:00', 'Mia', 'Other Co', '@mia', '803', 'yes', 'manager']
+  ]);
+}
+
+async function testTrail() {
+  console.log('\n📍 Saved trail\n');
+
+  const { session } = locationTrackerService.startTracking('801', OFFICE, 'Honest <Worker>');
+  locationTrackerService.addLocationUpdate('801', NEARBY);
+  locationTrackerService.addLocationUpdate('801', FAR);
+  locationTrackerService.stopTracking('801', 'COMPLETED');
+  await trackingStoreService.flush();
+
+  trackingStoreService.invalidate();
+  const saved = await trackingStoreService.getSession(session.id);
+  check('Whole trail is saved', saved && saved.trail.length === 3 &&
+    saved.trail[2].latitude === FAR.latitude && saved.trail[1].accuracy === NEARBY.accuracy);
+
+  const anomalies = saved.finalVerdict.anomalies;
+  check('Final verdict keeps the anomalies', anomalies.length > 0 && saved.finalVerdict.verificationStatus === 'FLAGGED',
+    JSON.stringify(saved.finalVerdict));
+  check('Anomalies know where they happened', anomalies.every(a => a.location) &&
+    anomalies.some(a => a.location.latitude === FAR.latitude));
+
+  const today = moment.tz(Config.TIMEZONE).format('YYYY-MM-DD');
+  const sessions = await trackingStoreService.getSessions('801', today);
+  check('Sessions are found by employee and date', sessions.length === 1 && sessions[0].id === session.id);
+  check('Other days have no sessions', (await trackingStoreService.getSessions('801', '2020-01-01')).length === 0);
+
+  return saved;
+}
+
+async function testMap(saved) {
+  console.log('\n🗺 Trail map\n');
+
+  const html = trailMapService.buildMapHtml([saved], { employeeName: saved.userName, date: '2025-03-12' });
+  check('Map is an inline SVG', html.includes('<svg') && !html.includes('<script'));
+  check('Geofence circle is drawn', /<circle class="site"[^>]* r="200"/.test(html));
+  check('Trail is drawn', html.includes('<polyline class="trail"'));
+  check('Anomaly markers are numbered', html.includes('class="anomaly"') && html.includes('>1</text>'));
+  check('Names are escaped', html.includes('Honest &lt;Worker&gt;') && !html.includes('Honest <Worker>'));
+  check('Points outside the site show the distance', html.includes('❌') && html.includes('openstreetmap.org'));
+}
+
+async function testHandler() {
+  console.log('\n🤖 /trail command\n');
+
+  const handlers = {};
+  const bot = {
+    command: (name, handler) => { handlers[name] = handler; },
+    action: (pattern, handler) => { handlers.action = handler; }
+  };
+  setupTrailHandlers(bot);
+
+  const run = async (fromId, text) => {
+    const replies = [];
+    const documents = [];
+    await handlers.trail({
+      from: { id: fromId },
+      message: { text },
+      reply: async (message) => replies.push(message),
+      replyWithDocument: async (file, options) => documents.push({ file, options })
+    });
+    return { replies, documents };
+  };
+
+  let result = await run(900, '/trail @honest');
+  check('Admin gets the map', result.documents.length === 1 &&
+    result.documents[0].file.source.toString().includes('<svg') && result.documents[0].options.caption.includes('Проверок: 1'));
+
+  result = await run(801, '/trail 801');
+  check('Employees cannot request maps', result.documents.length === 0 && result.replies[0].includes('нет прав'));
+
+  result = await run(803, '/trail 801');
+  check('Staff only see employees in their scope', result.documents.length === 0 && result.replies[0].includes('не найден'));
+
+  result = await run(900, '/trail 802');
+  check('Days without verifications are reported', result.replies[0].includes('Нет проверок'));
+}
+
+async function run() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 TRAIL MAP TEST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await seed();
+    const saved = await testTrail();
+    await testMap(saved);
+    await testHandler();
+  } catch (error) {
+    failed++;
+    console.log(`❌ Unexpected error: ${error.stack}`);
+  } finally {
+    await trackingStoreService.flush().catch(() => {});
+    await sheetsService.disconnect().catch(() => {});
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbPath + suffix, { force: true });
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,311 @@
+/**
+ * Test script to verify outgoing webhooks: registration, event subscriptions, signatures,
+ * retries with backoff, the delivery log with its retention and the attendance events that trigger them
+ * Uses a throwaway SQLite database as storage, a fake clock and a local stub receiver.
+ * Run with: node test-webhooks.js
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+
+const dbPath = path.join(os.tmpdir(), `attendance-webhooks-test-${process.pid}.db`);
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = dbPath;
+process.env.STORAGE_MIRROR_TO_SHEETS = 'false';
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.GOOGLE_SHEETS_ID = '';
+process.env.ADMIN_TELEGRAM_IDS = '900';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_SECONDS = '0.05';
+process.env.WEBHOOK_TIMEOUT_SECONDS = '2';
+
+const moment = require('moment-timezone');
+const Config = require('./src/config');
+const sheetsService = require('./src/services/sheets.service');
+const schedulerService = require('./src/services/scheduler.service');
+const webhookService = require('./src/services/webhook.service');
+const { parseEvents } = require('./src/services/webhook.service');
+const { setupWebhookHandlers } = require('./src/bot/handlers/webhook.handler');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+// Fake clock: every moment() created by the services uses this time
+function setNow(dateTime) {
+  const fixed = moment.tz(dateTime, 'YYYY-MM-DD HH:mm', Config.TIMEZONE).valueOf();
+  moment.now = () => fixed;
+}
+
+const DAY = '2025-03-12'; // Wednesday
+const WORKER = { telegramId: '1401', nameFull: 'Webhook Worker' };
+const ADMIN_ID = 900;
+
+// Stub receiver: answers each path with the scripted statuses (the last one repeats)
+const script = {
+  '/ok': [200],
+  '/flaky': [500, 200],
+  '/down': [503],
+  '/bad': [400]
+};
+const received = [];
+let receiver = null;
+let baseUrl = '';
+
+function startReceiver() {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const seen = received.filter(r => r.path === req.url).length;
+      const statuses = script[req.url] || [404];
+      received.push({ path: req.url, headers: req.headers, body, json: JSON.parse(body) });
+      res.writeHead(statuses[Math.min(seen, statuses.length - 1)]);
+      res.end();
+    });
+  });
+  return new Promise(resolve => receiver.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${receiver.address().port}`;
+    resolve();
+  }));
+}
+
+function at(pathName) {
+  return received.filter(r => r.path === pathName);
+}
+
+// Bot stub that collects command handlers
+const commands = {};
+const fakeBot = {
+  command: (name, handler) => { commands[name] = handler; },
+  action: () => {},
+  on: () => {}
+};
+
+async function runCommand(name, text, fromId = ADMIN_ID) {
+  const replies = [];
+  await commands[name]({
+    from: { id: fromId, username: 'boss' },
+    message: { text },
+    reply: async (message) => replies.push(message)
+  });
+  return replies;
+}
+
+async function seed() {
+  await sheetsService.connect();
+
+  const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+  await roster.setHeaderRow(['Name full', 'Work time', 'Telegram name', 'Company', 'Telegram user name', 'Telegram Id', 'Do not work in Saturday']);
+  await roster.addRows([
+    [WORKER.nameFull, '09:00-18:00', 'Worker', 'ACME', '', WORKER.telegramId, 'yes']
+  ]);
+
+  setNow(`${DAY} 08:00`);
+  await sheetsService.initializeDailySheet(DAY);
+  await startReceiver();
+  setupWebhookHandlers(fakeBot);
+}
+
+async function testRegistration() {
+  console.log('\n🔗 Registration\n');
+
+  check('Events are parsed', parseEvents('arrival, LATE').join() === 'ARRIVAL,LATE');
+  check('"all" means every event', parseEvents('all').length === 0);
+
+  const ok = await webhookService.addWebhook({ name: 'hr', url: `${baseUrl}/ok`, events: ['ARRIVAL', 'LATE', 'TEMP_EXIT'] });
+  check('Webhook gets a secret', /^[0-9a-f]{48}$/.test(ok.secret));
+  await webhookService.addWebhook({ name: 'all', url: `${baseUrl}/flaky` });
+
+  let error = null;
+  try {
+    await webhookService.addWebhook({ name: 'HR', url: `${baseUrl}/ok` });
+  } catch (e) {
+    error = e;
+  }
+  check('Duplicate names are rejected', error && error.message.includes('уже есть'));
+
+  const denied = await runCommand('addwebhook', `/addwebhook x ${baseUrl}/ok`, 1234);
+  check('Non-admins cannot add webhooks', denied[0].includes('нет прав'));
+
+  const unknown = await runCommand('addwebhook', `/addwebhook x ${baseUrl}/ok ARRIVAL,LUNCH`);
+  check('Unknown events are rejected', unknown[0].includes('LUNCH') && !(await webhookService.findWebhook('x')));
+
+  const added = await runCommand('addwebhook', `/addwebhook guard ${baseUrl}/down FRAUD_FLAGGED`);
+  check('/addwebhook replies with the secret', added[0].includes('guard') && added[0].includes('X-Webhook-Signature'));
+
+  const webhooks = await webhookService.getWebhooks();
+  check('Webhooks are read from the sheet', webhooks.length === 3 &&
+    webhooks.find(w => w.name === 'all').events.length === 0 &&
+    webhooks.find(w => w.name === 'guard').events.join() === 'FRAUD_FLAGGED');
+}
+
+async function testDelivery() {
+  console.log('\n📨 Delivery\n');
+
+  setNow(`${DAY} 08:55`);
+  await sheetsService.logEvent(WORKER.telegramId, WORKER.nameFull, 'ARRIVAL');
+  await webhookService.flush();
+
+  const [arrival] = at('/ok');
+  check('Subscribed webhook receives ARRIVAL', arrival && arrival.json.event === 'ARRIVAL' &&
+    arrival.json.data.telegramId === WORKER.telegramId && arrival.json.data.date === DAY, arrival && arrival.body);
+  check('Unsubscribed webhook does not', at('/down').length === 0);
+
+  const hr = await webhookService.findWebhook('hr');
+  const { headers, body } = arrival;
+  check('Signature verifies', headers['x-webhook-signature'] ===
+    'sha256=' + crypto.createHmac('sha256', hr.secret).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex'));
+  check('Event and delivery id headers are sent', headers['x-webhook-event'] === 'ARRIVAL' && headers['x-webhook-delivery'] === arrival.json.id);
+
+  const flaky = at('/flaky');
+  check('5xx is retried until delivered', flaky.length === 2 && flaky[0].json.id === flaky[1].json.id);
+
+  const deliveries = await webhookService.getRecentDeliveries(10);
+  const flakyLog = deliveries.find(d => d.webhook === 'all');
+  check('Delivery log has status and attempts', flakyLog && flakyLog.status === 'DELIVERED' && flakyLog.attempts === 2 &&
+    flakyLog.response === 'HTTP 200', JSON.stringify(flakyLog));
+  check('Retried delivery is logged once', deliveries.filter(d => d.id === flaky[0].json.id).length === 1 &&
+    !deliveries.some(d => d.status === 'PENDING'));
+
+  const guard = await webhookService.findWebhook('guard');
+  const down = await webhookService.deliver(guard, 'FRAUD_FLAGGED', {});
+  check('Gives up after max attempts', down.status === 'FAILED' && down.attempts === 3 && at('/down').length === 3);
+
+  const bad = await webhookService.deliver({ name: 'bad', url: `${baseUrl}/bad`, secret: '' }, 'ARRIVAL', {});
+  check('4xx is not retried', bad.status === 'FAILED' && bad.attempts === 1 && at('/bad').length === 1);
+
+  const unreachable = await webhookService.deliver({ name: 'gone', url: 'http://127.0.0.1:1/', secret: '' }, 'ARRIVAL', {}, 1);
+  check('Network errors fail the delivery', unreachable.status === 'FAILED');
+}
+
+async function testLogRetention() {
+  console.log('\n🧹 Log retention\n');
+
+  const worksheet = await sheetsService.getWorksheet(Config.SHEET_WEBHOOK_LOG);
+  await worksheet.addRows([
+    { 'Delivery Id': 'old-1', 'Time': '2025-01-05 10:00:00', 'Webhook': 'hr', 'Event': 'ARRIVAL', 'Status': 'DELIVERED', 'Attempts': '1' },
+    { 'Delivery Id': 'old-2', 'Time': '2025-02-09 23:59:59', 'Webhook': 'hr', 'Event': 'ARRIVAL', 'Status': 'FAILED', 'Attempts': '3' }
+  ]);
+  const before = (await worksheet.getRows()).length;
+
+  const removed = await webhookService.pruneLog();
+  const ids = (await worksheet.getRows()).map(row => row.get('Delivery Id'));
+  check(`Deliveries older than ${Config.WEBHOOK_LOG_DAYS} days are removed`, removed === 2 &&
+    !ids.includes('old-1') && !ids.includes('old-2'), `${removed}`);
+  check('Recent deliveries are kept', ids.length === before - 2 && ids.length > 0);
+
+  const newest = ids.slice(-2);
+  const maxRows = Config.WEBHOOK_LOG_MAX_ROWS;
+  Config.WEBHOOK_LOG_MAX_ROWS = 2;
+  const capped = await webhookService.pruneLog();
+  Config.WEBHOOK_LOG_MAX_ROWS = maxRows;
+  const left = (await worksheet.getRows()).map(row => row.get('Delivery Id'));
+  check('Log is capped to the newest rows', capped === ids.length - 2 && left.join() === newest.join(), left.join());
+  check('Kept rows keep their values', (await webhookService.getRecentDeliveries(2)).every(d => d.status && d.attempts > 0));
+}
+
+async function testEvents() {
+  console.log('\n📡 Attendance events\n');
+
+  received.length = 0;
+  setNow(`${DAY} 09:20`);
+  await sheetsService.logEvent(WORKER.telegramId, WORKER.nameFull, 'LATE_SILENT', 'late_silent_20min');
+  await webhookService.flush();
+  const late = at('/ok').find(r => r.json.event === 'LATE');
+  check('LATE_SILENT is sent as LATE', late && late.json.data.eventType === 'LATE_SILENT');
+
+  setNow(`${DAY} 12:00`);
+  await sheetsService.logTempExit(WORKER.telegramId, WORKER.nameFull, 'Банк', 30, '12:00', '12:30');
+  await webhookService.flush();
+  const exit = at('/ok').find(r => r.json.event === 'TEMP_EXIT');
+  check('Temporary exit is sent', exit && exit.json.data.action === 'exit' && exit.json.data.reason === 'Банк', exit && exit.body);
+
+  await sheetsService.updateLocationVerification(WORKER.telegramId, 'FLAGGED', [{ type: 'TELEPORT' }]);
+  await webhookService.flush();
+  const fraud = at('/down').find(r => r.json.event === 'FRAUD_FLAGGED');
+  check('Flagged verification is sent', fraud && fraud.json.data.anomalies.join() === 'TELEPORT');
+  check('Unsubscribed events are skipped', !at('/ok').some(r => r.json.event === 'FRAUD_FLAGGED'));
+
+  // Pause the catch-all webhook
+  const worksheet = await sheetsService.getWorksheet(Config.SHEET_WEBHOOKS);
+  const row = (await worksheet.getRows()).find(r => r.get('Name') === 'all');
+  row.set('Active', 'no');
+  await row.save();
+  webhookService._webhooks = null;
+
+  received.length = 0;
+  setNow(`${DAY} 19:00`);
+  await schedulerService.emitDailyReport(DAY);
+  await webhookService.flush();
+  check('Paused webhooks get nothing', at('/flaky').length === 0);
+
+  await webhookService.addWebhook({ name: 'reports', url: `${baseUrl}/ok`, events: ['DAILY_REPORT'] });
+  await schedulerService.emitDailyReport(DAY);
+  await webhookService.flush();
+  const report = at('/ok').find(r => r.json.event === 'DAILY_REPORT');
+  check('Daily report is sent', report && report.json.data.date === DAY && report.json.data.summary.present === 1 &&
+    report.json.data.summary.absent === 0 && report.json.data.records.length === 1, report && report.body);
+}
+
+async function testCommands() {
+  console.log('\n⚙️  Commands\n');
+
+  const list = await runCommand('webhooks', '/webhooks');
+  check('/webhooks lists webhooks and deliveries', list[0].includes('⏸ all') && list[0].includes('🟢 hr') &&
+    list[0].includes('Последние отправки'));
+
+  const test = await runCommand('testwebhook', '/testwebhook hr');
+  check('/testwebhook sends a PING', test[1].includes('Доставлено') && at('/ok').some(r => r.json.event === 'PING'));
+
+  const down = await runCommand('testwebhook', '/testwebhook guard');
+  check('/testwebhook reports failures after one attempt', down[1].includes('HTTP 503'));
+
+  const removed = await runCommand('removewebhook', '/removewebhook hr');
+  check('/removewebhook removes it', removed[0].includes('удалён') && !(await webhookService.findWebhook('hr')));
+  check('Unknown webhook is reported', (await runCommand('removewebhook', '/removewebhook hr'))[0].includes('не найден'));
+}
+
+async function run() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 WEBHOOKS TEST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await seed();
+    await testRegistration();
+    await testDelivery();
+    await testLogRetention();
+    await testEvents();
+    await testCommands();
+  } catch (error) {
+    failed++;
+    console.log(`❌ Unexpected error: ${error.stack}`);
+  } finally {
+    if (receiver) receiver.close();
+    await webhookService.flush().catch(() => {});
+    await sheetsService.disconnect().catch(() => {});
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbPath + suffix, { force: true });
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,239 @@
+/**
+ * Test script to verify the weekly report: week statistics with days off and holidays,
+ * per-company week-over-week comparison, personal recaps, their delivery and /weekly
+ * Uses a throwaway SQLite database as storage and a fake clock.
+ * Run with: node test-weekly-report.js
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const dbPath = path.join(os.tmpdir(), `attendance-weekly-test-${process.pid}.db`);
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = dbPath;
+process.env.STORAGE_MIRROR_TO_SHEETS = 'false';
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || 'test-token';
+process.env.GOOGLE_SHEETS_ID = '';
+process.env.ADMIN_TELEGRAM_IDS = '900';
+
+const moment = require('moment-timezone');
+const Config = require('./src/config');
+const sheetsService = require('./src/services/sheets.service');
+const schedulerService = require('./src/services/scheduler.service');
+const historyService = require('./src/services/history.service');
+const holidayService = require('./src/services/holiday.service');
+const weeklyReportService = require('./src/services/weeklyReport.service');
+const { formatBalance } = require('./src/services/weeklyReport.service');
+const { setupWeeklyReportHandlers } = require('./src/bot/handlers/weeklyReport.handler');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}${details ? ` - ${details}` : ''}`);
+  }
+}
+
+// Fake clock: every moment() created by the services uses this time
+function setNow(dateTime) {
+  const fixed = moment.tz(dateTime, 'YYYY-MM-DD HH:mm', Config.TIMEZONE).valueOf();
+  moment.now = () => fixed;
+}
+
+const WEEK = { from: '2025-03-10', to: '2025-03-16' };
+const HOLIDAY = '2025-03-12';
+const ALICE = { telegramId: '1901', nameFull: 'Alice', company: 'ACME' };
+const BOB = { telegramId: '1902', nameFull: 'Bob', company: 'ACME' };
+const CAROL = { telegramId: '1903', nameFull: 'Carol', company: 'Beta' };
+const MANAGER = { telegramId: '1904', nameFull: 'Beta Manager', company: 'Beta', role: 'manager' };
+
+// Bot stub that collects command handlers
+const commands = {};
+setupWeeklyReportHandlers({ command: (name, handler) => { commands[name] = handler; } });
+
+async function runCommand(text, fromId = 900) {
+  const replies = [];
+  await commands.weekly({
+    from: { id: fromId },
+    message: { text },
+    reply: async (message) => replies.push(message)
+  });
+  return replies;
+}
+
+const ON_TIME = { 'When come': '08:55', 'Came on time': 'Yes', 'Leave time': '18:00', 'Hours worked': '9', 'Point': '1' };
+const LATE = { 'When come': '09:20', 'Came on time': 'No', 'Leave time': '17:20', 'Hours worked': '8', 'Point': '-1' };
+
+/**
+ * History row of one employee and day
+ * @param {Object} employee
+ * @param {string} date
+ * @param {Object} values - Day columns
+ */
+function historyRow(employee, date, values = {}) {
+  return { 'Date': date, 'Telegram Id': employee.telegramId, 'Company': employee.company, 'Name': employee.nameFull, ...values };
+}
+
+async function seed() {
+  await sheetsService.connect();
+
+  const roster = await sheetsService.getWorksheet(Config.SHEET_ROSTER);
+  await roster.setHeaderRow(['Name full', 'Work time', 'Telegram name', 'Company', 'Telegram user name', 'Telegram Id', 'Do not work in Saturday', 'Role']);
+  await roster.addRows([ALICE, BOB, CAROL, MANAGER].map(e =>
+    [e.nameFull, '09:00-18:00', e.nameFull, e.company, '', e.telegramId, 'yes', e.role || '']));
+
+  setNow('2025-03-01 10:00');
+  await holidayService.addHoliday(HOLIDAY, 'Праздник');
+
+  const rows = [];
+  // Week before: Alice always on time, Bob late on Monday
+  for (const date of ['2025-03-03', '2025-03-04', '2025-03-05', '2025-03-06', '2025-03-07']) {
+    rows.push(historyRow(ALICE, date, ON_TIME));
+    rows.push(historyRow(BOB, date, date === '2025-03-03' ? LATE : ON_TIME));
+  }
+
+  // This week: Wednesday is a holiday, Alice is late on Monday, absent on Friday and comes in on Saturday
+  rows.push(historyRow(ALICE, '2025-03-10', LATE));
+  rows.push(historyRow(ALICE, '2025-03-11', ON_TIME));
+  rows.push(historyRow(ALICE, HOLIDAY, {}));
+  rows.push(historyRow(ALICE, '2025-03-13', ON_TIME));
+  rows.push(historyRow(ALICE, '2025-03-14', { 'Absent': 'yes', 'Why absent': 'Без причины', 'Point': '-1.5' }));
+  rows.push(historyRow(ALICE, '2025-03-15', { 'When come': '10:00', 'Came on time': 'Yes', 'Hours worked': '4', 'Point': '0.5' }));
+  for (const date of ['2025-03-10', '2025-03-11', HOLIDAY, '2025-03-13', '2025-03-14']) {
+    rows.push(historyRow(BOB, date, date === HOLIDAY ? {} : ON_TIME));
+  }
+  rows.push(historyRow(CAROL, '2025-03-10', ON_TIME));
+
+  // Week after: only the weekend, nobody came
+  rows.push(historyRow(ALICE, '2025-03-22', {}));
+  rows.push(historyRow(ALICE, '2025-03-23', {}));
+
+  const history = await historyService._getWorksheet();
+  await history.addRows(rows);
+  setNow('2025-03-17 09:30');
+}
+
+async function testWeekStats() {
+  console.log('\n📅 Week statistics\n');
+
+  check('Week of a date is Monday-Sunday', JSON.stringify(weeklyReportService.getWeek('2025-03-12')) === JSON.stringify(WEEK));
+  check('Previous week', weeklyReportService.getPreviousWeek(WEEK).from === '2025-03-03');
+  check('Balance format', formatBalance(180) === '+3:00' && formatBalance(-45) === '-0:45');
+
+  const stats = await weeklyReportService.getWeekStats(WEEK);
+  const alice = stats.get(ALICE.telegramId);
+  check('Holidays and weekends are not work days', alice.workDays === 4, alice.workDays);
+  check('Not coming on a holiday is no absence', alice.absent === 1);
+  check('Coming in on a day off counts hours', alice.present === 4 && alice.hoursWorked === 30);
+  check('On-time rate of the work days', alice.onTime === 2 && alice.late === 1 && alice.onTimeRate === 67);
+  // 30 h worked against 3 × 9 h scheduled
+  check('Balance against scheduled hours', alice.balanceMinutes === 180, alice.balanceMinutes);
+  check('Points of the week', alice.points === 0, alice.points);
+
+  const bob = stats.get(BOB.telegramId);
+  check('Steady week', bob.workDays === 4 && bob.onTimeRate === 100 && bob.balanceMinutes === 0 && bob.points === 4);
+
+  check('Employees without days are left out', !stats.has(MANAGER.telegramId));
+  const empty = await weeklyReportService.getWeekStats({ from: '2025-03-17', to: '2025-03-23' });
+  check('A week of days off has no stats', empty.size === 0);
+
+  const scoped = await weeklyReportService.getWeekStats(WEEK, new Set([CAROL.telegramId]));
+  check('Scope filter', scoped.size === 1 && scoped.has(CAROL.telegramId));
+}
+
+async function testReport() {
+  console.log('\n📊 Company report\n');
+
+  const report = await weeklyReportService.getReport(WEEK);
+  const acme = report.companies.find(c => c.company === 'ACME');
+  check('Totals per company', report.companies.length === 2 && acme.employees === 2 && acme.late === 1 && acme.onTimeRate === 86);
+  check('Previous week of the company', acme.previous && acme.previous.onTimeRate === 90 && acme.previous.late === 1);
+  check('New company has nothing to compare', report.companies.find(c => c.company === 'Beta').previous === null);
+
+  const text = weeklyReportService.formatReport(report);
+  check('Report has the weeks', text.includes('10.03 — 16.03.2025') && text.includes('03.03 — 09.03.2025'), text);
+  check('Week-over-week changes', text.includes('Вовремя: 86% (▼ -4%)') && text.includes('Опозданий: 1 (= 0)') &&
+    text.includes('Отсутствий: 1 (▲ +1)'), text);
+
+  const alice = weeklyReportService.formatRecap(report.stats.get(ALICE.telegramId), report.previousStats.get(ALICE.telegramId), WEEK);
+  check('Recap has on-time rate, points and balance', alice.includes('Вовремя: 67% (2 из 3) (▼ -33%)') &&
+    alice.includes('Баллы: 0 (▼ -5)') && alice.includes('Баланс: +3:00 (30 ч из 27 ч)') && alice.includes('Отсутствий: 1'), alice);
+
+  const bob = weeklyReportService.formatRecap(report.stats.get(BOB.telegramId), report.previousStats.get(BOB.telegramId), WEEK);
+  check('Good week is praised', bob.includes('Отличная неделя') && !bob.includes('Опозданий'));
+}
+
+async function testDelivery() {
+  console.log('\n📬 Delivery\n');
+
+  const sent = [];
+  schedulerService.bot = { telegram: { sendMessage: async (chatId, text) => sent.push({ chatId: Number(chatId), text }) } };
+
+  const reports = await schedulerService.sendWeeklyReportToAdmins(WEEK);
+  const admin = sent.find(m => m.chatId === 900);
+  const manager = sent.find(m => m.chatId === Number(MANAGER.telegramId));
+  check('Report goes to admins and managers', reports === 2 && admin && manager);
+  check('Managers see their company only', manager && manager.text.includes('Beta') && !manager.text.includes('ACME'));
+
+  sent.length = 0;
+  const recaps = await schedulerService.sendWeeklyRecaps(WEEK);
+  check('Every employee who worked gets a recap', recaps === 3 &&
+    [ALICE, BOB, CAROL].every(e => sent.some(m => m.chatId === Number(e.telegramId) && m.text.startsWith('📋 Ваша неделя'))));
+  check('No recap without work days', !sent.some(m => m.chatId === Number(MANAGER.telegramId)));
+
+  sent.length = 0;
+  const holidayWeek = { from: '2025-03-17', to: '2025-03-23' };
+  check('Nothing is sent for a week without work', (await schedulerService.sendWeeklyReportToAdmins(holidayWeek)) === 0 &&
+    (await schedulerService.sendWeeklyRecaps(holidayWeek)) === 0 && sent.length === 0);
+}
+
+async function testCommand() {
+  console.log('\n⚙️  /weekly\n');
+
+  const denied = await runCommand('/weekly', Number(ALICE.telegramId));
+  check('Employees cannot request the report', denied[0].includes('нет прав'));
+
+  const invalid = await runCommand('/weekly 12.03.2025');
+  check('Invalid date is rejected', invalid[0].includes('Формат'));
+
+  const lastWeek = await runCommand('/weekly');
+  check('Last week by default', lastWeek[0].includes('10.03 — 16.03.2025') && lastWeek[0].includes('ACME'), lastWeek[0]);
+
+  const empty = await runCommand('/weekly 2025-01-08');
+  check('Empty week is reported', empty[0].includes('Нет данных'));
+}
+
+async function run() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧪 WEEKLY REPORT TEST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  try {
+    await seed();
+    await testWeekStats();
+    await testReport();
+    await testDelivery();
+    await testCommand();
+  } catch (error) {
+    failed++;
+    console.log(`❌ Unexpected error: ${error.stack}`);
+  } finally {
+    await sheetsService.disconnect().catch(() => {});
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(dbPath + suffix, { force: true });
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();